@@ -0,0 +1,87 @@
+/**
+ * Accessibility Configuration
+ *
+ * Mobility and guidance services a passenger can book. Each one needs an
+ * assistant certified for its skill, and some need a piece of station
+ * equipment that is reserved for the booking. Prices live in pricingService.
+ */
+
+module.exports = {
+  // ==================== SERVICES ====================
+  // service -> required assistant skill, station equipment (null = none) and
+  // group (a booking may have at most one service per group)
+  services: {
+    OwnWheelchair: {
+      label: 'Wheelchair assistance (own wheelchair)',
+      skill: 'wheelchair',
+      equipment: null,
+      group: 'mobility'
+    },
+    StationWheelchair: {
+      label: 'Station wheelchair',
+      skill: 'wheelchair',
+      equipment: 'wheelchair',
+      group: 'mobility'
+    },
+    Stretcher: {
+      label: 'Stretcher',
+      skill: 'stretcher',
+      equipment: 'stretcher',
+      group: 'mobility'
+    },
+    BatteryCar: {
+      label: 'Battery car',
+      skill: 'battery_car',
+      equipment: 'battery_car',
+      group: null
+    },
+    VisuallyImpairedGuide: {
+      label: 'Visually impaired guide',
+      skill: 'visually_impaired_guide',
+      equipment: null,
+      group: null
+    }
+  },
+
+  // ==================== CERTIFICATIONS ====================
+  // Assistants upload certificates; once an admin verifies one, its skill counts
+  // until expiresAt. Skills not required by any service still add to the match score.
+  certifications: {
+    // certification type -> skill it grants
+    types: {
+      wheelchair_handling: { label: 'Wheelchair handling', skill: 'wheelchair' },
+      stretcher_handling: { label: 'Stretcher / patient transfer', skill: 'stretcher' },
+      battery_car_license: { label: 'Battery car driving licence', skill: 'battery_car' },
+      visually_impaired_guiding: { label: 'Sighted guide training', skill: 'visually_impaired_guide' },
+      first_aid: { label: 'First aid', skill: 'first_aid' },
+      manual_handling: { label: 'Heavy luggage / manual handling', skill: 'heavy_luggage' }
+    },
+
+    // Assistants are reminded once, this many days before a certificate expires
+    reminderDaysBeforeExpiry: 30,
+
+    // How often expiries and reminders are checked
+    sweepIntervalMinutes: 60
+  },
+
+  // ==================== STATION EQUIPMENT ====================
+  equipment: {
+    // equipment type -> Station.facilities count holding the station's units
+    inventoryField: {
+      wheelchair: 'wheelchairs',
+      stretcher: 'stretchers',
+      battery_car: 'batteryCars'
+    },
+
+    // Reservations are held in slots of this length; two bookings can never
+    // hold the same unit in the same slot
+    slotMinutes: 15,
+
+    // Held from the assistant's arrival (or this long before the service time
+    // when there is no assistant arrival time) ...
+    holdBeforeMinutes: 30,
+
+    // ... until this long after the train's arrival/departure
+    holdAfterMinutes: 30
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Notifications Configuration
+ *
+ * Channel adapters, locales, retries and the events sent to passengers,
+ * assistants and admins (services/notificationService.js).
+ *
+ * Each channel has one adapter (services/notifications):
+ * - 'http'    - the production provider behind an HTTP gateway (SMS gateway,
+ *               email API, web push relay); unset URL = channel unavailable
+ * - 'file'    - appends every message to <dir>/<channel>.jsonl (local development,
+ *               opt in with e.g. SMS_ADAPTER=file); messages hold plain OTPs, so
+ *               the directory defaults to one outside the repository
+ * - 'console' - logs every message (local development default)
+ */
+
+const os = require('os');
+const path = require('path');
+
+const DEV_ADAPTER = process.env.NODE_ENV === 'production' ? 'http' : 'console';
+const FILE_SINK_DIR = process.env.NOTIFICATIONS_DIR || path.join(os.tmpdir(), 'railmitra-notifications');
+
+module.exports = {
+  // ==================== CHANNELS ====================
+  channels: {
+    sms: {
+      enabled: true,
+      adapter: process.env.SMS_ADAPTER || (process.env.SMS_GATEWAY_URL ? 'http' : DEV_ADAPTER),
+      options: {
+        url: process.env.SMS_GATEWAY_URL,
+        apiKey: process.env.SMS_GATEWAY_KEY,
+        senderId: process.env.SMS_SENDER_ID || 'RLMITR',
+        dir: FILE_SINK_DIR
+      }
+    },
+    email: {
+      enabled: true,
+      adapter: process.env.EMAIL_ADAPTER || (process.env.EMAIL_API_URL ? 'http' : DEV_ADAPTER),
+      options: {
+        url: process.env.EMAIL_API_URL,
+        apiKey: process.env.EMAIL_API_KEY,
+        from: process.env.EMAIL_FROM || 'RailMitra <no-reply@railmitra.in>',
+        dir: FILE_SINK_DIR
+      }
+    },
+    push: {
+      enabled: true,
+      adapter: process.env.PUSH_ADAPTER || (process.env.PUSH_RELAY_URL ? 'http' : 'console'),
+      options: {
+        url: process.env.PUSH_RELAY_URL,
+        apiKey: process.env.PUSH_RELAY_KEY,
+        // Public VAPID key handed to browsers when they subscribe
+        vapidPublicKey: process.env.VAPID_PUBLIC_KEY || '',
+        dir: FILE_SINK_DIR
+      }
+    }
+  },
+
+  // ==================== LOCALES ====================
+  defaultLocale: 'en',
+  locales: ['en', 'hi'],
+
+  // ==================== DELIVERY ====================
+  retry: {
+    // Attempts per message before it is dead-lettered
+    maxAttempts: 5,
+
+    // Wait before attempt 2, 3, ... (seconds); the last value repeats
+    backoffSeconds: [30, 120, 600, 1800],
+
+    // How often due retries are sent (seconds)
+    sweepIntervalSeconds: 30
+  },
+
+  // Adapter calls slower than this count as failed (ms)
+  sendTimeoutMs: 10000,
+
+  // Messages are kept in the delivery log this long (days)
+  logRetentionDays: 90
+};
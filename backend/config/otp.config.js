@@ -0,0 +1,42 @@
+/**
+ * OTP Configuration
+ *
+ * One-time codes the passenger shares with their assistant
+ * (services/otpService.js):
+ * - booking    - issued with the booking, entered when they meet
+ * - start      - issued when the assistant starts the service
+ * - completion - issued when the assistant asks to complete
+ *
+ * Only an HMAC of each code is stored; the plain code exists in the message
+ * sent to the passenger.
+ */
+
+module.exports = {
+  digits: 6,
+
+  // Validity of the start and completion OTPs
+  ttlMinutes: {
+    start: 15,
+    completion: 30
+  },
+
+  // The booking OTP is used at the service itself, which can be
+  // maxAdvanceBookingDays away: it stays valid until this long after the
+  // booking's last service task (checked again at verification, so a
+  // rescheduled task keeps it valid)
+  bookingGraceHours: 12,
+
+  // Wrong codes allowed before verification is locked
+  maxAttempts: 5,
+  lockoutMinutes: 15,
+
+  // Resends per code kind
+  resend: {
+    minIntervalSeconds: 60,
+    maxPerHour: 5
+  },
+
+  // HMAC key - OTP_SECRET, else the JWT secret. Required in production;
+  // elsewhere a random per-process key is used (codes stop verifying on restart)
+  secret: process.env.OTP_SECRET || process.env.JWT_SECRET || null
+};
@@ -0,0 +1,72 @@
+/**
+ * Payments Configuration
+ *
+ * Gateway selection, webhook verification, refund rules, the assistant
+ * revenue split and payout batching.
+ * Amounts are in rupees (INR), rounded to 2 decimals.
+ */
+
+module.exports = {
+  // ==================== GATEWAY ====================
+  // 'fake' = local development gateway (services/payments/fakeGateway.js)
+  gateway: process.env.PAYMENT_GATEWAY || 'fake',
+
+  currency: 'INR',
+
+  // Methods offered to passengers at checkout
+  methods: ['upi', 'card', 'netbanking', 'wallet'],
+
+  // ==================== WEBHOOKS ====================
+  webhook: {
+    // Shared secret for HMAC-SHA256 signatures (x-payment-signature: t=<unix>,v1=<hex>).
+    // Required in production; elsewhere services/payments falls back to a random
+    // per-process key, so only webhooks built by the fake gateway verify
+    secret: process.env.PAYMENT_WEBHOOK_SECRET && process.env.PAYMENT_WEBHOOK_SECRET.trim() !== ''
+      ? process.env.PAYMENT_WEBHOOK_SECRET
+      : null,
+
+    // Reject signatures older than this (replay protection)
+    toleranceSeconds: 300
+  },
+
+  // ==================== FAKE GATEWAY ====================
+  fake: {
+    // Authorizations with these methods are declined (to exercise failure paths locally)
+    declineMethods: ['declined']
+  },
+
+  // ==================== REFUND RULES ====================
+  // Percent of the booking price returned to the passenger.
+  // The rest is kept as a cancellation fee (to the assistant if one was assigned).
+  refundRules: {
+    // Cancelled - by status the booking was in when cancelled
+    cancelledFrom: {
+      'Pending': 100,
+      'Searching': 100,
+      'Assigned': 100,
+      'Accepted': 100,
+      'Start Pending': 50,      // assistant already at the platform
+      'In Progress': 0,
+      'Completion Pending': 0,
+      'Emergency': 100          // service failure - never charge the passenger
+    },
+    defaultCancelledPercent: 100,
+
+    // Rejected - by assistant, admin or system, never the passenger's doing
+    rejectedPercent: 100
+  },
+
+  // ==================== EARNINGS ====================
+  // Revenue split of a completed booking: calculateTotalPrice().total minus
+  // PLATFORM_FEE is the service revenue, shared equally between its service tasks.
+  earnings: {
+    // Percent of the service revenue paid to the assistant; the rest is platform revenue
+    assistantSharePercent: parseInt(process.env.ASSISTANT_SHARE_PERCENT, 10) || 80
+  },
+
+  // ==================== PAYOUTS ====================
+  payouts: {
+    // Payout weeks start on this day at 00:00 station local time (0 = Sunday, 1 = Monday)
+    weekStartsOn: 1
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * PNR Lookup Configuration
+ *
+ * Data sources for PNR prefill (services/pnrProviders), queried in priority
+ * order. The fixture source serves data/pnr/<pnr>.json for local development.
+ */
+
+module.exports = {
+  dataSources: [
+    { name: 'PNR API', priority: 1, enabled: true, provider: 'http', options: { baseUrl: process.env.PNR_LOOKUP_URL } },
+    { name: 'Fixture', priority: 2, enabled: process.env.NODE_ENV !== 'production', provider: 'file', options: { dir: process.env.PNR_FIXTURE_DIR || 'data/pnr' } }
+  ],
+
+  // Successful lookups are reused for this long (PNR status changes slowly)
+  cacheTtlSeconds: 300,
+
+  // Passenger statuses that can be booked for assistance
+  bookableStatuses: ['CNF', 'RAC']
+};
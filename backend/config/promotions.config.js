@@ -0,0 +1,39 @@
+/**
+ * Promotions Configuration
+ *
+ * Promo code limits, referral credits and wallet use at checkout.
+ * Amounts are in rupees (INR).
+ *
+ * Promo discounts and wallet credit are platform-funded: the passenger pays
+ * less, but assistants earn on the price before discounts.
+ */
+
+module.exports = {
+  // ==================== CHECKOUT ====================
+  checkout: {
+    // Discounts (promo + wallet) never take the amount charged below this;
+    // the payment gateway cannot hold a zero amount
+    minPayableAmount: 1
+  },
+
+  // ==================== PROMO CODES ====================
+  promo: {
+    // Allowed code format (stored uppercase)
+    codePattern: /^[A-Z0-9_-]{3,20}$/,
+
+    // Default per-user limit when an admin does not set one
+    defaultPerUserLimit: 1
+  },
+
+  // ==================== REFERRALS ====================
+  referral: {
+    // Credited to the new passenger when they sign up with a referral code
+    refereeCredit: 50,
+
+    // Credited to the referrer when that passenger's first booking completes
+    referrerCredit: 100,
+
+    // Length of generated referral codes
+    codeLength: 8
+  }
+};
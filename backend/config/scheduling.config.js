@@ -56,12 +56,25 @@ module.exports = {
     
     // Auto-cancel if delay exceeds (minutes)
     autoCancelDelayMinutes: 360,
+
+    // Delay recovery when projecting from the train's current position
+    // (used only when the source gives no expected time for a station)
+    recovery: {
+      // Minutes of delay typically made up per stop run ahead
+      minutesPerStop: 3,
+      // Never project more than this share of the current delay as recovered
+      maxRecoveryPercent: 50
+    },
     
-    // Sources for live train data (priority order)
+    // Sources for live train data (priority order, first source with data wins)
+    // provider: 'http' = GET <baseUrl>/<trainNumber>, 'file' = recorded JSON in <dir>/<trainNumber>.json
+    // Sources without a baseUrl/dir are skipped. Replay serves recorded (fake)
+    // delays, so it only runs when TRAIN_STATUS_REPLAY_DIR is set (e.g. data/running-status)
     dataSources: [
-      { name: 'NTES', priority: 1, enabled: true },
-      { name: 'RailYatri', priority: 2, enabled: false },
-      { name: 'WhereIsMyTrain', priority: 3, enabled: false }
+      { name: 'NTES', priority: 1, enabled: true, provider: 'http', options: { baseUrl: process.env.NTES_STATUS_URL } },
+      { name: 'RailYatri', priority: 2, enabled: false, provider: 'http', options: { baseUrl: process.env.RAILYATRI_STATUS_URL } },
+      { name: 'WhereIsMyTrain', priority: 3, enabled: false, provider: 'http', options: { baseUrl: process.env.WIMT_STATUS_URL } },
+      { name: 'Replay', priority: 4, enabled: Boolean(process.env.TRAIN_STATUS_REPLAY_DIR), provider: 'file', options: { dir: process.env.TRAIN_STATUS_REPLAY_DIR } }
     ]
   },
   
@@ -84,7 +97,50 @@ module.exports = {
     
     // Auto-assign vs manual assignment threshold
     // Tasks within this time are auto-assigned
-    autoAssignWithinMinutes: 120
+    autoAssignWithinMinutes: 120,
+    
+    // Batch optimizer: each station's pending tasks in the look-ahead window
+    // are planned together (weighted bipartite matching) before the per-task
+    // pass, which then only handles what the plan left unassigned
+    batchOptimizer: {
+      enabled: true,
+      
+      // Score an assistant loses per task they already hold (spreads load)
+      loadPenalty: 10,
+      
+      // New tasks one assistant can be planned per run. Assigning a task
+      // locks the assistant (isEligibleForBookings) until it is released,
+      // so a second task in the same run would fail validation
+      tasksPerAssistantPerRun: 1,
+      
+      // Most pending tasks planned per station in one run
+      maxTasksPerStation: 50
+    }
+  },
+
+  // ==================== BOOKING OFFERS ====================
+  offers: {
+    // false = matching assigns the best assistant directly (no acceptance step)
+    enabled: true,
+
+    // 'sequential' = one candidate at a time, the next once it declines or
+    // the offer expires; 'parallel' = the whole round at once, first accept wins.
+    // Offers expire after sla.assignmentResponseSeconds
+    mode: 'sequential',
+
+    // Highest-scoring candidates offered per round
+    candidatesPerRound: 3,
+
+    // How often expired offers are swept and cascaded (seconds)
+    sweepIntervalSeconds: 15,
+
+    // Acceptance rate in the match score: (rate - 50%) scaled to +/- maxPoints,
+    // once an assistant has minResponses responses within windowDays
+    acceptance: {
+      windowDays: 30,
+      minResponses: 5,
+      maxPoints: 20
+    }
   },
   
   // ==================== NOTIFICATIONS ====================
@@ -101,6 +157,49 @@ module.exports = {
     // Notify passenger of assistant ETA
     passengerETAEnabled: true
   },
+
+  // ==================== SCHEDULED JOBS ====================
+  // Durable timers (ScheduledJob) - the notifications reminders and
+  // escalations above are queued per task when it is created, assigned or
+  // rescheduled, and survive restarts
+  jobs: {
+    // How often due jobs are picked up (seconds)
+    pollIntervalSeconds: 15,
+    
+    // A failing job is retried this many times, retryDelaySeconds apart
+    maxAttempts: 3,
+    retryDelaySeconds: 60,
+    
+    // A job still running after this long is assumed lost (crash) and rerun (seconds)
+    lockSeconds: 120,
+    
+    // Finished jobs are kept this long (days)
+    retentionDays: 7
+  },
+
+  // ==================== LIVE LOCATION ====================
+  location: {
+    // Fixes from one assistant are kept at most this often (seconds)
+    minIntervalSeconds: 10,
+
+    // Fixes less accurate than this are dropped (metres)
+    maxAccuracyMeters: 150,
+
+    // Within this distance of the station's coordinates the assistant is
+    // checked in to the task automatically (metres)
+    geofenceRadiusMeters: 250,
+
+    // ETA speed: the device's speed, else the speed since the last fix,
+    // else defaultSpeedKmh - kept between minSpeedKmh and maxSpeedKmh
+    defaultSpeedKmh: 20,
+    minSpeedKmh: 4,
+    maxSpeedKmh: 60,
+
+    // Points of closed tasks are swept this often (minutes); points older
+    // than retentionHours are dropped even if the task never closed
+    purgeIntervalMinutes: 10,
+    retentionHours: 24
+  },
   
   // ==================== OPERATIONAL WINDOWS ====================
   operational: {
@@ -131,7 +230,10 @@ module.exports = {
     // Response time for assignment (seconds)
     assignmentResponseSeconds: 120,
     
-    // Penalties
+    // No check-in this long after assistantArrivalTime = no-show (minutes)
+    noShowAfterMinutes: 30,
+    
+    // Penalties (percent of the task's earnings)
     lateArrivalPenaltyPercent: 10,
     noShowPenaltyPercent: 100
   },
@@ -146,5 +248,48 @@ module.exports = {
     
     // Buffer capacity percentage (extra assistants)
     bufferCapacityPercent: 20
+  },
+  
+  // ==================== SHIFTS & AVAILABILITY ====================
+  shifts: {
+    // Station local time zone (IANA name) - timetables, weekly availability
+    // (HH:MM) and rosters are in it, whatever TZ the server runs in (services/localTime.js)
+    timeZone: process.env.STATION_TIME_ZONE || 'Asia/Kolkata',
+    
+    // Longest roster shift an admin can create (hours)
+    maxShiftHours: 12,
+    
+    // How far ahead admins can roster (days)
+    maxRosterAheadDays: 60,
+    
+    // A task needs the assistant from assistantArrivalTime until the train
+    // arrives plus sla.maxTaskDurationMinutes; without a train time, until
+    // this long after the scheduled time
+    defaultTaskMinutes: 60,
+    
+    // true = assistants with neither a roster shift nor published weekly
+    // availability covering a task are never auto-assigned it.
+    // false = they are still considered (while assistants publish calendars)
+    requireSchedule: true
+  },
+  
+  // ==================== DEMAND FORECAST ====================
+  forecast: {
+    // Weeks of ServiceTask history averaged per station, day of week and hour
+    lookbackWeeks: 8,
+    
+    // How often the demand profiles are rebuilt (minutes)
+    rebuildIntervalMinutes: 6 * 60,
+    
+    // Longest forecast one request can ask for (hours)
+    maxHorizonHours: 7 * 24,
+    
+    // Tasks one assistant handles per hour = targetTasksPerShift / standardShiftHours
+    standardShiftHours: 8,
+    
+    // Admin dashboard: how far ahead understaffed windows are flagged (hours),
+    // and how long the flags are cached between refreshes (minutes)
+    alertHorizonHours: 24,
+    alertCacheMinutes: 5
   }
 };
@@ -139,4 +139,26 @@ async function attachAssistantStatus(req, res, next) {
   }
 }
 
-module.exports = { authenticate, authorize, requireApprovedAssistant, attachAssistantStatus, SECRET };
+/**
+ * Socket.IO handshake middleware
+ * Expects the JWT in `auth.token` (or a Bearer Authorization header) and attaches the payload as socket.user
+ */
+function authenticateSocket(socket, next) {
+  let token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    const h = socket.handshake.headers && socket.handshake.headers['authorization'];
+    if (h && h.startsWith('Bearer ')) token = h.split(' ')[1];
+  }
+  if (!token) {
+    return next(new Error('Missing auth token'));
+  }
+  try {
+    socket.user = jwt.verify(token, SECRET);
+    next();
+  } catch (err) {
+    console.warn('[authenticateSocket] Invalid token:', err.message);
+    next(new Error('Invalid token'));
+  }
+}
+
+module.exports = { authenticate, authorize, requireApprovedAssistant, attachAssistantStatus, authenticateSocket, SECRET };
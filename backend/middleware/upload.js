@@ -8,7 +8,7 @@ const path = require('path');
 const fs = require('fs');
 
 // Ensure upload directories exist
-const uploadDirs = ['uploads/aadhar', 'uploads/pan', 'uploads/photos'];
+const uploadDirs = ['uploads/aadhar', 'uploads/pan', 'uploads/photos', 'uploads/certifications'];
 uploadDirs.forEach(dir => {
   const fullPath = path.join(__dirname, '..', dir);
   if (!fs.existsSync(fullPath)) {
@@ -56,6 +56,7 @@ const fileFilter = (req, file, cb) => {
 const aadharStorage = createStorage('aadhar');
 const panStorage = createStorage('pan');
 const photoStorage = createStorage('photos');
+const certificateStorage = createStorage('certifications');
 
 // Single file uploaders
 const uploadAadhar = multer({
@@ -76,6 +77,12 @@ const uploadPhoto = multer({
   fileFilter
 }).single('photo');
 
+const uploadCertificate = multer({
+  storage: certificateStorage,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter
+}).single('document');
+
 // Combined uploader for all three files at once
 const uploadAllDocuments = multer({
   storage: multer.diskStorage({
@@ -135,6 +142,7 @@ module.exports = {
   uploadAadhar: handleUpload(uploadAadhar),
   uploadPan: handleUpload(uploadPan),
   uploadPhoto: handleUpload(uploadPhoto),
+  uploadCertificate: handleUpload(uploadCertificate),
   uploadAllDocuments: handleUpload(uploadAllDocuments),
   ALLOWED_TYPES,
   MAX_FILE_SIZE
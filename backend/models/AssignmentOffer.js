@@ -0,0 +1,59 @@
+/**
+ * AssignmentOffer Model
+ *
+ * One offer of a booking to one assistant. Matching ranks candidates and
+ * offers the booking to the top few (one at a time or all at once, see
+ * scheduling.config offers); the first to accept gets it, unanswered offers
+ * expire after sla.assignmentResponseSeconds and cascade to the next
+ * candidate (see services/offerService.js).
+ *
+ * queued    - waiting for the candidates ranked above to respond (sequential mode)
+ * offered   - sent to the assistant, expires at expiresAt
+ * accepted / declined / expired - the assistant's response
+ * withdrawn - the booking was taken, cancelled or the assistant became unavailable
+ */
+
+const mongoose = require('mongoose');
+
+const OFFER_STATUSES = ['queued', 'offered', 'accepted', 'declined', 'expired', 'withdrawn'];
+
+const AssignmentOfferSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    required: true
+  },
+  station: { type: String, default: '' },
+
+  // Offer round of the booking (a new round starts when every candidate of the last one passed)
+  round: { type: Number, default: 1 },
+  // Position in the round's ranking (1 = best match)
+  rank: { type: Number, required: true },
+  score: { type: Number, default: 0 },
+  mode: { type: String, enum: ['sequential', 'parallel'], default: 'sequential' },
+
+  status: { type: String, enum: OFFER_STATUSES, default: 'queued' },
+  offeredAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  respondedAt: { type: Date, default: null },
+  responseSeconds: { type: Number, default: null },
+  declineReason: { type: String, trim: true, default: '' },
+  withdrawReason: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+// Open offers of a booking (cascade, withdrawal)
+AssignmentOfferSchema.index({ bookingId: 1, status: 1 });
+// Expiry sweep
+AssignmentOfferSchema.index({ status: 1, expiresAt: 1 });
+// An assistant's offers (open offers, acceptance telemetry)
+AssignmentOfferSchema.index({ assistantId: 1, status: 1, offeredAt: -1 });
+
+module.exports = mongoose.model('AssignmentOffer', AssignmentOfferSchema);
+module.exports.OFFER_STATUSES = OFFER_STATUSES;
@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const accessibilityConfig = require('../config/accessibility.config');
+
+// Skills an assistant can be certified for; accessibility services require one
+// (see config/accessibility.config.js)
+const ASSISTANT_SKILLS = ['wheelchair', 'stretcher', 'battery_car', 'visually_impaired_guide', 'first_aid', 'heavy_luggage'];
+const CERTIFICATION_TYPES = Object.keys(accessibilityConfig.certifications.types);
+const CERTIFICATION_STATUSES = ['pending', 'verified', 'rejected', 'expired'];
+
+const CertificationSchema = new mongoose.Schema({
+  type: { type: String, enum: CERTIFICATION_TYPES, required: true },
+  issuingBody: { type: String, required: true, trim: true },
+  certificateNumber: { type: String, trim: true, default: '' },
+  issuedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },          // null = does not expire
+  documentPath: { type: String, default: null },      // Multer upload (uploads/certifications)
+  status: { type: String, enum: CERTIFICATION_STATUSES, default: 'pending' },
+  verifiedBy: { type: String, default: null },
+  verifiedAt: { type: Date, default: null },
+  remark: { type: String, default: '' },
+  reminderSentAt: { type: Date, default: null },
+  expiredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Recurring weekly availability in station local time; end <= start runs past
+// midnight (e.g. 22:00-06:00)
+const AvailabilitySlotSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+  start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+  end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }
+}, { _id: false });
+
+// One-off leave; no shift or task is given to the assistant while on leave
+const LeaveSchema = new mongoose.Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  reason: { type: String, trim: true, default: '' }
+}, { timestamps: true });
 
 const AssistantSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -9,6 +46,15 @@ const AssistantSchema = new mongoose.Schema({
   languages: [{ type: String, trim: true }],
   permanentAddress: { type: String, default: '' },
   yearsOfExperience: { type: Number, default: 0 },
+  // Certificates and the skills of the verified, unexpired ones
+  // (kept in step by certificationService; matching queries certifiedSkills)
+  certifications: [CertificationSchema],
+  certifiedSkills: [{ type: String, enum: ASSISTANT_SKILLS }],
+
+  // Availability calendar (see services/shiftService.js); admins roster
+  // shifts (models/Shift.js) inside it
+  weeklyAvailability: [AvailabilitySlotSchema],
+  leave: [LeaveSchema],
   
   // Application workflow fields (Uber-like onboarding)
   hasApplied: { type: Boolean, default: false },
@@ -29,6 +75,19 @@ const AssistantSchema = new mongoose.Schema({
   currentBookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
   totalBookingsCompleted: { type: Number, default: 0 },
   totalEarnings: { type: Number, default: 0 },
+
+  // Booking offer responses over the last offers.acceptance.windowDays
+  // (recomputed by services/offerService.js; acceptanceRate feeds the match score)
+  offerStats: {
+    offered: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    declined: { type: Number, default: 0 },
+    expired: { type: Number, default: 0 },
+    responded: { type: Number, default: 0 },
+    acceptanceRate: { type: Number, default: null },
+    avgResponseSeconds: { type: Number, default: null },
+    updatedAt: { type: Date, default: null }
+  },
   
   // Document file paths (Multer uploads)
   aadharFilePath: { type: String, default: null },
@@ -57,6 +116,7 @@ const AssistantSchema = new mongoose.Schema({
 // Ensure one assistant per userId when set
 AssistantSchema.index({ userId: 1 }, { unique: true, sparse: true });
 AssistantSchema.index({ station: 1, isOnline: 1, applicationStatus: 1 });
+AssistantSchema.index({ 'certifications.status': 1, 'certifications.expiresAt': 1 });
 
 // Virtual to get all document URLs
 AssistantSchema.virtual('documentUrls').get(function() {
@@ -72,3 +132,6 @@ AssistantSchema.set('toJSON', { virtuals: true });
 AssistantSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Assistant', AssistantSchema);
+module.exports.ASSISTANT_SKILLS = ASSISTANT_SKILLS;
+module.exports.CERTIFICATION_TYPES = CERTIFICATION_TYPES;
+module.exports.CERTIFICATION_STATUSES = CERTIFICATION_STATUSES;
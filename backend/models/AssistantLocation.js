@@ -0,0 +1,54 @@
+/**
+ * AssistantLocation Model
+ *
+ * Position fixes an assistant shares over Socket.IO while working a task.
+ * Points are only stored while the task is assigned or in progress and are
+ * deleted once it closes (see services/locationService.js); the TTL index is
+ * a backstop for tasks that never close.
+ */
+
+const mongoose = require('mongoose');
+const { retentionHours } = require('../config/scheduling.config').location;
+
+const AssistantLocationSchema = new mongoose.Schema({
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceTask',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+
+  // GeoJSON point - coordinates are [longitude, latitude]
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+  },
+  accuracyMeters: { type: Number, default: null },
+  speedMps: { type: Number, default: null },
+  heading: { type: Number, default: null },
+
+  // Straight-line distance to the task's station and the ETA derived from it
+  distanceMeters: { type: Number, default: null },
+  etaMinutes: { type: Number, default: null },
+  insideGeofence: { type: Boolean, default: false },
+
+  recordedAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+// Latest points of a task (ETA speed, purge)
+AssistantLocationSchema.index({ taskId: 1, recordedAt: -1 });
+AssistantLocationSchema.index({ bookingId: 1 });
+AssistantLocationSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionHours * 60 * 60 });
+
+module.exports = mongoose.model('AssistantLocation', AssistantLocationSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// One issued OTP (services/otpService.js) - the code itself is never stored
+const OtpSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  issuedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  // Wrong guesses since issue / the last lockout
+  attempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  // Issue times within the last hour (resend throttling)
+  sentAt: [Date]
+}, { _id: false });
+
 const BookingSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   passengerName: { type: String, required: true },
@@ -11,6 +23,22 @@ const BookingSchema = new mongoose.Schema({
   trainNumber: { type: String, default: '' },
   coach: { type: String },
   seat: { type: String },
+  
+  // Station codes (createServiceTasks reads these; round trip uses pickup + drop)
+  stationCode: { type: String, default: '' },
+  pickupStationCode: { type: String, default: '' },
+  pickupStationName: { type: String, default: '' },
+  dropStationCode: { type: String, default: '' },
+  dropStationName: { type: String, default: '' },
+  
+  // PNR prefill - train, stations, coach and seat came from the PNR, not the form
+  pnr: { type: String, default: '', index: true },
+  
+  // Journey - journeyDate is the day at the (first) service station;
+  // trainStartDate is when that run left its origin (task times derive from it)
+  journeyDate: { type: Date, default: null },
+  trainStartDate: { type: Date, default: null },
+  
   services: [String],
   language: { type: String },
   preferredLanguages: [{ type: String }],
@@ -72,6 +100,16 @@ const BookingSchema = new mongoose.Schema({
     enum: ['Pending', 'Searching', 'Assigned', 'Accepted', 'Start Pending', 'In Progress', 'Completion Pending', 'Completed', 'Rejected', 'Cancelled', 'Emergency'], 
     default: 'Pending' 
   },
+
+  // Every status change, written by bookingStateService.transitionBooking
+  statusHistory: [{
+    from: { type: String, default: null }, // null = booking created
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actorRole: { type: String, enum: ['passenger', 'assistant', 'admin', 'system'], default: 'system' },
+    actorId: { type: String, default: null },
+    reason: { type: String, default: '' }
+  }],
   
   // Assistant Assignment
   assistantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assistant', default: null },
@@ -81,14 +119,43 @@ const BookingSchema = new mongoose.Schema({
   
   // Payment
   price: { type: Number, default: 0 },
-  paymentStatus: { type: String, enum: ['Pending', 'Paid', 'Refunded', 'Failed'], default: 'Pending' },
+  paymentStatus: { type: String, enum: ['Pending', 'Authorized', 'Paid', 'Partially Refunded', 'Refunded', 'Failed'], default: 'Pending' },
   paymentMethod: { type: String, default: '' },
   transactionId: { type: String, default: '' },
+
+  // Platform-funded discounts already taken off price (assistants earn on price + total)
+  discount: {
+    promoCode: { type: String, default: '' },
+    promoId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null },
+    promoAmount: { type: Number, default: 0 },
+    walletAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+
+  // PricingRule version that priced this booking (version 0 = built-in prices)
+  pricingRule: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule', default: null },
+    scope: { type: String, default: 'builtin' },
+    scopeKey: { type: String, default: '' },
+    version: { type: Number, default: 0 },
+    multiplier: { type: Number, default: 1 },
+    multipliers: {
+      timeOfDay: { type: Number, default: 1 },
+      festival: { type: Number, default: 1 },
+      surge: { type: Number, default: 1 }
+    },
+    platformFee: { type: Number, default: null }
+  },
   
-  // OTPs
-  otp: { type: String },
-  startOtp: { type: String },
-  completionOtp: { type: String },
+  // OTPs - hashed, and only loaded when selected ('+otps')
+  otps: {
+    type: new mongoose.Schema({
+      booking: { type: OtpSchema, default: null },
+      start: { type: OtpSchema, default: null },
+      completion: { type: OtpSchema, default: null }
+    }, { _id: false }),
+    select: false
+  },
   
   // Emergency
   isEmergency: { type: Boolean, default: false },
@@ -103,6 +170,14 @@ const BookingSchema = new mongoose.Schema({
   hasFeedback: { type: Boolean, default: false }
 }, { timestamps: true });
 
+// Record the initial status so the history covers the booking's whole life
+BookingSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actorRole: this.userId ? 'passenger' : 'system' });
+  }
+  next();
+});
+
 // Indexes for fast queries
 BookingSchema.index({ status: 1, station: 1 });
 BookingSchema.index({ assistantId: 1, status: 1 });
@@ -0,0 +1,39 @@
+/**
+ * ChatMessage Model
+ *
+ * Persistent chat history for a booking's conversation room.
+ * Passenger, assigned assistant(s) and admins all post into the same room.
+ */
+
+const mongoose = require('mongoose');
+
+const ChatMessageSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+
+  // Sender (User id from the JWT, role at time of sending)
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  senderRole: {
+    type: String,
+    enum: ['passenger', 'assistant', 'admin'],
+    required: true
+  },
+  senderName: { type: String, default: '' },
+
+  text: { type: String, required: true, trim: true, maxlength: 2000 },
+
+  // Read receipts: one entry per user who has seen the message
+  readBy: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String },
+    readAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+ChatMessageSchema.index({ bookingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
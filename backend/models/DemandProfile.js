@@ -0,0 +1,26 @@
+/**
+ * DemandProfile Model
+ *
+ * Average service tasks a station sees in one hour of one day of the week
+ * (station local time), built from ServiceTask history by
+ * services/forecastService.js. Hours with no history have no document.
+ */
+
+const mongoose = require('mongoose');
+
+const DemandProfileSchema = new mongoose.Schema({
+  stationCode: { type: String, required: true, uppercase: true },
+  dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+  hour: { type: Number, min: 0, max: 23, required: true },
+
+  avgTasks: { type: Number, default: 0 },
+  peakTasks: { type: Number, default: 0 },  // busiest week in the lookback
+  weeksObserved: { type: Number, default: 0 },
+  builtAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+DemandProfileSchema.index({ stationCode: 1, dayOfWeek: 1, hour: 1 }, { unique: true });
+
+module.exports = mongoose.model('DemandProfile', DemandProfileSchema);
@@ -0,0 +1,88 @@
+/**
+ * Earning Model
+ *
+ * What an assistant earned for one completed service task. Created once per
+ * task when it completes (earningsService.recordTaskEarning) and settled
+ * through a weekly PayoutBatch: unpaid -> batched -> paid.
+ *
+ * SLA penalties (SlaIncident) reduce netAmount. A penalty that changes after
+ * the task earning was batched is recorded as a separate 'adjustment' earning
+ * for the same task, settled in the next payout.
+ */
+
+const mongoose = require('mongoose');
+
+const EarningSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceTask',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['task', 'adjustment'],
+    default: 'task'
+  },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    required: true
+  },
+
+  taskType: { type: String, default: '' },
+  station: { type: String, default: '' },
+  earnedAt: { type: Date, required: true },
+
+  // Split inputs, kept so statements stay correct if the config changes
+  bookingPrice: { type: Number, required: true },   // before platform-funded discounts
+  platformFee: { type: Number, required: true },
+  taskCount: { type: Number, default: 1 },    // service revenue is shared equally per task
+  sharePercent: { type: Number, required: true },
+
+  // Task's share of (bookingPrice - platformFee)
+  grossAmount: { type: Number, required: true },
+  // Assistant's cut: grossAmount * sharePercent / 100 (0 for adjustments)
+  amount: { type: Number, required: true },
+
+  // SLA penalty; negative on an adjustment that returns a waived penalty
+  penaltyPercent: { type: Number, default: 0 },
+  penaltyAmount: { type: Number, default: 0 },
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlaIncident',
+    default: null
+  },
+
+  // What is paid out: amount - penaltyAmount
+  netAmount: { type: Number, required: true },
+  memo: { type: String, default: '' },
+
+  status: {
+    type: String,
+    enum: ['unpaid', 'batched', 'paid'],
+    default: 'unpaid'
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// One task earning per task; adjustments may repeat
+EarningSchema.index({ taskId: 1 }, { unique: true, partialFilterExpression: { kind: 'task' } });
+EarningSchema.index({ assistantId: 1, earnedAt: -1 });
+EarningSchema.index({ status: 1, earnedAt: 1 });
+
+module.exports = mongoose.model('Earning', EarningSchema);
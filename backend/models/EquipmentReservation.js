@@ -0,0 +1,51 @@
+/**
+ * EquipmentReservation Model
+ *
+ * One slot of one unit of station equipment (wheelchair, stretcher, battery
+ * car) held for a booking. A hold covering 08:10-09:05 is stored as one
+ * document per slot it touches; the unique index on
+ * (stationCode, equipmentType, unit, slotStart) is what stops two bookings
+ * from claiming the same unit at the same time, even when they race.
+ *
+ * All slots of one hold share holdId, holdStart and holdEnd.
+ */
+
+const mongoose = require('mongoose');
+const accessibilityConfig = require('../config/accessibility.config');
+
+const EQUIPMENT_TYPES = Object.keys(accessibilityConfig.equipment.inventoryField);
+
+const EquipmentReservationSchema = new mongoose.Schema({
+  stationCode: { type: String, required: true, uppercase: true },
+  equipmentType: { type: String, enum: EQUIPMENT_TYPES, required: true },
+  unit: { type: Number, required: true, min: 1 },       // 1..Station.facilities count
+  slotStart: { type: Date, required: true },
+
+  holdId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  holdStart: { type: Date, required: true },
+  holdEnd: { type: Date, required: true },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceTask',
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+EquipmentReservationSchema.index(
+  { stationCode: 1, equipmentType: 1, unit: 1, slotStart: 1 },
+  { unique: true }
+);
+// Past slots are of no further use
+EquipmentReservationSchema.index({ slotStart: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EquipmentReservation', EquipmentReservationSchema);
+module.exports.EQUIPMENT_TYPES = EQUIPMENT_TYPES;
@@ -0,0 +1,59 @@
+/**
+ * LedgerEntry Model
+ *
+ * Double-entry settlement ledger. Each money movement is one transaction
+ * (shared txnId) of two or more lines whose debits equal their credits.
+ * Lines are append-only; corrections are posted as new reversing transactions.
+ *
+ * Accounts:
+ * - gateway_clearing   - captured money held by the payment gateway
+ * - platform_revenue   - platform fee and fees kept on unassigned bookings
+ * - assistant_payable  - owed to an assistant (assistantId set on the line)
+ * - bank               - money paid out to assistants (payout batches)
+ */
+
+const mongoose = require('mongoose');
+
+const LEDGER_ACCOUNTS = ['gateway_clearing', 'platform_revenue', 'assistant_payable', 'bank'];
+
+const LedgerEntrySchema = new mongoose.Schema({
+  txnId: { type: String, required: true, index: true },
+
+  // What caused the transaction
+  type: {
+    type: String,
+    enum: ['capture', 'refund', 'adjustment', 'payout'],
+    required: true
+  },
+
+  account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    default: null
+  },
+
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null,
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+
+  memo: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+LedgerEntrySchema.index({ account: 1, assistantId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
@@ -0,0 +1,79 @@
+/**
+ * Notification Model
+ *
+ * One message to one recipient over one channel - the delivery queue and the
+ * delivery log in one (see services/notificationService.js).
+ *
+ * queued      - waiting for its first or next attempt (nextAttemptAt)
+ * sent        - accepted by the channel's adapter
+ * dead_letter - retry.maxAttempts failed, or a permanent failure; an admin can requeue it
+ * skipped     - nothing to send to (no address for the channel)
+ *
+ * `content` holds the rendered message until it is sent - a dead letter keeps
+ * it for requeueing unless it carried an OTP or reset code; `preview` keeps
+ * the message with secrets masked.
+ */
+
+const mongoose = require('mongoose');
+const { logRetentionDays } = require('../config/notifications.config');
+
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'push'];
+const NOTIFICATION_STATUSES = ['queued', 'sent', 'dead_letter', 'skipped'];
+
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  adapter: { type: String, required: true },
+  ok: { type: Boolean, required: true },
+  error: { type: String, default: '' },
+  retryable: { type: Boolean, default: true },
+  providerMessageId: { type: String, default: null }
+}, { _id: false });
+
+const NotificationSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  locale: { type: String, default: 'en' },
+
+  recipient: {
+    role: { type: String, enum: ['passenger', 'assistant', 'admin', 'guest'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assistantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assistant', default: null },
+    // Phone / email / push endpoint count, masked for the log
+    address: { type: String, default: '' }
+  },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+  taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceTask', default: null },
+
+  content: {
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+    subject: { type: String, default: '' },
+    text: { type: String, default: '' },
+    data: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  preview: { type: String, default: '' },
+
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: 'queued' },
+  attempts: { type: [AttemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  deadLetteredAt: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+
+  // Same key = same message (reminders, resends within one event)
+  dedupeKey: { type: String, default: undefined }
+}, {
+  timestamps: true
+});
+
+// Retry sweep
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log views
+NotificationSchema.index({ bookingId: 1, createdAt: -1 });
+NotificationSchema.index({ 'recipient.userId': 1, createdAt: -1 });
+NotificationSchema.index({ event: 1, status: 1, createdAt: -1 });
+NotificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: logRetentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -0,0 +1,61 @@
+/**
+ * Payment Model
+ *
+ * One payment per booking: an authorization hold placed at booking time,
+ * captured on completion, voided or refunded on cancel/reject.
+ * Money movements are also posted to the ledger (LedgerEntry).
+ */
+
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+
+  gateway: { type: String, required: true },
+  method: { type: String, default: 'upi' },
+  currency: { type: String, default: 'INR' },
+
+  // Amount held at booking time
+  amount: { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'],
+    default: 'authorized',
+    index: true
+  },
+
+  // Gateway references
+  authorizationRef: { type: String, default: null, index: true },
+  captureRef: { type: String, default: null },
+
+  capturedAmount: { type: Number, default: 0 },
+  capturedAt: { type: Date, default: null },
+  refundedAmount: { type: Number, default: 0 },
+
+  refunds: [{
+    ref: { type: String, required: true },
+    amount: { type: Number, required: true },
+    reason: { type: String, default: '' },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+    at: { type: Date, default: Date.now }
+  }],
+
+  failureReason: { type: String, default: '' },
+
+  // Processed webhook event ids (idempotency)
+  webhookEvents: [{
+    eventId: { type: String, required: true },
+    type: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,42 @@
+/**
+ * PayoutBatch Model
+ *
+ * One weekly payout run: unpaid Earnings up to periodEnd grouped per assistant.
+ * Lifecycle: draft -> approved (admin) -> paid (admin, posts the payout to the ledger).
+ */
+
+const mongoose = require('mongoose');
+
+const PayoutBatchSchema = new mongoose.Schema({
+  periodStart: { type: Date, required: true, index: true },
+  periodEnd: { type: Date, required: true },
+
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid'],
+    default: 'draft',
+    index: true
+  },
+
+  items: [{
+    assistantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assistant', required: true },
+    assistantName: { type: String, default: '' },
+    earningsCount: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+  }],
+  totalAmount: { type: Number, default: 0 },
+
+  createdBy: { type: String, default: null },
+  approvedBy: { type: String, default: null },
+  approvedAt: { type: Date, default: null },
+  paidBy: { type: String, default: null },
+  paidAt: { type: Date, default: null },
+
+  // Bank transfer / UTR reference entered when marking paid
+  paymentReference: { type: String, default: '' },
+  ledgerTxnId: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema);
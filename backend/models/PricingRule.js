@@ -0,0 +1,86 @@
+/**
+ * PricingRule Model
+ *
+ * Versioned price tables with demand multipliers. A rule applies to one scope:
+ * - station       - scopeKey is the station code (e.g. 'NDLS')
+ * - station_type  - scopeKey is junction | terminal | regular | halt
+ * - default       - scopeKey is '*'
+ * The most specific active rule wins; with none, pricingService constants apply.
+ *
+ * Rules are never edited in place: an update inserts version N+1 and marks
+ * version N superseded, so every booking's recorded version stays reproducible.
+ */
+
+const mongoose = require('mongoose');
+
+const PRICING_SCOPES = ['station', 'station_type', 'default'];
+
+const MultiplierWindowSchema = new mongoose.Schema({
+  label: { type: String, default: '' },
+  // Station local hours, end exclusive; startHour > endHour wraps midnight (e.g. 22 -> 5)
+  startHour: { type: Number, min: 0, max: 24, required: true },
+  endHour: { type: Number, min: 0, max: 24, required: true },
+  multiplier: { type: Number, min: 0, required: true }
+}, { _id: false });
+
+const FestivalSchema = new mongoose.Schema({
+  date: { type: String, required: true },   // YYYY-MM-DD (station local)
+  label: { type: String, default: '' },
+  multiplier: { type: Number, min: 0, required: true }
+}, { _id: false });
+
+const SurgeStepSchema = new mongoose.Schema({
+  // Open tasks at the station in the surge window as a percent of capacity
+  minUtilizationPercent: { type: Number, min: 0, required: true },
+  multiplier: { type: Number, min: 0, required: true }
+}, { _id: false });
+
+const PricingRuleSchema = new mongoose.Schema({
+  scope: { type: String, enum: PRICING_SCOPES, required: true },
+  scopeKey: { type: String, required: true, uppercase: true, trim: true },
+  version: { type: Number, required: true, min: 1 },
+
+  status: {
+    type: String,
+    enum: ['active', 'superseded', 'retired'],
+    default: 'active',
+    index: true
+  },
+
+  // Price table (₹)
+  servicePrices: { type: Map, of: Number, default: {} },
+  luggagePrices: {
+    small: { type: Number, min: 0, required: true },
+    medium: { type: Number, min: 0, required: true },
+    large: { type: Number, min: 0, required: true }
+  },
+  platformFee: { type: Number, min: 0, required: true },
+
+  // Demand multipliers - applied to services + luggage, never to the platform fee
+  timeOfDay: { type: [MultiplierWindowSchema], default: [] },
+  festivals: { type: [FestivalSchema], default: [] },
+  surge: {
+    enabled: { type: Boolean, default: false },
+    windowHours: { type: Number, min: 1, default: 2 },
+    steps: { type: [SurgeStepSchema], default: [] }
+  },
+  // Cap on the combined multiplier
+  maxMultiplier: { type: Number, min: 1, default: 2.5 },
+
+  notes: { type: String, default: '' },
+  createdBy: { type: String, default: null },
+  previousVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PricingRule',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PricingRuleSchema.index({ scope: 1, scopeKey: 1, version: 1 }, { unique: true });
+// At most one active version per scope
+PricingRuleSchema.index({ scope: 1, scopeKey: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
+module.exports.PRICING_SCOPES = PRICING_SCOPES;
@@ -0,0 +1,46 @@
+/**
+ * PromoCode Model
+ *
+ * Percentage or flat discount codes created by admins. A code applies when it
+ * is active, inside its validity window, under its global and per-user usage
+ * limits, and the booking matches its station/serviceType restrictions.
+ * usedCount is incremented atomically on redemption (PromoRedemption).
+ */
+
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+
+  discountType: { type: String, enum: ['percent', 'flat'], required: true },
+  // Percent (0-100] or rupees
+  value: { type: Number, required: true, min: 0 },
+  // Cap for percent codes (null = no cap)
+  maxDiscount: { type: Number, default: null, min: 0 },
+  // Booking subtotal needed for the code to apply
+  minOrderAmount: { type: Number, default: 0, min: 0 },
+
+  validFrom: { type: Date, default: null },
+  validUntil: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+
+  // null = unlimited
+  usageLimit: { type: Number, default: null, min: 1 },
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+
+  // Empty = any
+  stations: { type: [String], default: [] },      // station codes, uppercase
+  serviceTypes: {
+    type: [String],
+    enum: ['pickup', 'drop', 'round_trip'],
+    default: []
+  },
+
+  createdBy: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,44 @@
+/**
+ * PromoRedemption Model
+ *
+ * One use of a promo code by a passenger's booking. Released (and the code's
+ * usedCount returned) when the booking is cancelled or rejected, so released
+ * redemptions do not count against the per-user limit.
+ */
+
+const mongoose = require('mongoose');
+
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: { type: String, required: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+
+  discountAmount: { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+PromoRedemptionSchema.index({ promoId: 1, userId: 1, status: 1 });
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
@@ -0,0 +1,70 @@
+/**
+ * ScheduleImport Model
+ *
+ * One timetable import run (services/scheduleImportService.js): a schedule CSV
+ * and/or train_info.csv, or a GTFS feed, diffed against Train/TrainStop.
+ * Lifecycle: queued -> running -> completed | failed.
+ * mode 'full' = the feed is the whole timetable, trains missing from it are deactivated.
+ */
+
+const mongoose = require('mongoose');
+
+const ScheduleImportSchema = new mongoose.Schema({
+  source: { type: String, enum: ['csv', 'gtfs'], required: true },
+  mode: { type: String, enum: ['partial', 'full'], default: 'partial' },
+  dryRun: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+
+  // Uploaded files ({ role: 'schedule' | 'trainInfo' | 'feed', name, path, size })
+  files: [{
+    role: { type: String },
+    name: { type: String },
+    path: { type: String },
+    size: { type: Number, default: 0 },
+    _id: false
+  }],
+
+  stats: {
+    rowsRead: { type: Number, default: 0 },
+    rowsFailed: { type: Number, default: 0 },
+    trainsInFeed: { type: Number, default: 0 },
+    trainsCreated: { type: Number, default: 0 },
+    trainsUpdated: { type: Number, default: 0 },
+    trainsReactivated: { type: Number, default: 0 },
+    trainsDeactivated: { type: Number, default: 0 },
+    stopsCreated: { type: Number, default: 0 },
+    stopsUpdated: { type: Number, default: 0 },
+    stopsRemoved: { type: Number, default: 0 },
+    stopsUnchanged: { type: Number, default: 0 }
+  },
+  progress: {
+    trainsProcessed: { type: Number, default: 0 },
+    trainsTotal: { type: Number, default: 0 }
+  },
+
+  // Row-level problems for the downloadable report (capped; errorCount is the full count)
+  rowErrors: [{
+    file: { type: String, default: '' },
+    line: { type: Number, default: null },
+    trainNumber: { type: String, default: '' },
+    stationCode: { type: String, default: '' },
+    message: { type: String, required: true },
+    _id: false
+  }],
+  errorCount: { type: Number, default: 0 },
+
+  failureReason: { type: String, default: '' },
+  createdBy: { type: String, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduleImport', ScheduleImportSchema);
@@ -0,0 +1,52 @@
+/**
+ * ScheduledJob Model
+ *
+ * A durable timer run by services/jobScheduler.js - stored in Mongo so jobs
+ * queued before a restart still run after it.
+ *
+ * scheduled - waiting for runAt (or a retry)
+ * running   - claimed by a worker until lockedUntil
+ * completed - the handler returned (result says what it did)
+ * failed    - jobs.maxAttempts attempts threw
+ * cancelled - no longer needed (task moved, booking closed); planning the
+ *             same key again reschedules it
+ */
+
+const mongoose = require('mongoose');
+const { retentionDays } = require('../config/scheduling.config').jobs;
+
+const JOB_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'cancelled'];
+
+const ScheduledJobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+
+  // Unique per job - scheduling the same key twice keeps the first job
+  key: { type: String, required: true },
+
+  runAt: { type: Date, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  status: { type: String, enum: JOB_STATUSES, default: 'scheduled' },
+  attempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  // Set once completed, failed or cancelled (retention)
+  finishedAt: { type: Date, default: null },
+  cancelReason: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+ScheduledJobSchema.index({ key: 1 }, { unique: true });
+// Due jobs
+ScheduledJobSchema.index({ status: 1, runAt: 1 });
+// Jobs of one task / booking
+ScheduledJobSchema.index({ 'payload.taskId': 1, status: 1 });
+ScheduledJobSchema.index({ 'payload.bookingId': 1, status: 1 });
+// Open jobs have finishedAt null and never expire
+ScheduledJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledJob', ScheduledJobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -129,18 +129,110 @@ const ServiceTaskSchema = new mongoose.Schema({
     default: null
   },
   
+  // Assistant check-in at the platform (SLA: compared with assistantArrivalTime)
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    default: null
+  },
+  
   // Task completion details
   completedAt: {
     type: Date,
     default: null
   },
   
+  // Timetable train arrival at this station (before any delay adjustment)
+  originalTrainArrival: {
+    type: Date,
+    default: null
+  },
+
+  // Latest expected train arrival at this station (from live status)
+  expectedTrainArrival: {
+    type: Date,
+    default: null
+  },
+
+  // Current delay at this station in minutes (negative = running early)
+  currentDelayMinutes: {
+    type: Number,
+    default: 0
+  },
+
+  // Train already passed this station before the task could be served
+  trainPassedStation: {
+    type: Boolean,
+    default: false
+  },
+
+  trainPassedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Structured history of schedule changes (delay reschedules, passed-station flags)
+  rescheduleHistory: [{
+    type: {
+      type: String,
+      enum: ['delay', 'recovery', 'station_passed', 'manual'],
+      required: true
+    },
+    at: { type: Date, default: Date.now },
+    source: { type: String, default: '' },
+    delayMinutes: { type: Number, default: 0 },
+    shiftMinutes: { type: Number, default: 0 },
+    oldScheduledTime: { type: Date, default: null },
+    newScheduledTime: { type: Date, default: null },
+    oldAssistantArrivalTime: { type: Date, default: null },
+    newAssistantArrivalTime: { type: Date, default: null },
+    expectedTrainArrival: { type: Date, default: null },
+    // Where the train was when the change was made
+    trainPosition: {
+      stationCode: { type: String, default: null },
+      stopSequence: { type: Number, default: null }
+    },
+    projected: { type: Boolean, default: false }, // true = delay projected from train position, not reported by source
+    reason: { type: String, default: '' }
+  }],
+
+  // Platform the train is expected at: the timetable platform until an admin
+  // or the assigned assistant overrides it (platform changed on the day)
+  platform: {
+    expected: { type: String, default: null },   // TrainStop.platform
+    current: { type: String, default: null },    // shown to the assistant
+    source: { type: String, enum: ['timetable', 'admin', 'assistant'], default: 'timetable' },
+    updatedAt: { type: Date, default: null },
+    updatedBy: { type: String, default: null }
+  },
+
+  platformHistory: [{
+    platform: { type: String, default: null },
+    previous: { type: String, default: null },
+    source: { type: String, enum: ['timetable', 'admin', 'assistant'], required: true },
+    by: { type: String, default: null },
+    reason: { type: String, default: '' },
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Where the passenger's coach stops, counted from the engine (Train.coachComposition)
+  coachPosition: {
+    coach: { type: String, default: null },
+    position: { type: Number, default: null },   // 1 = next to the engine
+    totalCoaches: { type: Number, default: null }
+  },
+
   // Notes or special instructions
   notes: {
     type: String,
     default: ''
   }
-}, { 
+}, {
   timestamps: true 
 });
 
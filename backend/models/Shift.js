@@ -0,0 +1,39 @@
+/**
+ * Shift Model
+ *
+ * One rostered shift of an assistant at a station. Admins build station
+ * rosters from these; auto-assignment only gives a task to an assistant whose
+ * shift covers it (see services/shiftService.js).
+ */
+
+const mongoose = require('mongoose');
+
+const SHIFT_STATUSES = ['scheduled', 'cancelled'];
+
+const ShiftSchema = new mongoose.Schema({
+  stationCode: { type: String, required: true, uppercase: true, trim: true },
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    required: true
+  },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  status: { type: String, enum: SHIFT_STATUSES, default: 'scheduled' },
+  notes: { type: String, trim: true, default: '' },
+
+  createdBy: { type: String, default: null },
+  cancelledBy: { type: String, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelReason: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+// Station roster for a time range
+ShiftSchema.index({ stationCode: 1, status: 1, start: 1 });
+// An assistant's shifts (overlap checks, coverage)
+ShiftSchema.index({ assistantId: 1, status: 1, start: 1 });
+
+module.exports = mongoose.model('Shift', ShiftSchema);
+module.exports.SHIFT_STATUSES = SHIFT_STATUSES;
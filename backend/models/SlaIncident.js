@@ -0,0 +1,74 @@
+/**
+ * SlaIncident Model
+ *
+ * A late arrival or no-show by the assistant assigned to a service task,
+ * classified automatically by slaService against schedulingConfig.sla.
+ * At most one incident per task and assistant (a late check-in after a
+ * no-show downgrades the incident to late_arrival).
+ *
+ * Lifecycle: applied -> appealed -> upheld | waived
+ * A waived incident's penalty is returned to the assistant's earnings.
+ */
+
+const mongoose = require('mongoose');
+
+const SlaIncidentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceTask',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    required: true,
+    index: true
+  },
+  station: { type: String, default: '' },
+
+  type: {
+    type: String,
+    enum: ['late_arrival', 'no_show'],
+    required: true
+  },
+
+  // What the classification was based on
+  expectedArrival: { type: Date, default: null },   // task.assistantArrivalTime
+  checkedInAt: { type: Date, default: null },
+  minutesLate: { type: Number, default: 0 },
+  arrivalWindowMinutes: { type: Number, default: 0 },
+
+  penaltyPercent: { type: Number, required: true },
+  // Amount deducted from the task's earning (0 until the task earns)
+  penaltyAmount: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ['applied', 'appealed', 'upheld', 'waived'],
+    default: 'applied',
+    index: true
+  },
+
+  appeal: {
+    reason: { type: String, default: '' },
+    submittedAt: { type: Date, default: null }
+  },
+
+  resolution: {
+    decision: { type: String, enum: ['accepted', 'rejected', null], default: null },
+    note: { type: String, default: '' },
+    resolvedBy: { type: String, default: null },
+    resolvedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+SlaIncidentSchema.index({ taskId: 1, assistantId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaIncident', SlaIncidentSchema);
@@ -0,0 +1,91 @@
+/**
+ * Station Model
+ *
+ * Station master data: identity, railway zone/division, Indian Railways
+ * category, platforms, accessibility facilities and location.
+ *
+ * stationType drives scheduling buffers and station_type pricing rules
+ * (junction | terminal | regular | halt). It is typeOverride when an admin
+ * set one (junctions, terminals), else derived from the category (HG = halt).
+ */
+
+const mongoose = require('mongoose');
+
+// NSG = non-suburban, SG = suburban, HG = halt (by earnings/footfall)
+const STATION_CATEGORIES = [
+  'NSG1', 'NSG2', 'NSG3', 'NSG4', 'NSG5', 'NSG6',
+  'SG1', 'SG2', 'SG3',
+  'HG1', 'HG2', 'HG3'
+];
+const STATION_TYPES = ['junction', 'terminal', 'regular', 'halt'];
+
+const StationSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  // Other spellings used by timetables and assistant profiles (e.g. 'NEW DELHI JN')
+  aliases: { type: [String], default: [] },
+  // Uppercased code, name and aliases - what lookups by name match against
+  nameKeys: { type: [String], index: true },
+
+  zone: { type: String, uppercase: true, trim: true, default: '' },       // e.g. 'SCR'
+  division: { type: String, trim: true, default: '' },                    // e.g. 'Secunderabad'
+  state: { type: String, trim: true, default: '' },
+  category: { type: String, enum: [...STATION_CATEGORIES, null], default: null },
+  typeOverride: { type: String, enum: [...STATION_TYPES, null], default: null },
+  stationType: { type: String, enum: STATION_TYPES, index: true },
+
+  platformCount: { type: Number, min: 0, default: 0 },
+  facilities: {
+    lifts: { type: Number, min: 0, default: 0 },
+    escalators: { type: Number, min: 0, default: 0 },
+    ramps: { type: Number, min: 0, default: 0 },
+    batteryCars: { type: Number, min: 0, default: 0 },
+    wheelchairPoints: { type: Number, min: 0, default: 0 },
+    // Units bookings can reserve (batteryCars too) - see EquipmentReservation
+    wheelchairs: { type: Number, min: 0, default: 0 },
+    stretchers: { type: Number, min: 0, default: 0 },
+    accessibleToilets: { type: Boolean, default: false },
+    footOverBridge: { type: Boolean, default: false }
+  },
+
+  // GeoJSON point - coordinates are [longitude, latitude]
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+
+  isActive: { type: Boolean, default: true, index: true },
+  notes: { type: String, default: '' },
+  updatedBy: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+StationSchema.index({ location: '2dsphere' }, { sparse: true });
+StationSchema.index({ zone: 1, division: 1 });
+
+/**
+ * Station type without an override: halts by category, everything else regular
+ * @param {string|null} category
+ * @returns {string}
+ */
+function stationTypeForCategory(category) {
+  return category && category.startsWith('HG') ? 'halt' : 'regular';
+}
+
+StationSchema.pre('validate', function(next) {
+  this.stationType = this.typeOverride || stationTypeForCategory(this.category);
+  this.aliases = [...new Set((this.aliases || []).map(a => String(a).trim()).filter(Boolean))];
+  this.nameKeys = [...new Set([this.code, this.name, ...this.aliases]
+    .filter(Boolean)
+    .map(n => String(n).trim().toUpperCase()))];
+  if (this.location && !(this.location.coordinates && this.location.coordinates.length === 2)) {
+    this.location = undefined;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Station', StationSchema);
+module.exports.STATION_CATEGORIES = STATION_CATEGORIES;
+module.exports.STATION_TYPES = STATION_TYPES;
+module.exports.stationTypeForCategory = stationTypeForCategory;
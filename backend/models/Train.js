@@ -36,6 +36,15 @@ const trainSchema = new mongoose.Schema({
   totalStops: {
     type: Number,
     default: 0
+  },
+  // Coach labels in order from the engine (e.g. ['SLR', 'GEN', 'S1', ... 'B1', 'A1'])
+  coachComposition: {
+    type: [String],
+    default: []
+  },
+  coachCompositionUpdatedAt: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
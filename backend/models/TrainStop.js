@@ -38,10 +38,24 @@ const trainStopSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Days after the origin departure (0 = same day); null = derive from times
+  arrivalDay: {
+    type: Number,
+    default: null
+  },
+  departureDay: {
+    type: Number,
+    default: null
+  },
   distance: {
     type: Number,
     default: 0
   },
+  // Usual platform number from the timetable (e.g. '3', '1A'); null = not known
+  platform: {
+    type: String,
+    default: null
+  },
   // Fare classes (in INR)
   fares: {
     firstAC: { type: Number, default: 0 },    // 1A
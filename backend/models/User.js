@@ -4,10 +4,46 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   role: { type: String, enum: ['passenger','assistant','admin'], required: true },
   phone: { type: String },
+  email: { type: String, trim: true, lowercase: true, default: '' },
   password: { type: String },
   resetToken: { type: String },
   resetExpires: { type: Date },
-  avatar: { type: String } // base64 or file path
+  avatar: { type: String }, // base64 or file path
+
+  // Wallet credit (platform-issued, spent at checkout) - see WalletTransaction
+  walletBalance: { type: Number, default: 0, min: 0 },
+
+  // Referrals
+  referralCode: { type: String, unique: true, sparse: true },
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  referralRewardedAt: { type: Date, default: null }, // referrer credited for this user
+
+  // Notifications - see services/notificationService.js
+  notificationPreferences: {
+    locale: { type: String, default: null }, // null = notifications.config defaultLocale
+    channels: {
+      sms: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+      push: { type: Boolean, default: true }
+    },
+    mutedEvents: { type: [String], default: [] } // critical events are sent regardless
+  },
+  // Admins: stations (codes or names, upper case) whose unconfirmed-task escalations they receive
+  adminStations: {
+    type: [String],
+    default: [],
+    set: stations => (stations || []).map(s => String(s).trim().toUpperCase()).filter(Boolean)
+  },
+  pushSubscriptions: [{
+    _id: false,
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: { type: String, default: '' },
+      auth: { type: String, default: '' }
+    },
+    userAgent: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,58 @@
+/**
+ * WalletTransaction Model
+ *
+ * Journal of a passenger's wallet (User.walletBalance). Every balance change
+ * is one entry with the balance after it, so the wallet can be audited and
+ * rebuilt. Wallet credit is platform-issued (referrals, admin goodwill) and is
+ * spent at checkout.
+ */
+
+const mongoose = require('mongoose');
+
+const WALLET_REASONS = [
+  'referral_signup',     // credited to the new passenger
+  'referral_reward',     // credited to the referrer
+  'booking_payment',     // spent on a booking
+  'booking_release',     // returned when that booking was cancelled/rejected
+  'admin_adjustment'
+];
+
+const WalletTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: { type: String, enum: ['credit', 'debit'], required: true },
+  reason: { type: String, enum: WALLET_REASONS, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  balanceAfter: { type: Number, required: true },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // Referred user for referral_reward
+  relatedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  memo: { type: String, default: '' },
+  createdBy: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+// At most one payment and one release per booking
+WalletTransactionSchema.index(
+  { bookingId: 1, reason: 1 },
+  { unique: true, partialFilterExpression: { reason: { $in: ['booking_payment', 'booking_release'] } } }
+);
+
+module.exports = mongoose.model('WalletTransaction', WalletTransactionSchema);
+module.exports.WALLET_REASONS = WALLET_REASONS;
@@ -9,6 +9,9 @@ const Booking = require('../models/Booking');
 const Assistant = require('../models/Assistant');
 const { authenticate, authorize } = require('../middleware/auth');
 const { matchAssistant, reassignBooking, releaseAssistant } = require('../services/matchingService');
+const { transitionBooking, canTransition, transitionErrorStatus } = require('../services/bookingStateService');
+const { getStaffingAlerts } = require('../services/forecastService');
+const { getOfferTelemetry } = require('../services/offerService');
 
 // All routes require admin authentication
 router.use(authenticate, authorize('admin'));
@@ -329,14 +332,24 @@ router.post('/cancel/:bookingId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
     
+    if (!canTransition(booking.status, 'Cancelled')) {
+      return res.status(409).json({ success: false, message: `Cannot cancel a ${booking.status} booking` });
+    }
+    
     // Release assistant if assigned
     await releaseAssistant(booking._id);
     
-    booking.status = 'Cancelled';
-    booking.adminNotes = reason || 'Cancelled by admin';
-    await booking.save();
+    const adminNotes = reason || 'Cancelled by admin';
+    const result = await transitionBooking(booking._id, 'Cancelled', {
+      set: { adminNotes },
+      actor: { role: 'admin', id: req.user.id },
+      reason: adminNotes
+    });
+    if (!result.success) {
+      return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    }
     
-    res.json({ success: true, message: 'Booking cancelled', booking });
+    res.json({ success: true, message: 'Booking cancelled', booking: result.booking });
     
   } catch (err) {
     console.error('Cancel error:', err);
@@ -357,13 +370,17 @@ router.post('/emergency/:bookingId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
     
-    booking.isEmergency = true;
-    booking.emergencyMarkedAt = new Date();
-    booking.emergencyReason = reason || 'Marked by admin';
-    booking.status = 'Emergency';
-    await booking.save();
+    const emergencyReason = reason || 'Marked by admin';
+    const result = await transitionBooking(booking._id, 'Emergency', {
+      set: { isEmergency: true, emergencyMarkedAt: new Date(), emergencyReason },
+      actor: { role: 'admin', id: req.user.id },
+      reason: emergencyReason
+    });
+    if (!result.success) {
+      return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    }
     
-    res.json({ success: true, message: 'Booking marked as emergency', booking });
+    res.json({ success: true, message: 'Booking marked as emergency', booking: result.booking });
     
   } catch (err) {
     console.error('Emergency mark error:', err);
@@ -432,6 +449,42 @@ router.get('/station-stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/dashboard/staffing-alerts
+ * Understaffed windows in the next forecast.alertHorizonHours, soonest first
+ */
+router.get('/staffing-alerts', async (req, res) => {
+  try {
+    const result = await getStaffingAlerts();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Staffing alerts error:', err);
+    res.status(500).json({ success: false, message: 'Error fetching staffing alerts' });
+  }
+});
+
+/**
+ * GET /api/admin/dashboard/offer-telemetry
+ * Booking offers per assistant: offered, accepted, declined, expired, acceptance rate
+ * Query: days (default 7, max 90), station (optional)
+ */
+router.get('/offer-telemetry', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({ success: false, message: 'days must be a whole number from 1 to 90' });
+    }
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const result = await getOfferTelemetry({ from, to, station: req.query.station || null });
+    res.json(result);
+  } catch (err) {
+    console.error('Offer telemetry error:', err);
+    res.status(500).json({ success: false, message: 'Error fetching offer telemetry' });
+  }
+});
+
 /**
  * GET /api/admin/dashboard/top-assistants
  * Get top performing assistants
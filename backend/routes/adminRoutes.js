@@ -1,32 +1,6 @@
 const express = require('express');
 const router = express.Router();
 
-// Edit user (admin)
-router.put('/users/:id', async (req, res) => {
-  try {
-    const { name, phone, role } = req.body;
-    const user = await require('../models/User').findById(req.params.id);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    if (name) user.name = name;
-    if (phone) user.phone = phone;
-    if (role) user.role = role;
-    await user.save();
-    res.json({ success: true, user });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Server error', error: err.message });
-  }
-});
-
-// Remove user (admin)
-router.delete('/users/:id', async (req, res) => {
-  try {
-    const user = await require('../models/User').findByIdAndDelete(req.params.id);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Server error', error: err.message });
-  }
-});
 // User stats controller
 const userController = require('../controllers/userController');
 
@@ -75,6 +49,35 @@ router.delete('/assistants/:id', async (req, res) => {
 router.use(authenticate);
 router.use(authorize('admin'));
 
+// Edit user (admin)
+router.put('/users/:id', async (req, res) => {
+  try {
+    const { name, phone, role, adminStations } = req.body;
+    const user = await require('../models/User').findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (name) user.name = name;
+    if (phone) user.phone = phone;
+    if (role) user.role = role;
+    // Stations whose task escalations this admin receives
+    if (Array.isArray(adminStations)) user.adminStations = adminStations;
+    await user.save();
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Remove user (admin)
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const user = await require('../models/User').findByIdAndDelete(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
 /**
  * GET /api/admin/assistants
  * Get all assistants with their document URLs
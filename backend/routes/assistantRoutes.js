@@ -8,7 +8,24 @@ const router = express.Router();
 const Assistant = require('../models/Assistant');
 const Booking = require('../models/Booking');
 const { authenticate, authorize } = require('../middleware/auth');
-const { uploadAllDocuments } = require('../middleware/upload');
+const { uploadAllDocuments, uploadCertificate } = require('../middleware/upload');
+const { getEarningsStatement, getWeekRange, getMonthRange } = require('../services/earningsService');
+const { renderStatementCsv, renderStatementPdf } = require('../services/statementExport');
+const { localParts } = require('../services/localTime');
+const {
+  toPublicCertification,
+  submitCertification,
+  verifyCertification,
+  rejectCertification,
+  getPendingCertifications
+} = require('../services/certificationService');
+const {
+  getAssistantCalendar,
+  setWeeklyAvailability,
+  addLeave,
+  cancelLeave
+} = require('../services/shiftService');
+const { getAssistantOffers, acceptOffer, declineOffer } = require('../services/offerService');
 const path = require('path');
 const fs = require('fs');
 
@@ -431,6 +448,64 @@ router.get('/:id/bookings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/assistants/:id/earnings
+ * Earnings statement for one period (the assistant themselves or admin)
+ * Query: period=week|month (default week), date=YYYY-MM-DD (default today)
+ *        or from/to (to exclusive); format=json|csv|pdf (default json)
+ */
+router.get('/:id/earnings', authenticate, async (req, res) => {
+  try {
+    const assistant = await Assistant.findById(req.params.id).select('userId');
+    if (!assistant) return res.status(404).json({ success: false, message: 'Not found' });
+
+    const user = req.user || {};
+    const isAdmin = user.role === 'admin';
+    const isOwner = user.role === 'assistant' && assistant.userId &&
+                    assistant.userId.toString() === (user.id || '').toString();
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    const { period = 'week', date, from, to, format = 'json' } = req.query;
+    let range;
+    if (from || to) {
+      range = { start: new Date(from), end: new Date(to) };
+      if (isNaN(range.start) || isNaN(range.end) || range.start >= range.end) {
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates with from before to' });
+      }
+    } else {
+      const day = date ? new Date(date) : new Date();
+      if (isNaN(day)) return res.status(400).json({ success: false, message: 'Invalid date' });
+      if (period === 'week') range = getWeekRange(day);
+      else if (period === 'month') range = getMonthRange(day);
+      else return res.status(400).json({ success: false, message: 'period must be week or month' });
+    }
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json, csv or pdf' });
+    }
+
+    const result = await getEarningsStatement(assistant._id, range);
+    if (!result.success) return res.status(404).json({ success: false, message: result.message });
+
+    const filename = `earnings-${assistant._id}-${localParts(range.start).day}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(renderStatementCsv(result.statement));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(renderStatementPdf(result.statement));
+    }
+    res.json({ success: true, statement: result.statement });
+  } catch (err) {
+    console.error('[Earnings] Statement error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Update assistant
 router.put('/:id', authenticate, async (req, res) => {
   try {
@@ -597,6 +672,247 @@ router.post('/:id/reject-docs', authenticate, authorize('admin'), async (req, re
   }
 });
 
+// Service result codes (certifications, calendar, offers) -> HTTP status
+const ASSISTANT_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  EXPIRED: 410
+};
+
+function sendAssistantError(res, result) {
+  return res.status(ASSISTANT_ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    errors: result.errors
+  });
+}
+
+// The assistant themself or an admin; runs before the upload so strangers cannot store files
+async function requireOwnerOrAdmin(req, res, next) {
+  try {
+    const assistant = await Assistant.findById(req.params.id).select('userId').lean();
+    if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
+    const isAdmin = req.user.role === 'admin';
+    const isOwner = req.user.role === 'assistant' && assistant.userId && String(assistant.userId) === String(req.user.id);
+    if (!isAdmin && !isOwner) return res.status(403).json({ success: false, message: 'Forbidden' });
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+// ============================================
+// CERTIFICATIONS (see services/certificationService.js)
+// ============================================
+
+/**
+ * GET /api/assistants/certifications/pending
+ * Certificates waiting for admin review, oldest first
+ */
+router.get('/certifications/pending', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const pending = await getPendingCertifications();
+    res.json({ success: true, count: pending.length, pending });
+  } catch (err) {
+    console.error('[Certification] Pending list error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/assistants/:id/certifications
+ */
+router.get('/:id/certifications', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const assistant = await Assistant.findById(req.params.id).select('certifications certifiedSkills').lean();
+    res.json({
+      success: true,
+      certifiedSkills: assistant.certifiedSkills || [],
+      certifications: (assistant.certifications || []).map(toPublicCertification)
+    });
+  } catch (err) {
+    console.error('[Certification] List error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/certifications
+ * multipart/form-data: document (JPG/PNG/PDF), type, issuingBody,
+ * certificateNumber, issuedAt, expiresAt
+ */
+router.post('/:id/certifications', authenticate, requireOwnerOrAdmin, uploadCertificate, async (req, res) => {
+  try {
+    const documentPath = req.file ? `/uploads/certifications/${req.file.filename}` : null;
+    const result = await submitCertification(req.params.id, req.body || {}, documentPath, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return sendAssistantError(res, result);
+    }
+    res.status(201).json({ success: true, certification: result.certification });
+  } catch (err) {
+    console.error('[Certification] Submit error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/certifications/:certId/verify
+ * Body: { remark }
+ */
+router.post('/:id/certifications/:certId/verify', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await verifyCertification(req.params.id, req.params.certId, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json({ success: true, certification: result.certification, certifiedSkills: result.assistant.certifiedSkills });
+  } catch (err) {
+    console.error('[Certification] Verify error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/certifications/:certId/reject
+ * Reject a pending certificate or revoke a verified one. Body: { remark }
+ */
+router.post('/:id/certifications/:certId/reject', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await rejectCertification(req.params.id, req.params.certId, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json({ success: true, certification: result.certification, certifiedSkills: result.assistant.certifiedSkills });
+  } catch (err) {
+    console.error('[Certification] Reject error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// AVAILABILITY CALENDAR (see services/shiftService.js)
+// ============================================
+
+/**
+ * GET /api/assistants/:id/calendar
+ * Weekly availability, upcoming leave and rostered shifts (with task load)
+ * Query: from, to (ISO dates; default the next 7 days)
+ */
+router.get('/:id/calendar', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates with from before to' });
+    }
+
+    const result = await getAssistantCalendar(req.params.id, { from, to });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json({ success: true, from, to, ...result });
+  } catch (err) {
+    console.error('[Shift] Calendar error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/assistants/:id/availability
+ * Replace weekly availability (station local time; end <= start runs past midnight)
+ * Body: { slots: [{ dayOfWeek: 0-6, start: 'HH:MM', end: 'HH:MM' }] }
+ */
+router.put('/:id/availability', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await setWeeklyAvailability(req.params.id, (req.body || {}).slots, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json({ success: true, weeklyAvailability: result.weeklyAvailability, shiftsOutsideAvailability: result.conflicts });
+  } catch (err) {
+    console.error('[Shift] Availability error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/leave
+ * Body: { from, to, reason } - rostered shifts overlapping it are cancelled
+ */
+router.post('/:id/leave', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await addLeave(req.params.id, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.status(201).json({
+      success: true,
+      leave: result.leave,
+      cancelledShifts: result.cancelledShifts,
+      affectedTasks: result.affectedTasks
+    });
+  } catch (err) {
+    console.error('[Shift] Leave error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/assistants/:id/leave/:leaveId
+ */
+router.delete('/:id/leave/:leaveId', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await cancelLeave(req.params.id, req.params.leaveId, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[Shift] Cancel leave error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// BOOKING OFFERS
+// ============================================
+
+/**
+ * GET /api/assistants/:id/offers
+ * Live booking offers (soonest to expire first) and offer response stats
+ */
+router.get('/:id/offers', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await getAssistantOffers(req.params.id);
+    if (!result.success) return sendAssistantError(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error('[Offers] List error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/offers/:offerId/accept
+ * Accept a booking offer - the booking is assigned if no one accepted it first
+ */
+router.post('/:id/offers/:offerId/accept', authenticate, authorize('assistant'), requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await acceptOffer(req.params.offerId, req.params.id, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error('[Offers] Accept error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/assistants/:id/offers/:offerId/decline
+ * Decline a booking offer; it moves on to the next candidate
+ * Body: { reason? }
+ */
+router.post('/:id/offers/:offerId/decline', authenticate, authorize('assistant'), requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const result = await declineOffer(req.params.offerId, req.params.id, (req.body || {}).reason, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendAssistantError(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error('[Offers] Decline error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ============================================
 // APPLICATION SUBMISSION ROUTE
 // ============================================
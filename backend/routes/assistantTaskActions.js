@@ -5,6 +5,8 @@ const ServiceTask = require('../models/ServiceTask');
 const Assistant = require('../models/Assistant');
 const { authenticate, authorize } = require('../middleware/auth');
 const { assignAssistantToTask, unassignAssistantFromTask } = require('../services/taskAssignmentService');
+const slaService = require('../services/slaService');
+const { publishArrival } = require('../services/locationService');
 
 // Accept a pickup (boarding) task
 router.post('/tasks/:taskId/accept', authenticate, authorize('assistant'), async (req, res) => {
@@ -44,4 +46,30 @@ router.post('/tasks/:taskId/decline', authenticate, authorize('assistant'), asyn
   }
 });
 
+// Check in at the platform for an assigned task (SLA: late arrivals are penalised)
+router.post('/tasks/:taskId/check-in', authenticate, authorize('assistant'), async (req, res) => {
+  try {
+    const assistant = await Assistant.findOne({ userId: String(req.user.id) }).select('_id').lean();
+    if (!assistant) return res.status(404).json({ success: false, message: 'Assistant profile not found' });
+
+    const result = await slaService.recordCheckIn(req.params.taskId, assistant._id);
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, FORBIDDEN: 403 }[result.code] || 400;
+      return res.status(status).json({ success: false, message: result.message });
+    }
+    publishArrival(result, 'manual');
+    res.json({
+      success: true,
+      message: result.classification.type === 'late_arrival'
+        ? `Checked in ${result.classification.minutesLate} min late`
+        : 'Checked in on time',
+      task: result.task,
+      classification: result.classification,
+      incident: result.incident
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 module.exports = router;
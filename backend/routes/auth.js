@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { SECRET } = require('../middleware/auth');
+const promotionService = require('../services/promotionService');
+const { sendPasswordReset } = require('../services/notificationService');
+
+// Password reset codes are valid this long (minutes)
+const RESET_TOKEN_MINUTES = 15;
 
 
 const { authenticate } = require('../middleware/auth');
@@ -48,13 +54,21 @@ router.get('/avatar', authenticate, async (req, res) => {
 // Register (any role) - for demo purposes
 router.post('/register', async (req, res) => {
   try {
-    const { name, phone, password, role } = req.body;
+    const { name, phone, password, role, referralCode } = req.body;
     if (!name || !phone || !password || !role) return res.status(400).json({ success: false, message: 'Missing fields' });
     const existing = await User.findOne({ phone });
     if (existing) return res.status(400).json({ success: false, message: 'Phone already registered' });
+    // Referral codes are for passengers; check before creating the account
+    if (referralCode && (role !== 'passenger' || !(await User.exists({ referralCode: String(referralCode).trim().toUpperCase() })))) {
+      return res.status(400).json({ success: false, message: 'Invalid referral code' });
+    }
     const hash = await bcrypt.hash(password, 10);
     const u = new User({ name, phone, password: hash, role });
     await u.save();
+    if (referralCode) {
+      const referral = await promotionService.applyReferralAtSignup(u, referralCode);
+      if (!referral.success) console.warn(`[Promotions] Referral not applied for user ${u._id}:`, referral.message);
+    }
     const token = jwt.sign({ id: u._id, role: u.role, name: u.name, phone: u.phone }, SECRET, { expiresIn: '7d' });
     res.json({ success: true, token, user: { id: u._id, name: u.name, role: u.role, phone: u.phone } });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -74,21 +88,23 @@ router.post('/login', async (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Request password reset (demo: returns token in response)
+// Request password reset - the code is sent to the user's phone / email
 router.post('/request-reset', async (req, res) => {
   try {
     const { phone } = req.body || {};
     if (!phone) return res.status(400).json({ success: false, message: 'Phone required' });
     const u = await User.findOne({ phone });
     if (!u) return res.status(404).json({ success: false, message: 'User not found' });
-    // generate short numeric token
-    const token = Math.floor(100000 + Math.random() * 900000).toString();
-    const expires = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    // short numeric token from a CSPRNG
+    const token = crypto.randomInt(100000, 1000000).toString();
+    const expires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
     u.resetToken = token;
     u.resetExpires = expires;
     await u.save();
-    // In production we'd send via SMS; for demo return token
-    res.json({ success: true, message: 'Reset token generated', token });
+    const sent = await sendPasswordReset(u, token, RESET_TOKEN_MINUTES);
+    const delivered = sent.success && sent.notifications.some(n => ['queued', 'sent'].includes(n.status));
+    if (!delivered) return res.status(503).json({ success: false, message: 'Could not send the reset code - please try again later' });
+    res.json({ success: true, message: 'Reset code sent to your registered phone / email' });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const Booking = require('../models/Booking');
 const Assistant = require('../models/Assistant');
 const ServiceTask = require('../models/ServiceTask');
+const AssignmentOffer = require('../models/AssignmentOffer');
 const { authenticate, authorize, SECRET } = require('../middleware/auth');
 const jwt = require('jsonwebtoken');
 const { matchAssistant, releaseAssistant } = require('../services/matchingService');
@@ -10,16 +11,43 @@ const {
   createServiceTasks, 
   validateServiceType, 
   getServiceTypeAvailability,
-  cancelBookingTasks 
+  cancelBookingTasks,
+  resolveJourneyDate,
+  findNextJourneyDate,
+  getStopDateTime
 } = require('../services/schedulingService');
+const { localMidnight } = require('../services/localTime');
 const {
   validateLuggageInput,
   validateMultiLuggageInput,
+  validateServicesInput,
   calculateTotalPrice,
+  applyDiscount,
   calculateMultiLuggageCost,
   getLuggageDisplayString,
   LUGGAGE_PRICES
 } = require('../services/pricingService');
+const { resolvePricing, toBookingPricingRule } = require('../services/pricingRuleService');
+const { quoteDiscounts, redeemCheckout, releaseCheckout } = require('../services/promotionService');
+const { resolveBookingFromPnr } = require('../services/pnrService');
+const { describeTaskLocation, refreshCoachPositions } = require('../services/platformGuidanceService');
+const {
+  getAccessibilityRequirements,
+  getMissingSkills,
+  checkEquipmentInventory,
+  reserveBookingEquipment,
+  getBookingEquipment
+} = require('../services/accessibilityService');
+const chatService = require('../services/chatService');
+const eventBus = require('../services/eventBus');
+const paymentService = require('../services/paymentService');
+const { completeBookingTasks } = require('../services/earningsService');
+const slaService = require('../services/slaService');
+const { getBookingEta } = require('../services/locationService');
+const { sendBookingOtp } = require('../services/notificationService');
+const otpService = require('../services/otpService');
+const { acceptOffer } = require('../services/offerService');
+const { transitionBooking, canTransition, transitionErrorStatus } = require('../services/bookingStateService');
 
 // Update passenger phone for a booking
 router.post('/:id/update-phone', async (req, res) => {
@@ -44,80 +72,215 @@ router.post('/:id/update-phone', async (req, res) => {
 });
 
 // ========== RESEND OTP ENDPOINTS ========== 
-// Resend Start OTP
-router.post('/:id/resend-start-otp', async (req, res) => {
+// Resend Start OTP - the assigned assistant or the booking's passenger
+router.post('/:id/resend-start-otp', authenticate, async (req, res) => {
   try {
-    const { assistantId } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     // Only allow if booking is in Start Pending or Accepted
     if (!['Start Pending', 'Accepted'].includes(booking.status)) {
       return res.status(400).json({ success: false, message: `Cannot resend Start OTP - booking status is: ${booking.status}` });
     }
-    // Verify assistant is assigned
-    if (assistantId && booking.assistantId && booking.assistantId.toString() !== assistantId.toString()) {
-      return res.status(403).json({ success: false, message: 'You are not assigned to this booking' });
+    const { actor, status, message } = await resolveOtpActor(req, booking, { allowPassenger: true });
+    if (!actor) return res.status(status).json({ success: false, message });
+    // Only the assistant starts the service
+    if (booking.status === 'Accepted' && actor.role !== 'assistant') {
+      return res.status(400).json({ success: false, message: 'Your assistant has not started the service yet' });
     }
-    // Generate and save new Start OTP
-    const startOtp = genOtp();
-    booking.startOtp = startOtp;
-    booking.status = 'Start Pending';
-    await booking.save();
-    // In production, send OTP to passenger via SMS/notification
-    res.json({ success: true, message: 'Start OTP resent to passenger.' });
+    if (booking.status === 'Accepted') {
+      const result = await transitionBooking(booking._id, 'Start Pending', {
+        from: ['Accepted'],
+        actor,
+        reason: 'Start OTP resent'
+      });
+      if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    }
+    // Throttled once a Start OTP went out (Start Pending)
+    const issued = await issueAndDeliverOtp(booking, 'start', { actor, resend: booking.status === 'Start Pending' });
+    if (!issued.success) return otpError(res, issued);
+    if (booking.status === 'Start Pending') {
+      eventBus.publishBookingStatus(booking, booking.status, { actorRole: actor.role, reason: 'Start OTP resent' });
+    }
+    res.json({ success: true, message: 'Start OTP resent to passenger.', expiresAt: issued.expiresAt });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Resend Completion OTP
-router.post('/:id/resend-complete-otp', async (req, res) => {
+// Resend Completion OTP - the assigned assistant or the booking's passenger
+router.post('/:id/resend-complete-otp', authenticate, async (req, res) => {
   try {
-    const { assistantId } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     // Only allow if booking is in Completion Pending
     if (booking.status !== 'Completion Pending') {
       return res.status(400).json({ success: false, message: `Cannot resend Completion OTP - booking status is: ${booking.status}` });
     }
-    // Verify assistant is assigned
-    if (assistantId && booking.assistantId && booking.assistantId.toString() !== assistantId.toString()) {
-      return res.status(403).json({ success: false, message: 'You are not assigned to this booking' });
-    }
-    // Generate and save new Completion OTP
-    const completionOtp = genOtp();
-    booking.completionOtp = completionOtp;
-    await booking.save();
-    // In production, send OTP to passenger via SMS/notification
-    res.json({ success: true, message: 'Completion OTP resent to passenger.' });
+    const { actor, status, message } = await resolveOtpActor(req, booking, { allowPassenger: true });
+    if (!actor) return res.status(status).json({ success: false, message });
+    const issued = await issueAndDeliverOtp(booking, 'completion', { actor, resend: true });
+    if (!issued.success) return otpError(res, issued);
+    eventBus.publishBookingStatus(booking, booking.status, { actorRole: actor.role, reason: 'Completion OTP resent' });
+    res.json({ success: true, message: 'Completion OTP resent to passenger.', expiresAt: issued.expiresAt });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 
-function genOtp() {
-  return Math.floor(1000 + Math.random() * 9000).toString();
+const OTP_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_ISSUED: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  EXPIRED: 410,
+  LOCKED: 423,
+  THROTTLED: 429
+};
+
+function otpError(res, result) {
+  if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+  return res.status(OTP_ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    code: result.code,
+    message: result.message,
+    attemptsLeft: result.attemptsLeft,
+    retryAfterSeconds: result.retryAfterSeconds
+  });
+}
+
+/**
+ * The signed-in caller allowed to issue or enter a booking's OTPs: the
+ * assistant assigned to the booking or, with allowPassenger, the booking's
+ * own passenger (with allowAdmin, any admin). Checked before otpService, so
+ * outsiders cannot use up a code's attempts or resends
+ * @param {Object} req - After authenticate
+ * @param {Object} booking
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPassenger]
+ * @param {boolean} [options.allowAdmin]
+ * @returns {Promise<Object>} { actor } or { status, message }
+ */
+async function resolveOtpActor(req, booking, { allowPassenger = false, allowAdmin = false } = {}) {
+  if (req.user.role === 'admin' && allowAdmin) {
+    return { actor: { role: 'admin', id: req.user.id } };
+  }
+  if (req.user.role === 'assistant') {
+    const assistant = await Assistant.findOne({ userId: String(req.user.id) }).select('_id').lean();
+    if (!assistant) return { status: 403, message: 'Assistant profile not found' };
+    if (!booking.assistantId || booking.assistantId.toString() !== assistant._id.toString()) {
+      return { status: 403, message: 'You are not assigned to this booking' };
+    }
+    return { actor: { role: 'assistant', id: assistant._id } };
+  }
+  if (req.user.role === 'passenger' && allowPassenger) {
+    const access = await chatService.canAccessBooking(req.user, booking._id);
+    if (!access.allowed) return { status: 403, message: access.reason };
+    return { actor: { role: 'passenger', id: req.user.id } };
+  }
+  return { status: 403, message: 'Forbidden' };
+}
+
+// A new OTP (hashed by otpService) reaches the passenger by SMS / push - the
+// plain code lives only in that message (failed sends are retried by the notification service)
+async function issueAndDeliverOtp(booking, kind, options) {
+  const issued = await otpService.issueOtp(booking._id, kind, options);
+  if (issued.success) {
+    sendBookingOtp(booking, kind, issued.otp).catch(err => {
+      console.error(`[Booking] ${kind} OTP delivery failed for booking ${booking._id}:`, err.message);
+    });
+  }
+  return issued;
+}
+
+// OTP hashes are not selected by default - drop them if a query asked for them
+function withoutOtps(booking) {
+  if (!booking) return booking;
+  const view = booking.toObject ? booking.toObject() : { ...booking };
+  delete view.otps;
+  return view;
+}
+
+const PNR_ERROR_STATUS = {
+  INVALID_PNR: 400,
+  INVALID: 400,
+  NOT_FOUND: 404,
+  NOT_BOOKABLE: 422,
+  INCOMPLETE_PNR: 422,
+  INVALID_ROUTE: 422,
+  PROVIDER_ERROR: 502
+};
+
+const JOURNEY_ERROR_STATUS = {
+  INVALID_DATE: 400,
+  INVALID_STATION: 400,
+  NOT_FOUND: 404,
+  NOT_RUNNING: 422,
+  DEPARTED: 422
+};
+
+/**
+ * Journey date -> train start date and the service time at the passenger's station
+ * journeyDate is the date at the first service station; a PNR's date of journey
+ * is the boarding date, whichever station the assistance is for. Without one
+ * (clients that predate journey dates) the next run still to reach the station
+ * is taken - from the day of arrivalTime when that is later.
+ * @returns {Promise<Object>} { success, code, message, trainStartDate, journeyDate, serviceTime }
+ */
+async function resolveServiceJourney(data, serviceType, pnrRecord = null) {
+  const serviceStationCode = serviceType === 'drop'
+    ? (data.dropStationCode || data.stationCode)
+    : (data.pickupStationCode || data.stationCode);
+  let journey;
+  if (data.journeyDate) {
+    journey = await resolveJourneyDate(data.trainNumber, {
+      journeyDate: data.journeyDate,
+      stationCode: pnrRecord ? pnrRecord.boardingStationCode : serviceStationCode
+    });
+  } else {
+    const now = new Date();
+    const requested = data.arrivalTime ? new Date(data.arrivalTime) : null;
+    journey = await findNextJourneyDate(data.trainNumber, {
+      stationCode: serviceStationCode,
+      after: requested > now ? new Date(Math.max(localMidnight(requested), now)) : now
+    });
+  }
+  if (!journey.success) return journey;
+
+  const serviceStop = serviceStationCode
+    ? journey.timetable.stops.find(s => s.stationCode === String(serviceStationCode).toUpperCase())
+    : null;
+  const serviceTime = serviceStop ? getStopDateTime(serviceStop, journey.trainStartDate) : null;
+  if (serviceTime && serviceTime < new Date()) {
+    return { success: false, code: 'DEPARTED', message: 'The train has already been at this station on that journey date' };
+  }
+
+  const journeyDate = serviceTime ? localMidnight(serviceTime) : journey.journeyDate;
+  return { success: true, trainStartDate: journey.trainStartDate, journeyDate, serviceTime };
+}
+
+// Logged-in user's id if a valid Bearer token is sent; booking works without one
+function getOptionalUserId(req) {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const token = authHeader.split(' ')[1];
+      const payload = jwt.verify(token, SECRET);
+      return payload.id;
+    } catch (e) {
+      // Token invalid or expired, continue without userId
+    }
+  }
+  return null;
 }
 
 // Create booking - with automatic matching and service task scheduling
 router.post('/', async (req, res) => {
   try {
     const data = req.body;
-    const otp = genOtp();
     
     // Try to get userId from JWT token if provided
-    let userId = null;
-    const authHeader = req.headers['authorization'];
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.split(' ')[1];
-        const payload = jwt.verify(token, SECRET);
-        userId = payload.id;
-      } catch (e) {
-        // Token invalid or expired, continue without userId
-      }
-    }
+    const userId = getOptionalUserId(req);
     
     // Validate service type if train and station are provided
     // Fallback mapper for backward compatibility
@@ -129,6 +292,50 @@ router.post('/', async (req, res) => {
     };
     if (legacyMap[serviceType]) serviceType = legacyMap[serviceType];
     
+    // PNR prefill: train, stations, coach and seat come from the PNR, not the form
+    let pnrRecord = null;
+    if (data.pnr) {
+      const pnrResult = await resolveBookingFromPnr(data.pnr, {
+        serviceType,
+        passengerIndex: data.pnrPassengerIndex
+      });
+      if (!pnrResult.success) {
+        return res.status(PNR_ERROR_STATUS[pnrResult.code] || 400).json({
+          success: false,
+          code: pnrResult.code,
+          errors: pnrResult.errors,
+          message: pnrResult.message
+        });
+      }
+      Object.assign(data, pnrResult.fields);
+      pnrRecord = pnrResult.record;
+    }
+    
+    // Journey date - the train must run from its origin on the matching day
+    let serviceTime = null;
+    if (data.trainNumber) {
+      // PNR bookings already carry it; without one the next run is used
+      const journey = await resolveServiceJourney(data, serviceType, pnrRecord);
+      if (!journey.success) {
+        return res.status(JOURNEY_ERROR_STATUS[journey.code] || 400).json({
+          success: false,
+          code: journey.code,
+          message: journey.message
+        });
+      }
+      data.trainStartDate = journey.trainStartDate;
+      data.journeyDate = journey.journeyDate;
+      serviceTime = journey.serviceTime;
+    }
+    
+    // Active pricing rule for the (pickup) station at the service time
+    const pricingStationCode = data.stationCode || data.pickupStationCode || data.dropStationCode;
+    const pricing = await resolvePricing({
+      stationCode: pricingStationCode,
+      stationName: data.station || data.pickupStationName || data.dropStationName,
+      at: data.arrivalTime || serviceTime
+    });
+    
     // ==================== LUGGAGE VALIDATION (SERVER-SIDE) ====================
     // Supports BOTH legacy (single size/quantity) AND new multi-luggage cart
     let luggageItems = [];
@@ -148,7 +355,7 @@ router.post('/', async (req, res) => {
       }
       
       // Process validated luggage items with pricing
-      const luggageCalc = calculateMultiLuggageCost(multiValidation.sanitized);
+      const luggageCalc = calculateMultiLuggageCost(multiValidation.sanitized, pricing.luggagePrices);
       luggageItems = luggageCalc.items;
       totalLuggageCost = luggageCalc.totalCost;
       
@@ -175,19 +382,33 @@ router.post('/', async (req, res) => {
       legacyLuggageQuantity = luggageValidation.sanitized.quantity;
     }
     
+    // Services - unknown services would otherwise be priced at 0
+    const servicesValidation = validateServicesInput(data.services);
+    if (!servicesValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        errors: servicesValidation.errors,
+        message: servicesValidation.errors.join('. ')
+      });
+    }
+    data.services = servicesValidation.sanitized;
+    
     // Calculate price server-side (NEVER trust frontend price)
     const priceCalc = calculateTotalPrice({
-      services: data.services || [],
+      services: data.services,
       luggageSize: legacyLuggageSize,
       luggageQuantity: legacyLuggageQuantity,
       luggageItems: luggageItems,  // NEW: multi-luggage support
       serviceType: serviceType,
-      includeInsurance: data.insurance === true
+      includeInsurance: data.insurance === true,
+      pricing
     });
     // ==================== END LUGGAGE VALIDATION ====================
     
     // For round trip: validate both pickup and drop stations separately
-    if (serviceType === 'round_trip' && data.trainNumber) {
+    if (pnrRecord) {
+      // Already validated against TrainStop by resolveBookingFromPnr
+    } else if (serviceType === 'round_trip' && data.trainNumber) {
       if (!data.pickupStationCode || !data.dropStationCode) {
         return res.status(400).json({
           success: false,
@@ -241,6 +462,27 @@ router.post('/', async (req, res) => {
       }
     }
     
+    // Station equipment (wheelchair, stretcher, battery car) - the station must
+    // have some; the units themselves are reserved once the tasks exist
+    if (getAccessibilityRequirements(data.services).equipment.length > 0) {
+      if (!data.trainNumber && !data.arrivalTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'Station equipment can only be reserved with a train or an arrival time.'
+        });
+      }
+      const equipmentStations = serviceType === 'round_trip'
+        ? [
+          { code: data.pickupStationCode, name: data.pickupStationName },
+          { code: data.dropStationCode, name: data.dropStationName }
+        ]
+        : [{ code: data.stationCode, name: data.station }];
+      const inventory = await checkEquipmentInventory(data.services, equipmentStations);
+      if (!inventory.success) {
+        return res.status(409).json({ success: false, code: inventory.code, message: inventory.message });
+      }
+    }
+    
     // Create booking with enhanced fields
     let passengerPhone = data.passengerPhone;
     if (!passengerPhone && userId) {
@@ -251,9 +493,24 @@ router.post('/', async (req, res) => {
     if (!passengerPhone || passengerPhone.trim() === '') {
       return res.status(400).json({ success: false, message: 'Passenger phone number is required.' });
     }
+    
+    // Promo code and wallet credit - redeemed below once the booking id exists
+    const discountQuote = await quoteDiscounts({
+      priceCalc,
+      userId,
+      promoCode: data.promoCode,
+      useWallet: data.useWallet === true,
+      stationCode: pricingStationCode,
+      serviceType
+    });
+    if (!discountQuote.success) {
+      return res.status(400).json({ success: false, code: discountQuote.code, message: discountQuote.message });
+    }
+    const finalPrice = applyDiscount(priceCalc, discountQuote);
+    
     const booking = new Booking({ 
       ...data, 
-      otp, 
+      otps: undefined,
       status: 'Pending',
       userId: userId,
       passengerPhone: passengerPhone,
@@ -278,9 +535,37 @@ router.post('/', async (req, res) => {
       luggageItems: luggageItems,
       totalLuggageCost: priceCalc.luggageCost,
       // Price - calculated server-side, NEVER from frontend
-      price: priceCalc.total
+      price: finalPrice.total,
+      discount: {
+        ...finalPrice.breakdown.discount,
+        promoId: discountQuote.promo ? discountQuote.promo._id : null
+      },
+      pricingRule: toBookingPricingRule(pricing)
     });
-    await booking.save();
+    
+    const redemption = await redeemCheckout(discountQuote, { userId, bookingId: booking._id });
+    if (!redemption.success) {
+      return res.status(409).json({ success: false, code: redemption.code, message: redemption.message });
+    }
+    try {
+      await booking.save();
+    } catch (err) {
+      await releaseCheckout(booking._id);
+      throw err;
+    }
+
+    // Hold the price on the passenger's payment method; captured on confirm-completion
+    const authResult = await paymentService.authorizeBooking(booking, { method: data.paymentMethod || 'upi' });
+    if (!authResult.success) {
+      await transitionBooking(booking._id, 'Cancelled', {
+        actor: { role: 'system' },
+        reason: 'Payment authorization failed'
+      });
+      return res.status(402).json({
+        success: false,
+        message: authResult.message || 'Payment authorization failed'
+      });
+    }
     
     // Create service tasks if train and station are provided
     let serviceTasks = [];
@@ -300,43 +585,38 @@ router.post('/', async (req, res) => {
       serviceTasks = taskResult.tasks;
     }
     
-    let matchResult = { success: false };
-    if (serviceType === 'round_trip' && serviceTasks && serviceTasks.length > 0) {
-      // For each service task (pickup/drop), match assistant for the correct station
-      for (const task of serviceTasks) {
-        const best = await require('../services/matchingService').findBestAssistant(booking, task.stationCode);
-        if (best && best.assistant) {
-          console.log(`[Booking] Assigning assistant ${best.assistant.name} (${best.assistant._id}) to task ${task._id} at station ${task.stationCode}`);
-          // Assign assistant to the task and update status/timestamp
-          await require('../models/ServiceTask').findByIdAndUpdate(
-            task._id,
-            {
-              assignedAssistant: best.assistant._id,
-              status: 'assigned',
-              assignedAt: new Date()
-            }
-          );
-        } else {
-          console.log(`[Booking] No assistant assigned for task ${task._id} at station ${task.stationCode}`);
-        }
-      }
-      matchResult.success = true;
-    } else {
-      // Default: match for the main booking
-      matchResult = await matchAssistant(booking._id);
+    // Reserve station equipment for each task - all or nothing
+    const equipment = await reserveBookingEquipment(booking, serviceTasks);
+    if (!equipment.success) {
+      await transitionBooking(booking._id, 'Cancelled', {
+        actor: { role: 'system' },
+        reason: `Station equipment unavailable: ${equipment.message}`
+      });
+      return res.status(409).json({ success: false, code: equipment.code, message: equipment.message });
     }
+    
+    // Every service type, round trips included, is offered to the best-ranked
+    // assistants (matchingService -> offerService)
+    const matchResult = await matchAssistant(booking._id);
 
     // Return the updated booking and tasks
     const saved = await Booking.findById(booking._id).populate('assistantId');
-    const updatedTasks = await require('../models/ServiceTask').find({ bookingId: booking._id });
+    const updatedTasks = await ServiceTask.find({ bookingId: booking._id });
+    eventBus.publishBookingStatus(saved, null, { actorRole: 'passenger', reason: 'Booking created' });
+    const issued = await issueAndDeliverOtp(saved, 'booking', { actor: { role: 'passenger', id: userId } });
+    if (!issued.success) console.error(`[Booking] Booking OTP not issued for ${saved._id}:`, issued.message);
     res.json({ 
       success: true, 
-      booking: saved, 
+      booking: withoutOtps(saved), 
       serviceTasks: updatedTasks,
+      equipment: equipment.holds,
       message: matchResult.success 
         ? `Booking created! Assistant(s) matched.`
-        : 'Booking created. Searching for an assistant...',
-      matched: matchResult.success
+        : matchResult.offered
+          ? 'Booking created. Waiting for an assistant to accept...'
+          : 'Booking created. Searching for an assistant...',
+      matched: matchResult.success,
+      offered: Boolean(matchResult.offered)
     });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -390,13 +670,48 @@ router.get('/my-bookings', async (req, res) => {
   }
 });
 
+// ==================== PNR PREFILL API ====================
+// Booking fields for a PNR, so the form does not have to be typed by hand
+// Query: serviceType (pickup | drop | round_trip), passenger (index on the PNR)
+router.get('/pnr/:pnr', async (req, res) => {
+  try {
+    const result = await resolveBookingFromPnr(req.params.pnr, {
+      serviceType: req.query.serviceType || 'pickup',
+      passengerIndex: req.query.passenger
+    });
+    if (!result.success) {
+      return res.status(PNR_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        errors: result.errors,
+        message: result.message
+      });
+    }
+    res.json({
+      success: true,
+      booking: result.fields,
+      journeyDate: result.record.journeyDate,
+      chartPrepared: result.record.chartPrepared,
+      passengers: result.record.passengers
+    });
+  } catch (err) {
+    console.error('[PNR] Lookup error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // ==================== PRICING PREVIEW API ====================
 // Get price calculation without creating a booking
 // Frontend calls this to show accurate price breakdown
 // Supports BOTH legacy (single size/qty) AND new multi-luggage cart
 router.post('/preview-price', async (req, res) => {
   try {
-    const { services, luggageSize, luggageQuantity, luggageItems, serviceType, insurance } = req.body;
+    const {
+      services, luggageSize, luggageQuantity, luggageItems, serviceType, insurance,
+      stationCode, pickupStationCode, dropStationCode,
+      station, pickupStationName, dropStationName, arrivalTime,
+      trainNumber, journeyDate, promoCode, useWallet
+    } = req.body;
     
     // Determine which luggage system to use
     let processedItems = [];
@@ -414,23 +729,69 @@ router.post('/preview-price', async (req, res) => {
       legacyQty = luggageValidation.sanitized.quantity;
     }
     
+    const servicesValidation = validateServicesInput(services);
+    if (!servicesValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        errors: servicesValidation.errors,
+        message: servicesValidation.errors.join('. ')
+      });
+    }
+    
+    // Service time on the journey date, when known (an invalid date is reported at booking)
+    let serviceTime = null;
+    if (!arrivalTime && trainNumber && journeyDate) {
+      const journey = await resolveServiceJourney(req.body, serviceType || 'pickup');
+      if (journey.success) serviceTime = journey.serviceTime;
+    }
+    
+    // Same rule resolution as POST / so the preview matches the booked price
+    const pricingStationCode = stationCode || pickupStationCode || dropStationCode;
+    const pricing = await resolvePricing({
+      stationCode: pricingStationCode,
+      stationName: station || pickupStationName || dropStationName,
+      at: arrivalTime || serviceTime
+    });
+    
     // Calculate price
     const priceCalc = calculateTotalPrice({
-      services: services || [],
+      services: servicesValidation.sanitized,
       luggageSize: legacySize,
       luggageQuantity: legacyQty,
       luggageItems: processedItems,
       serviceType: serviceType || 'pickup',
-      includeInsurance: insurance === true
+      includeInsurance: insurance === true,
+      pricing
     });
     
+    // An invalid promo does not fail the preview - it is reported next to the price
+    const discountParams = {
+      priceCalc,
+      userId: getOptionalUserId(req),
+      promoCode,
+      useWallet: useWallet === true,
+      stationCode: pricingStationCode,
+      serviceType: serviceType || 'pickup'
+    };
+    const promoQuote = await quoteDiscounts(discountParams);
+    const discountQuote = promoQuote.success
+      ? promoQuote
+      : await quoteDiscounts({ ...discountParams, promoCode: '' });
+    const finalPrice = applyDiscount(priceCalc, discountQuote);
+    
     // Return breakdown for UI display
     res.json({
       success: true,
-      breakdown: priceCalc.breakdown,
-      luggageCost: priceCalc.luggageCost,
-      subtotal: priceCalc.subtotal,
-      total: priceCalc.total,
+      breakdown: finalPrice.breakdown,
+      luggageCost: finalPrice.luggageCost,
+      subtotal: finalPrice.subtotal,
+      totalBeforeDiscount: finalPrice.totalBeforeDiscount,
+      total: finalPrice.total,
+      promo: promoCode
+        ? { applied: promoQuote.success, code: promoQuote.code || null, message: promoQuote.message || '' }
+        : null,
+      walletBalance: discountQuote.walletBalance,
+      pricingRule: toBookingPricingRule(pricing),
       luggageMode: processedItems.length > 0 ? 'multi' : 'legacy',
       luggageValid: true
     });
@@ -454,7 +815,7 @@ router.get('/', async (req, res) => {
   // Always attach passengerPhone from user profile if possible
   const User = require('../models/User');
   list = await Promise.all(list.map(async (b) => {
-    let bookingObj = b.toObject ? b.toObject() : b;
+    let bookingObj = withoutOtps(b);
     // Always attach passengerPhone from user profile if missing
     if ((!bookingObj.passengerPhone || bookingObj.passengerPhone.trim() === '') && bookingObj.userId) {
       const user = await User.findById(bookingObj.userId);
@@ -488,48 +849,59 @@ router.get('/:id', async (req, res) => {
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// acceptOffer result codes -> HTTP status
+const OFFER_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  EXPIRED: 410
+};
+
 // Assistant accepts booking
-// Accept if a verified `assistantId` is provided (allows the assistant portal flow without JWT).
-router.post('/:id/accept', async (req, res) => {
+// The signed-in assistant accepts their open offer for the booking (offerService),
+// or confirms a booking auto-assigned to them while offers are switched off
+router.post('/:id/accept', authenticate, authorize('assistant'), async (req, res) => {
   try {
-    const { assistantId } = req.body || {};
+    const assistant = await Assistant.findOne({ userId: String(req.user.id) });
+    if (!assistant) return res.status(403).json({ success: false, message: 'Assistant profile not found' });
+    if (!assistant.verified) return res.status(403).json({ success: false, message: 'Assistant not verified' });
+
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Not found' });
-    
-    // Allow accepting bookings that are Pending, Searching, or Assigned (for manual acceptance)
-    const acceptableStatuses = ['Pending', 'Searching', 'Assigned'];
-    if (!acceptableStatuses.includes(booking.status)) {
-      return res.status(400).json({ success: false, message: `Cannot accept booking with status: ${booking.status}` });
-    }
 
-    if (!assistantId) {
-      return res.status(400).json({ success: false, message: 'assistantId required to accept' });
+    const missingSkills = getMissingSkills(assistant, booking.services);
+    if (missingSkills.length > 0) {
+      return res.status(403).json({ success: false, message: `Assistant is not certified for: ${missingSkills.join(', ')}` });
     }
 
-    const assistant = await Assistant.findById(assistantId);
-    if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
-    if (!assistant.verified) return res.status(403).json({ success: false, message: 'Assistant not verified' });
+    const actor = { id: req.user.id, role: req.user.role };
+    console.log('[booking:accept] assistantId=', assistant._id, 'bookingId=', booking._id);
+    if (booking.status === 'Assigned') {
+      if (!booking.assistantId || booking.assistantId.toString() !== assistant._id.toString()) {
+        return res.status(403).json({ success: false, message: 'You are not assigned to this booking' });
+      }
+      const result = await transitionBooking(booking._id, 'Accepted', {
+        from: ['Assigned'],
+        actor: { role: 'assistant', id: assistant._id }
+      });
+      if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    } else {
+      const offer = await AssignmentOffer.findOne({ bookingId: booking._id, assistantId: assistant._id, status: 'offered' })
+        .select('_id')
+        .lean();
+      if (!offer) return res.status(409).json({ success: false, message: 'You have no open offer for this booking' });
+      const result = await acceptOffer(offer._id, assistant._id, actor);
+      if (!result.success) return res.status(OFFER_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
 
-    console.log('[booking:accept] assistantId=', assistantId, 'bookingId=', booking._id);
-    booking.status = 'Accepted';
-    booking.assistantId = assistantId;
-    await booking.save();
-    
-    // Update assistant - mark as busy
-    await Assistant.findByIdAndUpdate(assistantId, {
-      currentBookingId: booking._id
-    });
-    
     const saved = await Booking.findById(booking._id).populate('assistantId');
     console.log('[booking:accept] saved status=', saved.status);
-    res.json({ success: true, booking: saved });
+    res.json({ success: true, booking: withoutOtps(saved) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 // Assistant starts service - generates Start OTP sent to passenger
-router.post('/:id/start', async (req, res) => {
+router.post('/:id/start', authenticate, async (req, res) => {
   try {
-    const { assistantId } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     
@@ -538,25 +910,24 @@ router.post('/:id/start', async (req, res) => {
       return res.status(400).json({ success: false, message: `Cannot start service - booking status is: ${booking.status}` });
     }
     
-    // Verify this assistant is assigned to the booking
-    if (assistantId && booking.assistantId && booking.assistantId.toString() !== assistantId.toString()) {
-      return res.status(403).json({ success: false, message: 'You are not assigned to this booking' });
-    }
+    // Only the assigned assistant starts the service (and triggers the SMS)
+    const { actor, status, message } = await resolveOtpActor(req, booking);
+    if (!actor) return res.status(status).json({ success: false, message });
     
-    // Generate Start OTP
-    const startOtp = genOtp();
-    booking.startOtp = startOtp;
-    booking.status = 'Start Pending';
-    await booking.save();
+    const result = await transitionBooking(booking._id, 'Start Pending', {
+      from: ['Accepted'],
+      actor
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
     
     const saved = await Booking.findById(booking._id).populate('assistantId');
-    console.log('[booking:start] Generated Start OTP for booking', booking._id, 'OTP=', startOtp);
+    const issued = await issueAndDeliverOtp(saved, 'start', { actor });
+    if (!issued.success) return otpError(res, issued);
     
-    // In production, send OTP to passenger via SMS/notification
-    // OTP is stored in booking and shown to passenger when they poll
     res.json({ 
       success: true, 
-      booking: saved, 
+      booking: withoutOtps(saved), 
+      otpExpiresAt: issued.expiresAt,
       message: 'Start OTP sent to passenger. Please ask passenger for the OTP.'
     });
   } catch (err) {
@@ -565,9 +936,9 @@ router.post('/:id/start', async (req, res) => {
 });
 
 // Verify Start OTP - move to In Progress
-router.post('/:id/verify-start-otp', async (req, res) => {
+router.post('/:id/verify-start-otp', authenticate, async (req, res) => {
   try {
-    const { otp, assistantId } = req.body || {};
+    const { otp } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     
@@ -575,118 +946,97 @@ router.post('/:id/verify-start-otp', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Booking is not awaiting start verification' });
     }
     
-    // Normalize OTPs
-    const incomingDigits = String(otp || '').replace(/\D/g, '').trim();
-    const storedDigits = String(booking.startOtp || '').replace(/\D/g, '').trim();
+    // Only the assigned assistant may enter the code
+    const { actor, status, message } = await resolveOtpActor(req, booking);
+    if (!actor) return res.status(status).json({ success: false, message });
     
-    console.log('[booking:verify-start-otp] incoming=', incomingDigits, 'stored=', storedDigits);
+    const check = await otpService.verifyOtp(booking._id, 'start', otp, { actor });
+    if (!check.success) return otpError(res, check);
     
-    if (!storedDigits) {
-      return res.status(400).json({ success: false, message: 'No Start OTP set for this booking' });
-    }
-    
-    if (incomingDigits !== storedDigits) {
-      return res.status(400).json({ success: false, message: 'Invalid OTP' });
-    }
-    
-    // Verify assistant
-    if (assistantId && booking.assistantId && booking.assistantId.toString() !== assistantId.toString()) {
-      return res.status(403).json({ success: false, message: 'You are not assigned to this booking' });
+    const result = await transitionBooking(booking._id, 'In Progress', {
+      from: ['Start Pending'],
+      // the meeting OTP is not needed once the service started
+      set: { ...otpService.clearedOtps('booking'), startedAt: new Date() },
+      actor
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+
+    // Meeting the passenger counts as the SLA check-in if the assistant did not check in earlier
+    const checkIn = await slaService.checkInForBooking(booking._id, actor.id);
+    if (checkIn && checkIn.incident) {
+      eventBus.publishTaskEvent('slaViolation', {
+        task: checkIn.task,
+        type: 'late_arrival',
+        minutesLate: checkIn.classification.minutesLate
+      });
     }
     
-    booking.status = 'In Progress';
-    booking.startOtp = null; // Clear after use
-    booking.startedAt = new Date();
-    await booking.save();
-    
     const saved = await Booking.findById(booking._id).populate('assistantId');
     console.log('[booking:verify-start-otp] Service started for booking', booking._id);
     
-    res.json({ success: true, booking: saved, message: 'Service started successfully!' });
+    res.json({ success: true, booking: withoutOtps(saved), message: 'Service started successfully!' });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Assistant rejects booking
-// Reject a booking. If `assistantId` is provided and matches booking, unassign and reopen (Pending).
-router.post('/:id/reject', async (req, res) => {
+// The assigned assistant hands the booking back: unassign and reopen (Pending).
+// An admin rejects the booking outright, which voids the payment hold.
+router.post('/:id/reject', authenticate, async (req, res) => {
   try {
-    const { assistantId } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false });
     
-    if (assistantId && booking.assistantId && booking.assistantId.toString() === assistantId.toString()) {
+    const { actor, status, message } = await resolveOtpActor(req, booking, { allowAdmin: true });
+    if (!actor) return res.status(status).json({ success: false, message });
+    
+    if (actor.role === 'assistant') {
       // Assistant rejects an assignment: unassign and reopen for other assistants
-      console.log('[booking:reject] assistant rejected assignment assistantId=', assistantId, 'bookingId=', booking._id, 'oldStatus=', booking.status);
-      booking.assistantId = null;
-      booking.status = 'Pending';
-      // clear any OTPs since assignment changed
-      booking.completionOtp = null;
-      await booking.save();
+      console.log('[booking:reject] assistant rejected assignment assistantId=', actor.id, 'bookingId=', booking._id, 'oldStatus=', booking.status);
+      await releaseAssistant(booking._id);
+      const result = await transitionBooking(booking._id, 'Pending', {
+        // clear any OTPs since assignment changed
+        set: { assistantId: null, ...otpService.clearedOtps('start', 'completion') },
+        actor,
+        reason: 'Assistant rejected assignment'
+      });
+      if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
       const saved = await Booking.findById(booking._id).populate('assistantId');
       console.log('[booking:reject] reopened booking status=', saved.status);
-      return res.json({ success: true, message: 'Booking unassigned and reopened', booking: saved });
+      return res.json({ success: true, message: 'Booking unassigned and reopened', booking: withoutOtps(saved) });
     }
 
-    // Otherwise treat as admin/system rejection
-    booking.status = 'Rejected';
-    await booking.save();
-    res.json({ success: true, booking });
+    const result = await transitionBooking(booking._id, 'Rejected', { actor, reason: 'Booking rejected' });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    res.json({ success: true, booking: withoutOtps(result.booking) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 
 // Verify OTP (assistant enters otp) -> move to In Progress
-// Accept either a verified assistantId in body (demo flow) or a valid assistant JWT
-router.post('/:id/verify-otp', async (req, res) => {
+// Requires the assigned assistant's JWT (the code's attempts are limited)
+router.post('/:id/verify-otp', authenticate, async (req, res) => {
   try {
-    const { otp, assistantId } = req.body || {};
+    const { otp } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false });
-    // normalize OTPs to digits-only and trim to avoid whitespace/type issues
-    const incomingRaw = otp == null ? '' : String(otp);
-    const storedRaw = booking.otp == null ? '' : String(booking.otp);
-    const incomingDigits = incomingRaw.replace(/\D/g, '').trim();
-    const storedDigits = storedRaw.replace(/\D/g, '').trim();
-    console.log('[booking:verify-otp] incomingRaw=', JSON.stringify(incomingRaw), 'storedRaw=', JSON.stringify(storedRaw), 'incomingDigits=', incomingDigits, 'storedDigits=', storedDigits, 'bookingId=', req.params.id, 'assistantId(body)=', assistantId);
-    if (!storedDigits) return res.status(400).json({ success: false, message: 'No OTP set for this booking' });
-    if (incomingDigits !== storedDigits) return res.status(400).json({ success: false, message: 'Invalid OTP' });
-
-    // authorize: either assistantId provided and matches booking.assistantId and assistant is verified,
-    // or Authorization header contains a valid assistant JWT
-    let authorized = false;
-    if (assistantId) {
-      const assistant = await Assistant.findById(assistantId);
-      if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
-      if (!assistant.verified) return res.status(403).json({ success: false, message: 'Assistant not verified' });
-      if (!booking.assistantId || booking.assistantId.toString() !== assistantId.toString()) {
-        return res.status(400).json({ success: false, message: 'Booking not assigned to this assistant' });
-      }
-      authorized = true;
-    } else {
-      const h = req.headers['authorization'];
-      if (!h) return res.status(401).json({ success: false, message: 'Missing auth token' });
-      const parts = h.split(' ');
-      if (parts.length !== 2 || parts[0] !== 'Bearer') return res.status(401).json({ success: false, message: 'Invalid auth header' });
-      try {
-        const payload = jwt.verify(parts[1], SECRET);
-        if (payload.role !== 'assistant') return res.status(403).json({ success: false, message: 'Forbidden' });
-        // optional: ensure payload.id matches booking.assistantId
-        if (booking.assistantId && booking.assistantId.toString() !== payload.id) return res.status(400).json({ success: false, message: 'Booking not assigned to this assistant' });
-        authorized = true;
-      } catch (err) {
-        return res.status(401).json({ success: false, message: 'Invalid token' });
-      }
-    }
+    // Only the assigned assistant (JWT) may enter the code
+    const { actor, status, message } = await resolveOtpActor(req, booking);
+    if (!actor) return res.status(status).json({ success: false, message });
 
-    if (!authorized) return res.status(403).json({ success: false, message: 'Forbidden' });
+    const check = await otpService.verifyOtp(booking._id, 'booking', otp, { actor });
+    console.log('[booking:verify-otp] bookingId=', req.params.id, 'assistantId=', actor.id, 'match=', check.success);
+    if (!check.success) return otpError(res, check);
 
-    booking.status = 'In Progress';
-    // clear the start OTP after successful verification
-    booking.otp = null;
-    await booking.save();
-    res.json({ success: true, booking });
+    const result = await transitionBooking(booking._id, 'In Progress', {
+      from: ['Accepted', 'Start Pending'],
+      // a pending Start OTP is not needed once the service started
+      set: otpService.clearedOtps('start'),
+      actor
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    res.json({ success: true, booking: withoutOtps(result.booking) });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -694,109 +1044,70 @@ router.post('/:id/verify-otp', async (req, res) => {
 
 
 // Assistant requests completion: generate completion OTP and set status to 'Completion Pending'
-// Allow assistantId in body (demo) or assistant JWT
-router.post('/:id/complete-request', async (req, res) => {
+// Requires the assigned assistant's JWT
+router.post('/:id/complete-request', authenticate, async (req, res) => {
   try {
-    function genOtp() { return Math.floor(1000 + Math.random() * 9000).toString(); }
-    const { assistantId } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     if (booking.status !== 'In Progress') return res.status(400).json({ success: false, message: 'Booking not in progress' });
 
-    let authorized = false;
-    if (assistantId) {
-      const assistant = await Assistant.findById(assistantId);
-      if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
-      if (!assistant.verified) return res.status(403).json({ success: false, message: 'Assistant not verified' });
-      if (!booking.assistantId || booking.assistantId.toString() !== assistantId.toString()) return res.status(400).json({ success: false, message: 'Booking not assigned to this assistant' });
-      authorized = true;
-    } else {
-      const h = req.headers['authorization'];
-      if (!h) return res.status(401).json({ success: false, message: 'Missing auth token' });
-      const parts = h.split(' ');
-      if (parts.length !== 2 || parts[0] !== 'Bearer') return res.status(401).json({ success: false, message: 'Invalid auth header' });
-      try {
-        const payload = jwt.verify(parts[1], SECRET);
-        if (payload.role !== 'assistant') return res.status(403).json({ success: false, message: 'Forbidden' });
-        if (booking.assistantId && booking.assistantId.toString() !== payload.id) return res.status(400).json({ success: false, message: 'Booking not assigned to this assistant' });
-        authorized = true;
-      } catch (err) { return res.status(401).json({ success: false, message: 'Invalid token' }); }
-    }
-
-    if (!authorized) return res.status(403).json({ success: false, message: 'Forbidden' });
-
-    const completionOtp = genOtp();
-    booking.completionOtp = completionOtp;
-    booking.status = 'Completion Pending';
-    await booking.save();
+    const { actor, status, message } = await resolveOtpActor(req, booking);
+    if (!actor) return res.status(status).json({ success: false, message });
+
+    const result = await transitionBooking(booking._id, 'Completion Pending', {
+      from: ['In Progress'],
+      actor
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
     
-    console.log('[booking:complete-request] Generated Completion OTP for booking', booking._id, 'OTP=', completionOtp);
+    const issued = await issueAndDeliverOtp(result.booking, 'completion', { actor });
+    if (!issued.success) return otpError(res, issued);
     
-    // In production, send OTP to passenger via SMS/notification
-    // OTP is stored in booking and shown to passenger when they poll
     res.json({ 
       success: true, 
+      otpExpiresAt: issued.expiresAt,
       message: 'Completion OTP sent to passenger'
     });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// Passenger confirms completion by entering completionOtp -> set status to Completed
-router.post('/:id/confirm-completion', async (req, res) => {
+// Passenger confirms completion by entering the completion OTP -> set status to Completed
+// The booking's own passenger or the assigned assistant (JWT) may enter it
+router.post('/:id/confirm-completion', authenticate, async (req, res) => {
   try {
-    const { otp, assistantId } = req.body || {};
+    const { otp } = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
     if (booking.status !== 'Completion Pending') return res.status(400).json({ success: false, message: 'Booking not awaiting completion confirmation' });
 
-    // Allow either passenger (authenticated) or assistant (demo flow via assistantId) to confirm by providing the correct completion OTP
-    let authorized = false;
-    // assistant path
-    if (assistantId) {
-      const assistant = await Assistant.findById(assistantId);
-      if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
-      if (!assistant.verified) return res.status(403).json({ success: false, message: 'Assistant not verified' });
-      if (!booking.assistantId || booking.assistantId.toString() !== assistantId.toString()) return res.status(400).json({ success: false, message: 'Booking not assigned to this assistant' });
-      authorized = true;
-    } else {
-
-
+    const { actor, status, message } = await resolveOtpActor(req, booking, { allowPassenger: true });
+    if (!actor) return res.status(status).json({ success: false, message });
 
-      // passenger auth path
-      const h = req.headers['authorization'];
-      if (!h) return res.status(401).json({ success: false, message: 'Missing auth token' });
-      const parts = h.split(' ');
-      if (parts.length !== 2 || parts[0] !== 'Bearer') return res.status(401).json({ success: false, message: 'Invalid auth header' });
-      try {
-        const payload = jwt.verify(parts[1], SECRET);
-        if (payload.role !== 'passenger') return res.status(403).json({ success: false, message: 'Forbidden' });
-        authorized = true;
-      } catch (err) { return res.status(401).json({ success: false, message: 'Invalid token' }); }
+    const check = await otpService.verifyOtp(booking._id, 'completion', otp, { actor });
+    console.log('[booking:confirm-completion] bookingId=', req.params.id, 'by=', actor.role, 'match=', check.success);
+    if (!check.success) return otpError(res, check);
+    const result = await transitionBooking(booking._id, 'Completed', {
+      from: ['Completion Pending'],
+      set: otpService.clearedOtps(),
+      actor
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    // Update assistant's totalBookingsCompleted
+    if (booking.assistantId) {
+      const Assistant = require('../models/Assistant');
+      await Assistant.findByIdAndUpdate(
+        booking.assistantId,
+        { $inc: { totalBookingsCompleted: 1 } }
+      );
     }
-
-    if (!authorized) return res.status(403).json({ success: false, message: 'Forbidden' });
-
-    const incomingRawC = otp == null ? '' : String(otp);
-    const storedRawC = booking.completionOtp == null ? '' : String(booking.completionOtp);
-    const incomingDigitsC = incomingRawC.replace(/\D/g, '').trim();
-    const storedDigitsC = storedRawC.replace(/\D/g, '').trim();
-    console.log('[booking:confirm-completion] incomingRaw=', JSON.stringify(incomingRawC), 'storedRaw=', JSON.stringify(storedRawC), 'incomingDigits=', incomingDigitsC, 'storedDigits=', storedDigitsC, 'bookingId=', req.params.id, 'assistantId(body)=', assistantId);
-    if (storedDigitsC && incomingDigitsC === storedDigitsC) {
-      booking.status = 'Completed';
-      // clear completionOtp
-      booking.completionOtp = null;
-      await booking.save();
-      // Update assistant's totalBookingsCompleted
-      if (booking.assistantId) {
-        const Assistant = require('../models/Assistant');
-        await Assistant.findByIdAndUpdate(
-          booking.assistantId,
-          { $inc: { totalBookingsCompleted: 1 } }
-        );
-      }
-      return res.json({ success: true });
+    // Close the booking's service tasks and record what each assistant earned
+    await completeBookingTasks(booking._id);
+    // Charge the hold; bookings created before payments have no Payment record
+    const capture = await paymentService.capturePayment(booking._id);
+    if (!capture.success && capture.code !== 'NOT_FOUND') {
+      console.warn(`[Payments] Capture pending for completed booking ${booking._id}:`, capture.message);
     }
-    res.status(400).json({ success: false, message: 'Invalid completion OTP' });
+    res.json({ success: true, paymentStatus: capture.success ? 'Paid' : result.booking.paymentStatus });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -809,20 +1120,25 @@ router.post('/:id/assign', async (req, res) => {
     const assistant = await Assistant.findById(assistantId);
     if (!assistant) return res.status(404).json({ success: false, message: 'Assistant not found' });
     if (!assistant.verified) return res.status(400).json({ success: false, message: 'Assistant not verified' });
-    booking.assistantId = assistantId;
-    booking.status = 'Accepted';
-    await booking.save();
-    res.json({ success: true, booking });
+    const result = await transitionBooking(booking._id, 'Accepted', {
+      set: { assistantId },
+      actor: { role: 'admin' },
+      reason: 'Assistant assigned'
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    res.json({ success: true, booking: result.booking });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 // Admin: update booking fields
 router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const allowed = ['passengerName','station','trainName','coach','seat','services','language','price','status','assistantId'];
+    // status is not a plain field - it goes through the booking state machine below
+    const allowed = ['passengerName','station','trainName','coach','seat','services','language','price','assistantId'];
     const data = req.body || {};
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    const previousAssistantId = booking.assistantId;
     for (const k of allowed) {
       if (data[k] !== undefined) booking[k] = data[k];
     }
@@ -833,7 +1149,23 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       if (!assistant.verified) return res.status(400).json({ success: false, message: 'Assistant not verified' });
       booking.assistantId = assistant._id;
     }
+    const statusChange = data.status !== undefined && data.status !== booking.status;
+    // check before saving the other fields so an illegal status leaves the booking untouched
+    if (statusChange && !canTransition(booking.status, data.status)) {
+      return res.status(409).json({ success: false, message: `Cannot move booking from ${booking.status} to ${data.status}` });
+    }
     await booking.save();
+    // Coach corrected - move the assistant to the right spot on the platform
+    if (data.coach !== undefined) await refreshCoachPositions({ bookingId: booking._id });
+    if (statusChange) {
+      const result = await transitionBooking(booking._id, data.status, {
+        actor: { role: 'admin', id: req.user.id },
+        reason: 'Updated by admin'
+      });
+      if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
+    } else if (String(booking.assistantId) !== String(previousAssistantId)) {
+      eventBus.publishBookingStatus(booking, booking.status, { previousAssistantId, actorRole: 'admin', reason: 'Updated by admin' });
+    }
     const saved = await Booking.findById(booking._id).populate('assistantId');
     res.json({ success: true, booking: saved });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -842,18 +1174,17 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
 // Admin: cancel a booking
 router.post('/:id/cancel', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-    booking.status = 'Rejected';
-    booking.assistantId = null;
-    booking.otp = null;
-    booking.completionOtp = null;
-    await booking.save();
+    const result = await transitionBooking(req.params.id, 'Rejected', {
+      set: { assistantId: null, ...otpService.clearedOtps() },
+      actor: { role: 'admin', id: req.user.id },
+      reason: 'Cancelled by admin'
+    });
+    if (!result.success) return res.status(transitionErrorStatus(result)).json({ success: false, message: result.message });
     
     // Cancel associated service tasks
-    await cancelBookingTasks(booking._id);
+    await cancelBookingTasks(result.booking._id);
     
-    res.json({ success: true, booking });
+    res.json({ success: true, booking: result.booking });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -868,15 +1199,20 @@ router.get('/:id/tasks', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
     
-    const tasks = await ServiceTask.find({ bookingId: booking._id })
-      .sort({ taskSequence: 1 })
-      .lean();
+    const [tasks, equipment] = await Promise.all([
+      ServiceTask.find({ bookingId: booking._id }).sort({ taskSequence: 1 }).lean(),
+      getBookingEquipment(booking._id)
+    ]);
     
     return res.json({
       success: true,
       bookingId: booking._id,
       serviceType: booking.serviceType,
-      tasks,
+      tasks: tasks.map(task => ({
+        ...task,
+        guidance: describeTaskLocation(task),
+        equipment: equipment.filter(h => String(h.taskId) === String(task._id))
+      })),
       totalTasks: tasks.length
     });
   } catch (err) {
@@ -885,5 +1221,78 @@ router.get('/:id/tasks', async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * GET /api/bookings/:id/eta
+ * Latest ETA of the assistant to the booking's active task (passenger, assigned assistant or admin)
+ * Live updates arrive as 'assistantEta' / 'assistantArrived' task events
+ */
+router.get('/:id/eta', authenticate, async (req, res) => {
+  try {
+    const access = await chatService.canAccessBooking(req.user, req.params.id);
+    if (!access.allowed) {
+      const code = access.booking ? 403 : (access.reason === 'Booking not found' ? 404 : 400);
+      return res.status(code).json({ success: false, message: access.reason });
+    }
+
+    const eta = await getBookingEta(access.booking._id);
+    return res.json({ success: true, bookingId: access.booking._id, eta });
+  } catch (err) {
+    console.error('[booking:eta] Error:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/messages
+ * Paginated chat history for a booking (passenger, assigned assistant or admin only)
+ * Query: page (1 = newest), limit, before (ISO date)
+ */
+router.get('/:id/messages', authenticate, async (req, res) => {
+  try {
+    const access = await chatService.canAccessBooking(req.user, req.params.id);
+    if (!access.allowed) {
+      const code = access.booking ? 403 : (access.reason === 'Booking not found' ? 404 : 400);
+      return res.status(code).json({ success: false, message: access.reason });
+    }
+
+    const { page, limit, before } = req.query;
+    const result = await chatService.getMessages(access.booking._id, { page, limit, before });
+    const unread = result.messages.filter(m =>
+      !m.readBy.some(r => String(r.userId) === String(req.user.id))
+    ).length;
+
+    return res.json({
+      success: true,
+      bookingId: access.booking._id,
+      ...result,
+      unread
+    });
+  } catch (err) {
+    console.error('[booking:messages] Error:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/messages/read
+ * Mark chat messages as read by the caller
+ * Body: { messageIds?: [] } - omit to mark everything read
+ */
+router.post('/:id/messages/read', authenticate, async (req, res) => {
+  try {
+    const access = await chatService.canAccessBooking(req.user, req.params.id);
+    if (!access.allowed) {
+      const code = access.booking ? 403 : (access.reason === 'Booking not found' ? 404 : 400);
+      return res.status(code).json({ success: false, message: access.reason });
+    }
 
+    const { messageIds } = req.body || {};
+    const result = await chatService.markRead(access.booking._id, req.user, messageIds);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[booking:messages-read] Error:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Notification Routes
+ * A user's channel preferences and browser push subscriptions, and the admin
+ * delivery log with dead-letter requeue (see services/notificationService.js).
+ * Mounted at /api/notifications.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_STATUSES } = require('../models/Notification');
+const {
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscriptions,
+  getDeliveryLog,
+  requeueNotification
+} = require('../services/notificationService');
+
+const NOTIFICATION_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+// ==================== PREFERENCES ====================
+
+/**
+ * GET /api/notifications/preferences
+ * Locale, channels and muted events of the signed-in user
+ */
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    if (!preferences) return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error('[Notifications] Preferences error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Body: { locale?, channels?: { sms?, email?, push? }, mutedEvents?, email? }
+ */
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const result = await updatePreferences(req.user.id, req.body || {});
+    if (!result.success) {
+      return res.status(NOTIFICATION_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message, errors: result.errors });
+    }
+    res.json({ success: true, preferences: result.preferences });
+  } catch (error) {
+    console.error('[Notifications] Update preferences error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/push-subscriptions
+ * Body: PushSubscription.toJSON() - { endpoint, keys: { p256dh, auth } }
+ */
+router.post('/push-subscriptions', authenticate, async (req, res) => {
+  try {
+    const result = await addPushSubscription(req.user.id, req.body || {}, req.headers['user-agent']);
+    if (!result.success) {
+      return res.status(NOTIFICATION_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, message: 'Push notifications enabled for this browser' });
+  } catch (error) {
+    console.error('[Notifications] Push subscribe error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/notifications/push-subscriptions
+ * Body: { endpoint }
+ */
+router.delete('/push-subscriptions', authenticate, async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+    if (!endpoint) return res.status(400).json({ success: false, message: 'endpoint is required' });
+    await removePushSubscriptions(req.user.id, [endpoint]);
+    res.json({ success: true, message: 'Push notifications disabled for this browser' });
+  } catch (error) {
+    console.error('[Notifications] Push unsubscribe error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== ADMIN ====================
+
+/**
+ * GET /api/notifications/log?status&channel&event&bookingId&userId&page&limit
+ * Delivery log (masked previews, never message content)
+ */
+router.get('/log', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { status, channel } = req.query;
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${NOTIFICATION_STATUSES.join(', ')}` });
+    }
+    if (channel && !NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(400).json({ success: false, message: `channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}` });
+    }
+    const log = await getDeliveryLog(req.query);
+    res.json({ success: true, ...log });
+  } catch (error) {
+    console.error('[Notifications] Delivery log error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/retry
+ * Requeue a dead-lettered notification and attempt it now
+ */
+router.post('/:id/retry', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await requeueNotification(req.params.id, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      return res.status(NOTIFICATION_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, notification: result.notification });
+  } catch (error) {
+    console.error('[Notifications] Retry error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,301 @@
+/**
+ * Payment Routes
+ * Booking payment status, gateway webhooks and admin settlement tools
+ * (manual capture/refund, ledger, reconciliation, weekly assistant payouts)
+ */
+
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const Earning = require('../models/Earning');
+const AuditLog = require('../models/AuditLog');
+const paymentsConfig = require('../config/payments.config');
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyWebhookSignature, webhookSecret } = require('../services/payments');
+const { capturePayment, refundPayment, handleWebhook } = require('../services/paymentService');
+const { reconcileAssistantEarnings } = require('../services/ledgerService');
+const { createPayoutBatch, approvePayoutBatch, markPayoutBatchPaid } = require('../services/earningsService');
+const chatService = require('../services/chatService');
+
+/**
+ * GET /api/payments/methods
+ * Payment methods accepted at booking time
+ */
+router.get('/methods', (req, res) => {
+  res.json({ success: true, currency: paymentsConfig.currency, methods: paymentsConfig.methods });
+});
+
+/**
+ * POST /api/payments/webhook
+ * Gateway callback, authenticated by the x-payment-signature HMAC over the raw body
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const check = verifyWebhookSignature(
+      req.rawBody,
+      req.headers['x-payment-signature'],
+      webhookSecret,
+      paymentsConfig.webhook.toleranceSeconds
+    );
+    if (!check.valid) {
+      console.warn('[Payments] Rejected webhook:', check.reason);
+      return res.status(400).json({ success: false, message: check.reason });
+    }
+
+    const result = await handleWebhook(req.body);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error('[Payments] Webhook error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/booking/:bookingId
+ * Payment for a booking (passenger owner, assigned assistant or admin)
+ */
+router.get('/booking/:bookingId', authenticate, async (req, res) => {
+  try {
+    const access = await chatService.canAccessBooking(req.user, req.params.bookingId);
+    if (!access.allowed) {
+      const code = access.reason === 'Booking not found' ? 404 : 403;
+      return res.status(code).json({ success: false, message: access.reason });
+    }
+
+    const payment = await Payment.findOne({ bookingId: req.params.bookingId }).select('-webhookEvents');
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'No payment for this booking' });
+    }
+    res.json({ success: true, payment });
+  } catch (error) {
+    console.error('[Payments] Get payment error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== ADMIN ====================
+
+const PAYMENT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  CONFLICT: 409,
+  INVALID_AMOUNT: 400,
+  INVALID_PERIOD: 400,
+  NOTHING_TO_PAY: 400,
+  GATEWAY_ERROR: 502
+};
+
+/**
+ * POST /api/payments/booking/:bookingId/capture
+ * Manually capture an authorized payment
+ */
+router.post('/booking/:bookingId/capture', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await capturePayment(req.params.bookingId);
+    if (!result.success) {
+      return res.status(PAYMENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+
+    await AuditLog.create({
+      action: 'payment_capture',
+      actorId: req.user.id,
+      actorRole: req.user.role,
+      targetType: 'booking',
+      targetId: req.params.bookingId,
+      meta: { amount: result.payment.capturedAmount }
+    });
+    res.json({ success: true, payment: result.payment });
+  } catch (error) {
+    console.error('[Payments] Capture error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/booking/:bookingId/refund
+ * Refund part or all of a captured payment
+ * Body: { amount, reason }
+ */
+router.post('/booking/:bookingId/refund', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { amount, reason } = req.body || {};
+    const result = await refundPayment(req.params.bookingId, Number(amount), reason || 'Admin refund');
+    if (!result.success) {
+      return res.status(PAYMENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+
+    await AuditLog.create({
+      action: 'payment_refund',
+      actorId: req.user.id,
+      actorRole: req.user.role,
+      targetType: 'booking',
+      targetId: req.params.bookingId,
+      meta: { amount: Number(amount), reason: reason || '' }
+    });
+    res.json({ success: true, payment: result.payment });
+  } catch (error) {
+    console.error('[Payments] Refund error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/ledger
+ * Ledger entries, newest first
+ * Query: bookingId, assistantId, account, type, limit (default 100, max 500)
+ */
+router.get('/ledger', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { bookingId, assistantId, account, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const query = {};
+    if (bookingId) query.bookingId = bookingId;
+    if (assistantId) query.assistantId = assistantId;
+    if (account) query.account = account;
+    if (type) query.type = type;
+
+    const entries = await LedgerEntry.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    console.error('[Payments] Ledger error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/reconcile
+ * Compare Assistant.totalEarnings with the ledger (read-only)
+ */
+router.get('/reconcile', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const report = await reconcileAssistantEarnings();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('[Payments] Reconcile error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/reconcile
+ * Reset mismatched Assistant.totalEarnings to the ledger value (audited)
+ */
+router.post('/reconcile', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const report = await reconcileAssistantEarnings({
+      fix: true,
+      actor: { id: req.user.id, role: req.user.role }
+    });
+    console.log(`[Payments] Reconciled earnings: ${report.mismatches.length} of ${report.checked} assistants fixed`);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('[Payments] Reconcile error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== PAYOUTS ====================
+
+/**
+ * GET /api/payments/payouts
+ * Payout batches, newest first
+ * Query: status (draft | approved | paid)
+ */
+router.get('/payouts', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    const batches = await PayoutBatch.find(query).sort({ periodStart: -1 }).limit(100).lean();
+    res.json({ success: true, count: batches.length, batches });
+  } catch (error) {
+    console.error('[Payouts] List error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/payouts
+ * Create the weekly batch from unpaid earnings
+ * Body: { weekOf } - any date in the week (default: last finished week)
+ */
+router.post('/payouts', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { weekOf } = req.body || {};
+    if (weekOf && isNaN(new Date(weekOf))) {
+      return res.status(400).json({ success: false, message: 'Invalid weekOf date' });
+    }
+    const result = await createPayoutBatch({ weekOf, actor: { id: req.user.id, role: req.user.role } });
+    if (!result.success) {
+      return res.status(PAYMENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    console.log(`[Payouts] Batch ${result.batch._id} created: ₹${result.batch.totalAmount} for ${result.batch.items.length} assistants`);
+    res.status(201).json({ success: true, batch: result.batch });
+  } catch (error) {
+    console.error('[Payouts] Create error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/payouts/:id
+ * Batch with its earnings
+ */
+router.get('/payouts/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id).lean();
+    if (!batch) return res.status(404).json({ success: false, message: 'Payout batch not found' });
+    const earnings = await Earning.find({ payoutBatchId: batch._id }).sort({ assistantId: 1, earnedAt: 1 }).lean();
+    res.json({ success: true, batch, earnings });
+  } catch (error) {
+    console.error('[Payouts] Get error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/payouts/:id/approve
+ * draft -> approved
+ */
+router.post('/payouts/:id/approve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await approvePayoutBatch(req.params.id, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      return res.status(PAYMENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, batch: result.batch });
+  } catch (error) {
+    console.error('[Payouts] Approve error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/payouts/:id/mark-paid
+ * approved -> paid, posts the payout to the ledger
+ * Body: { reference } - bank transfer reference
+ */
+router.post('/payouts/:id/mark-paid', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { reference } = req.body || {};
+    const result = await markPayoutBatchPaid(
+      req.params.id,
+      { reference: reference ? String(reference).trim() : '' },
+      { id: req.user.id, role: req.user.role }
+    );
+    if (!result.success) {
+      return res.status(PAYMENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, batch: result.batch });
+  } catch (error) {
+    console.error('[Payouts] Mark paid error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * Pricing Rule Routes
+ * Admin CRUD for versioned price tables and demand multipliers
+ * (see services/pricingRuleService.js). Mounted at /api/admin/pricing-rules.
+ */
+
+const express = require('express');
+const router = express.Router();
+const PricingRule = require('../models/PricingRule');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  resolvePricing,
+  createRule,
+  updateRule,
+  retireRule
+} = require('../services/pricingRuleService');
+
+const RULE_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID_STATE: 409
+};
+
+function sendRuleError(res, result) {
+  return res.status(RULE_ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    errors: result.errors
+  });
+}
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * GET /api/admin/pricing-rules
+ * Active rules; history=true includes superseded and retired versions
+ * Query: scope, scopeKey, history
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { scope, scopeKey, history } = req.query;
+    const query = {};
+    if (scope) query.scope = scope;
+    if (scopeKey) query.scopeKey = String(scopeKey).toUpperCase();
+    if (history !== 'true') query.status = 'active';
+
+    const rules = await PricingRule.find(query).sort({ scope: 1, scopeKey: 1, version: -1 }).lean();
+    res.json({ success: true, count: rules.length, rules });
+  } catch (error) {
+    console.error('[Pricing] List rules error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/pricing-rules/resolve
+ * Which rule and multiplier would price a booking
+ * Query: stationCode, stationName, at (ISO date, default now)
+ */
+router.get('/resolve', async (req, res) => {
+  try {
+    const { stationCode, stationName, at } = req.query;
+    if (at && isNaN(new Date(at))) {
+      return res.status(400).json({ success: false, message: 'Invalid at date' });
+    }
+    const pricing = await resolvePricing({ stationCode, stationName, at });
+    res.json({ success: true, pricing });
+  } catch (error) {
+    console.error('[Pricing] Resolve error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/pricing-rules/:id
+ * One version with its version history
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    const versions = await PricingRule.find({ scope: rule.scope, scopeKey: rule.scopeKey })
+      .select('version status createdBy createdAt notes')
+      .sort({ version: -1 })
+      .lean();
+    res.json({ success: true, rule, versions });
+  } catch (error) {
+    console.error('[Pricing] Get rule error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/pricing-rules
+ * Create a rule for a scope without an active one
+ * Body: { scope, scopeKey, servicePrices, luggagePrices, platformFee,
+ *         timeOfDay, festivals, surge, maxMultiplier, notes }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await createRule(req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendRuleError(res, result);
+    console.log(`[Pricing] Rule ${result.rule.scope}:${result.rule.scopeKey} v${result.rule.version} created`);
+    res.status(201).json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('[Pricing] Create rule error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/pricing-rules/:id
+ * Publish a new version of the active rule (the old version is kept)
+ * Body: any fields accepted by POST except scope/scopeKey
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await updateRule(req.params.id, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendRuleError(res, result);
+    console.log(`[Pricing] Rule ${result.rule.scope}:${result.rule.scopeKey} v${result.previous.version} -> v${result.rule.version}`);
+    res.json({ success: true, rule: result.rule, previousVersion: result.previous.version });
+  } catch (error) {
+    console.error('[Pricing] Update rule error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/pricing-rules/:id
+ * Retire the active version; its history stays for existing bookings
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await retireRule(req.params.id, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendRuleError(res, result);
+    console.log(`[Pricing] Rule ${result.rule.scope}:${result.rule.scopeKey} v${result.rule.version} retired`);
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('[Pricing] Retire rule error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
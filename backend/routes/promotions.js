@@ -0,0 +1,190 @@
+/**
+ * Promotion Routes
+ * Passenger wallet and referral code, admin promo code management and wallet
+ * adjustments (see services/promotionService.js). Mounted at /api/promotions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const promotionsConfig = require('../config/promotions.config');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  createPromo,
+  updatePromo,
+  creditWallet,
+  debitWallet,
+  ensureReferralCode
+} = require('../services/promotionService');
+
+const PROMO_ERROR_STATUS = {
+  INVALID: 400,
+  INVALID_AMOUNT: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INSUFFICIENT_BALANCE: 409
+};
+
+// ==================== PASSENGER ====================
+
+/**
+ * GET /api/promotions/wallet
+ * Wallet balance, recent transactions and the user's referral code
+ */
+router.get('/wallet', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('walletBalance referredBy').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const [referralCode, transactions, referrals] = await Promise.all([
+      ensureReferralCode(req.user.id),
+      WalletTransaction.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(50).lean(),
+      User.countDocuments({ referredBy: req.user.id })
+    ]);
+
+    res.json({
+      success: true,
+      balance: user.walletBalance || 0,
+      transactions,
+      referral: {
+        code: referralCode,
+        referredCount: referrals,
+        refereeCredit: promotionsConfig.referral.refereeCredit,
+        referrerCredit: promotionsConfig.referral.referrerCredit
+      }
+    });
+  } catch (error) {
+    console.error('[Promotions] Wallet error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== ADMIN: PROMO CODES ====================
+
+/**
+ * GET /api/promotions/promos
+ * Query: active (true | false)
+ */
+router.get('/promos', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) query.active = req.query.active === 'true';
+    const promos = await PromoCode.find(query).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, count: promos.length, promos });
+  } catch (error) {
+    console.error('[Promotions] List promos error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/promotions/promos
+ * Body: { code, discountType (percent | flat), value, maxDiscount, minOrderAmount,
+ *         validFrom, validUntil, usageLimit, perUserLimit, stations, serviceTypes, description }
+ */
+router.post('/promos', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await createPromo(req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      return res.status(PROMO_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message, errors: result.errors });
+    }
+    console.log(`[Promotions] Promo ${result.promo.code} created`);
+    res.status(201).json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error('[Promotions] Create promo error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/promotions/promos/:id
+ * Change terms (any POST field except code); active=false disables the code
+ */
+router.put('/promos/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await updatePromo(req.params.id, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      return res.status(PROMO_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message, errors: result.errors });
+    }
+    res.json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error('[Promotions] Update promo error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/promotions/promos/:id
+ * Deactivate (redemptions are kept)
+ */
+router.delete('/promos/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await updatePromo(req.params.id, { active: false }, { id: req.user.id, role: req.user.role });
+    if (!result.success) {
+      return res.status(PROMO_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error('[Promotions] Deactivate promo error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/promotions/promos/:id/redemptions
+ */
+router.get('/promos/:id/redemptions', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const redemptions = await PromoRedemption.find({ promoId: req.params.id }).sort({ createdAt: -1 }).limit(500).lean();
+    res.json({ success: true, count: redemptions.length, redemptions });
+  } catch (error) {
+    console.error('[Promotions] Redemptions error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ==================== ADMIN: WALLETS ====================
+
+/**
+ * POST /api/promotions/wallet/:userId/adjust
+ * Goodwill credit or correction (audited)
+ * Body: { amount (positive = credit, negative = debit), memo }
+ */
+router.post('/wallet/:userId/adjust', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const amount = Number((req.body || {}).amount);
+    const memo = (req.body || {}).memo || '';
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({ success: false, message: 'amount must be a non-zero number' });
+    }
+    if (!memo.trim()) return res.status(400).json({ success: false, message: 'memo is required' });
+
+    const actor = { id: req.user.id, role: req.user.role };
+    const entry = { reason: 'admin_adjustment', memo, actor };
+    const result = amount > 0
+      ? await creditWallet(req.params.userId, amount, entry)
+      : await debitWallet(req.params.userId, -amount, entry);
+    if (!result.success) {
+      return res.status(PROMO_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+
+    await AuditLog.create({
+      action: 'wallet_adjusted',
+      actorId: actor.id,
+      actorRole: actor.role,
+      targetType: 'user',
+      targetId: req.params.userId,
+      meta: { amount, memo, balanceAfter: result.balance }
+    });
+    res.json({ success: true, balance: result.balance, transaction: result.transaction });
+  } catch (error) {
+    console.error('[Promotions] Wallet adjust error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Schedule Import Routes
+ * Admin-triggered timetable imports (see services/scheduleImportService.js).
+ * Mounted at /api/admin/schedule-imports.
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const ScheduleImport = require('../models/ScheduleImport');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  IMPORT_UPLOAD_DIR,
+  startScheduleImport,
+  renderErrorReportCsv
+} = require('../services/scheduleImportService');
+
+const IMPORT_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+// Timetables are large; files go to disk and are removed after the run
+const MAX_IMPORT_FILE_SIZE = 200 * 1024 * 1024;
+const EXTENSIONS = {
+  schedule: ['.csv'],
+  trainInfo: ['.csv'],
+  feed: ['.zip']
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(IMPORT_UPLOAD_DIR, { recursive: true });
+      cb(null, IMPORT_UPLOAD_DIR);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    const allowed = EXTENSIONS[file.fieldname] || [];
+    if (allowed.includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    cb(new Error(`${file.fieldname} must be a ${allowed.join(' or ')} file`), false);
+  }
+}).fields([
+  { name: 'schedule', maxCount: 1 },
+  { name: 'trainInfo', maxCount: 1 },
+  { name: 'feed', maxCount: 1 }
+]);
+
+function handleImportUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 200MB.' : `Upload error: ${err.message}`;
+      return res.status(400).json({ success: false, message });
+    }
+    if (err) return res.status(400).json({ success: false, message: err.message });
+    next();
+  });
+}
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * GET /api/admin/schedule-imports
+ * Recent import runs (without their error lists)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const imports = await ScheduleImport.find()
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, count: imports.length, imports });
+  } catch (error) {
+    console.error('[ScheduleImport] List error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedule-imports
+ * multipart/form-data:
+ * - schedule (train_schedule.csv) and/or trainInfo (train_info.csv), or feed (GTFS .zip)
+ * - mode: 'partial' (default) | 'full' - full withdraws trains missing from the upload
+ * - dryRun: 'true' to only report what would change
+ * Responds 202 with the queued job; poll GET /:id for progress
+ */
+router.post('/', handleImportUpload, async (req, res) => {
+  const files = Object.entries(req.files || {}).map(([role, [file]]) => ({
+    role,
+    name: file.originalname,
+    path: file.path,
+    size: file.size
+  }));
+  try {
+    const result = await startScheduleImport({
+      files,
+      mode: req.body.mode || 'partial',
+      dryRun: req.body.dryRun === 'true' || req.body.dryRun === true,
+      actor: { id: req.user.id, role: req.user.role }
+    });
+    if (!result.success) {
+      files.forEach(f => fs.unlink(f.path, () => {}));
+      return res.status(IMPORT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.status(202).json({ success: true, import: result.job });
+  } catch (error) {
+    files.forEach(f => fs.unlink(f.path, () => {}));
+    console.error('[ScheduleImport] Start error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/schedule-imports/:id
+ * Status, progress and stats; the first 100 errors inline
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await ScheduleImport.findById(req.params.id).slice('rowErrors', 100).lean();
+    if (!job) return res.status(404).json({ success: false, message: 'Import not found' });
+    res.json({ success: true, import: job });
+  } catch (error) {
+    console.error('[ScheduleImport] Get error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/schedule-imports/:id/errors.csv
+ * Downloadable error report
+ */
+router.get('/:id/errors.csv', async (req, res) => {
+  try {
+    const job = await ScheduleImport.findById(req.params.id).lean();
+    if (!job) return res.status(404).json({ success: false, message: 'Import not found' });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="schedule-import-${job._id}-errors.csv"`);
+    res.send(renderErrorReportCsv(job));
+  } catch (error) {
+    console.error('[ScheduleImport] Error report error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
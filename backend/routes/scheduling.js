@@ -17,6 +17,17 @@ const schedulingService = require('../services/schedulingService');
 const taskQueueProcessor = require('../services/taskQueueProcessor');
 const trainDelayTracker = require('../services/trainDelayTracker');
 const taskAssignmentService = require('../services/taskAssignmentService');
+const earningsService = require('../services/earningsService');
+const slaService = require('../services/slaService');
+const { setTaskPlatform } = require('../services/platformGuidanceService');
+const { getStationForecast, buildDemandProfiles } = require('../services/forecastService');
+const { planBatchAssignment } = require('../services/assignmentOptimizer');
+const jobScheduler = require('../services/jobScheduler');
+const eventBus = require('../services/eventBus');
+const { JOB_STATUSES } = require('../models/ScheduledJob');
+const SlaIncident = require('../models/SlaIncident');
+const Assistant = require('../models/Assistant');
+const { authenticate, authorize } = require('../middleware/auth');
 
 /**
  * GET /api/scheduling/stats
@@ -202,6 +213,9 @@ router.patch('/tasks/:taskId/assign', async (req, res) => {
       });
     }
     
+    // Notifies the assistant and plans the task's reminders
+    eventBus.publishTaskEvent('taskAssigned', { task: result.task, assistantId });
+    
     res.json({ 
       success: true, 
       message: 'Task assigned successfully',
@@ -332,6 +346,11 @@ router.patch('/tasks/:taskId/status', async (req, res) => {
     if (status === 'completed') task.completedAt = new Date();
     
     await task.save();
+
+    if (status === 'completed') {
+      const earning = await earningsService.recordTaskEarning(task);
+      if (!earning.success) console.warn(`[Earnings] No earning for task ${task._id}:`, earning.message);
+    }
     
     res.json({ 
       success: true, 
@@ -345,6 +364,38 @@ router.patch('/tasks/:taskId/status', async (req, res) => {
   }
 });
 
+const PLATFORM_ERROR_STATUS = { INVALID: 400, FORBIDDEN: 403, NOT_FOUND: 404, INVALID_STATE: 409 };
+
+/**
+ * PATCH /api/scheduling/tasks/:taskId/platform
+ * Override the task's platform when it changes on the day
+ * Admin: any open task. Assistant: tasks assigned to them.
+ * Body: { platform, reason } - platform null goes back to the timetable platform
+ */
+router.patch('/tasks/:taskId/platform', authenticate, authorize(['admin', 'assistant']), async (req, res) => {
+  try {
+    const actor = { id: req.user.id, role: req.user.role };
+    if (req.user.role === 'assistant') {
+      const assistant = await Assistant.findOne({ userId: String(req.user.id) }).select('_id').lean();
+      if (!assistant) return res.status(404).json({ success: false, message: 'Assistant profile not found' });
+      actor.assistantId = assistant._id;
+    }
+
+    const { platform, reason } = req.body || {};
+    if (platform === undefined) {
+      return res.status(400).json({ success: false, message: 'platform is required (null resets to the timetable platform)' });
+    }
+    const result = await setTaskPlatform(req.params.taskId, { platform, reason }, actor);
+    if (!result.success) {
+      return res.status(PLATFORM_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, task: result.task });
+  } catch (err) {
+    console.error('[Task Platform Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 /**
  * GET /api/scheduling/booking/:bookingId/tasks
  * Get all tasks for a booking with detailed assignment status
@@ -482,4 +533,162 @@ router.get('/station/:station/workload', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/scheduling/station/:station/forecast
+ * Hourly expected demand (history and confirmed bookings), recommended
+ * assistants and who is rostered, with understaffed windows
+ * Query: from (ISO date, default now), hours (default 24, max 168)
+ */
+router.get('/station/:station/forecast', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (isNaN(from)) {
+      return res.status(400).json({ success: false, message: 'from must be a date' });
+    }
+    const hours = req.query.hours ? parseInt(req.query.hours, 10) : 24;
+
+    const result = await getStationForecast(req.params.station, { from, hours });
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ success: false, message: result.message });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[Forecast Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * POST /api/scheduling/forecast/rebuild
+ * Rebuild demand profiles now instead of waiting for the next scheduled run
+ */
+router.post('/forecast/rebuild', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await buildDemandProfiles();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Forecast Rebuild Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * GET /api/scheduling/optimizer/dry-run
+ * Batch assignment plan per station for the pending tasks in the look-ahead
+ * window, scored against the greedy per-task result. Nothing is assigned
+ * Query: station (code or name; default every station with pending tasks)
+ */
+router.get('/optimizer/dry-run', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const plan = await planBatchAssignment({ station: req.query.station });
+    const totals = plan.stations.reduce((sum, s) => ({
+      optimizedScore: sum.optimizedScore + s.optimized.totalScore,
+      greedyScore: sum.greedyScore + s.greedy.totalScore,
+      optimizedAssigned: sum.optimizedAssigned + s.optimized.assignedCount,
+      greedyAssigned: sum.greedyAssigned + s.greedy.assignedCount
+    }), { optimizedScore: 0, greedyScore: 0, optimizedAssigned: 0, greedyAssigned: 0 });
+    res.json({ success: true, ...plan, totals });
+  } catch (err) {
+    console.error('[Optimizer Dry Run Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ==================== SCHEDULED JOBS ====================
+
+/**
+ * GET /api/scheduling/jobs
+ * Reminder / escalation jobs, soonest first
+ * Query: status, type, taskId, bookingId, limit
+ */
+router.get('/jobs', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${JOB_STATUSES.join(', ')}` });
+    }
+    const jobs = await jobScheduler.listJobs(req.query);
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (err) {
+    console.error('[Scheduled Jobs Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ==================== SLA INCIDENTS ====================
+
+/**
+ * GET /api/scheduling/incidents
+ * Late-arrival / no-show incidents, newest first
+ * Admin: all, filterable by assistantId, status, type. Assistant: own only.
+ */
+router.get('/incidents', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.user.role === 'admin') {
+      if (req.query.assistantId) query.assistantId = req.query.assistantId;
+    } else if (req.user.role === 'assistant') {
+      const assistant = await Assistant.findOne({ userId: String(req.user.id) }).select('_id').lean();
+      if (!assistant) return res.status(404).json({ success: false, message: 'Assistant profile not found' });
+      query.assistantId = assistant._id;
+    } else {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.type) query.type = req.query.type;
+
+    const incidents = await SlaIncident.find(query).sort({ createdAt: -1 }).limit(200).lean();
+    res.json({ success: true, count: incidents.length, incidents });
+  } catch (err) {
+    console.error('[SLA Incidents Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const INCIDENT_ERROR_STATUS = { NOT_FOUND: 404, FORBIDDEN: 403, INVALID_STATE: 409, INVALID: 400 };
+
+/**
+ * POST /api/scheduling/incidents/:id/appeal
+ * Assistant appeals a penalty
+ * Body: { reason }
+ */
+router.post('/incidents/:id/appeal', authenticate, authorize('assistant'), async (req, res) => {
+  try {
+    const assistant = await Assistant.findOne({ userId: String(req.user.id) }).select('_id').lean();
+    if (!assistant) return res.status(404).json({ success: false, message: 'Assistant profile not found' });
+
+    const result = await slaService.submitAppeal(req.params.id, assistant._id, (req.body || {}).reason);
+    if (!result.success) {
+      return res.status(INCIDENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, incident: result.incident });
+  } catch (err) {
+    console.error('[SLA Appeal Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * POST /api/scheduling/incidents/:id/resolve
+ * Admin decides an appeal
+ * Body: { decision: 'accepted' | 'rejected', note }
+ */
+router.post('/incidents/:id/resolve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const result = await slaService.resolveAppeal(req.params.id, decision, note || '', {
+      id: req.user.id,
+      role: req.user.role
+    });
+    if (!result.success) {
+      return res.status(INCIDENT_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
+    console.log(`[SLA] Appeal ${decision} for incident ${result.incident._id}`);
+    res.json({ success: true, incident: result.incident });
+  } catch (err) {
+    console.error('[SLA Resolve Error]', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 module.exports = router;
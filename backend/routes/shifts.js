@@ -0,0 +1,91 @@
+/**
+ * Shift Routes
+ * Admin station rosters (see services/shiftService.js).
+ * Mounted at /api/admin/shifts.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  getStationRoster,
+  createShifts,
+  cancelShift
+} = require('../services/shiftService');
+
+const SHIFT_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  INVALID_STATE: 409
+};
+
+function sendShiftError(res, result) {
+  return res.status(SHIFT_ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    errors: result.errors,
+    rejected: result.rejected
+  });
+}
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * GET /api/admin/shifts
+ * A station's roster with each shift's task load against capacity.targetTasksPerShift
+ * Query: station (code, required), from, to (ISO dates; default the next 7 days)
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!req.query.station) {
+      return res.status(400).json({ success: false, message: 'station is required' });
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates with from before to' });
+    }
+
+    const result = await getStationRoster(req.query.station, { from, to });
+    if (!result.success) return sendShiftError(res, result);
+    res.json({ success: true, from, to, station: result.station, target: result.target, count: result.shifts.length, shifts: result.shifts });
+  } catch (error) {
+    console.error('[Shift] Roster error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/shifts
+ * Body: { stationCode, shifts: [{ assistantId, start, end, notes }] }
+ * Valid entries are created; the rest come back in rejected with their errors
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { stationCode, shifts } = req.body || {};
+    const result = await createShifts(stationCode, shifts, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendShiftError(res, result);
+    res.status(201).json({ success: true, count: result.shifts.length, shifts: result.shifts, rejected: result.rejected });
+  } catch (error) {
+    console.error('[Shift] Create error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/shifts/:id
+ * Cancel a shift. Body: { reason }. Tasks already assigned in it are returned
+ * in affectedTasks for reassignment
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await cancelShift(req.params.id, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendShiftError(res, result);
+    res.json({ success: true, shift: result.shift, affectedTasks: result.affectedTasks });
+  } catch (error) {
+    console.error('[Shift] Cancel error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
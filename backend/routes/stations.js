@@ -0,0 +1,155 @@
+/**
+ * Station Routes
+ * Admin management of station master data (see services/stationService.js).
+ * Mounted at /api/admin/stations.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Station = require('../models/Station');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  createStation,
+  updateStation,
+  deactivateStation
+} = require('../services/stationService');
+const { getStationEquipment } = require('../services/accessibilityService');
+
+const STATION_ERROR_STATUS = {
+  INVALID: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID_STATE: 409
+};
+
+function sendStationError(res, result) {
+  return res.status(STATION_ERROR_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    errors: result.errors
+  });
+}
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * GET /api/admin/stations
+ * Query: search (code or name), zone, division, category, stationType,
+ *        includeInactive, page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, zone, division, category, stationType, includeInactive } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (zone) query.zone = String(zone).toUpperCase();
+    if (division) query.division = division;
+    if (category) query.category = category;
+    if (stationType) query.stationType = stationType;
+    if (search) {
+      const escaped = String(search).trim().toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.nameKeys = { $regex: '^' + escaped };
+    }
+
+    const [stations, total] = await Promise.all([
+      Station.find(query).sort({ code: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Station.countDocuments(query)
+    ]);
+    res.json({ success: true, count: stations.length, total, page, stations });
+  } catch (error) {
+    console.error('[Station] List error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/stations/:code
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const station = await Station.findOne({ code: String(req.params.code).toUpperCase() }).lean();
+    if (!station) return res.status(404).json({ success: false, message: 'Station not found' });
+    res.json({ success: true, station });
+  } catch (error) {
+    console.error('[Station] Get error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/stations/:code/equipment
+ * Reservable equipment (facilities wheelchairs/stretchers/batteryCars) and the
+ * holds overlapping a time range
+ * Query: from, to (ISO dates; default the next 24 hours)
+ */
+router.get('/:code/equipment', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates with from before to' });
+    }
+
+    const result = await getStationEquipment(req.params.code, { from, to });
+    if (!result.success) return sendStationError(res, result);
+    res.json({ success: true, from, to, inventory: result.inventory, holds: result.holds });
+  } catch (error) {
+    console.error('[Station] Equipment error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/stations
+ * Body: { code, name, aliases, zone, division, state, category, typeOverride,
+ *         platformCount, facilities: { lifts, escalators, ramps, batteryCars,
+ *         wheelchairPoints, wheelchairs, stretchers, accessibleToilets,
+ *         footOverBridge },
+ *         location: { lat, lng }, notes }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await createStation(req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendStationError(res, result);
+    res.status(201).json({ success: true, station: result.station });
+  } catch (error) {
+    console.error('[Station] Create error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/stations/:code
+ * Body: any fields accepted by POST except code; facilities merge field by field,
+ * location: null clears the coordinates, typeOverride: null goes back to the category
+ */
+router.put('/:code', async (req, res) => {
+  try {
+    const result = await updateStation(req.params.code, req.body || {}, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendStationError(res, result);
+    res.json({ success: true, station: result.station });
+  } catch (error) {
+    console.error('[Station] Update error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/stations/:code
+ * Deactivate; the record stays and PUT { isActive: true } restores it
+ */
+router.delete('/:code', async (req, res) => {
+  try {
+    const result = await deactivateStation(req.params.code, { id: req.user.id, role: req.user.role });
+    if (!result.success) return sendStationError(res, result);
+    res.json({ success: true, station: result.station });
+  } catch (error) {
+    console.error('[Station] Deactivate error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const Train = require('../models/Train');
 const TrainStop = require('../models/TrainStop');
 const { getServiceTypeAvailability } = require('../services/schedulingService');
+const { getPublicStations } = require('../services/stationService');
+const { updateCoachComposition } = require('../services/platformGuidanceService');
+const { authenticate, authorize } = require('../middleware/auth');
 
 /**
  * GET /api/trains
@@ -165,7 +168,8 @@ router.get('/:trainNumber/stops', async (req, res) => {
 /**
  * GET /api/trains/:trainNumber/stations
  * Get stations for a train (optimized for dropdown)
- * Returns only required fields, ordered by stop_sequence
+ * Returns only required fields, ordered by stop_sequence, with station master
+ * data (type, category, platforms, facilities) where the station has a record
  * Performance: Uses indexed query on trainNumber with hint
  */
 router.get('/:trainNumber/stations', async (req, res) => {
@@ -214,6 +218,16 @@ router.get('/:trainNumber/stations', async (req, res) => {
       });
     }
     
+    const details = await getPublicStations(stations.map(s => s.stationCode));
+    stations.forEach(stop => {
+      const station = details.get(stop.stationCode);
+      if (!station) return;
+      stop.stationType = station.stationType;
+      stop.category = station.category;
+      stop.platformCount = station.platformCount;
+      stop.facilities = station.facilities;
+    });
+    
     // Set cache headers for 5 minutes (stations don't change frequently)
     res.set('Cache-Control', 'public, max-age=300');
     
@@ -333,6 +347,37 @@ router.get('/:trainNumber/station/:stationCode/service-types', async (req, res)
   }
 });
 
+/**
+ * PUT /api/trains/:trainNumber/coach-composition
+ * Admin: set the coach order from the engine; open tasks on the train get new coach positions
+ * Body: { coachComposition: ['SLR', 'GEN', 'S1', ...] }
+ */
+router.put('/:trainNumber/coach-composition', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { trainNumber } = req.params;
+    if (!/^\d{1,5}$/.test(trainNumber)) {
+      return res.status(400).json({ success: false, message: 'Invalid train number format' });
+    }
+    const result = await updateCoachComposition(
+      trainNumber,
+      (req.body || {}).coachComposition,
+      { id: req.user.id, role: req.user.role }
+    );
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ success: false, message: result.message });
+    }
+    return res.json({
+      success: true,
+      trainNumber,
+      coachComposition: result.train.coachComposition,
+      tasksUpdated: result.tasksUpdated
+    });
+  } catch (err) {
+    console.error('[trains:coach-composition] Error:', err.message);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * GET /api/trains/:id
  * Get train by MongoDB ObjectId (catch-all route - must be last)
@@ -3,8 +3,7 @@ const Assistant = require('./models/Assistant');
 const Booking = require('./models/Booking');
 const User = require('./models/User');
 const bcrypt = require('bcryptjs');
-
-function genOtp() { return Math.floor(1000 + Math.random() * 9000).toString(); }
+const { issueOtp } = require('./services/otpService');
 
 async function seed() {
   await db.connect();
@@ -34,21 +33,28 @@ async function seed() {
   const bookings = [
     {
       passengerName: 'Vikas', station: 'Secunderabad', trainName: 'Express 101', coach: 'B1', seat: '12',
-      services: ['Luggage'], language: 'Telugu', status: 'Pending', otp: genOtp()
+      services: ['Luggage'], language: 'Telugu', status: 'Pending'
     },
     {
       passengerName: 'Asha', station: 'Kacheguda', trainName: 'Local 22', coach: 'S2', seat: '45',
-      services: ['Language'], language: 'Hindi', status: 'Pending', otp: genOtp()
+      services: ['Language'], language: 'Hindi', status: 'Pending'
     },
     {
       passengerName: 'Rahul', station: 'Secunderabad', trainName: 'Express 101', coach: 'B2', seat: '06',
-      services: ['Luggage','Language'], language: 'English', status: 'Accepted', otp: genOtp(), assistantId: assistants[0]._id
+      services: ['Luggage','Language'], language: 'English', status: 'Accepted', assistantId: assistants[0]._id
     }
   ];
 
   const created = await Booking.create(bookings);
   console.log('Created bookings:', created.map(b=>b.passengerName).join(','));
 
+  // Sample passengers have no phone to receive their booking OTP - print the seeded ones
+  // (the server verifies them only when it shares OTP_SECRET / JWT_SECRET with this script)
+  for (const booking of created) {
+    const issued = await issueOtp(booking._id, 'booking');
+    console.log(`Booking OTP for ${booking.passengerName}: ${issued.otp}`);
+  }
+
   console.log('Seed complete. Admin login: Admin / admin123');
   process.exit(0);
 }
@@ -15,7 +15,21 @@ const adminDashboardRoutes = require('./routes/adminDashboardRoutes'); // Super
 const feedbackRoutes = require('./routes/feedback');
 const trainRoutes = require('./routes/trains'); // Train search API
 const schedulingRoutes = require('./routes/scheduling'); // Scheduling & task management
+const paymentRoutes = require('./routes/payments'); // Payments, webhooks & ledger
+const pricingRuleRoutes = require('./routes/pricingRules'); // Dynamic pricing rules
+const promotionRoutes = require('./routes/promotions'); // Promo codes, wallet & referrals
+const notificationRoutes = require('./routes/notifications'); // Notification preferences & delivery log
+const scheduleImportRoutes = require('./routes/scheduleImports'); // Timetable imports
+const stationRoutes = require('./routes/stations'); // Station master data
+const shiftRoutes = require('./routes/shifts'); // Station shift rosters
 const { retrySearchingBookings } = require('./services/matchingService');
+const { createPayoutBatch } = require('./services/earningsService');
+const { recoverInterruptedImports } = require('./services/scheduleImportService');
+const { purgeLegacyOtps } = require('./services/otpService');
+const { runCertificationSweep } = require('./services/certificationService');
+const accessibilityConfig = require('./config/accessibility.config');
+const { buildDemandProfiles } = require('./services/forecastService');
+const schedulingConfig = require('./config/scheduling.config');
 
 // Background Services (Enterprise Scheduling)
 const trainDelayTracker = require('./services/trainDelayTracker');
@@ -39,40 +53,135 @@ const io = new Server(server, {
   }
 });
 
-// Store chat messages in memory (for demo; use DB in production)
-let chatMessages = [];
+const { authenticateSocket } = require('./middleware/auth');
+const chatService = require('./services/chatService');
+const eventBus = require('./services/eventBus');
+const realtimeService = require('./services/realtimeService');
+const paymentService = require('./services/paymentService');
+const promotionService = require('./services/promotionService');
+const accessibilityService = require('./services/accessibilityService');
+const offerService = require('./services/offerService');
+const locationService = require('./services/locationService');
+const notificationService = require('./services/notificationService');
+const taskReminderService = require('./services/taskReminderService');
+const jobScheduler = require('./services/jobScheduler');
+const notificationsConfig = require('./config/notifications.config');
+
+// Typing indicators are transient - keep them in memory only
 let typingUsers = {};
 
+// Every socket must present a valid JWT; the payload is available as socket.user
+io.use(authenticateSocket);
+
+// Push booking status and task events to booking/assistant/station rooms
+eventBus.bridge(trainDelayTracker);
+eventBus.bridge(taskQueueProcessor);
+realtimeService.attach(io);
+
+// Void / refund payments when bookings are cancelled or rejected
+eventBus.on('bookingStatusChanged', paymentService.handleBookingStatusChange);
+// Return promo uses / wallet credit of cancelled bookings, reward referrers on completion
+eventBus.on('bookingStatusChanged', promotionService.handleBookingStatusChange);
+// Release station equipment of finished bookings; move it with rescheduled tasks
+eventBus.on('bookingStatusChanged', accessibilityService.handleBookingStatusChange);
+eventBus.on('taskEvent', accessibilityService.handleTaskEvent);
+// Withdraw open assignment offers of bookings that were taken or cancelled
+eventBus.on('bookingStatusChanged', offerService.handleBookingStatusChange);
+// Drop live location history of finished bookings
+eventBus.on('bookingStatusChanged', locationService.handleBookingStatusChange);
+// SMS / email / push messages to passengers and assistants
+eventBus.on('bookingStatusChanged', notificationService.handleBookingStatusChange);
+// Plan reminder / escalation jobs of new, assigned and rescheduled tasks; cancel them when bookings close
+eventBus.on('bookingStatusChanged', taskReminderService.handleBookingStatusChange);
+eventBus.on('taskEvent', taskReminderService.handleTaskEvent);
+
 io.on('connection', (socket) => {
-  console.log('[SOCKET] New connection:', socket.id);
-  // Join room for admin or passenger
-  socket.on('join', ({ role, bookingId }) => {
-    if (role && bookingId) {
-      socket.join(bookingId);
-      socket.role = role;
-      socket.bookingId = bookingId;
-      // Send chat history
-      socket.emit('chat_history', chatMessages.filter(m => m.bookingId === bookingId));
+  console.log('[SOCKET] New connection:', socket.id, 'role=', socket.user.role);
+  // Admins receive emergency alerts for every booking
+  if (socket.user.role === 'admin') {
+    socket.join('admins');
+  }
+
+  // Join a booking room - only the passenger, assigned assistant(s) or an admin may join
+  socket.on('join', async ({ bookingId } = {}, ack) => {
+    try {
+      const access = await chatService.canAccessBooking(socket.user, bookingId);
+      if (!access.allowed) {
+        console.warn('[SOCKET] join denied:', socket.user.id, bookingId, access.reason);
+        socket.emit('join_error', { bookingId, message: access.reason });
+        if (typeof ack === 'function') ack({ error: access.reason });
+        return;
+      }
+      const room = String(access.booking._id);
+      socket.join(room);
+      socket.role = socket.user.role;
+      socket.bookingId = room;
+      // Send most recent page of persisted history
+      const history = await chatService.getMessages(room);
+      socket.emit('chat_history', history.messages);
+      if (typeof ack === 'function') ack({ success: true, hasMore: history.hasMore });
+    } catch (err) {
+      console.error('[SOCKET] join error:', err.message);
+      if (typeof ack === 'function') ack({ error: 'Failed to join chat' });
+    }
+  });
+
+  // Handle new message - only into a room this socket has joined
+  socket.on('chat_message', async (msg = {}, ack) => {
+    try {
+      const bookingId = msg.bookingId && String(msg.bookingId);
+      const text = typeof msg.text === 'string' ? msg.text.trim() : '';
+      if (!bookingId || !socket.rooms.has(bookingId)) {
+        if (typeof ack === 'function') ack({ error: 'Join the booking chat before sending messages' });
+        return;
+      }
+      if (!text) {
+        if (typeof ack === 'function') ack({ error: 'Message text is required' });
+        return;
+      }
+      const saved = await chatService.saveMessage(bookingId, socket.user, text);
+      io.to(bookingId).emit('chat_message', saved);
+      // If the sender is a passenger, alert all admins
+      if (socket.user.role === 'passenger') {
+        io.to('admins').emit('emergency_chat', { bookingId, user: saved.user, text: saved.text, time: saved.time });
+      }
+      if (typeof ack === 'function') ack({ success: true, message: saved });
+    } catch (err) {
+      console.error('[SOCKET] chat_message error:', err.message);
+      if (typeof ack === 'function') ack({ error: 'Failed to send message' });
     }
   });
-  // Handle new message
-  socket.on('chat_message', (msg) => {
-    console.log('[SOCKET] chat_message received:', msg);
-    chatMessages.push(msg);
-    io.to(msg.bookingId).emit('chat_message', msg);
-    // If the sender is a passenger, emit emergency_chat event to all admins
-    if (socket.role === 'passenger' && msg.bookingId) {
-      io.emit('emergency_chat', { bookingId: msg.bookingId, user: msg.user, text: msg.text, time: msg.time });
+
+  // Read receipts
+  socket.on('mark_read', async ({ bookingId, messageIds } = {}) => {
+    try {
+      bookingId = bookingId && String(bookingId);
+      if (!bookingId || !socket.rooms.has(bookingId)) return;
+      const result = await chatService.markRead(bookingId, socket.user, messageIds);
+      if (result.modifiedCount > 0) {
+        io.to(bookingId).emit('messages_read', {
+          bookingId,
+          userId: socket.user.id,
+          role: socket.user.role,
+          messageIds: messageIds || null,
+          readAt: result.readAt
+        });
+      }
+    } catch (err) {
+      console.error('[SOCKET] mark_read error:', err.message);
     }
   });
+
   // Typing indicator
-  socket.on('typing', ({ bookingId, user }) => {
-    typingUsers[bookingId] = user;
-    socket.to(bookingId).emit('typing', user);
+  socket.on('typing', ({ bookingId, user } = {}) => {
+    if (!bookingId || !socket.rooms.has(String(bookingId))) return;
+    typingUsers[bookingId] = user || socket.user.name;
+    socket.to(String(bookingId)).emit('typing', typingUsers[bookingId]);
   });
-  socket.on('stop_typing', ({ bookingId }) => {
+  socket.on('stop_typing', ({ bookingId } = {}) => {
+    if (!bookingId || !socket.rooms.has(String(bookingId))) return;
     delete typingUsers[bookingId];
-    socket.to(bookingId).emit('stop_typing');
+    socket.to(String(bookingId)).emit('stop_typing');
   });
   socket.on('disconnect', () => {
     if (socket.bookingId && typingUsers[socket.bookingId]) {
@@ -88,7 +197,8 @@ app.use(cors({
 }));
 
 // Parse JSON and URL-encoded bodies with increased limits for base64 uploads
-app.use(bodyParser.json({ limit: '25mb' }));
+// Keep the raw body for webhook signature verification
+app.use(bodyParser.json({ limit: '25mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '25mb' }));
 
 // API routes
@@ -97,9 +207,16 @@ app.use('/api/assistants', assistantRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/dashboard', adminDashboardRoutes); // Super Dashboard
+app.use('/api/admin/pricing-rules', pricingRuleRoutes); // Versioned pricing rules
+app.use('/api/admin/schedule-imports', scheduleImportRoutes); // Timetable CSV / GTFS imports
+app.use('/api/admin/stations', stationRoutes); // Station master data
+app.use('/api/admin/shifts', shiftRoutes); // Station shift rosters
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/trains', trainRoutes); // Train search
 app.use('/api/scheduling', schedulingRoutes); // Task scheduling & management
+app.use('/api/payments', paymentRoutes); // Payments, webhooks & ledger
+app.use('/api/promotions', promotionRoutes); // Promo codes, wallet & referrals
+app.use('/api/notifications', notificationRoutes); // Notification preferences & delivery log
 
 // Serve frontend static files
 const frontendPath = path.join(__dirname, '..', 'frontend');
@@ -158,6 +275,69 @@ db.connect().then(() => {
       retrySearchingBookings();
     }, 30000);
     console.log('🔄 Auto-matching service started (30s interval)');
+
+    // Expire unanswered assignment offers and cascade to the next candidate
+    setInterval(() => {
+      offerService.expireOffers().catch(err => {
+        console.error('[Offers] Expiry sweep error:', err.message);
+      });
+    }, schedulingConfig.offers.sweepIntervalSeconds * 1000);
+
+    // OTPs are stored hashed - drop plaintext codes left by older versions
+    purgeLegacyOtps().catch(err => {
+      console.error('[OTP] Legacy OTP cleanup error:', err.message);
+    });
+
+    // Imports cut off by a restart are failed so new ones are not blocked
+    recoverInterruptedImports().catch(err => {
+      console.error('[ScheduleImport] Recovery error:', err.message);
+    });
+
+    // Draft last week's payout batch once the week is over (hourly check; admin approves)
+    setInterval(async () => {
+      try {
+        const result = await createPayoutBatch({ actor: { role: 'system' } });
+        if (result.success) {
+          console.log(`💸 Payout batch drafted: ₹${result.batch.totalAmount} for ${result.batch.items.length} assistants`);
+        }
+      } catch (err) {
+        console.error('[Payouts] Weekly batch error:', err.message);
+      }
+    }, 60 * 60 * 1000);
+
+    // Expire lapsed certifications (their skills stop counting) and remind assistants before expiry
+    const sweepCertifications = () => runCertificationSweep().catch(err => {
+      console.error('[Certification] Sweep error:', err.message);
+    });
+    sweepCertifications();
+    setInterval(sweepCertifications, accessibilityConfig.certifications.sweepIntervalMinutes * 60 * 1000);
+
+    // Live location is only kept while a task is open
+    setInterval(() => {
+      locationService.purgeInactiveLocations().catch(err => {
+        console.error('[Location] Purge error:', err.message);
+      });
+    }, schedulingConfig.location.purgeIntervalMinutes * 60 * 1000);
+
+    // Failed notifications are retried with backoff until dead-lettered
+    setInterval(() => {
+      notificationService.processDueNotifications().catch(err => {
+        console.error('[Notify] Retry sweep error:', err.message);
+      });
+    }, notificationsConfig.retry.sweepIntervalSeconds * 1000);
+
+    // Durable reminder / escalation jobs; tasks queued while the server was down are planned first
+    taskReminderService.registerJobHandlers();
+    taskReminderService.scheduleUpcomingTasks().catch(err => {
+      console.error('[Reminders] Planning upcoming tasks failed:', err.message);
+    }).finally(() => jobScheduler.start());
+
+    // Hourly demand per station from task history (staffing forecasts)
+    const rebuildDemand = () => buildDemandProfiles().catch(err => {
+      console.error('[Forecast] Rebuild error:', err.message);
+    });
+    rebuildDemand();
+    setInterval(rebuildDemand, schedulingConfig.forecast.rebuildIntervalMinutes * 60 * 1000);
     
     // Start background scheduling services
     try {
@@ -180,7 +360,7 @@ db.connect().then(() => {
       
       // Listen for task processor events
       taskQueueProcessor.on('taskAssigned', (data) => {
-        console.log(`✅ Task ${data.taskId} assigned to assistant ${data.assistantId}`);
+        console.log(`✅ Task ${data.task._id} assigned to assistant ${data.assistantId}`);
       });
       
     } catch (err) {
@@ -0,0 +1,423 @@
+/**
+ * Accessibility Service
+ *
+ * Requirements that accessibility services (config/accessibility.config.js)
+ * put on a booking:
+ * - skills: matching only considers assistants certified for every skill the
+ *   booking's services need (Assistant.certifiedSkills)
+ * - equipment: station wheelchairs, stretchers and battery cars are reserved
+ *   per unit for the time the assistant needs them (EquipmentReservation)
+ *
+ * Reservations are made when a booking's tasks are created, move with the task
+ * when the train is delayed, and are released when the booking ends.
+ */
+
+const mongoose = require('mongoose');
+const EquipmentReservation = require('../models/EquipmentReservation');
+const AuditLog = require('../models/AuditLog');
+const accessibilityConfig = require('../config/accessibility.config');
+const { TERMINAL_STATUSES } = require('./bookingStateService');
+const { findStation } = require('./stationService');
+const { formatClock } = require('./localTime');
+
+const { inventoryField, slotMinutes, holdBeforeMinutes, holdAfterMinutes } = accessibilityConfig.equipment;
+const SLOT_MS = slotMinutes * 60 * 1000;
+
+function equipmentLabel(equipmentType) {
+  return equipmentType.replace(/_/g, ' ');
+}
+
+function isDuplicateKeyError(err) {
+  return err.code === 11000 || (Array.isArray(err.writeErrors) && err.writeErrors.some(e => e.code === 11000));
+}
+
+// ==================== REQUIREMENTS ====================
+
+/**
+ * Skills and equipment a booking's services need
+ * @param {string[]} services - Booking.services
+ * @returns {Object} { services, skills, equipment } - accessibility services only
+ */
+function getAccessibilityRequirements(services = []) {
+  const accessibility = (services || []).filter(s => accessibilityConfig.services[s]);
+  const definitions = accessibility.map(s => accessibilityConfig.services[s]);
+  return {
+    services: accessibility,
+    skills: [...new Set(definitions.map(d => d.skill))],
+    equipment: [...new Set(definitions.map(d => d.equipment).filter(Boolean))]
+  };
+}
+
+/**
+ * Assistant query condition for the skills a booking needs
+ * @param {string[]} services - Booking.services
+ * @returns {Object} {} or { certifiedSkills: { $all: [...] } }
+ */
+function certifiedSkillsQuery(services) {
+  const { skills } = getAccessibilityRequirements(services);
+  return skills.length > 0 ? { certifiedSkills: { $all: skills } } : {};
+}
+
+/**
+ * Skills a booking needs that the assistant is not certified for
+ * @param {Object} assistant - Assistant
+ * @param {string[]} services - Booking.services
+ * @returns {string[]}
+ */
+function getMissingSkills(assistant, services) {
+  const certified = (assistant && assistant.certifiedSkills) || [];
+  return getAccessibilityRequirements(services).skills.filter(skill => !certified.includes(skill));
+}
+
+// ==================== HOLD WINDOWS ====================
+
+/**
+ * Time a task needs its equipment: from the assistant's arrival until a while
+ * after the train (delays included)
+ * @param {Object} task - ServiceTask
+ * @returns {Object|null} { start, end }
+ */
+function getTaskHoldWindow(task) {
+  const times = [task.scheduledTime, task.expectedTrainArrival, task.trainArrivalTime, task.trainDepartureTime]
+    .filter(Boolean)
+    .map(t => new Date(t).getTime());
+  if (times.length === 0) return null;
+
+  const start = task.assistantArrivalTime
+    ? new Date(task.assistantArrivalTime)
+    : new Date(new Date(task.scheduledTime || Math.min(...times)).getTime() - holdBeforeMinutes * 60 * 1000);
+  const end = new Date(Math.max(...times) + holdAfterMinutes * 60 * 1000);
+  return { start, end };
+}
+
+/**
+ * Hold window for a booking without tasks (no train), around its arrival time
+ * @param {Date} arrivalTime
+ * @returns {Object} { start, end }
+ */
+function getArrivalHoldWindow(arrivalTime) {
+  const at = new Date(arrivalTime).getTime();
+  return {
+    start: new Date(at - holdBeforeMinutes * 60 * 1000),
+    end: new Date(at + holdAfterMinutes * 60 * 1000)
+  };
+}
+
+function getSlots(start, end) {
+  const slots = [];
+  for (let t = Math.floor(start.getTime() / SLOT_MS) * SLOT_MS; t < end.getTime(); t += SLOT_MS) {
+    slots.push(new Date(t));
+  }
+  return slots;
+}
+
+// ==================== RESERVATIONS ====================
+
+/**
+ * Units of an equipment type a station has
+ * @param {Object} station - Station (lean)
+ * @param {string} equipmentType
+ * @returns {number}
+ */
+function getInventory(station, equipmentType) {
+  return (station && station.facilities && station.facilities[inventoryField[equipmentType]]) || 0;
+}
+
+/**
+ * Check the booking's stations have the equipment at all, before payment is taken
+ * (availability at the booked time is only known once tasks are reserved)
+ * @param {string[]} services - Booking.services
+ * @param {Array} stations - [{ code, name }]
+ * @returns {Promise<Object>} { success, code, message }
+ */
+async function checkEquipmentInventory(services, stations) {
+  const { equipment } = getAccessibilityRequirements(services);
+  for (const ref of stations) {
+    if (!ref.code && !ref.name) continue;
+    const station = await findStation(ref);
+    for (const equipmentType of equipment) {
+      if (getInventory(station, equipmentType) === 0) {
+        return {
+          success: false,
+          code: 'UNAVAILABLE',
+          message: `${station ? station.name : (ref.name || ref.code)} has no ${equipmentLabel(equipmentType)} to reserve`
+        };
+      }
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Reserve one unit of station equipment for a time window
+ * Tries each unit in turn; a unit is taken only if every slot of the window
+ * inserts, so concurrent bookings can never share a unit.
+ * @param {Object} params
+ * @param {Object} params.station - { code, name }
+ * @param {string} params.equipmentType - wheelchair | stretcher | battery_car
+ * @param {Date} params.start
+ * @param {Date} params.end
+ * @param {string} params.bookingId
+ * @param {string} [params.taskId]
+ * @param {number} [params.preferUnit] - Try this unit first (keeps a unit across reschedules)
+ * @returns {Promise<Object>} { success, hold, code, message }
+ */
+async function reserveEquipment({ station: ref, equipmentType, start, end, bookingId, taskId = null, preferUnit = null }) {
+  const station = await findStation(ref);
+  const units = getInventory(station, equipmentType);
+  const label = equipmentLabel(equipmentType);
+  if (units === 0) {
+    return {
+      success: false,
+      code: 'UNAVAILABLE',
+      message: `${station ? station.name : (ref.name || ref.code)} has no ${label} to reserve`
+    };
+  }
+
+  const slots = getSlots(start, end);
+  const order = Array.from({ length: units }, (_, i) => i + 1);
+  if (preferUnit && order.includes(preferUnit)) {
+    order.splice(order.indexOf(preferUnit), 1);
+    order.unshift(preferUnit);
+  }
+
+  for (const unit of order) {
+    const holdId = new mongoose.Types.ObjectId();
+    const docs = slots.map(slotStart => ({
+      stationCode: station.code,
+      equipmentType,
+      unit,
+      slotStart,
+      holdId,
+      holdStart: start,
+      holdEnd: end,
+      bookingId,
+      taskId
+    }));
+    try {
+      await EquipmentReservation.insertMany(docs, { ordered: true });
+      return {
+        success: true,
+        hold: { holdId, stationCode: station.code, equipmentType, unit, start, end, taskId }
+      };
+    } catch (err) {
+      await EquipmentReservation.deleteMany({ holdId });
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+  }
+
+  return {
+    success: false,
+    code: 'UNAVAILABLE',
+    message: `All ${units} ${label} unit(s) at ${station.name} are reserved between ${formatClock(start)} and ${formatClock(end)}`
+  };
+}
+
+/**
+ * Reserve the equipment a booking's services need - one unit per type for each
+ * task (each at its own station), or around arrivalTime when there are no tasks.
+ * All or nothing: on failure, whatever was reserved is released.
+ * @param {Object} booking - Booking
+ * @param {Array} [tasks] - The booking's ServiceTasks
+ * @returns {Promise<Object>} { success, holds, code, message }
+ */
+async function reserveBookingEquipment(booking, tasks = []) {
+  const { equipment } = getAccessibilityRequirements(booking.services);
+  if (equipment.length === 0) return { success: true, holds: [] };
+
+  let targets;
+  if (tasks.length > 0) {
+    targets = tasks.map(task => ({ station: { name: task.station }, taskId: task._id, window: getTaskHoldWindow(task) }));
+  } else if (booking.arrivalTime) {
+    targets = [{
+      station: { code: booking.stationCode, name: booking.station },
+      taskId: null,
+      window: getArrivalHoldWindow(booking.arrivalTime)
+    }];
+  } else {
+    targets = [];
+  }
+  if (targets.length === 0 || targets.some(t => !t.window)) {
+    return { success: false, code: 'INVALID', message: 'Station equipment needs a train or an arrival time to be reserved' };
+  }
+
+  const holds = [];
+  for (const target of targets) {
+    for (const equipmentType of equipment) {
+      const result = await reserveEquipment({
+        station: target.station,
+        equipmentType,
+        ...target.window,
+        bookingId: booking._id,
+        taskId: target.taskId
+      });
+      if (!result.success) {
+        await releaseBookingEquipment(booking._id);
+        return result;
+      }
+      holds.push(result.hold);
+    }
+  }
+
+  console.log(`[Accessibility] Booking ${booking._id} reserved ${holds.map(h => `${h.equipmentType}#${h.unit}@${h.stationCode}`).join(', ')}`);
+  return { success: true, holds };
+}
+
+/**
+ * Release everything a booking holds
+ * @param {string} bookingId
+ * @returns {Promise<number>} Slots released
+ */
+async function releaseBookingEquipment(bookingId) {
+  const result = await EquipmentReservation.deleteMany({ bookingId });
+  return result.deletedCount || 0;
+}
+
+function toHolds(slots) {
+  const holds = new Map();
+  for (const slot of slots) {
+    const key = String(slot.holdId);
+    if (!holds.has(key)) {
+      holds.set(key, {
+        holdId: slot.holdId,
+        stationCode: slot.stationCode,
+        equipmentType: slot.equipmentType,
+        unit: slot.unit,
+        start: slot.holdStart,
+        end: slot.holdEnd,
+        bookingId: slot.bookingId,
+        taskId: slot.taskId
+      });
+    }
+  }
+  return [...holds.values()];
+}
+
+/**
+ * Move a task's reservations to its new window after a reschedule, keeping the
+ * same unit where it is still free
+ * @param {Object} task - ServiceTask (rescheduled)
+ * @returns {Promise<Object>} { moved, lost }
+ */
+async function rescheduleTaskEquipment(task) {
+  const slots = await EquipmentReservation.find({ taskId: task._id }).lean();
+  const holds = toHolds(slots);
+  const window = getTaskHoldWindow(task);
+  let moved = 0;
+  let lost = 0;
+  if (holds.length === 0 || !window) return { moved, lost };
+
+  for (const hold of holds) {
+    if (new Date(hold.start).getTime() === window.start.getTime()
+        && new Date(hold.end).getTime() === window.end.getTime()) continue;
+
+    await EquipmentReservation.deleteMany({ holdId: hold.holdId });
+    const result = await reserveEquipment({
+      station: { code: hold.stationCode },
+      equipmentType: hold.equipmentType,
+      ...window,
+      bookingId: hold.bookingId,
+      taskId: task._id,
+      preferUnit: hold.unit
+    });
+    if (result.success) {
+      moved++;
+      continue;
+    }
+
+    lost++;
+    console.warn(`[Accessibility] Task ${task._id} lost its ${hold.equipmentType} at ${hold.stationCode}: ${result.message}`);
+    await AuditLog.create({
+      action: 'equipment_reservation_lost',
+      actorRole: 'system',
+      targetType: 'service_task',
+      targetId: String(task._id),
+      meta: {
+        bookingId: String(hold.bookingId),
+        stationCode: hold.stationCode,
+        equipmentType: hold.equipmentType,
+        unit: hold.unit,
+        start: window.start,
+        end: window.end,
+        reason: result.message
+      }
+    });
+  }
+  return { moved, lost };
+}
+
+// ==================== QUERIES ====================
+
+/**
+ * Equipment a booking holds
+ * @param {string} bookingId
+ * @returns {Promise<Array>} [{ holdId, stationCode, equipmentType, unit, start, end, taskId }]
+ */
+async function getBookingEquipment(bookingId) {
+  const slots = await EquipmentReservation.find({ bookingId }).sort({ slotStart: 1 }).lean();
+  return toHolds(slots);
+}
+
+/**
+ * A station's equipment inventory and the holds overlapping a time range
+ * @param {string} code - Station code
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} { success, inventory, holds, code, message }
+ */
+async function getStationEquipment(code, { from, to }) {
+  const station = await findStation({ code });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found' };
+
+  const inventory = {};
+  Object.keys(inventoryField).forEach(type => { inventory[type] = getInventory(station, type); });
+
+  const slots = await EquipmentReservation.find({
+    stationCode: station.code,
+    slotStart: { $gte: new Date(Math.floor(from.getTime() / SLOT_MS) * SLOT_MS), $lt: to }
+  }).sort({ slotStart: 1 }).lean();
+  return { success: true, inventory, holds: toHolds(slots) };
+}
+
+// ==================== EVENT HANDLERS ====================
+
+/**
+ * bookingStatusChanged listener - finished bookings give their equipment back
+ */
+async function handleBookingStatusChange(event) {
+  try {
+    if (!TERMINAL_STATUSES.includes(event.status)) return;
+    const released = await releaseBookingEquipment(event.bookingId);
+    if (released > 0) console.log(`[Accessibility] Released ${released} equipment slot(s) of ${event.status} booking ${event.bookingId}`);
+  } catch (err) {
+    console.error(`[Accessibility] Release failed for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+/**
+ * taskEvent listener - reservations follow rescheduled tasks
+ */
+async function handleTaskEvent(event) {
+  if (event.type !== 'taskRescheduled') return;
+  try {
+    await rescheduleTaskEquipment(event.task);
+  } catch (err) {
+    console.error(`[Accessibility] Reschedule failed for task ${event.task && event.task._id}:`, err.message);
+  }
+}
+
+module.exports = {
+  getAccessibilityRequirements,
+  certifiedSkillsQuery,
+  getMissingSkills,
+  getTaskHoldWindow,
+  getArrivalHoldWindow,
+  checkEquipmentInventory,
+  reserveEquipment,
+  reserveBookingEquipment,
+  releaseBookingEquipment,
+  rescheduleTaskEquipment,
+  getBookingEquipment,
+  getStationEquipment,
+  handleBookingStatusChange,
+  handleTaskEvent
+};
@@ -0,0 +1,412 @@
+/**
+ * Assignment Optimizer
+ *
+ * Plans a station's pending tasks in the look-ahead window together instead of
+ * one at a time, so an early task cannot take the only assistant a later task
+ * needed (e.g. the one who speaks the passenger's language).
+ *
+ * Each station is a weighted bipartite matching between tasks and assistant
+ * capacity (one column per task an assistant may still take this run -
+ * batchOptimizer.tasksPerAssistantPerRun, within maxTasksPerAssistant). A
+ * pair is only possible when the assistant is certified for the booking's
+ * services, on a shift covering the task (shiftService) and clear of their
+ * other tasks by assignment.minGapBetweenTasksMinutes. Its weight is
+ * calculateMatchScore (language, rating, experience, skills) less
+ * batchOptimizer.loadPenalty per task the assistant holds. The matching is solved exactly (Hungarian
+ * method); gaps and shift caps between two planned tasks are not pairwise
+ * terms, so a plan breaking one is solved again without its weakest pair.
+ *
+ * planBatchAssignment() is the dry run and scores the plan against what the
+ * greedy per-task pass (taskQueueProcessor.attemptAutoAssign) would have done.
+ */
+
+const ServiceTask = require('../models/ServiceTask');
+const Assistant = require('../models/Assistant');
+const schedulingConfig = require('../config/scheduling.config');
+const { calculateMatchScore } = require('./matchingService');
+const { getMissingSkills } = require('./accessibilityService');
+const { getTaskWindow, filterAssistantsOnShift } = require('./shiftService');
+const { findStation, stationNameQuery } = require('./stationService');
+const { assignAssistantToTask } = require('./taskAssignmentService');
+
+const { maxTasksPerAssistant, minGapBetweenTasksMinutes, lookAheadHours, autoAssignWithinMinutes } = schedulingConfig.assignment;
+const { loadPenalty, tasksPerAssistantPerRun, maxTasksPerStation } = schedulingConfig.assignment.batchOptimizer;
+const { targetTasksPerShift } = schedulingConfig.capacity;
+
+const MINUTE_MS = 60 * 1000;
+const GAP_MS = minGapBetweenTasksMinutes * MINUTE_MS;
+const INFEASIBLE = 1e9;
+const MAX_RESOLVES = 100;
+
+function requiredLanguages(booking) {
+  const languages = booking.preferredLanguages && booking.preferredLanguages.length > 0
+    ? booking.preferredLanguages
+    : (booking.language ? [booking.language] : []);
+  return languages.map(l => l.trim().toLowerCase());
+}
+
+function speaksAll(assistant, languages) {
+  const known = (assistant.languages || []).map(l => (l || '').trim().toLowerCase());
+  return languages.every(l => known.includes(l));
+}
+
+function clearOfGap(a, b) {
+  if (!a || !b) return true;
+  return a.end.getTime() + GAP_MS <= b.start.getTime() || b.end.getTime() + GAP_MS <= a.start.getTime();
+}
+
+// ==================== SOLVER ====================
+
+/**
+ * Minimum-cost assignment of every row to a distinct column (rows <= columns),
+ * Hungarian method with potentials, O(rows^2 * columns)
+ * @param {number[][]} cost
+ * @returns {number[]} column per row
+ */
+function solveAssignment(cost) {
+  const n = cost.length;
+  const m = n > 0 ? cost[0].length : 0;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; } else { minv[j] -= delta; }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const result = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j]) result[p[j] - 1] = j - 1;
+  }
+  return result;
+}
+
+// ==================== PROBLEM ====================
+
+/**
+ * Pending tasks the queue processor would auto-assign now, grouped by station
+ * @param {Object} options - { station } to plan one station only
+ * @returns {Promise<Map>} station key -> { name, tasks: [ServiceTask with bookingId] }
+ */
+async function loadPendingTasks({ station } = {}) {
+  const now = Date.now();
+  const tasks = await ServiceTask.find({
+    status: 'pending',
+    scheduledTime: { $lte: new Date(now + lookAheadHours * 60 * MINUTE_MS) }
+  })
+    .sort({ scheduledTime: 1 })
+    .populate('bookingId')
+    .lean();
+
+  // Round-trip drops wait for their pickup to complete (validateTaskAssignment)
+  const roundTripIds = tasks
+    .filter(t => t.bookingId && t.bookingId.serviceType === 'round_trip')
+    .map(t => t.bookingId._id);
+  const siblings = roundTripIds.length > 0
+    ? await ServiceTask.find({ bookingId: { $in: roundTripIds } }).select('bookingId taskType status assignedAssistant').lean()
+    : [];
+
+  const groups = new Map();
+  const onlyStation = station ? await findStation({ code: station, name: station }) : null;
+  for (const task of tasks) {
+    const booking = task.bookingId;
+    if (!booking || ['Cancelled', 'Rejected'].includes(booking.status) || booking.assistantId) continue;
+    const minutesUntil = (new Date(task.scheduledTime) - now) / MINUTE_MS;
+    if (task.taskType !== 'pickup' && minutesUntil > autoAssignWithinMinutes) continue;
+    const bookingSiblings = siblings.filter(s => String(s.bookingId) === String(booking._id) && String(s._id) !== String(task._id));
+    if (task.taskType === 'drop' && booking.serviceType === 'round_trip'
+      && bookingSiblings.some(s => s.taskType === 'pickup' && s.status !== 'completed')) continue;
+
+    const stationDoc = await findStation({ name: task.station });
+    const key = stationDoc ? stationDoc.code : String(task.station || '').toUpperCase().trim();
+    if (station && key !== (onlyStation ? onlyStation.code : String(station).toUpperCase().trim())) continue;
+    if (!groups.has(key)) groups.set(key, { name: stationDoc ? stationDoc.name : task.station, tasks: [] });
+    const group = groups.get(key);
+    if (group.tasks.length < maxTasksPerStation) {
+      group.tasks.push({ ...task, siblingAssistants: bookingSiblings.map(s => s.assignedAssistant && String(s.assignedAssistant)).filter(Boolean) });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Candidates, weights and capacity for one station
+ * @returns {Promise<Object>} { tasks: [{ task, booking, window, candidates: Map }], assistants: Map }
+ */
+async function buildStationProblem(group) {
+  const assistantList = await Assistant.find({
+    station: await stationNameQuery({ name: group.tasks[0].station }),
+    applicationStatus: 'Approved',
+    isEligibleForBookings: true,
+    verified: true
+  }).lean();
+
+  const busy = await ServiceTask.find({
+    assignedAssistant: { $in: assistantList.map(a => a._id) },
+    status: { $in: ['assigned', 'in_progress'] }
+  }).lean();
+
+  const assistants = new Map();
+  for (const assistant of assistantList) {
+    const held = busy.filter(t => String(t.assignedAssistant) === String(assistant._id));
+    assistants.set(String(assistant._id), {
+      assistant,
+      load: held.length,
+      copies: Math.max(Math.min(tasksPerAssistantPerRun, maxTasksPerAssistant - held.length), 0),
+      busyWindows: held.map(getTaskWindow).filter(Boolean)
+    });
+  }
+
+  const tasks = [];
+  for (const task of group.tasks) {
+    const booking = task.bookingId;
+    const window = getTaskWindow(task);
+    let eligible = assistantList.filter(a => getMissingSkills(a, booking.services).length === 0
+      && !task.siblingAssistants.includes(String(a._id)));
+    if (window) {
+      eligible = (await filterAssistantsOnShift(eligible, {
+        station: { name: task.station },
+        ...window,
+        excludeTaskId: task._id
+      })).assistants;
+    }
+
+    const candidates = new Map();
+    for (const assistant of eligible) {
+      const entry = assistants.get(String(assistant._id));
+      if (!entry.busyWindows.every(w => clearOfGap(w, window))) continue;
+      candidates.set(String(assistant._id), { score: calculateMatchScore(assistant, booking), shift: assistant.shift || null });
+    }
+    tasks.push({ task, booking, window, languages: requiredLanguages(booking), candidates });
+  }
+  return { tasks, assistants };
+}
+
+function pairWeight(problem, taskIndex, assistantId, nth) {
+  const candidate = problem.tasks[taskIndex].candidates.get(assistantId);
+  return candidate.score - loadPenalty * (problem.assistants.get(assistantId).load + nth);
+}
+
+/**
+ * Planned pairs that break a gap or a shift cap with another planned pair
+ * (the weaker pair of each)
+ * @returns {Array} [{ taskIndex, assistantId, reason }]
+ */
+function findViolations(problem, pairs) {
+  const violations = [];
+  const byAssistant = new Map();
+  pairs.forEach(pair => {
+    if (!byAssistant.has(pair.assistantId)) byAssistant.set(pair.assistantId, []);
+    byAssistant.get(pair.assistantId).push(pair);
+  });
+
+  for (const [assistantId, list] of byAssistant) {
+    const timed = list.filter(p => problem.tasks[p.taskIndex].window)
+      .sort((a, b) => problem.tasks[a.taskIndex].window.start - problem.tasks[b.taskIndex].window.start);
+    for (let i = 1; i < timed.length; i++) {
+      if (!clearOfGap(problem.tasks[timed[i - 1].taskIndex].window, problem.tasks[timed[i].taskIndex].window)) {
+        const weaker = timed[i - 1].weight < timed[i].weight ? timed[i - 1] : timed[i];
+        violations.push({ taskIndex: weaker.taskIndex, assistantId, reason: 'gap' });
+      }
+    }
+
+    const byShift = new Map();
+    for (const pair of list) {
+      const shift = problem.tasks[pair.taskIndex].candidates.get(assistantId).shift;
+      if (!shift) continue;
+      const key = new Date(shift.start).toISOString();
+      if (!byShift.has(key)) byShift.set(key, { load: shift.load, pairs: [] });
+      byShift.get(key).pairs.push(pair);
+    }
+    for (const { load, pairs: shiftPairs } of byShift.values()) {
+      if (load + shiftPairs.length > targetTasksPerShift) {
+        const weakest = shiftPairs.reduce((min, p) => (p.weight < min.weight ? p : min));
+        violations.push({ taskIndex: weakest.taskIndex, assistantId, reason: 'shift_full' });
+      }
+    }
+  }
+  return violations;
+}
+
+// ==================== PLANS ====================
+
+/**
+ * Optimal plan for one station
+ * @returns {Array} [{ taskIndex, assistantId, weight }]
+ */
+function optimizeStation(problem) {
+  const forbidden = new Set();
+  let pairs = [];
+  for (let attempt = 0; attempt < MAX_RESOLVES; attempt++) {
+    const columns = [];
+    for (const [assistantId, entry] of problem.assistants) {
+      for (let nth = 0; nth < entry.copies; nth++) columns.push({ assistantId, nth });
+    }
+    const n = problem.tasks.length;
+    // One "leave unassigned" column per task, at no cost
+    const cost = problem.tasks.map((entry, taskIndex) => [
+      ...columns.map(({ assistantId, nth }) => (
+        entry.candidates.has(assistantId) && !forbidden.has(`${taskIndex}|${assistantId}`)
+          ? -pairWeight(problem, taskIndex, assistantId, nth)
+          : INFEASIBLE
+      )),
+      ...new Array(n).fill(0)
+    ]);
+
+    const solution = n > 0 ? solveAssignment(cost) : [];
+    pairs = [];
+    solution.forEach((col, taskIndex) => {
+      if (col < columns.length && cost[taskIndex][col] < INFEASIBLE) {
+        pairs.push({ taskIndex, assistantId: columns[col].assistantId, weight: -cost[taskIndex][col] });
+      }
+    });
+
+    const violations = findViolations(problem, pairs);
+    if (violations.length === 0) return pairs;
+    violations.forEach(v => forbidden.add(`${v.taskIndex}|${v.assistantId}`));
+  }
+  console.warn('[Optimizer] Gave up resolving gap/shift conflicts; dropping conflicting pairs');
+  const dropped = new Set(findViolations(problem, pairs).map(v => `${v.taskIndex}|${v.assistantId}`));
+  return pairs.filter(p => !dropped.has(`${p.taskIndex}|${p.assistantId}`));
+}
+
+/**
+ * What taskQueueProcessor.attemptAutoAssign does, task by task in time order:
+ * pickups go to the least-loaded assistant, other tasks to the least-loaded
+ * one under maxTasksPerAssistant (language and gaps are not considered). An
+ * assistant given a task is locked for the rest of the run, as in assignment
+ * @returns {Array} [{ taskIndex, assistantId, weight }]
+ */
+function greedyStation(problem) {
+  const load = new Map([...problem.assistants].map(([id, entry]) => [id, entry.load]));
+  const given = new Map();
+  const pairs = [];
+  problem.tasks.forEach((entry, taskIndex) => {
+    let options = [...entry.candidates.keys()].filter(id => (given.get(id) || 0) < tasksPerAssistantPerRun);
+    if (entry.task.taskType !== 'pickup') options = options.filter(id => load.get(id) < maxTasksPerAssistant);
+    options.sort((a, b) => load.get(a) - load.get(b)
+      || (problem.assistants.get(b).assistant.rating || 0) - (problem.assistants.get(a).assistant.rating || 0));
+    const assistantId = options[0];
+    if (!assistantId) return;
+    const nth = given.get(assistantId) || 0;
+    pairs.push({ taskIndex, assistantId, weight: pairWeight(problem, taskIndex, assistantId, nth) });
+    given.set(assistantId, nth + 1);
+    load.set(assistantId, load.get(assistantId) + 1);
+  });
+  return pairs;
+}
+
+function describePlan(problem, pairs) {
+  const assigned = new Set(pairs.map(p => p.taskIndex));
+  const violations = findViolations(problem, pairs);
+  return {
+    totalScore: Math.round(pairs.reduce((sum, p) => sum + p.weight, 0) * 100) / 100,
+    assignedCount: pairs.length,
+    languageMatches: pairs.filter(p => {
+      const { languages } = problem.tasks[p.taskIndex];
+      return languages.length > 0 && speaksAll(problem.assistants.get(p.assistantId).assistant, languages);
+    }).length,
+    gapViolations: violations.filter(v => v.reason === 'gap').length,
+    shiftOverflows: violations.filter(v => v.reason === 'shift_full').length,
+    assignments: pairs.map(p => {
+      const { task, languages } = problem.tasks[p.taskIndex];
+      const { assistant } = problem.assistants.get(p.assistantId);
+      return {
+        taskId: task._id,
+        taskType: task.taskType,
+        scheduledTime: task.scheduledTime,
+        bookingId: task.bookingId._id,
+        assistantId: assistant._id,
+        assistantName: assistant.name,
+        score: Math.round(p.weight * 100) / 100,
+        languageMatch: languages.length > 0 ? speaksAll(assistant, languages) : null
+      };
+    }),
+    unassigned: problem.tasks.filter((_, i) => !assigned.has(i)).map(t => t.task._id)
+  };
+}
+
+/**
+ * Dry run: optimized and greedy plans per station, nothing is assigned
+ * @param {Object} options - { station } to plan one station only
+ * @returns {Promise<Object>} { generatedAt, stations: [{ station, taskCount, assistantCount, optimized, greedy, improvement }] }
+ */
+async function planBatchAssignment({ station } = {}) {
+  const groups = await loadPendingTasks({ station });
+  const stations = [];
+  for (const [key, group] of groups) {
+    const problem = await buildStationProblem(group);
+    const optimized = describePlan(problem, optimizeStation(problem));
+    const greedy = describePlan(problem, greedyStation(problem));
+    stations.push({
+      station: { code: key, name: group.name },
+      taskCount: problem.tasks.length,
+      assistantCount: problem.assistants.size,
+      optimized,
+      greedy,
+      improvement: {
+        score: Math.round((optimized.totalScore - greedy.totalScore) * 100) / 100,
+        assigned: optimized.assignedCount - greedy.assignedCount,
+        languageMatches: optimized.languageMatches - greedy.languageMatches
+      }
+    });
+  }
+  return { generatedAt: new Date(), stations };
+}
+
+/**
+ * Plan every station and assign the optimized plan
+ * @returns {Promise<Object>} { assigned: [{ taskId, assistantId }], failed: [{ taskId, errors }] }
+ */
+async function runBatchAssignment() {
+  const groups = await loadPendingTasks();
+  const assigned = [];
+  const failed = [];
+  for (const group of groups.values()) {
+    const problem = await buildStationProblem(group);
+    for (const pair of optimizeStation(problem)) {
+      const { task } = problem.tasks[pair.taskIndex];
+      const result = await assignAssistantToTask(task._id, pair.assistantId, { skipValidation: false });
+      if (result.success) {
+        assigned.push({ taskId: task._id, assistantId: pair.assistantId, task: result.task });
+      } else {
+        failed.push({ taskId: task._id, errors: result.errors });
+      }
+    }
+  }
+  if (assigned.length > 0 || failed.length > 0) {
+    console.log(`[Optimizer] Assigned ${assigned.length} task(s) across ${groups.size} station(s), ${failed.length} failed validation`);
+  }
+  return { assigned, failed };
+}
+
+module.exports = {
+  solveAssignment,
+  planBatchAssignment,
+  runBatchAssignment
+};
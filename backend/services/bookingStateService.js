@@ -0,0 +1,147 @@
+/**
+ * Booking State Service
+ *
+ * The one authoritative transition table for Booking.status and the only
+ * function that should change it. Every transition:
+ * - is checked against BOOKING_TRANSITIONS
+ * - is applied with a conditional update ({ _id, status: <current> }), so two
+ *   concurrent requests cannot both move the booking out of the same state
+ * - is appended to booking.statusHistory in the same update
+ * - is published on the event bus for realtime clients
+ *
+ * Flow (happy path):
+ *   Pending -> Searching -> Assigned -> Accepted -> Start Pending -> In Progress
+ *     -> Completion Pending -> Completed
+ * Terminal states: Completed, Rejected, Cancelled
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const eventBus = require('./eventBus');
+
+const BOOKING_STATUSES = Booking.schema.path('status').enumValues;
+
+const TERMINAL_STATUSES = ['Completed', 'Rejected', 'Cancelled'];
+
+// Allowed next statuses for each status.
+// Self-transitions are only listed where they carry meaning (a reassignment).
+const BOOKING_TRANSITIONS = {
+  'Pending': ['Searching', 'Assigned', 'Accepted', 'Rejected', 'Cancelled', 'Emergency'],
+  'Searching': ['Assigned', 'Accepted', 'Rejected', 'Cancelled', 'Emergency'],
+  'Assigned': ['Pending', 'Searching', 'Assigned', 'Accepted', 'Rejected', 'Cancelled', 'Emergency'],
+  'Accepted': ['Pending', 'Searching', 'Assigned', 'Accepted', 'Start Pending', 'In Progress', 'Rejected', 'Cancelled', 'Emergency'],
+  'Start Pending': ['Pending', 'In Progress', 'Rejected', 'Cancelled', 'Emergency'],
+  'In Progress': ['Completion Pending', 'Completed', 'Cancelled', 'Emergency'],
+  'Completion Pending': ['Completed', 'Cancelled', 'Emergency'],
+  'Emergency': ['In Progress', 'Completed', 'Cancelled'],
+  'Completed': [],
+  'Rejected': [],
+  'Cancelled': []
+};
+
+/**
+ * Check whether a status change is allowed by the table
+ * @param {string} current
+ * @param {string} next
+ * @returns {boolean}
+ */
+function canTransition(current, next) {
+  return (BOOKING_TRANSITIONS[current] || []).includes(next);
+}
+
+/**
+ * HTTP status for a failed transition result
+ * @param {Object} result - From transitionBooking()
+ * @returns {number}
+ */
+function transitionErrorStatus(result) {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'INVALID_STATUS') return 400;
+  return 409; // INVALID_TRANSITION, CONFLICT
+}
+
+/**
+ * Move a booking to a new status
+ * @param {string} bookingId
+ * @param {string} toStatus - Target Booking.status value
+ * @param {Object} options
+ * @param {Array<string>} [options.from] - Route-specific precondition: only move out of these statuses
+ * @param {Object} [options.set] - Other fields to write in the same update (OTPs, assistantId, ...)
+ * @param {Object} [options.actor] - { role, id } - role defaults to 'system'
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} { success, booking, previousStatus, code, message }
+ */
+async function transitionBooking(bookingId, toStatus, { from = null, set = {}, actor = {}, reason = '' } = {}) {
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return { success: false, code: 'INVALID_STATUS', message: `Unknown booking status: ${toStatus}` };
+  }
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+  }
+
+  const current = await Booking.findById(bookingId).select('status assistantId').lean();
+  if (!current) {
+    return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+  }
+
+  const previousStatus = current.status;
+  if ((from && !from.includes(previousStatus)) || !canTransition(previousStatus, toStatus)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      previousStatus,
+      message: `Cannot move booking from ${previousStatus} to ${toStatus}`
+    };
+  }
+
+  const actorRole = actor.role || 'system';
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: previousStatus },
+    {
+      $set: { ...set, status: toStatus },
+      $push: {
+        statusHistory: {
+          from: previousStatus,
+          to: toStatus,
+          at: new Date(),
+          actorRole,
+          actorId: actor.id ? String(actor.id) : null,
+          reason
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!booking) {
+    // Status changed between the read and the conditional update
+    const latest = await Booking.findById(bookingId).select('status').lean();
+    return {
+      success: false,
+      code: 'CONFLICT',
+      previousStatus: latest ? latest.status : null,
+      message: `Booking status changed concurrently (now ${latest ? latest.status : 'deleted'}), please retry`
+    };
+  }
+
+  const previousAssistantId = current.assistantId && String(current.assistantId) !== String(booking.assistantId)
+    ? current.assistantId
+    : null;
+  eventBus.publishBookingStatus(booking, previousStatus, { previousAssistantId, actorRole, reason });
+
+  return { success: true, booking, previousStatus };
+}
+
+module.exports = {
+  // Transitions
+  transitionBooking,
+  canTransition,
+  transitionErrorStatus,
+
+  // Constants
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  TERMINAL_STATUSES,
+  // Legacy name used by src/services/bookingService.js
+  allowedTransitions: BOOKING_TRANSITIONS
+};
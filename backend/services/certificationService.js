@@ -0,0 +1,359 @@
+/**
+ * Certification Service
+ *
+ * Assistant certificates (Assistant.certifications) and the skills they grant
+ * (config/accessibility.config.js):
+ * - assistants submit a certificate with its document; it only counts once an
+ *   admin verifies it, and only until it expires
+ * - Assistant.certifiedSkills is recomputed on every change so matching can
+ *   filter on it in the query
+ * - runCertificationSweep() expires certificates past expiresAt (dropping their
+ *   skills, and with them eligibility for services that need them) and reminds
+ *   assistants once before a certificate expires
+ */
+
+const Assistant = require('../models/Assistant');
+const { CERTIFICATION_TYPES } = require('../models/Assistant');
+const AuditLog = require('../models/AuditLog');
+const accessibilityConfig = require('../config/accessibility.config');
+const eventBus = require('./eventBus');
+
+const { types: CERTIFICATIONS, reminderDaysBeforeExpiry } = accessibilityConfig.certifications;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function certificationLabel(type) {
+  return CERTIFICATIONS[type] ? CERTIFICATIONS[type].label : type;
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Whether a certificate grants its skill at a given time
+ * @param {Object} cert - Assistant.certifications entry
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+function isCertificationValid(cert, at = new Date()) {
+  return cert.status === 'verified' && (!cert.expiresAt || new Date(cert.expiresAt) > at);
+}
+
+/**
+ * Skills granted by verified, unexpired certificates
+ * @param {Array} certifications
+ * @param {Date} [at]
+ * @returns {string[]}
+ */
+function computeCertifiedSkills(certifications = [], at = new Date()) {
+  return [...new Set(certifications
+    .filter(c => isCertificationValid(c, at) && CERTIFICATIONS[c.type])
+    .map(c => CERTIFICATIONS[c.type].skill))];
+}
+
+/**
+ * Recompute assistant.certifiedSkills (not saved)
+ * @param {Object} assistant - Assistant document
+ * @returns {Object} { added, removed }
+ */
+function syncCertifiedSkills(assistant) {
+  const before = assistant.certifiedSkills || [];
+  const after = computeCertifiedSkills(assistant.certifications);
+  assistant.certifiedSkills = after;
+  return {
+    added: after.filter(s => !before.includes(s)),
+    removed: before.filter(s => !after.includes(s))
+  };
+}
+
+/**
+ * Certificate as shown to assistants and admins
+ * @param {Object} cert
+ * @returns {Object}
+ */
+function toPublicCertification(cert) {
+  return {
+    id: String(cert._id),
+    type: cert.type,
+    label: certificationLabel(cert.type),
+    skill: CERTIFICATIONS[cert.type] ? CERTIFICATIONS[cert.type].skill : null,
+    issuingBody: cert.issuingBody,
+    certificateNumber: cert.certificateNumber,
+    issuedAt: cert.issuedAt,
+    expiresAt: cert.expiresAt,
+    documentPath: cert.documentPath,
+    status: cert.status,
+    valid: isCertificationValid(cert),
+    verifiedAt: cert.verifiedAt,
+    remark: cert.remark,
+    submittedAt: cert.createdAt
+  };
+}
+
+async function auditCertification(action, assistant, cert, actor, meta = {}) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'assistant',
+    targetId: String(assistant._id),
+    meta: { certificationId: String(cert._id), type: cert.type, ...meta }
+  });
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Validate a certificate submission (multipart form fields arrive as strings)
+ * @param {Object} input - { type, issuingBody, certificateNumber, issuedAt, expiresAt }
+ * @returns {Object} { valid, errors, sanitized }
+ */
+function validateCertificationInput(input = {}) {
+  const errors = [];
+  const issuedAt = parseDate(input.issuedAt);
+  const expiresAt = parseDate(input.expiresAt);
+  const now = new Date();
+
+  if (!CERTIFICATION_TYPES.includes(input.type)) {
+    errors.push(`type must be one of ${CERTIFICATION_TYPES.join(', ')}`);
+  }
+  const issuingBody = typeof input.issuingBody === 'string' ? input.issuingBody.trim() : '';
+  if (!issuingBody || issuingBody.length > 100) {
+    errors.push('issuingBody is required (up to 100 characters)');
+  }
+  const certificateNumber = typeof input.certificateNumber === 'string' ? input.certificateNumber.trim() : '';
+  if (certificateNumber.length > 50) {
+    errors.push('certificateNumber can be at most 50 characters');
+  }
+  if (issuedAt === undefined) {
+    errors.push('issuedAt must be a date');
+  } else if (issuedAt && issuedAt > now) {
+    errors.push('issuedAt cannot be in the future');
+  }
+  if (expiresAt === undefined) {
+    errors.push('expiresAt must be a date');
+  } else if (expiresAt && expiresAt <= now) {
+    errors.push('The certificate has already expired');
+  } else if (expiresAt && issuedAt && expiresAt <= issuedAt) {
+    errors.push('expiresAt must be after issuedAt');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: { type: input.type, issuingBody, certificateNumber, issuedAt: issuedAt || null, expiresAt: expiresAt || null }
+  };
+}
+
+// ==================== SUBMISSION & REVIEW ====================
+
+/**
+ * Add a certificate for review
+ * @param {string} assistantId
+ * @param {Object} input - See validateCertificationInput
+ * @param {string} documentPath - Uploaded file (uploads/certifications/...)
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, assistant, certification, code, message, errors }
+ */
+async function submitCertification(assistantId, input, documentPath, actor = {}) {
+  const check = validateCertificationInput(input);
+  if (!documentPath) check.errors.push('A certificate document (JPG, PNG or PDF) is required');
+  if (check.errors.length > 0) {
+    return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+  }
+
+  const assistant = await Assistant.findById(assistantId);
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+
+  assistant.certifications.push({ ...check.sanitized, documentPath, status: 'pending' });
+  await assistant.save();
+  const cert = assistant.certifications[assistant.certifications.length - 1];
+
+  await auditCertification('certification_submitted', assistant, cert, actor, {
+    issuingBody: cert.issuingBody,
+    expiresAt: cert.expiresAt
+  });
+  console.log(`[Certification] ${assistant.name} submitted ${cert.type} (${cert._id})`);
+  return { success: true, assistant, certification: toPublicCertification(cert) };
+}
+
+async function findCertification(assistantId, certificationId) {
+  const assistant = await Assistant.findById(assistantId);
+  if (!assistant) return { error: { success: false, code: 'NOT_FOUND', message: 'Assistant not found' } };
+  const cert = assistant.certifications.id(certificationId);
+  if (!cert) return { error: { success: false, code: 'NOT_FOUND', message: 'Certification not found' } };
+  return { assistant, cert };
+}
+
+/**
+ * Admin verifies a certificate - its skill counts from now until expiry
+ * @param {string} assistantId
+ * @param {string} certificationId
+ * @param {Object} options - { remark }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, assistant, certification, code, message }
+ */
+async function verifyCertification(assistantId, certificationId, { remark = '' } = {}, actor = {}) {
+  const { assistant, cert, error } = await findCertification(assistantId, certificationId);
+  if (error) return error;
+  if (!['pending', 'rejected'].includes(cert.status)) {
+    return { success: false, code: 'INVALID_STATE', message: `Certification is already ${cert.status}` };
+  }
+  if (cert.expiresAt && cert.expiresAt <= new Date()) {
+    return { success: false, code: 'INVALID_STATE', message: 'Certification has already expired' };
+  }
+
+  cert.status = 'verified';
+  cert.verifiedBy = actor.id ? String(actor.id) : null;
+  cert.verifiedAt = new Date();
+  cert.remark = String(remark || '').slice(0, 500);
+  const skills = syncCertifiedSkills(assistant);
+  await assistant.save();
+
+  await auditCertification('certification_verified', assistant, cert, actor, { skillsAdded: skills.added });
+  eventBus.publishAssistantNotice(assistant._id, 'certificationVerified',
+    `Your ${certificationLabel(cert.type)} certificate was verified`, { certificationId: String(cert._id) });
+  return { success: true, assistant, certification: toPublicCertification(cert) };
+}
+
+/**
+ * Admin rejects a certificate, or revokes a verified one
+ * @param {string} assistantId
+ * @param {string} certificationId
+ * @param {Object} options - { remark }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, assistant, certification, code, message }
+ */
+async function rejectCertification(assistantId, certificationId, { remark = '' } = {}, actor = {}) {
+  const { assistant, cert, error } = await findCertification(assistantId, certificationId);
+  if (error) return error;
+  if (!['pending', 'verified'].includes(cert.status)) {
+    return { success: false, code: 'INVALID_STATE', message: `Certification is already ${cert.status}` };
+  }
+
+  const previousStatus = cert.status;
+  cert.status = 'rejected';
+  cert.remark = String(remark || '').slice(0, 500) || 'Rejected by admin';
+  const skills = syncCertifiedSkills(assistant);
+  await assistant.save();
+
+  await auditCertification('certification_rejected', assistant, cert, actor, {
+    previousStatus,
+    remark: cert.remark,
+    skillsRemoved: skills.removed
+  });
+  eventBus.publishAssistantNotice(assistant._id, 'certificationRejected',
+    `Your ${certificationLabel(cert.type)} certificate was rejected: ${cert.remark}`, { certificationId: String(cert._id) });
+  return { success: true, assistant, certification: toPublicCertification(cert) };
+}
+
+/**
+ * Certificates waiting for review, oldest first
+ * @returns {Promise<Array>} [{ assistantId, assistantName, station, certification }]
+ */
+async function getPendingCertifications() {
+  const assistants = await Assistant.find({ 'certifications.status': 'pending' })
+    .select('name station certifications')
+    .lean();
+  return assistants
+    .flatMap(a => a.certifications
+      .filter(c => c.status === 'pending')
+      .map(c => ({
+        assistantId: String(a._id),
+        assistantName: a.name,
+        station: a.station,
+        certification: toPublicCertification(c)
+      })))
+    .sort((x, y) => new Date(x.certification.submittedAt) - new Date(y.certification.submittedAt));
+}
+
+// ==================== EXPIRY ====================
+
+// A renewed certificate of the same type that outlasts this one
+function isRenewed(assistant, cert) {
+  return assistant.certifications.some(other =>
+    String(other._id) !== String(cert._id)
+    && other.type === cert.type
+    && other.status === 'verified'
+    && (!other.expiresAt || other.expiresAt > cert.expiresAt));
+}
+
+/**
+ * Expire certificates past expiresAt and send pre-expiry reminders
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { expired, reminded }
+ */
+async function runCertificationSweep(now = new Date()) {
+  let expired = 0;
+  let reminded = 0;
+  const actor = { role: 'system' };
+
+  const expiring = await Assistant.find({
+    certifications: { $elemMatch: { status: 'verified', expiresAt: { $ne: null, $lte: now } } }
+  });
+  for (const assistant of expiring) {
+    const lapsed = assistant.certifications.filter(c => c.status === 'verified' && c.expiresAt && c.expiresAt <= now);
+    lapsed.forEach(cert => {
+      cert.status = 'expired';
+      cert.expiredAt = now;
+    });
+    const skills = syncCertifiedSkills(assistant);
+    await assistant.save();
+    expired += lapsed.length;
+
+    for (const cert of lapsed) {
+      await auditCertification('certification_expired', assistant, cert, actor, { skillsRemoved: skills.removed });
+      if (!isRenewed(assistant, cert)) {
+        eventBus.publishAssistantNotice(assistant._id, 'certificationExpired',
+          `Your ${certificationLabel(cert.type)} certificate has expired. Bookings that need it will not be offered to you until you upload a renewed one.`,
+          { certificationId: String(cert._id), type: cert.type });
+      }
+    }
+    if (skills.removed.length > 0) {
+      console.log(`[Certification] ${assistant.name} lost skills: ${skills.removed.join(', ')}`);
+    }
+  }
+
+  const remindBefore = new Date(now.getTime() + reminderDaysBeforeExpiry * DAY_MS);
+  const dueForReminder = await Assistant.find({
+    certifications: {
+      $elemMatch: { status: 'verified', reminderSentAt: null, expiresAt: { $gt: now, $lte: remindBefore } }
+    }
+  });
+  for (const assistant of dueForReminder) {
+    const due = assistant.certifications.filter(c =>
+      c.status === 'verified' && !c.reminderSentAt && c.expiresAt && c.expiresAt > now && c.expiresAt <= remindBefore);
+    due.forEach(cert => { cert.reminderSentAt = now; });
+    await assistant.save();
+
+    for (const cert of due) {
+      if (isRenewed(assistant, cert)) continue;
+      const days = Math.ceil((cert.expiresAt - now) / DAY_MS);
+      eventBus.publishAssistantNotice(assistant._id, 'certificationExpiring',
+        `Your ${certificationLabel(cert.type)} certificate expires in ${days} day${days === 1 ? '' : 's'}. Upload a renewed one to keep getting these bookings.`,
+        { certificationId: String(cert._id), type: cert.type, expiresAt: cert.expiresAt });
+      await auditCertification('certification_expiry_reminder', assistant, cert, actor, { expiresAt: cert.expiresAt });
+      reminded++;
+    }
+  }
+
+  if (expired > 0 || reminded > 0) {
+    console.log(`[Certification] Sweep: ${expired} expired, ${reminded} reminder(s) sent`);
+  }
+  return { expired, reminded };
+}
+
+module.exports = {
+  isCertificationValid,
+  computeCertifiedSkills,
+  syncCertifiedSkills,
+  toPublicCertification,
+  validateCertificationInput,
+  submitCertification,
+  verifyCertification,
+  rejectCertification,
+  getPendingCertifications,
+  runCertificationSweep
+};
@@ -0,0 +1,182 @@
+/**
+ * Booking Chat Service
+ *
+ * Persists booking chat messages and decides who may join a booking's
+ * conversation. Shared by the Socket.IO handlers and the REST history API.
+ *
+ * Access rules:
+ * - Admins can access every booking
+ * - Passengers can access bookings they own (userId, or phone for legacy bookings)
+ * - Assistants can access bookings assigned to them, either at booking level
+ *   (booking.assistantId) or task level (ServiceTask.assignedAssistant)
+ */
+
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const ServiceTask = require('../models/ServiceTask');
+const User = require('../models/User');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Check whether an authenticated user may access a booking's chat
+ * @param {Object} user - JWT payload { id, role, name, phone }
+ * @param {string} bookingId
+ * @returns {Promise<Object>} { allowed, booking, reason }
+ */
+async function canAccessBooking(user, bookingId) {
+  if (!user || !user.id) {
+    return { allowed: false, booking: null, reason: 'Not authenticated' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return { allowed: false, booking: null, reason: 'Invalid booking id' };
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return { allowed: false, booking: null, reason: 'Booking not found' };
+  }
+
+  if (user.role === 'admin') {
+    return { allowed: true, booking };
+  }
+
+  if (user.role === 'passenger') {
+    if (booking.userId && booking.userId.toString() === String(user.id)) {
+      return { allowed: true, booking };
+    }
+    // Bookings made before userId was recorded are matched by phone
+    if (!booking.userId && booking.passengerPhone) {
+      const u = await User.findById(user.id).select('phone').lean();
+      if (u && u.phone && u.phone === booking.passengerPhone) {
+        return { allowed: true, booking };
+      }
+    }
+    return { allowed: false, booking, reason: 'Not your booking' };
+  }
+
+  if (user.role === 'assistant') {
+    const assistant = await Assistant.findOne({ userId: String(user.id) }).select('_id').lean();
+    if (!assistant) {
+      return { allowed: false, booking, reason: 'Assistant profile not found' };
+    }
+    if (booking.assistantId && booking.assistantId.toString() === assistant._id.toString()) {
+      return { allowed: true, booking, assistantId: assistant._id };
+    }
+    const task = await ServiceTask.exists({ bookingId: booking._id, assignedAssistant: assistant._id });
+    if (task) {
+      return { allowed: true, booking, assistantId: assistant._id };
+    }
+    return { allowed: false, booking, reason: 'You are not assigned to this booking' };
+  }
+
+  return { allowed: false, booking, reason: 'Forbidden' };
+}
+
+/**
+ * Shape a stored message for clients (keeps the legacy { user, text, time } fields)
+ * @param {Object} msg - ChatMessage document or lean object
+ */
+function toClientMessage(msg) {
+  return {
+    id: msg._id,
+    bookingId: String(msg.bookingId),
+    user: msg.senderName,
+    senderId: msg.senderId,
+    senderRole: msg.senderRole,
+    text: msg.text,
+    time: msg.createdAt,
+    readBy: (msg.readBy || []).map(r => ({ userId: r.userId, role: r.role, readAt: r.readAt }))
+  };
+}
+
+/**
+ * Persist a chat message
+ * @param {string} bookingId
+ * @param {Object} user - JWT payload
+ * @param {string} text
+ * @returns {Promise<Object>} Saved message in client shape
+ */
+async function saveMessage(bookingId, user, text) {
+  const message = await ChatMessage.create({
+    bookingId,
+    senderId: user.id,
+    senderRole: user.role,
+    senderName: user.name || user.role,
+    text,
+    // Sender has implicitly read their own message
+    readBy: [{ userId: user.id, role: user.role, readAt: new Date() }]
+  });
+  return toClientMessage(message);
+}
+
+/**
+ * Get paginated chat history for a booking (newest page first, messages in chronological order)
+ * @param {string} bookingId
+ * @param {Object} options - { page, limit, before }
+ * @returns {Promise<Object>} { messages, page, limit, total, hasMore }
+ */
+async function getMessages(bookingId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+  const query = { bookingId };
+  if (options.before) {
+    const before = new Date(options.before);
+    if (!isNaN(before.getTime())) query.createdAt = { $lt: before };
+  }
+
+  const [docs, total] = await Promise.all([
+    ChatMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ChatMessage.countDocuments(query)
+  ]);
+
+  return {
+    messages: docs.reverse().map(toClientMessage),
+    page,
+    limit,
+    total,
+    hasMore: page * limit < total
+  };
+}
+
+/**
+ * Record read receipts for a user on a booking's messages
+ * @param {string} bookingId
+ * @param {Object} user - JWT payload
+ * @param {Array<string>} [messageIds] - Specific messages; defaults to all unread
+ * @returns {Promise<Object>} { modifiedCount, readAt }
+ */
+async function markRead(bookingId, user, messageIds) {
+  const readAt = new Date();
+  const query = {
+    bookingId,
+    'readBy.userId': { $ne: user.id }
+  };
+  if (Array.isArray(messageIds) && messageIds.length > 0) {
+    query._id = { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  }
+
+  const result = await ChatMessage.updateMany(query, {
+    $push: { readBy: { userId: user.id, role: user.role, readAt } }
+  });
+
+  return { modifiedCount: result.modifiedCount, readAt };
+}
+
+module.exports = {
+  canAccessBooking,
+  saveMessage,
+  getMessages,
+  markRead,
+  toClientMessage,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
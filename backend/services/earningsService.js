@@ -0,0 +1,479 @@
+/**
+ * Earnings Service
+ *
+ * - recordTaskEarning:   one Earning per completed ServiceTask, using the revenue
+ *                        split in paymentsConfig.earnings
+ * - payout batches:      weekly draft -> approved -> paid; paying posts a payout
+ *                        transaction to the ledger (debit assistant_payable, credit bank)
+ * - applyTaskPenalty:    keep a task's earning in step with its SlaIncident
+ *                        (deduction posted to the ledger as an adjustment)
+ * - getEarningsStatement: per-period statement for GET /api/assistants/:id/earnings
+ *
+ * Split: (calculateTotalPrice().total - platform fee) is the service revenue,
+ * shared equally between the booking's service tasks; the assistant earns
+ * assistantSharePercent of their task's share.
+ */
+
+const Earning = require('../models/Earning');
+const SlaIncident = require('../models/SlaIncident');
+const PayoutBatch = require('../models/PayoutBatch');
+const ServiceTask = require('../models/ServiceTask');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const AuditLog = require('../models/AuditLog');
+const paymentsConfig = require('../config/payments.config');
+const { postTransaction, roundMoney } = require('./ledgerService');
+const { PLATFORM_FEE } = require('./pricingService');
+const { localParts, fromLocal } = require('./localTime');
+
+// ==================== PERIODS ====================
+
+/**
+ * Payout week containing a date, in station local time
+ * @param {Date} date
+ * @returns {Object} { start, end } - end is exclusive
+ */
+function getWeekRange(date = new Date()) {
+  const w = localParts(date);
+  const offset = (w.dayOfWeek - paymentsConfig.payouts.weekStartsOn + 7) % 7;
+  const start = fromLocal(w.year, w.month, w.date - offset);
+  const end = fromLocal(w.year, w.month, w.date - offset + 7);
+  return { start, end };
+}
+
+/**
+ * Calendar month containing a date, in station local time
+ * @param {Date} date
+ * @returns {Object} { start, end } - end is exclusive
+ */
+function getMonthRange(date = new Date()) {
+  const w = localParts(date);
+  const start = fromLocal(w.year, w.month, 1);
+  const end = fromLocal(w.year, w.month + 1, 1);
+  return { start, end };
+}
+
+// ==================== EARNINGS ====================
+
+/**
+ * Record what the assistant earned for a completed task. Idempotent per task.
+ * @param {Object|string} taskOrId - ServiceTask document or id
+ * @returns {Promise<Object>} { success, earning, duplicate, code, message }
+ */
+async function recordTaskEarning(taskOrId) {
+  const task = taskOrId && taskOrId._id ? taskOrId : await ServiceTask.findById(taskOrId);
+  if (!task) return { success: false, code: 'NOT_FOUND', message: 'Task not found' };
+  if (task.status !== 'completed' || !task.assignedAssistant) {
+    return { success: false, code: 'NOT_COMPLETED', message: 'Only completed, assigned tasks earn' };
+  }
+
+  const existing = await Earning.findOne({ taskId: task._id, kind: 'task' });
+  if (existing) return { success: true, earning: existing, duplicate: true };
+
+  const booking = await Booking.findById(task.bookingId).select('price pricingRule discount');
+  if (!booking) return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+
+  const taskCount = Math.max(await ServiceTask.countDocuments({
+    bookingId: task.bookingId,
+    status: { $ne: 'cancelled' }
+  }), 1);
+  const sharePercent = paymentsConfig.earnings.assistantSharePercent;
+  // The fee of the pricing rule version the booking was priced with
+  const platformFee = booking.pricingRule?.platformFee ?? PLATFORM_FEE;
+  // Promo/wallet discounts are platform-funded - assistants earn on the list price
+  const listPrice = roundMoney(booking.price + (booking.discount?.total || 0));
+  const grossAmount = roundMoney(Math.max(listPrice - platformFee, 0) / taskCount);
+
+  const amount = roundMoney(grossAmount * sharePercent / 100);
+  let earning;
+  try {
+    earning = await Earning.create({
+      taskId: task._id,
+      bookingId: task.bookingId,
+      assistantId: task.assignedAssistant,
+      taskType: task.taskType,
+      station: task.station,
+      earnedAt: task.completedAt || new Date(),
+      bookingPrice: listPrice,
+      platformFee,
+      taskCount,
+      sharePercent,
+      grossAmount,
+      amount,
+      netAmount: amount
+    });
+  } catch (err) {
+    // Completed twice concurrently - the unique taskId index keeps one record
+    if (err.code === 11000) {
+      return { success: true, earning: await Earning.findOne({ taskId: task._id, kind: 'task' }), duplicate: true };
+    }
+    throw err;
+  }
+
+  // Deduct any late-arrival / no-show penalty already recorded for this task
+  const penalty = await applyTaskPenalty(task._id, task.assignedAssistant);
+  if (penalty.earning) earning = penalty.earning;
+
+  console.log(`[Earnings] Task ${task._id}: ₹${earning.netAmount} to assistant ${task.assignedAssistant}`);
+  return { success: true, earning, duplicate: false };
+}
+
+/**
+ * Bring a task's earnings in line with its SLA incident (applied, appealed or
+ * upheld incidents deduct their penalty; waived ones deduct nothing).
+ * Unpaid task earnings are updated in place; once batched, the difference is
+ * added as an adjustment earning. Safe to call repeatedly.
+ * @param {string} taskId
+ * @param {string} assistantId
+ * @returns {Promise<Object>} { success, changed, delta, earning, adjustment }
+ */
+async function applyTaskPenalty(taskId, assistantId) {
+  const earning = await Earning.findOne({ taskId, assistantId, kind: 'task' });
+  if (!earning) return { success: true, changed: false, delta: 0 };
+
+  const incident = await SlaIncident.findOne({ taskId, assistantId });
+  const penaltyPercent = incident && incident.status !== 'waived' ? incident.penaltyPercent : 0;
+  const target = roundMoney(earning.amount * penaltyPercent / 100);
+
+  const adjustments = await Earning.find({ taskId, assistantId, kind: 'adjustment' }).select('penaltyAmount').lean();
+  const current = roundMoney(adjustments.reduce((sum, a) => sum + a.penaltyAmount, earning.penaltyAmount));
+  const delta = roundMoney(target - current);
+
+  if (incident && incident.penaltyAmount !== target) {
+    incident.penaltyAmount = target;
+    await incident.save();
+  }
+  if (delta === 0) return { success: true, changed: false, delta, earning };
+
+  // Unpaid: rewrite the task earning (conditional so a payout run cannot batch it mid-update)
+  let updated = null;
+  let adjustment = null;
+  if (earning.status === 'unpaid') {
+    const penaltyAmount = roundMoney(earning.penaltyAmount + delta);
+    updated = await Earning.findOneAndUpdate(
+      { _id: earning._id, status: 'unpaid', penaltyAmount: earning.penaltyAmount },
+      {
+        penaltyPercent,
+        penaltyAmount,
+        netAmount: roundMoney(earning.amount - penaltyAmount),
+        incidentId: incident ? incident._id : null
+      },
+      { new: true }
+    );
+  }
+  if (!updated) {
+    adjustment = await Earning.create({
+      taskId,
+      kind: 'adjustment',
+      bookingId: earning.bookingId,
+      assistantId,
+      taskType: earning.taskType,
+      station: earning.station,
+      earnedAt: new Date(),
+      bookingPrice: earning.bookingPrice,
+      platformFee: earning.platformFee,
+      taskCount: earning.taskCount,
+      sharePercent: earning.sharePercent,
+      grossAmount: 0,
+      amount: 0,
+      penaltyPercent,
+      penaltyAmount: delta,
+      netAmount: -delta,
+      incidentId: incident ? incident._id : null,
+      memo: delta > 0 ? `SLA penalty (${incident ? incident.type : 'n/a'})` : 'SLA penalty waived'
+    });
+  }
+
+  // Penalties move money from the assistant to the platform
+  await postTransaction({
+    type: 'adjustment',
+    lines: delta > 0
+      ? [{ account: 'assistant_payable', assistantId, debit: delta }, { account: 'platform_revenue', credit: delta }]
+      : [{ account: 'platform_revenue', debit: -delta }, { account: 'assistant_payable', assistantId, credit: -delta }],
+    bookingId: earning.bookingId,
+    memo: `SLA penalty ${delta > 0 ? 'applied' : 'returned'} for task ${taskId}`
+  });
+
+  return { success: true, changed: true, delta, earning: updated || earning, adjustment };
+}
+
+/**
+ * Complete a booking's open tasks (on booking completion) and record their earnings
+ * @param {string} bookingId
+ * @returns {Promise<Object>} { success, completedCount, earnings }
+ */
+async function completeBookingTasks(bookingId) {
+  const tasks = await ServiceTask.find({
+    bookingId,
+    assignedAssistant: { $ne: null },
+    status: { $in: ['assigned', 'in_progress', 'completed'] }
+  });
+
+  let completedCount = 0;
+  const earnings = [];
+  for (const task of tasks) {
+    if (task.status !== 'completed') {
+      task.status = 'completed';
+      task.completedAt = new Date();
+      await task.save();
+      completedCount++;
+    }
+    const result = await recordTaskEarning(task);
+    if (result.success) earnings.push(result.earning);
+  }
+  return { success: true, completedCount, earnings };
+}
+
+// ==================== PAYOUTS ====================
+
+/**
+ * Create the payout batch for a week from all unpaid earnings up to its end
+ * @param {Object} options
+ * @param {Date} [options.weekOf] - Any date in the week (default: the last finished week)
+ * @param {Object} [options.actor] - { id, role }
+ * @returns {Promise<Object>} { success, batch, code, message }
+ */
+async function createPayoutBatch({ weekOf = null, actor = {} } = {}) {
+  const { start, end } = weekOf
+    ? getWeekRange(new Date(weekOf))
+    : getWeekRange(new Date(getWeekRange().start.getTime() - 1));
+
+  if (end > new Date()) {
+    return { success: false, code: 'INVALID_PERIOD', message: 'Week has not finished yet' };
+  }
+  if (await PayoutBatch.exists({ periodStart: start })) {
+    return { success: false, code: 'CONFLICT', message: 'A payout batch already exists for this week' };
+  }
+
+  const candidates = await Earning.find({ status: 'unpaid', earnedAt: { $lt: end } }).select('_id').lean();
+  if (candidates.length === 0) {
+    return { success: false, code: 'NOTHING_TO_PAY', message: 'No unpaid earnings up to this week' };
+  }
+
+  const batch = await PayoutBatch.create({ periodStart: start, periodEnd: end, createdBy: actor.id || null });
+
+  // Claim earnings conditionally so a concurrent batch cannot take the same ones
+  await Earning.updateMany(
+    { _id: { $in: candidates.map(e => e._id) }, status: 'unpaid' },
+    { status: 'batched', payoutBatchId: batch._id }
+  );
+
+  const grouped = await Earning.aggregate([
+    { $match: { payoutBatchId: batch._id } },
+    { $group: { _id: '$assistantId', amount: { $sum: '$netAmount' }, earningsCount: { $sum: 1 } } }
+  ]);
+
+  // Penalties can leave nothing to pay - carry those earnings over to a later week
+  const totals = grouped.filter(t => roundMoney(t.amount) > 0);
+  const carried = grouped.filter(t => roundMoney(t.amount) <= 0).map(t => t._id);
+  if (carried.length > 0) {
+    await Earning.updateMany(
+      { payoutBatchId: batch._id, assistantId: { $in: carried } },
+      { status: 'unpaid', payoutBatchId: null }
+    );
+  }
+  const names = await Assistant.find({ _id: { $in: totals.map(t => t._id) } }).select('name').lean();
+  const nameById = new Map(names.map(a => [String(a._id), a.name]));
+
+  batch.items = totals.map(t => ({
+    assistantId: t._id,
+    assistantName: nameById.get(String(t._id)) || '',
+    earningsCount: t.earningsCount,
+    amount: roundMoney(t.amount)
+  }));
+  batch.totalAmount = roundMoney(batch.items.reduce((s, i) => s + i.amount, 0));
+  await batch.save();
+
+  await AuditLog.create({
+    action: 'payout_batch_create',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'payout_batch',
+    targetId: String(batch._id),
+    meta: { periodStart: start, periodEnd: end, totalAmount: batch.totalAmount, assistants: batch.items.length }
+  });
+  return { success: true, batch };
+}
+
+/**
+ * Approve a draft batch
+ * @param {string} batchId
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, batch, code, message }
+ */
+async function approvePayoutBatch(batchId, actor = {}) {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: 'draft' },
+    { status: 'approved', approvedBy: actor.id || null, approvedAt: new Date() },
+    { new: true }
+  );
+  if (!batch) return batchStateError(batchId, 'draft');
+
+  await AuditLog.create({
+    action: 'payout_batch_approve',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'payout_batch',
+    targetId: String(batch._id),
+    meta: { totalAmount: batch.totalAmount }
+  });
+  return { success: true, batch };
+}
+
+/**
+ * Mark an approved batch paid and post the payout to the ledger
+ * @param {string} batchId
+ * @param {Object} options
+ * @param {string} [options.reference] - Bank transfer reference
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, batch, code, message }
+ */
+async function markPayoutBatchPaid(batchId, { reference = '' } = {}, actor = {}) {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: 'approved' },
+    { status: 'paid', paidBy: actor.id || null, paidAt: new Date(), paymentReference: reference },
+    { new: true }
+  );
+  if (!batch) return batchStateError(batchId, 'approved');
+
+  const lines = batch.items.map(i => ({ account: 'assistant_payable', assistantId: i.assistantId, debit: i.amount }));
+  lines.push({ account: 'bank', credit: batch.totalAmount });
+  const posted = await postTransaction({
+    type: 'payout',
+    lines,
+    memo: `Payout ${localParts(batch.periodStart).day}${reference ? ` (${reference})` : ''}`
+  });
+  if (posted.success) {
+    batch.ledgerTxnId = posted.txnId;
+    await batch.save();
+  } else {
+    console.error(`[Payouts] Ledger posting failed for batch ${batch._id}:`, posted.errors);
+  }
+
+  await Earning.updateMany({ payoutBatchId: batch._id, status: 'batched' }, { status: 'paid' });
+
+  await AuditLog.create({
+    action: 'payout_batch_paid',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'payout_batch',
+    targetId: String(batch._id),
+    meta: { totalAmount: batch.totalAmount, reference, ledgerTxnId: batch.ledgerTxnId }
+  });
+  return { success: true, batch };
+}
+
+async function batchStateError(batchId, expected) {
+  const current = await PayoutBatch.findById(batchId).select('status').lean();
+  if (!current) return { success: false, code: 'NOT_FOUND', message: 'Payout batch not found' };
+  return { success: false, code: 'INVALID_STATE', message: `Batch is ${current.status}, expected ${expected}` };
+}
+
+// ==================== STATEMENTS ====================
+
+/**
+ * Earnings statement for one assistant and period
+ * @param {string} assistantId
+ * @param {Object} period - { start, end } (end exclusive)
+ * @returns {Promise<Object>} { success, statement, message }
+ */
+async function getEarningsStatement(assistantId, { start, end }) {
+  const assistant = await Assistant.findById(assistantId).select('name phone station totalEarnings').lean();
+  if (!assistant) return { success: false, message: 'Assistant not found' };
+
+  const earnings = await Earning.find({
+    assistantId,
+    earnedAt: { $gte: start, $lt: end }
+  }).sort({ earnedAt: 1 }).lean();
+
+  const bookings = await Booking.find({ _id: { $in: earnings.map(e => e.bookingId) } })
+    .select('trainNumber').lean();
+  const bookingById = new Map(bookings.map(b => [String(b._id), b]));
+
+  const summary = {
+    tasks: earnings.filter(e => e.kind === 'task').length,
+    grossAmount: 0,
+    amount: 0,
+    penaltyAmount: 0,
+    netAmount: 0,
+    unpaid: 0,
+    batched: 0,
+    paid: 0
+  };
+  const lines = earnings.map(e => {
+    summary.grossAmount += e.grossAmount;
+    summary.amount += e.amount;
+    summary.penaltyAmount += e.penaltyAmount;
+    summary.netAmount += e.netAmount;
+    summary[e.status] += e.netAmount;
+    const booking = bookingById.get(String(e.bookingId)) || {};
+    return {
+      earningId: e._id,
+      date: e.earnedAt,
+      bookingId: e.bookingId,
+      taskId: e.taskId,
+      kind: e.kind,
+      taskType: e.taskType,
+      station: e.station,
+      trainNumber: booking.trainNumber || '',
+      bookingPrice: e.bookingPrice,
+      grossAmount: e.grossAmount,
+      sharePercent: e.sharePercent,
+      amount: e.amount,
+      penaltyAmount: e.penaltyAmount,
+      netAmount: e.netAmount,
+      status: e.status,
+      memo: e.memo
+    };
+  });
+  for (const key of ['grossAmount', 'amount', 'penaltyAmount', 'netAmount', 'unpaid', 'batched', 'paid']) {
+    summary[key] = roundMoney(summary[key]);
+  }
+
+  const batches = await PayoutBatch.find({ 'items.assistantId': assistantId, periodStart: { $lt: end }, periodEnd: { $gt: start } })
+    .sort({ periodStart: 1 }).lean();
+  const payouts = batches.map(b => {
+    const item = b.items.find(i => String(i.assistantId) === String(assistantId));
+    return {
+      batchId: b._id,
+      periodStart: b.periodStart,
+      periodEnd: b.periodEnd,
+      status: b.status,
+      amount: item.amount,
+      paidAt: b.paidAt,
+      paymentReference: b.paymentReference
+    };
+  });
+
+  return {
+    success: true,
+    statement: {
+      assistant: { id: assistant._id, name: assistant.name, phone: assistant.phone, station: assistant.station },
+      period: { start, end },
+      currency: paymentsConfig.currency,
+      lifetimeEarnings: roundMoney(assistant.totalEarnings),
+      summary,
+      earnings: lines,
+      payouts
+    }
+  };
+}
+
+module.exports = {
+  // Earnings
+  recordTaskEarning,
+  completeBookingTasks,
+  applyTaskPenalty,
+
+  // Payouts
+  createPayoutBatch,
+  approvePayoutBatch,
+  markPayoutBatchPaid,
+
+  // Statements
+  getEarningsStatement,
+
+  // Helpers
+  getWeekRange,
+  getMonthRange
+};
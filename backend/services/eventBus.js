@@ -0,0 +1,121 @@
+/**
+ * Event Bus
+ *
+ * In-process pub/sub for booking and task state changes.
+ * Routes publish booking status transitions here and the background services
+ * (trainDelayTracker, taskQueueProcessor) are bridged in, so consumers such as
+ * the Socket.IO forwarder (realtimeService.js) only listen in one place.
+ *
+ * Events:
+ * - bookingStatusChanged: { bookingId, status, previousStatus, station, userId, assistantIds, actorRole, reason, at }
+ * - taskEvent: { type, task, bookingId, station, assistantId, details, at }
+ * - assistantNotice: { assistantId, type, message, details, at }
+ */
+
+const EventEmitter = require('events');
+
+// Background service events forwarded as taskEvent (plus taskPlatformChanged,
+// published by platformGuidanceService, and assistantEta / assistantArrived,
+// published by locationService)
+const TASK_EVENT_TYPES = [
+  'taskAssigned',
+  'taskRescheduled',
+  'taskStationPassed',
+  'escalation',
+  'slaViolation',
+  'taskOverdue',
+  'excessiveDelay',
+  'taskPlatformChanged',
+  'assistantEta',
+  'assistantArrived'
+];
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.bridged = new Set();
+  }
+
+  /**
+   * Publish a booking status transition
+   * @param {Object} booking - Booking document after the change
+   * @param {string} previousStatus - Status before the change
+   * @param {Object} options
+   * @param {string} [options.previousAssistantId] - Assistant that was unassigned by this change
+   * @param {string} [options.actorRole] - passenger | assistant | admin | system
+   * @param {string} [options.reason]
+   */
+  publishBookingStatus(booking, previousStatus, { previousAssistantId = null, actorRole = 'system', reason = '' } = {}) {
+    if (!booking) return;
+    const assistantIds = [booking.assistantId && (booking.assistantId._id || booking.assistantId), previousAssistantId]
+      .filter(Boolean)
+      .map(String);
+
+    this.emit('bookingStatusChanged', {
+      bookingId: String(booking._id),
+      status: booking.status,
+      previousStatus: previousStatus || null,
+      station: booking.station || null,
+      userId: booking.userId ? String(booking.userId) : null,
+      assistantIds: [...new Set(assistantIds)],
+      actorRole,
+      reason,
+      at: new Date()
+    });
+  }
+
+  /**
+   * Publish a task event
+   * @param {string} type - One of TASK_EVENT_TYPES
+   * @param {Object} data - Payload as emitted by the background service ({ task, ... })
+   */
+  publishTaskEvent(type, data = {}) {
+    const { task, ...details } = data;
+    if (!task) return;
+    const assistantId = data.assistantId || task.assignedAssistant;
+
+    this.emit('taskEvent', {
+      type,
+      task,
+      bookingId: task.bookingId ? String(task.bookingId._id || task.bookingId) : null,
+      station: task.station || null,
+      assistantId: assistantId ? String(assistantId._id || assistantId) : null,
+      details,
+      at: new Date()
+    });
+  }
+
+  /**
+   * Publish a notice for one assistant (e.g. a certificate about to expire)
+   * @param {string} assistantId
+   * @param {string} type - e.g. certificationExpiring, certificationExpired
+   * @param {string} message - Human-readable text
+   * @param {Object} [details] - Scalar fields for the client
+   */
+  publishAssistantNotice(assistantId, type, message, details = {}) {
+    if (!assistantId) return;
+    this.emit('assistantNotice', {
+      assistantId: String(assistantId),
+      type,
+      message,
+      details,
+      at: new Date()
+    });
+  }
+
+  /**
+   * Forward a background service's task events onto the bus
+   * @param {EventEmitter} source - trainDelayTracker or taskQueueProcessor
+   */
+  bridge(source) {
+    if (this.bridged.has(source)) return;
+    this.bridged.add(source);
+    for (const type of TASK_EVENT_TYPES) {
+      source.on(type, (data) => this.publishTaskEvent(type, data));
+    }
+  }
+}
+
+// Export singleton
+module.exports = new EventBus();
+module.exports.TASK_EVENT_TYPES = TASK_EVENT_TYPES;
@@ -0,0 +1,325 @@
+/**
+ * Forecast Service
+ *
+ * Staffing demand per station:
+ * - buildDemandProfiles() averages the last forecast.lookbackWeeks of
+ *   ServiceTask history per station, day of week and hour (DemandProfile);
+ *   server.js rebuilds them every forecast.rebuildIntervalMinutes
+ * - getStationForecast() expects, for each upcoming hour, the larger of that
+ *   average and the tasks/bookings already confirmed, turns it into a
+ *   recommended assistant count (capacity config) and compares it with who is
+ *   rostered (or available, where the station has no roster that day)
+ * - getStaffingAlerts() collects the understaffed windows of every busy
+ *   station for the admin dashboard
+ */
+
+const DemandProfile = require('../models/DemandProfile');
+const ServiceTask = require('../models/ServiceTask');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const Shift = require('../models/Shift');
+const schedulingConfig = require('../config/scheduling.config');
+const { TERMINAL_STATUSES } = require('./bookingStateService');
+const { findStation, stationNameQuery } = require('./stationService');
+const { getAvailabilityOccurrences, getLeaveDuring, isStationRostered } = require('./shiftService');
+const { timeZone, localHourStart, localParts } = require('./localTime');
+
+const { lookbackWeeks, maxHorizonHours, standardShiftHours, alertHorizonHours, alertCacheMinutes } = schedulingConfig.forecast;
+const { targetTasksPerShift, maxConcurrentTasksPerStation, bufferCapacityPercent } = schedulingConfig.capacity;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+const ACTIVE_TASK_STATUSES = ['pending', 'assigned', 'in_progress'];
+// An assistant counts towards an hour when on duty for at least this much of it
+const MIN_DUTY_MINUTES = 30;
+
+let alertCache = null;
+
+function overlapMinutes(aStart, aEnd, bStart, bEnd) {
+  const ms = Math.min(new Date(aEnd), new Date(bEnd)) - Math.max(new Date(aStart), new Date(bStart));
+  return Math.max(ms, 0) / MINUTE_MS;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Assistants needed for an expected number of tasks in one hour
+ * @param {number} expectedTasks
+ * @returns {number}
+ */
+function recommendedAssistants(expectedTasks) {
+  if (expectedTasks <= 0) return 0;
+  const tasksPerAssistantHour = targetTasksPerShift / standardShiftHours;
+  return Math.ceil(round2(expectedTasks / tasksPerAssistantHour * (1 + bufferCapacityPercent / 100)));
+}
+
+// ==================== DEMAND PROFILES ====================
+
+/**
+ * Rebuild every station's hourly demand profile from ServiceTask history.
+ * Stations unknown to station master data are skipped
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { stations, profiles, skippedStations }
+ */
+async function buildDemandProfiles(now = new Date()) {
+  const since = new Date(now.getTime() - lookbackWeeks * WEEK_MS);
+  const groups = await ServiceTask.aggregate([
+    { $match: { scheduledTime: { $gte: since, $lt: now }, status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: {
+          station: '$station',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime', timezone: timeZone } },
+          hour: { $hour: { date: '$scheduledTime', timezone: timeZone } }
+        },
+        count: { $sum: 1 },
+        first: { $min: '$scheduledTime' }
+      }
+    }
+  ]);
+
+  // Station names -> codes; several names can belong to one station
+  const codes = new Map();
+  const skipped = new Set();
+  for (const name of new Set(groups.map(g => g._id.station))) {
+    const station = name ? await findStation({ name }) : null;
+    if (station) codes.set(name, station.code);
+    else skipped.add(name || '(none)');
+  }
+
+  // code -> { first, counts: 'day|hour' -> tasks }
+  const byStation = new Map();
+  for (const g of groups) {
+    const code = codes.get(g._id.station);
+    if (!code) continue;
+    if (!byStation.has(code)) byStation.set(code, { first: g.first, counts: new Map() });
+    const entry = byStation.get(code);
+    if (g.first < entry.first) entry.first = g.first;
+    const key = `${g._id.day}|${g._id.hour}`;
+    entry.counts.set(key, (entry.counts.get(key) || 0) + g.count);
+  }
+
+  const builtAt = new Date();
+  const ops = [];
+  for (const [stationCode, { first, counts }] of byStation) {
+    const weeksObserved = Math.min(Math.max(Math.ceil((now - first) / WEEK_MS), 1), lookbackWeeks);
+    // dayOfWeek|hour -> { total, peak }
+    const cells = new Map();
+    for (const [key, count] of counts) {
+      const [day, hour] = key.split('|');
+      const cellKey = `${new Date(day + 'T00:00:00Z').getUTCDay()}|${hour}`;
+      const cell = cells.get(cellKey) || { total: 0, peak: 0 };
+      cell.total += count;
+      cell.peak = Math.max(cell.peak, count);
+      cells.set(cellKey, cell);
+    }
+    for (const [cellKey, { total, peak }] of cells) {
+      const [dayOfWeek, hour] = cellKey.split('|').map(Number);
+      ops.push({
+        updateOne: {
+          filter: { stationCode, dayOfWeek, hour },
+          update: { $set: { avgTasks: round2(total / weeksObserved), peakTasks: peak, weeksObserved, builtAt } },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  if (ops.length > 0) await DemandProfile.bulkWrite(ops, { ordered: false });
+  // Hours that had history last time but none now
+  await DemandProfile.deleteMany({ builtAt: { $lt: builtAt } });
+  alertCache = null;
+
+  if (skipped.size > 0) {
+    console.warn(`[Forecast] Skipped task stations not in station master data: ${[...skipped].slice(0, 10).join(', ')}`);
+  }
+  console.log(`[Forecast] Built ${ops.length} demand profile hours for ${byStation.size} stations`);
+  return { stations: byStation.size, profiles: ops.length, skippedStations: [...skipped] };
+}
+
+// ==================== FORECAST ====================
+
+/**
+ * Tasks and taskless bookings already confirmed at a station, per hour slot
+ * @returns {Promise<number[]>}
+ */
+async function getBookedPerHour(nameQuery, start, hours) {
+  const end = new Date(start.getTime() + hours * HOUR_MS);
+  const booked = new Array(hours).fill(0);
+  const slotOf = (date) => Math.floor((new Date(date) - start) / HOUR_MS);
+
+  const tasks = await ServiceTask.find({
+    station: nameQuery,
+    scheduledTime: { $gte: start, $lt: end },
+    status: { $in: ACTIVE_TASK_STATUSES }
+  }).select('scheduledTime bookingId').populate('bookingId', 'status').lean();
+  for (const task of tasks) {
+    if (!task.bookingId || TERMINAL_STATUSES.includes(task.bookingId.status)) continue;
+    booked[slotOf(task.scheduledTime)]++;
+  }
+
+  // Bookings without a train have no tasks; their arrival time is the demand
+  const bookings = await Booking.find({
+    station: nameQuery,
+    arrivalTime: { $gte: start, $lt: end },
+    status: { $nin: TERMINAL_STATUSES }
+  }).select('arrivalTime').lean();
+  const withTasks = new Set((await ServiceTask.distinct('bookingId', {
+    bookingId: { $in: bookings.map(b => b._id) }
+  })).map(String));
+  for (const booking of bookings) {
+    if (!withTasks.has(String(booking._id))) booked[slotOf(booking.arrivalTime)]++;
+  }
+  return booked;
+}
+
+/**
+ * Hourly demand, recommended assistants and staffing for a station
+ * @param {string} stationCodeOrName
+ * @param {Object} options - { from (default now), hours (default 24) }
+ * @returns {Promise<Object>} { success, station, hours, understaffedWindows, summary, code, message }
+ */
+async function getStationForecast(stationCodeOrName, { from = new Date(), hours = 24 } = {}) {
+  const station = await findStation({ code: stationCodeOrName, name: stationCodeOrName });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found' };
+  if (!Number.isInteger(hours) || hours < 1 || hours > maxHorizonHours) {
+    return { success: false, code: 'INVALID', message: `hours must be 1 to ${maxHorizonHours}` };
+  }
+
+  // Whole local hours (the offset need not be whole hours)
+  const start = localHourStart(from);
+  const end = new Date(start.getTime() + hours * HOUR_MS);
+  const nameQuery = await stationNameQuery({ code: station.code });
+
+  const [profiles, booked, assistants, shifts] = await Promise.all([
+    DemandProfile.find({ stationCode: station.code }).lean(),
+    getBookedPerHour(nameQuery, start, hours),
+    Assistant.find({ station: nameQuery, applicationStatus: 'Approved', isEligibleForBookings: true })
+      .select('weeklyAvailability leave')
+      .lean(),
+    Shift.find({ stationCode: station.code, status: 'scheduled', start: { $lt: end }, end: { $gt: start } }).lean()
+  ]);
+  const profileByHour = new Map(profiles.map(p => [`${p.dayOfWeek}|${p.hour}`, p]));
+  const rosteredDays = new Map();
+
+  const slots = [];
+  for (let i = 0; i < hours; i++) {
+    const slotStart = new Date(start.getTime() + i * HOUR_MS);
+    const slotEnd = new Date(slotStart.getTime() + HOUR_MS);
+    const { dayOfWeek, hour, day } = localParts(slotStart);
+    const profile = profileByHour.get(`${dayOfWeek}|${hour}`);
+
+    if (!rosteredDays.has(day)) {
+      rosteredDays.set(day, await isStationRostered(station.code, { start: slotStart, end: slotEnd }));
+    }
+    const rostered = rosteredDays.get(day);
+    const onDuty = rostered
+      ? new Set(shifts
+        .filter(s => overlapMinutes(s.start, s.end, slotStart, slotEnd) >= MIN_DUTY_MINUTES)
+        .map(s => String(s.assistantId)))
+      : new Set(assistants
+        .filter(a => getLeaveDuring(a, slotStart, slotEnd).length === 0)
+        .filter(a => getAvailabilityOccurrences(a.weeklyAvailability, slotStart, slotEnd)
+          .some(o => overlapMinutes(o.start, o.end, slotStart, slotEnd) >= MIN_DUTY_MINUTES))
+        .map(a => String(a._id)));
+
+    const historicalAvg = profile ? profile.avgTasks : 0;
+    const expected = round2(Math.max(booked[i], historicalAvg));
+    const recommended = recommendedAssistants(expected);
+    slots.push({
+      start: slotStart,
+      end: slotEnd,
+      dayOfWeek,
+      hour,
+      historical: { avg: historicalAvg, peak: profile ? profile.peakTasks : 0 },
+      booked: booked[i],
+      expected,
+      recommended,
+      staffed: onDuty.size,
+      staffingSource: rostered ? 'roster' : 'availability',
+      shortfall: Math.max(recommended - onDuty.size, 0),
+      understaffed: onDuty.size < recommended,
+      overStationCapacity: expected > maxConcurrentTasksPerStation
+    });
+  }
+
+  // Consecutive understaffed hours as one window
+  const understaffedWindows = [];
+  for (const slot of slots) {
+    const last = understaffedWindows[understaffedWindows.length - 1];
+    if (!slot.understaffed) continue;
+    if (last && last.end.getTime() === slot.start.getTime()) {
+      last.end = slot.end;
+      last.hours++;
+      last.maxShortfall = Math.max(last.maxShortfall, slot.shortfall);
+      last.peakExpected = Math.max(last.peakExpected, slot.expected);
+    } else {
+      understaffedWindows.push({
+        start: slot.start,
+        end: slot.end,
+        hours: 1,
+        maxShortfall: slot.shortfall,
+        peakExpected: slot.expected
+      });
+    }
+  }
+
+  return {
+    success: true,
+    station: { code: station.code, name: station.name },
+    profileBuiltAt: profiles.length > 0 ? profiles[0].builtAt : null,
+    hours: slots,
+    understaffedWindows,
+    summary: {
+      expectedTasks: round2(slots.reduce((sum, s) => sum + s.expected, 0)),
+      bookedTasks: slots.reduce((sum, s) => sum + s.booked, 0),
+      understaffedHours: slots.filter(s => s.understaffed).length,
+      overCapacityHours: slots.filter(s => s.overStationCapacity).length
+    }
+  };
+}
+
+/**
+ * Understaffed windows over the next forecast.alertHorizonHours at every
+ * station with demand history or upcoming tasks (cached for alertCacheMinutes)
+ * @returns {Promise<Object>} { generatedAt, horizonHours, alerts }
+ */
+async function getStaffingAlerts() {
+  if (alertCache && alertCache.expiresAt > Date.now()) return alertCache.value;
+
+  const now = new Date();
+  const upcomingStations = await ServiceTask.distinct('station', {
+    scheduledTime: { $gte: now, $lt: new Date(now.getTime() + alertHorizonHours * HOUR_MS) },
+    status: { $in: ACTIVE_TASK_STATUSES }
+  });
+  const codes = new Set(await DemandProfile.distinct('stationCode'));
+  for (const name of upcomingStations) {
+    const station = name ? await findStation({ name }) : null;
+    if (station) codes.add(station.code);
+  }
+
+  const alerts = [];
+  for (const code of codes) {
+    const forecast = await getStationForecast(code, { from: now, hours: alertHorizonHours });
+    if (!forecast.success) continue;
+    for (const window of forecast.understaffedWindows) {
+      alerts.push({ stationCode: forecast.station.code, stationName: forecast.station.name, ...window });
+    }
+  }
+  alerts.sort((a, b) => a.start - b.start || b.maxShortfall - a.maxShortfall);
+
+  const value = { generatedAt: now, horizonHours: alertHorizonHours, alerts };
+  alertCache = { value, expiresAt: Date.now() + alertCacheMinutes * MINUTE_MS };
+  return value;
+}
+
+module.exports = {
+  recommendedAssistants,
+  buildDemandProfiles,
+  getStationForecast,
+  getStaffingAlerts
+};
@@ -0,0 +1,203 @@
+/**
+ * Job Scheduler
+ *
+ * Durable timers backed by the ScheduledJob collection:
+ * - services register a handler per job type and schedule jobs with a
+ *   unique key (scheduling an existing key is a no-op, so callers can
+ *   re-plan freely; a cancelled job's key planned again revives it)
+ * - due jobs are claimed one at a time with a lock, so overlapping polls and
+ *   several server instances never run the same job twice; a job whose lock
+ *   ran out (process died mid-run) is picked up again
+ * - a handler that throws is retried jobs.retryDelaySeconds later, up to
+ *   jobs.maxAttempts; whatever it returns is stored as the job's result
+ */
+
+const ScheduledJob = require('../models/ScheduledJob');
+const schedulingConfig = require('../config/scheduling.config');
+
+const jobsConfig = schedulingConfig.jobs;
+const POLL_BATCH = 100;
+
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map();
+    this.isRunning = false;
+    this.isPolling = false;
+    this.pollInterval = null;
+  }
+
+  /**
+   * Register the handler of a job type
+   * @param {string} type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job (no-op when a job with this key is already open or has
+   * run; a cancelled one is scheduled again)
+   * @param {string} type
+   * @param {Date} runAt - In the past = run at the next poll
+   * @param {Object} payload
+   * @param {Object} options
+   * @param {string} options.key - Unique job key
+   * @returns {Promise<Object>} { job, created }
+   */
+  async schedule(type, runAt, payload, { key }) {
+    // Planned again after being cancelled (a delay recovered to the old
+    // arrival time, a task reassigned back to the same assistant)
+    const revived = await ScheduledJob.findOneAndUpdate(
+      { key, status: 'cancelled' },
+      {
+        $set: {
+          type, runAt, payload, status: 'scheduled', attempts: 0, lockedUntil: null,
+          lastError: '', result: null, finishedAt: null, cancelReason: ''
+        }
+      },
+      { new: true }
+    );
+    if (revived) return { job: revived, created: true };
+
+    const result = await ScheduledJob.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { type, key, runAt, payload, status: 'scheduled' } },
+      { upsert: true, new: true, rawResult: true }
+    );
+    return { job: result.value, created: !result.lastErrorObject.updatedExisting };
+  }
+
+  /**
+   * Cancel scheduled jobs
+   * @param {Object} filter - ScheduledJob query (only scheduled jobs are touched)
+   * @param {string} reason
+   * @returns {Promise<number>} Jobs cancelled
+   */
+  async cancel(filter, reason) {
+    const now = new Date();
+    const result = await ScheduledJob.updateMany(
+      { ...filter, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelReason: reason, finishedAt: now } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Run every job that is due
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { completed, retried, failed }
+   */
+  async runDueJobs(now = new Date()) {
+    const stats = { completed: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < POLL_BATCH; i++) {
+      const job = await ScheduledJob.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'scheduled', runAt: { $lte: now } },
+            { status: 'running', lockedUntil: { $lt: now } }
+          ]
+        },
+        {
+          $set: { status: 'running', lockedUntil: new Date(Date.now() + jobsConfig.lockSeconds * 1000) },
+          $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      const outcome = await this.runJob(job);
+      stats[outcome]++;
+    }
+
+    if (stats.retried > 0 || stats.failed > 0) {
+      console.warn(`[Jobs] ${stats.completed} completed, ${stats.retried} to retry, ${stats.failed} failed`);
+    }
+    return stats;
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @returns {Promise<string>} completed | retried | failed
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    try {
+      if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+      const result = await handler(job.payload || {}, job);
+
+      await ScheduledJob.updateOne({ _id: job._id, status: 'running' }, {
+        $set: { status: 'completed', result: result === undefined ? null : result, lockedUntil: null, lastError: '', finishedAt: new Date() }
+      });
+      return 'completed';
+    } catch (err) {
+      const retry = handler && job.attempts < jobsConfig.maxAttempts;
+      console.error(`[Jobs] ${job.type} ${job.key} failed (attempt ${job.attempts}/${jobsConfig.maxAttempts}):`, err.message);
+
+      await ScheduledJob.updateOne({ _id: job._id, status: 'running' }, {
+        $set: retry
+          ? { status: 'scheduled', runAt: new Date(Date.now() + jobsConfig.retryDelaySeconds * 1000), lockedUntil: null, lastError: err.message }
+          : { status: 'failed', lockedUntil: null, lastError: err.message, finishedAt: new Date() }
+      });
+      return retry ? 'retried' : 'failed';
+    }
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    console.log(`[Jobs] Scheduler started (${this.handlers.size} job type(s))`);
+
+    const poll = async () => {
+      if (this.isPolling) return; // previous poll still running
+      this.isPolling = true;
+      try {
+        await this.runDueJobs();
+      } catch (err) {
+        console.error('[Jobs] Poll error:', err.message);
+      } finally {
+        this.isPolling = false;
+      }
+    };
+    poll();
+    this.pollInterval = setInterval(poll, jobsConfig.pollIntervalSeconds * 1000);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    console.log('[Jobs] Scheduler stopped');
+  }
+
+  /**
+   * Jobs for the admin view, soonest first
+   * @param {Object} filters - { status, type, taskId, bookingId, limit }
+   */
+  async listJobs({ status, type, taskId, bookingId, limit = 100 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (taskId) query['payload.taskId'] = String(taskId);
+    if (bookingId) query['payload.bookingId'] = String(bookingId);
+    return ScheduledJob.find(query)
+      .sort({ runAt: 1 })
+      .limit(Math.min(500, Math.max(1, parseInt(limit, 10) || 100)))
+      .lean();
+  }
+}
+
+// Singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
@@ -0,0 +1,170 @@
+/**
+ * Ledger Service
+ *
+ * Posts balanced double-entry transactions to the LedgerEntry collection and
+ * keeps Assistant.totalEarnings in step with the assistant_payable account.
+ *
+ * Invariants:
+ * - every transaction has >= 2 lines and sum(debit) === sum(credit)
+ * - Assistant.totalEarnings === sum(credit - debit) of that assistant's
+ *   assistant_payable lines, excluding payouts (checked by reconcileAssistantEarnings).
+ *   totalEarnings is lifetime earnings; paying an assistant does not reduce it.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Assistant = require('../models/Assistant');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Round to paise
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Validate transaction lines
+ * @param {Array} lines - [{ account, assistantId, debit, credit }]
+ * @returns {Object} { valid, errors, lines } - lines rounded, zero lines dropped
+ */
+function validateLines(lines = []) {
+  const errors = [];
+  const cleaned = lines
+    .map(l => ({ ...l, debit: roundMoney(l.debit), credit: roundMoney(l.credit) }))
+    .filter(l => l.debit > 0 || l.credit > 0);
+
+  cleaned.forEach((l, i) => {
+    if (l.debit > 0 && l.credit > 0) errors.push(`Line ${i} has both debit and credit`);
+    if (l.debit < 0 || l.credit < 0) errors.push(`Line ${i} has a negative amount`);
+    if (l.account === 'assistant_payable' && !l.assistantId) errors.push(`Line ${i} assistant_payable needs assistantId`);
+  });
+  if (cleaned.length < 2) errors.push('A transaction needs at least two lines');
+
+  const debits = roundMoney(cleaned.reduce((s, l) => s + l.debit, 0));
+  const credits = roundMoney(cleaned.reduce((s, l) => s + l.credit, 0));
+  if (debits !== credits) errors.push(`Unbalanced transaction: debits ${debits} != credits ${credits}`);
+
+  return { valid: errors.length === 0, errors, lines: cleaned };
+}
+
+/**
+ * Post a balanced transaction
+ * @param {Object} params
+ * @param {string} params.type - capture | refund | adjustment | payout
+ * @param {Array} params.lines - [{ account, assistantId, debit, credit }]
+ * @param {string} [params.bookingId]
+ * @param {string} [params.paymentId]
+ * @param {string} [params.memo]
+ * @returns {Promise<Object>} { success, txnId, entries, errors }
+ */
+async function postTransaction({ type, lines, bookingId = null, paymentId = null, memo = '' }) {
+  const check = validateLines(lines);
+  if (!check.valid) {
+    console.error('[Ledger] Rejected transaction:', check.errors);
+    return { success: false, errors: check.errors };
+  }
+
+  const txnId = crypto.randomUUID();
+  const entries = await LedgerEntry.insertMany(check.lines.map(l => ({
+    txnId,
+    type,
+    account: l.account,
+    assistantId: l.assistantId || null,
+    debit: l.debit,
+    credit: l.credit,
+    bookingId,
+    paymentId,
+    memo
+  })));
+
+  // Mirror assistant_payable movements onto Assistant.totalEarnings (payouts settle, not earn)
+  const earningsDelta = {};
+  for (const l of type === 'payout' ? [] : check.lines) {
+    if (l.account !== 'assistant_payable') continue;
+    const id = String(l.assistantId);
+    earningsDelta[id] = roundMoney((earningsDelta[id] || 0) + l.credit - l.debit);
+  }
+  for (const [assistantId, delta] of Object.entries(earningsDelta)) {
+    if (delta !== 0) {
+      await Assistant.findByIdAndUpdate(assistantId, { $inc: { totalEarnings: delta } });
+    }
+  }
+
+  return { success: true, txnId, entries };
+}
+
+/**
+ * Lifetime ledger earnings per assistant (assistant_payable credits - debits, excluding payouts)
+ * @param {string} [assistantId] - Limit to one assistant
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getAssistantLedgerEarnings(assistantId = null) {
+  const match = { account: 'assistant_payable', type: { $ne: 'payout' } };
+  if (assistantId) match.assistantId = new mongoose.Types.ObjectId(String(assistantId));
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$assistantId', credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+  ]);
+  return new Map(rows.map(r => [String(r._id), roundMoney(r.credit - r.debit)]));
+}
+
+/**
+ * Compare Assistant.totalEarnings with the ledger
+ * @param {Object} options
+ * @param {boolean} [options.fix] - Overwrite totalEarnings with the ledger value (audited)
+ * @param {Object} [options.actor] - { id, role } for the audit log
+ * @returns {Promise<Object>} { checked, mismatches: [{ assistantId, name, totalEarnings, ledgerEarnings, difference, fixed }] }
+ */
+async function reconcileAssistantEarnings({ fix = false, actor = {} } = {}) {
+  const ledger = await getAssistantLedgerEarnings();
+  const assistants = await Assistant.find({}).select('name totalEarnings').lean();
+
+  const mismatches = [];
+  for (const a of assistants) {
+    const ledgerEarnings = ledger.get(String(a._id)) || 0;
+    const totalEarnings = roundMoney(a.totalEarnings);
+    if (totalEarnings === ledgerEarnings) continue;
+
+    const mismatch = {
+      assistantId: String(a._id),
+      name: a.name,
+      totalEarnings,
+      ledgerEarnings,
+      difference: roundMoney(totalEarnings - ledgerEarnings),
+      fixed: false
+    };
+    if (fix) {
+      await Assistant.findByIdAndUpdate(a._id, { totalEarnings: ledgerEarnings });
+      await AuditLog.create({
+        action: 'reconcile_earnings',
+        actorId: actor.id,
+        actorRole: actor.role,
+        targetType: 'assistant',
+        targetId: String(a._id),
+        meta: { from: totalEarnings, to: ledgerEarnings }
+      });
+      mismatch.fixed = true;
+    }
+    mismatches.push(mismatch);
+  }
+
+  return { checked: assistants.length, mismatches };
+}
+
+module.exports = {
+  // Posting
+  postTransaction,
+  validateLines,
+
+  // Reporting
+  getAssistantLedgerEarnings,
+  reconcileAssistantEarnings,
+
+  // Helpers
+  roundMoney
+};
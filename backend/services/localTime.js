@@ -0,0 +1,133 @@
+/**
+ * Station Local Time
+ *
+ * Timetables, weekly availability, rosters and demand forecasts are all in
+ * station local time - scheduling.config.js shifts.timeZone (STATION_TIME_ZONE,
+ * default Asia/Kolkata) - whatever zone the server itself runs in. Conversions
+ * go through Intl, so the process time zone (TZ) is never read or changed.
+ *
+ * Months are 1-12 and days of week 0-6 (0 = Sunday). Values out of range in
+ * fromLocal / atLocalTime roll over (25:00 is 01:00 the next day).
+ */
+
+const schedulingConfig = require('../config/scheduling.config');
+
+const { timeZone } = schedulingConfig.shifts;
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Throws a RangeError at startup for an unknown zone
+const wallClockFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric'
+});
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Wall clock of `date` in station local time
+ * @param {Date|string|number} date
+ * @returns {Object} { year, month, date, hour, minute, second, dayOfWeek, minutes, day } -
+ *          minutes past local midnight, day as 'YYYY-MM-DD'
+ */
+function localParts(date) {
+  const parts = {};
+  for (const { type, value } of wallClockFormat.formatToParts(new Date(date))) parts[type] = value;
+  const result = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    date: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+  result.minutes = result.hour * 60 + result.minute;
+  result.day = `${result.year}-${pad(result.month)}-${pad(result.date)}`;
+  return result;
+}
+
+// Minutes east of UTC at `date`
+function utcOffsetMinutes(date = new Date()) {
+  const instant = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const w = localParts(instant);
+  return Math.round((Date.UTC(w.year, w.month - 1, w.date, w.hour, w.minute, w.second) - instant) / MINUTE_MS);
+}
+
+/**
+ * Instant of a station local wall-clock time
+ * @returns {Date}
+ */
+function fromLocal(year, month, day, hours = 0, minutes = 0) {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  // Second pass picks up an offset change (DST) between the guess and the result
+  const guess = wall - utcOffsetMinutes(wall) * MINUTE_MS;
+  return new Date(wall - utcOffsetMinutes(guess) * MINUTE_MS);
+}
+
+// Instant of `hours`:`minutes` local time on the local day containing `date`
+function atLocalTime(date, hours, minutes = 0) {
+  const w = localParts(date);
+  return fromLocal(w.year, w.month, w.date, hours, minutes);
+}
+
+// Instant of local midnight on the day containing `date`
+function localMidnight(date) {
+  return atLocalTime(date, 0, 0);
+}
+
+// Same local clock time `days` calendar days later
+function addLocalDays(date, days) {
+  const w = localParts(date);
+  return fromLocal(w.year, w.month, w.date + days, w.hour, w.minute);
+}
+
+// Start of the local hour containing `date`
+function localHourStart(date) {
+  const w = localParts(date);
+  return fromLocal(w.year, w.month, w.date, w.hour, 0);
+}
+
+// HH:MM local time
+function formatClock(date) {
+  const w = localParts(date);
+  return `${pad(w.hour)}:${pad(w.minute)}`;
+}
+
+// e.g. '14 Mar, 09:30 am' - day, month and time for messages and logs
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('en-IN', {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone
+  });
+}
+
+// e.g. 'Tue, 10 Mar, 2026'
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone
+  });
+}
+
+module.exports = {
+  timeZone,
+  localParts,
+  utcOffsetMinutes,
+  fromLocal,
+  atLocalTime,
+  localMidnight,
+  addLocalDays,
+  localHourStart,
+  formatClock,
+  formatDateTime,
+  formatDate
+};
@@ -0,0 +1,288 @@
+/**
+ * Location Service
+ *
+ * Live location of assistants on their way to a task:
+ * - assistants stream position fixes over Socket.IO ('location_update');
+ *   fixes are throttled per assistant and only stored while the task is
+ *   assigned or in progress
+ * - a fix inside location.geofenceRadiusMeters of the station's coordinates
+ *   checks the assistant in (SLA check-in, 'assistantArrived' for the passenger)
+ * - every stored fix carries a straight-line ETA to the station, pushed to
+ *   the passenger as 'assistantEta' when notifications.passengerETAEnabled
+ * - a task's points are deleted when it closes (booking finished or periodic sweep)
+ */
+
+const AssistantLocation = require('../models/AssistantLocation');
+const ServiceTask = require('../models/ServiceTask');
+const schedulingConfig = require('../config/scheduling.config');
+const { findStation } = require('./stationService');
+const { recordCheckIn } = require('./slaService');
+const { TERMINAL_STATUSES } = require('./bookingStateService');
+const eventBus = require('./eventBus');
+
+const locationConfig = schedulingConfig.location;
+const { passengerETAEnabled } = schedulingConfig.notifications;
+
+const ACTIVE_TASK_STATUSES = ['assigned', 'in_progress'];
+const EARTH_RADIUS_METERS = 6371000;
+const KMH_TO_MPS = 1000 / 3600;
+// Fixes queued on the device longer than this are stamped with the receive time
+const MAX_FIX_AGE_MS = 2 * 60 * 1000;
+
+// Last stored fix per assistant (throttling) - in memory, a restart only lets one extra fix in
+const lastFixAt = new Map();
+
+// ==================== GEOMETRY ====================
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number[]} a - [longitude, latitude]
+ * @param {number[]} b - [longitude, latitude]
+ * @returns {number} Metres
+ */
+function distanceMeters(a, b) {
+  const dLat = toRadians(b[1] - a[1]);
+  const dLng = toRadians(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Speed for an ETA: the device's, else since the previous fix, else the default
+ * @param {Object} fix - { coordinates, speedMps, recordedAt }
+ * @param {Object|null} previous - Last stored AssistantLocation of the task
+ * @returns {number} Metres per second
+ */
+function estimateSpeed(fix, previous) {
+  let speed = fix.speedMps;
+  if (!(speed > 0) && previous) {
+    const seconds = (fix.recordedAt - new Date(previous.recordedAt)) / 1000;
+    if (seconds > 0) speed = distanceMeters(previous.location.coordinates, fix.coordinates) / seconds;
+  }
+  if (!(speed > 0)) speed = locationConfig.defaultSpeedKmh * KMH_TO_MPS;
+  return Math.min(Math.max(speed, locationConfig.minSpeedKmh * KMH_TO_MPS), locationConfig.maxSpeedKmh * KMH_TO_MPS);
+}
+
+// ==================== INPUT ====================
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate a fix from the client
+ * @param {Object} input - { taskId?, latitude, longitude, accuracy?, speed?, heading?, timestamp? }
+ * @returns {Object} { valid, errors, fix }
+ */
+function validateFix(input = {}) {
+  const errors = [];
+  const { latitude, longitude, accuracy = null, speed = null, heading = null, timestamp = null } = input;
+
+  if (!isNumber(latitude) || latitude < -90 || latitude > 90) errors.push('latitude must be a number from -90 to 90');
+  if (!isNumber(longitude) || longitude < -180 || longitude > 180) errors.push('longitude must be a number from -180 to 180');
+  if (accuracy !== null && (!isNumber(accuracy) || accuracy < 0)) errors.push('accuracy must be a non-negative number of metres');
+  if (speed !== null && (!isNumber(speed) || speed < 0)) errors.push('speed must be a non-negative number of m/s');
+  if (heading !== null && (!isNumber(heading) || heading < 0 || heading >= 360)) errors.push('heading must be from 0 to 360');
+
+  // Device clocks drift - never trust a fix from the future or long ago
+  const now = Date.now();
+  let recordedAt = new Date(now);
+  if (timestamp !== null) {
+    const at = new Date(timestamp);
+    if (isNaN(at)) errors.push('timestamp must be a date');
+    else if (at.getTime() <= now && now - at.getTime() < MAX_FIX_AGE_MS) recordedAt = at;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    fix: {
+      coordinates: [longitude, latitude],
+      accuracyMeters: accuracy,
+      speedMps: speed,
+      heading,
+      recordedAt
+    }
+  };
+}
+
+/**
+ * The task a fix belongs to: the one named, else the assistant's next active task
+ */
+async function findActiveTask(assistantId, taskId) {
+  const query = { assignedAssistant: assistantId, status: { $in: ACTIVE_TASK_STATUSES } };
+  if (taskId) return ServiceTask.findOne({ ...query, _id: taskId });
+  return ServiceTask.findOne(query).sort({ assistantArrivalTime: 1, scheduledTime: 1 });
+}
+
+// ==================== FIXES ====================
+
+/**
+ * Store an assistant's position fix, check them in inside the station
+ * geofence and push the passenger an ETA
+ * @param {string} assistantId
+ * @param {Object} input - see validateFix
+ * @returns {Promise<Object>} { success, throttled, taskId, distanceMeters, etaMinutes, insideGeofence, checkedIn, code, message }
+ */
+async function recordLocation(assistantId, input = {}) {
+  const { valid, errors, fix } = validateFix(input);
+  if (!valid) return { success: false, code: 'INVALID', message: 'Invalid location', errors };
+
+  if (fix.accuracyMeters !== null && fix.accuracyMeters > locationConfig.maxAccuracyMeters) {
+    return { success: false, code: 'INACCURATE', message: `Location accuracy worse than ${locationConfig.maxAccuracyMeters}m ignored` };
+  }
+
+  const key = String(assistantId);
+  const last = lastFixAt.get(key);
+  if (last && fix.recordedAt - last < locationConfig.minIntervalSeconds * 1000) {
+    return { success: true, throttled: true };
+  }
+
+  const task = await findActiveTask(assistantId, input.taskId);
+  if (!task) {
+    return { success: false, code: 'NO_ACTIVE_TASK', message: 'Location is only shared while you have an assigned or in-progress task' };
+  }
+  lastFixAt.set(key, fix.recordedAt.getTime());
+
+  const station = await findStation({ name: task.station });
+  const stationPoint = station && station.location && station.location.coordinates;
+
+  let distance = null;
+  let etaMinutes = null;
+  let insideGeofence = false;
+  if (stationPoint && stationPoint.length === 2) {
+    const previous = await AssistantLocation.findOne({ taskId: task._id }).sort({ recordedAt: -1 }).lean();
+    distance = Math.round(distanceMeters(fix.coordinates, stationPoint));
+    insideGeofence = distance <= locationConfig.geofenceRadiusMeters;
+    etaMinutes = insideGeofence ? 0 : Math.ceil(distance / estimateSpeed(fix, previous) / 60);
+  }
+
+  await AssistantLocation.create({
+    assistantId,
+    taskId: task._id,
+    bookingId: task.bookingId || null,
+    location: { type: 'Point', coordinates: fix.coordinates },
+    accuracyMeters: fix.accuracyMeters,
+    speedMps: fix.speedMps,
+    heading: fix.heading,
+    distanceMeters: distance,
+    etaMinutes,
+    insideGeofence,
+    recordedAt: fix.recordedAt
+  });
+
+  let checkedIn = false;
+  if (insideGeofence && !task.checkedInAt) {
+    const result = await recordCheckIn(task._id, assistantId, fix.recordedAt);
+    if (result.success) {
+      checkedIn = true;
+      publishArrival(result, 'geofence');
+      console.log(`[Location] Assistant ${assistantId} checked in to task ${task._id} by geofence (${distance}m from ${task.station})`);
+    }
+  }
+
+  if (passengerETAEnabled && distance !== null && !checkedIn) {
+    eventBus.publishTaskEvent('assistantEta', {
+      task,
+      distanceMeters: distance,
+      etaMinutes,
+      insideGeofence,
+      recordedAt: fix.recordedAt
+    });
+  }
+
+  return { success: true, throttled: false, taskId: task._id, distanceMeters: distance, etaMinutes, insideGeofence, checkedIn };
+}
+
+/**
+ * Task events for a check-in: 'assistantArrived' for the passenger, and an
+ * SLA violation when it was late
+ * @param {Object} result - slaService.recordCheckIn success result
+ * @param {string} source - geofence | manual
+ */
+function publishArrival(result, source) {
+  eventBus.publishTaskEvent('assistantArrived', {
+    task: result.task,
+    checkedInAt: result.task.checkedInAt,
+    source
+  });
+  if (result.incident) {
+    eventBus.publishTaskEvent('slaViolation', {
+      task: result.task,
+      type: 'late_arrival',
+      minutesLate: result.classification.minutesLate
+    });
+  }
+}
+
+/**
+ * Latest ETA of a booking's active task (passenger polling fallback)
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>} { taskId, station, distanceMeters, etaMinutes, insideGeofence, checkedInAt, recordedAt }
+ */
+async function getBookingEta(bookingId) {
+  const task = await ServiceTask.findOne({ bookingId, status: { $in: ACTIVE_TASK_STATUSES } })
+    .sort({ taskSequence: 1 })
+    .select('station checkedInAt')
+    .lean();
+  if (!task) return null;
+
+  const latest = await AssistantLocation.findOne({ taskId: task._id }).sort({ recordedAt: -1 }).lean();
+  return {
+    taskId: task._id,
+    station: task.station,
+    distanceMeters: latest ? latest.distanceMeters : null,
+    etaMinutes: latest ? latest.etaMinutes : null,
+    insideGeofence: latest ? latest.insideGeofence : false,
+    checkedInAt: task.checkedInAt || null,
+    recordedAt: latest ? latest.recordedAt : null
+  };
+}
+
+// ==================== PURGE ====================
+
+/**
+ * Delete the location history of tasks that are no longer assigned or in progress
+ * @returns {Promise<number>} Points deleted
+ */
+async function purgeInactiveLocations() {
+  const taskIds = await AssistantLocation.distinct('taskId');
+  if (taskIds.length === 0) return 0;
+
+  const active = await ServiceTask.find({ _id: { $in: taskIds }, status: { $in: ACTIVE_TASK_STATUSES } }).select('_id').lean();
+  const activeIds = new Set(active.map(t => String(t._id)));
+  const closed = taskIds.filter(id => !activeIds.has(String(id)));
+  if (closed.length === 0) return 0;
+
+  const result = await AssistantLocation.deleteMany({ taskId: { $in: closed } });
+  if (result.deletedCount > 0) console.log(`[Location] Purged ${result.deletedCount} point(s) of ${closed.length} closed task(s)`);
+  return result.deletedCount;
+}
+
+/**
+ * bookingStatusChanged listener - a finished booking's location history goes at once
+ */
+async function handleBookingStatusChange(event) {
+  if (!TERMINAL_STATUSES.includes(event.status)) return;
+  try {
+    const result = await AssistantLocation.deleteMany({ bookingId: event.bookingId });
+    if (result.deletedCount > 0) console.log(`[Location] Purged ${result.deletedCount} point(s) of ${event.status} booking ${event.bookingId}`);
+  } catch (err) {
+    console.error(`[Location] Purge failed for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+module.exports = {
+  distanceMeters,
+  validateFix,
+  recordLocation,
+  publishArrival,
+  getBookingEta,
+  purgeInactiveLocations,
+  handleBookingStatusChange
+};
@@ -6,6 +6,17 @@
 
 const Assistant = require('../models/Assistant');
 const Booking = require('../models/Booking');
+const { transitionBooking, canTransition } = require('./bookingStateService');
+const { stationNameQuery } = require('./stationService');
+const { certifiedSkillsQuery, getAccessibilityRequirements } = require('./accessibilityService');
+const { getBookingWindow, filterAssistantsOnShift } = require('./shiftService');
+const { getOpenOffers, getOfferHistory, pickCandidates, createOfferRound, acceptanceScore } = require('./offerService');
+const offerConfig = require('../config/scheduling.config').offers;
+
+function hasHeavyLuggage(booking) {
+  return booking.luggageSize === 'large'
+    || (Array.isArray(booking.luggageItems) && booking.luggageItems.some(item => item.type === 'large'));
+}
 
 /**
  * Calculate match score for an assistant against a booking
@@ -42,6 +53,19 @@ function calculateMatchScore(assistant, booking) {
   const completedBookings = assistant.totalBookingsCompleted || 0;
   score += Math.min(completedBookings * 2, 20);
   
+  // Certified skills the booking benefits from without requiring them - up to 25 points
+  // (required skills are filtered on in findBestAssistant)
+  const skills = assistant.certifiedSkills || [];
+  if (skills.includes('first_aid') && getAccessibilityRequirements(booking.services).services.length > 0) {
+    score += 15;
+  }
+  if (skills.includes('heavy_luggage') && hasHeavyLuggage(booking)) {
+    score += 10;
+  }
+  
+  // Offer acceptance rate - up to +/- 20 points once there are enough responses
+  score += acceptanceScore(assistant.offerStats);
+  
   // Online recency bonus - up to 10 points
   if (assistant.lastOnlineAt) {
     const minutesAgo = (Date.now() - new Date(assistant.lastOnlineAt).getTime()) / (1000 * 60);
@@ -55,42 +79,41 @@ function calculateMatchScore(assistant, booking) {
 }
 
 /**
- * Find the best matching assistant for a booking
- * @param {Object} booking - The booking document
- * @returns {Object} { assistant, score } or null if no match
- */
-/**
- * Find the best matching assistant for a booking or a specific station
+ * Rank the eligible assistants for a booking or a specific station
  * @param {Object} booking - The booking document
- * @param {String} [stationOverride] - Optional station code to use instead of booking.station
- * @returns {Object} { assistant, score } or null if no match
+ * @param {String} [stationOverride] - Optional station code or name to use instead of booking.station
+ * @returns {Array} [{ assistant, score }] best first, empty if no match
  */
-async function findBestAssistant(booking, stationOverride) {
+async function rankAssistants(booking, stationOverride) {
   try {
-    // Special handling for Warangal (stationCode 'WL')
-    if ((booking.stationCode === 'WL' || booking.station === 'Warangal')) {
-      // Find any eligible, approved, unassigned Warangal assistant
-      const warangalAssistant = await Assistant.findOne({
-        $or: [
-          { station: 'Warangal' },
-          { stationCode: 'WL' }
-        ],
-        applicationStatus: 'Approved',
-        isEligibleForBookings: true,
-        currentBookingId: null
-      }).lean();
-      if (warangalAssistant) {
-        console.log(`[Matching] Warangal: assigning eligible assistant ${warangalAssistant.name} (${warangalAssistant._id})`);
-        return { assistant: warangalAssistant, score: 100 };
+    // Assistants register a free-text station; match every name the station
+    // is known by in station master data (code, name, aliases)
+    const station = stationOverride
+      ? { name: stationOverride }
+      : { code: booking.stationCode, name: booking.station };
+    const stationFilter = await stationNameQuery(station);
+    // Accessibility services need an assistant certified for their skill
+    const skillFilter = certifiedSkillsQuery(booking.services);
+    // Only assistants on a shift covering the service (and with room in it);
+    // without a known service time there is nothing to check against
+    const window = await getBookingWindow(booking, stationOverride);
+    const keepOnShift = async (assistants) => {
+      if (!window || assistants.length === 0) return assistants;
+      const onShift = await filterAssistantsOnShift(assistants, {
+        station: stationOverride ? { name: stationOverride } : station,
+        ...window,
+        excludeTaskId: window.taskId
+      });
+      if (onShift.excluded.length > 0) {
+        console.log(`[Matching] ${onShift.excluded.length} assistant(s) off shift: ${onShift.excluded.map(e => e.reason).join(', ')}`);
       }
-    }
+      return onShift.assistants;
+    };
 
     // Step 1: Find all eligible assistants for this station
     let eligibleAssistants = await Assistant.find({
-      $or: [
-        { station: stationOverride || booking.station },
-        { stationCode: stationOverride || booking.stationCode }
-      ],
+      station: stationFilter,
+      ...skillFilter,
       applicationStatus: 'Approved',
       isEligibleForBookings: true,
       isOnline: true,
@@ -106,22 +129,21 @@ async function findBestAssistant(booking, stationOverride) {
           a.languages.some(lang => lang && lang.trim().toLowerCase() === reqLang)
         )
       );
-      // If no eligible assistants after strict language filter, return null (no match)
+      // If no eligible assistants after strict language filter, no match
       if (eligibleAssistants.length === 0) {
         console.log(`[Matching] No assistants found with all required languages: [${requiredLangs.join(', ')}]`);
-        return null;
+        return [];
       }
     }
+    eligibleAssistants = await keepOnShift(eligibleAssistants);
 
     console.log(`[Matching] Found ${eligibleAssistants.length} eligible assistants for station: ${stationOverride || booking.station}`);
 
     if (eligibleAssistants.length === 0) {
       // Fallback: Try offline but approved assistants
       let offlineAssistants = await Assistant.find({
-        $or: [
-          { station: booking.station },
-          { stationCode: booking.stationCode }
-        ],
+        station: stationFilter,
+        ...skillFilter,
         applicationStatus: 'Approved',
         isEligibleForBookings: true,
         currentBookingId: null
@@ -135,12 +157,13 @@ async function findBestAssistant(booking, stationOverride) {
             a.languages.some(lang => lang && lang.trim().toLowerCase() === reqLang)
           )
         );
-        // If no offline assistants match, return null (no match)
+        // If no offline assistants match, no match
         if (offlineAssistants.length === 0) {
           console.log(`[Matching] No offline assistants found with all required languages: [${requiredLangs.join(', ')}]`);
-          return null;
+          return [];
         }
       }
+      offlineAssistants = await keepOnShift(offlineAssistants);
 
       if (offlineAssistants.length > 0) {
         console.log(`[Matching] Found ${offlineAssistants.length} offline assistants as fallback`);
@@ -150,10 +173,10 @@ async function findBestAssistant(booking, stationOverride) {
           score: calculateMatchScore(a, booking) - 50 // Penalty for being offline
         }));
         scored.sort((a, b) => b.score - a.score);
-        return scored[0];
+        return scored;
       }
 
-      return null;
+      return [];
     }
 
     // Step 2: Score all eligible assistants
@@ -169,15 +192,25 @@ async function findBestAssistant(booking, stationOverride) {
       scoredAssistants.slice(0, 3).map(s => ({ name: s.assistant.name, score: s.score }))
     );
 
-    // Return the best match
-    return scoredAssistants[0];
+    return scoredAssistants;
 
   } catch (err) {
-    console.error('[Matching] Error finding best assistant:', err);
-    return null;
+    console.error('[Matching] Error ranking assistants:', err);
+    return [];
   }
 }
 
+/**
+ * Find the best matching assistant for a booking or a specific station
+ * @param {Object} booking - The booking document
+ * @param {String} [stationOverride] - Optional station code or name to use instead of booking.station
+ * @returns {Object} { assistant, score } or null if no match
+ */
+async function findBestAssistant(booking, stationOverride) {
+  const ranked = await rankAssistants(booking, stationOverride);
+  return ranked[0] || null;
+}
+
 /**
  * Main matching function - assigns an assistant to a booking
  * @param {string} bookingId - The booking ID to match
@@ -201,6 +234,11 @@ async function matchAssistant(bookingId) {
       };
     }
     
+    // Offer to the top candidates instead of assigning (see offerService)
+    if (offerConfig.enabled) {
+      return offerBooking(booking);
+    }
+    
     // Increment match attempts
     booking.matchAttempts = (booking.matchAttempts || 0) + 1;
     
@@ -208,29 +246,26 @@ async function matchAssistant(bookingId) {
     const match = await findBestAssistant(booking);
     
     if (!match) {
-      // No assistant found
-      booking.status = 'Searching';
-      await booking.save();
-      
-      console.log(`[Matching] No assistant found for booking ${bookingId}, status set to Searching`);
-      
-      return { 
-        success: false, 
-        message: 'No available assistant found. Booking is in searching mode.',
-        booking,
-        assistant: null
-      };
+      return keepSearching(booking);
     }
     
     // Assign the assistant
     const { assistant, score } = match;
     
     // Update booking
-    booking.assistantId = assistant._id;
-    booking.status = 'Assigned';
-    booking.assignedAt = new Date();
-    booking.matchScore = score;
-    await booking.save();
+    const result = await transitionBooking(booking._id, 'Assigned', {
+      set: {
+        assistantId: assistant._id,
+        assignedAt: new Date(),
+        matchScore: score,
+        matchAttempts: booking.matchAttempts
+      },
+      reason: `Auto-matched (score ${score})`
+    });
+    if (!result.success) {
+      // Accepted/cancelled while we were matching - leave it alone
+      return { success: false, message: result.message, booking, assistant: null };
+    }
     
     // Update assistant - mark as busy
     await Assistant.findByIdAndUpdate(assistant._id, {
@@ -242,7 +277,7 @@ async function matchAssistant(bookingId) {
     return {
       success: true,
       message: `Matched with ${assistant.name}`,
-      booking,
+      booking: result.booking,
       assistant,
       score
     };
@@ -253,6 +288,80 @@ async function matchAssistant(bookingId) {
   }
 }
 
+/**
+ * No assistant found - the booking waits in Searching for the next retry
+ * @param {Object} booking - Booking document with matchAttempts already incremented
+ */
+async function keepSearching(booking) {
+  if (booking.status === 'Searching') {
+    await booking.save();
+  } else {
+    const result = await transitionBooking(booking._id, 'Searching', {
+      set: { matchAttempts: booking.matchAttempts },
+      reason: 'No assistant available'
+    });
+    if (!result.success) return { success: false, message: result.message, booking, assistant: null };
+  }
+  
+  console.log(`[Matching] No assistant found for booking ${booking._id}, status set to Searching`);
+  
+  return { 
+    success: false, 
+    message: 'No available assistant found. Booking is in searching mode.',
+    booking,
+    assistant: null
+  };
+}
+
+/**
+ * Offer a booking to its top-ranked assistants. The booking waits in
+ * Searching until one of them accepts; declines and expired offers cascade
+ * to the next candidate, and retries start a new round once a round is used up
+ * @param {Object} booking - Booking document (Pending or Searching)
+ */
+async function offerBooking(booking) {
+  const open = await getOpenOffers(booking._id);
+  if (open.length > 0) {
+    return {
+      success: false,
+      offered: true,
+      message: 'Waiting for offered assistants to respond',
+      booking,
+      assistant: null,
+      offers: open
+    };
+  }
+  
+  booking.matchAttempts = (booking.matchAttempts || 0) + 1;
+  
+  const candidates = pickCandidates(await rankAssistants(booking), await getOfferHistory(booking._id));
+  if (candidates.length === 0) {
+    return keepSearching(booking);
+  }
+  
+  if (booking.status === 'Searching') {
+    await booking.save();
+  } else {
+    const result = await transitionBooking(booking._id, 'Searching', {
+      set: { matchAttempts: booking.matchAttempts },
+      reason: `Offered to ${candidates.length} assistant(s)`
+    });
+    if (!result.success) return { success: false, message: result.message, booking, assistant: null };
+    booking = result.booking;
+  }
+  
+  const offers = await createOfferRound(booking, candidates);
+  
+  return {
+    success: false,
+    offered: true,
+    message: `Offered to ${offers.length} assistant(s). Waiting for one to accept.`,
+    booking,
+    assistant: null,
+    offers
+  };
+}
+
 /**
  * Retry matching for all bookings in "Searching" status
  * Should be called periodically (e.g., every 30 seconds)
@@ -311,25 +420,34 @@ async function reassignBooking(bookingId, newAssistantId) {
       return { success: false, message: 'Assistant is not eligible for bookings' };
     }
     
+    if (!canTransition(booking.status, 'Assigned')) {
+      return { success: false, message: `Cannot reassign a ${booking.status} booking` };
+    }
+    
+    // Assign new assistant
+    const previousAssistantId = booking.assistantId;
+    const result = await transitionBooking(booking._id, 'Assigned', {
+      set: { assistantId: newAssistant._id, assignedAt: new Date() },
+      actor: { role: 'admin' },
+      reason: 'Reassigned'
+    });
+    if (!result.success) {
+      return { success: false, message: result.message };
+    }
+    
     // Release old assistant
-    if (booking.assistantId) {
-      await Assistant.findByIdAndUpdate(booking.assistantId, {
+    if (previousAssistantId) {
+      await Assistant.findByIdAndUpdate(previousAssistantId, {
         currentBookingId: null
       });
     }
     
-    // Assign new assistant
-    booking.assistantId = newAssistant._id;
-    booking.status = 'Assigned';
-    booking.assignedAt = new Date();
-    await booking.save();
-    
     // Mark new assistant as busy
     await Assistant.findByIdAndUpdate(newAssistant._id, {
       currentBookingId: booking._id
     });
     
-    return { success: true, booking, assistant: newAssistant };
+    return { success: true, booking: result.booking, assistant: newAssistant };
     
   } catch (err) {
     console.error('[Matching] Reassign error:', err);
@@ -339,6 +457,7 @@ async function reassignBooking(bookingId, newAssistantId) {
 
 module.exports = {
   matchAssistant,
+  rankAssistants,
   findBestAssistant,
   calculateMatchScore,
   retrySearchingBookings,
@@ -0,0 +1,642 @@
+/**
+ * Notification Service
+ *
+ * Sends OTPs, password reset codes, booking lifecycle messages and assistant
+ * task reminders over SMS, email and web push:
+ * - each event has localized templates (services/notifications/templates.js)
+ *   and a default set of channels, narrowed by the recipient's
+ *   User.notificationPreferences; critical events ignore opt-outs
+ * - every message is one Notification per channel - the queue and the
+ *   delivery log - sent at once through the channel's adapter
+ *   (services/notifications) and retried with backoff until
+ *   retry.maxAttempts, then dead-lettered for an admin to requeue
+ * - a dedupeKey makes a send idempotent (reminder and escalation jobs can rerun)
+ */
+
+const Notification = require('../models/Notification');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const notificationsConfig = require('../config/notifications.config');
+const stationService = require('./stationService');
+const { formatClock } = require('./localTime');
+const { buildChannels } = require('./notifications');
+const { TEMPLATES, STATUS_EVENTS, renderTemplate } = require('./notifications/templates');
+
+const { retry, defaultLocale, locales } = notificationsConfig;
+
+const MINUTE_MS = 60 * 1000;
+// A claimed message is not picked up by another sweep for this long
+const LEASE_MS = Math.max(notificationsConfig.sendTimeoutMs * 2, MINUTE_MS);
+const SWEEP_BATCH = 100;
+
+// Booking.language / preferredLanguages hold names, preferences hold codes
+const LANGUAGE_CODES = { english: 'en', hindi: 'hi' };
+
+const adapters = buildChannels(notificationsConfig.channels, { timeoutMs: notificationsConfig.sendTimeoutMs });
+
+// ==================== HELPERS ====================
+
+function bookingRef(booking) {
+  return String(booking._id).slice(-6).toUpperCase();
+}
+
+/**
+ * HH:MM in station local time
+ */
+function formatLocalTime(date) {
+  return date ? formatClock(date) : '';
+}
+
+/**
+ * First supported locale among the candidates (codes or language names)
+ */
+function resolveLocale(...candidates) {
+  for (const candidate of candidates.flat()) {
+    if (!candidate) continue;
+    const value = String(candidate).trim().toLowerCase();
+    const code = LANGUAGE_CODES[value] || value;
+    if (locales.includes(code)) return code;
+  }
+  return defaultLocale;
+}
+
+function maskAddress(channel, to) {
+  if (channel === 'push') return `${Array.isArray(to) ? to.length : 0} subscription(s)`;
+  const value = String(to || '');
+  if (channel === 'email') {
+    const [local, domain] = value.split('@');
+    return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+  }
+  return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : '****';
+}
+
+function backoffMs(attempt) {
+  const steps = retry.backoffSeconds;
+  return steps[Math.min(attempt - 1, steps.length - 1)] * 1000;
+}
+
+// Variables shared by every booking template
+function bookingVars(booking, assistant) {
+  return {
+    bookingRef: bookingRef(booking),
+    passengerName: booking.passengerName,
+    station: booking.station,
+    trainLabel: booking.trainNumber ? ` (train ${booking.trainNumber}${booking.trainName ? ' ' + booking.trainName : ''})` : '',
+    assistantName: assistant ? assistant.name : 'your assistant'
+  };
+}
+
+// ==================== RECIPIENTS ====================
+
+/**
+ * Addresses, preferences and locale of a recipient
+ * @param {Object} recipient - { role, userId?, assistantId?, phone?, email?, locale? }
+ *   phone / email / locale are fallbacks for recipients without an account
+ * @returns {Promise<Object>} { role, userId, assistantId, addresses: { sms, email, push }, preferences, locale }
+ */
+async function resolveRecipient(recipient = {}) {
+  let user = null;
+  let assistant = null;
+
+  if (recipient.assistantId) {
+    assistant = await Assistant.findById(recipient.assistantId).select('name phone userId languages').lean();
+  }
+  const userId = recipient.userId || (assistant && assistant.userId) || null;
+  if (userId) {
+    user = await User.findById(userId).select('phone email notificationPreferences pushSubscriptions').lean();
+  }
+
+  const preferences = (user && user.notificationPreferences) || {};
+  return {
+    role: user ? recipient.role : (recipient.role === 'passenger' ? 'guest' : recipient.role),
+    userId: user ? user._id : null,
+    assistantId: assistant ? assistant._id : null,
+    addresses: {
+      sms: (user && user.phone) || (assistant && assistant.phone) || recipient.phone || '',
+      email: (user && user.email) || recipient.email || '',
+      push: ((user && user.pushSubscriptions) || []).map(({ endpoint, keys }) => ({ endpoint, keys }))
+    },
+    preferences,
+    locale: resolveLocale(preferences.locale, recipient.locale, assistant && assistant.languages)
+  };
+}
+
+/**
+ * Channels an event goes out on for this recipient
+ */
+function selectChannels(event, resolved) {
+  const template = TEMPLATES[event];
+  if (template.critical) return template.channels;
+
+  const { channels = {}, mutedEvents = [] } = resolved.preferences;
+  if (mutedEvents.includes(event)) return [];
+  return template.channels.filter(channel => channels[channel] !== false);
+}
+
+function hasAddress(channel, to) {
+  return Array.isArray(to) ? to.length > 0 : Boolean(to);
+}
+
+// ==================== SENDING ====================
+
+/**
+ * Send an event to one recipient on each of its channels
+ * @param {string} event - TEMPLATES key
+ * @param {Object} recipient - see resolveRecipient
+ * @param {Object} vars - Template variables
+ * @param {Object} [options]
+ * @param {string} [options.bookingId]
+ * @param {string} [options.taskId]
+ * @param {string} [options.dedupeKey] - Already sent under this key = not sent again
+ * @returns {Promise<Object>} { success, notifications, code, message }
+ */
+async function notify(event, recipient, vars = {}, { bookingId = null, taskId = null, dedupeKey = null } = {}) {
+  if (!TEMPLATES[event]) return { success: false, code: 'INVALID', message: `Unknown notification event "${event}"` };
+
+  const resolved = await resolveRecipient(recipient);
+  const rendered = renderTemplate(event, resolved.locale, vars, defaultLocale);
+  let channels = selectChannels(event, resolved).filter(channel => adapters[channel]);
+
+  if (dedupeKey && channels.length > 0) {
+    const sent = await Notification.find({ dedupeKey: { $in: channels.map(c => `${dedupeKey}:${c}`) } }).select('channel').lean();
+    const sentChannels = new Set(sent.map(n => n.channel));
+    channels = channels.filter(channel => !sentChannels.has(channel));
+  }
+
+  const notifications = [];
+  for (const channel of channels) {
+    const to = resolved.addresses[channel];
+    const adapter = adapters[channel];
+    const deliverable = hasAddress(channel, to) && adapter.isConfigured();
+
+    let notification;
+    try {
+      notification = await Notification.create({
+        event,
+        channel,
+        locale: rendered.locale,
+        recipient: {
+          role: resolved.role,
+          userId: resolved.userId,
+          assistantId: resolved.assistantId,
+          address: hasAddress(channel, to) ? maskAddress(channel, to) : ''
+        },
+        bookingId,
+        taskId,
+        content: deliverable
+          ? { to, subject: rendered.subject, text: rendered.text, data: { event, bookingId, taskId } }
+          : undefined,
+        preview: rendered.preview,
+        status: deliverable ? 'queued' : 'skipped',
+        nextAttemptAt: deliverable ? new Date(Date.now() + LEASE_MS) : null,
+        lastError: deliverable ? '' : (hasAddress(channel, to) ? `${channel} channel not configured` : `No ${channel} address`),
+        dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined
+      });
+    } catch (err) {
+      if (err.code === 11000) continue; // sent concurrently under the same key
+      throw err;
+    }
+
+    if (deliverable) notification = await deliver(notification);
+    notifications.push(notification);
+  }
+
+  return { success: true, notifications };
+}
+
+/**
+ * One delivery attempt of a queued notification
+ * @param {Object} notification - Notification document
+ * @returns {Promise<Object>} The updated notification
+ */
+async function deliver(notification) {
+  const adapter = adapters[notification.channel];
+  const at = new Date();
+  const attempt = { at, adapter: adapter ? adapter.name : 'none', ok: false };
+
+  try {
+    if (!adapter || !adapter.isConfigured()) {
+      const err = new Error(`${notification.channel} channel not configured`);
+      err.retryable = false;
+      throw err;
+    }
+    const result = await adapter.send({
+      to: notification.content.to,
+      subject: notification.content.subject,
+      text: notification.content.text,
+      data: notification.content.data,
+      event: notification.event,
+      notificationId: String(notification._id)
+    });
+
+    attempt.ok = true;
+    attempt.providerMessageId = result && result.providerMessageId ? result.providerMessageId : null;
+    notification.attempts.push(attempt);
+    notification.status = 'sent';
+    notification.sentAt = at;
+    notification.nextAttemptAt = null;
+    notification.lastError = '';
+    notification.content = undefined;
+    await notification.save();
+
+    if (result && Array.isArray(result.gone) && result.gone.length > 0 && notification.recipient.userId) {
+      await removePushSubscriptions(notification.recipient.userId, result.gone);
+    }
+    return notification;
+  } catch (err) {
+    attempt.error = err.message;
+    attempt.retryable = err.retryable !== false;
+    notification.attempts.push(attempt);
+    notification.lastError = err.message;
+
+    if (attempt.retryable && notification.attempts.length < retry.maxAttempts) {
+      notification.nextAttemptAt = new Date(at.getTime() + backoffMs(notification.attempts.length));
+    } else {
+      notification.status = 'dead_letter';
+      notification.deadLetteredAt = at;
+      notification.nextAttemptAt = null;
+      // A stale OTP or reset code is never worth resending - drop it
+      if ((TEMPLATES[notification.event].secrets || []).length > 0) notification.content = undefined;
+      console.warn(`[Notify] ${notification.event} ${notification.channel} ${notification._id} dead-lettered after ${notification.attempts.length} attempt(s): ${err.message}`);
+    }
+    await notification.save();
+    return notification;
+  }
+}
+
+/**
+ * Retry sweep: send every queued notification whose next attempt is due
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { processed, sent, deadLettered }
+ */
+async function processDueNotifications(now = new Date()) {
+  const stats = { processed: 0, sent: 0, deadLettered: 0 };
+
+  for (let i = 0; i < SWEEP_BATCH; i++) {
+    // Claim one at a time so overlapping sweeps never send the same message twice
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(Date.now() + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!notification) break;
+
+    const result = await deliver(notification);
+    stats.processed++;
+    if (result.status === 'sent') stats.sent++;
+    if (result.status === 'dead_letter') stats.deadLettered++;
+  }
+
+  if (stats.processed > 0) {
+    console.log(`[Notify] Retried ${stats.processed} message(s): ${stats.sent} sent, ${stats.deadLettered} dead-lettered`);
+  }
+  return stats;
+}
+
+// ==================== BOOKINGS ====================
+
+function passengerRecipient(booking) {
+  return {
+    role: 'passenger',
+    userId: booking.userId || null,
+    phone: booking.passengerPhone,
+    email: booking.passengerEmail,
+    locale: [booking.language, ...(booking.preferredLanguages || [])]
+  };
+}
+
+async function loadBookingAssistant(booking) {
+  const assistantId = booking.assistantId && (booking.assistantId._id || booking.assistantId);
+  if (!assistantId) return null;
+  if (booking.assistantId.name) return booking.assistantId;
+  return Assistant.findById(assistantId).select('name').lean();
+}
+
+const OTP_EVENTS = {
+  booking: 'booking_otp',
+  start: 'start_otp',
+  completion: 'completion_otp'
+};
+
+/**
+ * Deliver a booking OTP to the passenger
+ * @param {Object} booking
+ * @param {string} kind - booking | start | completion
+ * @param {string} otp
+ * @returns {Promise<Object>} see notify
+ */
+async function sendBookingOtp(booking, kind, otp) {
+  const event = OTP_EVENTS[kind];
+  if (!event) return { success: false, code: 'INVALID', message: `Unknown OTP kind "${kind}"` };
+
+  const assistant = await loadBookingAssistant(booking);
+  return notify(event, passengerRecipient(booking), { ...bookingVars(booking, assistant), otp }, { bookingId: booking._id });
+}
+
+/**
+ * Deliver a password reset code
+ * @param {Object} user - User document
+ * @param {string} token
+ * @param {number} expiresInMinutes
+ */
+async function sendPasswordReset(user, token, expiresInMinutes) {
+  return notify('password_reset', { role: user.role, userId: user._id }, { token, minutes: expiresInMinutes });
+}
+
+/**
+ * bookingStatusChanged listener - lifecycle messages to the passenger, and to
+ * the assistant when a booking is assigned to them or cancelled under them
+ */
+async function handleBookingStatusChange(event) {
+  // Same status again = an OTP resend, which sends its own message
+  if (event.previousStatus === event.status) return;
+
+  const passengerEvent = event.previousStatus === null ? 'booking_created' : STATUS_EVENTS[event.status];
+  const assistantEvent = event.status === 'Assigned' ? 'task_assigned'
+    : ['Cancelled', 'Rejected'].includes(event.status) ? 'task_cancelled'
+      : null;
+  if (!passengerEvent && !assistantEvent) return;
+
+  try {
+    const booking = await Booking.findById(event.bookingId).lean();
+    if (!booking) return;
+    const assistant = await loadBookingAssistant(booking);
+    const vars = { ...bookingVars(booking, assistant), reasonLabel: event.reason ? ` ${event.reason}.` : '' };
+
+    if (passengerEvent) {
+      await notify(passengerEvent, passengerRecipient(booking), vars, { bookingId: booking._id });
+    }
+    if (assistantEvent) {
+      const assistantIds = assistantEvent === 'task_assigned'
+        ? (assistant ? [String(assistant._id)] : [])
+        : event.assistantIds;
+      for (const assistantId of assistantIds) {
+        await notify(assistantEvent, { role: 'assistant', assistantId }, vars, { bookingId: booking._id });
+      }
+    }
+  } catch (err) {
+    console.error(`[Notify] Lifecycle message failed for booking ${event.bookingId} (${event.status}):`, err.message);
+  }
+}
+
+// ==================== TASKS ====================
+
+// Variables shared by the task reminder / escalation templates
+function taskVars(task, now) {
+  const booking = task.bookingId && task.bookingId.passengerName ? task.bookingId : {};
+  const platform = task.platform && (task.platform.current || task.platform.expected);
+  return {
+    station: task.station,
+    platformLabel: platform ? `, platform ${platform}` : '',
+    arrivalTime: formatLocalTime(task.assistantArrivalTime),
+    minutes: Math.max(0, Math.ceil((new Date(task.assistantArrivalTime) - now) / MINUTE_MS)),
+    passengerName: booking.passengerName || 'your passenger',
+    bookingRef: booking._id ? bookingRef(booking) : '',
+    trainLabel: task.trainNumber ? ` (train ${task.trainNumber})` : ''
+  };
+}
+
+function taskBookingId(task) {
+  return task.bookingId ? (task.bookingId._id || task.bookingId) : null;
+}
+
+/**
+ * Remind the assigned assistant of a task (jobs queued by taskReminderService).
+ * Keyed on assistant and arrival time, so a reassigned or rescheduled task
+ * is reminded again but a rerun job never sends twice
+ * @param {Object} task - ServiceTask with bookingId populated
+ * @param {string} kind - first | urgent
+ * @param {Date} [now]
+ * @returns {Promise<Object>} see notify
+ */
+async function sendTaskReminder(task, kind, now = new Date()) {
+  const event = kind === 'urgent' ? 'task_reminder_urgent' : 'task_reminder';
+  return notify(event, { role: 'assistant', assistantId: task.assignedAssistant }, taskVars(task, now), {
+    bookingId: taskBookingId(task),
+    taskId: task._id,
+    dedupeKey: `${event}:${task._id}:${task.assignedAssistant}:${new Date(task.assistantArrivalTime).getTime()}`
+  });
+}
+
+/**
+ * Alert the admins of a task's station (User.adminStations, by station code
+ * or name) that nobody has confirmed it yet
+ * @param {Object} task - ServiceTask with bookingId populated
+ * @param {string} reason
+ * @param {Date} [now]
+ * @returns {Promise<number>} Admins notified
+ */
+async function notifyStationAdmins(task, reason, now = new Date()) {
+  const stationName = String(task.station || '').trim().toUpperCase();
+  if (!stationName) return 0;
+
+  // ServiceTask.station is a name; admins may list the station by code,
+  // name or alias (Station.nameKeys holds all of them)
+  const station = await stationService.findStation({ name: stationName });
+  const stationKeys = station ? station.nameKeys : [stationName];
+
+  const admins = await User.find({
+    role: 'admin',
+    adminStations: { $in: stationKeys }
+  }).select('_id').lean();
+
+  const vars = { ...taskVars(task, now), reason };
+  for (const admin of admins) {
+    await notify('task_escalation', { role: 'admin', userId: admin._id }, vars, {
+      bookingId: taskBookingId(task),
+      taskId: task._id,
+      dedupeKey: `task_escalation:${task._id}:${admin._id}:${new Date(task.assistantArrivalTime).getTime()}`
+    });
+  }
+  return admins.length;
+}
+
+// ==================== PREFERENCES ====================
+
+function toPreferencesView(user) {
+  const preferences = user.notificationPreferences || {};
+  const channels = preferences.channels || {};
+  return {
+    locale: resolveLocale(preferences.locale),
+    channels: { sms: channels.sms !== false, email: channels.email !== false, push: channels.push !== false },
+    mutedEvents: preferences.mutedEvents || [],
+    email: user.email || '',
+    pushSubscriptions: (user.pushSubscriptions || []).length,
+    available: {
+      locales,
+      channels: Object.keys(adapters),
+      events: Object.keys(TEMPLATES).filter(event => !TEMPLATES[event].critical),
+      vapidPublicKey: notificationsConfig.channels.push.options.vapidPublicKey || null
+    }
+  };
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Preferences view, null if the user does not exist
+ */
+async function getPreferences(userId) {
+  const user = await User.findById(userId).select('email notificationPreferences pushSubscriptions').lean();
+  return user ? toPreferencesView(user) : null;
+}
+
+/**
+ * Update a user's notification preferences
+ * @param {string} userId
+ * @param {Object} input - { locale?, channels?: { sms?, email?, push? }, mutedEvents?, email? }
+ * @returns {Promise<Object>} { success, preferences, code, message, errors }
+ */
+async function updatePreferences(userId, input = {}) {
+  const errors = [];
+  const set = {};
+
+  if (input.locale !== undefined) {
+    if (input.locale !== null && !locales.includes(input.locale)) errors.push(`locale must be one of ${locales.join(', ')}`);
+    else set['notificationPreferences.locale'] = input.locale;
+  }
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== 'object') errors.push('channels must be an object');
+    else {
+      for (const [channel, enabled] of Object.entries(input.channels)) {
+        if (!['sms', 'email', 'push'].includes(channel)) errors.push(`Unknown channel "${channel}"`);
+        else if (typeof enabled !== 'boolean') errors.push(`channels.${channel} must be true or false`);
+        else set[`notificationPreferences.channels.${channel}`] = enabled;
+      }
+    }
+  }
+  if (input.mutedEvents !== undefined) {
+    if (!Array.isArray(input.mutedEvents)) errors.push('mutedEvents must be an array');
+    else {
+      const unknown = input.mutedEvents.filter(event => !TEMPLATES[event]);
+      const critical = input.mutedEvents.filter(event => TEMPLATES[event] && TEMPLATES[event].critical);
+      if (unknown.length > 0) errors.push(`Unknown events: ${unknown.join(', ')}`);
+      if (critical.length > 0) errors.push(`Cannot mute ${critical.join(', ')}`);
+      set['notificationPreferences.mutedEvents'] = [...new Set(input.mutedEvents)];
+    }
+  }
+  if (input.email !== undefined) {
+    const email = String(input.email || '').trim().toLowerCase();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('email is not a valid address');
+    else set.email = email;
+  }
+
+  if (errors.length > 0) return { success: false, code: 'INVALID', message: 'Invalid preferences', errors };
+
+  const user = await User.findByIdAndUpdate(userId, { $set: set }, { new: true })
+    .select('email notificationPreferences pushSubscriptions')
+    .lean();
+  if (!user) return { success: false, code: 'NOT_FOUND', message: 'User not found' };
+  return { success: true, preferences: toPreferencesView(user) };
+}
+
+/**
+ * Register a browser push subscription (PushSubscription.toJSON())
+ * @param {string} userId
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string} [userAgent]
+ */
+async function addPushSubscription(userId, subscription = {}, userAgent = '') {
+  const { endpoint, keys = {} } = subscription;
+  if (!endpoint || !/^https:\/\//.test(endpoint) || !keys.p256dh || !keys.auth) {
+    return { success: false, code: 'INVALID', message: 'A push subscription needs an https endpoint and p256dh / auth keys' };
+  }
+
+  // Re-subscribing the same browser replaces its keys
+  await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint } } });
+  const result = await User.updateOne({ _id: userId }, {
+    $push: { pushSubscriptions: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: String(userAgent).slice(0, 200), createdAt: new Date() } }
+  });
+  if (result.matchedCount === 0) return { success: false, code: 'NOT_FOUND', message: 'User not found' };
+  return { success: true };
+}
+
+async function removePushSubscriptions(userId, endpoints) {
+  await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint: { $in: endpoints } } } });
+}
+
+// ==================== DELIVERY LOG ====================
+
+/**
+ * Delivery log, newest first (content is never returned - only the masked preview)
+ * @param {Object} filters - { status, channel, event, bookingId, userId, page, limit }
+ * @returns {Promise<Object>} { notifications, total, page, limit }
+ */
+async function getDeliveryLog({ status, channel, event, bookingId, userId, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (channel) query.channel = channel;
+  if (event) query.event = event;
+  if (bookingId) query.bookingId = bookingId;
+  if (userId) query['recipient.userId'] = userId;
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .select('-content')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Notification.countDocuments(query)
+  ]);
+
+  return { notifications, total, page: pageNumber, limit: pageSize };
+}
+
+/**
+ * Requeue a dead-lettered notification for an immediate attempt
+ * @param {string} notificationId
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, notification, code, message }
+ */
+async function requeueNotification(notificationId, actor = {}) {
+  const notification = await Notification.findById(notificationId);
+  if (!notification) return { success: false, code: 'NOT_FOUND', message: 'Notification not found' };
+  if (notification.status !== 'dead_letter') {
+    return { success: false, code: 'CONFLICT', message: `Only dead-lettered notifications can be retried (status: ${notification.status})` };
+  }
+  if (!notification.content || !notification.content.text) {
+    return { success: false, code: 'CONFLICT', message: 'Message content was discarded (it carried a one-time code) - trigger a new one instead' };
+  }
+
+  notification.status = 'queued';
+  notification.deadLetteredAt = null;
+  notification.nextAttemptAt = new Date(Date.now() + LEASE_MS);
+  await notification.save();
+
+  await AuditLog.create({
+    action: 'notification_requeued',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'Notification',
+    targetId: String(notification._id),
+    meta: { event: notification.event, channel: notification.channel, attempts: notification.attempts.length }
+  });
+
+  // A fresh round of attempts
+  notification.attempts = [];
+  const delivered = await deliver(notification);
+  const { content, ...view } = delivered.toObject();
+  return { success: true, notification: view };
+}
+
+module.exports = {
+  notify,
+  deliver,
+  processDueNotifications,
+  sendBookingOtp,
+  sendPasswordReset,
+  handleBookingStatusChange,
+  sendTaskReminder,
+  notifyStationAdmins,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscriptions,
+  getDeliveryLog,
+  requeueNotification
+};
@@ -0,0 +1,24 @@
+/**
+ * Console Sink
+ *
+ * Local stand-in for any channel: logs each message instead of sending it.
+ */
+
+class ConsoleSink {
+  constructor({ channel } = {}) {
+    this.name = 'console';
+    this.channel = channel;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const to = Array.isArray(message.to) ? `${message.to.length} subscription(s)` : message.to;
+    console.log(`[Notify:${this.channel}] to=${to} event=${message.event}${message.subject ? ` subject="${message.subject}"` : ''}\n${message.text}`);
+    return { providerMessageId: null };
+  }
+}
+
+module.exports = ConsoleSink;
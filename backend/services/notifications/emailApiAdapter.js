@@ -0,0 +1,27 @@
+/**
+ * Email API Adapter
+ *
+ * Sends plain-text email through a transactional email provider's HTTP API
+ * (POST { from, to, subject, text, reference }).
+ */
+
+const HttpChannelAdapter = require('./httpChannelAdapter');
+
+class EmailApiAdapter extends HttpChannelAdapter {
+  constructor({ from, ...options } = {}) {
+    super({ name: 'email-api', ...options });
+    this.from = from;
+  }
+
+  buildPayload(message) {
+    return {
+      from: this.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      reference: message.notificationId
+    };
+  }
+}
+
+module.exports = EmailApiAdapter;
@@ -0,0 +1,36 @@
+/**
+ * File Sink
+ *
+ * Local stand-in for any channel: appends each message as a JSON line to
+ * `<dir>/<channel>.jsonl`, so OTPs and reminders can be read during
+ * development without provider credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.channel - sms | email | push
+   * @param {string} options.dir - Output directory (relative paths resolve from repo root)
+   */
+  constructor({ channel, dir } = {}) {
+    this.name = 'file';
+    this.channel = channel;
+    this.dir = dir ? path.resolve(__dirname, '..', '..', '..', dir) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const line = JSON.stringify({ at: new Date().toISOString(), channel: this.channel, ...message });
+    await fs.promises.appendFile(path.join(this.dir, `${this.channel}.jsonl`), line + '\n');
+    return { providerMessageId: null };
+  }
+}
+
+module.exports = FileSink;
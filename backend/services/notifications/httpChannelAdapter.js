@@ -0,0 +1,88 @@
+/**
+ * HTTP Channel Adapter
+ *
+ * Base for channels delivered through a provider's HTTP API: POSTs JSON to
+ * `url` with a bearer key. Subclasses shape the request (buildPayload) for
+ * their provider - SMS gateway, email API, web push relay.
+ *
+ * Failures are thrown with `retryable`: network errors, timeouts, 408, 429
+ * and 5xx are retried; other 4xx (bad number, unknown address) are not.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class HttpChannelAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Adapter name for the delivery log
+   * @param {string} options.url - Provider endpoint; unset = channel unavailable
+   * @param {string} [options.apiKey] - Sent as a bearer token
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ name = 'http', url, apiKey, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.name = name;
+    this.url = url || null;
+    this.apiKey = apiKey || null;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * Provider request body for a message (override)
+   * @param {Object} message - { to, subject, text, data, event, notificationId }
+   * @returns {Object}
+   */
+  buildPayload(message) {
+    return { to: message.to, text: message.text };
+  }
+
+  /**
+   * @param {Object} message
+   * @returns {Promise<Object>} { providerMessageId }
+   */
+  async send(message) {
+    const body = await this.postJson(this.buildPayload(message));
+    return { providerMessageId: body && (body.id || body.messageId) ? String(body.id || body.messageId) : null, response: body };
+  }
+
+  postJson(payload) {
+    const data = JSON.stringify(payload);
+    const client = this.url.startsWith('https:') ? https : http;
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, { method: 'POST', headers, timeout: this.timeoutMs }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const err = new Error(`${this.name} responded ${res.statusCode}`);
+            err.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+            return reject(err);
+          }
+          try {
+            resolve(raw ? JSON.parse(raw) : null);
+          } catch (err) {
+            resolve(null); // accepted, just not JSON
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`${this.name} timed out after ${this.timeoutMs}ms`)));
+      req.on('error', (err) => {
+        err.retryable = true;
+        reject(err);
+      });
+      req.end(data);
+    });
+  }
+}
+
+module.exports = HttpChannelAdapter;
@@ -0,0 +1,66 @@
+/**
+ * Notification Channel Adapters
+ *
+ * Adapter interface (duck-typed, like the train status and PNR providers):
+ * - name: string - recorded on every delivery attempt
+ * - isConfigured(): boolean - false = the channel is unavailable (nothing is sent)
+ * - send(message): Promise<Object> - { providerMessageId, gone? }; throws on
+ *   failure, with err.retryable === false for permanent failures
+ *
+ * message: { to, subject, text, data, event, notificationId } - `to` is a
+ * phone number (sms), an email address (email) or push subscriptions (push).
+ *
+ * One adapter per channel, built from `notifications.config.js` channels.
+ */
+
+const HttpChannelAdapter = require('./httpChannelAdapter');
+const SmsGatewayAdapter = require('./smsGatewayAdapter');
+const EmailApiAdapter = require('./emailApiAdapter');
+const WebPushAdapter = require('./webPushAdapter');
+const FileSink = require('./fileSink');
+const ConsoleSink = require('./consoleSink');
+
+// 'http' is the provider API of the channel
+const HTTP_ADAPTERS = {
+  sms: SmsGatewayAdapter,
+  email: EmailApiAdapter,
+  push: WebPushAdapter
+};
+
+const ADAPTER_TYPES = {
+  http: (channel) => HTTP_ADAPTERS[channel],
+  file: () => FileSink,
+  console: () => ConsoleSink
+};
+
+/**
+ * Build the adapter of each enabled channel
+ * @param {Object} channels - { sms: { enabled, adapter, options }, ... }
+ * @param {Object} [defaults] - Options given to every adapter (e.g. timeoutMs)
+ * @returns {Object} { sms: adapter, email: adapter, push: adapter } - disabled channels omitted
+ */
+function buildChannels(channels = {}, defaults = {}) {
+  const adapters = {};
+  for (const [channel, config] of Object.entries(channels)) {
+    if (!config || !config.enabled) continue;
+    const resolve = ADAPTER_TYPES[config.adapter];
+    const Adapter = resolve && resolve(channel);
+    if (!Adapter) {
+      console.warn(`[Notify] Unknown adapter "${config.adapter}" for channel ${channel}`);
+      continue;
+    }
+    adapters[channel] = new Adapter({ ...defaults, ...(config.options || {}), channel });
+  }
+  return adapters;
+}
+
+module.exports = {
+  ADAPTER_TYPES,
+  buildChannels,
+  HttpChannelAdapter,
+  SmsGatewayAdapter,
+  EmailApiAdapter,
+  WebPushAdapter,
+  FileSink,
+  ConsoleSink
+};
@@ -0,0 +1,26 @@
+/**
+ * SMS Gateway Adapter
+ *
+ * Sends text messages through an SMS gateway's HTTP API
+ * (POST { sender, to, message, reference }).
+ */
+
+const HttpChannelAdapter = require('./httpChannelAdapter');
+
+class SmsGatewayAdapter extends HttpChannelAdapter {
+  constructor({ senderId, ...options } = {}) {
+    super({ name: 'sms-gateway', ...options });
+    this.senderId = senderId;
+  }
+
+  buildPayload(message) {
+    return {
+      sender: this.senderId,
+      to: message.to,
+      message: message.text,
+      reference: message.notificationId
+    };
+  }
+}
+
+module.exports = SmsGatewayAdapter;
@@ -0,0 +1,320 @@
+/**
+ * Notification Templates
+ *
+ * One entry per event:
+ * - channels: channels the event is sent on (narrowed by user preferences)
+ * - audience: who receives it - passenger | assistant | admin | user
+ * - critical: true = sent even when the recipient muted the event or its channels
+ * - secrets: variables masked in the delivery log preview
+ * - locales: { <locale>: { subject, text } } - `{{name}}` is replaced by vars.name;
+ *   subject is the email subject and push title, SMS only carries text
+ */
+
+const TEMPLATES = {
+  // ==================== PASSENGER ====================
+  booking_created: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} received',
+        text: 'Hi {{passengerName}}, your RailMitra assistance booking {{bookingRef}} at {{station}}{{trainLabel}} is confirmed. We will tell you as soon as an assistant is assigned.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} प्राप्त हुई',
+        text: 'नमस्ते {{passengerName}}, {{station}}{{trainLabel}} पर आपकी RailMitra सहायता बुकिंग {{bookingRef}} पक्की हो गई है। सहायक तय होते ही हम आपको बताएंगे।'
+      }
+    }
+  },
+  booking_otp: {
+    channels: ['sms', 'push'],
+    audience: 'passenger',
+    critical: true,
+    secrets: ['otp'],
+    locales: {
+      en: {
+        subject: 'Your meeting OTP',
+        text: 'RailMitra booking {{bookingRef}}: share OTP {{otp}} with your assistant when you meet at {{station}}. Do not share it with anyone else.'
+      },
+      hi: {
+        subject: 'आपका मिलन OTP',
+        text: 'RailMitra बुकिंग {{bookingRef}}: {{station}} पर मिलने पर अपने सहायक को OTP {{otp}} बताएं। इसे किसी और को न बताएं।'
+      }
+    }
+  },
+  start_otp: {
+    channels: ['sms', 'push'],
+    audience: 'passenger',
+    critical: true,
+    secrets: ['otp'],
+    locales: {
+      en: {
+        subject: 'Start OTP for your assistance',
+        text: 'RailMitra booking {{bookingRef}}: your assistant {{assistantName}} is ready to start. Share start OTP {{otp}} with them.'
+      },
+      hi: {
+        subject: 'सहायता शुरू करने का OTP',
+        text: 'RailMitra बुकिंग {{bookingRef}}: आपके सहायक {{assistantName}} शुरू करने के लिए तैयार हैं। उन्हें स्टार्ट OTP {{otp}} बताएं।'
+      }
+    }
+  },
+  completion_otp: {
+    channels: ['sms', 'push'],
+    audience: 'passenger',
+    critical: true,
+    secrets: ['otp'],
+    locales: {
+      en: {
+        subject: 'Completion OTP for your assistance',
+        text: 'RailMitra booking {{bookingRef}}: share completion OTP {{otp}} with {{assistantName}} only once the service is finished.'
+      },
+      hi: {
+        subject: 'सहायता पूरी होने का OTP',
+        text: 'RailMitra बुकिंग {{bookingRef}}: सेवा पूरी होने पर ही {{assistantName}} को कम्प्लीशन OTP {{otp}} बताएं।'
+      }
+    }
+  },
+  booking_assigned: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Assistant assigned to booking {{bookingRef}}',
+        text: '{{assistantName}} will assist you at {{station}} for booking {{bookingRef}}. We will let you know when they accept.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} के लिए सहायक तय',
+        text: 'बुकिंग {{bookingRef}} के लिए {{station}} पर {{assistantName}} आपकी सहायता करेंगे। उनके स्वीकार करते ही हम आपको बताएंगे।'
+      }
+    }
+  },
+  booking_accepted: {
+    channels: ['sms', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} accepted',
+        text: '{{assistantName}} accepted your booking {{bookingRef}} and will meet you at {{station}}.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} स्वीकार',
+        text: '{{assistantName}} ने आपकी बुकिंग {{bookingRef}} स्वीकार कर ली है और {{station}} पर आपसे मिलेंगे।'
+      }
+    }
+  },
+  booking_in_progress: {
+    channels: ['push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Assistance started',
+        text: 'Your assistance for booking {{bookingRef}} has started with {{assistantName}}.'
+      },
+      hi: {
+        subject: 'सहायता शुरू',
+        text: 'बुकिंग {{bookingRef}} के लिए {{assistantName}} के साथ आपकी सहायता शुरू हो गई है।'
+      }
+    }
+  },
+  booking_completed: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} completed',
+        text: 'Thank you for travelling with RailMitra. Booking {{bookingRef}} at {{station}} is complete - please rate {{assistantName}} in the app.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} पूरी',
+        text: 'RailMitra के साथ यात्रा करने के लिए धन्यवाद। {{station}} पर बुकिंग {{bookingRef}} पूरी हो गई है - कृपया ऐप में {{assistantName}} को रेटिंग दें।'
+      }
+    }
+  },
+  booking_rejected: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} could not be served',
+        text: 'Sorry {{passengerName}}, we could not find an assistant for booking {{bookingRef}} at {{station}}.{{reasonLabel}} Any payment hold will be released.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} पूरी नहीं हो सकी',
+        text: 'क्षमा करें {{passengerName}}, {{station}} पर बुकिंग {{bookingRef}} के लिए कोई सहायक नहीं मिला।{{reasonLabel}} भुगतान की रोक हटा दी जाएगी।'
+      }
+    }
+  },
+  booking_cancelled: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'passenger',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} cancelled',
+        text: 'Your RailMitra booking {{bookingRef}} at {{station}} has been cancelled.{{reasonLabel}}'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} रद्द',
+        text: '{{station}} पर आपकी RailMitra बुकिंग {{bookingRef}} रद्द कर दी गई है।{{reasonLabel}}'
+      }
+    }
+  },
+  booking_emergency: {
+    channels: ['sms', 'push'],
+    audience: 'passenger',
+    critical: true,
+    locales: {
+      en: {
+        subject: 'Emergency raised on booking {{bookingRef}}',
+        text: 'An emergency was raised on booking {{bookingRef}} at {{station}}. Station staff have been alerted and will contact you.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} पर आपात स्थिति',
+        text: '{{station}} पर बुकिंग {{bookingRef}} के लिए आपात स्थिति दर्ज हुई है। स्टेशन कर्मचारियों को सूचित कर दिया गया है, वे आपसे संपर्क करेंगे।'
+      }
+    }
+  },
+
+  // ==================== ASSISTANT ====================
+  task_assigned: {
+    channels: ['sms', 'push'],
+    audience: 'assistant',
+    locales: {
+      en: {
+        subject: 'New booking {{bookingRef}}',
+        text: 'You have been assigned booking {{bookingRef}}: {{passengerName}} at {{station}}{{trainLabel}}. Please accept it in the app.'
+      },
+      hi: {
+        subject: 'नई बुकिंग {{bookingRef}}',
+        text: 'आपको बुकिंग {{bookingRef}} दी गई है: {{station}}{{trainLabel}} पर {{passengerName}}। कृपया ऐप में स्वीकार करें।'
+      }
+    }
+  },
+  task_cancelled: {
+    channels: ['sms', 'push'],
+    audience: 'assistant',
+    locales: {
+      en: {
+        subject: 'Booking {{bookingRef}} cancelled',
+        text: 'Booking {{bookingRef}} at {{station}} was cancelled - you no longer need to attend.'
+      },
+      hi: {
+        subject: 'बुकिंग {{bookingRef}} रद्द',
+        text: '{{station}} पर बुकिंग {{bookingRef}} रद्द हो गई है - अब आपको आने की आवश्यकता नहीं है।'
+      }
+    }
+  },
+  task_reminder: {
+    channels: ['push', 'sms'],
+    audience: 'assistant',
+    locales: {
+      en: {
+        subject: 'Upcoming task at {{station}}',
+        text: 'Reminder: be at {{station}}{{platformLabel}} by {{arrivalTime}} ({{minutes}} min) for {{passengerName}}{{trainLabel}}.'
+      },
+      hi: {
+        subject: '{{station}} पर आगामी कार्य',
+        text: 'याद दिलाना: {{passengerName}}{{trainLabel}} के लिए {{arrivalTime}} ({{minutes}} मिनट) तक {{station}}{{platformLabel}} पहुंचें।'
+      }
+    }
+  },
+  task_reminder_urgent: {
+    channels: ['push', 'sms'],
+    audience: 'assistant',
+    critical: true,
+    locales: {
+      en: {
+        subject: 'URGENT: task at {{station}} in {{minutes}} min',
+        text: 'URGENT: you are due at {{station}}{{platformLabel}} at {{arrivalTime}} ({{minutes}} min) for {{passengerName}}{{trainLabel}}. Head there now.'
+      },
+      hi: {
+        subject: 'तुरंत: {{minutes}} मिनट में {{station}} पर कार्य',
+        text: 'तुरंत: {{passengerName}}{{trainLabel}} के लिए आपको {{arrivalTime}} ({{minutes}} मिनट) पर {{station}}{{platformLabel}} पहुंचना है। अभी निकलें।'
+      }
+    }
+  },
+
+  // ==================== ADMIN ====================
+  task_escalation: {
+    channels: ['sms', 'email', 'push'],
+    audience: 'admin',
+    critical: true,
+    locales: {
+      en: {
+        subject: 'Unconfirmed task at {{station}} in {{minutes}} min',
+        text: 'Task at {{station}}{{platformLabel}} for {{passengerName}}{{trainLabel}} (booking {{bookingRef}}) starts at {{arrivalTime}} and is not confirmed: {{reason}}. Please arrange cover.'
+      },
+      hi: {
+        subject: '{{station}} पर {{minutes}} मिनट में अपुष्ट कार्य',
+        text: '{{station}}{{platformLabel}} पर {{passengerName}}{{trainLabel}} (बुकिंग {{bookingRef}}) का कार्य {{arrivalTime}} पर है और पुष्ट नहीं हुआ है: {{reason}}। कृपया व्यवस्था करें।'
+      }
+    }
+  },
+
+  // ==================== ACCOUNT ====================
+  password_reset: {
+    channels: ['sms', 'email'],
+    audience: 'user',
+    critical: true,
+    secrets: ['token'],
+    locales: {
+      en: {
+        subject: 'Your RailMitra password reset code',
+        text: 'Your RailMitra password reset code is {{token}}. It expires in {{minutes}} minutes. If you did not ask for it, ignore this message.'
+      },
+      hi: {
+        subject: 'आपका RailMitra पासवर्ड रीसेट कोड',
+        text: 'आपका RailMitra पासवर्ड रीसेट कोड {{token}} है। यह {{minutes}} मिनट में समाप्त हो जाएगा। यदि आपने इसका अनुरोध नहीं किया है, तो इस संदेश को अनदेखा करें।'
+      }
+    }
+  }
+};
+
+// Booking status -> passenger event (Start / Completion Pending send their OTP instead)
+const STATUS_EVENTS = {
+  Assigned: 'booking_assigned',
+  Accepted: 'booking_accepted',
+  'In Progress': 'booking_in_progress',
+  Completed: 'booking_completed',
+  Rejected: 'booking_rejected',
+  Cancelled: 'booking_cancelled',
+  Emergency: 'booking_emergency'
+};
+
+const MASK = '••••';
+
+function interpolate(template, vars) {
+  return String(template || '').replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] == null ? '' : String(vars[key])));
+}
+
+/**
+ * Render an event's message
+ * @param {string} event - TEMPLATES key
+ * @param {string} locale - Falls back to defaultLocale when the event has no such locale
+ * @param {Object} vars
+ * @param {string} [defaultLocale]
+ * @returns {Object|null} { locale, subject, text, preview } - null for an unknown event
+ */
+function renderTemplate(event, locale, vars = {}, defaultLocale = 'en') {
+  const template = TEMPLATES[event];
+  if (!template) return null;
+
+  const resolved = template.locales[locale] ? locale : defaultLocale;
+  const { subject, text } = template.locales[resolved];
+
+  const masked = { ...vars };
+  for (const key of template.secrets || []) masked[key] = MASK;
+  const previewSubject = interpolate(subject, masked);
+
+  return {
+    locale: resolved,
+    subject: interpolate(subject, vars),
+    text: interpolate(text, vars),
+    preview: `${previewSubject ? previewSubject + ': ' : ''}${interpolate(text, masked)}`
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  STATUS_EVENTS,
+  renderTemplate
+};
@@ -0,0 +1,32 @@
+/**
+ * Web Push Adapter
+ *
+ * Hands browser push subscriptions and the notification to a web push relay
+ * (which holds the VAPID private key and encrypts per subscription):
+ * POST { subscriptions, notification: { title, body, data }, reference }.
+ * The relay answers { id, gone: [endpoint] } - gone endpoints are unsubscribed.
+ */
+
+const HttpChannelAdapter = require('./httpChannelAdapter');
+
+class WebPushAdapter extends HttpChannelAdapter {
+  constructor(options = {}) {
+    super({ name: 'web-push', ...options });
+  }
+
+  buildPayload(message) {
+    return {
+      subscriptions: message.to,
+      notification: { title: message.subject, body: message.text, data: message.data || {} },
+      reference: message.notificationId
+    };
+  }
+
+  async send(message) {
+    const result = await super.send(message);
+    const gone = result.response && Array.isArray(result.response.gone) ? result.response.gone : [];
+    return { providerMessageId: result.providerMessageId, gone };
+  }
+}
+
+module.exports = WebPushAdapter;
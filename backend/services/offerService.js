@@ -0,0 +1,503 @@
+/**
+ * Offer Service
+ *
+ * Bookings are offered to assistants instead of being assigned silently.
+ * matchAssistant ranks candidates and starts a round of offers for the top
+ * offers.candidatesPerRound of them:
+ * - sequential: the best candidate is offered first, the next one only after
+ *   they decline or let the offer expire
+ * - parallel: all candidates are offered at once and the first accept wins
+ * Offers expire after sla.assignmentResponseSeconds. When a round runs out
+ * without an accept, matching starts the next round with fresh candidates.
+ *
+ * Each assistant's responses are summarised on Assistant.offerStats; the
+ * acceptance rate feeds calculateMatchScore.
+ */
+
+const mongoose = require('mongoose');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const Assistant = require('../models/Assistant');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const schedulingConfig = require('../config/scheduling.config');
+const { transitionBooking } = require('./bookingStateService');
+const eventBus = require('./eventBus');
+
+const offerConfig = schedulingConfig.offers;
+const RESPONSE_MS = schedulingConfig.sla.assignmentResponseSeconds * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking statuses in which a booking can still be offered
+const OFFERABLE_STATUSES = ['Pending', 'Searching'];
+const OPEN_STATUSES = ['queued', 'offered'];
+
+async function audit(action, actor, targetId, meta) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'AssignmentOffer',
+    targetId: String(targetId),
+    meta
+  });
+}
+
+function notifyOffer(offer, booking) {
+  const seconds = Math.round((new Date(offer.expiresAt).getTime() - Date.now()) / 1000);
+  eventBus.publishAssistantNotice(offer.assistantId, 'bookingOffer',
+    `New booking at ${booking.station}${booking.trainNumber ? ` (train ${booking.trainNumber})` : ''} - respond within ${seconds}s`,
+    {
+      offerId: String(offer._id),
+      bookingId: String(booking._id),
+      station: booking.station,
+      trainNumber: booking.trainNumber || '',
+      arrivalTime: booking.arrivalTime || null,
+      expiresAt: offer.expiresAt
+    });
+}
+
+// ==================== ROUNDS ====================
+
+/**
+ * Offers made so far for a booking, by assistant
+ * @returns {Promise<Map<string, string[]>>} assistantId -> offer statuses
+ */
+async function getOfferHistory(bookingId) {
+  const offers = await AssignmentOffer.find({ bookingId }).select('assistantId status').lean();
+  const history = new Map();
+  for (const offer of offers) {
+    const key = String(offer.assistantId);
+    if (!history.has(key)) history.set(key, []);
+    history.get(key).push(offer.status);
+  }
+  return history;
+}
+
+/**
+ * Open (queued or offered) offers of a booking
+ */
+async function getOpenOffers(bookingId) {
+  return AssignmentOffer.find({ bookingId, status: { $in: OPEN_STATUSES } })
+    .sort({ round: 1, rank: 1 })
+    .lean();
+}
+
+/**
+ * Pick a round's candidates from a ranking: assistants who declined the
+ * booking are never asked again; assistants not yet asked go first, and only
+ * when none are left are those whose offer expired or was withdrawn retried
+ * @param {Array} ranked - [{ assistant, score }] best first
+ * @param {Map} history - getOfferHistory result
+ */
+function pickCandidates(ranked, history) {
+  const notDeclined = ranked.filter(m => !(history.get(String(m.assistant._id)) || []).includes('declined'));
+  const fresh = notDeclined.filter(m => !history.has(String(m.assistant._id)));
+  return (fresh.length > 0 ? fresh : notDeclined).slice(0, offerConfig.candidatesPerRound);
+}
+
+/**
+ * Start a round of offers for a booking
+ * @param {Object} booking - Booking document (Pending or Searching)
+ * @param {Array} candidates - [{ assistant, score }] best first
+ * @returns {Promise<Object[]>} Created offers
+ */
+async function createOfferRound(booking, candidates) {
+  const last = await AssignmentOffer.findOne({ bookingId: booking._id }).sort({ round: -1 }).select('round').lean();
+  const round = last ? last.round + 1 : 1;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESPONSE_MS);
+  const parallel = offerConfig.mode === 'parallel';
+
+  const offers = await AssignmentOffer.insertMany(candidates.map((match, index) => {
+    const live = parallel || index === 0;
+    return {
+      bookingId: booking._id,
+      assistantId: match.assistant._id,
+      station: booking.station,
+      round,
+      rank: index + 1,
+      score: match.score,
+      mode: offerConfig.mode,
+      status: live ? 'offered' : 'queued',
+      offeredAt: live ? now : null,
+      expiresAt: live ? expiresAt : null
+    };
+  }));
+
+  for (const offer of offers) {
+    if (offer.status === 'offered') notifyOffer(offer, booking);
+  }
+  console.log(`[Offers] Round ${round} for booking ${booking._id}: ${offers.length} candidate(s), ${offerConfig.mode}`);
+  return offers;
+}
+
+/**
+ * Withdraw a booking's open offers (taken, cancelled or no longer offerable)
+ * @returns {Promise<number>} Offers withdrawn
+ */
+async function withdrawOffers(bookingId, reason) {
+  const open = await getOpenOffers(bookingId);
+  if (open.length === 0) return 0;
+
+  let withdrawn = 0;
+  for (const offer of open) {
+    // One at a time so concurrent withdrawals notify each assistant once
+    const result = await AssignmentOffer.updateOne(
+      { _id: offer._id, status: offer.status },
+      { $set: { status: 'withdrawn', withdrawReason: reason } }
+    );
+    if (result.modifiedCount === 0) continue;
+    withdrawn++;
+    if (offer.status === 'offered') {
+      eventBus.publishAssistantNotice(offer.assistantId, 'offerWithdrawn', `Booking offer withdrawn: ${reason}`, {
+        offerId: String(offer._id),
+        bookingId: String(bookingId)
+      });
+    }
+  }
+  return withdrawn;
+}
+
+/**
+ * Move a booking on after an offer closed: wait while an offer is still live,
+ * otherwise offer the next queued candidate, otherwise start the next round
+ */
+async function cascadeOffers(bookingId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || !OFFERABLE_STATUSES.includes(booking.status)) {
+    await withdrawOffers(bookingId, booking ? `Booking is ${booking.status}` : 'Booking not found');
+    return;
+  }
+
+  if (await AssignmentOffer.exists({ bookingId, status: 'offered' })) return;
+
+  // Next queued candidate who can still take it
+  for (;;) {
+    const next = await AssignmentOffer.findOne({ bookingId, status: 'queued' }).sort({ round: 1, rank: 1 }).lean();
+    if (!next) break;
+
+    const assistant = await Assistant.findById(next.assistantId).select('isEligibleForBookings currentBookingId').lean();
+    if (!assistant || !assistant.isEligibleForBookings || assistant.currentBookingId) {
+      await AssignmentOffer.updateOne({ _id: next._id, status: 'queued' }, { $set: { status: 'withdrawn', withdrawReason: 'Assistant no longer available' } });
+      continue;
+    }
+
+    const now = new Date();
+    const offered = await AssignmentOffer.findOneAndUpdate(
+      { _id: next._id, status: 'queued' },
+      { $set: { status: 'offered', offeredAt: now, expiresAt: new Date(now.getTime() + RESPONSE_MS) } },
+      { new: true }
+    );
+    if (offered) {
+      notifyOffer(offered, booking);
+      return;
+    }
+  }
+
+  // Round exhausted - rank again (required here: matchingService starts rounds)
+  const { matchAssistant } = require('./matchingService');
+  await matchAssistant(bookingId);
+}
+
+// ==================== RESPONSES ====================
+
+async function findAssistantOffer(offerId, assistantId) {
+  const offer = await AssignmentOffer.findById(offerId);
+  if (!offer || String(offer.assistantId) !== String(assistantId)) {
+    return { success: false, code: 'NOT_FOUND', message: 'Offer not found' };
+  }
+  if (offer.status !== 'offered') {
+    return { success: false, code: 'INVALID_STATE', message: `Offer is ${offer.status}` };
+  }
+  if (offer.expiresAt <= new Date()) {
+    await expireOffer(offer);
+    await cascadeOffers(offer.bookingId);
+    return { success: false, code: 'EXPIRED', message: 'Offer has expired' };
+  }
+  return { success: true, offer };
+}
+
+function responseSeconds(offer, now) {
+  return Math.round((now.getTime() - new Date(offer.offeredAt).getTime()) / 1000);
+}
+
+/**
+ * Accept an offer: the booking becomes Accepted with this assistant and every
+ * other open offer (of the booking, and of the assistant) is withdrawn
+ * @param {string} offerId
+ * @param {string} assistantId - Must be the offer's assistant
+ * @param {Object} actor - { id, role }
+ */
+async function acceptOffer(offerId, assistantId, actor) {
+  const found = await findAssistantOffer(offerId, assistantId);
+  if (!found.success) return found;
+  const { offer } = found;
+
+  const assistant = await Assistant.findById(assistantId).select('isEligibleForBookings currentBookingId').lean();
+  if (!assistant || !assistant.isEligibleForBookings || assistant.currentBookingId) {
+    return { success: false, code: 'INVALID_STATE', message: 'Finish your current booking before accepting another' };
+  }
+
+  const now = new Date();
+  const claimed = await AssignmentOffer.findOneAndUpdate(
+    { _id: offer._id, status: 'offered' },
+    { $set: { status: 'accepted', respondedAt: now, responseSeconds: responseSeconds(offer, now) } },
+    { new: true }
+  );
+  if (!claimed) return { success: false, code: 'INVALID_STATE', message: 'Offer is no longer open' };
+
+  // Only one accept can move the booking out of Pending/Searching
+  const result = await transitionBooking(offer.bookingId, 'Accepted', {
+    from: OFFERABLE_STATUSES,
+    set: { assistantId: offer.assistantId, assignedAt: now, matchScore: offer.score },
+    actor: { role: 'assistant', id: String(assistantId) },
+    reason: `Offer accepted (round ${offer.round}, rank ${offer.rank})`
+  });
+  if (!result.success) {
+    await AssignmentOffer.updateOne({ _id: offer._id }, { $set: { status: 'withdrawn', withdrawReason: result.message } });
+    return { success: false, code: 'INVALID_STATE', message: 'Booking is no longer available' };
+  }
+
+  await Assistant.findByIdAndUpdate(assistantId, { currentBookingId: offer.bookingId });
+  await withdrawOffers(offer.bookingId, 'Accepted by another assistant');
+
+  // The assistant is busy now - their offers for other bookings move on
+  const otherOffers = await AssignmentOffer.find({ assistantId, status: { $in: OPEN_STATUSES } }).select('bookingId').lean();
+  if (otherOffers.length > 0) {
+    await AssignmentOffer.updateMany(
+      { _id: { $in: otherOffers.map(o => o._id) }, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'withdrawn', withdrawReason: 'Assistant accepted another booking' } }
+    );
+    for (const other of otherOffers) await cascadeOffers(other.bookingId);
+  }
+
+  await refreshOfferStats(assistantId);
+  await audit('offer_accepted', actor, offer._id, {
+    bookingId: String(offer.bookingId),
+    round: offer.round,
+    rank: offer.rank,
+    responseSeconds: claimed.responseSeconds
+  });
+  console.log(`[Offers] Booking ${offer.bookingId} accepted by assistant ${assistantId} after ${claimed.responseSeconds}s`);
+
+  return { success: true, offer: claimed.toObject(), booking: result.booking };
+}
+
+/**
+ * Decline an offer; the booking cascades to the next candidate
+ * @param {string} offerId
+ * @param {string} assistantId - Must be the offer's assistant
+ * @param {string} [reason]
+ * @param {Object} actor - { id, role }
+ */
+async function declineOffer(offerId, assistantId, reason, actor) {
+  const found = await findAssistantOffer(offerId, assistantId);
+  if (!found.success) return found;
+  const { offer } = found;
+
+  const now = new Date();
+  const declined = await AssignmentOffer.findOneAndUpdate(
+    { _id: offer._id, status: 'offered' },
+    { $set: {
+      status: 'declined',
+      respondedAt: now,
+      responseSeconds: responseSeconds(offer, now),
+      declineReason: typeof reason === 'string' ? reason.trim().slice(0, 200) : ''
+    } },
+    { new: true }
+  );
+  if (!declined) return { success: false, code: 'INVALID_STATE', message: 'Offer is no longer open' };
+
+  await refreshOfferStats(assistantId);
+  await audit('offer_declined', actor, offer._id, {
+    bookingId: String(offer.bookingId),
+    reason: declined.declineReason
+  });
+  await cascadeOffers(offer.bookingId);
+
+  return { success: true, offer: declined.toObject() };
+}
+
+async function expireOffer(offer) {
+  const expired = await AssignmentOffer.findOneAndUpdate(
+    { _id: offer._id, status: 'offered' },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+  if (!expired) return false;
+  eventBus.publishAssistantNotice(offer.assistantId, 'offerExpired', 'A booking offer expired before you responded', {
+    offerId: String(offer._id),
+    bookingId: String(offer.bookingId)
+  });
+  await refreshOfferStats(offer.assistantId);
+  return true;
+}
+
+/**
+ * Expire unanswered offers and cascade their bookings (periodic)
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { expired, bookings }
+ */
+async function expireOffers(now = new Date()) {
+  const due = await AssignmentOffer.find({ status: 'offered', expiresAt: { $lte: now } }).lean();
+  const bookingIds = new Set();
+  let expired = 0;
+
+  for (const offer of due) {
+    if (await expireOffer(offer)) {
+      expired++;
+      bookingIds.add(String(offer.bookingId));
+    }
+  }
+  for (const bookingId of bookingIds) {
+    try {
+      await cascadeOffers(bookingId);
+    } catch (err) {
+      console.error(`[Offers] Cascade failed for booking ${bookingId}:`, err.message);
+    }
+  }
+
+  if (expired > 0) console.log(`[Offers] Expired ${expired} offer(s) across ${bookingIds.size} booking(s)`);
+  return { expired, bookings: bookingIds.size };
+}
+
+// ==================== TELEMETRY ====================
+
+async function aggregateOfferStats(match) {
+  return AssignmentOffer.aggregate([
+    { $match: match },
+    { $group: {
+      _id: '$assistantId',
+      offered: { $sum: 1 },
+      accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+      declined: { $sum: { $cond: [{ $eq: ['$status', 'declined'] }, 1, 0] } },
+      expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+      withdrawn: { $sum: { $cond: [{ $eq: ['$status', 'withdrawn'] }, 1, 0] } },
+      avgResponseSeconds: { $avg: '$responseSeconds' }
+    } }
+  ]);
+}
+
+function toStats(row) {
+  const responded = row.accepted + row.declined + row.expired;
+  return {
+    offered: row.offered,
+    accepted: row.accepted,
+    declined: row.declined,
+    expired: row.expired,
+    responded,
+    acceptanceRate: responded > 0 ? Math.round(row.accepted / responded * 1000) / 1000 : null,
+    avgResponseSeconds: row.avgResponseSeconds == null ? null : Math.round(row.avgResponseSeconds)
+  };
+}
+
+/**
+ * Recompute Assistant.offerStats over the acceptance window
+ */
+async function refreshOfferStats(assistantId, now = new Date()) {
+  const since = new Date(now.getTime() - offerConfig.acceptance.windowDays * DAY_MS);
+  const [row] = await aggregateOfferStats({
+    assistantId: new mongoose.Types.ObjectId(String(assistantId)),
+    offeredAt: { $gte: since }
+  });
+  const stats = toStats(row || { offered: 0, accepted: 0, declined: 0, expired: 0, avgResponseSeconds: null });
+  await Assistant.updateOne({ _id: assistantId }, { $set: { offerStats: { ...stats, updatedAt: now } } });
+  return stats;
+}
+
+/**
+ * Match score points for an assistant's acceptance rate (0 until enough responses)
+ */
+function acceptanceScore(offerStats) {
+  const { minResponses, maxPoints } = offerConfig.acceptance;
+  if (!offerStats || offerStats.acceptanceRate == null || (offerStats.responded || 0) < minResponses) return 0;
+  return Math.round((offerStats.acceptanceRate - 0.5) * 2 * maxPoints);
+}
+
+/**
+ * An assistant's live offers and response stats
+ */
+async function getAssistantOffers(assistantId) {
+  const assistant = await Assistant.findById(assistantId).select('offerStats').lean();
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+
+  const offers = await AssignmentOffer.find({ assistantId, status: 'offered', expiresAt: { $gt: new Date() } })
+    .sort({ expiresAt: 1 })
+    .populate('bookingId', 'station trainNumber trainName arrivalTime services serviceType passengerName')
+    .lean();
+
+  return {
+    success: true,
+    offers: offers.map(({ bookingId: booking, ...offer }) => ({ ...offer, bookingId: booking && booking._id, booking })),
+    stats: assistant.offerStats || null,
+    scoreAdjustment: acceptanceScore(assistant.offerStats)
+  };
+}
+
+/**
+ * Offer telemetry per assistant for a period (admin)
+ * @param {Object} options - { from, to, station }
+ */
+async function getOfferTelemetry({ from, to, station } = {}) {
+  const match = { offeredAt: { $gte: from, $lt: to } };
+  if (station) match.station = station;
+
+  const rows = await aggregateOfferStats(match);
+  const assistants = await Assistant.find({ _id: { $in: rows.map(r => r._id) } }).select('name station').lean();
+  const byId = new Map(assistants.map(a => [String(a._id), a]));
+
+  const perAssistant = rows.map(row => {
+    const assistant = byId.get(String(row._id));
+    return {
+      assistantId: row._id,
+      name: assistant ? assistant.name : null,
+      station: assistant ? assistant.station : null,
+      ...toStats(row),
+      withdrawn: row.withdrawn
+    };
+  }).sort((a, b) => b.offered - a.offered);
+
+  const totals = toStats(perAssistant.reduce((sum, row) => ({
+    offered: sum.offered + row.offered,
+    accepted: sum.accepted + row.accepted,
+    declined: sum.declined + row.declined,
+    expired: sum.expired + row.expired,
+    avgResponseSeconds: null
+  }), { offered: 0, accepted: 0, declined: 0, expired: 0 }));
+
+  return { success: true, from, to, station: station || null, totals, assistants: perAssistant };
+}
+
+// ==================== EVENTS ====================
+
+/**
+ * bookingStatusChanged listener - a booking that left Pending/Searching by
+ * any route (accept, admin assignment, cancellation) takes its offers with it
+ */
+async function handleBookingStatusChange(event) {
+  if (OFFERABLE_STATUSES.includes(event.status)) return;
+  try {
+    const withdrawn = await withdrawOffers(event.bookingId, `Booking ${event.status}`);
+    if (withdrawn > 0) console.log(`[Offers] Withdrew ${withdrawn} offer(s) of ${event.status} booking ${event.bookingId}`);
+  } catch (err) {
+    console.error(`[Offers] Withdraw failed for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+module.exports = {
+  OFFERABLE_STATUSES,
+  getOfferHistory,
+  getOpenOffers,
+  pickCandidates,
+  createOfferRound,
+  withdrawOffers,
+  cascadeOffers,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  refreshOfferStats,
+  acceptanceScore,
+  getAssistantOffers,
+  getOfferTelemetry,
+  handleBookingStatusChange
+};
@@ -0,0 +1,295 @@
+/**
+ * OTP Service
+ *
+ * One-time codes for the booking, start and completion handovers
+ * (config/otp.config.js):
+ * - codes come from crypto.randomInt; only an HMAC bound to the booking and
+ *   kind is stored - the plain code is returned once, to be sent to the passenger
+ * - start / completion codes expire after ttlMinutes[kind]; the booking code
+ *   lasts until bookingGraceHours after the booking's last service task
+ * - a code is consumed when verified
+ * - maxAttempts wrong codes lock verification for lockoutMinutes
+ * - resends are throttled per kind (resend.minIntervalSeconds, resend.maxPerHour)
+ *
+ * Every issue, verification, failure and lockout is written to the audit log.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const ServiceTask = require('../models/ServiceTask');
+const AuditLog = require('../models/AuditLog');
+const otpConfig = require('../config/otp.config');
+const schedulingConfig = require('../config/scheduling.config');
+
+const OTP_KINDS = ['booking', 'start', 'completion'];
+const OTP_LABELS = {
+  booking: 'OTP',
+  start: 'Start OTP',
+  completion: 'Completion OTP'
+};
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const HMAC_KEY = resolveHmacKey();
+
+// ==================== HELPERS ====================
+
+// Never a key from the repo: a missing secret stops a production start
+function resolveHmacKey() {
+  if (otpConfig.secret) return otpConfig.secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('OTP_SECRET (or JWT_SECRET) must be set in production');
+  }
+  console.warn('[OTP] OTP_SECRET not set - using a random key; issued OTPs stop verifying after a restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** otpConfig.digits)).padStart(otpConfig.digits, '0');
+}
+
+// Bound to the booking and kind, so a code never verifies anywhere else
+function hashCode(bookingId, kind, code) {
+  return crypto.createHmac('sha256', HMAC_KEY)
+    .update(`${bookingId}:${kind}:${code}`)
+    .digest('hex');
+}
+
+function codeMatches(entry, bookingId, kind, code) {
+  const expected = Buffer.from(entry.hash, 'hex');
+  const actual = Buffer.from(hashCode(bookingId, kind, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+}
+
+function lockedResult(kind, lockedUntil, now) {
+  const retryAfterSeconds = secondsUntil(lockedUntil, now);
+  return {
+    success: false,
+    code: 'LOCKED',
+    retryAfterSeconds,
+    message: `Too many wrong attempts - ${OTP_LABELS[kind]} is locked for ${Math.ceil(retryAfterSeconds / 60)} more minute(s)`
+  };
+}
+
+/**
+ * When the booking's service is over: its last task, else the end of its
+ * journey day
+ * @returns {Promise<Date|null>}
+ */
+async function serviceEndsAt(booking) {
+  const lastTask = await ServiceTask.findOne({ bookingId: booking._id, scheduledTime: { $ne: null } })
+    .sort({ scheduledTime: -1 })
+    .select('scheduledTime')
+    .lean();
+  if (lastTask) return new Date(lastTask.scheduledTime);
+  if (booking.arrivalTime) return new Date(booking.arrivalTime);
+  if (booking.journeyDate) return new Date(new Date(booking.journeyDate).getTime() + DAY_MS);
+  return null;
+}
+
+// When a new code stops being valid
+async function expiryFor(booking, kind, now) {
+  if (kind !== 'booking') return new Date(now.getTime() + otpConfig.ttlMinutes[kind] * MINUTE_MS);
+  // No service time known yet: the whole advance booking window
+  const endsAt = await serviceEndsAt(booking);
+  const serviceEnd = endsAt ? endsAt.getTime() : now.getTime() + schedulingConfig.operational.maxAdvanceBookingDays * DAY_MS;
+  return new Date(Math.max(serviceEnd, now.getTime()) + otpConfig.bookingGraceHours * HOUR_MS);
+}
+
+// A booking code past its expiry is still valid while a rescheduled task runs later
+async function isExpired(booking, kind, entry, now) {
+  if (entry.expiresAt > now) return false;
+  if (kind !== 'booking') return true;
+  const endsAt = await serviceEndsAt(booking);
+  return !endsAt || endsAt.getTime() + otpConfig.bookingGraceHours * HOUR_MS <= now.getTime();
+}
+
+async function loadBookingOtps(bookingId) {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return Booking.findById(bookingId).select('+otps').lean();
+}
+
+async function audit(action, bookingId, kind, actor = {}, meta = {}) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id ? String(actor.id) : undefined,
+    actorRole: actor.role || 'system',
+    targetType: 'Booking',
+    targetId: String(bookingId),
+    meta: { kind, ...meta }
+  });
+}
+
+// ==================== ISSUE ====================
+
+/**
+ * Issue a new code, replacing the booking's current one of this kind
+ * @param {string} bookingId
+ * @param {string} kind - booking | start | completion
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { role, id }
+ * @param {boolean} [options.resend] - Apply resend throttling
+ * @returns {Promise<Object>} { success, otp, expiresAt } - otp is the plain code, for delivery only
+ */
+async function issueOtp(bookingId, kind, { actor = {}, resend = false, now = new Date() } = {}) {
+  if (!OTP_KINDS.includes(kind)) return { success: false, code: 'INVALID', message: `Unknown OTP kind "${kind}"` };
+
+  const booking = await loadBookingOtps(bookingId);
+  if (!booking) return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+
+  const current = booking.otps ? booking.otps[kind] : null;
+  if (current && current.lockedUntil && current.lockedUntil > now) {
+    return lockedResult(kind, current.lockedUntil, now);
+  }
+
+  const recentSends = current ? (current.sentAt || []).filter(at => now - at < HOUR_MS) : [];
+  if (resend && recentSends.length > 0) {
+    const nextAllowedAt = Math.max(...recentSends.map(at => at.getTime())) + otpConfig.resend.minIntervalSeconds * 1000;
+    if (nextAllowedAt > now.getTime()) {
+      const retryAfterSeconds = secondsUntil(nextAllowedAt, now);
+      return { success: false, code: 'THROTTLED', retryAfterSeconds, message: `Please wait ${retryAfterSeconds}s before resending the ${OTP_LABELS[kind]}` };
+    }
+    if (recentSends.length >= otpConfig.resend.maxPerHour) {
+      const retryAfterSeconds = secondsUntil(Math.min(...recentSends.map(at => at.getTime())) + HOUR_MS, now);
+      return { success: false, code: 'THROTTLED', retryAfterSeconds, message: `${OTP_LABELS[kind]} resend limit reached - try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)` };
+    }
+  }
+
+  const otp = generateCode();
+  const entry = {
+    hash: hashCode(booking._id, kind, otp),
+    issuedAt: now,
+    expiresAt: await expiryFor(booking, kind, now),
+    attempts: 0,
+    lockedUntil: null,
+    sentAt: [...recentSends, now]
+  };
+
+  // Only replaces the code that was checked, so concurrent resends cannot both pass the throttle
+  const result = await Booking.updateOne(
+    { _id: booking._id, [`otps.${kind}.issuedAt`]: current ? current.issuedAt : null },
+    { $set: { [`otps.${kind}`]: entry } }
+  );
+  if (result.modifiedCount === 0) {
+    return { success: false, code: 'CONFLICT', message: `${OTP_LABELS[kind]} was reissued concurrently, please retry` };
+  }
+
+  await audit('otp_issued', booking._id, kind, actor, {
+    resend,
+    expiresAt: entry.expiresAt,
+    sendsLastHour: entry.sentAt.length
+  });
+  return { success: true, otp, expiresAt: entry.expiresAt };
+}
+
+// ==================== VERIFY ====================
+
+/**
+ * Check a code entered for a booking; a correct code is consumed
+ * @param {string} bookingId
+ * @param {string} kind - booking | start | completion
+ * @param {string} input - Code as entered (non-digits ignored)
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { role, id }
+ * @returns {Promise<Object>} { success, code, message, attemptsLeft, retryAfterSeconds }
+ */
+async function verifyOtp(bookingId, kind, input, { actor = {}, now = new Date() } = {}) {
+  if (!OTP_KINDS.includes(kind)) return { success: false, code: 'INVALID', message: `Unknown OTP kind "${kind}"` };
+
+  const booking = await loadBookingOtps(bookingId);
+  if (!booking) return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+
+  const label = OTP_LABELS[kind];
+  const entry = booking.otps ? booking.otps[kind] : null;
+  if (!entry) {
+    await audit('otp_failed', booking._id, kind, actor, { reason: 'not_issued' });
+    return { success: false, code: 'NOT_ISSUED', message: `No ${label} set for this booking` };
+  }
+  if (entry.lockedUntil && entry.lockedUntil > now) {
+    await audit('otp_failed', booking._id, kind, actor, { reason: 'locked', lockedUntil: entry.lockedUntil });
+    return lockedResult(kind, entry.lockedUntil, now);
+  }
+  if (await isExpired(booking, kind, entry, now)) {
+    await audit('otp_failed', booking._id, kind, actor, { reason: 'expired', expiresAt: entry.expiresAt });
+    return { success: false, code: 'EXPIRED', message: `${label} has expired - please request a new one` };
+  }
+
+  const digits = String(input == null ? '' : input).replace(/\D/g, '');
+  const codeFilter = { _id: booking._id, [`otps.${kind}.hash`]: entry.hash };
+
+  if (digits && codeMatches(entry, booking._id, kind, digits)) {
+    // A code verifies once - whoever clears it first wins
+    const consumed = await Booking.updateOne(codeFilter, { $set: { [`otps.${kind}`]: null } });
+    if (consumed.modifiedCount === 0) {
+      return { success: false, code: 'NOT_ISSUED', message: `${label} was already used` };
+    }
+    await audit('otp_verified', booking._id, kind, actor, { attempts: entry.attempts });
+    return { success: true };
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    codeFilter,
+    { $inc: { [`otps.${kind}.attempts`]: 1 } },
+    { new: true }
+  ).select('+otps').lean();
+  if (!updated) {
+    // Replaced or used while we checked
+    return { success: false, code: 'INVALID', message: `Invalid ${label}` };
+  }
+
+  const attempts = updated.otps[kind].attempts;
+  if (attempts >= otpConfig.maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + otpConfig.lockoutMinutes * MINUTE_MS);
+    await Booking.updateOne(codeFilter, {
+      $set: { [`otps.${kind}.lockedUntil`]: lockedUntil, [`otps.${kind}.attempts`]: 0 }
+    });
+    await audit('otp_locked', booking._id, kind, actor, { attempts, lockedUntil });
+    console.warn(`[OTP] ${label} of booking ${booking._id} locked after ${attempts} wrong attempts`);
+    return lockedResult(kind, lockedUntil, now);
+  }
+
+  const attemptsLeft = otpConfig.maxAttempts - attempts;
+  await audit('otp_failed', booking._id, kind, actor, { reason: 'invalid', attempts });
+  return { success: false, code: 'INVALID', attemptsLeft, message: `Invalid ${label} - ${attemptsLeft} attempt(s) left` };
+}
+
+// ==================== MAINTENANCE ====================
+
+/**
+ * transitionBooking `set` fields that discard codes (assignment changed,
+ * booking closed)
+ * @param {...string} kinds - Default: every kind
+ * @returns {Object}
+ */
+function clearedOtps(...kinds) {
+  return Object.fromEntries((kinds.length > 0 ? kinds : OTP_KINDS).map(kind => [`otps.${kind}`, null]));
+}
+
+/**
+ * Remove plaintext codes stored before OTPs were hashed (startup). Open
+ * bookings get a new code from /start or the resend endpoints
+ * @returns {Promise<number>} Bookings cleaned
+ */
+async function purgeLegacyOtps() {
+  const result = await Booking.collection.updateMany(
+    { $or: [{ otp: { $exists: true } }, { startOtp: { $exists: true } }, { completionOtp: { $exists: true } }] },
+    { $unset: { otp: '', startOtp: '', completionOtp: '' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[OTP] Removed plaintext OTPs from ${result.modifiedCount} booking(s)`);
+  }
+  return result.modifiedCount;
+}
+
+module.exports = {
+  OTP_KINDS,
+  issueOtp,
+  verifyOtp,
+  clearedOtps,
+  purgeLegacyOtps
+};
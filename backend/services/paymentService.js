@@ -0,0 +1,416 @@
+/**
+ * Payment Service
+ *
+ * Booking payment lifecycle on top of a gateway adapter (services/payments):
+ * - authorizeBooking:   hold the booking price when the booking is created
+ * - capturePayment:     charge the hold when the passenger confirms completion
+ * - applyRefundRules:   void / partially capture / refund on cancel and reject
+ *                       (paymentsConfig.refundRules, driven by bookingStatusChanged)
+ * - handleWebhook:      apply signed gateway callbacks idempotently
+ *
+ * Every captured or refunded rupee is posted to the double-entry ledger
+ * (ledgerService), which also keeps Assistant.totalEarnings in step.
+ *
+ * Split on capture: the platform fee (booking.pricingRule, else PLATFORM_FEE) to
+ * platform_revenue, paymentsConfig.earnings.assistantSharePercent of the rest to
+ * the assigned assistant(s) - shared equally per service task, matching the
+ * per-task Earning records - and the remainder to platform_revenue.
+ */
+
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const ServiceTask = require('../models/ServiceTask');
+const LedgerEntry = require('../models/LedgerEntry');
+const paymentsConfig = require('../config/payments.config');
+const { getGateway } = require('./payments');
+const { postTransaction, roundMoney } = require('./ledgerService');
+const { PLATFORM_FEE } = require('./pricingService');
+
+// ==================== HELPERS ====================
+
+/**
+ * Assistants who earn from a booking - one entry per assigned service task,
+ * falling back to the booking-level assistant
+ * @param {Object} booking
+ * @returns {Promise<Array<string>>} Assistant ids (may repeat for multi-task bookings)
+ */
+async function getEarningAssistants(booking) {
+  const tasks = await ServiceTask.find({
+    bookingId: booking._id,
+    assignedAssistant: { $ne: null },
+    status: { $ne: 'cancelled' }
+  }).select('assignedAssistant').lean();
+
+  if (tasks.length > 0) return tasks.map(t => String(t.assignedAssistant));
+  return booking.assistantId ? [String(booking.assistantId._id || booking.assistantId)] : [];
+}
+
+/**
+ * Split an amount into equal parts that add up exactly (remainder on the last part)
+ * @param {number} amount
+ * @param {number} parts
+ * @returns {Array<number>}
+ */
+function splitEvenly(amount, parts) {
+  const each = roundMoney(amount / parts);
+  const shares = Array(parts).fill(each);
+  shares[parts - 1] = roundMoney(amount - each * (parts - 1));
+  return shares;
+}
+
+/**
+ * Ledger lines for captured money
+ * @param {number} amount - Captured amount
+ * @param {Array<string>} assistantIds - From getEarningAssistants()
+ * @param {Object} options
+ * @param {boolean} [options.cancellationFee] - Whole amount goes to the assistant(s), no platform fee
+ * @param {number} [options.platformFee] - Fee the booking was priced with (booking.pricingRule)
+ * @param {number} [options.discount] - Platform-funded promo/wallet discount (booking.discount.total);
+ *   assistants earn on amount + discount, the platform absorbs it
+ * @returns {Array} Ledger lines
+ */
+function buildCaptureLines(amount, assistantIds, {
+  cancellationFee = false,
+  platformFee: bookingFee = PLATFORM_FEE,
+  discount = 0
+} = {}) {
+  const lines = [{ account: 'gateway_clearing', debit: amount }];
+
+  if (assistantIds.length === 0) {
+    lines.push({ account: 'platform_revenue', credit: amount });
+    return lines;
+  }
+
+  const listPrice = cancellationFee ? amount : roundMoney(amount + discount);
+  const platformFee = cancellationFee ? 0 : Math.min(bookingFee, listPrice);
+  const serviceRevenue = roundMoney(listPrice - platformFee);
+  const assistantTotal = cancellationFee
+    ? serviceRevenue
+    : roundMoney(serviceRevenue * paymentsConfig.earnings.assistantSharePercent / 100);
+
+  const platformShare = roundMoney(amount - assistantTotal);
+  if (platformShare > 0) lines.push({ account: 'platform_revenue', credit: platformShare });
+  // Discount larger than the platform's cut - the platform pays the difference
+  if (platformShare < 0) lines.push({ account: 'platform_revenue', debit: -platformShare });
+  if (assistantTotal > 0) {
+    splitEvenly(assistantTotal, assistantIds.length).forEach((share, i) => {
+      lines.push({ account: 'assistant_payable', assistantId: assistantIds[i], credit: share });
+    });
+  }
+  return lines;
+}
+
+/**
+ * Percent of the price returned to the passenger for a cancel/reject
+ * @param {string} status - Cancelled | Rejected
+ * @param {string} previousStatus - Status before the cancel/reject
+ * @returns {number}
+ */
+function getRefundPercent(status, previousStatus) {
+  const rules = paymentsConfig.refundRules;
+  if (status === 'Rejected') return rules.rejectedPercent;
+  const percent = rules.cancelledFrom[previousStatus];
+  return percent === undefined ? rules.defaultCancelledPercent : percent;
+}
+
+// ==================== LIFECYCLE ====================
+
+/**
+ * Hold the booking price at booking time
+ * @param {Object} booking - Saved Booking document
+ * @param {Object} options
+ * @param {string} [options.method] - One of paymentsConfig.methods (default 'upi')
+ * @returns {Promise<Object>} { success, payment, message }
+ */
+async function authorizeBooking(booking, { method = 'upi' } = {}) {
+  const existing = await Payment.findOne({ bookingId: booking._id });
+  if (existing) return { success: existing.status !== 'failed', payment: existing, message: existing.failureReason };
+
+  const gateway = getGateway();
+  const amount = roundMoney(booking.price);
+  const allowedMethods = [...paymentsConfig.methods, ...(gateway.name === 'fake' ? paymentsConfig.fake.declineMethods : [])];
+  if (!allowedMethods.includes(method)) {
+    return { success: false, message: `Unsupported payment method: ${method}` };
+  }
+
+  const result = await gateway.authorize({
+    amount,
+    currency: paymentsConfig.currency,
+    bookingId: String(booking._id),
+    method
+  });
+
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    gateway: gateway.name,
+    method,
+    currency: paymentsConfig.currency,
+    amount,
+    status: result.success ? 'authorized' : 'failed',
+    authorizationRef: result.success ? result.ref : null,
+    failureReason: result.success ? '' : (result.message || 'Authorization declined')
+  });
+
+  await Booking.findByIdAndUpdate(booking._id, {
+    paymentStatus: result.success ? 'Authorized' : 'Failed',
+    paymentMethod: method,
+    transactionId: payment.authorizationRef || ''
+  });
+
+  if (!result.success) {
+    console.warn(`[Payments] Authorization declined for booking ${booking._id}:`, payment.failureReason);
+    return { success: false, payment, message: payment.failureReason };
+  }
+  return { success: true, payment };
+}
+
+/**
+ * Charge the full hold (on /confirm-completion). Idempotent.
+ * @param {string} bookingId
+ * @returns {Promise<Object>} { success, payment, code, message }
+ */
+async function capturePayment(bookingId) {
+  const payment = await Payment.findOne({ bookingId });
+  if (!payment) return { success: false, code: 'NOT_FOUND', message: 'No payment for this booking' };
+  if (payment.status === 'captured') return { success: true, payment };
+  if (payment.status !== 'authorized') {
+    return { success: false, code: 'INVALID_STATE', message: `Cannot capture a ${payment.status} payment` };
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return { success: false, code: 'NOT_FOUND', message: 'Booking not found' };
+
+  const result = await getGateway().capture(payment.authorizationRef, payment.amount);
+  if (!result.success) {
+    console.error(`[Payments] Capture failed for booking ${bookingId}:`, result.message);
+    return { success: false, code: 'GATEWAY_ERROR', message: result.message };
+  }
+
+  // Conditional on the hold still being open so a retry cannot capture twice
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'authorized' },
+    { status: 'captured', captureRef: result.ref, capturedAmount: payment.amount, capturedAt: new Date() },
+    { new: true }
+  );
+  if (!captured) return { success: true, payment: await Payment.findById(payment._id) };
+
+  const assistantIds = await getEarningAssistants(booking);
+  await postTransaction({
+    type: 'capture',
+    lines: buildCaptureLines(captured.amount, assistantIds, {
+      platformFee: booking.pricingRule?.platformFee ?? PLATFORM_FEE,
+      discount: booking.discount?.total || 0
+    }),
+    bookingId: booking._id,
+    paymentId: captured._id,
+    memo: 'Booking completed'
+  });
+
+  await Booking.findByIdAndUpdate(bookingId, { paymentStatus: 'Paid', transactionId: captured.captureRef });
+  return { success: true, payment: captured };
+}
+
+/**
+ * Refund part of a captured payment and reverse its ledger postings pro rata
+ * @param {string} bookingId
+ * @param {number} amount
+ * @param {string} [reason]
+ * @returns {Promise<Object>} { success, payment, code, message }
+ */
+async function refundPayment(bookingId, amount, reason = '') {
+  const payment = await Payment.findOne({ bookingId });
+  if (!payment) return { success: false, code: 'NOT_FOUND', message: 'No payment for this booking' };
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    return { success: false, code: 'INVALID_STATE', message: `Cannot refund a ${payment.status} payment` };
+  }
+
+  amount = roundMoney(amount);
+  const refundable = roundMoney(payment.capturedAmount - payment.refundedAmount);
+  if (!(amount > 0) || amount > refundable) {
+    return { success: false, code: 'INVALID_AMOUNT', message: `Refund must be between 0 and ${refundable}` };
+  }
+
+  const result = await getGateway().refund(payment.captureRef, amount);
+  if (!result.success) {
+    console.error(`[Payments] Refund failed for booking ${bookingId}:`, result.message);
+    return { success: false, code: 'GATEWAY_ERROR', message: result.message };
+  }
+
+  const refundedAmount = roundMoney(payment.refundedAmount + amount);
+  const status = refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded';
+  // Conditional on refundedAmount so concurrent refunds cannot exceed the capture
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundedAmount: payment.refundedAmount },
+    { status, refundedAmount, $push: { refunds: { ref: result.ref, amount, reason } } },
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, code: 'CONFLICT', message: 'Payment changed concurrently, please retry' };
+  }
+
+  // Reverse the capture's credits in proportion to the refunded share
+  const credits = await LedgerEntry.find({ paymentId: payment._id, type: 'capture', credit: { $gt: 0 } }).lean();
+  const ratio = amount / payment.capturedAmount;
+  const lines = credits.map(e => ({ account: e.account, assistantId: e.assistantId, debit: roundMoney(e.credit * ratio) }));
+  const reversed = roundMoney(lines.reduce((s, l) => s + l.debit, 0));
+  if (lines.length > 0) lines[lines.length - 1].debit = roundMoney(lines[lines.length - 1].debit + amount - reversed);
+  lines.push({ account: 'gateway_clearing', credit: amount });
+
+  await postTransaction({
+    type: 'refund',
+    lines,
+    bookingId: payment.bookingId,
+    paymentId: payment._id,
+    memo: reason || 'Refund'
+  });
+
+  await Booking.findByIdAndUpdate(bookingId, { paymentStatus: status === 'refunded' ? 'Refunded' : 'Partially Refunded' });
+  return { success: true, payment: updated };
+}
+
+/**
+ * Settle the payment of a cancelled or rejected booking per paymentsConfig.refundRules
+ * - hold, full refund    -> void
+ * - hold, partial refund -> capture the cancellation fee, release the rest
+ * - captured             -> refund the configured share of what is left
+ * @param {string} bookingId
+ * @param {string} status - Cancelled | Rejected
+ * @param {string} previousStatus
+ * @returns {Promise<Object>} { success, action, refundPercent, payment, message }
+ */
+async function applyRefundRules(bookingId, status, previousStatus) {
+  const payment = await Payment.findOne({ bookingId });
+  if (!payment || ['failed', 'voided', 'refunded'].includes(payment.status)) {
+    return { success: true, action: 'none' };
+  }
+
+  const refundPercent = getRefundPercent(status, previousStatus);
+  const reason = `${status} from ${previousStatus} (${refundPercent}% refund)`;
+
+  if (payment.status === 'authorized') {
+    const fee = roundMoney(payment.amount * (100 - refundPercent) / 100);
+    const gateway = getGateway();
+
+    if (fee <= 0) {
+      const result = await gateway.void(payment.authorizationRef);
+      if (!result.success) return { success: false, action: 'void', refundPercent, message: result.message };
+      const voided = await Payment.findOneAndUpdate({ _id: payment._id, status: 'authorized' }, { status: 'voided' }, { new: true });
+      await Booking.findByIdAndUpdate(bookingId, { paymentStatus: 'Refunded' });
+      return { success: true, action: 'void', refundPercent, payment: voided };
+    }
+
+    const result = await gateway.capture(payment.authorizationRef, fee);
+    if (!result.success) return { success: false, action: 'capture_fee', refundPercent, message: result.message };
+    const captured = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'authorized' },
+      { status: 'captured', captureRef: result.ref, capturedAmount: fee, capturedAt: new Date() },
+      { new: true }
+    );
+    if (!captured) return { success: true, action: 'none' };
+
+    const booking = await Booking.findById(bookingId);
+    // The fee compensates whoever was assigned before the cancel
+    const assistantIds = booking ? await getEarningAssistants(booking) : [];
+    await postTransaction({
+      type: 'capture',
+      lines: buildCaptureLines(fee, assistantIds, { cancellationFee: true }),
+      bookingId,
+      paymentId: captured._id,
+      memo: `Cancellation fee - ${reason}`
+    });
+    await Booking.findByIdAndUpdate(bookingId, { paymentStatus: 'Partially Refunded', transactionId: captured.captureRef });
+    return { success: true, action: 'capture_fee', refundPercent, payment: captured };
+  }
+
+  // Already captured (e.g. manual capture) - refund the configured share of the remainder
+  const refundable = roundMoney(payment.capturedAmount - payment.refundedAmount);
+  const amount = roundMoney(refundable * refundPercent / 100);
+  if (amount <= 0) return { success: true, action: 'none', refundPercent };
+  const result = await refundPayment(bookingId, amount, reason);
+  return { ...result, action: 'refund', refundPercent };
+}
+
+/**
+ * bookingStatusChanged listener - settles payments of cancelled/rejected bookings
+ * @param {Object} event - From eventBus
+ */
+async function handleBookingStatusChange(event) {
+  if (!['Cancelled', 'Rejected'].includes(event.status)) return;
+  try {
+    const result = await applyRefundRules(event.bookingId, event.status, event.previousStatus);
+    if (!result.success) {
+      console.error(`[Payments] Refund rules failed for booking ${event.bookingId}:`, result.message);
+    } else if (result.action !== 'none') {
+      console.log(`[Payments] Booking ${event.bookingId} ${event.status}: ${result.action} (${result.refundPercent}% refund)`);
+    }
+  } catch (err) {
+    console.error(`[Payments] Refund rules error for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * Apply a verified gateway webhook event. Idempotent by event id.
+ * Event: { id, type, data: { authorizationRef?, captureRef?, refundRef?, reason? } }
+ * @param {Object} event
+ * @returns {Promise<Object>} { success, duplicate, message }
+ */
+async function handleWebhook(event) {
+  if (!event || !event.id || !event.type) {
+    return { success: false, message: 'Malformed event' };
+  }
+  const data = event.data || {};
+  const payment = await Payment.findOne({
+    $or: [
+      data.authorizationRef ? { authorizationRef: data.authorizationRef } : null,
+      data.captureRef ? { captureRef: data.captureRef } : null,
+      data.refundRef ? { 'refunds.ref': data.refundRef } : null
+    ].filter(Boolean)
+  });
+  if (!payment) return { success: false, message: 'No payment matches this event' };
+  if (payment.webhookEvents.some(e => e.eventId === event.id)) {
+    return { success: true, duplicate: true };
+  }
+
+  switch (event.type) {
+    case 'authorization.failed':
+    case 'authorization.expired':
+      if (payment.status === 'authorized') {
+        payment.status = event.type === 'authorization.expired' ? 'voided' : 'failed';
+        payment.failureReason = data.reason || event.type;
+        await Booking.findByIdAndUpdate(payment.bookingId, { paymentStatus: 'Failed' });
+      }
+      break;
+    case 'refund.processed':
+    case 'refund.failed': {
+      const refund = payment.refunds.find(r => r.ref === data.refundRef);
+      if (refund) refund.status = event.type === 'refund.processed' ? 'processed' : 'failed';
+      break;
+    }
+    default:
+      // payment.captured etc. confirm what we already recorded synchronously
+      break;
+  }
+
+  payment.webhookEvents.push({ eventId: event.id, type: event.type });
+  await payment.save();
+  return { success: true, duplicate: false };
+}
+
+module.exports = {
+  // Lifecycle
+  authorizeBooking,
+  capturePayment,
+  refundPayment,
+  applyRefundRules,
+  handleBookingStatusChange,
+
+  // Webhooks
+  handleWebhook,
+
+  // Helpers
+  buildCaptureLines,
+  getRefundPercent,
+  getEarningAssistants
+};
@@ -0,0 +1,90 @@
+/**
+ * Fake Payment Gateway
+ *
+ * Local development gateway: every call succeeds immediately (except
+ * authorizations with a method listed in paymentsConfig.fake.declineMethods).
+ * Stateless, so references stay valid across server restarts.
+ * `buildWebhook()` produces a signed webhook request for exercising the
+ * webhook endpoint without a real provider.
+ */
+
+const crypto = require('crypto');
+const { signWebhookPayload } = require('./signature');
+
+class FakeGateway {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} [options.declineMethods]
+   * @param {string} [options.webhookSecret]
+   */
+  constructor({ declineMethods = [], webhookSecret = '' } = {}) {
+    this.name = 'fake';
+    this.declineMethods = declineMethods;
+    this.webhookSecret = webhookSecret;
+  }
+
+  newRef(prefix) {
+    return `fake_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Place a hold on the passenger's payment method
+   * @param {Object} params - { amount, currency, bookingId, method }
+   * @returns {Promise<Object>} { success, ref, message }
+   */
+  async authorize({ amount, method }) {
+    if (!(amount > 0)) return { success: false, message: 'Amount must be positive' };
+    if (this.declineMethods.includes(method)) {
+      return { success: false, message: `Payment method ${method} declined` };
+    }
+    return { success: true, ref: this.newRef('auth') };
+  }
+
+  /**
+   * Capture all or part of a hold; the rest is released
+   * @returns {Promise<Object>} { success, ref, message }
+   */
+  async capture(authorizationRef, amount) {
+    if (!authorizationRef) return { success: false, message: 'Missing authorization reference' };
+    if (!(amount > 0)) return { success: false, message: 'Capture amount must be positive' };
+    return { success: true, ref: this.newRef('cap') };
+  }
+
+  /**
+   * Release a hold without charging
+   * @returns {Promise<Object>} { success, message }
+   */
+  async void(authorizationRef) {
+    if (!authorizationRef) return { success: false, message: 'Missing authorization reference' };
+    return { success: true };
+  }
+
+  /**
+   * Refund part or all of a captured amount
+   * @returns {Promise<Object>} { success, ref, message }
+   */
+  async refund(captureRef, amount) {
+    if (!captureRef) return { success: false, message: 'Missing capture reference' };
+    if (!(amount > 0)) return { success: false, message: 'Refund amount must be positive' };
+    return { success: true, ref: this.newRef('rfd') };
+  }
+
+  /**
+   * Build a signed webhook request (development helper)
+   * @param {string} type - e.g. 'refund.processed'
+   * @param {Object} data
+   * @returns {Object} { body, headers }
+   */
+  buildWebhook(type, data) {
+    const body = JSON.stringify({ id: this.newRef('evt'), type, data, createdAt: new Date().toISOString() });
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-payment-signature': signWebhookPayload(body, this.webhookSecret)
+      }
+    };
+  }
+}
+
+module.exports = FakeGateway;
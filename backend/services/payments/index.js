@@ -0,0 +1,69 @@
+/**
+ * Payment Gateways
+ *
+ * Gateway interface (duck-typed, like trainStatusProviders):
+ * - name: string
+ * - authorize({ amount, currency, bookingId, method }): Promise<{ success, ref, message }>
+ * - capture(authorizationRef, amount): Promise<{ success, ref, message }>
+ * - void(authorizationRef): Promise<{ success, message }>
+ * - refund(captureRef, amount): Promise<{ success, ref, message }>
+ *
+ * Gateways never throw for declines - they return { success: false, message }.
+ * The active gateway is chosen by paymentsConfig.gateway.
+ */
+
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments.config');
+const FakeGateway = require('./fakeGateway');
+const { signWebhookPayload, verifyWebhookSignature } = require('./signature');
+
+// Without a shared secret anyone could forge payment webhooks - production
+// fails at startup rather than at the first callback
+function resolveWebhookSecret() {
+  if (paymentsConfig.webhook.secret) return paymentsConfig.webhook.secret;
+  if (process.env.NODE_ENV === 'production') throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+  console.warn('[Payments] PAYMENT_WEBHOOK_SECRET not set - using a random key; only webhooks built by the fake gateway verify');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Signs the fake gateway's webhooks and verifies incoming ones
+const webhookSecret = resolveWebhookSecret();
+
+const GATEWAY_TYPES = {
+  fake: () => new FakeGateway({
+    declineMethods: paymentsConfig.fake.declineMethods,
+    webhookSecret
+  })
+};
+
+let activeGateway = null;
+
+/**
+ * @returns {Object} The configured gateway instance
+ */
+function getGateway() {
+  if (!activeGateway) {
+    const build = GATEWAY_TYPES[paymentsConfig.gateway];
+    if (!build) throw new Error(`Unknown payment gateway "${paymentsConfig.gateway}"`);
+    activeGateway = build();
+  }
+  return activeGateway;
+}
+
+/**
+ * Replace the active gateway (e.g. with a production adapter)
+ * @param {Object} gateway
+ */
+function setGateway(gateway) {
+  activeGateway = gateway;
+}
+
+module.exports = {
+  GATEWAY_TYPES,
+  webhookSecret,
+  getGateway,
+  setGateway,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  FakeGateway
+};
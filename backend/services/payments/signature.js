@@ -0,0 +1,58 @@
+/**
+ * Webhook Signatures
+ *
+ * Header format: `x-payment-signature: t=<unix seconds>,v1=<hex>`
+ * where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`).
+ * The timestamp is signed too, so an old request cannot be replayed with a new time.
+ */
+
+const crypto = require('crypto');
+
+function computeSignature(rawBody, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} Header value
+ */
+function signWebhookPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(rawBody, secret, timestamp)}`;
+}
+
+/**
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {string} header - x-payment-signature value
+ * @param {string} secret
+ * @param {number} toleranceSeconds - Maximum signature age
+ * @returns {Object} { valid, reason }
+ */
+function verifyWebhookSignature(rawBody, header, secret, toleranceSeconds) {
+  if (!rawBody || !header) return { valid: false, reason: 'Missing body or signature' };
+
+  const parts = {};
+  String(header).split(',').forEach(pair => {
+    const [k, v] = pair.split('=');
+    if (k && v) parts[k.trim()] = v.trim();
+  });
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return { valid: false, reason: 'Malformed signature header' };
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, secret, timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature
+};
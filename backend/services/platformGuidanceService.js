@@ -0,0 +1,263 @@
+/**
+ * Platform Guidance Service
+ *
+ * Tells the assistant where on the platform to meet the passenger:
+ * - platform: the timetable platform (TrainStop.platform) until an admin or the
+ *   assigned assistant overrides it because the platform changed on the day
+ * - coach position: where the passenger's coach sits in the train's coach
+ *   composition (Train.coachComposition, listed from the engine)
+ *
+ * e.g. "Platform 3, S4 is near the 6th position from the engine"
+ */
+
+const ServiceTask = require('../models/ServiceTask');
+const Train = require('../models/Train');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const eventBus = require('./eventBus');
+
+const PLATFORM_PATTERN = /^[0-9]{1,2}[A-Z]?$/;   // 1, 10, 1A
+const COACH_PATTERN = /^[A-Z0-9-]{1,6}$/;        // S4, B1, GEN, SLR, ENG
+const MAX_COACHES = 30;
+const OPEN_TASK_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+function normalizePlatform(value) {
+  return String(value == null ? '' : value).trim().toUpperCase().replace(/^(PF|PLATFORM)\s*/, '');
+}
+
+function normalizeCoach(value) {
+  return String(value == null ? '' : value).trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+}
+
+// ==================== COACH POSITION ====================
+
+/**
+ * Validate a coach composition
+ * @param {Array} composition - Coach labels from the engine end, e.g. ['SLR', 'GEN', 'S1', ...]
+ * @returns {Object} { valid, composition, errors }
+ */
+function validateCoachComposition(composition) {
+  if (!Array.isArray(composition) || composition.length === 0) {
+    return { valid: false, errors: ['coachComposition must be a non-empty list of coach labels'] };
+  }
+  if (composition.length > MAX_COACHES) {
+    return { valid: false, errors: [`coachComposition can have at most ${MAX_COACHES} coaches`] };
+  }
+  const normalized = composition.map(normalizeCoach);
+  const invalid = normalized.filter(c => !COACH_PATTERN.test(c));
+  if (invalid.length > 0) {
+    return { valid: false, errors: [`Invalid coach labels: ${invalid.join(', ')}`] };
+  }
+  return { valid: true, composition: normalized, errors: [] };
+}
+
+/**
+ * Where a coach sits in the composition
+ * @param {string[]} composition - From the engine end
+ * @param {string} coach - Booking coach, e.g. 's4'
+ * @returns {Object|null} { coach, position (1 = next to the engine), totalCoaches }
+ */
+function getCoachPosition(composition, coach) {
+  const label = normalizeCoach(coach);
+  if (!label || !Array.isArray(composition)) return null;
+  const index = composition.indexOf(label);
+  if (index === -1) return null;
+  return { coach: label, position: index + 1, totalCoaches: composition.length };
+}
+
+/**
+ * Platform and coach position for a new task
+ * @param {Object} params
+ * @param {Object} params.stop - TrainStop at the task's station
+ * @param {string[]} [params.composition] - Train.coachComposition
+ * @param {string} [params.coach] - Booking coach
+ * @returns {Object} { platform, coachPosition } ServiceTask fields
+ */
+function buildTaskLocation({ stop, composition, coach }) {
+  const expected = stop && stop.platform ? normalizePlatform(stop.platform) : null;
+  const position = getCoachPosition(composition, coach);
+  return {
+    platform: { expected, current: expected, source: 'timetable' },
+    coachPosition: position || { coach: normalizeCoach(coach) || null, position: null, totalCoaches: null }
+  };
+}
+
+/**
+ * One-line guidance for the assistant
+ * @param {Object} task - ServiceTask
+ * @returns {string|null} e.g. "Platform 3, S4 is near the 6th position from the engine"
+ */
+function describeTaskLocation(task) {
+  const platform = task.platform && task.platform.current;
+  const coach = task.coachPosition || {};
+  const parts = [];
+  if (platform) parts.push(`Platform ${platform}`);
+  if (coach.coach && coach.position) {
+    parts.push(`${coach.coach} is near the ${ordinal(coach.position)} position from the engine`);
+  } else if (coach.coach) {
+    parts.push(`coach ${coach.coach} (position not known)`);
+  }
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Platform/coach fields shared by task list responses
+ * @param {Object} task - ServiceTask
+ * @returns {Object} { platform, platformSource, coachPosition, guidance }
+ */
+function getTaskLocationFields(task) {
+  return {
+    platform: task.platform ? task.platform.current : null,
+    platformSource: task.platform ? task.platform.source : null,
+    coachPosition: task.coachPosition && task.coachPosition.position ? task.coachPosition : null,
+    guidance: describeTaskLocation(task)
+  };
+}
+
+/**
+ * Recompute coach positions of open tasks, e.g. after a composition or coach change
+ * @param {Object} filter - { trainNumber } or { bookingId }
+ * @returns {Promise<number>} Tasks updated
+ */
+async function refreshCoachPositions(filter) {
+  const tasks = await ServiceTask.find({ ...filter, status: { $in: OPEN_TASK_STATUSES } })
+    .select('bookingId trainNumber coachPosition')
+    .lean();
+  if (tasks.length === 0) return 0;
+
+  const [bookings, trains] = await Promise.all([
+    Booking.find({ _id: { $in: [...new Set(tasks.map(t => String(t.bookingId)))] } }).select('coach').lean(),
+    Train.find({ trainNumber: { $in: [...new Set(tasks.map(t => t.trainNumber))] } }).select('trainNumber coachComposition').lean()
+  ]);
+  const coachByBooking = new Map(bookings.map(b => [String(b._id), b.coach]));
+  const compositionByTrain = new Map(trains.map(t => [t.trainNumber, t.coachComposition]));
+
+  const ops = [];
+  for (const task of tasks) {
+    const { coachPosition } = buildTaskLocation({
+      composition: compositionByTrain.get(task.trainNumber),
+      coach: coachByBooking.get(String(task.bookingId))
+    });
+    const current = task.coachPosition || {};
+    if (current.coach !== coachPosition.coach || current.position !== coachPosition.position
+        || current.totalCoaches !== coachPosition.totalCoaches) {
+      ops.push({ updateOne: { filter: { _id: task._id }, update: { $set: { coachPosition } } } });
+    }
+  }
+  if (ops.length > 0) await ServiceTask.bulkWrite(ops);
+  return ops.length;
+}
+
+/**
+ * Replace a train's coach composition
+ * @param {string} trainNumber
+ * @param {Array} composition - Coach labels from the engine end
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, train, tasksUpdated, code, message }
+ */
+async function updateCoachComposition(trainNumber, composition, actor = {}) {
+  const check = validateCoachComposition(composition);
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  const train = await Train.findOne({ trainNumber });
+  if (!train) return { success: false, code: 'NOT_FOUND', message: 'Train not found' };
+
+  const previous = train.coachComposition || [];
+  train.coachComposition = check.composition;
+  train.coachCompositionUpdatedAt = new Date();
+  await train.save();
+
+  const tasksUpdated = await refreshCoachPositions({ trainNumber });
+  await AuditLog.create({
+    action: 'coach_composition_updated',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'train',
+    targetId: trainNumber,
+    meta: { previous, composition: check.composition, tasksUpdated }
+  });
+  return { success: true, train, tasksUpdated };
+}
+
+// ==================== PLATFORM OVERRIDE ====================
+
+/**
+ * Override the platform of a task (platform changed on the day)
+ * Assistants may only change tasks assigned to them.
+ * @param {string} taskId
+ * @param {Object} input - { platform, reason }; platform null goes back to the timetable
+ * @param {Object} actor - { id, role, assistantId }
+ * @returns {Promise<Object>} { success, task, code, message }
+ */
+async function setTaskPlatform(taskId, { platform, reason = '' } = {}, actor = {}) {
+  const cleared = platform === null;
+  const value = cleared ? null : normalizePlatform(platform);
+  if (!cleared && !PLATFORM_PATTERN.test(value)) {
+    return { success: false, code: 'INVALID', message: 'platform must be a platform number such as 3 or 1A' };
+  }
+
+  const task = await ServiceTask.findById(taskId);
+  if (!task) return { success: false, code: 'NOT_FOUND', message: 'Task not found' };
+  if (actor.role === 'assistant' && String(task.assignedAssistant) !== String(actor.assistantId)) {
+    return { success: false, code: 'FORBIDDEN', message: 'You are not assigned to this task' };
+  }
+  if (!OPEN_TASK_STATUSES.includes(task.status)) {
+    return { success: false, code: 'INVALID_STATE', message: `Cannot change the platform of a ${task.status} task` };
+  }
+
+  const expected = task.platform ? task.platform.expected : null;
+  const previous = task.platform ? task.platform.current : null;
+  const source = cleared ? 'timetable' : actor.role;
+  task.platform = {
+    expected,
+    current: cleared ? expected : value,
+    source,
+    updatedAt: new Date(),
+    updatedBy: actor.id ? String(actor.id) : null
+  };
+  task.platformHistory.push({
+    platform: task.platform.current,
+    previous,
+    source,
+    by: actor.id ? String(actor.id) : null,
+    reason: String(reason || '').slice(0, 200)
+  });
+  await task.save();
+
+  await AuditLog.create({
+    action: 'task_platform_changed',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'service_task',
+    targetId: String(task._id),
+    meta: { previous, platform: task.platform.current, source, reason }
+  });
+  if (previous !== task.platform.current) {
+    eventBus.publishTaskEvent('taskPlatformChanged', {
+      task,
+      platform: task.platform.current,
+      previousPlatform: previous,
+      source
+    });
+  }
+  console.log(`[Platform] Task ${task._id} at ${task.station}: ${previous || '-'} -> ${task.platform.current || '-'} (${source})`);
+  return { success: true, task };
+}
+
+module.exports = {
+  validateCoachComposition,
+  getCoachPosition,
+  buildTaskLocation,
+  describeTaskLocation,
+  getTaskLocationFields,
+  refreshCoachPositions,
+  updateCoachComposition,
+  setTaskPlatform,
+  normalizePlatform,
+  normalizeCoach
+};
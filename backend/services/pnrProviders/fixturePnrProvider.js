@@ -0,0 +1,40 @@
+/**
+ * Fixture PNR Provider
+ *
+ * Local stand-in for a PNR enquiry API: serves `<dir>/<pnr>.json` from disk so
+ * PNR prefill can be exercised without railway credentials.
+ * Files use the normalized field names (see pnrRecord.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizePnrRecord } = require('./pnrRecord');
+
+class FixturePnrProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Data source name
+   * @param {string} options.dir - Fixture directory (relative paths resolve from repo root)
+   */
+  constructor({ name = 'Fixture', dir } = {}) {
+    this.name = name;
+    this.dir = dir ? path.resolve(__dirname, '..', '..', '..', dir) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.dir) && fs.existsSync(this.dir);
+  }
+
+  /**
+   * @param {string} pnr - 10 digits
+   * @returns {Promise<Object|null>} Normalized record, or null if no fixture
+   */
+  async lookup(pnr) {
+    const file = path.join(this.dir, `${String(pnr).replace(/\D/g, '')}.json`);
+    if (!fs.existsSync(file)) return null;
+    const raw = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return normalizePnrRecord({ pnr, ...raw }, this.name);
+  }
+}
+
+module.exports = FixturePnrProvider;
@@ -0,0 +1,25 @@
+/**
+ * HTTP PNR Provider
+ *
+ * Fetches a PNR as JSON from `<baseUrl>/<pnr>` (404 = unknown PNR).
+ * The integration point for an upstream PNR enquiry API behind an adapter
+ * service; responses use the normalized field names or their common aliases.
+ */
+
+const HttpStatusProvider = require('../trainStatusProviders/httpStatusProvider');
+const { normalizePnrRecord } = require('./pnrRecord');
+
+// Same JSON client (timeout, 404 -> null) as the live-status provider
+class HttpPnrProvider extends HttpStatusProvider {
+  /**
+   * @param {string} pnr
+   * @returns {Promise<Object|null>} Normalized record, or null on 404
+   */
+  async lookup(pnr) {
+    const body = await this.getJson(`${this.baseUrl}/${encodeURIComponent(pnr)}`);
+    if (body === null) return null;
+    return normalizePnrRecord({ pnr, ...body }, this.name);
+  }
+}
+
+module.exports = HttpPnrProvider;
@@ -0,0 +1,78 @@
+/**
+ * PNR Lookup Providers
+ *
+ * Provider interface (duck-typed, like trainStatusProviders):
+ * - name: string
+ * - isConfigured(): boolean - false = skipped without counting as a failure
+ * - lookup(pnr): Promise<Object|null> - normalized record (see pnrRecord.js),
+ *   null when the provider does not know the PNR
+ *
+ * Providers are built from `pnr.config.js` dataSources and queried in
+ * priority order; the first one that knows the PNR wins.
+ */
+
+const FixturePnrProvider = require('./fixturePnrProvider');
+const HttpPnrProvider = require('./httpPnrProvider');
+
+const PROVIDER_TYPES = {
+  file: FixturePnrProvider,
+  http: HttpPnrProvider
+};
+
+/**
+ * Build enabled providers from data source config, sorted by priority
+ * @param {Array} dataSources - [{ name, priority, enabled, provider, options }]
+ * @returns {Array} Provider instances
+ */
+function buildProviders(dataSources = []) {
+  return dataSources
+    .filter(ds => ds.enabled)
+    .sort((a, b) => (a.priority || 99) - (b.priority || 99))
+    .map(ds => {
+      const Provider = PROVIDER_TYPES[ds.provider];
+      if (!Provider) {
+        console.warn(`[PNR] Unknown provider type "${ds.provider}" for data source ${ds.name}`);
+        return null;
+      }
+      return new Provider({ name: ds.name, ...(ds.options || {}) });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Look a PNR up with the first provider that knows it
+ * @param {string} pnr
+ * @param {Array} providers - From buildProviders()
+ * @returns {Promise<Object>} { record, attempts } - record null if no provider had it
+ */
+async function lookupWithFailover(pnr, providers) {
+  const attempts = [];
+
+  for (const provider of providers) {
+    if (!provider.isConfigured()) {
+      attempts.push({ source: provider.name, result: 'not_configured' });
+      continue;
+    }
+    try {
+      const record = await provider.lookup(pnr);
+      if (record) {
+        attempts.push({ source: provider.name, result: 'ok' });
+        return { record, attempts };
+      }
+      attempts.push({ source: provider.name, result: 'no_data' });
+    } catch (err) {
+      console.warn(`[PNR] ${provider.name} failed for PNR ${pnr}:`, err.message);
+      attempts.push({ source: provider.name, result: 'error', error: err.message });
+    }
+  }
+
+  return { record: null, attempts };
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  buildProviders,
+  lookupWithFailover,
+  FixturePnrProvider,
+  HttpPnrProvider
+};
@@ -0,0 +1,74 @@
+/**
+ * PNR Record Normalization
+ *
+ * Every PNR provider returns the same normalized shape:
+ *
+ * {
+ *   pnr, trainNumber, trainName,
+ *   journeyDate,                        // 'YYYY-MM-DD' at the boarding station
+ *   boardingStationCode, destinationStationCode,
+ *   chartPrepared,
+ *   passengers: [{ index, coach, berth, status }],   // status: CNF | RAC | WL | CAN
+ *   source, fetchedAt
+ * }
+ *
+ * Fixture and HTTP payloads may also use the common upstream aliases
+ * (doj, boardingPoint/from, reservationUpto/to, seat, currentStatus).
+ */
+
+function upper(value) {
+  return value == null ? '' : String(value).trim().toUpperCase();
+}
+
+/**
+ * Journey date as 'YYYY-MM-DD'; accepts ISO dates and DD-MM-YYYY
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeJourneyDate(value) {
+  if (!value) return null;
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  const dmy = /^(\d{2})[-/](\d{2})[-/](\d{4})$/.exec(s);
+  return dmy ? `${dmy[3]}-${dmy[2]}-${dmy[1]}` : null;
+}
+
+/**
+ * Passenger booking status code (first token, e.g. 'CNF/B2/34' -> 'CNF')
+ */
+function normalizeStatus(value) {
+  const code = upper(value).split(/[\s/,]/)[0];
+  return code || 'CNF';
+}
+
+/**
+ * @param {Object} raw - Provider or fixture payload
+ * @param {string} source - Provider name
+ * @returns {Object} Normalized PNR record
+ */
+function normalizePnrRecord(raw, source) {
+  const passengers = (raw.passengers || []).map((p, i) => ({
+    index: i,
+    coach: upper(p.coach),
+    berth: p.berth != null ? String(p.berth) : (p.seat != null ? String(p.seat) : ''),
+    status: normalizeStatus(p.status || p.currentStatus)
+  }));
+
+  return {
+    pnr: String(raw.pnr),
+    trainNumber: String(raw.trainNumber || raw.train_number || '').trim(),
+    trainName: raw.trainName || raw.train_name || '',
+    journeyDate: normalizeJourneyDate(raw.journeyDate || raw.doj),
+    boardingStationCode: upper(raw.boardingStationCode || raw.boardingPoint || raw.from),
+    destinationStationCode: upper(raw.destinationStationCode || raw.reservationUpto || raw.to),
+    chartPrepared: Boolean(raw.chartPrepared),
+    passengers,
+    source,
+    fetchedAt: new Date()
+  };
+}
+
+module.exports = {
+  normalizePnrRecord,
+  normalizeJourneyDate
+};
@@ -0,0 +1,160 @@
+/**
+ * PNR Service
+ *
+ * Looks a PNR up through the configured providers (pnr.config.js) and turns
+ * it into trusted booking fields: train, journey date, pickup/drop stations
+ * (boarding and destination) and the passenger's coach and berth.
+ * Stations are checked with schedulingService.validateServiceType against
+ * TrainStop, so a PNR booking gets the same route rules as a manual one.
+ */
+
+const pnrConfig = require('../config/pnr.config');
+const { buildProviders, lookupWithFailover } = require('./pnrProviders');
+const { validateServiceType } = require('./schedulingService');
+const { fromLocal } = require('./localTime');
+
+const PNR_PATTERN = /^\d{10}$/;
+const SERVICE_TYPES = ['pickup', 'drop', 'round_trip'];
+
+let providers = null;
+const cache = new Map(); // pnr -> { record, expiresAt }
+
+function getProviders() {
+  if (!providers) providers = buildProviders(pnrConfig.dataSources);
+  return providers;
+}
+
+/**
+ * @param {string} pnr
+ * @returns {string} Digits only
+ */
+function normalizePnr(pnr) {
+  return String(pnr || '').replace(/\D/g, '');
+}
+
+/**
+ * Look up a PNR (cached for pnrConfig.cacheTtlSeconds)
+ * @param {string} pnr
+ * @returns {Promise<Object>} { success, record, attempts, code, message }
+ */
+async function lookupPnr(pnr) {
+  const digits = normalizePnr(pnr);
+  if (!PNR_PATTERN.test(digits)) {
+    return { success: false, code: 'INVALID_PNR', message: 'PNR must be 10 digits' };
+  }
+
+  const cached = cache.get(digits);
+  if (cached && cached.expiresAt > Date.now()) return { success: true, record: cached.record, cached: true };
+
+  const { record, attempts } = await lookupWithFailover(digits, getProviders());
+  if (!record) {
+    const failed = attempts.some(a => a.result === 'error');
+    return failed
+      ? { success: false, code: 'PROVIDER_ERROR', message: 'PNR lookup is unavailable, please enter journey details', attempts }
+      : { success: false, code: 'NOT_FOUND', message: 'PNR not found', attempts };
+  }
+
+  cache.set(digits, { record, expiresAt: Date.now() + pnrConfig.cacheTtlSeconds * 1000 });
+  return { success: true, record, attempts };
+}
+
+/**
+ * 'YYYY-MM-DD' -> station local midnight; a PNR's date of journey is the boarding date
+ * (bookings resolve it to the train's start date via resolveJourneyDate)
+ */
+function journeyDateToLocal(journeyDate) {
+  if (!journeyDate) return null;
+  const [y, m, d] = journeyDate.split('-').map(Number);
+  return fromLocal(y, m, d);
+}
+
+/**
+ * Booking fields derived from a PNR
+ * - pickup     -> assistance at the boarding station
+ * - drop       -> assistance at the destination station
+ * - round_trip -> both
+ * @param {string} pnr
+ * @param {Object} options
+ * @param {string} [options.serviceType] - Default 'pickup'
+ * @param {number} [options.passengerIndex] - Which passenger on the PNR (default 0)
+ * @returns {Promise<Object>} { success, fields, record, code, message, errors }
+ */
+async function resolveBookingFromPnr(pnr, { serviceType = 'pickup', passengerIndex = 0 } = {}) {
+  const lookup = await lookupPnr(pnr);
+  if (!lookup.success) return lookup;
+  const { record } = lookup;
+
+  if (!SERVICE_TYPES.includes(serviceType)) {
+    return { success: false, code: 'INVALID', message: `Invalid service type. Must be one of: ${SERVICE_TYPES.join(', ')}` };
+  }
+  if (!record.trainNumber || !record.boardingStationCode || !record.destinationStationCode) {
+    return { success: false, code: 'INCOMPLETE_PNR', message: 'PNR record is missing train or station details' };
+  }
+
+  const passenger = record.passengers[Number(passengerIndex) || 0];
+  if (!passenger) return { success: false, code: 'INVALID', message: 'No such passenger on this PNR' };
+  if (!pnrConfig.bookableStatuses.includes(passenger.status)) {
+    return {
+      success: false,
+      code: 'NOT_BOOKABLE',
+      message: `Passenger status is ${passenger.status}; assistance needs a confirmed or RAC ticket`
+    };
+  }
+
+  const needsPickup = serviceType !== 'drop';
+  const needsDrop = serviceType !== 'pickup';
+  const errors = [];
+  let pickup = null;
+  let drop = null;
+
+  if (needsPickup) {
+    pickup = await validateServiceType(record.trainNumber, record.boardingStationCode, 'pickup');
+    if (!pickup.valid) errors.push(...pickup.errors.map(e => `Boarding station: ${e}`));
+  }
+  if (needsDrop) {
+    drop = await validateServiceType(record.trainNumber, record.destinationStationCode, 'drop');
+    if (!drop.valid) errors.push(...drop.errors.map(e => `Destination station: ${e}`));
+  }
+  if (pickup?.metadata && drop?.metadata && pickup.metadata.stopSequence >= drop.metadata.stopSequence) {
+    errors.push('Boarding station must come before the destination on this train');
+  }
+  if (errors.length > 0) return { success: false, code: 'INVALID_ROUTE', message: errors.join('. '), errors, record };
+
+  const pickupStop = pickup?.metadata?.stop;
+  const dropStop = drop?.metadata?.stop;
+  const primary = pickupStop || dropStop;
+
+  return {
+    success: true,
+    record,
+    fields: {
+      pnr: record.pnr,
+      trainNumber: record.trainNumber,
+      trainName: record.trainName || undefined,
+      journeyDate: journeyDateToLocal(record.journeyDate),
+      serviceType,
+      stationCode: primary.stationCode,
+      station: primary.stationName,
+      pickupStationCode: pickupStop ? pickupStop.stationCode : '',
+      pickupStationName: pickupStop ? pickupStop.stationName : '',
+      dropStationCode: dropStop ? dropStop.stationCode : '',
+      dropStationName: dropStop ? dropStop.stationName : '',
+      coach: passenger.coach,
+      seat: passenger.berth
+    }
+  };
+}
+
+/**
+ * Drop cached lookups (e.g. after fixtures change)
+ */
+function clearPnrCache() {
+  cache.clear();
+}
+
+module.exports = {
+  lookupPnr,
+  resolveBookingFromPnr,
+  normalizePnr,
+  clearPnrCache
+};
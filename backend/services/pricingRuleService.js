@@ -0,0 +1,420 @@
+/**
+ * Pricing Rule Service
+ *
+ * Resolves which PricingRule prices a booking and the demand multiplier at the
+ * booking's time:
+ * - rule precedence: station -> station type -> default -> built-in constants
+ * - multiplier = timeOfDay x festival x surge, capped at rule.maxMultiplier
+ * - surge steps on the station's open tasks in the next surge.windowHours as a
+ *   percent of schedulingConfig.capacity.maxConcurrentTasksPerStation
+ *
+ * Admin changes are versioned: updateRule inserts version N+1 and supersedes N.
+ * Every change is written to the AuditLog.
+ */
+
+const PricingRule = require('../models/PricingRule');
+const { PRICING_SCOPES } = require('../models/PricingRule');
+const ServiceTask = require('../models/ServiceTask');
+const AuditLog = require('../models/AuditLog');
+const schedulingConfig = require('../config/scheduling.config');
+const { getStationType } = require('./stationService');
+const { DEFAULT_PRICING, SERVICE_PRICES } = require('./pricingService');
+const { localParts } = require('./localTime');
+
+const STATION_TYPES = ['JUNCTION', 'TERMINAL', 'REGULAR', 'HALT'];
+
+// ==================== VALIDATION ====================
+
+function isMultiplier(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 24;
+}
+
+/**
+ * Validate the price table and multipliers of a rule
+ * @param {Object} input - Request body
+ * @returns {Object} { valid, errors }
+ */
+function validateRuleInput(input = {}) {
+  const errors = [];
+
+  const servicePrices = input.servicePrices || {};
+  Object.entries(servicePrices).forEach(([service, price]) => {
+    if (!(service in SERVICE_PRICES)) errors.push(`Unknown service: ${service}`);
+    if (typeof price !== 'number' || price < 0) errors.push(`Invalid price for ${service}`);
+  });
+
+  const luggage = input.luggagePrices || {};
+  ['small', 'medium', 'large'].forEach(size => {
+    if (luggage[size] !== undefined && (typeof luggage[size] !== 'number' || luggage[size] < 0)) {
+      errors.push(`Invalid luggage price for ${size}`);
+    }
+  });
+
+  if (input.platformFee !== undefined && (typeof input.platformFee !== 'number' || input.platformFee < 0)) {
+    errors.push('platformFee must be a non-negative number');
+  }
+
+  (input.timeOfDay || []).forEach((w, i) => {
+    if (!isHour(w.startHour) || !isHour(w.endHour) || w.startHour === w.endHour) {
+      errors.push(`timeOfDay[${i}]: startHour/endHour must be different hours 0-24`);
+    }
+    if (!isMultiplier(w.multiplier)) errors.push(`timeOfDay[${i}]: invalid multiplier`);
+  });
+
+  (input.festivals || []).forEach((f, i) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(f.date || '')) errors.push(`festivals[${i}]: date must be YYYY-MM-DD`);
+    if (!isMultiplier(f.multiplier)) errors.push(`festivals[${i}]: invalid multiplier`);
+  });
+
+  if (input.surge) {
+    (input.surge.steps || []).forEach((s, i) => {
+      if (typeof s.minUtilizationPercent !== 'number' || s.minUtilizationPercent < 0) {
+        errors.push(`surge.steps[${i}]: invalid minUtilizationPercent`);
+      }
+      if (!isMultiplier(s.multiplier)) errors.push(`surge.steps[${i}]: invalid multiplier`);
+    });
+  }
+
+  if (input.maxMultiplier !== undefined && (typeof input.maxMultiplier !== 'number' || input.maxMultiplier < 1)) {
+    errors.push('maxMultiplier must be at least 1');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize scope + scopeKey; station types are the Station.stationType values
+ * @returns {Object} { valid, scope, scopeKey, errors }
+ */
+function normalizeScope(scope, scopeKey) {
+  if (!PRICING_SCOPES.includes(scope)) {
+    return { valid: false, errors: [`scope must be one of ${PRICING_SCOPES.join(', ')}`] };
+  }
+  if (scope === 'default') return { valid: true, scope, scopeKey: '*' };
+
+  const key = String(scopeKey || '').trim().toUpperCase();
+  if (!key) return { valid: false, errors: ['scopeKey is required'] };
+  if (scope === 'station_type' && !STATION_TYPES.includes(key)) {
+    return { valid: false, errors: [`station type must be one of ${STATION_TYPES.join(', ').toLowerCase()}`] };
+  }
+  return { valid: true, scope, scopeKey: key };
+}
+
+// ==================== RESOLUTION ====================
+
+/**
+ * Most specific active rule for a station
+ * @param {Object} params
+ * @param {string} [params.stationCode]
+ * @param {string} [params.stationName]
+ * @returns {Promise<Object|null>} PricingRule (lean) or null for built-in prices
+ */
+async function getActiveRule({ stationCode, stationName } = {}) {
+  const candidates = [];
+  if (stationCode) candidates.push({ scope: 'station', scopeKey: String(stationCode).toUpperCase() });
+  if (stationCode || stationName) {
+    const type = await getStationType({ code: stationCode, name: stationName });
+    candidates.push({ scope: 'station_type', scopeKey: type.toUpperCase() });
+  }
+  candidates.push({ scope: 'default', scopeKey: '*' });
+
+  const rules = await PricingRule.find({ status: 'active', $or: candidates }).lean();
+  for (const candidate of candidates) {
+    const rule = rules.find(r => r.scope === candidate.scope && r.scopeKey === candidate.scopeKey);
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Open tasks at the station in [at, at + windowHours) as a percent of capacity
+ * @param {string} stationName - ServiceTask.station
+ * @param {Date} at
+ * @param {number} windowHours
+ * @returns {Promise<number>}
+ */
+async function getStationUtilization(stationName, at, windowHours) {
+  if (!stationName) return 0;
+  const capacity = schedulingConfig.capacity.maxConcurrentTasksPerStation;
+  const escaped = stationName.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const openTasks = await ServiceTask.countDocuments({
+    station: { $regex: new RegExp('^' + escaped + '$', 'i') },
+    status: { $in: ['pending', 'assigned', 'in_progress'] },
+    scheduledTime: { $gte: at, $lt: new Date(at.getTime() + windowHours * 60 * 60 * 1000) }
+  });
+  return Math.round((openTasks / capacity) * 100);
+}
+
+function inHourWindow(hour, { startHour, endHour }) {
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;   // wraps midnight
+}
+
+/**
+ * Demand multipliers of a rule at a time
+ * Overlapping time windows or festivals take the highest multiplier; the
+ * surge step is the highest one whose threshold is reached.
+ * @param {Object} rule - PricingRule
+ * @param {Object} params
+ * @param {Date} params.at
+ * @param {number} [params.utilizationPercent]
+ * @returns {Object} { timeOfDay, festival, surge, combined, capped }
+ */
+function getMultipliers(rule, { at, utilizationPercent = 0 }) {
+  // Time windows and festival dates are station local time
+  const { hour, day: dateKey } = localParts(at);
+
+  // No match is 1; a match below 1 (off-peak discount) still applies
+  const highest = list => (list.length > 0 ? Math.max(...list) : 1);
+  const timeOfDay = highest((rule.timeOfDay || []).filter(w => inHourWindow(hour, w)).map(w => w.multiplier));
+  const festival = highest((rule.festivals || []).filter(f => f.date === dateKey).map(f => f.multiplier));
+
+  let surge = 1;
+  if (rule.surge && rule.surge.enabled) {
+    const step = (rule.surge.steps || [])
+      .filter(s => utilizationPercent >= s.minUtilizationPercent)
+      .sort((a, b) => b.minUtilizationPercent - a.minUtilizationPercent)[0];
+    if (step) surge = step.multiplier;
+  }
+
+  const uncapped = timeOfDay * festival * surge;
+  const combined = Math.min(uncapped, rule.maxMultiplier || uncapped);
+  return {
+    timeOfDay,
+    festival,
+    surge,
+    combined: parseFloat(combined.toFixed(3)),
+    capped: combined < uncapped
+  };
+}
+
+/**
+ * Pricing input for calculateTotalPrice
+ * @param {Object} params
+ * @param {string} [params.stationCode]
+ * @param {string} [params.stationName]
+ * @param {Date} [params.at] - Service time (booking arrivalTime), defaults to now
+ * @returns {Promise<Object>} { servicePrices, luggagePrices, platformFee, multiplier,
+ *   multipliers, utilizationPercent, ruleId, scope, scopeKey, version }
+ */
+async function resolvePricing({ stationCode, stationName, at } = {}) {
+  const when = at && !isNaN(new Date(at)) ? new Date(at) : new Date();
+  const rule = await getActiveRule({ stationCode, stationName });
+  if (!rule) {
+    return {
+      ...DEFAULT_PRICING,
+      multipliers: { timeOfDay: 1, festival: 1, surge: 1 },
+      utilizationPercent: null,
+      ruleId: null,
+      scope: 'builtin',
+      scopeKey: ''
+    };
+  }
+
+  const utilizationPercent = rule.surge && rule.surge.enabled
+    ? await getStationUtilization(stationName, when, rule.surge.windowHours || 2)
+    : null;
+  const m = getMultipliers(rule, { at: when, utilizationPercent: utilizationPercent || 0 });
+
+  return {
+    // Services the rule does not price keep the built-in price
+    servicePrices: { ...SERVICE_PRICES, ...(rule.servicePrices || {}) },
+    luggagePrices: { none: 0, ...rule.luggagePrices },
+    platformFee: rule.platformFee,
+    multiplier: m.combined,
+    multipliers: { timeOfDay: m.timeOfDay, festival: m.festival, surge: m.surge },
+    utilizationPercent,
+    ruleId: rule._id,
+    scope: rule.scope,
+    scopeKey: rule.scopeKey,
+    version: rule.version
+  };
+}
+
+/**
+ * Booking.pricingRule snapshot of a resolvePricing result
+ * @param {Object} pricing
+ * @returns {Object}
+ */
+function toBookingPricingRule(pricing) {
+  return {
+    ruleId: pricing.ruleId,
+    scope: pricing.scope,
+    scopeKey: pricing.scopeKey,
+    version: pricing.version,
+    multiplier: pricing.multiplier,
+    multipliers: pricing.multipliers,
+    platformFee: pricing.platformFee
+  };
+}
+
+// ==================== ADMIN CHANGES ====================
+
+const EDITABLE_FIELDS = [
+  'servicePrices', 'luggagePrices', 'platformFee',
+  'timeOfDay', 'festivals', 'surge', 'maxMultiplier', 'notes'
+];
+
+function pickEditable(input) {
+  const out = {};
+  EDITABLE_FIELDS.forEach(f => { if (input[f] !== undefined) out[f] = input[f]; });
+  return out;
+}
+
+function ruleSnapshot(rule) {
+  const obj = rule.toObject ? rule.toObject() : rule;
+  const snapshot = {};
+  EDITABLE_FIELDS.forEach(f => { snapshot[f] = obj[f]; });
+  return snapshot;
+}
+
+async function auditRule(action, rule, actor, meta = {}) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'pricing_rule',
+    targetId: String(rule._id),
+    meta: { scope: rule.scope, scopeKey: rule.scopeKey, version: rule.version, ...meta }
+  });
+}
+
+/**
+ * Create version 1 of a rule for a scope with no active rule
+ * Missing prices are filled from the built-in table.
+ * @param {Object} input - { scope, scopeKey, ...editable fields }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, rule, code, message, errors }
+ */
+async function createRule(input, actor = {}) {
+  const scope = normalizeScope(input.scope, input.scopeKey);
+  const check = validateRuleInput(input);
+  const errors = [...(scope.errors || []), ...check.errors];
+  if (errors.length > 0) return { success: false, code: 'INVALID', message: errors.join('. '), errors };
+
+  if (await PricingRule.exists({ scope: scope.scope, scopeKey: scope.scopeKey, status: 'active' })) {
+    return { success: false, code: 'CONFLICT', message: 'An active rule exists for this scope; update it instead' };
+  }
+  const latest = await PricingRule.findOne({ scope: scope.scope, scopeKey: scope.scopeKey })
+    .sort({ version: -1 }).select('version').lean();
+
+  const fields = pickEditable(input);
+  let rule;
+  try {
+    rule = await PricingRule.create({
+      platformFee: DEFAULT_PRICING.platformFee,
+      ...fields,
+      luggagePrices: { ...DEFAULT_PRICING.luggagePrices, ...(fields.luggagePrices || {}) },
+      scope: scope.scope,
+      scopeKey: scope.scopeKey,
+      version: latest ? latest.version + 1 : 1,
+      status: 'active',
+      createdBy: actor.id || null
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, code: 'CONFLICT', message: 'An active rule exists for this scope; update it instead' };
+    }
+    throw err;
+  }
+
+  await auditRule('pricing_rule_created', rule, actor, { rule: ruleSnapshot(rule) });
+  return { success: true, rule };
+}
+
+/**
+ * Publish a new version of an active rule
+ * The current version is superseded first so the one-active-per-scope index
+ * holds; if the insert fails it is reactivated.
+ * @param {string} ruleId - Any version's id; must be the active one
+ * @param {Object} input - Editable fields to change
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, rule, previous, code, message, errors }
+ */
+async function updateRule(ruleId, input, actor = {}) {
+  const check = validateRuleInput(input);
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  const current = await PricingRule.findOneAndUpdate(
+    { _id: ruleId, status: 'active' },
+    { status: 'superseded' },
+    { new: true }
+  );
+  if (!current) return ruleStateError(ruleId);
+
+  const previous = ruleSnapshot(current);
+  const fields = pickEditable(input);
+  let rule;
+  try {
+    rule = await PricingRule.create({
+      ...previous,
+      ...fields,
+      luggagePrices: { ...previous.luggagePrices, ...(fields.luggagePrices || {}) },
+      scope: current.scope,
+      scopeKey: current.scopeKey,
+      version: current.version + 1,
+      status: 'active',
+      createdBy: actor.id || null,
+      previousVersionId: current._id
+    });
+  } catch (err) {
+    await PricingRule.updateOne({ _id: current._id, status: 'superseded' }, { status: 'active' });
+    if (err.code === 11000) {
+      return { success: false, code: 'CONFLICT', message: 'Rule was changed concurrently; retry' };
+    }
+    throw err;
+  }
+
+  await auditRule('pricing_rule_updated', rule, actor, {
+    previousVersion: current.version,
+    changes: Object.keys(fields)
+  });
+  return { success: true, rule, previous: current };
+}
+
+/**
+ * Retire the active version; bookings fall back to the next scope
+ * @param {string} ruleId
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, rule, code, message }
+ */
+async function retireRule(ruleId, actor = {}) {
+  const rule = await PricingRule.findOneAndUpdate(
+    { _id: ruleId, status: 'active' },
+    { status: 'retired' },
+    { new: true }
+  );
+  if (!rule) return ruleStateError(ruleId);
+
+  await auditRule('pricing_rule_retired', rule, actor);
+  return { success: true, rule };
+}
+
+async function ruleStateError(ruleId) {
+  const current = await PricingRule.findById(ruleId).select('status').lean();
+  if (!current) return { success: false, code: 'NOT_FOUND', message: 'Pricing rule not found' };
+  return { success: false, code: 'INVALID_STATE', message: `Pricing rule is ${current.status}; only the active version can change` };
+}
+
+module.exports = {
+  // Resolution
+  getActiveRule,
+  resolvePricing,
+  getMultipliers,
+  getStationUtilization,
+  toBookingPricingRule,
+
+  // Admin
+  validateRuleInput,
+  createRule,
+  updateRule,
+  retireRule,
+
+  // Constants
+  STATION_TYPES
+};
@@ -8,6 +8,8 @@
  * - Frontend MUST NOT calculate final prices
  */
 
+const accessibilityConfig = require('../config/accessibility.config');
+
 // Luggage pricing configuration (₹ per item)
 const LUGGAGE_PRICES = {
   none: 0,
@@ -29,7 +31,13 @@ const LUGGAGE_WEIGHT_INFO = {
 const SERVICE_PRICES = {
   'Luggage': 0,    // All-inclusive in LUGGAGE_PRICES
   'SeatEscort': 60,
-  'Language': 30
+  'Language': 30,
+  // Accessibility services (skill and equipment in config/accessibility.config.js)
+  'OwnWheelchair': 80,
+  'StationWheelchair': 120,
+  'Stretcher': 250,
+  'BatteryCar': 150,
+  'VisuallyImpairedGuide': 100
 };
 
 // Platform fee
@@ -42,13 +50,23 @@ const ROUND_TRIP_MULTIPLIER = 2;
 // Max luggage quantity allowed
 const MAX_LUGGAGE_QUANTITY = 8;
 
+// Built-in price table, used when no PricingRule is active (version 0)
+const DEFAULT_PRICING = {
+  servicePrices: SERVICE_PRICES,
+  luggagePrices: LUGGAGE_PRICES,
+  platformFee: PLATFORM_FEE,
+  multiplier: 1,
+  version: 0
+};
+
 /**
  * Calculate luggage cost based on size and quantity
  * @param {string} size - 'none', 'small', 'medium', 'large'
  * @param {number} quantity - Number of luggage items (0-8)
+ * @param {Object} [luggagePrices] - Price per size (default LUGGAGE_PRICES)
  * @returns {Object} { luggageCost, pricePerItem, validated }
  */
-function calculateLuggageCost(size, quantity) {
+function calculateLuggageCost(size, quantity, luggagePrices = LUGGAGE_PRICES) {
   // Validate size
   const validSizes = Object.keys(LUGGAGE_PRICES);
   const normalizedSize = validSizes.includes(size) ? size : 'none';
@@ -68,7 +86,7 @@ function calculateLuggageCost(size, quantity) {
   }
   
   // If quantity is 0, cost must be 0
-  const pricePerItem = LUGGAGE_PRICES[normalizedSize];
+  const pricePerItem = normalizedSize === 'none' ? 0 : luggagePrices[normalizedSize];
   const luggageCost = validQuantity === 0 ? 0 : pricePerItem * validQuantity;
   
   return {
@@ -83,9 +101,10 @@ function calculateLuggageCost(size, quantity) {
 /**
  * Calculate cost for multi-luggage cart system
  * @param {Array} luggageItems - Array of { type, quantity }
+ * @param {Object} [luggagePrices] - Price per size (default LUGGAGE_PRICES)
  * @returns {Object} { items, totalCost, validated, errors }
  */
-function calculateMultiLuggageCost(luggageItems = []) {
+function calculateMultiLuggageCost(luggageItems = [], luggagePrices = LUGGAGE_PRICES) {
   if (!Array.isArray(luggageItems) || luggageItems.length === 0) {
     return {
       items: [],
@@ -117,7 +136,7 @@ function calculateMultiLuggageCost(luggageItems = []) {
       qty = MAX_LUGGAGE_QUANTITY;
     }
     
-    const pricePerUnit = LUGGAGE_PRICES[item.type];
+    const pricePerUnit = luggagePrices[item.type];
     const itemTotal = pricePerUnit * qty;
     
     processedItems.push({
@@ -193,10 +212,48 @@ function validateMultiLuggageInput(luggageItems) {
   };
 }
 
+/**
+ * Validate the services of a booking
+ * Unknown services are rejected (they would silently be priced at 0), and a
+ * booking may have at most one accessibility service per group (one mobility aid)
+ * @param {Array} services
+ * @returns {Object} { valid, errors, sanitized }
+ */
+function validateServicesInput(services) {
+  if (services === undefined || services === null) {
+    return { valid: true, errors: [], sanitized: [] };
+  }
+  if (!Array.isArray(services) || !services.every(s => typeof s === 'string')) {
+    return { valid: false, errors: ['services must be a list of service names'], sanitized: [] };
+  }
+
+  const errors = [];
+  const sanitized = [...new Set(services.map(s => s.trim()).filter(Boolean))];
+  const unknown = sanitized.filter(s => !(s in SERVICE_PRICES));
+  if (unknown.length > 0) {
+    errors.push(`Unknown service: ${unknown.join(', ')}`);
+  }
+
+  const byGroup = {};
+  sanitized.forEach(s => {
+    const accessibility = accessibilityConfig.services[s];
+    if (accessibility && accessibility.group) {
+      (byGroup[accessibility.group] = byGroup[accessibility.group] || []).push(s);
+    }
+  });
+  Object.entries(byGroup).forEach(([group, list]) => {
+    if (list.length > 1) errors.push(`Choose only one ${group} service (got ${list.join(', ')})`);
+  });
+
+  return { valid: errors.length === 0, errors, sanitized };
+}
+
 /**
  * Calculate total booking price
  * Supports both legacy (single size/quantity) and new multi-luggage cart system
  * @param {Object} params - Booking parameters
+ * @param {Object} [params.pricing] - Resolved pricing rule (pricingRuleService.resolvePricing);
+ *   defaults to the built-in constants with no demand multiplier
  * @returns {Object} Price breakdown
  */
 function calculateTotalPrice({
@@ -205,14 +262,20 @@ function calculateTotalPrice({
   luggageQuantity = 0,
   luggageItems = [],      // NEW: multi-luggage cart array
   serviceType = 'pickup',
-  includeInsurance = false
+  includeInsurance = false,
+  pricing = DEFAULT_PRICING
 }) {
+  const servicePrices = pricing.servicePrices || SERVICE_PRICES;
+  const luggagePrices = pricing.luggagePrices || LUGGAGE_PRICES;
+  const platformFee = pricing.platformFee ?? PLATFORM_FEE;
+  const demandMultiplier = pricing.multiplier || 1;
+
   // Calculate services total
   let servicesTotal = 0;
   const serviceBreakdown = [];
   
   services.forEach(svc => {
-    const price = SERVICE_PRICES[svc] || 0;
+    const price = servicePrices[svc] || 0;
     if (price > 0) {
       servicesTotal += price;
       serviceBreakdown.push({ service: svc, price });
@@ -225,7 +288,7 @@ function calculateTotalPrice({
   
   if (Array.isArray(luggageItems) && luggageItems.length > 0) {
     // NEW: Multi-luggage cart calculation
-    const multiCalc = calculateMultiLuggageCost(luggageItems);
+    const multiCalc = calculateMultiLuggageCost(luggageItems, luggagePrices);
     luggageBreakdown = {
       mode: 'multi',
       items: multiCalc.items,
@@ -234,7 +297,7 @@ function calculateTotalPrice({
     totalLuggageCost = multiCalc.totalCost;
   } else {
     // LEGACY: Single size/quantity calculation
-    const legacyCalc = calculateLuggageCost(luggageSize, luggageQuantity);
+    const legacyCalc = calculateLuggageCost(luggageSize, luggageQuantity, luggagePrices);
     luggageBreakdown = {
       mode: 'legacy',
       size: legacyCalc.size,
@@ -245,18 +308,14 @@ function calculateTotalPrice({
     totalLuggageCost = legacyCalc.luggageCost;
   }
   
-  // Base subtotal (services + luggage + platform fee)
-  let subtotal = servicesTotal + totalLuggageCost + PLATFORM_FEE;
-  
   // Round trip multiplier (applies to services and luggage, not platform fee)
   const isRoundTrip = serviceType === 'round_trip';
-  let roundTripMultiplier = 1;
+  const roundTripMultiplier = isRoundTrip ? ROUND_TRIP_MULTIPLIER : 1;
+  const serviceAmount = (servicesTotal + totalLuggageCost) * roundTripMultiplier;
   
-  if (isRoundTrip) {
-    roundTripMultiplier = ROUND_TRIP_MULTIPLIER;
-    // Only multiply services and luggage, platform fee stays same
-    subtotal = (servicesTotal + totalLuggageCost) * ROUND_TRIP_MULTIPLIER + PLATFORM_FEE;
-  }
+  // Demand multiplier (time of day / festival / surge) - also never on the platform fee
+  const demandAdjustment = parseFloat((serviceAmount * (demandMultiplier - 1)).toFixed(2));
+  const subtotal = serviceAmount + demandAdjustment + platformFee;
   
   // Insurance
   const insuranceCost = includeInsurance ? INSURANCE_COST : 0;
@@ -267,9 +326,13 @@ function calculateTotalPrice({
       services: serviceBreakdown,
       servicesTotal,
       luggage: luggageBreakdown,
-      platformFee: PLATFORM_FEE,
-      roundTripMultiplier: isRoundTrip ? ROUND_TRIP_MULTIPLIER : 1,
+      platformFee,
+      roundTripMultiplier,
       roundTripApplied: isRoundTrip,
+      demandMultiplier,
+      demandMultipliers: pricing.multipliers || null,
+      demandAdjustment,
+      pricingVersion: pricing.version || 0,
       insuranceCost,
       includeInsurance
     },
@@ -279,6 +342,39 @@ function calculateTotalPrice({
   };
 }
 
+/**
+ * Take promo and wallet discounts off a calculateTotalPrice result
+ * Amounts come from promotionService; the total never drops below minPayable.
+ * @param {Object} priceCalc - calculateTotalPrice() result
+ * @param {Object} discount
+ * @param {string} [discount.promoCode]
+ * @param {number} [discount.promoAmount]
+ * @param {number} [discount.walletAmount]
+ * @param {number} [discount.minPayable]
+ * @returns {Object} priceCalc with breakdown.discount and the reduced total
+ */
+function applyDiscount(priceCalc, { promoCode = '', promoAmount = 0, walletAmount = 0, minPayable = 0 } = {}) {
+  const maxDiscount = Math.max(priceCalc.total - minPayable, 0);
+  const promo = parseFloat(Math.min(promoAmount, maxDiscount).toFixed(2));
+  const wallet = parseFloat(Math.min(walletAmount, maxDiscount - promo).toFixed(2));
+  const total = parseFloat((priceCalc.total - promo - wallet).toFixed(2));
+
+  return {
+    ...priceCalc,
+    breakdown: {
+      ...priceCalc.breakdown,
+      discount: {
+        promoCode: promo > 0 ? promoCode : '',
+        promoAmount: promo,
+        walletAmount: wallet,
+        total: parseFloat((promo + wallet).toFixed(2))
+      }
+    },
+    totalBeforeDiscount: priceCalc.total,
+    total
+  };
+}
+
 /**
  * Validate luggage input
  * @param {string} size 
@@ -397,11 +493,14 @@ module.exports = {
   INSURANCE_COST,
   MAX_LUGGAGE_QUANTITY,
   ROUND_TRIP_MULTIPLIER,
+  DEFAULT_PRICING,
   calculateLuggageCost,
   calculateMultiLuggageCost,
   calculateTotalPrice,
+  applyDiscount,
   validateLuggageInput,
   validateMultiLuggageInput,
+  validateServicesInput,
   getLuggageDisplayString,
   getMultiLuggageDisplayString,
   getLuggageAssistantInfo
@@ -0,0 +1,537 @@
+/**
+ * Promotion Service
+ *
+ * Promo codes, passenger wallets and referral credits (config/promotions.config.js).
+ *
+ * Checkout:
+ * - quoteDiscounts:  promo + wallet amounts for a priced booking (no side effects)
+ * - redeemCheckout:  atomically consume the promo use and the wallet credit for
+ *                    a booking; rolled back together if either fails
+ * - handleBookingStatusChange: a cancelled/rejected booking gets its promo use
+ *                    and wallet credit back; a completed one rewards the referrer
+ *
+ * Wallet balances only change through creditWallet/debitWallet, which keep
+ * User.walletBalance and the WalletTransaction journal in step.
+ */
+
+const crypto = require('crypto');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const promotionsConfig = require('../config/promotions.config');
+const { roundMoney } = require('./ledgerService');
+
+// ==================== PROMO CODES ====================
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Discount a promo gives on a booking subtotal
+ * @param {Object} promo - PromoCode
+ * @param {number} subtotal - calculateTotalPrice().subtotal (before insurance)
+ * @returns {number}
+ */
+function computePromoDiscount(promo, subtotal) {
+  let discount = promo.discountType === 'percent'
+    ? subtotal * promo.value / 100
+    : promo.value;
+  if (promo.discountType === 'percent' && promo.maxDiscount != null) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  return roundMoney(Math.min(discount, subtotal));
+}
+
+/**
+ * Check a promo against a booking (limits are re-checked atomically on redemption)
+ * @param {Object} promo - PromoCode
+ * @param {Object} ctx - { userId, stationCode, serviceType, subtotal, at }
+ * @returns {Promise<Object>} { valid, code, message }
+ */
+async function checkPromo(promo, { userId, stationCode, serviceType, subtotal, at = new Date() }) {
+  const fail = (code, message) => ({ valid: false, code, message });
+
+  if (!promo || !promo.active) return fail('PROMO_INVALID', 'Promo code is not valid');
+  if (promo.validFrom && at < promo.validFrom) return fail('PROMO_NOT_STARTED', 'Promo code is not active yet');
+  if (promo.validUntil && at > promo.validUntil) return fail('PROMO_EXPIRED', 'Promo code has expired');
+  if (promo.usageLimit != null && promo.usedCount >= promo.usageLimit) {
+    return fail('PROMO_EXHAUSTED', 'Promo code has been fully used');
+  }
+  if (promo.stations.length > 0 && !promo.stations.includes(normalizeCode(stationCode))) {
+    return fail('PROMO_NOT_APPLICABLE', 'Promo code is not valid at this station');
+  }
+  if (promo.serviceTypes.length > 0 && !promo.serviceTypes.includes(serviceType)) {
+    return fail('PROMO_NOT_APPLICABLE', `Promo code is not valid for ${serviceType} bookings`);
+  }
+  if (subtotal < promo.minOrderAmount) {
+    return fail('PROMO_MIN_ORDER', `Promo code needs a booking of at least ₹${promo.minOrderAmount}`);
+  }
+  if (!userId) return fail('LOGIN_REQUIRED', 'Log in to use promo codes');
+
+  const used = await PromoRedemption.countDocuments({ promoId: promo._id, userId, status: 'applied' });
+  if (used >= promo.perUserLimit) return fail('PROMO_USER_LIMIT', 'You have already used this promo code');
+
+  return { valid: true };
+}
+
+/**
+ * Promo and wallet amounts for a booking price
+ * @param {Object} params
+ * @param {Object} params.priceCalc - calculateTotalPrice() result
+ * @param {string} [params.userId]
+ * @param {string} [params.promoCode]
+ * @param {boolean} [params.useWallet]
+ * @param {string} [params.stationCode]
+ * @param {string} [params.serviceType]
+ * @returns {Promise<Object>} { success, promo, promoCode, promoAmount, walletAmount,
+ *   walletBalance, minPayable, code, message }
+ */
+async function quoteDiscounts({ priceCalc, userId = null, promoCode = '', useWallet = false, stationCode, serviceType }) {
+  const minPayable = promotionsConfig.checkout.minPayableAmount;
+  const room = Math.max(roundMoney(priceCalc.total - minPayable), 0);
+  const quote = { success: true, promo: null, promoCode: '', promoAmount: 0, walletAmount: 0, walletBalance: 0, minPayable };
+
+  const code = normalizeCode(promoCode);
+  if (code) {
+    const promo = await PromoCode.findOne({ code }).lean();
+    const check = await checkPromo(promo, { userId, stationCode, serviceType, subtotal: priceCalc.subtotal });
+    if (!check.valid) return { ...quote, success: false, code: check.code, message: check.message };
+    quote.promo = promo;
+    quote.promoCode = code;
+    quote.promoAmount = Math.min(computePromoDiscount(promo, priceCalc.subtotal), room);
+  }
+
+  if (userId) {
+    const user = await User.findById(userId).select('walletBalance').lean();
+    quote.walletBalance = user ? user.walletBalance || 0 : 0;
+    if (useWallet) {
+      quote.walletAmount = roundMoney(Math.min(quote.walletBalance, room - quote.promoAmount));
+    }
+  }
+  return quote;
+}
+
+/**
+ * Consume one use of a promo for a booking
+ * Global limit and validity are enforced in the update itself; the per-user
+ * limit is checked after inserting the redemption and undone if exceeded.
+ * @returns {Promise<Object>} { success, redemption, code, message }
+ */
+async function redeemPromo({ promoId, userId, bookingId, discountAmount }) {
+  const now = new Date();
+  const promo = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoId,
+      active: true,
+      $and: [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!promo) return { success: false, code: 'PROMO_EXHAUSTED', message: 'Promo code is no longer available' };
+
+  let redemption;
+  try {
+    redemption = await PromoRedemption.create({
+      promoId: promo._id,
+      code: promo.code,
+      userId,
+      bookingId,
+      discountAmount
+    });
+  } catch (err) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { usedCount: -1 } });
+    if (err.code === 11000) return { success: false, code: 'CONFLICT', message: 'Promo already applied to this booking' };
+    throw err;
+  }
+
+  const used = await PromoRedemption.countDocuments({ promoId: promo._id, userId, status: 'applied' });
+  if (used > promo.perUserLimit) {
+    await releasePromo(bookingId);
+    return { success: false, code: 'PROMO_USER_LIMIT', message: 'You have already used this promo code' };
+  }
+  return { success: true, redemption };
+}
+
+/**
+ * Give a booking's promo use back (cancelled/rejected). Idempotent.
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>} Released redemption
+ */
+async function releasePromo(bookingId) {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { bookingId, status: 'applied' },
+    { status: 'released', releasedAt: new Date() },
+    { new: true }
+  );
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+  return redemption;
+}
+
+function validatePromoInput(input, { partial = false } = {}) {
+  const errors = [];
+  const has = f => input[f] !== undefined;
+
+  if (!partial || has('code')) {
+    if (!promotionsConfig.promo.codePattern.test(normalizeCode(input.code))) {
+      errors.push('code must be 3-20 letters, digits, - or _');
+    }
+  }
+  if (!partial || has('discountType')) {
+    if (!['percent', 'flat'].includes(input.discountType)) errors.push('discountType must be percent or flat');
+  }
+  if (!partial || has('value')) {
+    if (typeof input.value !== 'number' || !(input.value > 0)) errors.push('value must be a positive number');
+    else if (input.discountType === 'percent' && input.value > 100) errors.push('percent value must be at most 100');
+  }
+  ['maxDiscount', 'minOrderAmount'].forEach(f => {
+    if (has(f) && input[f] !== null && (typeof input[f] !== 'number' || input[f] < 0)) errors.push(`${f} must be a non-negative number`);
+  });
+  ['usageLimit', 'perUserLimit'].forEach(f => {
+    if (has(f) && input[f] !== null && !(Number.isInteger(input[f]) && input[f] >= 1)) errors.push(`${f} must be a positive integer`);
+  });
+  ['validFrom', 'validUntil'].forEach(f => {
+    if (has(f) && input[f] !== null && isNaN(new Date(input[f]))) errors.push(`${f} must be a date`);
+  });
+  if (input.validFrom && input.validUntil && new Date(input.validFrom) >= new Date(input.validUntil)) {
+    errors.push('validFrom must be before validUntil');
+  }
+  if (has('serviceTypes') && (!Array.isArray(input.serviceTypes) ||
+      input.serviceTypes.some(t => !['pickup', 'drop', 'round_trip'].includes(t)))) {
+    errors.push('serviceTypes must be a list of pickup, drop, round_trip');
+  }
+  if (has('stations') && !Array.isArray(input.stations)) errors.push('stations must be a list of station codes');
+
+  return { valid: errors.length === 0, errors };
+}
+
+const PROMO_FIELDS = [
+  'description', 'discountType', 'value', 'maxDiscount', 'minOrderAmount',
+  'validFrom', 'validUntil', 'active', 'usageLimit', 'perUserLimit', 'stations', 'serviceTypes'
+];
+
+function pickPromoFields(input) {
+  const out = {};
+  PROMO_FIELDS.forEach(f => { if (input[f] !== undefined) out[f] = input[f]; });
+  if (out.stations) out.stations = out.stations.map(normalizeCode).filter(Boolean);
+  return out;
+}
+
+/**
+ * @param {Object} input - PromoCode fields
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, promo, code, message, errors }
+ */
+async function createPromo(input = {}, actor = {}) {
+  const check = validatePromoInput(input);
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  let promo;
+  try {
+    promo = await PromoCode.create({
+      perUserLimit: promotionsConfig.promo.defaultPerUserLimit,
+      ...pickPromoFields(input),
+      code: normalizeCode(input.code),
+      createdBy: actor.id || null
+    });
+  } catch (err) {
+    if (err.code === 11000) return { success: false, code: 'CONFLICT', message: 'Promo code already exists' };
+    throw err;
+  }
+
+  await AuditLog.create({
+    action: 'promo_created',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'promo_code',
+    targetId: String(promo._id),
+    meta: { code: promo.code, ...pickPromoFields(input) }
+  });
+  return { success: true, promo };
+}
+
+/**
+ * Change a promo's terms; the code itself and usedCount cannot change
+ * @returns {Promise<Object>} { success, promo, code, message, errors }
+ */
+async function updatePromo(promoId, input = {}, actor = {}) {
+  const current = await PromoCode.findById(promoId).lean();
+  if (!current) return { success: false, code: 'NOT_FOUND', message: 'Promo code not found' };
+
+  const fields = pickPromoFields(input);
+  const check = validatePromoInput({ ...current, ...fields, code: current.code }, { partial: true });
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  const promo = await PromoCode.findByIdAndUpdate(promoId, fields, { new: true, runValidators: true });
+  await AuditLog.create({
+    action: 'promo_updated',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'promo_code',
+    targetId: String(promo._id),
+    meta: { code: promo.code, changes: fields }
+  });
+  return { success: true, promo };
+}
+
+// ==================== WALLET ====================
+
+/**
+ * Add credit to a wallet
+ * @param {string} userId
+ * @param {number} amount
+ * @param {Object} entry - { reason, bookingId, relatedUserId, memo, actor }
+ * @returns {Promise<Object>} { success, balance, transaction, code, message }
+ */
+async function creditWallet(userId, amount, { reason, bookingId = null, relatedUserId = null, memo = '', actor = {} }) {
+  amount = roundMoney(amount);
+  if (!(amount > 0)) return { success: false, code: 'INVALID_AMOUNT', message: 'Amount must be positive' };
+
+  const user = await User.findByIdAndUpdate(userId, { $inc: { walletBalance: amount } }, { new: true }).select('walletBalance');
+  if (!user) return { success: false, code: 'NOT_FOUND', message: 'User not found' };
+
+  const transaction = await WalletTransaction.create({
+    userId, type: 'credit', reason, amount,
+    balanceAfter: user.walletBalance,
+    bookingId, relatedUserId, memo,
+    createdBy: actor.id || null
+  });
+  return { success: true, balance: user.walletBalance, transaction };
+}
+
+/**
+ * Spend wallet credit; fails without changes if the balance is short
+ * @returns {Promise<Object>} { success, balance, transaction, code, message }
+ */
+async function debitWallet(userId, amount, { reason, bookingId = null, memo = '', actor = {} }) {
+  amount = roundMoney(amount);
+  if (!(amount > 0)) return { success: false, code: 'INVALID_AMOUNT', message: 'Amount must be positive' };
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, walletBalance: { $gte: amount } },
+    { $inc: { walletBalance: -amount } },
+    { new: true }
+  ).select('walletBalance');
+  if (!user) return { success: false, code: 'INSUFFICIENT_BALANCE', message: 'Wallet balance is too low' };
+
+  try {
+    const transaction = await WalletTransaction.create({
+      userId, type: 'debit', reason, amount,
+      balanceAfter: user.walletBalance,
+      bookingId, memo,
+      createdBy: actor.id || null
+    });
+    return { success: true, balance: user.walletBalance, transaction };
+  } catch (err) {
+    // Booking already paid from the wallet - undo this debit
+    await User.updateOne({ _id: userId }, { $inc: { walletBalance: amount } });
+    if (err.code === 11000) return { success: false, code: 'CONFLICT', message: 'Wallet already charged for this booking' };
+    throw err;
+  }
+}
+
+/**
+ * Return a booking's wallet payment (cancelled/rejected). Idempotent: the
+ * release entry is written first and is unique per booking.
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>} Release transaction
+ */
+async function releaseBookingWallet(bookingId) {
+  const payment = await WalletTransaction.findOne({ bookingId, reason: 'booking_payment' }).lean();
+  if (!payment) return null;
+
+  let release;
+  try {
+    release = await WalletTransaction.create({
+      userId: payment.userId,
+      type: 'credit',
+      reason: 'booking_release',
+      amount: payment.amount,
+      balanceAfter: 0,
+      bookingId,
+      memo: 'Booking cancelled'
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+  const user = await User.findByIdAndUpdate(payment.userId, { $inc: { walletBalance: payment.amount } }, { new: true })
+    .select('walletBalance');
+  release.balanceAfter = user ? user.walletBalance : 0;
+  await release.save();
+  return release;
+}
+
+// ==================== CHECKOUT ====================
+
+/**
+ * Consume a quote's promo use and wallet credit for a booking
+ * @param {Object} quote - quoteDiscounts() result
+ * @param {Object} params - { userId, bookingId }
+ * @returns {Promise<Object>} { success, code, message }
+ */
+async function redeemCheckout(quote, { userId, bookingId }) {
+  if (quote.promo && quote.promoAmount > 0) {
+    const promoResult = await redeemPromo({
+      promoId: quote.promo._id,
+      userId,
+      bookingId,
+      discountAmount: quote.promoAmount
+    });
+    if (!promoResult.success) return promoResult;
+  }
+
+  if (quote.walletAmount > 0) {
+    const walletResult = await debitWallet(userId, quote.walletAmount, {
+      reason: 'booking_payment',
+      bookingId,
+      memo: 'Booking payment'
+    });
+    if (!walletResult.success) {
+      await releasePromo(bookingId);
+      return walletResult;
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Undo redeemCheckout (booking could not be created, cancelled or rejected)
+ * @param {string} bookingId
+ */
+async function releaseCheckout(bookingId) {
+  await releasePromo(bookingId);
+  await releaseBookingWallet(bookingId);
+}
+
+// ==================== REFERRALS ====================
+
+function generateReferralCode() {
+  // Unambiguous characters only (no 0/O, 1/I)
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(promotionsConfig.referral.codeLength);
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+/**
+ * The user's referral code, created on first use
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function ensureReferralCode(userId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const user = await User.findById(userId).select('referralCode').lean();
+    if (!user) return null;
+    if (user.referralCode) return user.referralCode;
+    try {
+      await User.updateOne({ _id: userId, referralCode: { $exists: false } }, { referralCode: generateReferralCode() });
+    } catch (err) {
+      if (err.code !== 11000) throw err;   // code collision - try another
+    }
+  }
+  return null;
+}
+
+/**
+ * Link a newly registered passenger to their referrer and credit the signup bonus
+ * @param {Object} user - New User
+ * @param {string} referralCode
+ * @returns {Promise<Object>} { success, referrerId, credit, code, message }
+ */
+async function applyReferralAtSignup(user, referralCode) {
+  const referrer = await User.findOne({ referralCode: normalizeCode(referralCode) }).select('_id').lean();
+  if (!referrer || String(referrer._id) === String(user._id)) {
+    return { success: false, code: 'INVALID_REFERRAL', message: 'Referral code not found' };
+  }
+
+  const linked = await User.findOneAndUpdate(
+    { _id: user._id, referredBy: null },
+    { referredBy: referrer._id },
+    { new: true }
+  );
+  if (!linked) return { success: false, code: 'ALREADY_REFERRED', message: 'Already referred' };
+
+  const credit = promotionsConfig.referral.refereeCredit;
+  if (credit > 0) {
+    await creditWallet(user._id, credit, { reason: 'referral_signup', relatedUserId: referrer._id, memo: 'Referral signup bonus' });
+  }
+  return { success: true, referrerId: referrer._id, credit };
+}
+
+/**
+ * Credit the referrer once the referred passenger's first booking completes
+ * @param {string} userId - Referred passenger
+ * @returns {Promise<Object|null>} creditWallet result, or null if nothing to reward
+ */
+async function rewardReferrer(userId) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, referredBy: { $ne: null }, referralRewardedAt: null },
+    { referralRewardedAt: new Date() },
+    { new: true }
+  ).select('referredBy');
+  if (!user) return null;
+
+  const credit = promotionsConfig.referral.referrerCredit;
+  if (!(credit > 0)) return null;
+  return creditWallet(user.referredBy, credit, {
+    reason: 'referral_reward',
+    relatedUserId: user._id,
+    memo: 'Referred passenger completed their first booking'
+  });
+}
+
+// ==================== EVENTS ====================
+
+/**
+ * bookingStatusChanged listener
+ * @param {Object} event - From eventBus
+ */
+async function handleBookingStatusChange(event) {
+  try {
+    if (['Cancelled', 'Rejected'].includes(event.status)) {
+      await releaseCheckout(event.bookingId);
+    } else if (event.status === 'Completed' && event.userId) {
+      const reward = await rewardReferrer(event.userId);
+      if (reward && reward.success) {
+        console.log(`[Promotions] Referral reward ₹${reward.transaction.amount} credited for user ${event.userId}`);
+      }
+    }
+  } catch (err) {
+    console.error(`[Promotions] Status change handling failed for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+module.exports = {
+  // Promo codes
+  computePromoDiscount,
+  checkPromo,
+  createPromo,
+  updatePromo,
+  releasePromo,
+
+  // Checkout
+  quoteDiscounts,
+  redeemCheckout,
+  releaseCheckout,
+
+  // Wallet
+  creditWallet,
+  debitWallet,
+
+  // Referrals
+  ensureReferralCode,
+  applyReferralAtSignup,
+  rewardReferrer,
+
+  // Events
+  handleBookingStatusChange
+};
@@ -0,0 +1,257 @@
+/**
+ * Realtime Service
+ *
+ * Forwards event bus traffic (booking status transitions, task events) to
+ * Socket.IO rooms so pages can subscribe instead of polling REST endpoints.
+ *
+ * Rooms:
+ * - booking:<bookingId>   - passenger/assistant/admin viewing one booking (access checked on subscribe)
+ * - passenger:<userId>    - every booking owned by a passenger (joined on connect)
+ * - assistant:<id>        - bookings and tasks assigned to an assistant (joined on connect)
+ * - station:<STATION>     - admins watching one station
+ * - station:*             - admins watching every station
+ *
+ * Client events emitted: booking_status, task_event, assistant_notice
+ * Client events handled: subscribe_booking, subscribe_station, location_update (assistants)
+ */
+
+const Assistant = require('../models/Assistant');
+const eventBus = require('./eventBus');
+const chatService = require('./chatService');
+const { recordLocation } = require('./locationService');
+
+const ALL_STATIONS = '*';
+
+// Task events a passenger sees for their own booking; the rest are operational
+const PASSENGER_TASK_EVENTS = [
+  'taskAssigned', 'taskRescheduled', 'taskStationPassed', 'taskPlatformChanged',
+  'assistantEta', 'assistantArrived'
+];
+
+const rooms = {
+  booking: (id) => `booking:${id}`,
+  passenger: (userId) => `passenger:${userId}`,
+  assistant: (id) => `assistant:${id}`,
+  station: (name) => `station:${normalizeStation(name)}`
+};
+
+function normalizeStation(name) {
+  if (name === ALL_STATIONS) return ALL_STATIONS;
+  return String(name || '').trim().toUpperCase();
+}
+
+/**
+ * Shape a task for clients (no passenger details, no OTPs)
+ * @param {Object} task - ServiceTask document
+ * @returns {Object}
+ */
+function toClientTask(task) {
+  return {
+    id: String(task._id),
+    bookingId: task.bookingId ? String(task.bookingId._id || task.bookingId) : null,
+    taskType: task.taskType,
+    station: task.station,
+    trainNumber: task.trainNumber,
+    status: task.status,
+    scheduledTime: task.scheduledTime || null,
+    assistantArrivalTime: task.assistantArrivalTime || null,
+    expectedTrainArrival: task.expectedTrainArrival || null,
+    currentDelayMinutes: task.currentDelayMinutes || 0,
+    trainPassedStation: Boolean(task.trainPassedStation),
+    platform: task.platform ? task.platform.current : null,
+    assignedAssistant: task.assignedAssistant ? String(task.assignedAssistant._id || task.assignedAssistant) : null
+  };
+}
+
+/**
+ * Keep scalar event details; drop embedded documents (bookings, assistants)
+ * @param {Object} details
+ * @returns {Object}
+ */
+function toClientDetails(details = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(details)) {
+    if (value == null || typeof value !== 'object' || value instanceof Date) {
+      out[key] = value;
+    } else if (!Array.isArray(value) && !value._id) {
+      out[key] = value; // plain objects like trainPosition
+    }
+  }
+  return out;
+}
+
+/**
+ * Forward a booking status transition
+ * @param {Object} io - Socket.IO server
+ * @param {Object} event - bookingStatusChanged payload
+ */
+function forwardBookingStatus(io, event) {
+  const targets = [rooms.booking(event.bookingId), rooms.station(ALL_STATIONS)];
+  if (event.userId) targets.push(rooms.passenger(event.userId));
+  if (event.station) targets.push(rooms.station(event.station));
+  event.assistantIds.forEach(id => targets.push(rooms.assistant(id)));
+
+  // One emit to several rooms delivers once per socket
+  io.to(targets).emit('booking_status', {
+    bookingId: event.bookingId,
+    status: event.status,
+    previousStatus: event.previousStatus,
+    station: event.station,
+    actorRole: event.actorRole,
+    reason: event.reason,
+    at: event.at
+  });
+}
+
+/**
+ * Forward a task event
+ * @param {Object} io - Socket.IO server
+ * @param {Object} event - taskEvent payload
+ */
+function forwardTaskEvent(io, event) {
+  const targets = [rooms.station(ALL_STATIONS)];
+  if (event.station) targets.push(rooms.station(event.station));
+  if (event.assistantId) targets.push(rooms.assistant(event.assistantId));
+  if (event.bookingId && PASSENGER_TASK_EVENTS.includes(event.type)) {
+    targets.push(rooms.booking(event.bookingId));
+  }
+
+  io.to(targets).emit('task_event', {
+    type: event.type,
+    task: toClientTask(event.task),
+    details: toClientDetails(event.details),
+    at: event.at
+  });
+}
+
+/**
+ * Forward a notice to one assistant
+ * @param {Object} io - Socket.IO server
+ * @param {Object} event - assistantNotice payload
+ */
+function forwardAssistantNotice(io, event) {
+  io.to(rooms.assistant(event.assistantId)).emit('assistant_notice', {
+    type: event.type,
+    message: event.message,
+    details: toClientDetails(event.details),
+    at: event.at
+  });
+}
+
+/**
+ * Join role rooms and register subscription handlers for an authenticated socket
+ * @param {Object} socket - Socket with socket.user set by authenticateSocket
+ */
+async function registerSocket(socket) {
+  const user = socket.user;
+
+  // Follow one booking - same access rules as the booking chat
+  socket.on('subscribe_booking', async ({ bookingId } = {}, ack) => {
+    try {
+      const access = await chatService.canAccessBooking(user, bookingId);
+      if (!access.allowed) {
+        if (typeof ack === 'function') ack({ error: access.reason });
+        return;
+      }
+      socket.join(rooms.booking(access.booking._id));
+      if (typeof ack === 'function') ack({ success: true, status: access.booking.status });
+    } catch (err) {
+      console.error('[Realtime] subscribe_booking error:', err.message);
+      if (typeof ack === 'function') ack({ error: 'Failed to subscribe' });
+    }
+  });
+
+  socket.on('unsubscribe_booking', ({ bookingId } = {}) => {
+    if (bookingId) socket.leave(rooms.booking(bookingId));
+  });
+
+  // Admins follow a station's bookings and tasks ('*' = every station)
+  socket.on('subscribe_station', ({ station } = {}, ack) => {
+    if (user.role !== 'admin') {
+      if (typeof ack === 'function') ack({ error: 'Forbidden' });
+      return;
+    }
+    if (!normalizeStation(station)) {
+      if (typeof ack === 'function') ack({ error: 'station is required' });
+      return;
+    }
+    socket.join(rooms.station(station));
+    if (typeof ack === 'function') ack({ success: true, room: rooms.station(station) });
+  });
+
+  socket.on('unsubscribe_station', ({ station } = {}) => {
+    if (station) socket.leave(rooms.station(station));
+  });
+
+  // Assistants stream their position while working a task (see locationService)
+  socket.on('location_update', async (fix = {}, ack) => {
+    if (user.role !== 'assistant' || !socket.assistantId) {
+      if (typeof ack === 'function') ack({ error: 'Forbidden' });
+      return;
+    }
+    try {
+      const result = await recordLocation(socket.assistantId, fix);
+      if (typeof ack === 'function') ack(result.success ? result : { error: result.message, code: result.code, errors: result.errors });
+    } catch (err) {
+      console.error('[Realtime] location_update error:', err.message);
+      if (typeof ack === 'function') ack({ error: 'Failed to record location' });
+    }
+  });
+
+  // Handlers are registered first so events sent right after connect are not lost
+  if (user.role === 'passenger') {
+    socket.join(rooms.passenger(user.id));
+  } else if (user.role === 'assistant') {
+    try {
+      const assistant = await Assistant.findOne({ userId: String(user.id) }).select('_id').lean();
+      if (assistant) {
+        socket.assistantId = String(assistant._id);
+        socket.join(rooms.assistant(socket.assistantId));
+      }
+    } catch (err) {
+      console.error('[Realtime] Assistant lookup failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Wire the event bus to a Socket.IO server
+ * @param {Object} io - Socket.IO server (authenticateSocket must already be applied)
+ */
+function attach(io) {
+  eventBus.on('bookingStatusChanged', (event) => {
+    try {
+      forwardBookingStatus(io, event);
+    } catch (err) {
+      console.error('[Realtime] booking_status forward failed:', err.message);
+    }
+  });
+
+  eventBus.on('taskEvent', (event) => {
+    try {
+      forwardTaskEvent(io, event);
+    } catch (err) {
+      console.error('[Realtime] task_event forward failed:', err.message);
+    }
+  });
+
+  eventBus.on('assistantNotice', (event) => {
+    try {
+      forwardAssistantNotice(io, event);
+    } catch (err) {
+      console.error('[Realtime] assistant_notice forward failed:', err.message);
+    }
+  });
+
+  io.on('connection', (socket) => {
+    registerSocket(socket);
+  });
+}
+
+module.exports = {
+  attach,
+  registerSocket,
+  rooms,
+  toClientTask,
+  PASSENGER_TASK_EVENTS
+};
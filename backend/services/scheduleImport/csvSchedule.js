@@ -0,0 +1,155 @@
+/**
+ * Schedule CSV parsers
+ *
+ * - train_schedule.csv (the standard Indian Railways schedule export):
+ *   SN, Train_No, Station_Code, 1A, 2A, 3A, SL, Station_Name, Route_Number,
+ *   Arrival_time, Departure_Time, Distance
+ *   Optional: Day (1 = origin day) or Arrival_Day / Departure_Day (0 = origin day).
+ *   Without day columns the offsets are derived from the times.
+ *   Optional: Platform (usual platform number); without the column platforms are left as they are.
+ * - train_info.csv: Train_No, Train_Name, Source_Station_Name,
+ *   Destination_Station_Name, days
+ *
+ * Columns are matched by header name, so column order does not matter.
+ */
+
+const fs = require('fs');
+const {
+  addFeedError,
+  getFeedTrain,
+  forEachCsvRow,
+  fileLines,
+  pick,
+  padTrainNumber,
+  parseClock,
+  parseFare,
+  getTrainType
+} = require('./feed');
+
+const TRAIN_NUMBER_PATTERN = /^\d{1,5}$/;
+const STATION_CODE_PATTERN = /^[A-Z0-9]{1,8}$/;
+const PLATFORM_PATTERN = /^[0-9]{1,2}[A-Z]?$/;
+const PLATFORM_COLUMNS = ['platform', 'platform_no', 'pf'];
+
+/**
+ * Optional day offset column value (null if absent)
+ */
+function parseDay(value, oneBased) {
+  if (value === '' || value === undefined) return null;
+  const day = parseInt(value, 10);
+  if (isNaN(day)) return undefined;
+  return oneBased ? day - 1 : day;
+}
+
+/**
+ * Add train_schedule.csv rows to the feed
+ * @param {Object} feed - From createFeed()
+ * @param {string} filePath
+ * @param {string} [fileName] - Name shown in the error report
+ */
+async function parseScheduleCsv(feed, filePath, fileName = 'train_schedule.csv') {
+  const seen = new Set(); // trainNumber:stopSequence
+
+  await forEachCsvRow(fileLines(fs.createReadStream(filePath)), (row, line) => {
+    feed.rowsRead++;
+    const fail = (message, extra = {}) => addFeedError(feed, { file: fileName, line, message, ...extra });
+
+    const rawTrain = pick(row, 'train_no', 'train_number', 'trainno');
+    if (!TRAIN_NUMBER_PATTERN.test(rawTrain)) return fail(`Invalid train number "${rawTrain}"`);
+    const trainNumber = padTrainNumber(rawTrain);
+
+    const stationCode = pick(row, 'station_code', 'stationcode').toUpperCase();
+    if (!STATION_CODE_PATTERN.test(stationCode)) {
+      return fail(`Invalid station code "${stationCode}"`, { trainNumber });
+    }
+    const context = { trainNumber, stationCode };
+
+    const stopSequence = parseInt(pick(row, 'sn', 'stop_sequence', 'seq'), 10);
+    if (!(stopSequence > 0)) return fail('Stop sequence (SN) must be a positive number', context);
+    const key = `${trainNumber}:${stopSequence}`;
+    if (seen.has(key)) return fail(`Duplicate stop sequence ${stopSequence}`, context);
+
+    const arrival = parseClock(pick(row, 'arrival_time', 'arrival'));
+    const departure = parseClock(pick(row, 'departure_time', 'departure'));
+    if (arrival?.error) return fail(arrival.error, context);
+    if (departure?.error) return fail(departure.error, context);
+
+    const rawDistance = pick(row, 'distance');
+    const distance = rawDistance === '' ? 0 : Number(rawDistance);
+    if (isNaN(distance) || distance < 0) return fail(`Invalid distance "${rawDistance}"`, context);
+
+    const days = [parseDay(pick(row, 'day'), true), parseDay(pick(row, 'arrival_day'), false), parseDay(pick(row, 'departure_day'), false)];
+    if (days.includes(undefined)) return fail('Invalid day offset', context);
+    const [dayColumn, arrivalColumn, departureColumn] = days;
+    const arrivalDay = arrivalColumn ?? dayColumn;
+    const departureDay = departureColumn ?? dayColumn;
+
+    const hasPlatform = PLATFORM_COLUMNS.some(column => row[column] !== undefined);
+    const platform = pick(row, ...PLATFORM_COLUMNS).trim().toUpperCase().replace(/^(PF|PLATFORM)\s*/, '');
+    if (platform && !PLATFORM_PATTERN.test(platform)) return fail(`Invalid platform "${platform}"`, context);
+
+    seen.add(key);
+    const train = getFeedTrain(feed, trainNumber);
+    if (!train.stops) train.stops = [];
+    train.stops.push({
+      stopSequence,
+      stationCode,
+      stationName: pick(row, 'station_name', 'stationname') || stationCode,
+      routeNumber: parseInt(pick(row, 'route_number'), 10) || 1,
+      arrivalTime: arrival ? arrival.time : null,
+      departureTime: departure ? departure.time : null,
+      arrivalDay,
+      departureDay,
+      distance: Math.round(distance),
+      ...(hasPlatform ? { platform: platform || null } : {}),
+      fares: {
+        firstAC: parseFare(pick(row, '1a')),
+        secondAC: parseFare(pick(row, '2a')),
+        thirdAC: parseFare(pick(row, '3a')),
+        sleeper: parseFare(pick(row, 'sl'))
+      }
+    });
+  });
+}
+
+/**
+ * Add train_info.csv rows (train master data) to the feed
+ * @param {Object} feed - From createFeed()
+ * @param {string} filePath
+ * @param {string} [fileName] - Name shown in the error report
+ */
+async function parseTrainInfoCsv(feed, filePath, fileName = 'train_info.csv') {
+  await forEachCsvRow(fileLines(fs.createReadStream(filePath)), (row, line, header) => {
+    feed.rowsRead++;
+    const fail = (message, extra = {}) => addFeedError(feed, { file: fileName, line, message, ...extra });
+
+    if (row.__fieldCount !== header.length) {
+      return fail(`Expected ${header.length} fields, found ${row.__fieldCount}`);
+    }
+    const rawTrain = pick(row, 'train_no', 'train_number', 'trainno');
+    if (!TRAIN_NUMBER_PATTERN.test(rawTrain)) return fail(`Invalid train number "${rawTrain}"`);
+    const trainNumber = padTrainNumber(rawTrain);
+
+    const trainName = pick(row, 'train_name', 'trainname');
+    if (!trainName) return fail('Train name is required', { trainNumber });
+
+    const days = pick(row, 'days', 'running_days')
+      .split(',')
+      .map(d => d.trim())
+      .filter(Boolean);
+
+    const train = getFeedTrain(feed, trainNumber);
+    Object.assign(train, {
+      trainName,
+      type: getTrainType(trainName),
+      sourceStation: pick(row, 'source_station_name', 'source_station', 'from') || undefined,
+      destinationStation: pick(row, 'destination_station_name', 'destination_station', 'to') || undefined,
+      runningDays: days.length > 0 ? days : ['Daily']
+    });
+  });
+}
+
+module.exports = {
+  parseScheduleCsv,
+  parseTrainInfoCsv
+};
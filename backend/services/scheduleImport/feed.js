@@ -0,0 +1,205 @@
+/**
+ * Normalized timetable feed
+ *
+ * Every parser (schedule CSV, train_info.csv, GTFS) fills the same shape, which
+ * scheduleImportService then diffs against Train / TrainStop:
+ *
+ *   trains: Map trainNumber -> {
+ *     trainNumber, trainName?, sourceStation?, destinationStation?, runningDays?,
+ *     stops: null | [{ stopSequence, stationCode, stationName, routeNumber,
+ *                      arrivalTime, departureTime, arrivalDay, departureDay,
+ *                      distance, fares? }]
+ *   }
+ *
+ * Only fields a feed actually carries are set, so a train_info-only import
+ * never touches stops and a GTFS feed never overwrites fares.
+ */
+
+const readline = require('readline');
+
+const TIME_PATTERN = /^(\d{1,3}):(\d{2})(?::(\d{2}))?$/;
+
+function createFeed() {
+  return {
+    trains: new Map(),
+    errors: [],
+    rowsRead: 0,
+    rowsFailed: 0
+  };
+}
+
+/**
+ * Record a row problem; failed rows are skipped, the rest of the feed still imports
+ * @param {Object} feed
+ * @param {Object} error - { file, line, trainNumber, stationCode, message }
+ * @param {boolean} [rowFailed=true] - false for warnings that still import the row
+ */
+function addFeedError(feed, error, rowFailed = true) {
+  feed.errors.push(error);
+  if (rowFailed) feed.rowsFailed++;
+}
+
+/**
+ * Train entry for a number, created on first use
+ */
+function getFeedTrain(feed, trainNumber) {
+  if (!feed.trains.has(trainNumber)) {
+    feed.trains.set(trainNumber, { trainNumber, stops: null });
+  }
+  return feed.trains.get(trainNumber);
+}
+
+/**
+ * Parse CSV line handling quoted fields ("" = escaped quote)
+ */
+function parseCsvLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  result.push(current.trim());
+  return result;
+}
+
+/**
+ * Call onRow for every data row of a CSV, keyed by lower-cased header
+ * @param {AsyncIterable<string>|Iterable<string>} lines
+ * @param {Function} onRow - (row, lineNumber, header) => void
+ */
+async function forEachCsvRow(lines, onRow) {
+  let header = null;
+  let lineNumber = 0;
+
+  for await (const raw of lines) {
+    lineNumber++;
+    const text = lineNumber === 1 ? raw.replace(/^\uFEFF/, '') : raw;
+    if (!text.trim()) continue;
+
+    const fields = parseCsvLine(text);
+    if (!header) {
+      header = fields.map(h => h.trim().toLowerCase());
+      continue;
+    }
+    const row = {};
+    header.forEach((name, i) => { row[name] = fields[i] !== undefined ? fields[i] : ''; });
+    row.__fieldCount = fields.length;
+    onRow(row, lineNumber, header);
+  }
+}
+
+/**
+ * Lines of a file on disk, streamed
+ */
+function fileLines(input) {
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Lines of an in-memory buffer (GTFS zip entries)
+ */
+function bufferLines(buffer) {
+  return buffer.toString('utf8').split(/\r?\n/);
+}
+
+/**
+ * First non-empty value among header aliases
+ */
+function pick(row, ...names) {
+  for (const name of names) {
+    if (row[name] !== undefined && row[name] !== '') return row[name];
+  }
+  return '';
+}
+
+/**
+ * Pad train number to 5 digits
+ */
+function padTrainNumber(num) {
+  return String(num).replace(/"/g, '').trim().padStart(5, '0');
+}
+
+/**
+ * "HH:MM[:SS]" -> { time: 'HH:MM:SS', extraDays }
+ * GTFS writes times past midnight as 24:xx, 25:xx...; extraDays carries that over.
+ * @returns {Object|null} null for empty/placeholder values, { error } when malformed
+ */
+function parseClock(value) {
+  const text = String(value || '').trim();
+  if (!text || text === 'None' || text === 'null' || text === '-') return null;
+  const match = TIME_PATTERN.exec(text);
+  if (!match) return { error: `Invalid time "${text}"` };
+
+  const totalHours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = match[3] ? parseInt(match[3], 10) : 0;
+  if (minutes > 59 || seconds > 59) return { error: `Invalid time "${text}"` };
+
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    time: `${pad(totalHours % 24)}:${pad(minutes)}:${pad(seconds)}`,
+    extraDays: Math.floor(totalHours / 24)
+  };
+}
+
+/**
+ * Parse fare value (handle empty/invalid)
+ */
+function parseFare(value) {
+  const num = parseFloat(value);
+  return isNaN(num) ? 0 : Math.round(num);
+}
+
+/**
+ * Determine train type from name
+ */
+function getTrainType(trainName) {
+  const name = String(trainName || '').toUpperCase();
+
+  if (name.includes('RAJDHANI')) return 'Rajdhani';
+  if (name.includes('JAN SHATABDI') || name.includes('JAN-SHATABDI')) return 'Jan Shatabdi';
+  if (name.includes('SHATABDI')) return 'Shatabdi';
+  if (name.includes('DURONTO')) return 'Duronto';
+  if (name.includes('GARIB RATH') || name.includes('GARIBRATH')) return 'Garib Rath';
+  if (name.includes('HUMSAFAR')) return 'Humsafar';
+  if (name.includes('TEJAS')) return 'Tejas';
+  if (name.includes('VANDE BHARAT') || name.includes('VANDEBHARAT')) return 'Vande Bharat';
+  if (name.includes('SUPERFAST') || name.includes('SF')) return 'Superfast';
+  if (name.includes('PASSENGER') || name.includes('PASS')) return 'Passenger';
+  if (name.includes('LOCAL') || name.includes('SUBURBAN')) return 'Local';
+  if (name.includes('SPECIAL') || name.includes('SPL')) return 'Special';
+  if (name.includes('MAIL')) return 'Mail';
+  if (name.includes('EXPRESS') || name.includes('EXP')) return 'Express';
+
+  return 'Express';
+}
+
+module.exports = {
+  createFeed,
+  addFeedError,
+  getFeedTrain,
+  parseCsvLine,
+  forEachCsvRow,
+  fileLines,
+  bufferLines,
+  pick,
+  padTrainNumber,
+  parseClock,
+  parseFare,
+  getTrainType
+};
@@ -0,0 +1,150 @@
+/**
+ * GTFS feed parser
+ *
+ * Reads a GTFS .zip (stops.txt, trips.txt, stop_times.txt; routes.txt and
+ * calendar.txt when present) into the normalized feed:
+ * - train number: trips.trip_short_name, else routes.route_short_name
+ * - train name: routes.route_long_name, else trips.trip_headsign
+ * - station code: stops.stop_code, else stop_id
+ * - running days: calendar.txt weekday flags of the trip's service_id
+ * - day offsets: GTFS times past midnight (25:10:00) carry the day over
+ * - distance: stop_times.shape_dist_traveled (km)
+ * GTFS has no per-class fares, so existing fares are left untouched.
+ */
+
+const fs = require('fs');
+const { readZipEntries } = require('./zipReader');
+const {
+  addFeedError,
+  getFeedTrain,
+  forEachCsvRow,
+  bufferLines,
+  pick,
+  padTrainNumber,
+  parseClock,
+  getTrainType
+} = require('./feed');
+
+const REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['routes.txt', 'calendar.txt'];
+const WEEKDAY_COLUMNS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Add a GTFS zip to the feed
+ * @param {Object} feed - From createFeed()
+ * @param {string} filePath - .zip on disk
+ * @param {string} [fileName] - Name shown in the error report
+ */
+async function parseGtfsFeed(feed, filePath, fileName = 'feed.zip') {
+  const files = await readZipEntries(await fs.promises.readFile(filePath), [...REQUIRED_FILES, ...OPTIONAL_FILES]);
+  const missing = REQUIRED_FILES.filter(name => !files.has(name));
+  if (missing.length > 0) throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+
+  const at = name => `${fileName}/${name}`;
+
+  // calendar.txt: service_id -> running days
+  const services = new Map();
+  if (files.has('calendar.txt')) {
+    await forEachCsvRow(bufferLines(files.get('calendar.txt')), row => {
+      const days = WEEKDAY_COLUMNS
+        .filter(day => row[day] === '1')
+        .map(day => day.charAt(0).toUpperCase() + day.slice(1));
+      services.set(row.service_id, days.length === 7 ? ['Daily'] : days);
+    });
+  }
+
+  // routes.txt: route_id -> names
+  const routes = new Map();
+  if (files.has('routes.txt')) {
+    await forEachCsvRow(bufferLines(files.get('routes.txt')), row => {
+      routes.set(row.route_id, { shortName: row.route_short_name || '', longName: row.route_long_name || '' });
+    });
+  }
+
+  // stops.txt: stop_id -> station
+  const stations = new Map();
+  await forEachCsvRow(bufferLines(files.get('stops.txt')), row => {
+    stations.set(row.stop_id, {
+      stationCode: (row.stop_code || row.stop_id || '').toUpperCase(),
+      stationName: row.stop_name || row.stop_code || row.stop_id
+    });
+  });
+
+  // trips.txt: one trip per train number (first one wins)
+  const trips = new Map(); // trip_id -> trainNumber
+  await forEachCsvRow(bufferLines(files.get('trips.txt')), (row, line) => {
+    feed.rowsRead++;
+    const route = routes.get(row.route_id) || {};
+    const rawNumber = pick(row, 'trip_short_name') || route.shortName || '';
+    const digits = rawNumber.replace(/\D/g, '');
+    if (!digits || digits.length > 5) {
+      return addFeedError(feed, { file: at('trips.txt'), line, message: `Trip ${row.trip_id} has no usable train number` });
+    }
+    const trainNumber = padTrainNumber(digits);
+    const train = getFeedTrain(feed, trainNumber);
+    if (train.gtfsTripId) {
+      return addFeedError(feed, {
+        file: at('trips.txt'), line, trainNumber,
+        message: `Train ${trainNumber} already imported from trip ${train.gtfsTripId}; trip ${row.trip_id} skipped`
+      }, false);
+    }
+
+    const trainName = route.longName || row.trip_headsign || `Train ${trainNumber}`;
+    Object.assign(train, {
+      gtfsTripId: row.trip_id,
+      trainName,
+      type: getTrainType(trainName),
+      stops: [],
+      ...(services.has(row.service_id) ? { runningDays: services.get(row.service_id) } : {})
+    });
+    trips.set(row.trip_id, trainNumber);
+  });
+
+  // stop_times.txt
+  await forEachCsvRow(bufferLines(files.get('stop_times.txt')), (row, line) => {
+    const trainNumber = trips.get(row.trip_id);
+    if (!trainNumber) return; // skipped / duplicate trip
+    feed.rowsRead++;
+    const fail = (message, extra = {}) => addFeedError(feed, { file: at('stop_times.txt'), line, trainNumber, message, ...extra });
+
+    const station = stations.get(row.stop_id);
+    if (!station) return fail(`Unknown stop_id "${row.stop_id}"`);
+    const context = { stationCode: station.stationCode };
+
+    const sequence = parseInt(row.stop_sequence, 10);
+    if (isNaN(sequence) || sequence < 0) return fail('Invalid stop_sequence', context);
+    const arrival = parseClock(row.arrival_time);
+    const departure = parseClock(row.departure_time);
+    if (arrival?.error) return fail(arrival.error, context);
+    if (departure?.error) return fail(departure.error, context);
+
+    const distance = Number(row.shape_dist_traveled);
+    feed.trains.get(trainNumber).stops.push({
+      gtfsSequence: sequence,
+      stationCode: station.stationCode,
+      stationName: station.stationName,
+      routeNumber: 1,
+      arrivalTime: arrival ? arrival.time : null,
+      departureTime: departure ? departure.time : null,
+      arrivalDay: arrival ? arrival.extraDays : null,
+      departureDay: departure ? departure.extraDays : null,
+      distance: isNaN(distance) ? 0 : Math.round(distance)
+    });
+  });
+
+  // GTFS sequences only need to increase; store them as 1..n like the CSV
+  for (const train of feed.trains.values()) {
+    if (!train.gtfsTripId) continue;
+    train.stops.sort((a, b) => a.gtfsSequence - b.gtfsSequence);
+    train.stops.forEach((stop, index) => {
+      stop.stopSequence = index + 1;
+      delete stop.gtfsSequence;
+      // Times only on timepoints: fall back to the other one's day
+      if (stop.arrivalDay === null) stop.arrivalDay = stop.departureDay;
+      if (stop.departureDay === null) stop.departureDay = stop.arrivalDay;
+    });
+    delete train.gtfsTripId;
+  }
+}
+
+module.exports = { parseGtfsFeed };
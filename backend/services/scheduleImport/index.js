@@ -0,0 +1,67 @@
+/**
+ * Schedule Import Parsers
+ *
+ * Turns uploaded files into one normalized feed (see feed.js):
+ * - csv:  role 'schedule' (train_schedule.csv) and/or 'trainInfo' (train_info.csv)
+ * - gtfs: role 'feed' (GTFS .zip)
+ */
+
+const { createFeed, addFeedError } = require('./feed');
+const { parseScheduleCsv, parseTrainInfoCsv } = require('./csvSchedule');
+const { parseGtfsFeed } = require('./gtfsFeed');
+const { computeDayOffsets } = require('../schedulingService');
+
+const PARSERS = {
+  schedule: parseScheduleCsv,
+  trainInfo: parseTrainInfoCsv,
+  feed: parseGtfsFeed
+};
+
+/**
+ * Fill in day offsets and drop stop lists that cannot be imported
+ * (a train keeps its current stops rather than getting a broken route)
+ */
+function finalizeFeed(feed) {
+  for (const train of feed.trains.values()) {
+    if (!train.stops) continue;
+    const context = { file: '', trainNumber: train.trainNumber };
+
+    if (train.stops.length < 2) {
+      addFeedError(feed, { ...context, message: 'Train has fewer than 2 stops; stops not imported' }, false);
+      train.stops = null;
+      continue;
+    }
+
+    train.stops = computeDayOffsets(train.stops).map(({ isOrigin, ...stop }) => stop);
+    const backwards = train.stops.find((stop, i) => i > 0 && stop.arrivalDay < train.stops[i - 1].departureDay);
+    if (backwards) {
+      addFeedError(feed, {
+        ...context,
+        stationCode: backwards.stationCode,
+        message: 'Day offsets go backwards along the route; stops not imported'
+      }, false);
+      train.stops = null;
+    }
+  }
+  return feed;
+}
+
+/**
+ * @param {Array} files - [{ role, name, path }]
+ * @returns {Promise<Object>} Normalized feed
+ */
+async function readFeed(files) {
+  const feed = createFeed();
+  for (const file of files) {
+    const parse = PARSERS[file.role];
+    if (!parse) throw new Error(`Unknown import file role "${file.role}"`);
+    await parse(feed, file.path, file.name);
+  }
+  return finalizeFeed(feed);
+}
+
+module.exports = {
+  readFeed,
+  finalizeFeed,
+  PARSERS
+};
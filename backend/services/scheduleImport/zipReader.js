@@ -0,0 +1,92 @@
+/**
+ * Minimal ZIP reader for GTFS feeds
+ *
+ * Reads the central directory and inflates the requested entries with zlib,
+ * so no archive library is needed. Handles stored and deflated entries;
+ * ZIP64 and encrypted archives are rejected. Inflating runs off the main
+ * thread and stops at maxEntryBytes, so a zip bomb cannot exhaust memory.
+ */
+
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+// Largest uncompressed entry (a national stop_times.txt is well below this)
+const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+
+function tooLarge(name, maxEntryBytes) {
+  return new Error(`${name} is larger than ${Math.round(maxEntryBytes / (1024 * 1024))}MB uncompressed`);
+}
+
+/**
+ * @param {Buffer} buffer - Whole .zip file
+ * @param {string[]} wanted - File names to extract (matched on basename, any folder)
+ * @param {Object} [options]
+ * @param {number} [options.maxEntryBytes] - Per-entry uncompressed size limit
+ * @returns {Promise<Map<string, Buffer>>} basename -> contents, for the wanted names present
+ */
+async function readZipEntries(buffer, wanted, { maxEntryBytes = MAX_ENTRY_BYTES } = {}) {
+  let eocd = -1;
+  const floor = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT);
+  for (let i = buffer.length - EOCD_SIZE; i >= floor; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff || entryCount === 0xffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  for (let n = 0; n < entryCount; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const baseName = path.posix.basename(name);
+    if (name.endsWith('/') || !wanted.includes(baseName) || entries.has(baseName)) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+    // The declared size can lie - inflating is capped as well
+    if (uncompressedSize > maxEntryBytes) throw tooLarge(name, maxEntryBytes);
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry ${name}`);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      if (data.length > maxEntryBytes) throw tooLarge(name, maxEntryBytes);
+      entries.set(baseName, data);
+    } else if (method === 8) {
+      try {
+        entries.set(baseName, await inflateRaw(data, { maxOutputLength: maxEntryBytes }));
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name, maxEntryBytes);
+        throw err;
+      }
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+  }
+  return entries;
+}
+
+module.exports = { MAX_ENTRY_BYTES, readZipEntries };
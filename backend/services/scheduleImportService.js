@@ -0,0 +1,420 @@
+/**
+ * Schedule Import Service
+ *
+ * Admin-triggered timetable imports (ScheduleImport jobs):
+ * 1. Parse the uploaded schedule CSV / train_info.csv or GTFS feed (services/scheduleImport)
+ * 2. Diff each train against Train / TrainStop and upsert only what changed
+ *    (new stops inserted, changed stops updated, stops no longer on the route removed)
+ * 3. mode 'full': trains missing from the feed are withdrawn (Train.isActive = false);
+ *    trains that reappear are reactivated
+ * Row problems never abort the run - they are collected into a downloadable error report.
+ * dryRun computes the same stats without writing.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const TrainStop = require('../models/TrainStop');
+const ScheduleImport = require('../models/ScheduleImport');
+const AuditLog = require('../models/AuditLog');
+const { readFeed } = require('./scheduleImport');
+const { getTrainType } = require('./scheduleImport/feed');
+
+// Uploaded files wait here until their job has run
+const IMPORT_UPLOAD_DIR = path.join(os.tmpdir(), 'railmitra-schedule-imports');
+
+const TRAIN_BATCH_SIZE = 200;
+const MAX_REPORTED_ERRORS = 5000;
+const FILE_ROLES = ['schedule', 'trainInfo', 'feed'];
+const MODES = ['partial', 'full'];
+
+const STOP_FIELDS = ['stationCode', 'stationName', 'routeNumber', 'arrivalTime', 'departureTime', 'arrivalDay', 'departureDay', 'distance'];
+const FARE_FIELDS = ['firstAC', 'secondAC', 'thirdAC', 'sleeper'];
+
+// ==================== DIFF ====================
+
+function sameValue(a, b) {
+  const empty = v => v === null || v === undefined || v === '';
+  if (empty(a) && empty(b)) return true;
+  return String(a) === String(b);
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+}
+
+/**
+ * Train document fields carried by the feed (absent fields are left alone)
+ */
+function buildTrainFields(incoming) {
+  const fields = {};
+  ['trainName', 'type', 'sourceStation', 'destinationStation', 'runningDays'].forEach(key => {
+    if (incoming[key] !== undefined) fields[key] = incoming[key];
+  });
+  if (incoming.stops) {
+    fields.totalStops = incoming.stops.length;
+    // Schedule-only feeds name the endpoints from the route
+    if (!fields.sourceStation) fields.sourceStation = incoming.stops[0].stationName;
+    if (!fields.destinationStation) fields.destinationStation = incoming.stops[incoming.stops.length - 1].stationName;
+  }
+  return fields;
+}
+
+/**
+ * $set for a train, or null if nothing changed
+ */
+function diffTrain(existing, fields) {
+  const changes = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const same = Array.isArray(value) ? sameList(existing[key], value) : sameValue(existing[key], value);
+    if (!same) changes[key] = value;
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * $set for a stop, or null if nothing changed
+ */
+function diffStop(existing, stop, trainId) {
+  const changes = {};
+  STOP_FIELDS.forEach(key => {
+    if (!sameValue(existing[key], stop[key])) changes[key] = stop[key];
+  });
+  // Only feeds with a platform column carry platforms
+  if (stop.platform !== undefined && !sameValue(existing.platform, stop.platform)) changes.platform = stop.platform;
+  if (stop.fares) {
+    FARE_FIELDS.forEach(key => {
+      if (!sameValue(existing.fares?.[key] ?? 0, stop.fares[key])) changes[`fares.${key}`] = stop.fares[key];
+    });
+  }
+  if (String(existing.trainId) !== String(trainId)) changes.trainId = trainId;
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Bulk operations turning a train's current stops into the feed's stops
+ * @returns {Object} { ops, created, updated, removed, unchanged }
+ */
+function diffStops(existingStops, incomingStops, trainId, trainNumber) {
+  const result = { ops: [], created: 0, updated: 0, removed: 0, unchanged: 0 };
+  const bySequence = new Map(existingStops.map(s => [s.stopSequence, s]));
+
+  for (const stop of incomingStops) {
+    const current = bySequence.get(stop.stopSequence);
+    bySequence.delete(stop.stopSequence);
+
+    if (!current) {
+      result.ops.push({ insertOne: { document: { ...stop, trainId, trainNumber } } });
+      result.created++;
+      continue;
+    }
+    const changes = diffStop(current, stop, trainId);
+    if (changes) {
+      result.ops.push({ updateOne: { filter: { _id: current._id }, update: { $set: changes } } });
+      result.updated++;
+    } else {
+      result.unchanged++;
+    }
+  }
+
+  const removedIds = [...bySequence.values()].map(s => s._id);
+  if (removedIds.length > 0) {
+    result.ops.push({ deleteMany: { filter: { _id: { $in: removedIds } } } });
+    result.removed = removedIds.length;
+  }
+  return result;
+}
+
+// ==================== APPLY ====================
+
+function emptyStats() {
+  return {
+    rowsRead: 0,
+    rowsFailed: 0,
+    trainsInFeed: 0,
+    trainsCreated: 0,
+    trainsUpdated: 0,
+    trainsReactivated: 0,
+    trainsDeactivated: 0,
+    stopsCreated: 0,
+    stopsUpdated: 0,
+    stopsRemoved: 0,
+    stopsUnchanged: 0
+  };
+}
+
+/**
+ * Diff a feed against the database and write the changes
+ * @param {Object} feed - From readFeed()
+ * @param {Object} options
+ * @param {string} [options.mode='partial'] - 'full' withdraws trains missing from the feed
+ * @param {boolean} [options.dryRun=false]
+ * @param {Function} [options.onProgress] - (trainsProcessed, trainsTotal) => Promise
+ * @returns {Promise<Object>} { stats, errors }
+ */
+async function applyFeed(feed, { mode = 'partial', dryRun = false, onProgress = null } = {}) {
+  const stats = emptyStats();
+  const errors = [];
+  stats.rowsRead = feed.rowsRead;
+  stats.rowsFailed = feed.rowsFailed;
+  stats.trainsInFeed = feed.trains.size;
+
+  const numbers = [...feed.trains.keys()];
+  for (let i = 0; i < numbers.length; i += TRAIN_BATCH_SIZE) {
+    const batch = numbers.slice(i, i + TRAIN_BATCH_SIZE);
+    const [existingTrains, existingStops] = await Promise.all([
+      Train.find({ trainNumber: { $in: batch } }).lean(),
+      TrainStop.find({ trainNumber: { $in: batch } }).lean()
+    ]);
+    const trainsByNumber = new Map(existingTrains.map(t => [t.trainNumber, t]));
+    const stopsByNumber = new Map();
+    existingStops.forEach(stop => {
+      if (!stopsByNumber.has(stop.trainNumber)) stopsByNumber.set(stop.trainNumber, []);
+      stopsByNumber.get(stop.trainNumber).push(stop);
+    });
+
+    const trainOps = [];
+    const stopOps = [];
+    for (const trainNumber of batch) {
+      const incoming = feed.trains.get(trainNumber);
+      const fields = buildTrainFields(incoming);
+      let train = trainsByNumber.get(trainNumber);
+
+      if (!train) {
+        const trainName = fields.trainName || `Train ${trainNumber}`;
+        train = {
+          _id: new mongoose.Types.ObjectId(),
+          trainNumber,
+          trainName,
+          type: fields.type || getTrainType(trainName),
+          sourceStation: fields.sourceStation || 'Unknown',
+          destinationStation: fields.destinationStation || 'Unknown',
+          runningDays: fields.runningDays || [],
+          totalStops: fields.totalStops || 0,
+          isActive: true
+        };
+        trainOps.push({ insertOne: { document: train } });
+        stats.trainsCreated++;
+      } else {
+        const changes = diffTrain(train, fields) || {};
+        if (train.isActive === false) {
+          changes.isActive = true;
+          stats.trainsReactivated++;
+        }
+        if (Object.keys(changes).length > 0) {
+          trainOps.push({ updateOne: { filter: { _id: train._id }, update: { $set: changes } } });
+          stats.trainsUpdated++;
+        }
+      }
+
+      if (incoming.stops) {
+        const diff = diffStops(stopsByNumber.get(trainNumber) || [], incoming.stops, train._id, trainNumber);
+        stopOps.push(...diff.ops);
+        stats.stopsCreated += diff.created;
+        stats.stopsUpdated += diff.updated;
+        stats.stopsRemoved += diff.removed;
+        stats.stopsUnchanged += diff.unchanged;
+      }
+    }
+
+    if (!dryRun) {
+      try {
+        if (trainOps.length > 0) await Train.bulkWrite(trainOps, { ordered: false });
+        if (stopOps.length > 0) await TrainStop.bulkWrite(stopOps, { ordered: false });
+      } catch (err) {
+        console.error('[ScheduleImport] Batch write error:', err.message);
+        errors.push({ file: 'database', message: `Trains ${batch[0]}-${batch[batch.length - 1]}: ${err.message}` });
+      }
+    }
+    if (onProgress) await onProgress(Math.min(i + TRAIN_BATCH_SIZE, numbers.length), numbers.length);
+  }
+
+  // Withdrawn trains - only a full timetable says what no longer runs
+  if (mode === 'full' && numbers.length > 0) {
+    const withdrawn = { trainNumber: { $nin: numbers }, isActive: { $ne: false } };
+    stats.trainsDeactivated = dryRun
+      ? await Train.countDocuments(withdrawn)
+      : (await Train.updateMany(withdrawn, { $set: { isActive: false } })).modifiedCount;
+  }
+
+  return { stats, errors };
+}
+
+// ==================== JOBS ====================
+
+/**
+ * Create an import job from uploaded (or on-disk) files
+ * @param {Object} params
+ * @param {Array} params.files - [{ role: 'schedule'|'trainInfo'|'feed', name, path, size }]
+ * @param {string} [params.mode='partial']
+ * @param {boolean} [params.dryRun=false]
+ * @param {Object} [params.actor] - { id, role }
+ * @returns {Promise<Object>} { success, job, code, message }
+ */
+async function createImportJob({ files = [], mode = 'partial', dryRun = false, actor = {} }) {
+  if (files.length === 0) {
+    return { success: false, code: 'INVALID', message: 'Upload a schedule CSV, train_info.csv or a GTFS feed (.zip)' };
+  }
+  if (files.some(f => !FILE_ROLES.includes(f.role))) {
+    return { success: false, code: 'INVALID', message: `File roles must be one of: ${FILE_ROLES.join(', ')}` };
+  }
+  const isGtfs = files.some(f => f.role === 'feed');
+  if (isGtfs && files.length > 1) {
+    return { success: false, code: 'INVALID', message: 'A GTFS feed is imported on its own' };
+  }
+  if (!MODES.includes(mode)) {
+    return { success: false, code: 'INVALID', message: `Mode must be one of: ${MODES.join(', ')}` };
+  }
+
+  // One import at a time - two runs diffing the same trains would race
+  const active = await ScheduleImport.findOne({ status: { $in: ['queued', 'running'] } }).select('_id').lean();
+  if (active) {
+    return { success: false, code: 'CONFLICT', message: `Import ${active._id} is still in progress` };
+  }
+
+  const job = await ScheduleImport.create({
+    source: isGtfs ? 'gtfs' : 'csv',
+    mode,
+    dryRun,
+    files,
+    createdBy: actor.id ? String(actor.id) : null
+  });
+
+  await AuditLog.create({
+    action: 'schedule_import_started',
+    actorId: actor.id ? String(actor.id) : null,
+    actorRole: actor.role || 'admin',
+    targetType: 'ScheduleImport',
+    targetId: String(job._id),
+    meta: { source: job.source, mode, dryRun, files: files.map(f => f.name) }
+  });
+
+  return { success: true, job };
+}
+
+/**
+ * Remove uploaded files once their job is done (files imported from elsewhere stay)
+ */
+async function cleanupUploads(job) {
+  for (const file of job.files) {
+    if (!file.path || !file.path.startsWith(IMPORT_UPLOAD_DIR)) continue;
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
+/**
+ * Run a queued import job to completion
+ * @param {string} jobId
+ * @returns {Promise<Object>} The finished job
+ */
+async function runScheduleImport(jobId) {
+  const job = await ScheduleImport.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return ScheduleImport.findById(jobId);
+
+  try {
+    const feed = await readFeed(job.files);
+    if (feed.trains.size === 0) {
+      throw new Error('No valid trains found in the uploaded files');
+    }
+
+    const { stats, errors } = await applyFeed(feed, {
+      mode: job.mode,
+      dryRun: job.dryRun,
+      onProgress: (trainsProcessed, trainsTotal) =>
+        ScheduleImport.updateOne({ _id: job._id }, { $set: { progress: { trainsProcessed, trainsTotal } } })
+    });
+
+    const allErrors = [...feed.errors, ...errors];
+    job.stats = stats;
+    job.rowErrors = allErrors.slice(0, MAX_REPORTED_ERRORS);
+    job.errorCount = allErrors.length;
+    job.progress = { trainsProcessed: feed.trains.size, trainsTotal: feed.trains.size };
+    job.status = 'completed';
+    console.log(`[ScheduleImport] ${job._id} completed${job.dryRun ? ' (dry run)' : ''}: ` +
+      `${stats.trainsCreated} trains created, ${stats.trainsUpdated} updated, ${stats.trainsDeactivated} withdrawn, ` +
+      `${stats.stopsCreated}/${stats.stopsUpdated}/${stats.stopsRemoved} stops created/updated/removed, ${allErrors.length} errors`);
+  } catch (err) {
+    console.error(`[ScheduleImport] ${job._id} failed:`, err.message);
+    job.status = 'failed';
+    job.failureReason = err.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  await cleanupUploads(job);
+  return job;
+}
+
+/**
+ * Create a job and run it in the background
+ * @returns {Promise<Object>} { success, job, code, message } - job is still queued
+ */
+async function startScheduleImport(params) {
+  const result = await createImportJob(params);
+  if (!result.success) return result;
+
+  setImmediate(() => {
+    runScheduleImport(result.job._id).catch(err => {
+      console.error(`[ScheduleImport] ${result.job._id} crashed:`, err.message);
+    });
+  });
+  return result;
+}
+
+/**
+ * Jobs cut off by a restart would block new imports forever; fail them on startup
+ * @returns {Promise<number>} Jobs marked failed
+ */
+async function recoverInterruptedImports() {
+  const interrupted = await ScheduleImport.find({ status: { $in: ['queued', 'running'] } });
+  for (const job of interrupted) {
+    job.status = 'failed';
+    job.failureReason = 'Interrupted by a server restart - upload the files again';
+    job.finishedAt = new Date();
+    await job.save();
+    await cleanupUploads(job);
+  }
+  if (interrupted.length > 0) {
+    console.warn(`[ScheduleImport] Marked ${interrupted.length} interrupted import(s) as failed`);
+  }
+  return interrupted.length;
+}
+
+// ==================== ERROR REPORT ====================
+
+function csvEscape(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {Object} job - ScheduleImport
+ * @returns {string} CSV with one row per reported error
+ */
+function renderErrorReportCsv(job) {
+  const rows = [['File', 'Line', 'Train', 'Station', 'Error']];
+  job.rowErrors.forEach(e => rows.push([e.file, e.line, e.trainNumber, e.stationCode, e.message]));
+  if (job.errorCount > job.rowErrors.length) {
+    rows.push(['', '', '', '', `... ${job.errorCount - job.rowErrors.length} more errors not listed`]);
+  }
+  return rows.map(r => r.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  IMPORT_UPLOAD_DIR,
+  FILE_ROLES,
+  MODES,
+  createImportJob,
+  startScheduleImport,
+  runScheduleImport,
+  recoverInterruptedImports,
+  applyFeed,
+  diffStops,
+  renderErrorReportCsv
+};
@@ -8,7 +8,7 @@
  * - Schedule calculation using train arrival times
  * - Validation of station position (first/last stop)
  * - Buffer time management
- * - Dynamic buffer calculation based on station type and time
+ * - Dynamic buffer calculation based on station type (station master data) and time
  * 
  * CRITICAL OPERATIONAL LOGIC:
  * - Pickup (Boarding): Assistant arrives BEFORE train, helps passenger BOARD when train arrives
@@ -23,6 +23,9 @@
 const ServiceTask = require('../models/ServiceTask');
 const TrainStop = require('../models/TrainStop');
 const Train = require('../models/Train');
+const { getStationType } = require('./stationService');
+const { buildTaskLocation } = require('./platformGuidanceService');
+const { fromLocal, atLocalTime, localMidnight, addLocalDays, localParts, formatDate } = require('./localTime');
 
 // Load configuration
 let schedulingConfig;
@@ -81,7 +84,7 @@ function calculateIntelligentBuffer(options = {}) {
   }
 
   // Add peak hour buffer
-  const hour = scheduledTime.getHours();
+  const hour = localParts(scheduledTime).hour;
   if (isPeakHour(hour)) {
     buffer += schedulingConfig.buffer?.peakHourAddition || 10;
   }
@@ -96,7 +99,7 @@ function calculateIntelligentBuffer(options = {}) {
 }
 
 /**
- * Parse time string (HH:MM or HH:MM:SS) to Date object for today
+ * Parse time string (HH:MM or HH:MM:SS, station local time) to Date object for today
  * @param {string} timeStr - Time string like "14:30" or "14:30:00"
  * @param {Date} baseDate - Base date to use (defaults to today)
  * @returns {Date|null} Date object or null if invalid
@@ -112,9 +115,191 @@ function parseTimeToDate(timeStr, baseDate = new Date()) {
   
   if (isNaN(hours) || isNaN(minutes)) return null;
   
-  const result = new Date(baseDate);
-  result.setHours(hours, minutes, 0, 0);
-  return result;
+  return atLocalTime(baseDate, hours, minutes);
+}
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Weekdays a train leaves its origin, from Train.runningDays
+ * Accepts full names, abbreviations and the "Fridayd"-style typos in the
+ * imported timetable; 'Daily'/'All' or nothing recognisable = every day
+ * @param {string[]} runningDays
+ * @returns {number[]|null} Weekday numbers (0 = Sunday), null if it runs daily / unknown
+ */
+function parseRunningDays(runningDays = []) {
+  const days = new Set();
+  for (const entry of runningDays || []) {
+    const value = String(entry).trim().toUpperCase();
+    if (value === 'DAILY' || value === 'ALL') return null;
+    const index = WEEKDAYS.indexOf(value.slice(0, 3));
+    if (index !== -1) days.add(index);
+  }
+  return days.size > 0 ? [...days].sort() : null;
+}
+
+/**
+ * Minutes past midnight for "HH:MM[:SS]", null if missing/invalid
+ */
+function timeToMinutes(timeStr) {
+  const date = parseTimeToDate(timeStr, fromLocal(2000, 1, 1));
+  return date ? localParts(date).minutes : null;
+}
+
+/**
+ * Day offset of every stop from the origin departure day
+ * Timetables only carry clock times, so each time the clock goes backwards
+ * along the stop sequence the train has crossed midnight into the next day.
+ * The origin's arrival and the terminal's departure are placeholders and ignored.
+ * Offsets stored by the schedule import (arrivalDay/departureDay) win when every stop has them.
+ * @param {Array} stops - TrainStop docs for one train
+ * @returns {Array} Stops sorted by stopSequence with arrivalDay / departureDay / isOrigin
+ */
+function computeDayOffsets(stops) {
+  const sorted = [...stops].sort((a, b) => a.stopSequence - b.stopSequence);
+  if (sorted.length > 0 && sorted.every(s => s.arrivalDay != null && s.departureDay != null)) {
+    return sorted.map((stop, index) => ({ ...stop, isOrigin: index === 0 }));
+  }
+  let day = 0;
+  let previous = null;
+
+  return sorted.map((stop, index) => {
+    const isFirst = index === 0;
+    const isLast = index === sorted.length - 1;
+    const advance = (minutes) => {
+      if (minutes === null) return day;
+      if (previous !== null && minutes < previous) day++;
+      previous = minutes;
+      return day;
+    };
+    const arrivalDay = isFirst ? 0 : advance(timeToMinutes(stop.arrivalTime));
+    const departureDay = isLast ? arrivalDay : advance(timeToMinutes(stop.departureTime));
+    return { ...stop, arrivalDay, departureDay, isOrigin: isFirst };
+  });
+}
+
+/**
+ * Clock time a service at this stop is planned around: the arrival,
+ * or the departure at the origin (where the arrival is a placeholder)
+ * @param {Object} stop - From computeDayOffsets
+ * @returns {Object} { time, day }
+ */
+function getStopServiceTime(stop) {
+  if (stop.isOrigin && stop.departureTime) {
+    return { time: stop.departureTime, day: stop.departureDay };
+  }
+  return { time: stop.arrivalTime || stop.departureTime, day: stop.arrivalDay };
+}
+
+/**
+ * Timetable of a train with day offsets
+ * @param {string} trainNumber
+ * @returns {Promise<Object>} { train, stops } - stops have arrivalDay, departureDay, isOrigin
+ */
+async function getTrainTimetable(trainNumber) {
+  const [train, stops] = await Promise.all([
+    Train.findOne({ trainNumber }).select('trainNumber trainName runningDays isActive').lean(),
+    TrainStop.find({ trainNumber }).sort({ stopSequence: 1 }).lean()
+  ]);
+  return { train, stops: computeDayOffsets(stops) };
+}
+
+/**
+ * Local midnight of a 'YYYY-MM-DD' string or Date
+ */
+function toLocalDay(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    return fromLocal(y, m, d);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return localMidnight(date);
+}
+
+/**
+ * Resolve a passenger's journey date into the train's start date at its origin
+ * and check the train runs from its origin that day (Train.runningDays).
+ * @param {string} trainNumber
+ * @param {Object} options
+ * @param {string|Date} options.journeyDate - Date at `stationCode` ('YYYY-MM-DD')
+ * @param {string} [options.stationCode] - Station the date refers to (default: origin)
+ * @returns {Promise<Object>} { success, trainStartDate, journeyDate, stop, timetable, code, message }
+ */
+async function resolveJourneyDate(trainNumber, { journeyDate, stationCode } = {}) {
+  const day = toLocalDay(journeyDate);
+  if (!day) {
+    return { success: false, code: 'INVALID_DATE', message: 'Journey date must be a valid date (YYYY-MM-DD)' };
+  }
+
+  const timetable = await getTrainTimetable(trainNumber);
+  if (!timetable.train && timetable.stops.length === 0) {
+    return { success: false, code: 'NOT_FOUND', message: 'Train not found' };
+  }
+  if (timetable.train && timetable.train.isActive === false) {
+    return { success: false, code: 'NOT_RUNNING', message: `Train ${trainNumber} is not in service` };
+  }
+
+  let stop = timetable.stops[0] || null;
+  if (stationCode) {
+    stop = timetable.stops.find(s => s.stationCode === String(stationCode).toUpperCase());
+    if (!stop) return { success: false, code: 'INVALID_STATION', message: 'Station not found on this train route' };
+  }
+
+  const offset = stop ? getStopServiceTime(stop).day : 0;
+  const trainStartDate = addLocalDays(day, -offset);
+  const runningDays = parseRunningDays(timetable.train?.runningDays);
+
+  if (runningDays && !runningDays.includes(localParts(trainStartDate).dayOfWeek)) {
+    const names = runningDays.map(d => WEEKDAYS[d].charAt(0) + WEEKDAYS[d].slice(1).toLowerCase()).join(', ');
+    const startLabel = formatDate(trainStartDate);
+    return {
+      success: false,
+      code: 'NOT_RUNNING',
+      message: offset > 0
+        ? `Train ${trainNumber} does not reach this station on that date (it would have left its origin on ${startLabel}; runs ${names})`
+        : `Train ${trainNumber} does not run on ${startLabel} (runs ${names})`
+    };
+  }
+
+  return { success: true, trainStartDate, journeyDate: day, stop, timetable };
+}
+
+/**
+ * When the train is at a stop on a given run
+ * @param {Object} stop - From getTrainTimetable / computeDayOffsets
+ * @param {Date} trainStartDate - Origin departure day
+ * @returns {Date|null}
+ */
+function getStopDateTime(stop, trainStartDate) {
+  const { time, day } = getStopServiceTime(stop);
+  return parseTimeToDate(time, addLocalDays(trainStartDate, day));
+}
+
+/**
+ * Next run of a train that is still to reach a station - for bookings that
+ * give no journey date. Looks a week ahead, the longest running-day cycle.
+ * @param {string} trainNumber
+ * @param {Object} [options]
+ * @param {string} [options.stationCode] - Station the run must still reach (default: origin)
+ * @param {Date} [options.after] - Earliest service time (default: now)
+ * @returns {Promise<Object>} resolveJourneyDate result for that run
+ */
+async function findNextJourneyDate(trainNumber, { stationCode, after = new Date() } = {}) {
+  let journey = null;
+  for (let days = 0; days <= 7; days++) {
+    journey = await resolveJourneyDate(trainNumber, { journeyDate: addLocalDays(localMidnight(after), days), stationCode });
+    if (!journey.success) {
+      if (journey.code === 'NOT_RUNNING') continue;
+      return journey;
+    }
+    const serviceTime = journey.stop ? getStopDateTime(journey.stop, journey.trainStartDate) : null;
+    if (!serviceTime || serviceTime >= after) return journey;
+  }
+  return journey.success
+    ? { success: false, code: 'DEPARTED', message: 'The train has already been at this station on every run this week' }
+    : journey;
 }
 
 /**
@@ -132,25 +317,6 @@ function calculateAssistantArrivalTime(trainArrivalDate, bufferMinutes = DEFAULT
   return arrivalTime;
 }
 
-/**
- * Detect station type based on station code patterns
- * Used for intelligent buffer calculation
- * @param {string} stationCode 
- * @param {string} stationName 
- * @returns {string} Station type: 'junction', 'terminal', 'halt', 'regular'
- */
-function detectStationType(stationCode, stationName = '') {
-  const code = stationCode.toUpperCase();
-  const name = (stationCode || stationName || '').toUpperCase();
-  if (name.includes('JN') || name.includes('JUNCTION')) return 'junction';
-  if (name.includes('TERMINAL') || name.includes('TERMINUS')) return 'terminal';
-  if (name.includes('HALT') || name.includes('H.')) return 'halt';
-  return 'regular';
-    if (name.includes('TERMINAL') || name.includes('TERMINUS')) return 'terminal';
-    if (name.includes('HALT') || name.includes('H.')) return 'halt';
-    return 'regular';
-}
-
 /**
  * Get stop metadata for a train at a specific station
  * @param {string} trainNumber 
@@ -177,8 +343,8 @@ async function getStopMetadata(trainNumber, stationCode) {
     TrainStop.findOne({ trainNumber }).sort({ stopSequence: -1 }).select('stopSequence stationName').lean()
   ]);
   
-  // Detect station type
-  const stationType = detectStationType(stop.stationName);
+  // Station type from station master data
+  const stationType = await getStationType({ code: stop.stationCode, name: stop.stationName });
   
   return {
     found: true,
@@ -258,13 +424,17 @@ async function validateServiceType(trainNumber, stationCode, serviceType) {
  * Create service tasks for a booking
  * Uses intelligent buffer calculation based on station type and conditions
  * For round_trip: Creates separate pickup and drop tasks at different stations
+ * Stop times land on the run's calendar days (trainStartDate + each stop's day
+ * offset); bookings without a train start date fall back to baseDate (today).
  * @param {Object} booking - The booking document
  * @param {Object} options - Optional configuration
+ * @param {Date} [options.trainStartDate] - Origin departure day (default booking.trainStartDate)
  * @returns {Object} { success: boolean, tasks: Array, errors: Array }
  */
 async function createServiceTasks(booking, options = {}) {
   const { 
     baseDate = new Date(),
+    trainStartDate = booking.trainStartDate || null,
     forceBuffer = null // Override intelligent calculation if specified
   } = options;
   
@@ -305,8 +475,8 @@ async function createServiceTasks(booking, options = {}) {
   
   if (booking.serviceType === 'pickup') {
     // Single pickup task
-    const station = booking.pickupStation || booking.station;
-    const validation = await validateServiceType(booking.trainNumber, station, 'pickup');
+    const station = booking.pickupStationName || booking.station;
+    const validation = await validateServiceType(booking.trainNumber, booking.pickupStationCode || booking.stationCode, 'pickup');
     if (!validation.valid) {
       return { success: false, tasks: [], errors: validation.errors };
     }
@@ -318,8 +488,8 @@ async function createServiceTasks(booking, options = {}) {
     });
   } else if (booking.serviceType === 'drop') {
     // Single drop task
-    const station = booking.dropStation || booking.station;
-    const validation = await validateServiceType(booking.trainNumber, station, 'drop');
+    const station = booking.dropStationName || booking.station;
+    const validation = await validateServiceType(booking.trainNumber, booking.dropStationCode || booking.stationCode, 'drop');
     if (!validation.valid) {
       return { success: false, tasks: [], errors: validation.errors };
     }
@@ -334,7 +504,7 @@ async function createServiceTasks(booking, options = {}) {
     // Validate pickup station
     const pickupValidation = await validateServiceType(
       booking.trainNumber, 
-      booking.pickupStation, 
+      booking.pickupStationCode, 
       'pickup'
     );
     if (!pickupValidation.valid) {
@@ -342,7 +512,7 @@ async function createServiceTasks(booking, options = {}) {
     } else {
       taskConfigs.push({
         taskType: 'pickup',
-        station: booking.pickupStation,
+        station: booking.pickupStationName || booking.pickupStationCode,
         validation: pickupValidation,
         taskSequence: 1
       });
@@ -350,7 +520,7 @@ async function createServiceTasks(booking, options = {}) {
     // Validate drop station
     const dropValidation = await validateServiceType(
       booking.trainNumber, 
-      booking.dropStation, 
+      booking.dropStationCode, 
       'drop'
     );
     if (!dropValidation.valid) {
@@ -358,7 +528,7 @@ async function createServiceTasks(booking, options = {}) {
     } else {
       taskConfigs.push({
         taskType: 'drop',
-        station: booking.dropStation,
+        station: booking.dropStationName || booking.dropStationCode,
         validation: dropValidation,
         taskSequence: 2
       });
@@ -369,16 +539,24 @@ async function createServiceTasks(booking, options = {}) {
     }
   }
   
+  // Day offsets for multi-day runs
+  const timetable = trainStartDate ? await getTrainTimetable(booking.trainNumber) : null;
+  // Coach composition for where the passenger's coach stops
+  const train = await Train.findOne({ trainNumber: booking.trainNumber }).select('coachComposition').lean();
+  
   // Create tasks in database
   for (const config of taskConfigs) {
     try {
       const { stop, stationType } = config.validation.metadata;
-      const trainArrivalDate = parseTimeToDate(stop.arrivalTime, baseDate);
+      const timedStop = timetable?.stops.find(s => s.stopSequence === stop.stopSequence);
+      const trainArrivalDate = timedStop
+        ? getStopDateTime(timedStop, trainStartDate)
+        : parseTimeToDate(stop.arrivalTime, baseDate);
       // INTELLIGENT BUFFER: Calculate based on station type, peak hours, and conditions
-      const intelligentBuffer = forceBuffer || calculateIntelligentBuffer(
-        stationType || 'regular',
-        trainArrivalDate
-      );
+      const intelligentBuffer = forceBuffer || calculateIntelligentBuffer({
+        stationType: stationType || 'regular',
+        scheduledTime: trainArrivalDate || new Date()
+      });
       const assistantArrival = calculateAssistantArrivalTime(trainArrivalDate, intelligentBuffer);
       const task = new ServiceTask({
         bookingId: booking._id,
@@ -390,13 +568,16 @@ async function createServiceTasks(booking, options = {}) {
         serviceWindow: 'after_arrival',
         assistantAction: ASSISTANT_ACTIONS[config.taskType],
         assistantArrivalTime: assistantArrival,
-        trainArrivalTime: stop.arrivalTime,
+        trainArrivalTime: timedStop ? getStopServiceTime(timedStop).time : stop.arrivalTime,
         trainDepartureTime: stop.departureTime,
         scheduledTime: config.taskType === 'pickup' ? assistantArrival : trainArrivalDate,
         taskSequence: config.taskSequence,
         stopSequence: stop.stopSequence,
+        originalTrainArrival: trainArrivalDate,
+        expectedTrainArrival: trainArrivalDate,
         bufferMinutes: intelligentBuffer,
-        bufferReason: `${stationType || 'regular'} station, ${isPeakHour(trainArrivalDate) ? 'peak' : 'off-peak'} hours`,
+        bufferReason: `${stationType || 'regular'} station, ${trainArrivalDate && isPeakHour(localParts(trainArrivalDate).hour) ? 'peak' : 'off-peak'} hours`,
+        ...buildTaskLocation({ stop, composition: train && train.coachComposition, coach: booking.coach }),
         status: 'pending'
       });
       await task.save();
@@ -513,14 +694,19 @@ module.exports = {
   getServiceTypeAvailability,
   cancelBookingTasks,
   getUpcomingTasks,
+  resolveJourneyDate,
+  findNextJourneyDate,
+  getTrainTimetable,
+  getStopDateTime,
   
   // Helpers (exported for testing)
   parseTimeToDate,
   calculateAssistantArrivalTime,
   calculateIntelligentBuffer,
   getStopMetadata,
-  detectStationType,
   isPeakHour,
+  parseRunningDays,
+  computeDayOffsets,
   
   // Constants
   DEFAULT_BUFFER_MINUTES,
@@ -0,0 +1,663 @@
+/**
+ * Shift Service
+ *
+ * When an assistant can be given work:
+ * - assistants publish recurring weekly availability (station local time) and
+ *   one-off leave on their own record (Assistant.weeklyAvailability / leave)
+ * - admins roster shifts at a station (models/Shift.js) inside that availability
+ *
+ * A task is covered when the assistant has a shift from the task's
+ * assistantArrivalTime until its expected completion. At a station with a
+ * roster for that day only rostered shifts count; elsewhere a block of the
+ * assistant's weekly availability does. Leave always wins. Each shift takes at
+ * most capacity.targetTasksPerShift tasks.
+ */
+
+const Shift = require('../models/Shift');
+const Assistant = require('../models/Assistant');
+const Booking = require('../models/Booking');
+const ServiceTask = require('../models/ServiceTask');
+const AuditLog = require('../models/AuditLog');
+const schedulingConfig = require('../config/scheduling.config');
+const { findStation, isSameStation } = require('./stationService');
+const eventBus = require('./eventBus');
+const { timeZone, atLocalTime, localMidnight, addLocalDays, localParts, utcOffsetMinutes, formatDateTime } = require('./localTime');
+
+const {
+  maxShiftHours,
+  maxRosterAheadDays,
+  defaultTaskMinutes,
+  requireSchedule
+} = schedulingConfig.shifts;
+const { targetTasksPerShift } = schedulingConfig.capacity;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_AVAILABILITY_SLOTS = 28;
+const MAX_LEAVE_DAYS = 90;
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+}
+
+function toMinutes(hhmm) {
+  const [, h, m] = TIME_PATTERN.exec(hhmm);
+  return parseInt(h, 10) * 60 + parseInt(m, 10);
+}
+
+function overlaps(aStart, aEnd, bStart, bEnd) {
+  return new Date(aStart) < new Date(bEnd) && new Date(aEnd) > new Date(bStart);
+}
+
+function covers(shift, window) {
+  return new Date(shift.start) <= window.start && new Date(shift.end) >= window.end;
+}
+
+async function audit(action, actor, targetType, targetId, meta) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType,
+    targetId: String(targetId),
+    meta
+  });
+}
+
+// ==================== TIME WINDOWS ====================
+
+/**
+ * Time a task needs its assistant: from assistantArrivalTime until the train
+ * is in plus sla.maxTaskDurationMinutes (delays included)
+ * @param {Object} task - ServiceTask
+ * @returns {Object|null} { start, end }
+ */
+function getTaskWindow(task) {
+  const startAt = task.assistantArrivalTime || task.scheduledTime;
+  if (!startAt) return null;
+  const start = new Date(startAt);
+  const trainAt = task.expectedTrainArrival || task.originalTrainArrival;
+  const end = trainAt
+    ? new Date(Math.max(new Date(trainAt).getTime(), start.getTime()) + schedulingConfig.sla.maxTaskDurationMinutes * MINUTE_MS)
+    : new Date(new Date(task.scheduledTime || start).getTime() + defaultTaskMinutes * MINUTE_MS);
+  return { start, end: end > start ? end : new Date(start.getTime() + defaultTaskMinutes * MINUTE_MS) };
+}
+
+/**
+ * Time a booking needs its assistant at a station: its task there, or its
+ * arrival time when it has no tasks
+ * @param {Object} booking - Booking
+ * @param {string} [stationName] - Round trips: the task's station
+ * @returns {Promise<Object|null>} { start, end, taskId }
+ */
+async function getBookingWindow(booking, stationName) {
+  const tasks = await ServiceTask.find({ bookingId: booking._id, status: { $ne: 'cancelled' } })
+    .sort({ scheduledTime: 1 })
+    .lean();
+  let task = tasks[0];
+  if (stationName) {
+    task = null;
+    for (const t of tasks) {
+      if (await isSameStation(t.station, stationName)) { task = t; break; }
+    }
+  }
+  if (task) {
+    const window = getTaskWindow(task);
+    return window && { ...window, taskId: task._id };
+  }
+  if (booking.arrivalTime) {
+    const start = new Date(booking.arrivalTime);
+    return { start, end: new Date(start.getTime() + defaultTaskMinutes * MINUTE_MS), taskId: null };
+  }
+  return null;
+}
+
+/**
+ * Occurrences of weekly availability blocks overlapping a time range, with
+ * back-to-back blocks (e.g. Mon 18:00-00:00, Tue 00:00-06:00) merged
+ * @param {Array} weeklyAvailability - Assistant.weeklyAvailability
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array} [{ start, end }] sorted by start
+ */
+function getAvailabilityOccurrences(weeklyAvailability = [], from, to) {
+  const occurrences = [];
+  // Start a day early for blocks running past midnight
+  for (let day = addLocalDays(localMidnight(from), -1); day < new Date(to); day = addLocalDays(day, 1)) {
+    const { dayOfWeek } = localParts(day);
+    for (const slot of weeklyAvailability) {
+      if (slot.dayOfWeek !== dayOfWeek) continue;
+      const startMin = toMinutes(slot.start);
+      let endMin = toMinutes(slot.end);
+      if (endMin <= startMin) endMin += 24 * 60;
+      occurrences.push({ start: atLocalTime(day, 0, startMin), end: atLocalTime(day, 0, endMin) });
+    }
+  }
+  occurrences.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const occ of occurrences) {
+    const last = merged[merged.length - 1];
+    if (last && occ.start <= last.end) {
+      if (occ.end > last.end) last.end = occ.end;
+    } else {
+      merged.push({ ...occ });
+    }
+  }
+  return merged.filter(o => overlaps(o.start, o.end, from, to));
+}
+
+/**
+ * Leave entries overlapping a time range
+ * @param {Object} assistant - Assistant
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array}
+ */
+function getLeaveDuring(assistant, start, end) {
+  return (assistant.leave || []).filter(l => overlaps(l.from, l.to, start, end));
+}
+
+// ==================== COVERAGE & CAPACITY ====================
+
+/**
+ * Tasks an assistant has in a shift - their own assignments and tasks of
+ * bookings matched to them
+ * @param {string} assistantId
+ * @param {Object} shift - { start, end }
+ * @param {string} [excludeTaskId] - The task being assigned
+ * @returns {Promise<number>}
+ */
+async function countShiftTasks(assistantId, shift, excludeTaskId) {
+  const bookingIds = await Booking.distinct('_id', {
+    assistantId,
+    status: { $nin: ['Cancelled', 'Rejected'] }
+  });
+  const query = {
+    status: { $ne: 'cancelled' },
+    scheduledTime: { $gte: new Date(shift.start), $lt: new Date(shift.end) },
+    $or: [
+      { assignedAssistant: assistantId },
+      { assignedAssistant: null, bookingId: { $in: bookingIds } }
+    ]
+  };
+  if (excludeTaskId) query._id = { $ne: excludeTaskId };
+  return ServiceTask.countDocuments(query);
+}
+
+/**
+ * Whether a station has a roster for the day(s) a time window falls on
+ * @param {string} stationCode
+ * @param {Object} window - { start, end }
+ * @returns {Promise<boolean>}
+ */
+async function isStationRostered(stationCode, window) {
+  const dayStart = localMidnight(window.start);
+  const dayEnd = addLocalDays(localMidnight(window.end), 1);
+  const count = await Shift.countDocuments({
+    stationCode,
+    status: 'scheduled',
+    start: { $lt: dayEnd },
+    end: { $gt: dayStart }
+  });
+  return count > 0;
+}
+
+/**
+ * Keep the assistants whose shift covers a time window and still has room
+ * @param {Array} assistants - Assistant (lean) candidates at the station
+ * @param {Object} params - { station: { code, name }, start, end, excludeTaskId }
+ * @returns {Promise<Object>} { assistants, excluded, rostered } - kept assistants
+ *          carry shift: { start, end, source, shiftId, load } (null when unscheduled)
+ */
+async function filterAssistantsOnShift(assistants, { station = {}, start, end, excludeTaskId } = {}) {
+  const window = { start: new Date(start), end: new Date(end) };
+  const stationDoc = await findStation(station);
+  const rostered = stationDoc ? await isStationRostered(stationDoc.code, window) : false;
+
+  const rosterShifts = rostered
+    ? await Shift.find({
+      stationCode: stationDoc.code,
+      status: 'scheduled',
+      assistantId: { $in: assistants.map(a => a._id) },
+      start: { $lte: window.start },
+      end: { $gte: window.end }
+    }).lean()
+    : [];
+
+  const kept = [];
+  const excluded = [];
+  for (const assistant of assistants) {
+    if (getLeaveDuring(assistant, window.start, window.end).length > 0) {
+      excluded.push({ assistantId: assistant._id, reason: 'on_leave' });
+      continue;
+    }
+
+    let shift = null;
+    if (rostered) {
+      const rosterShift = rosterShifts.find(s => String(s.assistantId) === String(assistant._id));
+      if (rosterShift) shift = { start: rosterShift.start, end: rosterShift.end, source: 'roster', shiftId: rosterShift._id };
+    } else {
+      const block = getAvailabilityOccurrences(assistant.weeklyAvailability, window.start, window.end)
+        .find(o => covers(o, window));
+      if (block) shift = { ...block, source: 'availability', shiftId: null };
+    }
+
+    if (!shift) {
+      const unscheduled = !rostered && !(assistant.weeklyAvailability || []).length;
+      if (unscheduled && !requireSchedule) {
+        kept.push({ ...assistant, shift: null });
+      } else {
+        excluded.push({ assistantId: assistant._id, reason: rostered ? 'not_rostered' : 'not_available' });
+      }
+      continue;
+    }
+
+    shift.load = await countShiftTasks(assistant._id, shift, excludeTaskId);
+    if (shift.load >= targetTasksPerShift) {
+      excluded.push({ assistantId: assistant._id, reason: 'shift_full' });
+      continue;
+    }
+    kept.push({ ...assistant, shift });
+  }
+
+  return { assistants: kept, excluded, rostered };
+}
+
+/**
+ * Why an assistant cannot take a task (shift-wise), or null if they can
+ * @param {Object} assistant - Assistant
+ * @param {Object} task - ServiceTask
+ * @returns {Promise<string|null>} Reason, for validation messages
+ */
+async function getShiftConflict(assistant, task) {
+  const window = getTaskWindow(task);
+  if (!window) return null;
+  const plain = typeof assistant.toObject === 'function' ? assistant.toObject() : assistant;
+  const { excluded } = await filterAssistantsOnShift([plain], {
+    station: { name: task.station },
+    ...window,
+    excludeTaskId: task._id
+  });
+  if (excluded.length === 0) return null;
+  return {
+    on_leave: 'Assistant is on leave during this task',
+    not_rostered: 'Assistant has no rostered shift covering this task',
+    not_available: 'Task is outside the assistant\'s weekly availability',
+    shift_full: `Assistant's shift already has ${targetTasksPerShift} tasks`
+  }[excluded[0].reason];
+}
+
+// ==================== AVAILABILITY CALENDAR ====================
+
+/**
+ * Validate weekly availability
+ * @param {Array} slots - [{ dayOfWeek, start: 'HH:MM', end: 'HH:MM' }]
+ * @returns {Object} { valid, errors, sanitized }
+ */
+function validateAvailabilityInput(slots) {
+  const errors = [];
+  if (!Array.isArray(slots)) {
+    return { valid: false, errors: ['slots must be an array'], sanitized: [] };
+  }
+  if (slots.length > MAX_AVAILABILITY_SLOTS) {
+    errors.push(`At most ${MAX_AVAILABILITY_SLOTS} availability slots`);
+  }
+  const sanitized = [];
+  slots.forEach((slot, i) => {
+    const dayOfWeek = Number(slot && slot.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      errors.push(`slots[${i}].dayOfWeek must be 0 (Sunday) to 6 (Saturday)`);
+      return;
+    }
+    if (!TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) {
+      errors.push(`slots[${i}].start and end must be HH:MM`);
+      return;
+    }
+    if (slot.start === slot.end) {
+      errors.push(`slots[${i}] starts and ends at the same time`);
+      return;
+    }
+    sanitized.push({ dayOfWeek, start: slot.start, end: slot.end });
+  });
+  return { valid: errors.length === 0, errors, sanitized };
+}
+
+/**
+ * Replace an assistant's weekly availability. Rostered shifts are kept;
+ * upcoming ones no longer inside the availability are returned for the admin
+ * @param {string} assistantId
+ * @param {Array} slots - See validateAvailabilityInput
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, weeklyAvailability, conflicts, code, message, errors }
+ */
+async function setWeeklyAvailability(assistantId, slots, actor = {}) {
+  const check = validateAvailabilityInput(slots);
+  if (!check.valid) {
+    return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+  }
+
+  const assistant = await Assistant.findById(assistantId);
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+
+  assistant.weeklyAvailability = check.sanitized;
+  await assistant.save();
+
+  const upcoming = await Shift.find({ assistantId: assistant._id, status: 'scheduled', end: { $gt: new Date() } })
+    .sort({ start: 1 })
+    .lean();
+  const conflicts = upcoming.filter(shift => !isWithinAvailability(assistant, shift));
+
+  await audit('availability_updated', actor, 'assistant', assistant._id, {
+    slots: check.sanitized,
+    shiftsOutsideAvailability: conflicts.map(s => String(s._id))
+  });
+  return { success: true, weeklyAvailability: assistant.weeklyAvailability, conflicts };
+}
+
+function isWithinAvailability(assistant, shift) {
+  if (!(assistant.weeklyAvailability || []).length) return true;
+  return getAvailabilityOccurrences(assistant.weeklyAvailability, shift.start, shift.end)
+    .some(o => covers(o, { start: new Date(shift.start), end: new Date(shift.end) }));
+}
+
+/**
+ * Add leave. Rostered shifts overlapping it are cancelled; tasks already
+ * assigned in it are returned so they can be reassigned
+ * @param {string} assistantId
+ * @param {Object} input - { from, to, reason }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, leave, cancelledShifts, affectedTasks, code, message, errors }
+ */
+async function addLeave(assistantId, input = {}, actor = {}) {
+  const errors = [];
+  const from = parseDate(input.from);
+  const to = parseDate(input.to);
+  if (!from || !to) {
+    errors.push('from and to must be dates');
+  } else if (to <= from) {
+    errors.push('to must be after from');
+  } else if (to <= new Date()) {
+    errors.push('Leave must end in the future');
+  } else if (to - from > MAX_LEAVE_DAYS * DAY_MS) {
+    errors.push(`Leave can be at most ${MAX_LEAVE_DAYS} days at a time`);
+  }
+  const reason = typeof input.reason === 'string' ? input.reason.trim().slice(0, 200) : '';
+  if (errors.length > 0) return { success: false, code: 'INVALID', message: errors.join('. '), errors };
+
+  const assistant = await Assistant.findById(assistantId);
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+
+  assistant.leave.push({ from, to, reason });
+  await assistant.save();
+  const leave = assistant.leave[assistant.leave.length - 1];
+
+  const shifts = await Shift.find({
+    assistantId: assistant._id,
+    status: 'scheduled',
+    start: { $lt: to },
+    end: { $gt: from }
+  });
+  for (const shift of shifts) {
+    shift.status = 'cancelled';
+    shift.cancelledBy = actor.id ? String(actor.id) : null;
+    shift.cancelledAt = new Date();
+    shift.cancelReason = 'Assistant on leave';
+    await shift.save();
+  }
+
+  const affectedTasks = await ServiceTask.find({
+    assignedAssistant: assistant._id,
+    status: 'assigned',
+    scheduledTime: { $gte: from, $lt: to }
+  }).select('_id bookingId station taskType scheduledTime').lean();
+
+  await audit('leave_added', actor, 'assistant', assistant._id, {
+    leaveId: String(leave._id),
+    from,
+    to,
+    reason,
+    cancelledShifts: shifts.map(s => String(s._id)),
+    affectedTasks: affectedTasks.map(t => String(t._id))
+  });
+  console.log(`[Shift] ${assistant.name} on leave ${formatDateTime(from)} - ${formatDateTime(to)}; ${shifts.length} shift(s) cancelled`);
+  return { success: true, leave, cancelledShifts: shifts, affectedTasks };
+}
+
+/**
+ * Withdraw leave that has not ended. Shifts it cancelled stay cancelled
+ * @param {string} assistantId
+ * @param {string} leaveId
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, code, message }
+ */
+async function cancelLeave(assistantId, leaveId, actor = {}) {
+  const assistant = await Assistant.findById(assistantId);
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+  const leave = assistant.leave.id(leaveId);
+  if (!leave) return { success: false, code: 'NOT_FOUND', message: 'Leave not found' };
+  if (leave.to <= new Date()) {
+    return { success: false, code: 'INVALID_STATE', message: 'Leave has already ended' };
+  }
+
+  leave.deleteOne();
+  await assistant.save();
+  await audit('leave_cancelled', actor, 'assistant', assistant._id, { leaveId: String(leaveId), from: leave.from, to: leave.to });
+  return { success: true };
+}
+
+/**
+ * An assistant's availability, upcoming leave and rostered shifts
+ * @param {string} assistantId
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} { success, weeklyAvailability, leave, shifts, code, message }
+ */
+async function getAssistantCalendar(assistantId, { from, to }) {
+  const assistant = await Assistant.findById(assistantId).select('weeklyAvailability leave').lean();
+  if (!assistant) return { success: false, code: 'NOT_FOUND', message: 'Assistant not found' };
+
+  const shifts = await Shift.find({
+    assistantId,
+    status: 'scheduled',
+    start: { $lt: to },
+    end: { $gt: from }
+  }).sort({ start: 1 }).lean();
+  for (const shift of shifts) {
+    shift.load = await countShiftTasks(assistantId, shift);
+    shift.target = targetTasksPerShift;
+  }
+
+  return {
+    success: true,
+    timeZone,
+    utcOffsetMinutes: utcOffsetMinutes(),
+    weeklyAvailability: assistant.weeklyAvailability || [],
+    leave: (assistant.leave || []).filter(l => new Date(l.to) > new Date()),
+    shifts
+  };
+}
+
+// ==================== ROSTERS ====================
+
+async function validateShiftEntry(station, entry, now) {
+  const errors = [];
+  const start = parseDate(entry.start);
+  const end = parseDate(entry.end);
+  if (!start || !end) {
+    return { errors: ['start and end must be dates'] };
+  }
+  if (end <= start) errors.push('end must be after start');
+  if (end - start > maxShiftHours * 60 * MINUTE_MS) errors.push(`A shift can be at most ${maxShiftHours} hours`);
+  if (end <= now) errors.push('Shift has already ended');
+  if (start - now > maxRosterAheadDays * DAY_MS) errors.push(`Shifts can be rostered at most ${maxRosterAheadDays} days ahead`);
+  if (errors.length > 0) return { errors };
+
+  const assistant = entry.assistantId && /^[a-f\d]{24}$/i.test(String(entry.assistantId))
+    ? await Assistant.findById(entry.assistantId).select('name station applicationStatus weeklyAvailability leave').lean()
+    : null;
+  if (!assistant) return { errors: ['Assistant not found'] };
+  if (assistant.applicationStatus !== 'Approved') errors.push(`${assistant.name} is not approved`);
+  if (!(await isSameStation(assistant.station, station.code))) {
+    errors.push(`${assistant.name} works at ${assistant.station}, not ${station.code}`);
+  }
+  if (getLeaveDuring(assistant, start, end).length > 0) errors.push(`${assistant.name} is on leave during this shift`);
+  if (!isWithinAvailability(assistant, { start, end })) {
+    errors.push(`Shift is outside ${assistant.name}'s weekly availability`);
+  }
+  const clash = await Shift.findOne({
+    assistantId: assistant._id,
+    status: 'scheduled',
+    start: { $lt: end },
+    end: { $gt: start }
+  }).lean();
+  if (clash) errors.push(`${assistant.name} already has a shift ${formatDateTime(clash.start)} - ${formatDateTime(clash.end)} at ${clash.stationCode}`);
+
+  return { errors, assistant, start, end };
+}
+
+/**
+ * Add shifts to a station roster. Each entry is checked on its own (station,
+ * approval, leave, weekly availability, clashes); valid ones are created
+ * @param {string} stationCode
+ * @param {Array} entries - [{ assistantId, start, end, notes }]
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, shifts, rejected: [{ index, errors }], code, message }
+ */
+async function createShifts(stationCode, entries, actor = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { success: false, code: 'INVALID', message: 'shifts must be a non-empty array' };
+  }
+  if (entries.length > 200) {
+    return { success: false, code: 'INVALID', message: 'At most 200 shifts at a time' };
+  }
+  const station = await findStation({ code: stationCode });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found or inactive' };
+
+  const now = new Date();
+  const shifts = [];
+  const rejected = [];
+  for (const [index, entry] of entries.entries()) {
+    const { errors, assistant, start, end } = await validateShiftEntry(station, entry || {}, now);
+    if (errors.length > 0) {
+      rejected.push({ index, assistantId: entry && entry.assistantId, errors });
+      continue;
+    }
+
+    const shift = await Shift.create({
+      stationCode: station.code,
+      assistantId: assistant._id,
+      start,
+      end,
+      notes: typeof entry.notes === 'string' ? entry.notes.trim().slice(0, 200) : '',
+      createdBy: actor.id ? String(actor.id) : null
+    });
+    shifts.push(shift);
+
+    await audit('shift_created', actor, 'shift', shift._id, {
+      stationCode: station.code,
+      assistantId: String(assistant._id),
+      start,
+      end
+    });
+    eventBus.publishAssistantNotice(assistant._id, 'shiftScheduled',
+      `New shift at ${station.name}: ${formatDateTime(start)} - ${formatDateTime(end)}`, { shiftId: String(shift._id) });
+  }
+
+  if (shifts.length === 0) {
+    return {
+      success: false,
+      code: 'INVALID',
+      message: 'No shifts could be created',
+      errors: rejected.map(r => `shifts[${r.index}]: ${r.errors.join('. ')}`),
+      rejected
+    };
+  }
+  console.log(`[Shift] Rostered ${shifts.length} shift(s) at ${station.code} (${rejected.length} rejected)`);
+  return { success: true, shifts, rejected };
+}
+
+/**
+ * Take a shift off the roster. Tasks already assigned in it are returned so
+ * they can be reassigned
+ * @param {string} shiftId
+ * @param {Object} options - { reason }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, shift, affectedTasks, code, message }
+ */
+async function cancelShift(shiftId, { reason = '' } = {}, actor = {}) {
+  const shift = /^[a-f\d]{24}$/i.test(String(shiftId)) ? await Shift.findById(shiftId) : null;
+  if (!shift) return { success: false, code: 'NOT_FOUND', message: 'Shift not found' };
+  if (shift.status !== 'scheduled') {
+    return { success: false, code: 'INVALID_STATE', message: `Shift is already ${shift.status}` };
+  }
+
+  shift.status = 'cancelled';
+  shift.cancelledBy = actor.id ? String(actor.id) : null;
+  shift.cancelledAt = new Date();
+  shift.cancelReason = String(reason || '').slice(0, 200);
+  await shift.save();
+
+  const affectedTasks = await ServiceTask.find({
+    assignedAssistant: shift.assistantId,
+    status: 'assigned',
+    scheduledTime: { $gte: shift.start, $lt: shift.end }
+  }).select('_id bookingId station taskType scheduledTime').lean();
+
+  await audit('shift_cancelled', actor, 'shift', shift._id, {
+    stationCode: shift.stationCode,
+    assistantId: String(shift.assistantId),
+    reason: shift.cancelReason,
+    affectedTasks: affectedTasks.map(t => String(t._id))
+  });
+  eventBus.publishAssistantNotice(shift.assistantId, 'shiftCancelled',
+    `Your shift ${formatDateTime(shift.start)} - ${formatDateTime(shift.end)} was cancelled`, { shiftId: String(shift._id) });
+  return { success: true, shift, affectedTasks };
+}
+
+/**
+ * A station's roster for a time range with each shift's task load
+ * @param {string} stationCode
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} { success, station, shifts, target, code, message }
+ */
+async function getStationRoster(stationCode, { from, to }) {
+  const station = await findStation({ code: stationCode });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found' };
+
+  const shifts = await Shift.find({
+    stationCode: station.code,
+    status: 'scheduled',
+    start: { $lt: to },
+    end: { $gt: from }
+  })
+    .sort({ start: 1 })
+    .populate('assistantId', 'name phone isOnline')
+    .lean();
+  for (const shift of shifts) {
+    shift.load = await countShiftTasks(shift.assistantId ? shift.assistantId._id : null, shift);
+  }
+
+  return { success: true, station: { code: station.code, name: station.name }, target: targetTasksPerShift, shifts };
+}
+
+module.exports = {
+  getTaskWindow,
+  getBookingWindow,
+  getAvailabilityOccurrences,
+  getLeaveDuring,
+  isStationRostered,
+  countShiftTasks,
+  filterAssistantsOnShift,
+  getShiftConflict,
+  validateAvailabilityInput,
+  setWeeklyAvailability,
+  addLeave,
+  cancelLeave,
+  getAssistantCalendar,
+  createShifts,
+  cancelShift,
+  getStationRoster
+};
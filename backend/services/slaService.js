@@ -0,0 +1,254 @@
+/**
+ * SLA Service
+ *
+ * Assistant check-ins and SLA incidents for service tasks (schedulingConfig.sla):
+ * - check-in later than assistantArrivalTime + arrivalWindowMinutes -> late_arrival
+ * - no check-in noShowAfterMinutes after assistantArrivalTime        -> no_show
+ *
+ * Each incident carries the configured penalty percent, which
+ * earningsService.applyTaskPenalty deducts from that task's earnings.
+ * Assistants can appeal; an admin accepts (penalty waived) or rejects (upheld).
+ */
+
+const ServiceTask = require('../models/ServiceTask');
+const SlaIncident = require('../models/SlaIncident');
+const AuditLog = require('../models/AuditLog');
+const schedulingConfig = require('../config/scheduling.config');
+const { applyTaskPenalty } = require('./earningsService');
+
+const PENALTY_PERCENT = {
+  late_arrival: schedulingConfig.sla.lateArrivalPenaltyPercent,
+  no_show: schedulingConfig.sla.noShowPenaltyPercent
+};
+
+// ==================== CLASSIFICATION ====================
+
+/**
+ * Classify a check-in against the expected arrival
+ * @param {Date|null} expectedArrival - task.assistantArrivalTime
+ * @param {Date} checkedInAt
+ * @returns {Object} { type: 'on_time' | 'late_arrival', minutesLate }
+ */
+function classifyArrival(expectedArrival, checkedInAt) {
+  if (!expectedArrival) return { type: 'on_time', minutesLate: 0 };
+  const minutesLate = Math.max(Math.floor((checkedInAt - new Date(expectedArrival)) / 60000), 0);
+  return {
+    type: minutesLate > schedulingConfig.sla.arrivalWindowMinutes ? 'late_arrival' : 'on_time',
+    minutesLate
+  };
+}
+
+/**
+ * Create or update the incident for a task's assistant and apply its penalty
+ * @returns {Promise<Object>} SlaIncident
+ */
+async function upsertIncident(task, assistantId, { type, minutesLate = 0, checkedInAt = null }) {
+  const incident = await SlaIncident.findOneAndUpdate(
+    { taskId: task._id, assistantId },
+    {
+      $set: {
+        type,
+        minutesLate,
+        checkedInAt,
+        penaltyPercent: PENALTY_PERCENT[type],
+        expectedArrival: task.assistantArrivalTime,
+        arrivalWindowMinutes: schedulingConfig.sla.arrivalWindowMinutes
+      },
+      $setOnInsert: { bookingId: task.bookingId, station: task.station, status: 'applied' }
+    },
+    { upsert: true, new: true }
+  );
+  await applyTaskPenalty(task._id, assistantId);
+  return SlaIncident.findById(incident._id);
+}
+
+// ==================== CHECK-IN ====================
+
+/**
+ * Record the assigned assistant's arrival at the platform
+ * A late check-in after a no-show was flagged downgrades it to late_arrival.
+ * @param {string} taskId
+ * @param {string} assistantId
+ * @param {Date} [at]
+ * @returns {Promise<Object>} { success, task, classification, incident, code, message }
+ */
+async function recordCheckIn(taskId, assistantId, at = new Date()) {
+  const task = await ServiceTask.findOneAndUpdate(
+    {
+      _id: taskId,
+      assignedAssistant: assistantId,
+      status: { $in: ['assigned', 'in_progress'] },
+      checkedInAt: null
+    },
+    { checkedInAt: at, checkedInBy: assistantId },
+    { new: true }
+  );
+  if (!task) {
+    const current = await ServiceTask.findById(taskId).select('assignedAssistant status checkedInAt').lean();
+    if (!current) return { success: false, code: 'NOT_FOUND', message: 'Task not found' };
+    if (String(current.assignedAssistant) !== String(assistantId)) {
+      return { success: false, code: 'FORBIDDEN', message: 'Task is not assigned to you' };
+    }
+    if (current.checkedInAt) return { success: false, code: 'ALREADY_CHECKED_IN', message: 'Already checked in' };
+    return { success: false, code: 'INVALID_STATE', message: `Cannot check in to a ${current.status} task` };
+  }
+
+  const classification = classifyArrival(task.assistantArrivalTime, at);
+  const existing = await SlaIncident.findOne({ taskId: task._id, assistantId });
+
+  let incident = null;
+  if (classification.type === 'late_arrival' || existing) {
+    incident = await upsertIncident(task, assistantId, {
+      type: 'late_arrival',
+      minutesLate: classification.minutesLate,
+      checkedInAt: at
+    });
+    console.warn(`[SLA] Late arrival on task ${task._id}: ${classification.minutesLate} min late`);
+  }
+  return { success: true, task, classification, incident };
+}
+
+/**
+ * Check the assistant in to the booking's next open task (start OTP verified
+ * means the assistant met the passenger). No-op if already checked in.
+ * @param {string} bookingId
+ * @param {string} assistantId
+ * @returns {Promise<Object|null>} recordCheckIn result, or null if nothing to check in
+ */
+async function checkInForBooking(bookingId, assistantId) {
+  const task = await ServiceTask.findOne({
+    bookingId,
+    assignedAssistant: assistantId,
+    status: { $in: ['assigned', 'in_progress'] },
+    checkedInAt: null
+  }).sort({ taskSequence: 1 });
+  if (!task) return null;
+  return recordCheckIn(task._id, assistantId);
+}
+
+// ==================== NO-SHOWS ====================
+
+/**
+ * Flag assigned tasks whose assistant never checked in
+ * Skips tasks whose train passed the station (not the assistant's fault).
+ * @param {Date} [now]
+ * @returns {Promise<Array>} [{ task, incident }] - newly flagged
+ */
+async function detectNoShows(now = new Date()) {
+  const cutoff = new Date(now.getTime() - schedulingConfig.sla.noShowAfterMinutes * 60 * 1000);
+  const tasks = await ServiceTask.find({
+    status: { $in: ['assigned', 'in_progress'] },
+    assignedAssistant: { $ne: null },
+    checkedInAt: null,
+    trainPassedStation: { $ne: true },
+    assistantArrivalTime: { $ne: null, $lt: cutoff }
+  });
+
+  const flagged = [];
+  for (const task of tasks) {
+    if (await SlaIncident.exists({ taskId: task._id, assistantId: task.assignedAssistant })) continue;
+    const incident = await upsertIncident(task, task.assignedAssistant, {
+      type: 'no_show',
+      minutesLate: Math.floor((now - task.assistantArrivalTime) / 60000)
+    });
+    console.warn(`[SLA] No-show on task ${task._id} by assistant ${task.assignedAssistant}`);
+    flagged.push({ task, incident });
+  }
+  return flagged;
+}
+
+// ==================== APPEALS ====================
+
+/**
+ * Assistant appeals an applied incident
+ * @param {string} incidentId
+ * @param {string} assistantId - Must own the incident
+ * @param {string} reason
+ * @returns {Promise<Object>} { success, incident, code, message }
+ */
+async function submitAppeal(incidentId, assistantId, reason) {
+  if (!reason || !String(reason).trim()) {
+    return { success: false, code: 'INVALID', message: 'Appeal reason is required' };
+  }
+  const incident = await SlaIncident.findOneAndUpdate(
+    { _id: incidentId, assistantId, status: 'applied' },
+    { status: 'appealed', appeal: { reason: String(reason).trim(), submittedAt: new Date() } },
+    { new: true }
+  );
+  if (!incident) return incidentStateError(incidentId, assistantId, 'applied');
+
+  await AuditLog.create({
+    action: 'sla_appeal_submitted',
+    actorId: String(assistantId),
+    actorRole: 'assistant',
+    targetType: 'sla_incident',
+    targetId: String(incident._id),
+    meta: { type: incident.type, taskId: String(incident.taskId), reason: incident.appeal.reason }
+  });
+  return { success: true, incident };
+}
+
+/**
+ * Admin decides an appeal: accept waives the penalty, reject upholds it
+ * @param {string} incidentId
+ * @param {string} decision - accepted | rejected
+ * @param {string} note
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, incident, code, message }
+ */
+async function resolveAppeal(incidentId, decision, note = '', actor = {}) {
+  if (!['accepted', 'rejected'].includes(decision)) {
+    return { success: false, code: 'INVALID', message: 'decision must be accepted or rejected' };
+  }
+  const incident = await SlaIncident.findOneAndUpdate(
+    { _id: incidentId, status: 'appealed' },
+    {
+      status: decision === 'accepted' ? 'waived' : 'upheld',
+      resolution: { decision, note, resolvedBy: actor.id || null, resolvedAt: new Date() }
+    },
+    { new: true }
+  );
+  if (!incident) return incidentStateError(incidentId, null, 'appealed');
+
+  const penalty = await applyTaskPenalty(incident.taskId, incident.assistantId);
+
+  await AuditLog.create({
+    action: decision === 'accepted' ? 'sla_appeal_accepted' : 'sla_appeal_rejected',
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'sla_incident',
+    targetId: String(incident._id),
+    meta: {
+      type: incident.type,
+      taskId: String(incident.taskId),
+      assistantId: String(incident.assistantId),
+      note,
+      earningsDelta: -penalty.delta
+    }
+  });
+  return { success: true, incident: await SlaIncident.findById(incident._id) };
+}
+
+async function incidentStateError(incidentId, assistantId, expected) {
+  const current = await SlaIncident.findById(incidentId).select('status assistantId').lean();
+  if (!current) return { success: false, code: 'NOT_FOUND', message: 'Incident not found' };
+  if (assistantId && String(current.assistantId) !== String(assistantId)) {
+    return { success: false, code: 'FORBIDDEN', message: 'Not your incident' };
+  }
+  return { success: false, code: 'INVALID_STATE', message: `Incident is ${current.status}, expected ${expected}` };
+}
+
+module.exports = {
+  // Check-in
+  recordCheckIn,
+  checkInForBooking,
+  classifyArrival,
+
+  // Incidents
+  detectNoShows,
+  submitAppeal,
+  resolveAppeal,
+
+  // Constants
+  PENALTY_PERCENT
+};
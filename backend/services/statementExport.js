@@ -0,0 +1,164 @@
+/**
+ * Statement Export
+ *
+ * Renders an earnings statement (earningsService.getEarningsStatement) as CSV
+ * or as a plain text-layout PDF. The PDF is written by hand (PDF 1.4, built-in
+ * Courier font) so no PDF library is needed.
+ */
+
+const { localParts } = require('./localTime');
+
+const STATEMENT_COLUMNS = [
+  { key: 'date', label: 'Date', width: 11 },
+  { key: 'bookingId', label: 'Booking', width: 25 },
+  { key: 'taskType', label: 'Task', width: 7 },
+  { key: 'station', label: 'Station', width: 18 },
+  { key: 'trainNumber', label: 'Train', width: 7 },
+  { key: 'grossAmount', label: 'Gross', width: 9 },
+  { key: 'sharePercent', label: 'Share%', width: 7 },
+  { key: 'amount', label: 'Earned', width: 9 },
+  { key: 'penaltyAmount', label: 'Penalty', width: 9 },
+  { key: 'netAmount', label: 'Net', width: 9 },
+  { key: 'status', label: 'Status', width: 8 }
+];
+
+// YYYY-MM-DD in station local time - periods start at local midnight
+function formatDate(date) {
+  return date ? localParts(date).day : '';
+}
+
+function cellValue(line, key) {
+  if (key === 'date') return formatDate(line.date);
+  if (['grossAmount', 'amount', 'penaltyAmount', 'netAmount'].includes(key)) return Number(line[key]).toFixed(2);
+  if (key === 'taskType' && line.kind === 'adjustment') return 'adjust';
+  return line[key] == null ? '' : String(line[key]);
+}
+
+// ==================== CSV ====================
+
+function csvEscape(value) {
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {Object} statement
+ * @returns {string} CSV with one row per earning
+ */
+function renderStatementCsv(statement) {
+  const rows = [STATEMENT_COLUMNS.map(c => c.label)];
+  statement.earnings.forEach(line => {
+    rows.push(STATEMENT_COLUMNS.map(c => cellValue(line, c.key)));
+  });
+  return rows.map(r => r.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+// ==================== PDF ====================
+
+const PAGE_WIDTH = 842;   // A4 landscape
+const PAGE_HEIGHT = 595;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 13;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+function pdfText(value) {
+  // Built-in fonts only cover Latin-1; keep to printable ASCII
+  return String(value)
+    .replace(/₹/g, 'INR ')
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function fixedRow(cells) {
+  return STATEMENT_COLUMNS.map((c, i) => String(cells[i]).slice(0, c.width - 1).padEnd(c.width)).join('');
+}
+
+function statementTextLines(statement) {
+  const { assistant, period, summary, currency } = statement;
+  const lines = [
+    'RailMitra - Assistant Earnings Statement',
+    '',
+    `Assistant: ${assistant.name}  (${assistant.id})`,
+    `Station:   ${assistant.station || '-'}`,
+    `Period:    ${formatDate(period.start)} to ${formatDate(new Date(new Date(period.end).getTime() - 1))}`,
+    '',
+    fixedRow(STATEMENT_COLUMNS.map(c => c.label)),
+    '-'.repeat(STATEMENT_COLUMNS.reduce((s, c) => s + c.width, 0))
+  ];
+  statement.earnings.forEach(line => {
+    lines.push(fixedRow(STATEMENT_COLUMNS.map(c => cellValue(line, c.key))));
+  });
+  if (statement.earnings.length === 0) lines.push('No earnings in this period.');
+
+  lines.push(
+    '',
+    `Tasks: ${summary.tasks}   Earned: ${currency} ${summary.amount.toFixed(2)}   ` +
+      `Penalties: ${summary.penaltyAmount.toFixed(2)}   Net: ${summary.netAmount.toFixed(2)}`,
+    `Paid: ${summary.paid.toFixed(2)}   In payout: ${summary.batched.toFixed(2)}   Unpaid: ${summary.unpaid.toFixed(2)}`,
+    `Lifetime earnings: ${currency} ${Number(statement.lifetimeEarnings).toFixed(2)}`
+  );
+
+  if (statement.payouts.length > 0) {
+    lines.push('', 'Payouts:');
+    statement.payouts.forEach(p => {
+      lines.push(`  ${formatDate(p.periodStart)}  ${p.status.padEnd(9)} ${currency} ${Number(p.amount).toFixed(2)}` +
+        `${p.paidAt ? `  paid ${formatDate(p.paidAt)}` : ''}${p.paymentReference ? `  ref ${p.paymentReference}` : ''}`);
+    });
+  }
+  return lines;
+}
+
+/**
+ * @param {Object} statement
+ * @returns {Buffer} PDF document
+ */
+function renderStatementPdf(statement) {
+  const textLines = statementTextLines(statement);
+  const pages = [];
+  for (let i = 0; i < textLines.length; i += LINES_PER_PAGE) {
+    pages.push(textLines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Object numbers: 1 catalog, 2 pages, 3 font, then (page, content) pairs
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+
+  pages.forEach((lines, i) => {
+    const pageId = pageIds[i];
+    const stream = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...lines.map(l => `(${pdfText(l)}) '`),
+      `(${pdfText(`Page ${i + 1} of ${pages.length}`)}) '`,
+      'ET'
+    ].join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderStatementCsv,
+  renderStatementPdf
+};
@@ -0,0 +1,332 @@
+/**
+ * Station Service
+ *
+ * Station master data lookups and admin changes.
+ * - Lookups accept a station code or any known name/alias, so timetable names
+ *   ('NEW DELHI'), codes ('NDLS') and assistant profiles ('New Delhi') resolve
+ *   to the same station
+ * - Stations missing from master data are treated as 'regular'
+ * - Lookups are cached in memory for a few minutes; admin changes clear the cache
+ */
+
+const Station = require('../models/Station');
+const { STATION_CATEGORIES, STATION_TYPES } = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+
+const STATION_CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_STATION_TYPE = 'regular';
+
+// key (uppercased code or name) -> { station, expiresAt }; misses are cached as null
+const stationCache = new Map();
+
+function toKey(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function clearStationCache() {
+  stationCache.clear();
+}
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Active station by code, else by name or alias
+ * @param {string} codeOrName
+ * @returns {Promise<Object|null>} Lean station
+ */
+async function getStation(codeOrName) {
+  const key = toKey(codeOrName);
+  if (!key) return null;
+
+  const cached = stationCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.station;
+
+  const station = await Station.findOne({ code: key, isActive: true }).lean()
+    || await Station.findOne({ nameKeys: key, isActive: true }).lean();
+  stationCache.set(key, { station, expiresAt: Date.now() + STATION_CACHE_TTL_MS });
+  return station;
+}
+
+/**
+ * Station for a code and/or name (code wins)
+ * @param {Object} params - { code, name }
+ * @returns {Promise<Object|null>}
+ */
+async function findStation({ code, name } = {}) {
+  return (code && await getStation(code)) || (name && await getStation(name)) || null;
+}
+
+/**
+ * Station type for buffers and pricing
+ * @param {Object} params - { code, name }
+ * @returns {Promise<string>} junction | terminal | regular | halt
+ */
+async function getStationType({ code, name } = {}) {
+  const station = await findStation({ code, name });
+  return station ? station.stationType : DEFAULT_STATION_TYPE;
+}
+
+/**
+ * Every name a station is known by (uppercased), for matching free-text
+ * station fields such as Assistant.station and ServiceTask.station
+ * @param {Object} params - { code, name }
+ * @returns {Promise<string[]>}
+ */
+async function getStationNameKeys({ code, name } = {}) {
+  const station = await findStation({ code, name });
+  if (station) return station.nameKeys;
+  return [...new Set([code, name].map(toKey).filter(Boolean))];
+}
+
+/**
+ * Case-insensitive exact-match query on a station name field
+ * @param {Object} params - { code, name }
+ * @returns {Promise<Object>} e.g. { $in: [/^NEW DELHI$/i, /^NDLS$/i] }
+ */
+async function stationNameQuery({ code, name } = {}) {
+  const keys = await getStationNameKeys({ code, name });
+  return { $in: keys.map(k => new RegExp('^' + escapeRegex(k) + '$', 'i')) };
+}
+
+/**
+ * Whether two station names/codes refer to the same station
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>}
+ */
+async function isSameStation(a, b) {
+  if (!a || !b) return false;
+  if (toKey(a) === toKey(b)) return true;
+  const keys = await getStationNameKeys({ name: a });
+  return keys.includes(toKey(b));
+}
+
+/**
+ * Passenger-facing station details
+ * @param {Object} station - Station document or lean object
+ * @returns {Object}
+ */
+function toPublicStation(station) {
+  const coordinates = station.location && station.location.coordinates;
+  return {
+    code: station.code,
+    name: station.name,
+    zone: station.zone,
+    division: station.division,
+    category: station.category,
+    stationType: station.stationType,
+    platformCount: station.platformCount,
+    facilities: station.facilities,
+    location: coordinates ? { lat: coordinates[1], lng: coordinates[0] } : null
+  };
+}
+
+/**
+ * Public details for many station codes at once (one query, not cached)
+ * @param {string[]} codes
+ * @returns {Promise<Map<string, Object>>} code -> toPublicStation()
+ */
+async function getPublicStations(codes) {
+  const wanted = [...new Set((codes || []).map(toKey).filter(Boolean))];
+  if (wanted.length === 0) return new Map();
+  const stations = await Station.find({ code: { $in: wanted }, isActive: true }).lean();
+  return new Map(stations.map(s => [s.code, toPublicStation(s)]));
+}
+
+// ==================== VALIDATION ====================
+
+const FACILITY_COUNTS = ['lifts', 'escalators', 'ramps', 'batteryCars', 'wheelchairPoints', 'wheelchairs', 'stretchers'];
+const FACILITY_FLAGS = ['accessibleToilets', 'footOverBridge'];
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate admin station input
+ * @param {Object} input
+ * @param {Object} [options] - { partial } - updates only check the fields sent
+ * @returns {Object} { valid, errors }
+ */
+function validateStationInput(input, { partial = false } = {}) {
+  const errors = [];
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('code')) {
+    if (!/^[A-Z0-9]{1,8}$/.test(toKey(input.code))) errors.push('code must be 1-8 letters or digits');
+  }
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+  }
+  if (has('aliases') && !(Array.isArray(input.aliases) && input.aliases.every(a => typeof a === 'string'))) {
+    errors.push('aliases must be a list of names');
+  }
+  if (has('category') && input.category !== null && !STATION_CATEGORIES.includes(input.category)) {
+    errors.push(`category must be one of ${STATION_CATEGORIES.join(', ')}`);
+  }
+  if (has('typeOverride') && input.typeOverride !== null && !STATION_TYPES.includes(input.typeOverride)) {
+    errors.push(`typeOverride must be one of ${STATION_TYPES.join(', ')} or null`);
+  }
+  if (has('isActive') && typeof input.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+  if (has('platformCount') && !isCount(input.platformCount)) {
+    errors.push('platformCount must be a whole number of 0 or more');
+  }
+
+  if (has('facilities')) {
+    const facilities = input.facilities;
+    if (!facilities || typeof facilities !== 'object') {
+      errors.push('facilities must be an object');
+    } else {
+      FACILITY_COUNTS.forEach(f => {
+        if (facilities[f] !== undefined && !isCount(facilities[f])) errors.push(`facilities.${f} must be a whole number of 0 or more`);
+      });
+      FACILITY_FLAGS.forEach(f => {
+        if (facilities[f] !== undefined && typeof facilities[f] !== 'boolean') errors.push(`facilities.${f} must be true or false`);
+      });
+    }
+  }
+
+  if (has('location') && input.location !== null) {
+    const { lat, lng } = input.location || {};
+    if (typeof lat !== 'number' || lat < -90 || lat > 90 || typeof lng !== 'number' || lng < -180 || lng > 180) {
+      errors.push('location must be { lat, lng } in degrees, or null');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ==================== ADMIN CHANGES ====================
+
+const EDITABLE_FIELDS = [
+  'name', 'aliases', 'zone', 'division', 'state', 'category', 'typeOverride',
+  'platformCount', 'notes', 'isActive'
+];
+
+/**
+ * Apply editable input onto a station document
+ */
+function applyStationInput(station, input) {
+  EDITABLE_FIELDS.forEach(f => { if (input[f] !== undefined) station[f] = input[f]; });
+  if (input.facilities) {
+    [...FACILITY_COUNTS, ...FACILITY_FLAGS].forEach(f => {
+      if (input.facilities[f] !== undefined) station.facilities[f] = input.facilities[f];
+    });
+  }
+  if (input.location !== undefined) {
+    station.location = input.location === null
+      ? undefined
+      : { type: 'Point', coordinates: [input.location.lng, input.location.lat] };
+  }
+}
+
+async function auditStation(action, station, actor, meta = {}) {
+  await AuditLog.create({
+    action,
+    actorId: actor.id,
+    actorRole: actor.role,
+    targetType: 'station',
+    targetId: station.code,
+    meta
+  });
+}
+
+/**
+ * Add a station to master data
+ * @param {Object} input - { code, name, ...editable fields, facilities, location }
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, station, code, message, errors }
+ */
+async function createStation(input, actor = {}) {
+  const check = validateStationInput(input);
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  const code = toKey(input.code);
+  if (await Station.exists({ code })) {
+    return { success: false, code: 'CONFLICT', message: `Station ${code} already exists` };
+  }
+
+  const station = new Station({ code, updatedBy: actor.id || null });
+  applyStationInput(station, input);
+  try {
+    await station.save();
+  } catch (err) {
+    if (err.code === 11000) return { success: false, code: 'CONFLICT', message: `Station ${code} already exists` };
+    throw err;
+  }
+
+  clearStationCache();
+  await auditStation('station_created', station, actor, { station: toPublicStation(station) });
+  console.log(`[Station] ${code} created by ${actor.role || 'unknown'} ${actor.id || ''}`);
+  return { success: true, station };
+}
+
+/**
+ * Update a station; facilities are merged field by field
+ * @param {string} code
+ * @param {Object} input - Editable fields (code cannot change)
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, station, code, message, errors }
+ */
+async function updateStation(code, input, actor = {}) {
+  if (input.code !== undefined && toKey(input.code) !== toKey(code)) {
+    return { success: false, code: 'INVALID', message: 'Station code cannot be changed' };
+  }
+  const check = validateStationInput(input, { partial: true });
+  if (!check.valid) return { success: false, code: 'INVALID', message: check.errors.join('. '), errors: check.errors };
+
+  const station = await Station.findOne({ code: toKey(code) });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found' };
+
+  const before = toPublicStation(station.toObject());
+  applyStationInput(station, input);
+  station.updatedBy = actor.id || null;
+  await station.save();
+
+  clearStationCache();
+  await auditStation('station_updated', station, actor, { before, after: toPublicStation(station) });
+  return { success: true, station };
+}
+
+/**
+ * Take a station out of lookups (kept for history)
+ * @param {string} code
+ * @param {Object} actor - { id, role }
+ * @returns {Promise<Object>} { success, station, code, message }
+ */
+async function deactivateStation(code, actor = {}) {
+  const station = await Station.findOne({ code: toKey(code) });
+  if (!station) return { success: false, code: 'NOT_FOUND', message: 'Station not found' };
+  if (!station.isActive) return { success: false, code: 'INVALID_STATE', message: 'Station is already inactive' };
+
+  station.isActive = false;
+  station.updatedBy = actor.id || null;
+  await station.save();
+
+  clearStationCache();
+  await auditStation('station_deactivated', station, actor);
+  return { success: true, station };
+}
+
+module.exports = {
+  getStation,
+  findStation,
+  getStationType,
+  getStationNameKeys,
+  stationNameQuery,
+  isSameStation,
+  toPublicStation,
+  getPublicStations,
+  validateStationInput,
+  createStation,
+  updateStation,
+  deactivateStation,
+  clearStationCache,
+  DEFAULT_STATION_TYPE
+};
@@ -15,6 +15,11 @@
 const ServiceTask = require('../models/ServiceTask');
 const Booking = require('../models/Booking');
 const Assistant = require('../models/Assistant');
+const { transitionBooking, canTransition } = require('./bookingStateService');
+const { isSameStation, stationNameQuery } = require('./stationService');
+const { getTaskLocationFields } = require('./platformGuidanceService');
+const { certifiedSkillsQuery, getMissingSkills } = require('./accessibilityService');
+const { getTaskWindow, filterAssistantsOnShift, getShiftConflict } = require('./shiftService');
 
 /**
  * Validation result object
@@ -29,6 +34,7 @@ const Assistant = require('../models/Assistant');
  * Prevents:
  * - Same assistant auto-assigned to both round-trip tasks
  * - Assigning assistant outside service station
+ * - Assigning an assistant not certified for the booking's accessibility services
  * - Double booking an assistant (concurrent overlapping tasks)
  * 
  * @param {string} taskId - The task to assign
@@ -85,8 +91,9 @@ async function validateTaskAssignment(taskId, assistantId, options = {}) {
       const normalizedTaskStation = taskStation?.toUpperCase()?.trim();
       const normalizedAssistantStation = assistantStation?.toUpperCase()?.trim();
 
+      // Same station when the names match or station master data lists both
       if (normalizedTaskStation && normalizedAssistantStation && 
-          normalizedTaskStation !== normalizedAssistantStation) {
+          !(await isSameStation(taskStation, assistantStation))) {
         console.warn(`[ValidateAssign] Station mismatch: assistant=${normalizedAssistantStation}, task=${normalizedTaskStation}`);
         errors.push(
           `Assistant station (${normalizedAssistantStation}) does not match task station (${normalizedTaskStation}). ` +
@@ -95,7 +102,14 @@ async function validateTaskAssignment(taskId, assistantId, options = {}) {
       }
     }
 
-    // 4. For round-trip: Check if same assistant is being assigned to both tasks
+    // 4. Accessibility services need a certified assistant
+    const missingSkills = task.bookingId ? getMissingSkills(assistant, task.bookingId.services) : [];
+    if (missingSkills.length > 0) {
+      console.warn(`[ValidateAssign] Assistant ${assistantId} missing skills: ${missingSkills.join(', ')}`);
+      errors.push(`Assistant is not certified for: ${missingSkills.join(', ')}`);
+    }
+
+    // 5. For round-trip: Check if same assistant is being assigned to both tasks
     if (!allowSameAssistantForRoundTrip && task.bookingId) {
       const booking = task.bookingId;
       
@@ -125,7 +139,7 @@ async function validateTaskAssignment(taskId, assistantId, options = {}) {
       }
     }
 
-    // 5. Check for concurrent/overlapping tasks
+    // 6. Check for concurrent/overlapping tasks
     if (checkConcurrentTasks && task.scheduledTime) {
       // Define overlap window (30 minutes before and after)
       const overlapWindowMs = 30 * 60 * 1000;
@@ -152,6 +166,13 @@ async function validateTaskAssignment(taskId, assistantId, options = {}) {
       }
     }
 
+    // 7. Shift coverage - auto-assignment never picks an off-shift assistant;
+    // an admin may, but is told
+    const shiftConflict = await getShiftConflict(assistant, task);
+    if (shiftConflict) {
+      warnings.push(`${shiftConflict}. Assignment will proceed but confirm the assistant can cover it.`);
+    }
+
     return { valid: errors.length === 0, errors, warnings };
 
   } catch (err) {
@@ -304,22 +325,29 @@ async function updateBookingStatusFromTasks(bookingId) {
     const someAssigned = tasks.some(t => t.status === 'assigned');
 
     // Map task statuses to booking status
+    let nextStatus;
     if (allCompleted) {
-      booking.status = 'Completed';
+      nextStatus = 'Completed';
     } else if (anyCancelled) {
-      booking.status = 'Cancelled';
+      nextStatus = 'Cancelled';
     } else if (anyInProgress) {
-      booking.status = 'In Progress';
+      nextStatus = 'In Progress';
     } else if (allAssigned) {
-      booking.status = 'Accepted';
+      nextStatus = 'Accepted';
     } else if (someAssigned) {
       // Partially assigned - keep as Searching for remaining
-      booking.status = 'Searching';
+      nextStatus = 'Searching';
     } else {
-      booking.status = 'Searching';
+      nextStatus = 'Searching';
     }
 
-    await booking.save();
+    if (nextStatus === booking.status) return;
+    // Task changes never override the booking flow (e.g. an OTP-verified start)
+    if (!canTransition(booking.status, nextStatus)) {
+      console.warn(`[updateBookingStatusFromTasks] Booking ${bookingId} stays ${booking.status} (tasks suggest ${nextStatus})`);
+      return;
+    }
+    await transitionBooking(booking._id, nextStatus, { reason: 'Derived from service tasks' });
   } catch (err) {
     console.error('[updateBookingStatusFromTasks] Error:', err.message);
   }
@@ -349,6 +377,7 @@ async function getBookingTaskAssignments(bookingId) {
       station: task.station,
       scheduledTime: task.scheduledTime,
       status: task.status,
+      ...getTaskLocationFields(task),
       assistant: task.assignedAssistant ? {
         id: task.assignedAssistant._id,
         name: task.assignedAssistant.name,
@@ -443,6 +472,8 @@ async function getAssistantTasks(assistantId, options = {}) {
         assistantArrivalTime: task.assistantArrivalTime,
         status: task.status,
         assistantAction: task.assistantAction,
+        // Platform and coach position, e.g. "Platform 3, S4 is near the 6th position from the engine"
+        ...getTaskLocationFields(task),
         booking: includeBookingDetails && task.bookingId ? {
           bookingId: task.bookingId._id,
           passengerName: task.bookingId.passengerName,
@@ -468,7 +499,7 @@ async function getAssistantTasks(assistantId, options = {}) {
 
 /**
  * Get available assistants for a task
- * Filters by station and availability
+ * Filters by station, certified skills and availability
  * @param {string} taskId 
  * @returns {Promise<Object>}
  */
@@ -479,25 +510,23 @@ async function getAvailableAssistantsForTask(taskId) {
       return { success: false, errors: ['Task not found'] };
     }
 
-    // For round_trip, ensure pickup and drop use correct station
-    let stationMatch = { $or: [] };
-    if (task.bookingId && task.bookingId.serviceType === 'round_trip') {
-      if (task.taskType === 'pickup') {
-        stationMatch = { station: task.station };
-      } else if (task.taskType === 'drop') {
-        stationMatch = { station: task.station };
-      }
-    } else {
-      // For single pickup/drop, match by station
-      stationMatch = { station: task.station };
-    }
+    // Match by the task's own station (round trips have one per task), under
+    // any name station master data knows it by
+    const stationMatch = { station: await stationNameQuery({ name: task.station }) };
 
     // Relaxed: ignore isOnline and currentBookingId for availability
     const assistants = await Assistant.find({
       ...stationMatch,
+      ...certifiedSkillsQuery(task.bookingId ? task.bookingId.services : []),
       applicationStatus: 'Approved',
       isEligibleForBookings: true
-    }).select('name phone station rating ratingCount isOnline');
+    }).select('name phone station rating ratingCount isOnline weeklyAvailability leave').lean();
+
+    // Who is on shift for the task (others can still be picked by hand)
+    const window = getTaskWindow(task);
+    const onShift = window
+      ? await filterAssistantsOnShift(assistants, { station: { name: task.station }, ...window, excludeTaskId: task._id })
+      : null;
 
     // For each assistant, check current workload
     const assistantsWithWorkload = await Promise.all(
@@ -515,13 +544,16 @@ async function getAvailableAssistantsForTask(taskId) {
           ratingCount: assistant.ratingCount || 0,
           isOnline: assistant.isOnline || false,
           activeTaskCount,
-          available: activeTaskCount < 5 // Max 5 concurrent tasks
+          available: activeTaskCount < 5, // Max 5 concurrent tasks
+          onShift: onShift ? onShift.assistants.some(a => String(a._id) === String(assistant._id)) : null,
+          offShiftReason: onShift ? (onShift.excluded.find(e => String(e.assistantId) === String(assistant._id)) || {}).reason || null : null
         };
       })
     );
 
-    // Sort: online first, then by rating, then by workload
+    // Sort: on shift first, then online, then by rating, then by workload
     assistantsWithWorkload.sort((a, b) => {
+      if (a.onShift !== b.onShift) return b.onShift - a.onShift;
       if (a.isOnline !== b.isOnline) return b.isOnline - a.isOnline;
       if (a.rating !== b.rating) return b.rating - a.rating;
       return a.activeTaskCount - b.activeTaskCount;
@@ -18,6 +18,10 @@ const ServiceTask = require('../models/ServiceTask');
 const Assistant = require('../models/Assistant');
 const Booking = require('../models/Booking');
 const schedulingConfig = require('../config/scheduling.config');
+const slaService = require('./slaService');
+const { certifiedSkillsQuery } = require('./accessibilityService');
+const { getTaskWindow, filterAssistantsOnShift } = require('./shiftService');
+const { runBatchAssignment } = require('./assignmentOptimizer');
 
 class TaskQueueProcessor extends EventEmitter {
   constructor() {
@@ -66,6 +70,12 @@ class TaskQueueProcessor extends EventEmitter {
    */
   async processPendingTasks() {
     try {
+      // Plan each station's tasks together first; the per-task pass below
+      // only sees what the plan could not place
+      if (schedulingConfig.assignment.batchOptimizer.enabled) {
+        await this.runBatchOptimizer();
+      }
+
       const lookAheadTime = new Date(
         Date.now() + schedulingConfig.assignment.lookAheadHours * 60 * 60 * 1000
       );
@@ -96,6 +106,20 @@ class TaskQueueProcessor extends EventEmitter {
     }
   }
 
+  /**
+   * Assign the batch optimizer's plan (see assignmentOptimizer.js)
+   */
+  async runBatchOptimizer() {
+    try {
+      const { assigned } = await runBatchAssignment();
+      for (const { task, assistantId } of assigned) {
+        this.emit('taskAssigned', { task, assistantId });
+      }
+    } catch (err) {
+      console.error('[TaskQueue] Batch optimizer failed:', err.message);
+    }
+  }
+
   /**
    * Process a single task
    * @param {Object} task 
@@ -156,12 +180,34 @@ class TaskQueueProcessor extends EventEmitter {
       // Find available assistants at this station, fallback to booking.station if needed
       // Normalize station name for matching
       let stationToMatch = (task.station || booking.station || '').toUpperCase().trim();
-      const availableAssistants = await Assistant.find({
+      let availableAssistants = await Assistant.find({
         station: stationToMatch,
+        ...certifiedSkillsQuery(booking.services),
         applicationStatus: 'Approved',
         isEligibleForBookings: true,
         verified: true
       }).lean();
+
+      // Only assistants whose shift covers the task and has room for it
+      const window = getTaskWindow(task);
+      if (window && availableAssistants.length > 0) {
+        const onShift = await filterAssistantsOnShift(availableAssistants, {
+          station: { name: stationToMatch },
+          ...window,
+          excludeTaskId: task._id
+        });
+        if (onShift.excluded.length > 0) {
+          console.log(`[AutoAssign] ${onShift.excluded.length} assistant(s) off shift for task ${task._id}: ${onShift.excluded.map(e => e.reason).join(', ')}`);
+        }
+        if (onShift.assistants.length === 0 && onShift.excluded.some(e => e.reason === 'shift_full')) {
+          this.emit('capacityWarning', {
+            task,
+            station: booking.station,
+            message: `On-shift assistants have reached ${schedulingConfig.capacity.targetTasksPerShift} tasks per shift`
+          });
+        }
+        availableAssistants = onShift.assistants;
+      }
       console.log(`[AutoAssign] Found ${availableAssistants.length} available assistants at station ${task.station}`);
       if (availableAssistants.length > 0) {
         availableAssistants.forEach(a => console.log(`[AutoAssign] Assistant: ${a.name} (${a._id}) - Eligible: ${a.isEligibleForBookings}, Approved: ${a.applicationStatus}`));
@@ -234,6 +280,7 @@ class TaskQueueProcessor extends EventEmitter {
         const result = await assignService.assignAssistantToTask(task._id, selectedAssistant._id || selectedAssistant.id, { skipValidation: false });
         if (result.success) {
           console.log(`[AutoAssign] Assigned task ${task._id} at station ${task.station} to assistant ${selectedAssistant.name} (${selectedAssistant._id || selectedAssistant.id})`);
+          this.emit('taskAssigned', { task: result.task || task, assistantId: selectedAssistant._id || selectedAssistant.id });
         } else {
           console.warn(`[AutoAssign] Failed to assign task ${task._id} at station ${task.station}:`, result.errors);
         }
@@ -317,6 +364,17 @@ class TaskQueueProcessor extends EventEmitter {
         threshold: schedulingConfig.sla.maxTaskDurationMinutes
       });
     }
+
+    // Assigned assistants who never checked in (penalty applied by slaService)
+    const noShows = await slaService.detectNoShows();
+    for (const { task, incident } of noShows) {
+      this.emit('slaViolation', {
+        task,
+        type: 'no_show',
+        minutesLate: incident.minutesLate,
+        penaltyPercent: incident.penaltyPercent
+      });
+    }
   }
 
   /**
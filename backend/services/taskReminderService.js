@@ -0,0 +1,252 @@
+/**
+ * Task Reminder Service
+ *
+ * Reminders and escalations for upcoming service tasks, queued as durable
+ * jobs (jobScheduler) against the task's assistantArrivalTime:
+ * - task_reminder 'first': notifications.firstReminderMinutes before, to the
+ *   assigned assistant
+ * - task_reminder 'urgent': notifications.urgentReminderMinutes before
+ * - task_escalation: notifications.escalationMinutes before - a task with no
+ *   assistant, or whose booking the assistant has not accepted, is escalated
+ *   to the station's admins ('escalation' task event + notifications)
+ *
+ * Job keys carry the arrival time (and the assistant for reminders): when a
+ * task is created, assigned or moved by trainDelayTracker its jobs are
+ * planned again - new keys are queued and the superseded jobs cancelled.
+ * A closed booking cancels all of its jobs.
+ */
+
+const ServiceTask = require('../models/ServiceTask');
+const schedulingConfig = require('../config/scheduling.config');
+const jobScheduler = require('./jobScheduler');
+const eventBus = require('./eventBus');
+const { TERMINAL_STATUSES } = require('./bookingStateService');
+const { sendTaskReminder, notifyStationAdmins } = require('./notificationService');
+
+const { firstReminderMinutes, urgentReminderMinutes, escalationMinutes } = schedulingConfig.notifications;
+
+const MINUTE_MS = 60 * 1000;
+const OPEN_TASK_STATUSES = ['pending', 'assigned'];
+// Booking statuses in which an assigned task's assistant has not confirmed
+// (Searching = other tasks of a round trip still open - task-level
+// assignments need no accept)
+const UNCONFIRMED_BOOKING_STATUSES = ['Pending', 'Assigned'];
+// Task events that change when a task's jobs are due
+const REPLAN_TASK_EVENTS = ['taskAssigned', 'taskRescheduled'];
+
+// ==================== PLANNING ====================
+
+/**
+ * Jobs a task needs for its current arrival time and assistant
+ * @param {Object} task - ServiceTask
+ * @returns {Array} [{ type, key, runAt, payload }]
+ */
+function planTaskJobs(task) {
+  if (!task.assistantArrivalTime || !OPEN_TASK_STATUSES.includes(task.status)) return [];
+
+  const taskId = String(task._id);
+  const arrivalAt = new Date(task.assistantArrivalTime).getTime();
+  const payload = {
+    taskId,
+    bookingId: task.bookingId ? String(task.bookingId._id || task.bookingId) : null,
+    arrivalAt
+  };
+
+  const jobs = [{
+    type: 'task_escalation',
+    key: `task:${taskId}:escalation:${arrivalAt}`,
+    runAt: new Date(arrivalAt - escalationMinutes * MINUTE_MS),
+    payload
+  }];
+
+  if (task.status === 'assigned' && task.assignedAssistant) {
+    const assistantId = String(task.assignedAssistant._id || task.assignedAssistant);
+    for (const [kind, minutes] of [['first', firstReminderMinutes], ['urgent', urgentReminderMinutes]]) {
+      jobs.push({
+        type: 'task_reminder',
+        key: `task:${taskId}:reminder_${kind}:${assistantId}:${arrivalAt}`,
+        runAt: new Date(arrivalAt - minutes * MINUTE_MS),
+        payload: { ...payload, kind, assistantId }
+      });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Queue a task's reminder and escalation jobs and cancel the ones it no
+ * longer needs. Jobs already due run at the next poll
+ * @param {Object} task - ServiceTask
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { scheduled, cancelled }
+ */
+async function scheduleTaskJobs(task, now = new Date()) {
+  const jobs = task.assistantArrivalTime && new Date(task.assistantArrivalTime) > now ? planTaskJobs(task) : [];
+
+  const cancelled = await jobScheduler.cancel(
+    { 'payload.taskId': String(task._id), key: { $nin: jobs.map(job => job.key) } },
+    jobs.length > 0 ? 'Task rescheduled or reassigned' : `Task ${task.status}`
+  );
+
+  let scheduled = 0;
+  for (const job of jobs) {
+    const { created } = await jobScheduler.schedule(job.type, job.runAt, job.payload, { key: job.key });
+    if (created) scheduled++;
+  }
+  return { scheduled, cancelled };
+}
+
+/**
+ * Plan the jobs of every task of a booking
+ * @param {string} bookingId
+ */
+async function scheduleBookingJobs(bookingId) {
+  const tasks = await ServiceTask.find({ bookingId });
+  for (const task of tasks) {
+    await scheduleTaskJobs(task);
+  }
+}
+
+/**
+ * Plan jobs for open tasks that have none yet (tasks created before the
+ * scheduler ran, or while the server was down)
+ * @returns {Promise<number>} Tasks with new jobs
+ */
+async function scheduleUpcomingTasks(now = new Date()) {
+  const tasks = await ServiceTask.find({
+    status: { $in: OPEN_TASK_STATUSES },
+    assistantArrivalTime: { $gt: now }
+  });
+
+  let planned = 0;
+  for (const task of tasks) {
+    const { scheduled } = await scheduleTaskJobs(task, now);
+    if (scheduled > 0) planned++;
+  }
+  if (planned > 0) console.log(`[Reminders] Queued jobs for ${planned} upcoming task(s)`);
+  return planned;
+}
+
+// ==================== JOB HANDLERS ====================
+
+/**
+ * The task a job was planned for, if it is still open and still due at the
+ * planned arrival time
+ * @returns {Promise<Object>} { task, skipped }
+ */
+async function loadJobTask(payload) {
+  const task = await ServiceTask.findById(payload.taskId).populate('bookingId', 'passengerName status');
+  if (!task) return { skipped: 'task_not_found' };
+  if (!OPEN_TASK_STATUSES.includes(task.status)) return { skipped: `task_${task.status}` };
+  if (!task.assistantArrivalTime || new Date(task.assistantArrivalTime).getTime() !== payload.arrivalAt) {
+    return { skipped: 'rescheduled' };
+  }
+  return { task };
+}
+
+/**
+ * task_reminder job
+ * @param {Object} payload - { taskId, bookingId, arrivalAt, kind, assistantId }
+ */
+async function runReminderJob(payload, job, now = new Date()) {
+  const { task, skipped } = await loadJobTask(payload);
+  if (skipped) return { skipped };
+  if (task.status !== 'assigned' || String(task.assignedAssistant) !== payload.assistantId) {
+    return { skipped: 'reassigned' };
+  }
+
+  const minutesLeft = (payload.arrivalAt - now.getTime()) / MINUTE_MS;
+  if (minutesLeft <= 0) return { skipped: 'arrival_passed' };
+  // Assigned late: the urgent reminder covers it
+  if (payload.kind === 'first' && minutesLeft <= urgentReminderMinutes) return { skipped: 'urgent_due' };
+
+  const result = await sendTaskReminder(task, payload.kind, now);
+  if (!result.success) throw new Error(result.message);
+  return { sent: result.notifications.length };
+}
+
+/**
+ * task_escalation job
+ * @param {Object} payload - { taskId, bookingId, arrivalAt }
+ */
+async function runEscalationJob(payload, job, now = new Date()) {
+  const { task, skipped } = await loadJobTask(payload);
+  if (skipped) return { skipped };
+
+  const booking = task.bookingId;
+  let reason = null;
+  if (task.status === 'pending' || !task.assignedAssistant) {
+    reason = 'No assistant assigned';
+  } else if (booking && UNCONFIRMED_BOOKING_STATUSES.includes(booking.status)) {
+    reason = 'Assistant has not accepted the booking';
+  }
+  if (!reason) return { skipped: 'confirmed' };
+
+  const minutesToArrival = Math.max(0, Math.round((payload.arrivalAt - now.getTime()) / MINUTE_MS));
+  eventBus.publishTaskEvent('escalation', {
+    task,
+    reason,
+    urgency: 'high',
+    minutesToArrival
+  });
+  const adminsNotified = await notifyStationAdmins(task, reason, now);
+
+  console.warn(`[Reminders] Escalated task ${task._id} at ${task.station} (${minutesToArrival} min to arrival): ${reason} - ${adminsNotified} admin(s) notified`);
+  return { escalated: true, reason, adminsNotified };
+}
+
+/**
+ * Register the job handlers with the scheduler (before jobScheduler.start)
+ */
+function registerJobHandlers() {
+  jobScheduler.register('task_reminder', runReminderJob);
+  jobScheduler.register('task_escalation', runEscalationJob);
+}
+
+// ==================== LISTENERS ====================
+
+/**
+ * bookingStatusChanged listener - a new or re-assigned booking's tasks are
+ * planned, a closed booking's jobs cancelled
+ */
+async function handleBookingStatusChange(event) {
+  try {
+    if (TERMINAL_STATUSES.includes(event.status)) {
+      const cancelled = await jobScheduler.cancel({ 'payload.bookingId': event.bookingId }, `Booking ${event.status}`);
+      if (cancelled > 0) console.log(`[Reminders] Cancelled ${cancelled} job(s) of ${event.status} booking ${event.bookingId}`);
+      return;
+    }
+    if (event.previousStatus === event.status) return;
+    await scheduleBookingJobs(event.bookingId);
+  } catch (err) {
+    console.error(`[Reminders] Planning failed for booking ${event.bookingId}:`, err.message);
+  }
+}
+
+/**
+ * taskEvent listener - assigned and rescheduled tasks are planned again;
+ * a task whose train already passed the station needs no reminders
+ */
+async function handleTaskEvent(event) {
+  if (![...REPLAN_TASK_EVENTS, 'taskStationPassed'].includes(event.type)) return;
+  try {
+    if (event.type === 'taskStationPassed') {
+      await jobScheduler.cancel({ 'payload.taskId': String(event.task._id) }, 'Train passed the station');
+      return;
+    }
+    const task = await ServiceTask.findById(event.task._id);
+    if (task) await scheduleTaskJobs(task);
+  } catch (err) {
+    console.error(`[Reminders] Planning failed for task ${event.task._id} (${event.type}):`, err.message);
+  }
+}
+
+module.exports = {
+  planTaskJobs,
+  scheduleTaskJobs,
+  scheduleBookingJobs,
+  scheduleUpcomingTasks,
+  registerJobHandlers,
+  handleBookingStatusChange,
+  handleTaskEvent
+};
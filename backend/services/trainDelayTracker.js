@@ -16,6 +16,11 @@ const EventEmitter = require('events');
 const ServiceTask = require('../models/ServiceTask');
 const Booking = require('../models/Booking');
 const schedulingConfig = require('../config/scheduling.config');
+const { buildProviders, fetchWithFailover } = require('./trainStatusProviders');
+const { parseTimeToDate } = require('./schedulingService');
+const { localParts, addLocalDays } = require('./localTime');
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
 
 class TrainDelayTracker extends EventEmitter {
   constructor() {
@@ -24,6 +29,24 @@ class TrainDelayTracker extends EventEmitter {
     this.pollInterval = null;
     this.trainCache = new Map(); // trainNumber -> { lastStatus, updatedAt }
     this.CACHE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+    // Live status providers in priority order (see trainStatusProviders)
+    this.providers = buildProviders(schedulingConfig.trainDelay.dataSources);
+  }
+
+  /**
+   * Replace the live status providers (e.g. to point at a replay stub)
+   * @param {Array} providers - Objects implementing the provider interface
+   */
+  setProviders(providers) {
+    this.providers = providers;
+    this.trainCache.clear();
+  }
+
+  /**
+   * Number of trains with a cached live status
+   */
+  getTrackedTrainsCount() {
+    return this.trainCache.size;
   }
 
   /**
@@ -95,7 +118,7 @@ class TrainDelayTracker extends EventEmitter {
         return cached.status;
       }
 
-      // Fetch live status (mock implementation - replace with real API)
+      // Fetch live status from the configured providers
       const liveStatus = await this.fetchLiveTrainStatus(trainNumber);
       
       // Update cache
@@ -104,11 +127,23 @@ class TrainDelayTracker extends EventEmitter {
         updatedAt: Date.now()
       });
 
-      // Process delay if significant
-      if (liveStatus.delayMinutes >= schedulingConfig.trainDelay.rescheduleThresholdMinutes) {
-        await this.handleTrainDelay(trainNumber, liveStatus);
+      // Nothing known about this train - leave its tasks untouched
+      if (liveStatus.source === 'unavailable') {
+        return liveStatus;
       }
 
+      // Per-station expected times decide each task; handleTrainDelay also
+      // moves tasks back when a train recovers, so it runs on every fresh status
+      const maxDelay = this.getMaxDelayMinutes(liveStatus);
+      if (maxDelay >= schedulingConfig.trainDelay.rescheduleThresholdMinutes) {
+        this.emit('delayDetected', {
+          trainNumber,
+          delayMinutes: maxDelay,
+          source: liveStatus.source
+        });
+      }
+      await this.handleTrainDelay(trainNumber, liveStatus);
+
       return liveStatus;
     } catch (err) {
       console.error(`[TrainDelayTracker] Error checking train ${trainNumber}:`, err.message);
@@ -117,83 +152,258 @@ class TrainDelayTracker extends EventEmitter {
   }
 
   /**
-   * Fetch live train status from external API
-   * TODO: Integrate with NTES/RailYatri API
+   * Fetch live train status from the configured providers (priority order with failover)
    * @param {string} trainNumber 
+   * @returns {Promise<Object>} Normalized status; source 'unavailable' if no provider answered
    */
   async fetchLiveTrainStatus(trainNumber) {
-    // MOCK IMPLEMENTATION
-    // In production, integrate with:
-    // 1. NTES (National Train Enquiry System) - enquiry.indianrail.gov.in
-    // 2. RailYatri API
-    // 3. ConfirmTkt API
-    
-    // For now, return scheduled time (no delay)
+    const { status, attempts } = await fetchWithFailover(trainNumber, this.providers);
+    if (status) return status;
+
+    console.warn(`[TrainDelayTracker] No live status for train ${trainNumber}:`,
+      attempts.map(a => `${a.source}=${a.result}`).join(', ') || 'no providers enabled');
+
     return {
       trainNumber,
       isRunning: true,
       delayMinutes: 0,
       lastStation: null,
+      lastStationSequence: null,
       nextStation: null,
-      expectedArrival: null,
-      source: 'mock',
-      fetchedAt: new Date()
-    };
-    
-    /* REAL IMPLEMENTATION EXAMPLE:
-    const response = await fetch(`https://api.railyatri.in/train/${trainNumber}/live`);
-    const data = await response.json();
-    return {
-      trainNumber,
-      isRunning: data.is_running,
-      delayMinutes: data.delay || 0,
-      lastStation: data.last_station_code,
-      nextStation: data.next_station_code,
-      expectedArrival: data.stations.map(s => ({
-        // station: s.name, // Use full station name if available
-        station: s.name,
-        expectedTime: s.expected_arrival
-      })),
-      source: 'railyatri',
+      expectedArrival: [],
+      source: 'unavailable',
       fetchedAt: new Date()
     };
-    */
   }
 
   /**
-   * Handle train delay - reschedule affected tasks
+   * Largest delay reported for the train or any of its stations
+   * @param {Object} liveStatus 
+   */
+  getMaxDelayMinutes(liveStatus) {
+    const stationDelays = (liveStatus.expectedArrival || [])
+      .map(s => s.delayMinutes || 0);
+    return Math.max(liveStatus.delayMinutes || 0, ...stationDelays);
+  }
+
+  /**
+   * Find the live status entry for a task's station
+   * Matches on stop sequence first, then station code / name
+   * @param {Object} liveStatus 
+   * @param {Object} task 
+   */
+  findStationStatus(liveStatus, task) {
+    const stations = liveStatus.expectedArrival || [];
+    if (task.stopSequence != null) {
+      const bySequence = stations.find(s => s.stopSequence === task.stopSequence);
+      if (bySequence) return bySequence;
+    }
+    const station = (task.station || '').toUpperCase().trim();
+    return stations.find(s =>
+      s.stationCode === station || (s.station && s.station.toUpperCase().trim() === station)
+    ) || null;
+  }
+
+  /**
+   * Timetable arrival for a task
+   * Uses the stored originalTrainArrival; older tasks derive it from trainArrivalTime,
+   * anchored to the day of their current schedule
+   * @param {Object} task 
+   * @param {Date} currentArrival - Train arrival the task is currently planned around
+   */
+  getTimetableArrival(task, currentArrival) {
+    if (task.originalTrainArrival) return new Date(task.originalTrainArrival);
+    const timetable = parseTimeToDate(task.trainArrivalTime, currentArrival);
+    if (!timetable) return currentArrival;
+    // Pick the calendar day closest to the current plan (handles midnight crossings)
+    if (timetable - currentArrival > HALF_DAY_MS) return addLocalDays(timetable, -1);
+    if (currentArrival - timetable > HALF_DAY_MS) return addLocalDays(timetable, 1);
+    return timetable;
+  }
+
+  /**
+   * Keep only the tasks on the run a live status describes
+   * A train number runs every day, so yesterday's and tomorrow's runs share it.
+   * Matches the status journeyDate against the booking's trainStartDate; when
+   * either is unknown the station's scheduled time must fall within 12h of the
+   * task's timetable arrival. Tasks that cannot be placed are left alone.
+   * @param {Object} liveStatus 
+   * @param {Array} tasks 
+   * @returns {Promise<Array>}
+   */
+  async filterTasksForRun(liveStatus, tasks) {
+    const runDay = liveStatus.journeyDate ? localParts(liveStatus.journeyDate).day : null;
+
+    const startDates = new Map();
+    if (runDay) {
+      const bookingIds = [...new Set(tasks.map(t => String(t.bookingId)))];
+      const bookings = await Booking.find({ _id: { $in: bookingIds } })
+        .select('trainStartDate')
+        .lean();
+      for (const b of bookings) {
+        if (b.trainStartDate) startDates.set(String(b._id), b.trainStartDate);
+      }
+    }
+
+    return tasks.filter(task => {
+      const trainStartDate = startDates.get(String(task.bookingId));
+      if (runDay && trainStartDate) {
+        return localParts(trainStartDate).day === runDay;
+      }
+
+      const stationStatus = this.findStationStatus(liveStatus, task);
+      const timetableArrival = task.originalTrainArrival || task.scheduledTime;
+      if (!stationStatus || !stationStatus.scheduledTime || !timetableArrival) return false;
+      return Math.abs(new Date(stationStatus.scheduledTime) - new Date(timetableArrival)) <= HALF_DAY_MS;
+    });
+  }
+
+  /**
+   * Has the train already passed the task's station?
+   * @param {Object} liveStatus 
+   * @param {Object} task 
+   * @param {Object|null} stationStatus - From findStationStatus
+   */
+  hasTrainPassed(liveStatus, task, stationStatus) {
+    if (stationStatus && stationStatus.departed) return true;
+    const position = liveStatus.lastStationSequence;
+    const sequence = stationStatus ? stationStatus.stopSequence : task.stopSequence;
+    return position != null && sequence != null && position > sequence;
+  }
+
+  /**
+   * Project the delay at a downstream station from the train's current position
+   * Trains typically recover some delay per stop (slack in the timetable),
+   * capped so we never assume more than maxRecoveryPercent is made up
+   * @param {Object} liveStatus 
+   * @param {Object} task 
+   * @returns {number} Projected delay in minutes
+   */
+  projectStationDelay(liveStatus, task) {
+    const stations = liveStatus.expectedArrival || [];
+    const current = stations.find(s => s.stopSequence === liveStatus.lastStationSequence);
+    const currentDelay = current && current.delayMinutes != null
+      ? current.delayMinutes
+      : (liveStatus.delayMinutes || 0);
+
+    if (currentDelay <= 0 || liveStatus.lastStationSequence == null || task.stopSequence == null) {
+      return currentDelay;
+    }
+
+    const { minutesPerStop = 0, maxRecoveryPercent = 0 } = schedulingConfig.trainDelay.recovery || {};
+    const stopsAhead = Math.max(task.stopSequence - liveStatus.lastStationSequence, 0);
+    const recovered = Math.min(
+      stopsAhead * minutesPerStop,
+      currentDelay * maxRecoveryPercent / 100
+    );
+    return Math.round(currentDelay - recovered);
+  }
+
+  /**
+   * Handle train delay - reschedule each affected task to its own station's expected arrival
+   * - Source-reported expected time for the station wins
+   * - Otherwise the delay is projected from the train's current position (with recovery)
+   * - Tasks whose station the train has already passed are flagged, not shifted
+   * - Tasks on other runs of the same train number are skipped
    * @param {string} trainNumber 
    * @param {Object} liveStatus 
    */
   async handleTrainDelay(trainNumber, liveStatus) {
-    const { delayMinutes } = liveStatus;
-    
-    console.log(`[TrainDelayTracker] Train ${trainNumber} delayed by ${delayMinutes} minutes`);
+    const thresholdMinutes = schedulingConfig.trainDelay.rescheduleThresholdMinutes;
+    const trainPosition = {
+      stationCode: liveStatus.lastStation || null,
+      stopSequence: liveStatus.lastStationSequence != null ? liveStatus.lastStationSequence : null
+    };
 
-    // Find affected tasks
-    const affectedTasks = await ServiceTask.find({
+    // Find affected tasks - only those on the run this status describes
+    const trainTasks = await ServiceTask.find({
       trainNumber,
       status: { $in: ['pending', 'assigned'] }
     });
+    const affectedTasks = await this.filterTasksForRun(liveStatus, trainTasks);
 
+    let tasksUpdated = 0;
     for (const task of affectedTasks) {
       try {
+        if (!task.assistantArrivalTime) continue;
+
+        const stationStatus = this.findStationStatus(liveStatus, task);
+
+        // Train already left this station - flag once for manual follow-up
+        if (this.hasTrainPassed(liveStatus, task, stationStatus)) {
+          if (!task.trainPassedStation) {
+            task.trainPassedStation = true;
+            task.trainPassedAt = new Date();
+            task.rescheduleHistory.push({
+              type: 'station_passed',
+              source: liveStatus.source,
+              trainPosition,
+              reason: `Train passed ${task.station} before task was served`
+            });
+            await task.save();
+            this.emit('taskStationPassed', { task, trainNumber, trainPosition });
+            console.warn(`[TrainDelayTracker] Train ${trainNumber} already passed ${task.station} for task ${task._id}`);
+          }
+          continue;
+        }
+
+        // Train arrival this task is currently planned around
+        const bufferMs = (task.bufferMinutes || 0) * 60 * 1000;
+        const currentArrival = task.expectedTrainArrival
+          ? new Date(task.expectedTrainArrival)
+          : new Date(task.assistantArrivalTime.getTime() + bufferMs);
+        const timetableArrival = this.getTimetableArrival(task, currentArrival);
+
+        // Station-specific expected arrival
+        const projected = !(stationStatus && stationStatus.expectedTime);
+        const expectedArrival = projected
+          ? new Date(timetableArrival.getTime() + this.projectStationDelay(liveStatus, task) * 60 * 1000)
+          : new Date(stationStatus.expectedTime);
+
+        const stationDelayMinutes = Math.round((expectedArrival - timetableArrival) / 60000);
+        const previousDelayMinutes = Math.round((currentArrival - timetableArrival) / 60000);
+        const shiftMinutes = Math.round((expectedArrival - currentArrival) / 60000);
+
+        // Already planned around this arrival
+        if (shiftMinutes === 0) continue;
+        // Small delays are absorbed by the buffer unless we are undoing an earlier shift
+        if (stationDelayMinutes < thresholdMinutes && previousDelayMinutes === 0) continue;
+
         // Calculate new times
         const oldScheduledTime = task.scheduledTime;
-        const newScheduledTime = new Date(oldScheduledTime.getTime() + delayMinutes * 60 * 1000);
-        const newAssistantArrival = new Date(task.assistantArrivalTime.getTime() + delayMinutes * 60 * 1000);
+        const oldAssistantArrival = task.assistantArrivalTime;
+        const newAssistantArrival = new Date(expectedArrival.getTime() - bufferMs);
+        const newScheduledTime = task.taskType === 'pickup' ? newAssistantArrival : expectedArrival;
 
         // Update task
         task.scheduledTime = newScheduledTime;
         task.assistantArrivalTime = newAssistantArrival;
-        task.notes = `${task.notes}\n[${new Date().toISOString()}] Rescheduled due to ${delayMinutes}min delay`.trim();
+        task.originalTrainArrival = timetableArrival;
+        task.expectedTrainArrival = expectedArrival;
+        task.currentDelayMinutes = stationDelayMinutes;
+        task.rescheduleHistory.push({
+          type: Math.abs(stationDelayMinutes) >= Math.abs(previousDelayMinutes) ? 'delay' : 'recovery',
+          source: liveStatus.source,
+          delayMinutes: stationDelayMinutes,
+          shiftMinutes,
+          oldScheduledTime,
+          newScheduledTime,
+          oldAssistantArrivalTime: oldAssistantArrival,
+          newAssistantArrivalTime: newAssistantArrival,
+          expectedTrainArrival: expectedArrival,
+          trainPosition,
+          projected,
+          reason: `${stationDelayMinutes}min delay expected at ${task.station}`
+        });
         await task.save();
+        tasksUpdated++;
 
         // Emit event for notifications
         this.emit('taskRescheduled', {
           task,
           trainNumber,
-          delayMinutes,
+          delayMinutes: stationDelayMinutes,
+          shiftMinutes,
           oldTime: oldScheduledTime,
           newTime: newScheduledTime
         });
@@ -204,8 +414,12 @@ class TrainDelayTracker extends EventEmitter {
       }
     }
 
+    if (tasksUpdated > 0) {
+      this.emit('tasksRescheduled', { trainNumber, tasksUpdated, source: liveStatus.source });
+    }
+
     // Check for auto-cancel threshold
-    if (delayMinutes >= schedulingConfig.trainDelay.autoCancelDelayMinutes) {
+    if (this.getMaxDelayMinutes(liveStatus) >= schedulingConfig.trainDelay.autoCancelDelayMinutes) {
       await this.handleExcessiveDelay(trainNumber, affectedTasks);
     }
   }
@@ -0,0 +1,64 @@
+/**
+ * File Replay Provider
+ *
+ * Replays recorded running-status JSON from disk so delay handling can be
+ * exercised locally without a live railway API.
+ *
+ * Looks for `<dir>/<trainNumber>.json`. A file may hold a single snapshot or
+ * `{ "frames": [ ...snapshots ] }`; frames are replayed one per fetch and the
+ * last frame is repeated once the recording runs out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeRunningStatus } = require('./runningStatus');
+
+class FileReplayProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Data source name (for logging / source field)
+   * @param {string} options.dir - Directory with recorded JSON (relative paths resolve from repo root)
+   */
+  constructor({ name = 'Replay', dir } = {}) {
+    this.name = name;
+    this.dir = dir ? path.resolve(__dirname, '..', '..', '..', dir) : null;
+    this.cursors = new Map(); // trainNumber -> next frame index
+  }
+
+  isConfigured() {
+    return Boolean(this.dir) && fs.existsSync(this.dir);
+  }
+
+  /**
+   * Fetch the next recorded status for a train
+   * @param {string} trainNumber
+   * @returns {Promise<Object|null>} Normalized status, or null if nothing is recorded
+   */
+  async fetchStatus(trainNumber) {
+    const file = path.join(this.dir, `${String(trainNumber).replace(/[^\w-]/g, '')}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    let snapshot = recording;
+
+    if (Array.isArray(recording.frames) && recording.frames.length > 0) {
+      const index = this.cursors.get(trainNumber) || 0;
+      snapshot = { ...recording, ...recording.frames[Math.min(index, recording.frames.length - 1)] };
+      delete snapshot.frames;
+      this.cursors.set(trainNumber, index + 1);
+    }
+
+    return normalizeRunningStatus({ trainNumber, ...snapshot }, this.name);
+  }
+
+  /**
+   * Restart replay from the first frame
+   * @param {string} [trainNumber] - Omit to rewind every train
+   */
+  rewind(trainNumber) {
+    if (trainNumber) this.cursors.delete(trainNumber);
+    else this.cursors.clear();
+  }
+}
+
+module.exports = FileReplayProvider;
@@ -0,0 +1,69 @@
+/**
+ * HTTP Status Provider
+ *
+ * Fetches running status as JSON from `<baseUrl>/<trainNumber>`.
+ * The response must use the recorded running-status format (see runningStatus.js),
+ * which makes this both the client for a local HTTP replay stub and the
+ * integration point for upstream feeds (NTES, RailYatri) behind an adapter service.
+ */
+
+const http = require('http');
+const https = require('https');
+const { normalizeRunningStatus } = require('./runningStatus');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class HttpStatusProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Data source name
+   * @param {string} options.baseUrl - Endpoint prefix; unset = provider disabled
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ name = 'HTTP', baseUrl, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.name = name;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * @param {string} trainNumber
+   * @returns {Promise<Object|null>} Normalized status, or null on 404
+   */
+  async fetchStatus(trainNumber) {
+    const url = `${this.baseUrl}/${encodeURIComponent(trainNumber)}`;
+    const body = await this.getJson(url);
+    if (body === null) return null;
+    return normalizeRunningStatus({ trainNumber, ...body }, this.name);
+  }
+
+  getJson(url) {
+    const client = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, { timeout: this.timeoutMs }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 404) return resolve(null);
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`${this.name} responded ${res.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (err) {
+            reject(new Error(`${this.name} returned invalid JSON`));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`${this.name} timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+    });
+  }
+}
+
+module.exports = HttpStatusProvider;
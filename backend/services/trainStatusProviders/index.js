@@ -0,0 +1,78 @@
+/**
+ * Live Train Status Providers
+ *
+ * Provider interface (duck-typed, like the rest of the services):
+ * - name: string
+ * - isConfigured(): boolean - false = skipped without counting as a failure
+ * - fetchStatus(trainNumber): Promise<Object|null> - normalized status (see runningStatus.js),
+ *   null when the provider has no data for that train
+ *
+ * Providers are built from `scheduling.config.js` trainDelay.dataSources and
+ * queried in priority order; the first one that returns data wins.
+ */
+
+const FileReplayProvider = require('./fileReplayProvider');
+const HttpStatusProvider = require('./httpStatusProvider');
+
+const PROVIDER_TYPES = {
+  file: FileReplayProvider,
+  http: HttpStatusProvider
+};
+
+/**
+ * Build enabled providers from data source config, sorted by priority
+ * @param {Array} dataSources - [{ name, priority, enabled, provider, options }]
+ * @returns {Array} Provider instances
+ */
+function buildProviders(dataSources = []) {
+  return dataSources
+    .filter(ds => ds.enabled)
+    .sort((a, b) => (a.priority || 99) - (b.priority || 99))
+    .map(ds => {
+      const Provider = PROVIDER_TYPES[ds.provider];
+      if (!Provider) {
+        console.warn(`[TrainStatus] Unknown provider type "${ds.provider}" for data source ${ds.name}`);
+        return null;
+      }
+      return new Provider({ name: ds.name, ...(ds.options || {}) });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Fetch status from the first provider that answers
+ * @param {string} trainNumber
+ * @param {Array} providers - From buildProviders()
+ * @returns {Promise<Object|null>} { status, attempts } - status null if every provider failed
+ */
+async function fetchWithFailover(trainNumber, providers) {
+  const attempts = [];
+
+  for (const provider of providers) {
+    if (!provider.isConfigured()) {
+      attempts.push({ source: provider.name, result: 'not_configured' });
+      continue;
+    }
+    try {
+      const status = await provider.fetchStatus(trainNumber);
+      if (status) {
+        attempts.push({ source: provider.name, result: 'ok' });
+        return { status, attempts };
+      }
+      attempts.push({ source: provider.name, result: 'no_data' });
+    } catch (err) {
+      console.warn(`[TrainStatus] ${provider.name} failed for train ${trainNumber}:`, err.message);
+      attempts.push({ source: provider.name, result: 'error', error: err.message });
+    }
+  }
+
+  return { status: null, attempts };
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  buildProviders,
+  fetchWithFailover,
+  FileReplayProvider,
+  HttpStatusProvider
+};
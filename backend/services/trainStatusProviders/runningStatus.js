@@ -0,0 +1,110 @@
+/**
+ * Running Status Normalization
+ *
+ * Every live-status provider returns the same normalized shape so that
+ * TrainDelayTracker never has to know where the data came from:
+ *
+ * {
+ *   trainNumber, journeyDate, isRunning, delayMinutes,
+ *   lastStation, lastStationSequence, nextStation,
+ *   expectedArrival: [{ stationCode, station, stopSequence,
+ *                       scheduledTime, expectedTime, delayMinutes, departed }],
+ *   source, fetchedAt
+ * }
+ *
+ * Recorded running-status JSON uses the same field names; times may be
+ * ISO strings or "HH:MM" in station local time (anchored to the journey date
+ * plus an optional dayOffset). journeyDate is the day the run left its origin
+ * ('YYYY-MM-DD'); without one the payload is read as today's run and the
+ * normalized journeyDate is null, so callers cannot mistake it for a known run.
+ */
+
+const { fromLocal, localMidnight, localParts } = require('../localTime');
+
+/**
+ * Resolve a recorded time value to a Date
+ * @param {string|Date|null} value - ISO string, Date or "HH:MM"
+ * @param {Date} journeyDate - Date the train left its origin
+ * @param {number} dayOffset - Days after journeyDate (0 = same day)
+ * @returns {Date|null}
+ */
+function resolveTime(value, journeyDate, dayOffset = 0) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const hhmm = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value).trim());
+  if (hhmm) {
+    const day = localParts(journeyDate);
+    return fromLocal(day.year, day.month, day.date + (dayOffset || 0), parseInt(hhmm[1], 10), parseInt(hhmm[2], 10));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Local midnight of a 'YYYY-MM-DD' (or date-time) journey date, null if missing/invalid
+function parseJourneyDate(value) {
+  if (!value) return null;
+  const ymd = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (ymd) return fromLocal(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]));
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : localMidnight(date);
+}
+
+/**
+ * Normalize a raw running-status payload
+ * @param {Object} raw - Recorded or provider payload
+ * @param {string} source - Provider name
+ * @returns {Object} Normalized status
+ */
+function normalizeRunningStatus(raw, source) {
+  const recordedDate = parseJourneyDate(raw.journeyDate);
+  const journeyDate = recordedDate || localMidnight(new Date());
+
+  const stations = Array.isArray(raw.stations) ? raw.stations : [];
+  const expectedArrival = stations.map((s, index) => {
+    const scheduledTime = resolveTime(s.scheduledArrival || s.scheduledTime, journeyDate, s.dayOffset);
+    let expectedTime = resolveTime(s.actualArrival || s.expectedArrival || s.expectedTime, journeyDate, s.dayOffset);
+    // A scheduled time with a known delay is enough to derive the expected time
+    if (!expectedTime && scheduledTime && typeof s.delayMinutes === 'number') {
+      expectedTime = new Date(scheduledTime.getTime() + s.delayMinutes * 60 * 1000);
+    }
+    const delayMinutes = typeof s.delayMinutes === 'number'
+      ? s.delayMinutes
+      : (scheduledTime && expectedTime ? Math.round((expectedTime - scheduledTime) / 60000) : null);
+
+    return {
+      stationCode: (s.stationCode || '').toUpperCase(),
+      station: s.stationName || s.station || '',
+      stopSequence: s.stopSequence != null ? Number(s.stopSequence) : index + 1,
+      scheduledTime,
+      expectedTime,
+      delayMinutes,
+      departed: Boolean(s.departed)
+    };
+  });
+
+  const lastStation = (raw.currentStationCode || raw.lastStation || '').toUpperCase() || null;
+  const lastStop = expectedArrival.find(s => s.stationCode === lastStation);
+  const nextStop = lastStop
+    ? expectedArrival.find(s => s.stopSequence > lastStop.stopSequence)
+    : null;
+
+  return {
+    trainNumber: String(raw.trainNumber || ''),
+    journeyDate: recordedDate,
+    isRunning: raw.isRunning !== false,
+    delayMinutes: Number(raw.delayMinutes) || 0,
+    lastStation,
+    lastStationSequence: lastStop ? lastStop.stopSequence : null,
+    nextStation: (raw.nextStationCode || (nextStop && nextStop.stationCode) || '').toUpperCase() || null,
+    expectedArrival,
+    source,
+    fetchedAt: new Date()
+  };
+}
+
+module.exports = {
+  normalizeRunningStatus,
+  resolveTime
+};
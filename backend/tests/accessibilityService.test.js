@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const EquipmentReservation = require('../models/EquipmentReservation');
+const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+const {
+  getAccessibilityRequirements,
+  certifiedSkillsQuery,
+  getMissingSkills,
+  getTaskHoldWindow,
+  reserveEquipment,
+  reserveBookingEquipment,
+  rescheduleTaskEquipment
+} = require('../services/accessibilityService');
+const { clearStationCache } = require('../services/stationService');
+const { query } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const CHENNAI = {
+  code: 'MAS',
+  name: 'Chennai Central',
+  nameKeys: ['MAS', 'CHENNAI CENTRAL'],
+  facilities: { wheelchairs: 2, stretchers: 0, batteryCars: 1 }
+};
+const start = new Date('2026-03-10T06:00:00Z');
+const end = new Date('2026-03-10T06:45:00Z');
+
+function duplicateKeyError() {
+  return Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+}
+
+describe('accessibilityService', () => {
+  let inserts;
+  let deletes;
+
+  beforeEach(() => {
+    clearStationCache();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(Station, 'findOne', filter => query(
+      filter.code === 'MAS' || filter.nameKeys === 'CHENNAI CENTRAL' ? CHENNAI : null
+    ));
+    inserts = mock.method(EquipmentReservation, 'insertMany', async docs => docs);
+    deletes = mock.method(EquipmentReservation, 'deleteMany', async () => ({ deletedCount: 0 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('requirements', () => {
+    it('collects the skills and equipment of accessibility services', () => {
+      assert.deepEqual(getAccessibilityRequirements(['SeatEscort', 'StationWheelchair', 'BatteryCar']), {
+        services: ['StationWheelchair', 'BatteryCar'],
+        skills: ['wheelchair', 'battery_car'],
+        equipment: ['wheelchair', 'battery_car']
+      });
+      assert.deepEqual(certifiedSkillsQuery(['SeatEscort']), {});
+      assert.deepEqual(certifiedSkillsQuery(['OwnWheelchair', 'StationWheelchair']), { certifiedSkills: { $all: ['wheelchair'] } });
+    });
+
+    it('lists the skills an assistant is not certified for', () => {
+      const assistant = { certifiedSkills: ['wheelchair', 'first_aid'] };
+      assert.deepEqual(getMissingSkills(assistant, ['StationWheelchair', 'VisuallyImpairedGuide']), ['visually_impaired_guide']);
+      assert.deepEqual(getMissingSkills(assistant, ['OwnWheelchair']), []);
+      assert.deepEqual(getMissingSkills(null, ['Stretcher']), ['stretcher']);
+    });
+
+    it('holds equipment from the assistant arrival until after the train', () => {
+      const window = getTaskHoldWindow({
+        scheduledTime: start,
+        assistantArrivalTime: new Date(start.getTime() - 20 * MINUTE_MS),
+        expectedTrainArrival: new Date(start.getTime() + 15 * MINUTE_MS)
+      });
+      assert.deepEqual(window, {
+        start: new Date(start.getTime() - 20 * MINUTE_MS),
+        end: new Date(start.getTime() + 45 * MINUTE_MS)
+      });
+      assert.equal(getTaskHoldWindow({}), null);
+    });
+  });
+
+  describe('reserveEquipment', () => {
+    it('holds every 15 minute slot of the window on one unit', async () => {
+      const result = await reserveEquipment({ station: { code: 'MAS' }, equipmentType: 'wheelchair', start, end, bookingId: 'b1' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.hold.unit, 1);
+      const docs = inserts.mock.calls[0].arguments[0];
+      assert.deepEqual(docs.map(d => d.slotStart.toISOString()), [
+        '2026-03-10T06:00:00.000Z', '2026-03-10T06:15:00.000Z', '2026-03-10T06:30:00.000Z'
+      ]);
+      assert.ok(docs.every(d => d.unit === 1 && d.holdId === result.hold.holdId));
+    });
+
+    it('moves on to the next unit when one is taken and cleans up the partial hold', async () => {
+      inserts.mock.mockImplementationOnce(async () => { throw duplicateKeyError(); });
+
+      const result = await reserveEquipment({ station: { name: 'Chennai Central' }, equipmentType: 'wheelchair', start, end, bookingId: 'b1' });
+
+      assert.equal(result.hold.unit, 2);
+      assert.equal(deletes.mock.callCount(), 1);
+      assert.notEqual(deletes.mock.calls[0].arguments[0].holdId, result.hold.holdId);
+    });
+
+    it('reports the station fully reserved once every unit is taken', async () => {
+      inserts.mock.mockImplementation(async () => { throw duplicateKeyError(); });
+
+      const result = await reserveEquipment({ station: { code: 'MAS' }, equipmentType: 'wheelchair', start, end, bookingId: 'b1' });
+
+      assert.equal(result.code, 'UNAVAILABLE');
+      assert.match(result.message, /^All 2 wheelchair unit\(s\) at Chennai Central are reserved between \d\d:\d\d and \d\d:\d\d$/);
+      assert.equal(deletes.mock.callCount(), 2);
+    });
+
+    it('refuses equipment the station does not have', async () => {
+      const result = await reserveEquipment({ station: { code: 'MAS' }, equipmentType: 'stretcher', start, end, bookingId: 'b1' });
+
+      assert.deepEqual(result, { success: false, code: 'UNAVAILABLE', message: 'Chennai Central has no stretcher to reserve' });
+      assert.equal(inserts.mock.callCount(), 0);
+    });
+  });
+
+  describe('reserveBookingEquipment', () => {
+    const bookingId = new mongoose.Types.ObjectId();
+    const task = { _id: new mongoose.Types.ObjectId(), station: 'Chennai Central', scheduledTime: start, assistantArrivalTime: start };
+
+    it('reserves each equipment type for each task', async () => {
+      const result = await reserveBookingEquipment({ _id: bookingId, services: ['StationWheelchair', 'BatteryCar'] }, [task]);
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.holds.map(h => [h.equipmentType, h.unit, h.taskId]), [
+        ['wheelchair', 1, task._id],
+        ['battery_car', 1, task._id]
+      ]);
+    });
+
+    it('releases what it reserved when a later type is unavailable', async () => {
+      let call = 0;
+      inserts.mock.mockImplementation(async docs => {
+        if (call++ > 0) throw duplicateKeyError();
+        return docs;
+      });
+
+      const result = await reserveBookingEquipment({ _id: bookingId, services: ['StationWheelchair', 'BatteryCar'] }, [task]);
+
+      assert.equal(result.code, 'UNAVAILABLE');
+      assert.deepEqual(deletes.mock.calls.at(-1).arguments[0], { bookingId });
+    });
+
+    it('needs a train or an arrival time', async () => {
+      const result = await reserveBookingEquipment({ _id: bookingId, services: ['StationWheelchair'] });
+
+      assert.equal(result.code, 'INVALID');
+      assert.deepEqual(await reserveBookingEquipment({ _id: bookingId, services: ['SeatEscort'] }), { success: true, holds: [] });
+    });
+  });
+
+  describe('rescheduleTaskEquipment', () => {
+    it('keeps the same unit when the task moves', async () => {
+      const taskId = new mongoose.Types.ObjectId();
+      const holdId = new mongoose.Types.ObjectId();
+      mock.method(EquipmentReservation, 'find', () => query([
+        { holdId, stationCode: 'MAS', equipmentType: 'wheelchair', unit: 2, holdStart: start, holdEnd: end, bookingId: 'b1', taskId }
+      ]));
+      const delayed = { _id: taskId, scheduledTime: new Date(start.getTime() + 60 * MINUTE_MS), assistantArrivalTime: new Date(start.getTime() + 60 * MINUTE_MS) };
+
+      const result = await rescheduleTaskEquipment(delayed);
+
+      assert.deepEqual(result, { moved: 1, lost: 0 });
+      assert.deepEqual(deletes.mock.calls[0].arguments[0], { holdId });
+      assert.equal(inserts.mock.calls[0].arguments[0][0].unit, 2);
+    });
+
+    it('records a reservation lost to another booking', async () => {
+      const taskId = new mongoose.Types.ObjectId();
+      mock.method(EquipmentReservation, 'find', () => query([
+        { holdId: 'h1', stationCode: 'MAS', equipmentType: 'battery_car', unit: 1, holdStart: start, holdEnd: end, bookingId: 'b1', taskId }
+      ]));
+      inserts.mock.mockImplementation(async () => { throw duplicateKeyError(); });
+      const audit = mock.method(AuditLog, 'create', async () => ({}));
+
+      const result = await rescheduleTaskEquipment({ _id: taskId, scheduledTime: new Date(start.getTime() + 60 * MINUTE_MS) });
+
+      assert.deepEqual(result, { moved: 0, lost: 1 });
+      assert.equal(audit.mock.calls[0].arguments[0].action, 'equipment_reservation_lost');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { SECRET } = require('../middleware/auth');
+const adminRoutes = require('../routes/adminRoutes');
+const { query } = require('./helpers');
+
+function tokenFor(role) {
+  return jwt.sign({ id: String(new mongoose.Types.ObjectId()), role, name: role, phone: '9000000000' }, SECRET);
+}
+
+describe('admin user routes', () => {
+  let server;
+  let baseUrl;
+  let findById;
+  let findByIdAndDelete;
+  const userId = new mongoose.Types.ObjectId();
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    findById = mock.method(User, 'findById', () => query({ _id: userId, role: 'passenger', save: async () => {} }));
+    findByIdAndDelete = mock.method(User, 'findByIdAndDelete', () => query({ _id: userId }));
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function send(method, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return fetch(`${baseUrl}/users/${userId}`, { method, headers, body: JSON.stringify({ role: 'admin' }) });
+  }
+
+  for (const method of ['PUT', 'DELETE']) {
+    it(`${method} /users/:id needs an admin`, async () => {
+      assert.equal((await send(method)).status, 401);
+      assert.equal((await send(method, tokenFor('passenger'))).status, 403);
+      assert.equal((await send(method, tokenFor('assistant'))).status, 403);
+      assert.equal(findById.mock.callCount() + findByIdAndDelete.mock.callCount(), 0);
+
+      assert.equal((await send(method, tokenFor('admin'))).status, 200);
+    });
+  }
+});
@@ -0,0 +1,157 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ServiceTask = require('../models/ServiceTask');
+const Assistant = require('../models/Assistant');
+const Booking = require('../models/Booking');
+const Shift = require('../models/Shift');
+const Station = require('../models/Station');
+const { clearStationCache } = require('../services/stationService');
+const { solveAssignment, planBatchAssignment } = require('../services/assignmentOptimizer');
+const { query } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Every assignment of rows to distinct columns, cheapest total
+function bruteForceCost(cost) {
+  const columns = cost[0].length;
+  let best = Infinity;
+  (function place(row, used, total) {
+    if (row === cost.length) { best = Math.min(best, total); return; }
+    for (let j = 0; j < columns; j++) {
+      if (!used.has(j)) place(row + 1, new Set([...used, j]), total + cost[row][j]);
+    }
+  })(0, new Set(), 0);
+  return best;
+}
+
+function totalCost(cost, solution) {
+  return solution.reduce((sum, col, row) => sum + cost[row][col], 0);
+}
+
+describe('assignmentOptimizer', () => {
+  describe('solveAssignment', () => {
+    it('finds the cheapest assignment of a square matrix', () => {
+      const cost = [
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2]
+      ];
+      const solution = solveAssignment(cost);
+      assert.equal(new Set(solution).size, 3);
+      assert.equal(totalCost(cost, solution), bruteForceCost(cost));
+    });
+
+    it('uses distinct columns when there are more columns than rows', () => {
+      const cost = [
+        [7, 3, 9, 1],
+        [2, 8, 4, 1]
+      ];
+      const solution = solveAssignment(cost);
+      assert.notEqual(solution[0], solution[1]);
+      assert.equal(totalCost(cost, solution), bruteForceCost(cost));
+    });
+
+    it('matches brute force on generated matrices', () => {
+      let seed = 7;
+      const random = () => (seed = (seed * 16807) % 2147483647) % 100;
+      for (let round = 0; round < 20; round++) {
+        const rows = 1 + (round % 4);
+        const cost = Array.from({ length: rows }, () => Array.from({ length: rows + (round % 3) }, random));
+        assert.equal(totalCost(cost, solveAssignment(cost)), bruteForceCost(cost));
+      }
+    });
+
+    it('returns nothing for no rows', () => {
+      assert.deepEqual(solveAssignment([]), []);
+    });
+  });
+
+  describe('planBatchAssignment', () => {
+    const station = { code: 'NDLS', name: 'New Delhi', nameKeys: ['NDLS', 'NEW DELHI'], isActive: true };
+    const allWeek = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, start: '00:00', end: '00:00' }));
+
+    function assistant(name, languages, rating) {
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        languages,
+        rating,
+        weeklyAvailability: allWeek,
+        leave: []
+      };
+    }
+
+    function pickupTask(hoursAhead, preferredLanguages) {
+      const scheduledTime = new Date(Date.now() + hoursAhead * HOUR_MS);
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        taskType: 'pickup',
+        station: 'New Delhi',
+        scheduledTime,
+        assistantArrivalTime: scheduledTime,
+        bookingId: {
+          _id: new mongoose.Types.ObjectId(),
+          status: 'Pending',
+          serviceType: 'pickup',
+          services: [],
+          preferredLanguages,
+          assistantId: null
+        }
+      };
+    }
+
+    beforeEach(() => {
+      clearStationCache();
+      mock.method(Station, 'findOne', () => query(station));
+      mock.method(Shift, 'countDocuments', () => query(0));
+      mock.method(Booking, 'distinct', () => query([]));
+      mock.method(ServiceTask, 'countDocuments', () => query(0));
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('keeps the only Hindi speaker for the task that needs one', async () => {
+      const hindiSpeaker = assistant('Asha', ['Hindi', 'English'], 5);
+      const englishOnly = assistant('Ben', ['English'], 4);
+      const early = pickupTask(1, []);
+      const late = pickupTask(2, ['Hindi']);
+      mock.method(ServiceTask, 'find', filter => query(filter.status === 'pending' ? [early, late] : []));
+      mock.method(Assistant, 'find', () => query([hindiSpeaker, englishOnly]));
+
+      const { stations } = await planBatchAssignment();
+
+      assert.equal(stations.length, 1);
+      const [plan] = stations;
+      assert.deepEqual(plan.station, { code: 'NDLS', name: 'New Delhi' });
+      assert.equal(plan.taskCount, 2);
+
+      const byTask = new Map(plan.optimized.assignments.map(a => [String(a.taskId), a]));
+      assert.equal(String(byTask.get(String(early._id)).assistantId), String(englishOnly._id));
+      assert.equal(String(byTask.get(String(late._id)).assistantId), String(hindiSpeaker._id));
+      assert.equal(plan.optimized.languageMatches, 1);
+
+      // Task by task, the best-rated assistant goes to the first task
+      assert.equal(plan.greedy.languageMatches, 0);
+      assert.ok(plan.improvement.score > 0);
+      assert.equal(plan.improvement.languageMatches, 1);
+    });
+
+    it('leaves tasks unassigned rather than double-booking an assistant', async () => {
+      const only = assistant('Asha', ['Hindi'], 5);
+      const first = pickupTask(1, []);
+      const second = pickupTask(1, []);
+      mock.method(ServiceTask, 'find', filter => query(filter.status === 'pending' ? [first, second] : []));
+      mock.method(Assistant, 'find', () => query([only]));
+
+      const { stations: [plan] } = await planBatchAssignment();
+
+      assert.equal(plan.optimized.assignedCount, 1);
+      assert.equal(plan.optimized.unassigned.length, 1);
+      assert.equal(plan.optimized.gapViolations, 0);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.OTP_SECRET = process.env.OTP_SECRET || 'test_otp_secret';
+
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const AssignmentOffer = require('../models/AssignmentOffer');
+const AuditLog = require('../models/AuditLog');
+const { SECRET } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+const bookingRoutes = require('../routes/booking');
+const { query } = require('./helpers');
+
+const passengerId = new mongoose.Types.ObjectId();
+const assignedUserId = new mongoose.Types.ObjectId();
+const assignedAssistantId = new mongoose.Types.ObjectId();
+
+function tokenFor(id, role) {
+  return jwt.sign({ id: String(id), role, name: role, phone: '9000000000' }, SECRET);
+}
+
+describe('booking assignment routes', () => {
+  let server;
+  let baseUrl;
+  let booking;
+  let updates;
+  let assistantUpdates;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookings', bookingRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/bookings`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    booking = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: passengerId,
+      assistantId: assignedAssistantId,
+      status: 'Accepted'
+    };
+    updates = [];
+    assistantUpdates = [];
+    mock.method(Booking, 'findById', () => query(booking));
+    mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      booking = { ...booking, ...update.$set };
+      return query(booking);
+    });
+    mock.method(Assistant, 'findOne', filter => query(
+      filter.userId === String(assignedUserId)
+        ? { _id: assignedAssistantId, verified: true }
+        : { _id: new mongoose.Types.ObjectId(), verified: true }
+    ));
+    mock.method(Assistant, 'findByIdAndUpdate', (id, update) => {
+      assistantUpdates.push({ id: String(id), update });
+      return query({ _id: id });
+    });
+    mock.method(eventBus, 'publishBookingStatus', () => {});
+    mock.method(eventBus, 'publishAssistantNotice', () => {});
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  async function post(path, token, body = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}/${booking._id}/${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  }
+
+  describe('reject', () => {
+    it('requires a token', async () => {
+      const res = await post('reject', null, { assistantId: String(assignedAssistantId) });
+      assert.equal(res.status, 401);
+      assert.equal(updates.length, 0);
+    });
+
+    it('refuses the passenger and other assistants, whatever assistantId they send', async () => {
+      assert.equal((await post('reject', tokenFor(passengerId, 'passenger'))).status, 403);
+      const other = await post('reject', tokenFor(new mongoose.Types.ObjectId(), 'assistant'),
+        { assistantId: String(assignedAssistantId) });
+      assert.equal(other.status, 403);
+      assert.equal(other.body.message, 'You are not assigned to this booking');
+      assert.equal(updates.length, 0);
+    });
+
+    it('reopens the booking when the assigned assistant hands it back', async () => {
+      const res = await post('reject', tokenFor(assignedUserId, 'assistant'));
+
+      assert.equal(res.status, 200);
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].$set.status, 'Pending');
+      assert.equal(updates[0].$set.assistantId, null);
+      assert.equal(updates[0].$push.statusHistory.actorRole, 'assistant');
+      assert.equal(updates[0].$push.statusHistory.actorId, String(assignedAssistantId));
+      assert.deepEqual(assistantUpdates, [{ id: String(assignedAssistantId), update: { currentBookingId: null } }]);
+    });
+
+    it('lets an admin reject the booking', async () => {
+      const adminId = new mongoose.Types.ObjectId();
+      const res = await post('reject', tokenFor(adminId, 'admin'));
+
+      assert.equal(res.status, 200);
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].$set.status, 'Rejected');
+      assert.equal(updates[0].$push.statusHistory.actorRole, 'admin');
+      assert.equal(updates[0].$push.statusHistory.actorId, String(adminId));
+    });
+  });
+
+  describe('accept', () => {
+    let offer;
+    let offerUpdates;
+
+    beforeEach(() => {
+      booking.status = 'Searching';
+      booking.assistantId = null;
+      offer = {
+        _id: new mongoose.Types.ObjectId(),
+        bookingId: booking._id,
+        assistantId: assignedAssistantId,
+        status: 'offered',
+        round: 1,
+        rank: 1,
+        score: 80,
+        offeredAt: new Date(Date.now() - 20 * 1000),
+        expiresAt: new Date(Date.now() + 40 * 1000)
+      };
+      offerUpdates = [];
+      mock.method(AssignmentOffer, 'findOne', filter => query(
+        String(filter.assistantId) === String(offer.assistantId) && filter.status === offer.status ? offer : null
+      ));
+      mock.method(AssignmentOffer, 'findById', () => query(offer));
+      mock.method(AssignmentOffer, 'findOneAndUpdate', (filter, update) => {
+        offerUpdates.push(update.$set);
+        const claimed = { ...offer, ...update.$set };
+        return query({ ...claimed, toObject: () => claimed });
+      });
+      mock.method(AssignmentOffer, 'find', () => query([]));
+      mock.method(AssignmentOffer, 'aggregate', async () => []);
+      mock.method(Assistant, 'findById', () => query({ isEligibleForBookings: true, currentBookingId: null }));
+      mock.method(Assistant, 'updateOne', () => query({ modifiedCount: 1 }));
+      mock.method(AuditLog, 'create', async () => ({}));
+    });
+
+    it('requires an assistant token', async () => {
+      assert.equal((await post('accept', null, { assistantId: String(assignedAssistantId) })).status, 401);
+      assert.equal((await post('accept', tokenFor(passengerId, 'passenger'), { assistantId: String(assignedAssistantId) })).status, 403);
+      assert.equal(updates.length, 0);
+    });
+
+    it('refuses an assistant without an open offer, whatever assistantId they send', async () => {
+      const res = await post('accept', tokenFor(new mongoose.Types.ObjectId(), 'assistant'),
+        { assistantId: String(assignedAssistantId) });
+
+      assert.equal(res.status, 409);
+      assert.equal(offerUpdates.length, 0);
+      assert.equal(updates.length, 0);
+    });
+
+    it('accepts the signed-in assistant\'s offer', async () => {
+      const res = await post('accept', tokenFor(assignedUserId, 'assistant'));
+
+      assert.equal(res.status, 200);
+      assert.equal(offerUpdates[0].status, 'accepted');
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].$set.status, 'Accepted');
+      assert.equal(String(updates[0].$set.assistantId), String(assignedAssistantId));
+      assert.deepEqual(assistantUpdates, [{ id: String(assignedAssistantId), update: { currentBookingId: booking._id } }]);
+    });
+
+    it('does not accept an expired offer', async () => {
+      offer.expiresAt = new Date(Date.now() - 1000);
+      // Another candidate's offer is still live, so the cascade waits for it
+      mock.method(AssignmentOffer, 'exists', () => query(true));
+
+      const res = await post('accept', tokenFor(assignedUserId, 'assistant'));
+
+      assert.equal(res.status, 410);
+      assert.equal(offerUpdates[0].status, 'expired');
+      assert.ok(updates.every(u => u.$set.status !== 'Accepted'));
+    });
+  });
+});
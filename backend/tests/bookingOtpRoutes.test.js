@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.OTP_SECRET = process.env.OTP_SECRET || 'test_otp_secret';
+
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const { SECRET } = require('../middleware/auth');
+const otpService = require('../services/otpService');
+const bookingRoutes = require('../routes/booking');
+const { query } = require('./helpers');
+
+const passengerId = new mongoose.Types.ObjectId();
+const assignedUserId = new mongoose.Types.ObjectId();
+const assignedAssistantId = new mongoose.Types.ObjectId();
+
+function tokenFor(id, role) {
+  return jwt.sign({ id: String(id), role, name: role, phone: '9000000000' }, SECRET);
+}
+
+describe('booking OTP routes', () => {
+  let server;
+  let baseUrl;
+  let booking;
+  let verifyOtp;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookings', bookingRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/bookings`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    booking = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: passengerId,
+      assistantId: assignedAssistantId,
+      status: 'Start Pending'
+    };
+    mock.method(Booking, 'findById', () => query(booking));
+    mock.method(Assistant, 'findOne', filter => query(
+      filter.userId === String(assignedUserId) ? { _id: assignedAssistantId } : { _id: new mongoose.Types.ObjectId() }
+    ));
+    verifyOtp = mock.method(otpService, 'verifyOtp', async () => ({ success: false, code: 'INVALID', message: 'Invalid OTP' }));
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  async function post(path, token, body = { otp: '123456' }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}/${booking._id}/${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  }
+
+  for (const path of ['verify-otp', 'verify-start-otp']) {
+    describe(path, () => {
+      it('requires a token', async () => {
+        assert.equal((await post(path)).status, 401);
+        assert.equal(verifyOtp.mock.callCount(), 0);
+      });
+
+      it('refuses the passenger and other assistants', async () => {
+        assert.equal((await post(path, tokenFor(passengerId, 'passenger'))).status, 403);
+        const other = await post(path, tokenFor(new mongoose.Types.ObjectId(), 'assistant'));
+        assert.equal(other.status, 403);
+        assert.equal(other.body.message, 'You are not assigned to this booking');
+        assert.equal(verifyOtp.mock.callCount(), 0);
+      });
+
+      it('checks the code for the assigned assistant', async () => {
+        const res = await post(path, tokenFor(assignedUserId, 'assistant'));
+
+        assert.equal(res.body.code, 'INVALID');
+        assert.equal(verifyOtp.mock.callCount(), 1);
+        const { actor } = verifyOtp.mock.calls[0].arguments[3];
+        assert.deepEqual(actor, { role: 'assistant', id: assignedAssistantId });
+      });
+    });
+  }
+
+  describe('confirm-completion', () => {
+    beforeEach(() => {
+      booking.status = 'Completion Pending';
+    });
+
+    it('refuses another passenger', async () => {
+      const res = await post('confirm-completion', tokenFor(new mongoose.Types.ObjectId(), 'passenger'));
+      assert.equal(res.status, 403);
+      assert.equal(verifyOtp.mock.callCount(), 0);
+    });
+
+    it('checks the code for the booking\'s passenger and the assigned assistant', async () => {
+      await post('confirm-completion', tokenFor(passengerId, 'passenger'));
+      await post('confirm-completion', tokenFor(assignedUserId, 'assistant'));
+
+      assert.deepEqual(verifyOtp.mock.calls.map(c => c.arguments[3].actor.role), ['passenger', 'assistant']);
+    });
+  });
+
+  describe('resend-start-otp', () => {
+    it('refuses outsiders without issuing a code', async () => {
+      const issueOtp = mock.method(otpService, 'issueOtp', async () => ({ success: true, otp: '123456' }));
+
+      assert.equal((await post('resend-start-otp')).status, 401);
+      assert.equal((await post('resend-start-otp', tokenFor(new mongoose.Types.ObjectId(), 'passenger'))).status, 403);
+      assert.equal((await post('resend-start-otp', tokenFor(new mongoose.Types.ObjectId(), 'assistant'))).status, 403);
+      assert.equal(issueOtp.mock.callCount(), 0);
+    });
+
+    it('does not let the passenger start the service', async () => {
+      booking.status = 'Accepted';
+      const issueOtp = mock.method(otpService, 'issueOtp', async () => ({ success: true, otp: '123456' }));
+
+      const res = await post('resend-start-otp', tokenFor(passengerId, 'passenger'));
+      assert.equal(res.status, 400);
+      assert.equal(issueOtp.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const eventBus = require('../services/eventBus');
+const { transitionBooking, canTransition, transitionErrorStatus } = require('../services/bookingStateService');
+const { query } = require('./helpers');
+
+const bookingId = new mongoose.Types.ObjectId().toString();
+
+describe('bookingStateService', () => {
+  let published;
+
+  beforeEach(() => {
+    published = mock.method(eventBus, 'publishBookingStatus', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('canTransition', () => {
+    it('follows the transition table', () => {
+      assert.equal(canTransition('Pending', 'Searching'), true);
+      assert.equal(canTransition('In Progress', 'Completion Pending'), true);
+      assert.equal(canTransition('Completed', 'Cancelled'), false);
+      assert.equal(canTransition('Pending', 'Completed'), false);
+    });
+  });
+
+  describe('transitionBooking', () => {
+    it('rejects unknown statuses and booking ids without reading', async () => {
+      const findById = mock.method(Booking, 'findById', () => query(null));
+
+      assert.equal((await transitionBooking(bookingId, 'Teleported')).code, 'INVALID_STATUS');
+      assert.equal((await transitionBooking('not-an-id', 'Searching')).code, 'NOT_FOUND');
+      assert.equal(findById.mock.callCount(), 0);
+    });
+
+    it('reports a missing booking', async () => {
+      mock.method(Booking, 'findById', () => query(null));
+
+      const result = await transitionBooking(bookingId, 'Searching');
+      assert.equal(result.code, 'NOT_FOUND');
+      assert.equal(transitionErrorStatus(result), 404);
+    });
+
+    it('refuses moves outside the table or the route precondition', async () => {
+      mock.method(Booking, 'findById', () => query({ _id: bookingId, status: 'Completed' }));
+      const update = mock.method(Booking, 'findOneAndUpdate', () => query(null));
+
+      const invalid = await transitionBooking(bookingId, 'Cancelled');
+      assert.equal(invalid.code, 'INVALID_TRANSITION');
+      assert.equal(invalid.previousStatus, 'Completed');
+      assert.equal(transitionErrorStatus(invalid), 409);
+
+      mock.method(Booking, 'findById', () => query({ _id: bookingId, status: 'Pending' }));
+      const precondition = await transitionBooking(bookingId, 'Cancelled', { from: ['Accepted'] });
+      assert.equal(precondition.code, 'INVALID_TRANSITION');
+
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('updates conditionally on the current status and records the history', async () => {
+      const assistantId = new mongoose.Types.ObjectId();
+      mock.method(Booking, 'findById', () => query({ _id: bookingId, status: 'Searching', assistantId: null }));
+      const updated = { _id: bookingId, status: 'Assigned', assistantId };
+      const update = mock.method(Booking, 'findOneAndUpdate', () => query(updated));
+
+      const result = await transitionBooking(bookingId, 'Assigned', {
+        set: { assistantId },
+        actor: { role: 'admin', id: 'admin-1' },
+        reason: 'manual'
+      });
+
+      assert.equal(result.success, true);
+      assert.equal(result.previousStatus, 'Searching');
+      assert.equal(result.booking, updated);
+
+      const [filter, change] = update.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: bookingId, status: 'Searching' });
+      assert.equal(change.$set.status, 'Assigned');
+      assert.equal(change.$set.assistantId, assistantId);
+      assert.equal(change.$push.statusHistory.from, 'Searching');
+      assert.equal(change.$push.statusHistory.to, 'Assigned');
+      assert.equal(change.$push.statusHistory.actorRole, 'admin');
+      assert.equal(change.$push.statusHistory.actorId, 'admin-1');
+      assert.equal(change.$push.statusHistory.reason, 'manual');
+
+      assert.equal(published.mock.callCount(), 1);
+      const [booking, previousStatus, meta] = published.mock.calls[0].arguments;
+      assert.equal(booking, updated);
+      assert.equal(previousStatus, 'Searching');
+      assert.equal(meta.actorRole, 'admin');
+      assert.equal(meta.previousAssistantId, null);
+    });
+
+    it('passes the previous assistant on a reassignment', async () => {
+      const oldAssistant = new mongoose.Types.ObjectId();
+      const newAssistant = new mongoose.Types.ObjectId();
+      mock.method(Booking, 'findById', () => query({ _id: bookingId, status: 'Assigned', assistantId: oldAssistant }));
+      mock.method(Booking, 'findOneAndUpdate', () => query({ _id: bookingId, status: 'Assigned', assistantId: newAssistant }));
+
+      const result = await transitionBooking(bookingId, 'Assigned', { set: { assistantId: newAssistant } });
+
+      assert.equal(result.success, true);
+      assert.equal(published.mock.calls[0].arguments[2].previousAssistantId, oldAssistant);
+      assert.equal(published.mock.calls[0].arguments[2].actorRole, 'system');
+    });
+
+    it('reports a conflict when the status changed concurrently', async () => {
+      const reads = [{ _id: bookingId, status: 'Pending' }, { _id: bookingId, status: 'Cancelled' }];
+      mock.method(Booking, 'findById', () => query(reads.shift()));
+      mock.method(Booking, 'findOneAndUpdate', () => query(null));
+
+      const result = await transitionBooking(bookingId, 'Searching');
+
+      assert.equal(result.success, false);
+      assert.equal(result.code, 'CONFLICT');
+      assert.equal(result.previousStatus, 'Cancelled');
+      assert.equal(transitionErrorStatus(result), 409);
+      assert.equal(published.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Assistant = require('../models/Assistant');
+const AuditLog = require('../models/AuditLog');
+const eventBus = require('../services/eventBus');
+const {
+  computeCertifiedSkills,
+  validateCertificationInput,
+  submitCertification,
+  verifyCertification,
+  rejectCertification,
+  runCertificationSweep
+} = require('../services/certificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const admin = { id: 'admin1', role: 'admin' };
+
+function daysFromNow(days, from = new Date()) {
+  return new Date(from.getTime() + days * DAY_MS);
+}
+
+function assistantWith(certifications = [], fields = {}) {
+  const assistant = new Assistant({ name: 'Ravi', certifications, ...fields });
+  assistant.certifiedSkills = computeCertifiedSkills(assistant.certifications);
+  return assistant;
+}
+
+describe('certificationService', () => {
+  let notices;
+  let saves;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(AuditLog, 'create', async () => ({}));
+    notices = mock.method(eventBus, 'publishAssistantNotice', () => {});
+    saves = mock.method(Assistant.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('skills', () => {
+    it('only counts verified certificates that have not expired', () => {
+      const now = new Date();
+      assert.deepEqual(computeCertifiedSkills([
+        { type: 'wheelchair_handling', status: 'verified', expiresAt: daysFromNow(10) },
+        { type: 'stretcher_handling', status: 'verified', expiresAt: daysFromNow(-1) },
+        { type: 'battery_car_license', status: 'pending', expiresAt: null },
+        { type: 'first_aid', status: 'verified', expiresAt: null },
+        { type: 'wheelchair_handling', status: 'verified', expiresAt: null }
+      ], now), ['wheelchair', 'first_aid']);
+    });
+
+    it('validates a submission', () => {
+      const { errors } = validateCertificationInput({
+        type: 'juggling',
+        issuingBody: ' ',
+        issuedAt: daysFromNow(1).toISOString(),
+        expiresAt: 'soon'
+      });
+      assert.equal(errors.length, 4);
+      assert.match(errors[0], /^type must be one of /);
+      assert.deepEqual(errors.slice(1), [
+        'issuingBody is required (up to 100 characters)',
+        'issuedAt cannot be in the future',
+        'expiresAt must be a date'
+      ]);
+      assert.deepEqual(validateCertificationInput({ type: 'first_aid', issuingBody: 'St John', expiresAt: daysFromNow(-1) }).errors,
+        ['The certificate has already expired']);
+    });
+  });
+
+  describe('review', () => {
+    it('submits a certificate for review without granting its skill', async () => {
+      const assistant = assistantWith();
+      mock.method(Assistant, 'findById', async () => assistant);
+
+      const result = await submitCertification(assistant._id, {
+        type: 'wheelchair_handling',
+        issuingBody: ' Red Cross ',
+        issuedAt: daysFromNow(-30).toISOString(),
+        expiresAt: daysFromNow(300).toISOString()
+      }, 'uploads/certifications/cert.pdf', { id: 'u1', role: 'assistant' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.certification.status, 'pending');
+      assert.equal(result.certification.issuingBody, 'Red Cross');
+      assert.equal(result.certification.valid, false);
+      assert.deepEqual([...assistant.certifiedSkills], []);
+    });
+
+    it('needs the certificate document', async () => {
+      const result = await submitCertification('a1', { type: 'first_aid', issuingBody: 'St John' }, null);
+      assert.deepEqual(result.errors, ['A certificate document (JPG, PNG or PDF) is required']);
+    });
+
+    it('grants the skill on verification and tells the assistant', async () => {
+      const assistant = assistantWith([{ type: 'wheelchair_handling', issuingBody: 'Red Cross', status: 'pending', expiresAt: daysFromNow(300) }]);
+      const cert = assistant.certifications[0];
+      mock.method(Assistant, 'findById', async () => assistant);
+
+      const result = await verifyCertification(assistant._id, cert._id, { remark: 'Checked' }, admin);
+
+      assert.equal(result.success, true);
+      assert.deepEqual([...assistant.certifiedSkills], ['wheelchair']);
+      assert.equal(cert.verifiedBy, 'admin1');
+      assert.deepEqual(AuditLog.create.mock.calls[0].arguments[0].meta.skillsAdded, ['wheelchair']);
+      assert.equal(notices.mock.calls[0].arguments[1], 'certificationVerified');
+
+      const again = await verifyCertification(assistant._id, cert._id, {}, admin);
+      assert.deepEqual(again, { success: false, code: 'INVALID_STATE', message: 'Certification is already verified' });
+    });
+
+    it('removes the skill when a verified certificate is revoked', async () => {
+      const assistant = assistantWith([{ type: 'stretcher_handling', issuingBody: 'AIIMS', status: 'verified', expiresAt: null }]);
+      const cert = assistant.certifications[0];
+      mock.method(Assistant, 'findById', async () => assistant);
+
+      const result = await rejectCertification(assistant._id, cert._id, {}, admin);
+
+      assert.equal(result.certification.remark, 'Rejected by admin');
+      assert.deepEqual([...assistant.certifiedSkills], []);
+      assert.deepEqual(AuditLog.create.mock.calls[0].arguments[0].meta.skillsRemoved, ['stretcher']);
+      assert.equal((await rejectCertification(assistant._id, '000000000000000000000000', {}, admin)).message, 'Certification not found');
+    });
+  });
+
+  describe('runCertificationSweep', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    it('expires lapsed certificates and drops their skills', async () => {
+      const assistant = assistantWith([
+        { type: 'battery_car_license', issuingBody: 'RTO', status: 'verified', expiresAt: daysFromNow(-1, now) },
+        { type: 'first_aid', issuingBody: 'St John', status: 'verified', expiresAt: null }
+      ]);
+      assistant.certifiedSkills = ['battery_car', 'first_aid'];
+      const find = mock.method(Assistant, 'find', async () => []);
+      find.mock.mockImplementationOnce(async () => [assistant]);
+
+      const result = await runCertificationSweep(now);
+
+      assert.deepEqual(result, { expired: 1, reminded: 0 });
+      assert.equal(assistant.certifications[0].status, 'expired');
+      assert.deepEqual([...assistant.certifiedSkills], ['first_aid']);
+      assert.equal(notices.mock.calls[0].arguments[1], 'certificationExpired');
+    });
+
+    it('does not warn about an expiry already covered by a renewal', async () => {
+      const assistant = assistantWith([
+        { type: 'wheelchair_handling', issuingBody: 'Red Cross', status: 'verified', expiresAt: daysFromNow(-1, now) },
+        { type: 'wheelchair_handling', issuingBody: 'Red Cross', status: 'verified', expiresAt: daysFromNow(365, now) }
+      ]);
+      const find = mock.method(Assistant, 'find', async () => []);
+      find.mock.mockImplementationOnce(async () => [assistant]);
+
+      await runCertificationSweep(now);
+
+      assert.deepEqual([...assistant.certifiedSkills], ['wheelchair']);
+      assert.equal(notices.mock.callCount(), 0);
+    });
+
+    it('reminds once before a certificate expires', async () => {
+      const assistant = assistantWith([
+        { type: 'first_aid', issuingBody: 'St John', status: 'verified', expiresAt: daysFromNow(1, now) }
+      ]);
+      const find = mock.method(Assistant, 'find', async () => []);
+      find.mock.mockImplementationOnce(async () => [], 0);
+      find.mock.mockImplementationOnce(async () => [assistant], 1);
+
+      const result = await runCertificationSweep(now);
+
+      assert.deepEqual(result, { expired: 0, reminded: 1 });
+      assert.deepEqual(assistant.certifications[0].reminderSentAt, now);
+      assert.equal(notices.mock.calls[0].arguments[1], 'certificationExpiring');
+      assert.match(notices.mock.calls[0].arguments[2], /expires in 1 day\./);
+      assert.equal(saves.mock.callCount(), 1);
+    });
+  });
+});
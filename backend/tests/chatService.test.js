@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const ServiceTask = require('../models/ServiceTask');
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const chatService = require('../services/chatService');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('chatService', () => {
+  const passengerId = id();
+  const assistantUserId = id();
+  const assistantId = id();
+  let booking;
+  let taskAssignee;
+
+  beforeEach(() => {
+    booking = { _id: id(), userId: passengerId, assistantId: null, passengerPhone: '9000000001' };
+    taskAssignee = null;
+    mock.method(Booking, 'findById', () => query(booking));
+    mock.method(Assistant, 'findOne', filter => query(filter.userId === String(assistantUserId) ? { _id: assistantId } : null));
+    mock.method(ServiceTask, 'exists', filter => query(
+      taskAssignee && String(filter.assignedAssistant) === String(taskAssignee) ? { _id: id() } : null
+    ));
+    mock.method(User, 'findById', () => query({ phone: '9000000001' }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('canAccessBooking', () => {
+    const access = (user) => chatService.canAccessBooking(user, booking._id);
+
+    it('lets admins and the booking\'s passenger in', async () => {
+      assert.equal((await access({ id: String(id()), role: 'admin' })).allowed, true);
+      assert.equal((await access({ id: String(passengerId), role: 'passenger' })).allowed, true);
+
+      const other = await access({ id: String(id()), role: 'passenger' });
+      assert.deepEqual([other.allowed, other.reason], [false, 'Not your booking']);
+    });
+
+    it('matches legacy bookings without a userId by phone', async () => {
+      booking.userId = null;
+      assert.equal((await access({ id: String(id()), role: 'passenger' })).allowed, true);
+
+      booking.passengerPhone = '9000000002';
+      assert.equal((await access({ id: String(id()), role: 'passenger' })).allowed, false);
+    });
+
+    it('lets an assistant in through the booking or one of its tasks', async () => {
+      const assistant = { id: String(assistantUserId), role: 'assistant' };
+      assert.equal((await access(assistant)).reason, 'You are not assigned to this booking');
+
+      taskAssignee = assistantId;
+      assert.equal((await access(assistant)).allowed, true);
+
+      taskAssignee = null;
+      booking.assistantId = assistantId;
+      const result = await access(assistant);
+      assert.equal(result.allowed, true);
+      assert.equal(String(result.assistantId), String(assistantId));
+    });
+
+    it('refuses unauthenticated users and bad ids without a lookup', async () => {
+      assert.equal((await chatService.canAccessBooking(null, booking._id)).reason, 'Not authenticated');
+      assert.equal((await chatService.canAccessBooking({ id: 'x', role: 'admin' }, 'nope')).reason, 'Invalid booking id');
+      assert.equal(Booking.findById.mock.callCount(), 0);
+    });
+  });
+
+  describe('messages', () => {
+    it('stores the sender as having read their own message', async () => {
+      const create = mock.method(ChatMessage, 'create', async (doc) => ({ _id: id(), createdAt: new Date(), ...doc }));
+      const user = { id: String(passengerId), role: 'passenger', name: 'Asha' };
+
+      const message = await chatService.saveMessage(String(booking._id), user, 'On platform 3');
+
+      assert.equal(create.mock.callCount(), 1);
+      assert.equal(message.user, 'Asha');
+      assert.equal(message.text, 'On platform 3');
+      assert.deepEqual(message.readBy.map(r => [r.userId, r.role]), [[String(passengerId), 'passenger']]);
+    });
+
+    it('pages history newest first but returns each page in order', async () => {
+      const t0 = Date.now();
+      const newestFirst = [3, 2].map(n => ({ _id: id(), bookingId: booking._id, senderName: 'A', text: `m${n}`, createdAt: new Date(t0 + n) }));
+      const find = mock.method(ChatMessage, 'find', () => query(newestFirst));
+      mock.method(ChatMessage, 'countDocuments', () => query(5));
+
+      const page = await chatService.getMessages(booking._id, { limit: 2, before: new Date(t0 + 10).toISOString() });
+
+      assert.deepEqual(page.messages.map(m => m.text), ['m2', 'm3']);
+      assert.deepEqual([page.page, page.limit, page.total, page.hasMore], [1, 2, 5, true]);
+      assert.ok(find.mock.calls[0].arguments[0].createdAt.$lt instanceof Date);
+    });
+
+    it('marks only messages the user has not read', async () => {
+      const updateMany = mock.method(ChatMessage, 'updateMany', () => query({ modifiedCount: 2 }));
+      const user = { id: String(assistantUserId), role: 'assistant' };
+      const valid = String(id());
+
+      const result = await chatService.markRead(booking._id, user, [valid, 'bad-id']);
+
+      assert.equal(result.modifiedCount, 2);
+      const [filter, update] = updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter['readBy.userId'], { $ne: user.id });
+      assert.deepEqual(filter._id.$in, [valid]);
+      assert.equal(update.$push.readBy.role, 'assistant');
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Earning = require('../models/Earning');
+const SlaIncident = require('../models/SlaIncident');
+const PayoutBatch = require('../models/PayoutBatch');
+const ServiceTask = require('../models/ServiceTask');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const AuditLog = require('../models/AuditLog');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  recordTaskEarning,
+  applyTaskPenalty,
+  createPayoutBatch,
+  approvePayoutBatch,
+  markPayoutBatchPaid,
+  getWeekRange,
+  getMonthRange
+} = require('../services/earningsService');
+const { fromLocal } = require('../services/localTime');
+const { query } = require('./helpers');
+
+const assistantId = new mongoose.Types.ObjectId();
+
+function completedTask(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    bookingId: new mongoose.Types.ObjectId(),
+    assignedAssistant: assistantId,
+    taskType: 'pickup',
+    station: 'Chennai Central',
+    status: 'completed',
+    completedAt: new Date('2026-03-10T06:00:00Z'),
+    ...fields
+  };
+}
+
+// Earning.create / findOneAndUpdate stand-ins that keep the written fields
+function mockEarningWrites() {
+  const created = mock.method(Earning, 'create', async doc => ({ _id: new mongoose.Types.ObjectId(), penaltyAmount: 0, status: 'unpaid', ...doc }));
+  const updated = mock.method(Earning, 'findOneAndUpdate', async (filter, update) => ({ _id: filter._id, ...update }));
+  return { created, updated };
+}
+
+describe('earningsService', () => {
+  let ledger;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    ledger = mock.method(LedgerEntry, 'insertMany', async docs => docs);
+    mock.method(Assistant, 'findByIdAndUpdate', () => query({}));
+    mock.method(AuditLog, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('periods', () => {
+    it('starts payout weeks at station local midnight on Monday', () => {
+      // Sunday 20:00 UTC is already Monday 01:30 in Kolkata
+      const { start, end } = getWeekRange(new Date('2026-03-15T20:00:00Z'));
+      assert.deepEqual(start, fromLocal(2026, 3, 16));
+      assert.deepEqual(end, fromLocal(2026, 3, 23));
+      assert.equal(start.toISOString(), '2026-03-15T18:30:00.000Z');
+    });
+
+    it('keeps the previous week until station midnight', () => {
+      const { start } = getWeekRange(new Date('2026-03-15T18:00:00Z'));
+      assert.deepEqual(start, fromLocal(2026, 3, 9));
+    });
+
+    it('spans the station local calendar month', () => {
+      const { start, end } = getMonthRange(new Date('2026-03-31T19:00:00Z'));
+      assert.deepEqual(start, fromLocal(2026, 4, 1));
+      assert.deepEqual(end, fromLocal(2026, 5, 1));
+    });
+  });
+
+  describe('recordTaskEarning', () => {
+    it('shares the list price less the platform fee across the booking tasks', async () => {
+      const task = completedTask();
+      mock.method(Earning, 'findOne', async () => null);
+      mock.method(Earning, 'find', () => query([]));
+      mock.method(Booking, 'findById', () => query({
+        _id: task.bookingId,
+        price: 450,
+        pricingRule: { platformFee: 50 },
+        discount: { total: 100 }
+      }));
+      mock.method(ServiceTask, 'countDocuments', async () => 2);
+      mock.method(SlaIncident, 'findOne', async () => null);
+      const { created } = mockEarningWrites();
+
+      const result = await recordTaskEarning(task);
+
+      assert.equal(result.success, true);
+      assert.equal(result.duplicate, false);
+      const doc = created.mock.calls[0].arguments[0];
+      // Discounts are platform-funded: (450 + 100 - 50) / 2 tasks, 80% to the assistant
+      assert.equal(doc.bookingPrice, 550);
+      assert.equal(doc.grossAmount, 250);
+      assert.equal(doc.amount, 200);
+      assert.equal(doc.netAmount, 200);
+      assert.equal(doc.taskCount, 2);
+      assert.deepEqual(doc.earnedAt, task.completedAt);
+    });
+
+    it('returns the existing earning for a task recorded before', async () => {
+      const existing = { _id: new mongoose.Types.ObjectId(), netAmount: 200 };
+      mock.method(Earning, 'findOne', async () => existing);
+      const { created } = mockEarningWrites();
+
+      const result = await recordTaskEarning(completedTask());
+
+      assert.equal(result.duplicate, true);
+      assert.equal(result.earning, existing);
+      assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('keeps one earning when two completions race', async () => {
+      const winner = { _id: new mongoose.Types.ObjectId(), netAmount: 200 };
+      let lookups = 0;
+      mock.method(Earning, 'findOne', async () => (lookups++ === 0 ? null : winner));
+      mock.method(Booking, 'findById', () => query({ price: 450, discount: { total: 0 } }));
+      mock.method(ServiceTask, 'countDocuments', async () => 1);
+      mock.method(Earning, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+
+      const result = await recordTaskEarning(completedTask());
+
+      assert.deepEqual(result, { success: true, earning: winner, duplicate: true });
+    });
+
+    it('does not pay for a task that is not completed', async () => {
+      const result = await recordTaskEarning(completedTask({ status: 'in_progress' }));
+      assert.equal(result.code, 'NOT_COMPLETED');
+    });
+  });
+
+  describe('applyTaskPenalty', () => {
+    const taskId = new mongoose.Types.ObjectId();
+
+    function incident(fields = {}) {
+      return { _id: new mongoose.Types.ObjectId(), type: 'late_arrival', status: 'applied', penaltyPercent: 25, penaltyAmount: 0, save: mock.fn(async () => {}), ...fields };
+    }
+
+    it('deducts from an unpaid earning and moves the penalty to platform revenue', async () => {
+      const earning = { _id: new mongoose.Types.ObjectId(), bookingId: new mongoose.Types.ObjectId(), status: 'unpaid', amount: 200, penaltyAmount: 0 };
+      const sla = incident();
+      mock.method(Earning, 'findOne', async () => earning);
+      mock.method(SlaIncident, 'findOne', async () => sla);
+      mock.method(Earning, 'find', () => query([]));
+      const { created, updated } = mockEarningWrites();
+
+      const result = await applyTaskPenalty(taskId, assistantId);
+
+      assert.equal(result.delta, 50);
+      assert.equal(updated.mock.calls[0].arguments[1].netAmount, 150);
+      assert.equal(created.mock.callCount(), 0);
+      assert.equal(sla.penaltyAmount, 50);
+      const lines = ledger.mock.calls[0].arguments[0];
+      assert.deepEqual(lines.map(l => [l.type, l.account, l.debit, l.credit]), [
+        ['adjustment', 'assistant_payable', 50, 0],
+        ['adjustment', 'platform_revenue', 0, 50]
+      ]);
+    });
+
+    it('returns a waived penalty on a paid earning as an adjustment', async () => {
+      const earning = { _id: new mongoose.Types.ObjectId(), bookingId: new mongoose.Types.ObjectId(), status: 'paid', amount: 200, penaltyAmount: 50 };
+      mock.method(Earning, 'findOne', async () => earning);
+      mock.method(SlaIncident, 'findOne', async () => incident({ status: 'waived', penaltyAmount: 50 }));
+      mock.method(Earning, 'find', () => query([]));
+      const { created, updated } = mockEarningWrites();
+
+      const result = await applyTaskPenalty(taskId, assistantId);
+
+      assert.equal(result.delta, -50);
+      assert.equal(updated.mock.callCount(), 0);
+      const adjustment = created.mock.calls[0].arguments[0];
+      assert.equal(adjustment.kind, 'adjustment');
+      assert.equal(adjustment.netAmount, 50);
+      assert.equal(adjustment.memo, 'SLA penalty waived');
+      const lines = ledger.mock.calls[0].arguments[0];
+      assert.deepEqual(lines.map(l => [l.account, l.debit, l.credit]), [
+        ['platform_revenue', 50, 0],
+        ['assistant_payable', 0, 50]
+      ]);
+    });
+
+    it('changes nothing when the penalty is already in place', async () => {
+      const earning = { _id: new mongoose.Types.ObjectId(), status: 'batched', amount: 200, penaltyAmount: 0 };
+      mock.method(Earning, 'findOne', async () => earning);
+      mock.method(SlaIncident, 'findOne', async () => incident({ penaltyAmount: 50 }));
+      mock.method(Earning, 'find', () => query([{ penaltyAmount: 50 }]));
+
+      const result = await applyTaskPenalty(taskId, assistantId);
+
+      assert.equal(result.changed, false);
+      assert.equal(ledger.mock.callCount(), 0);
+    });
+  });
+
+  describe('payout batches', () => {
+    const otherAssistant = new mongoose.Types.ObjectId();
+
+    it('batches unpaid earnings and carries over assistants owed nothing', async () => {
+      const batch = { _id: new mongoose.Types.ObjectId(), save: mock.fn(async () => {}) };
+      mock.method(PayoutBatch, 'exists', async () => null);
+      mock.method(Earning, 'find', () => query([{ _id: 'e1' }, { _id: 'e2' }, { _id: 'e3' }]));
+      const create = mock.method(PayoutBatch, 'create', async doc => Object.assign(batch, doc));
+      const claims = mock.method(Earning, 'updateMany', async () => ({}));
+      mock.method(Earning, 'aggregate', async () => [
+        { _id: assistantId, amount: 350.004, earningsCount: 2 },
+        { _id: otherAssistant, amount: -20, earningsCount: 1 }
+      ]);
+      mock.method(Assistant, 'find', () => query([{ _id: assistantId, name: 'Ravi' }]));
+
+      const result = await createPayoutBatch({ weekOf: '2026-03-04T12:00:00Z', actor: { id: 'admin1', role: 'admin' } });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(create.mock.calls[0].arguments[0].periodStart, fromLocal(2026, 3, 2));
+      assert.deepEqual(batch.items, [{ assistantId, assistantName: 'Ravi', earningsCount: 2, amount: 350 }]);
+      assert.equal(batch.totalAmount, 350);
+      assert.equal(batch.save.mock.callCount(), 1);
+
+      const [claim, carry] = claims.mock.calls.map(c => c.arguments);
+      assert.deepEqual(claim[1], { status: 'batched', payoutBatchId: batch._id });
+      assert.deepEqual(carry[0].assistantId, { $in: [otherAssistant] });
+      assert.deepEqual(carry[1], { status: 'unpaid', payoutBatchId: null });
+    });
+
+    it('refuses a week that has not finished or was already batched', async () => {
+      const unfinished = await createPayoutBatch({ weekOf: new Date() });
+      assert.equal(unfinished.code, 'INVALID_PERIOD');
+
+      mock.method(PayoutBatch, 'exists', async () => ({ _id: 'b1' }));
+      const again = await createPayoutBatch({ weekOf: '2026-03-04T12:00:00Z' });
+      assert.equal(again.code, 'CONFLICT');
+    });
+
+    it('approves only a draft batch', async () => {
+      const approve = mock.method(PayoutBatch, 'findOneAndUpdate', async () => null);
+      mock.method(PayoutBatch, 'findById', () => query({ status: 'paid' }));
+
+      const result = await approvePayoutBatch('b1', { id: 'admin1', role: 'admin' });
+
+      assert.equal(approve.mock.calls[0].arguments[0].status, 'draft');
+      assert.equal(result.code, 'INVALID_STATE');
+      assert.equal(result.message, 'Batch is paid, expected draft');
+    });
+
+    it('posts a paid batch to the ledger and marks its earnings paid', async () => {
+      const batch = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'paid',
+        periodStart: fromLocal(2026, 3, 2),
+        items: [{ assistantId, amount: 350 }, { assistantId: otherAssistant, amount: 120.5 }],
+        totalAmount: 470.5,
+        save: mock.fn(async () => {})
+      };
+      const pay = mock.method(PayoutBatch, 'findOneAndUpdate', async () => batch);
+      const settle = mock.method(Earning, 'updateMany', async () => ({}));
+      const totals = Assistant.findByIdAndUpdate;
+
+      const result = await markPayoutBatchPaid(batch._id, { reference: 'NEFT-42' }, { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.equal(pay.mock.calls[0].arguments[0].status, 'approved');
+      const lines = ledger.mock.calls[0].arguments[0];
+      assert.deepEqual(lines.map(l => [l.type, l.account, l.debit, l.credit]), [
+        ['payout', 'assistant_payable', 350, 0],
+        ['payout', 'assistant_payable', 120.5, 0],
+        ['payout', 'bank', 0, 470.5]
+      ]);
+      assert.equal(lines[0].memo, 'Payout 2026-03-02 (NEFT-42)');
+      assert.equal(batch.ledgerTxnId, lines[0].txnId);
+      // Payouts settle what was earned - lifetime earnings stay as they were
+      assert.equal(totals.mock.callCount(), 0);
+      assert.deepEqual(settle.mock.calls[0].arguments, [{ payoutBatchId: batch._id, status: 'batched' }, { status: 'paid' }]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const DemandProfile = require('../models/DemandProfile');
+const ServiceTask = require('../models/ServiceTask');
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const Shift = require('../models/Shift');
+const Station = require('../models/Station');
+const {
+  recommendedAssistants,
+  buildDemandProfiles,
+  getStationForecast
+} = require('../services/forecastService');
+const { clearStationCache } = require('../services/stationService');
+const { fromLocal } = require('../services/localTime');
+const { query } = require('./helpers');
+
+const CHENNAI = { code: 'MAS', name: 'Chennai Central', nameKeys: ['MAS', 'CHENNAI CENTRAL'] };
+// Monday 9 March 2026, station local time
+const at = (hour, minute = 0) => fromLocal(2026, 3, 9, hour, minute);
+
+// Demand, booked work and staff for MAS between 08:00 and 11:00 on Monday
+function mockStation({ rostered, shifts = [], assistants = [] }) {
+  mock.method(DemandProfile, 'find', () => query([
+    { dayOfWeek: 1, hour: 8, avgTasks: 2, peakTasks: 3, builtAt: new Date('2026-03-08T00:00:00Z') },
+    { dayOfWeek: 1, hour: 9, avgTasks: 0.5, peakTasks: 1 }
+  ]));
+  mock.method(ServiceTask, 'find', () => query([
+    { scheduledTime: at(9, 10), bookingId: { status: 'Assigned' } },
+    { scheduledTime: at(9, 40), bookingId: { status: 'Accepted' } },
+    { scheduledTime: at(9, 50), bookingId: { status: 'Cancelled' } }
+  ]));
+  const taskless = new mongoose.Types.ObjectId();
+  const withTasks = new mongoose.Types.ObjectId();
+  mock.method(Booking, 'find', () => query([
+    { _id: taskless, arrivalTime: at(10, 15) },
+    { _id: withTasks, arrivalTime: at(10, 30) }
+  ]));
+  mock.method(ServiceTask, 'distinct', async () => [withTasks]);
+  mock.method(Shift, 'countDocuments', async () => (rostered ? 2 : 0));
+  mock.method(Shift, 'find', () => query(shifts));
+  mock.method(Assistant, 'find', () => query(assistants));
+}
+
+describe('forecastService', () => {
+  beforeEach(() => {
+    clearStationCache();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(Station, 'findOne', filter => query(
+      filter.code === 'MAS' || CHENNAI.nameKeys.includes(filter.nameKeys) ? CHENNAI : null
+    ));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('recommends assistants for the expected tasks plus the capacity buffer', () => {
+    // One task per assistant-hour, 20% buffer
+    assert.equal(recommendedAssistants(0), 0);
+    assert.equal(recommendedAssistants(1), 2);
+    assert.equal(recommendedAssistants(2.5), 3);
+    assert.equal(recommendedAssistants(5), 6);
+  });
+
+  describe('buildDemandProfiles', () => {
+    it('averages each station weekday hour over the weeks observed', async () => {
+      const now = new Date('2026-03-12T00:00:00Z');
+      const aggregate = mock.method(ServiceTask, 'aggregate', async () => [
+        { _id: { station: 'Chennai Central', day: '2026-03-09', hour: 8 }, count: 2, first: new Date('2026-03-09T02:40:00Z') },
+        { _id: { station: 'CHENNAI CENTRAL', day: '2026-03-09', hour: 8 }, count: 1, first: new Date('2026-03-09T02:50:00Z') },
+        { _id: { station: 'MAS', day: '2026-03-02', hour: 8 }, count: 1, first: new Date('2026-03-02T02:35:00Z') },
+        { _id: { station: 'Nowhere Halt', day: '2026-03-02', hour: 8 }, count: 4, first: new Date('2026-03-02T02:35:00Z') }
+      ]);
+      const bulk = mock.method(DemandProfile, 'bulkWrite', async () => ({}));
+      const prune = mock.method(DemandProfile, 'deleteMany', async () => ({}));
+
+      const result = await buildDemandProfiles(now);
+
+      const group = aggregate.mock.calls[0].arguments[0][1].$group._id;
+      assert.equal(group.hour.$hour.timezone, 'Asia/Kolkata');
+      assert.deepEqual(result, { stations: 1, profiles: 1, skippedStations: ['Nowhere Halt'] });
+      const [op] = bulk.mock.calls[0].arguments[0];
+      assert.deepEqual(op.updateOne.filter, { stationCode: 'MAS', dayOfWeek: 1, hour: 8 });
+      // 3 tasks one Monday and 1 the Monday before, over 2 weeks of history
+      assert.equal(op.updateOne.update.$set.avgTasks, 2);
+      assert.equal(op.updateOne.update.$set.peakTasks, 3);
+      assert.equal(op.updateOne.update.$set.weeksObserved, 2);
+      assert.deepEqual(prune.mock.calls[0].arguments[0], { builtAt: { $lt: op.updateOne.update.$set.builtAt } });
+    });
+  });
+
+  describe('getStationForecast', () => {
+    it('compares expected demand with the rostered shifts hour by hour', async () => {
+      const a = new mongoose.Types.ObjectId();
+      const b = new mongoose.Types.ObjectId();
+      mockStation({
+        rostered: true,
+        shifts: [
+          { assistantId: a, start: at(8), end: at(10) },
+          // Only 20 minutes of the 09:00 hour - not counted there
+          { assistantId: b, start: at(8), end: at(9, 20) }
+        ]
+      });
+
+      const forecast = await getStationForecast('MAS', { from: at(8, 20), hours: 3 });
+
+      assert.equal(forecast.success, true);
+      assert.deepEqual(forecast.hours.map(h => [h.hour, h.booked, h.expected, h.recommended, h.staffed, h.staffingSource]), [
+        [8, 0, 2, 3, 2, 'roster'],
+        [9, 2, 2, 3, 1, 'roster'],
+        [10, 1, 1, 2, 0, 'roster']
+      ]);
+      assert.deepEqual(forecast.hours[0].start, at(8));
+      assert.deepEqual(forecast.understaffedWindows, [
+        { start: at(8), end: at(11), hours: 3, maxShortfall: 2, peakExpected: 2 }
+      ]);
+      assert.deepEqual(forecast.summary, { expectedTasks: 5, bookedTasks: 3, understaffedHours: 3, overCapacityHours: 0 });
+    });
+
+    it('counts available assistants not on leave where the station has no roster', async () => {
+      mockStation({
+        rostered: false,
+        assistants: [
+          { _id: 'a1', weeklyAvailability: [{ dayOfWeek: 1, start: '07:00', end: '12:00' }], leave: [] },
+          { _id: 'a2', weeklyAvailability: [{ dayOfWeek: 1, start: '08:00', end: '09:30' }], leave: [] },
+          { _id: 'a3', weeklyAvailability: [{ dayOfWeek: 1, start: '00:00', end: '23:59' }], leave: [{ from: at(10), to: at(18) }] }
+        ]
+      });
+
+      const forecast = await getStationForecast('Chennai Central', { from: at(8), hours: 3 });
+
+      assert.deepEqual(forecast.hours.map(h => [h.staffed, h.staffingSource]), [
+        [3, 'availability'],
+        [3, 'availability'],
+        [1, 'availability']
+      ]);
+      assert.deepEqual(forecast.understaffedWindows.map(w => [w.start, w.hours, w.maxShortfall]), [[at(10), 1, 1]]);
+    });
+
+    it('rejects an unknown station and an out of range horizon', async () => {
+      assert.equal((await getStationForecast('XYZ')).code, 'NOT_FOUND');
+      assert.equal((await getStationForecast('MAS', { hours: 0 })).code, 'INVALID');
+      assert.equal((await getStationForecast('MAS', { hours: 7 * 24 + 1 })).code, 'INVALID');
+    });
+  });
+});
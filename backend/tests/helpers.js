@@ -0,0 +1,28 @@
+/**
+ * Test helpers
+ *
+ * Model statics are replaced with node:test mocks, so the tests run without
+ * a MongoDB server.
+ */
+
+/**
+ * Stand-in for a Mongoose Query: chainable, and awaiting it resolves `value`
+ * @param {*} value
+ * @returns {Object}
+ */
+function query(value) {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    populate: () => q,
+    session: () => q,
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return q;
+}
+
+module.exports = { query };
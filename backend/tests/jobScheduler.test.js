@@ -0,0 +1,180 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScheduledJob = require('../models/ScheduledJob');
+const schedulingConfig = require('../config/scheduling.config');
+const jobScheduler = require('../services/jobScheduler');
+const { query } = require('./helpers');
+
+const { maxAttempts } = schedulingConfig.jobs;
+
+// In-memory ScheduledJob collection covering the queries the scheduler makes
+function fakeCollection() {
+  const docs = [];
+  let nextId = 1;
+
+  const matches = (doc, filter) => Object.entries(filter).every(([field, cond]) => {
+    if (field === '$or') return cond.some(f => matches(doc, f));
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('$lte' in cond) return doc[field] !== null && doc[field] <= cond.$lte;
+      if ('$lt' in cond) return doc[field] !== null && doc[field] < cond.$lt;
+    }
+    return String(doc[field]) === String(cond);
+  });
+
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set || {});
+    for (const [field, by] of Object.entries(update.$inc || {})) doc[field] = (doc[field] || 0) + by;
+  };
+
+  return {
+    docs,
+    findOneAndUpdate(filter, update, options = {}) {
+      let found = docs.filter(d => matches(d, filter));
+      if (options.sort) found = found.sort((a, b) => a.runAt - b.runAt);
+      let doc = found[0];
+      const updatedExisting = Boolean(doc);
+      if (doc) {
+        apply(doc, update);
+      } else if (options.upsert) {
+        doc = { _id: nextId++, attempts: 0, lockedUntil: null, ...update.$setOnInsert };
+        docs.push(doc);
+      }
+      const value = doc ? { ...doc } : null;
+      return query(options.rawResult ? { value, lastErrorObject: { updatedExisting } } : value);
+    },
+    updateMany(filter, update) {
+      const found = docs.filter(d => matches(d, filter));
+      found.forEach(d => apply(d, update));
+      return query({ modifiedCount: found.length });
+    },
+    updateOne(filter, update) {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) apply(doc, update);
+      return query({ modifiedCount: doc ? 1 : 0 });
+    }
+  };
+}
+
+describe('jobScheduler', () => {
+  let store;
+
+  beforeEach(() => {
+    store = fakeCollection();
+    mock.method(ScheduledJob, 'findOneAndUpdate', store.findOneAndUpdate);
+    mock.method(ScheduledJob, 'updateMany', store.updateMany);
+    mock.method(ScheduledJob, 'updateOne', store.updateOne);
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    jobScheduler.handlers.clear();
+  });
+
+  describe('schedule', () => {
+    it('creates a job once per key', async () => {
+      const runAt = new Date(Date.now() + 60000);
+      const first = await jobScheduler.schedule('reminder', runAt, { taskId: 't1' }, { key: 'reminder:t1' });
+      const again = await jobScheduler.schedule('reminder', new Date(), { taskId: 't1' }, { key: 'reminder:t1' });
+
+      assert.equal(first.created, true);
+      assert.equal(again.created, false);
+      assert.equal(store.docs.length, 1);
+      assert.equal(store.docs[0].runAt, runAt);
+    });
+
+    it('does not reopen a job that has run', async () => {
+      await jobScheduler.schedule('reminder', new Date(), {}, { key: 'reminder:t1' });
+      store.docs[0].status = 'completed';
+
+      const again = await jobScheduler.schedule('reminder', new Date(), {}, { key: 'reminder:t1' });
+      assert.equal(again.created, false);
+      assert.equal(store.docs[0].status, 'completed');
+    });
+
+    it('revives a cancelled job with the new time and payload', async () => {
+      await jobScheduler.schedule('reminder', new Date(0), { v: 1 }, { key: 'reminder:t1' });
+      await jobScheduler.cancel({ key: 'reminder:t1' }, 'reassigned');
+      const runAt = new Date(Date.now() + 60000);
+
+      const revived = await jobScheduler.schedule('reminder', runAt, { v: 2 }, { key: 'reminder:t1' });
+
+      assert.equal(revived.created, true);
+      assert.equal(store.docs.length, 1);
+      assert.equal(store.docs[0].status, 'scheduled');
+      assert.equal(store.docs[0].runAt, runAt);
+      assert.deepEqual(store.docs[0].payload, { v: 2 });
+      assert.equal(store.docs[0].cancelReason, '');
+      assert.equal(store.docs[0].finishedAt, null);
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels only scheduled jobs', async () => {
+      await jobScheduler.schedule('reminder', new Date(), {}, { key: 'a' });
+      await jobScheduler.schedule('reminder', new Date(), {}, { key: 'b' });
+      store.docs[1].status = 'running';
+
+      const cancelled = await jobScheduler.cancel({ type: 'reminder' }, 'task cancelled');
+
+      assert.equal(cancelled, 1);
+      assert.deepEqual(store.docs.map(d => d.status), ['cancelled', 'running']);
+      assert.equal(store.docs[0].cancelReason, 'task cancelled');
+    });
+  });
+
+  describe('runDueJobs', () => {
+    it('runs due jobs once and leaves future ones', async () => {
+      const handler = mock.fn(async payload => ({ sent: payload.taskId }));
+      jobScheduler.register('reminder', handler);
+      await jobScheduler.schedule('reminder', new Date(Date.now() - 1000), { taskId: 'due' }, { key: 'due' });
+      await jobScheduler.schedule('reminder', new Date(Date.now() + 3600000), { taskId: 'later' }, { key: 'later' });
+
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 1, retried: 0, failed: 0 });
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 0, retried: 0, failed: 0 });
+
+      assert.equal(handler.mock.callCount(), 1);
+      assert.equal(store.docs[0].status, 'completed');
+      assert.deepEqual(store.docs[0].result, { sent: 'due' });
+      assert.equal(store.docs[1].status, 'scheduled');
+    });
+
+    it('does not claim a job another instance holds the lock on', async () => {
+      jobScheduler.register('reminder', async () => {});
+      await jobScheduler.schedule('reminder', new Date(Date.now() - 1000), {}, { key: 'held' });
+      Object.assign(store.docs[0], { status: 'running', lockedUntil: new Date(Date.now() + 60000) });
+
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 0, retried: 0, failed: 0 });
+
+      // Lock ran out - the instance running it died
+      store.docs[0].lockedUntil = new Date(Date.now() - 1000);
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 1, retried: 0, failed: 0 });
+    });
+
+    it('retries a failing handler up to maxAttempts', async () => {
+      jobScheduler.register('reminder', async () => { throw new Error('gateway down'); });
+      await jobScheduler.schedule('reminder', new Date(Date.now() - 1000), {}, { key: 'flaky' });
+
+      for (let attempt = 1; attempt < maxAttempts; attempt++) {
+        assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 0, retried: 1, failed: 0 });
+        assert.equal(store.docs[0].status, 'scheduled');
+        assert.ok(store.docs[0].runAt > new Date());
+        assert.equal(store.docs[0].lastError, 'gateway down');
+        store.docs[0].runAt = new Date(Date.now() - 1000);
+      }
+
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 0, retried: 0, failed: 1 });
+      assert.equal(store.docs[0].status, 'failed');
+      assert.equal(store.docs[0].attempts, maxAttempts);
+    });
+
+    it('fails a job without a handler straight away', async () => {
+      await jobScheduler.schedule('unknown', new Date(Date.now() - 1000), {}, { key: 'orphan' });
+
+      assert.deepEqual(await jobScheduler.runDueJobs(), { completed: 0, retried: 0, failed: 1 });
+      assert.match(store.docs[0].lastError, /No handler registered/);
+    });
+  });
+});
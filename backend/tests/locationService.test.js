@@ -0,0 +1,232 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const AssistantLocation = require('../models/AssistantLocation');
+const ServiceTask = require('../models/ServiceTask');
+const SlaIncident = require('../models/SlaIncident');
+const Station = require('../models/Station');
+const eventBus = require('../services/eventBus');
+const {
+  distanceMeters,
+  validateFix,
+  recordLocation,
+  publishArrival,
+  getBookingEta,
+  purgeInactiveLocations,
+  handleBookingStatusChange
+} = require('../services/locationService');
+const { clearStationCache } = require('../services/stationService');
+const { query } = require('./helpers');
+
+// [longitude, latitude]
+const STATION_POINT = [80.2752, 13.0825];
+const CHENNAI = { code: 'MAS', name: 'Chennai Central', nameKeys: ['MAS', 'CHENNAI CENTRAL'], location: { type: 'Point', coordinates: STATION_POINT } };
+
+// A point `meters` north of the station
+function north(meters) {
+  return { longitude: STATION_POINT[0], latitude: STATION_POINT[1] + meters / 111195 };
+}
+
+function activeTask(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    bookingId: new mongoose.Types.ObjectId(),
+    station: 'Chennai Central',
+    status: 'assigned',
+    assistantArrivalTime: new Date(Date.now() + 10 * 60 * 1000),
+    checkedInAt: null,
+    ...fields
+  };
+}
+
+describe('locationService', () => {
+  let assistantId;
+  let task;
+  let created;
+  let published;
+
+  beforeEach(() => {
+    // A fresh assistant per test - fixes are throttled per assistant in memory
+    assistantId = new mongoose.Types.ObjectId();
+    task = activeTask({ assignedAssistant: assistantId });
+    clearStationCache();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(Station, 'findOne', filter => query(
+      filter.code === 'MAS' || CHENNAI.nameKeys.includes(filter.nameKeys) ? CHENNAI : null
+    ));
+    mock.method(ServiceTask, 'findOne', () => query(task));
+    mock.method(AssistantLocation, 'findOne', () => query(null));
+    created = mock.method(AssistantLocation, 'create', async doc => doc);
+    published = mock.method(eventBus, 'publishTaskEvent', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('fixes', () => {
+    it('measures great-circle distance', () => {
+      assert.equal(Math.round(distanceMeters([80, 13], [80, 14])), 111195);
+      assert.equal(distanceMeters(STATION_POINT, STATION_POINT), 0);
+    });
+
+    it('validates a fix and distrusts the device clock', () => {
+      const { errors } = validateFix({ latitude: 91, longitude: 'east', accuracy: -1, speed: -2, heading: 360, timestamp: 'later' });
+      assert.deepEqual(errors, [
+        'latitude must be a number from -90 to 90',
+        'longitude must be a number from -180 to 180',
+        'accuracy must be a non-negative number of metres',
+        'speed must be a non-negative number of m/s',
+        'heading must be from 0 to 360',
+        'timestamp must be a date'
+      ]);
+
+      const before = Date.now();
+      const recent = new Date(before - 30 * 1000);
+      assert.deepEqual(validateFix({ latitude: 13, longitude: 80, timestamp: recent.toISOString() }).fix.recordedAt, recent);
+      const future = validateFix({ latitude: 13, longitude: 80, timestamp: new Date(before + 60 * 60 * 1000) }).fix;
+      const stale = validateFix({ latitude: 13, longitude: 80, timestamp: new Date(before - 10 * 60 * 1000) }).fix;
+      assert.ok(future.recordedAt.getTime() >= before && future.recordedAt.getTime() <= Date.now());
+      assert.ok(stale.recordedAt.getTime() >= before);
+      assert.deepEqual(future.coordinates, [80, 13]);
+    });
+  });
+
+  describe('recordLocation', () => {
+    it('stores the fix with an ETA at the default speed and tells the passenger', async () => {
+      const result = await recordLocation(assistantId, north(5000));
+
+      // 5 km at 20 km/h
+      assert.deepEqual(result, {
+        success: true,
+        throttled: false,
+        taskId: task._id,
+        distanceMeters: 5000,
+        etaMinutes: 15,
+        insideGeofence: false,
+        checkedIn: false
+      });
+      const stored = created.mock.calls[0].arguments[0];
+      assert.equal(stored.bookingId, task.bookingId);
+      assert.deepEqual(stored.location.coordinates, [north(5000).longitude, north(5000).latitude]);
+      assert.equal(stored.etaMinutes, 15);
+      assert.equal(published.mock.calls[0].arguments[0], 'assistantEta');
+      assert.equal(published.mock.calls[0].arguments[1].etaMinutes, 15);
+    });
+
+    it('estimates speed from the previous fix when the device gives none', async () => {
+      const now = Date.now();
+      mock.method(AssistantLocation, 'findOne', () => query({
+        recordedAt: new Date(now - 60 * 1000),
+        location: { coordinates: [north(6800).longitude, north(6800).latitude] }
+      }));
+
+      // 1.8 km in a minute (30 m/s) - capped at 60 km/h
+      const capped = await recordLocation(assistantId, { ...north(5000), timestamp: new Date(now) });
+      assert.equal(capped.etaMinutes, 5);
+
+      const device = await recordLocation(new mongoose.Types.ObjectId(), { ...north(5000), speed: 10 });
+      assert.equal(device.etaMinutes, 9);
+    });
+
+    it('checks the assistant in inside the station geofence', async () => {
+      const checkIn = mock.method(ServiceTask, 'findOneAndUpdate', async (filter, update) => ({ ...task, ...update }));
+      mock.method(SlaIncident, 'findOne', async () => null);
+
+      const result = await recordLocation(assistantId, { ...north(200), accuracy: 20 });
+
+      assert.equal(result.insideGeofence, true);
+      assert.equal(result.etaMinutes, 0);
+      assert.equal(result.checkedIn, true);
+      assert.deepEqual(checkIn.mock.calls[0].arguments[0].checkedInAt, null);
+      // The arrival replaces the ETA for the passenger
+      assert.deepEqual(published.mock.calls.map(c => c.arguments[0]), ['assistantArrived']);
+      assert.equal(published.mock.calls[0].arguments[1].source, 'geofence');
+    });
+
+    it('does not check in twice', async () => {
+      task.checkedInAt = new Date();
+      const checkIn = mock.method(ServiceTask, 'findOneAndUpdate', async () => null);
+
+      const result = await recordLocation(assistantId, north(100));
+
+      assert.equal(result.checkedIn, false);
+      assert.equal(checkIn.mock.callCount(), 0);
+      assert.equal(published.mock.calls[0].arguments[0], 'assistantEta');
+    });
+
+    it('throttles fixes from the same assistant', async () => {
+      const now = Date.now();
+      await recordLocation(assistantId, { ...north(5000), timestamp: new Date(now - 5000) });
+
+      const result = await recordLocation(assistantId, { ...north(4900), timestamp: new Date(now) });
+
+      assert.deepEqual(result, { success: true, throttled: true });
+      assert.equal(created.mock.callCount(), 1);
+    });
+
+    it('ignores inaccurate fixes and assistants without an active task', async () => {
+      const inaccurate = await recordLocation(assistantId, { ...north(100), accuracy: 500 });
+      assert.equal(inaccurate.code, 'INACCURATE');
+
+      task = null;
+      const idle = await recordLocation(assistantId, north(100));
+      assert.equal(idle.code, 'NO_ACTIVE_TASK');
+      assert.equal((await recordLocation(assistantId, {})).code, 'INVALID');
+      assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('reports a late check-in as an SLA violation', () => {
+      const checkedIn = { ...task, checkedInAt: new Date() };
+      publishArrival({ task: checkedIn, incident: { _id: 'i1' }, classification: { minutesLate: 12 } }, 'manual');
+
+      assert.deepEqual(published.mock.calls.map(c => c.arguments[0]), ['assistantArrived', 'slaViolation']);
+      assert.deepEqual(published.mock.calls[1].arguments[1], { task: checkedIn, type: 'late_arrival', minutesLate: 12 });
+    });
+  });
+
+  describe('getBookingEta', () => {
+    it('returns the latest ETA of the active task', async () => {
+      const recordedAt = new Date();
+      mock.method(AssistantLocation, 'findOne', () => query({ distanceMeters: 900, etaMinutes: 3, insideGeofence: false, recordedAt }));
+
+      assert.deepEqual(await getBookingEta(task.bookingId), {
+        taskId: task._id,
+        station: 'Chennai Central',
+        distanceMeters: 900,
+        etaMinutes: 3,
+        insideGeofence: false,
+        checkedInAt: null,
+        recordedAt
+      });
+
+      task = null;
+      assert.equal(await getBookingEta('b1'), null);
+    });
+  });
+
+  describe('purging', () => {
+    it('deletes the points of closed tasks only', async () => {
+      const open = new mongoose.Types.ObjectId();
+      const closed = new mongoose.Types.ObjectId();
+      mock.method(AssistantLocation, 'distinct', async () => [open, closed]);
+      mock.method(ServiceTask, 'find', () => query([{ _id: open }]));
+      const deletes = mock.method(AssistantLocation, 'deleteMany', async () => ({ deletedCount: 4 }));
+
+      assert.equal(await purgeInactiveLocations(), 4);
+      assert.deepEqual(deletes.mock.calls[0].arguments[0], { taskId: { $in: [closed] } });
+    });
+
+    it('drops a booking history when the booking finishes', async () => {
+      const deletes = mock.method(AssistantLocation, 'deleteMany', async () => ({ deletedCount: 2 }));
+
+      await handleBookingStatusChange({ bookingId: 'b1', status: 'InProgress' });
+      await handleBookingStatusChange({ bookingId: 'b1', status: 'Completed' });
+
+      assert.equal(deletes.mock.callCount(), 1);
+      assert.deepEqual(deletes.mock.calls[0].arguments[0], { bookingId: 'b1' });
+    });
+  });
+});
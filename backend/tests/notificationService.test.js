@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { ConsoleSink } = require('../services/notifications');
+const {
+  notify,
+  deliver,
+  processDueNotifications,
+  requeueNotification
+} = require('../services/notificationService');
+const { query } = require('./helpers');
+
+const SECOND_MS = 1000;
+const userId = new mongoose.Types.ObjectId();
+
+function queued(fields = {}) {
+  return new Notification({
+    event: 'booking_created',
+    channel: 'sms',
+    recipient: { role: 'passenger', userId, address: '******3210' },
+    content: { to: '9876543210', subject: 'Booking ABC123 received', text: 'Hi Meena' },
+    status: 'queued',
+    ...fields
+  });
+}
+
+function providerDown(retryable = true) {
+  return async () => {
+    throw Object.assign(new Error('Gateway timeout'), retryable ? {} : { retryable: false });
+  };
+}
+
+describe('notificationService', () => {
+  let sends;
+  let saves;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    // The development adapters are console sinks
+    sends = mock.method(ConsoleSink.prototype, 'send', async () => ({ providerMessageId: 'msg-1' }));
+    saves = mock.method(Notification.prototype, 'save', async function() { return this; });
+    mock.method(Notification, 'create', async doc => new Notification(doc));
+    mock.method(Notification, 'find', () => query([]));
+    mock.method(AuditLog, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('notify', () => {
+    it('sends on the channels the recipient kept, in their language', async () => {
+      mock.method(User, 'findById', () => query({
+        _id: userId,
+        phone: '9876543210',
+        email: 'meena@example.com',
+        notificationPreferences: { locale: 'hi', channels: { email: false } },
+        pushSubscriptions: []
+      }));
+
+      const result = await notify('booking_created', { role: 'passenger', userId }, { bookingRef: 'ABC123', passengerName: 'Meena', station: 'Chennai Central' });
+
+      assert.equal(result.success, true);
+      const [sms, push] = result.notifications;
+      assert.deepEqual([sms.channel, sms.status, sms.locale], ['sms', 'sent', 'hi']);
+      assert.equal(sms.recipient.address, '******3210');
+      assert.equal(sms.attempts[0].providerMessageId, 'msg-1');
+      assert.ok(!(sms.content && sms.content.text));
+      assert.deepEqual([push.channel, push.status, push.lastError], ['push', 'skipped', 'No push address']);
+      assert.equal(sends.mock.callCount(), 1);
+      assert.match(sends.mock.calls[0].arguments[0].text, /ABC123/);
+    });
+
+    it('sends critical events even when the recipient muted them', async () => {
+      mock.method(User, 'findById', () => query({
+        _id: userId,
+        phone: '9876543210',
+        notificationPreferences: { mutedEvents: ['booking_created', 'booking_otp'], channels: { sms: false } }
+      }));
+
+      const muted = await notify('booking_created', { role: 'passenger', userId });
+      const otp = await notify('booking_otp', { role: 'passenger', userId }, { bookingRef: 'ABC123', otp: '4821' });
+
+      assert.deepEqual(muted.notifications, []);
+      assert.deepEqual(otp.notifications.map(n => [n.channel, n.status]), [['sms', 'sent'], ['push', 'skipped']]);
+      assert.match(otp.notifications[0].preview, /OTP •••• /);
+    });
+
+    it('does not resend a channel already sent under the dedupe key', async () => {
+      const find = mock.method(Notification, 'find', () => query([{ channel: 'sms' }]));
+      Notification.create.mock.mockImplementation(async doc => {
+        if (doc.channel === 'email') throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        return new Notification(doc);
+      });
+
+      const result = await notify('booking_created', { role: 'passenger', phone: '9876543210', email: 'meena@example.com' }, {}, { dedupeKey: 'created:b1' });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { dedupeKey: { $in: ['created:b1:sms', 'created:b1:email', 'created:b1:push'] } });
+      assert.deepEqual(result.notifications.map(n => [n.channel, n.dedupeKey, n.recipient.role]), [['push', 'created:b1:push', 'guest']]);
+      assert.equal(sends.mock.callCount(), 0);
+    });
+
+    it('rejects an unknown event', async () => {
+      assert.deepEqual(await notify('party_invite', {}), { success: false, code: 'INVALID', message: 'Unknown notification event "party_invite"' });
+    });
+  });
+
+  describe('retries and dead letters', () => {
+    it('retries a failed send with backoff', async () => {
+      sends.mock.mockImplementation(providerDown());
+      const notification = queued();
+      const before = Date.now();
+
+      await deliver(notification);
+
+      assert.equal(notification.status, 'queued');
+      assert.equal(notification.lastError, 'Gateway timeout');
+      assert.deepEqual([notification.attempts[0].ok, notification.attempts[0].retryable], [false, true]);
+      const wait = notification.nextAttemptAt - notification.attempts[0].at;
+      assert.equal(wait, 30 * SECOND_MS);
+      assert.ok(notification.nextAttemptAt.getTime() >= before + 30 * SECOND_MS);
+
+      // Attempt 3 waits the third step
+      await deliver(notification);
+      await deliver(notification);
+      assert.equal(notification.nextAttemptAt - notification.attempts[2].at, 600 * SECOND_MS);
+    });
+
+    it('dead-letters after the last attempt and keeps the content for a requeue', async () => {
+      sends.mock.mockImplementation(providerDown());
+      const notification = queued();
+
+      for (let i = 0; i < 5; i++) await deliver(notification);
+
+      assert.equal(notification.status, 'dead_letter');
+      assert.equal(notification.attempts.length, 5);
+      assert.equal(notification.nextAttemptAt, null);
+      assert.ok(notification.deadLetteredAt);
+      assert.equal(notification.content.text, 'Hi Meena');
+      assert.equal(saves.mock.callCount(), 5);
+    });
+
+    it('dead-letters a permanent failure at once and drops a one-time code', async () => {
+      sends.mock.mockImplementation(providerDown(false));
+      const notification = queued({ event: 'booking_otp', content: { to: '9876543210', text: 'Share OTP 4821' } });
+
+      await deliver(notification);
+
+      assert.equal(notification.status, 'dead_letter');
+      assert.equal(notification.attempts.length, 1);
+      assert.ok(!(notification.content && notification.content.text));
+    });
+
+    it('claims and sends every due message in the retry sweep', async () => {
+      const now = new Date();
+      const failed = { at: now, adapter: 'console', ok: false, error: 'Gateway timeout' };
+      const due = [queued(), queued({ attempts: [failed, failed, failed, failed] })];
+      const claims = mock.method(Notification, 'findOneAndUpdate', async () => due.shift() || null);
+      // The first goes through, the second fails its fifth and last attempt
+      sends.mock.mockImplementationOnce(providerDown(), 1);
+
+      const stats = await processDueNotifications(now);
+
+      assert.deepEqual(stats, { processed: 2, sent: 1, deadLettered: 1 });
+      assert.equal(claims.mock.callCount(), 3);
+      assert.deepEqual(claims.mock.calls[0].arguments[0], { status: 'queued', nextAttemptAt: { $lte: now } });
+    });
+  });
+
+  describe('requeueNotification', () => {
+    const admin = { id: 'admin1', role: 'admin' };
+
+    it('sends a dead letter again with a fresh round of attempts', async () => {
+      const notification = queued({
+        status: 'dead_letter',
+        deadLetteredAt: new Date(),
+        attempts: [{ at: new Date(), adapter: 'console', ok: false, error: 'Gateway timeout' }]
+      });
+      mock.method(Notification, 'findById', async () => notification);
+
+      const result = await requeueNotification(notification._id, admin);
+
+      assert.equal(result.success, true);
+      assert.equal(result.notification.status, 'sent');
+      assert.equal(result.notification.attempts.length, 1);
+      assert.equal(result.notification.content, undefined);
+      assert.deepEqual(AuditLog.create.mock.calls[0].arguments[0].meta, { event: 'booking_created', channel: 'sms', attempts: 1 });
+    });
+
+    it('only requeues dead letters that still have their content', async () => {
+      const findById = mock.method(Notification, 'findById', async () => null);
+      assert.equal((await requeueNotification('n1', admin)).code, 'NOT_FOUND');
+
+      findById.mock.mockImplementation(async () => queued({ status: 'sent' }));
+      assert.equal((await requeueNotification('n1', admin)).message, 'Only dead-lettered notifications can be retried (status: sent)');
+
+      findById.mock.mockImplementation(async () => queued({ status: 'dead_letter', event: 'booking_otp', content: undefined }));
+      assert.match((await requeueNotification('n1', admin)).message, /^Message content was discarded/);
+      assert.equal(sends.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const AssignmentOffer = require('../models/AssignmentOffer');
+const Assistant = require('../models/Assistant');
+const Booking = require('../models/Booking');
+const ServiceTask = require('../models/ServiceTask');
+const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+const eventBus = require('../services/eventBus');
+const {
+  pickCandidates,
+  createOfferRound,
+  cascadeOffers,
+  acceptOffer,
+  declineOffer,
+  expireOffers
+} = require('../services/offerService');
+const { clearStationCache } = require('../services/stationService');
+const { query } = require('./helpers');
+
+const SECOND_MS = 1000;
+
+function id() {
+  return new mongoose.Types.ObjectId();
+}
+
+function same(a, b) {
+  return String(a) === String(b);
+}
+
+// Enough of the MongoDB filter language for the offer queries
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    const value = doc[key];
+    const isOperator = cond && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof mongoose.Types.ObjectId);
+    if (!isOperator) return same(value, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+      if (op === '$in') return arg.some(a => same(value, a));
+      if (op === '$ne') return !same(value, arg);
+      if (op === '$lte') return value != null && value <= arg;
+      if (op === '$gt') return value != null && value > arg;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  });
+}
+
+function byRoundAndRank(a, b) {
+  return a.round - b.round || a.rank - b.rank;
+}
+
+/**
+ * In-memory AssignmentOffer collection behind the model statics
+ * @returns {Object[]} The stored offers
+ */
+function mockOfferStore() {
+  const offers = [];
+  const withToObject = doc => ({ ...doc, toObject: () => ({ ...doc }) });
+  const apply = (doc, update) => Object.assign(doc, update.$set || update);
+
+  // Query stand-in whose sort() picks the order
+  const sorted = (resolve) => {
+    let order = { round: 1, rank: 1 };
+    const q = query(null);
+    q.sort = (o) => { order = o; return q; };
+    q.then = (res, rej) => Promise.resolve().then(() => resolve(order)).then(res, rej);
+    return q;
+  };
+  const ordered = (filter, order) => offers
+    .filter(o => matches(o, filter))
+    .sort((a, b) => (order.round === -1 ? -byRoundAndRank(a, b) : byRoundAndRank(a, b)))
+    .map(o => ({ ...o }));
+
+  mock.method(AssignmentOffer, 'find', filter => sorted(order => ordered(filter, order)));
+  mock.method(AssignmentOffer, 'findOne', filter => sorted(order => ordered(filter, order)[0] || null));
+  mock.method(AssignmentOffer, 'findById', async offerId => {
+    const doc = offers.find(o => same(o._id, offerId));
+    return doc ? { ...doc } : null;
+  });
+  mock.method(AssignmentOffer, 'exists', async filter => (offers.some(o => matches(o, filter)) ? { _id: 'x' } : null));
+  mock.method(AssignmentOffer, 'insertMany', async docs => {
+    const created = docs.map(d => ({ _id: id(), ...d }));
+    offers.push(...created);
+    return created.map(d => ({ ...d }));
+  });
+  mock.method(AssignmentOffer, 'findOneAndUpdate', async (filter, update) => {
+    const doc = offers.find(o => matches(o, filter));
+    return doc ? withToObject(apply(doc, update)) : null;
+  });
+  mock.method(AssignmentOffer, 'updateOne', async (filter, update) => {
+    const doc = offers.find(o => matches(o, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(AssignmentOffer, 'updateMany', async (filter, update) => {
+    const docs = offers.filter(o => matches(o, filter));
+    docs.forEach(doc => apply(doc, update));
+    return { modifiedCount: docs.length };
+  });
+  mock.method(AssignmentOffer, 'aggregate', async () => []);
+  return offers;
+}
+
+function candidate(score, fields = {}) {
+  return { assistant: { _id: id(), name: `Assistant ${score}`, ...fields }, score };
+}
+
+describe('offerService', () => {
+  let offers;
+  let notices;
+  let booking;
+  let available;
+  let ranking;
+
+  beforeEach(() => {
+    clearStationCache();
+    mock.method(console, 'log', () => {});
+    mock.method(AuditLog, 'create', async () => ({}));
+    mock.method(Assistant, 'updateOne', async () => ({}));
+    mock.method(Assistant, 'findByIdAndUpdate', async () => ({}));
+    notices = mock.method(eventBus, 'publishAssistantNotice', () => {});
+    mock.method(eventBus, 'publishBookingStatus', () => {});
+
+    offers = mockOfferStore();
+    booking = { _id: id(), status: 'Searching', station: 'Chennai Central', trainNumber: '12621', matchAttempts: 1, save: mock.fn(async () => {}) };
+    mock.method(Booking, 'findById', () => query(booking));
+    // Queued candidates are still free unless a test says otherwise
+    available = mock.method(Assistant, 'findById', () => query({ isEligibleForBookings: true, currentBookingId: null }));
+    // Matching ranks nobody unless a test says otherwise
+    mock.method(Station, 'findOne', () => query(null));
+    mock.method(ServiceTask, 'find', () => query([]));
+    ranking = mock.method(Assistant, 'find', () => query([]));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const statuses = () => offers.slice().sort(byRoundAndRank).map(o => [o.round, o.rank, o.status]);
+  const noticeTypes = () => notices.mock.calls.map(c => [String(c.arguments[0]), c.arguments[1]]);
+
+  describe('pickCandidates', () => {
+    it('never asks a decliner again and prefers assistants not yet asked', () => {
+      const [a, b, c, d, e] = [candidate(190), candidate(180), candidate(170), candidate(160), candidate(150)];
+      const ranked = [a, b, c, d, e];
+      const history = new Map([
+        [String(a.assistant._id), ['declined']],
+        [String(b.assistant._id), ['expired']]
+      ]);
+
+      assert.deepEqual(pickCandidates(ranked, history), [c, d, e]);
+
+      // Only the expired one is left to retry once everyone else was asked
+      history.set(String(c.assistant._id), ['declined']);
+      history.set(String(d.assistant._id), ['withdrawn']);
+      history.set(String(e.assistant._id), ['declined']);
+      assert.deepEqual(pickCandidates(ranked, history), [b, d]);
+    });
+  });
+
+  describe('sequential rounds', () => {
+    it('offers the best candidate first and queues the rest', async () => {
+      const ranked = [candidate(190), candidate(180), candidate(170)];
+
+      const created = await createOfferRound(booking, ranked);
+
+      assert.deepEqual(statuses(), [[1, 1, 'offered'], [1, 2, 'queued'], [1, 3, 'queued']]);
+      assert.ok(created[0].expiresAt - Date.now() > 110 * SECOND_MS);
+      assert.equal(created[1].expiresAt, null);
+      assert.deepEqual(noticeTypes(), [[String(ranked[0].assistant._id), 'bookingOffer']]);
+      assert.match(notices.mock.calls[0].arguments[2], /^New booking at Chennai Central \(train 12621\) - respond within 12\ds$/);
+    });
+
+    it('moves to the next candidate when one declines', async () => {
+      const ranked = [candidate(190), candidate(180), candidate(170)];
+      const [first] = await createOfferRound(booking, ranked);
+
+      const result = await declineOffer(first._id, first.assistantId, ' Too far ', { id: 'u1', role: 'assistant' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.offer.declineReason, 'Too far');
+      assert.deepEqual(statuses(), [[1, 1, 'declined'], [1, 2, 'offered'], [1, 3, 'queued']]);
+      assert.deepEqual(noticeTypes().at(-1), [String(ranked[1].assistant._id), 'bookingOffer']);
+    });
+
+    it('skips a queued candidate who took another booking meanwhile', async () => {
+      const ranked = [candidate(190), candidate(180), candidate(170)];
+      const [first] = await createOfferRound(booking, ranked);
+      available.mock.mockImplementation(assistantId => query({
+        isEligibleForBookings: true,
+        currentBookingId: same(assistantId, ranked[1].assistant._id) ? id() : null
+      }));
+
+      await declineOffer(first._id, first.assistantId, '', { id: 'u1', role: 'assistant' });
+
+      assert.deepEqual(statuses(), [[1, 1, 'declined'], [1, 2, 'withdrawn'], [1, 3, 'offered']]);
+      assert.equal(offers.find(o => o.rank === 2).withdrawReason, 'Assistant no longer available');
+    });
+
+    it('expires unanswered offers and cascades their bookings', async () => {
+      const ranked = [candidate(190), candidate(180)];
+      await createOfferRound(booking, ranked);
+
+      const result = await expireOffers(new Date(Date.now() + 121 * SECOND_MS));
+
+      assert.deepEqual(result, { expired: 1, bookings: 1 });
+      assert.deepEqual(statuses(), [[1, 1, 'expired'], [1, 2, 'offered']]);
+      assert.deepEqual(noticeTypes().slice(1), [
+        [String(ranked[0].assistant._id), 'offerExpired'],
+        [String(ranked[1].assistant._id), 'bookingOffer']
+      ]);
+    });
+
+    it('refuses a late response and cascades instead', async () => {
+      const ranked = [candidate(190), candidate(180)];
+      const [first] = await createOfferRound(booking, ranked);
+      offers[0].expiresAt = new Date(Date.now() - SECOND_MS);
+
+      const result = await acceptOffer(first._id, first.assistantId, { id: 'u1', role: 'assistant' });
+
+      assert.deepEqual(result, { success: false, code: 'EXPIRED', message: 'Offer has expired' });
+      assert.deepEqual(statuses(), [[1, 1, 'expired'], [1, 2, 'offered']]);
+    });
+
+    it('starts the next round with fresh candidates once a round is used up', async () => {
+      const decliner = candidate(190);
+      const newcomer = candidate(150);
+      const [first] = await createOfferRound(booking, [decliner]);
+      ranking.mock.mockImplementation(() => query([decliner.assistant, newcomer.assistant]));
+
+      await declineOffer(first._id, first.assistantId, '', { id: 'u1', role: 'assistant' });
+
+      assert.equal(ranking.mock.callCount(), 1);
+      assert.deepEqual(statuses(), [[1, 1, 'declined'], [2, 1, 'offered']]);
+      assert.ok(same(offers[1].assistantId, newcomer.assistant._id));
+      assert.equal(booking.matchAttempts, 2);
+      assert.equal(booking.save.mock.callCount(), 1);
+    });
+
+    it('withdraws open offers of a booking that is no longer offerable', async () => {
+      const ranked = [candidate(190), candidate(180)];
+      await createOfferRound(booking, ranked);
+      booking.status = 'Cancelled';
+
+      await cascadeOffers(booking._id);
+
+      assert.deepEqual(statuses(), [[1, 1, 'withdrawn'], [1, 2, 'withdrawn']]);
+      // Only the assistant holding a live offer is told
+      assert.deepEqual(noticeTypes().slice(1), [[String(ranked[0].assistant._id), 'offerWithdrawn']]);
+    });
+  });
+
+  describe('acceptOffer', () => {
+    it('takes the booking and withdraws every other open offer', async () => {
+      const ranked = [candidate(190), candidate(180)];
+      const [first] = await createOfferRound(booking, ranked);
+      // The same assistant is queued on another booking
+      const other = { _id: id(), status: 'Searching', station: 'Chennai Central', matchAttempts: 1, save: mock.fn(async () => {}) };
+      offers.push({ _id: id(), bookingId: other._id, assistantId: first.assistantId, round: 1, rank: 2, status: 'queued' });
+      Booking.findById.mock.mockImplementation(bookingId => query(same(bookingId, other._id) ? other : booking));
+      mock.method(Booking, 'findOneAndUpdate', async (filter, update) => ({ ...booking, ...update.$set }));
+      const busy = Assistant.findByIdAndUpdate;
+
+      const result = await acceptOffer(first._id, first.assistantId, { id: 'u1', role: 'assistant' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.booking.status, 'Accepted');
+      assert.ok(same(result.booking.assistantId, first.assistantId));
+      assert.deepEqual(busy.mock.calls[0].arguments, [first.assistantId, { currentBookingId: booking._id }]);
+      assert.deepEqual(offers.map(o => o.status), ['accepted', 'withdrawn', 'withdrawn']);
+      assert.equal(offers[1].withdrawReason, 'Accepted by another assistant');
+      assert.equal(offers[2].withdrawReason, 'Assistant accepted another booking');
+      // The other booking went back to matching (nobody free, so it keeps searching)
+      assert.equal(other.matchAttempts, 2);
+      assert.equal(other.save.mock.callCount(), 1);
+    });
+  });
+});
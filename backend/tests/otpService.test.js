@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.OTP_SECRET = process.env.OTP_SECRET || 'test_otp_secret';
+
+const Booking = require('../models/Booking');
+const ServiceTask = require('../models/ServiceTask');
+const AuditLog = require('../models/AuditLog');
+const otpConfig = require('../config/otp.config');
+const otpService = require('../services/otpService');
+const { query } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// One booking's otps, with the dotted-path updates otpService makes
+function fakeBooking(fields = {}) {
+  const doc = { _id: new mongoose.Types.ObjectId(), otps: { booking: null, start: null, completion: null }, ...fields };
+
+  const get = path => path.split('.').slice(1).reduce((v, key) => (v == null ? v : v[key]), doc.otps);
+  const set = (path, value) => {
+    const keys = path.split('.').slice(1);
+    const last = keys.pop();
+    keys.reduce((v, key) => v[key], doc.otps)[last] = value;
+  };
+  const matches = filter => Object.entries(filter).every(([path, value]) => (
+    path === '_id' ? String(value) === String(doc._id) : String(get(path) ?? null) === String(value ?? null)
+  ));
+  const snapshot = () => ({ ...doc, otps: structuredClone(doc.otps) });
+
+  mock.method(Booking, 'findById', () => query(snapshot()));
+  mock.method(Booking, 'updateOne', (filter, update) => {
+    if (!matches(filter)) return query({ modifiedCount: 0 });
+    Object.entries(update.$set).forEach(([path, value]) => set(path, value));
+    return query({ modifiedCount: 1 });
+  });
+  mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+    if (!matches(filter)) return query(null);
+    Object.entries(update.$inc).forEach(([path, by]) => set(path, get(path) + by));
+    return query(snapshot());
+  });
+  return doc;
+}
+
+describe('otpService', () => {
+  let audits;
+
+  beforeEach(() => {
+    audits = mock.method(AuditLog, 'create', async entry => entry);
+    mock.method(ServiceTask, 'findOne', () => query(null));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const auditActions = () => audits.mock.calls.map(c => c.arguments[0].action);
+
+  describe('issue and verify', () => {
+    it('stores only a hash and accepts the code once', async () => {
+      const booking = fakeBooking();
+      const issued = await otpService.issueOtp(booking._id, 'start');
+
+      assert.equal(issued.success, true);
+      assert.match(issued.otp, new RegExp(`^\\d{${otpConfig.digits}}$`));
+      assert.notEqual(booking.otps.start.hash, issued.otp);
+      assert.ok(!JSON.stringify(booking.otps).includes(issued.otp));
+
+      assert.deepEqual(await otpService.verifyOtp(booking._id, 'start', issued.otp), { success: true });
+      assert.equal(booking.otps.start, null);
+      assert.equal((await otpService.verifyOtp(booking._id, 'start', issued.otp)).code, 'NOT_ISSUED');
+      assert.deepEqual(auditActions(), ['otp_issued', 'otp_verified', 'otp_failed']);
+    });
+
+    it('binds a code to its kind', async () => {
+      const booking = fakeBooking();
+      const start = await otpService.issueOtp(booking._id, 'start');
+      await otpService.issueOtp(booking._id, 'completion');
+
+      const result = await otpService.verifyOtp(booking._id, 'completion', start.otp);
+      assert.equal(result.success, false);
+      assert.equal(result.code, 'INVALID');
+    });
+
+    it('expires start codes after their ttl', async () => {
+      const booking = fakeBooking();
+      const issuedAt = new Date('2026-01-01T10:00:00Z');
+      const issued = await otpService.issueOtp(booking._id, 'start', { now: issuedAt });
+      const later = new Date(issuedAt.getTime() + otpConfig.ttlMinutes.start * MINUTE_MS + 1);
+
+      assert.equal((await otpService.verifyOtp(booking._id, 'start', issued.otp, { now: later })).code, 'EXPIRED');
+    });
+
+    it('keeps the booking code valid until after the last service task', async () => {
+      const serviceAt = new Date(Date.now() + 20 * 24 * HOUR_MS);
+      mock.method(ServiceTask, 'findOne', () => query({ scheduledTime: serviceAt }));
+      const booking = fakeBooking();
+
+      const issued = await otpService.issueOtp(booking._id, 'booking');
+      assert.equal(issued.expiresAt.getTime(), serviceAt.getTime() + otpConfig.bookingGraceHours * HOUR_MS);
+
+      const atService = new Date(serviceAt.getTime() + HOUR_MS);
+      assert.deepEqual(await otpService.verifyOtp(booking._id, 'booking', issued.otp, { now: atService }), { success: true });
+    });
+
+    it('follows a rescheduled task past the stored expiry', async () => {
+      const booking = fakeBooking();
+      const now = new Date();
+      const issued = await otpService.issueOtp(booking._id, 'booking', { now });
+      const delayedTask = new Date(booking.otps.booking.expiresAt.getTime() + 2 * HOUR_MS);
+      mock.method(ServiceTask, 'findOne', () => query({ scheduledTime: delayedTask }));
+
+      const afterStoredExpiry = new Date(booking.otps.booking.expiresAt.getTime() + HOUR_MS);
+      assert.deepEqual(await otpService.verifyOtp(booking._id, 'booking', issued.otp, { now: afterStoredExpiry }), { success: true });
+    });
+  });
+
+  describe('lockout', () => {
+    it('locks after maxAttempts wrong codes, even for the right code', async () => {
+      const booking = fakeBooking();
+      const issued = await otpService.issueOtp(booking._id, 'start');
+      const wrong = issued.otp === '000000' ? '111111' : '000000';
+
+      for (let attempt = 1; attempt < otpConfig.maxAttempts; attempt++) {
+        const result = await otpService.verifyOtp(booking._id, 'start', wrong);
+        assert.equal(result.code, 'INVALID');
+        assert.equal(result.attemptsLeft, otpConfig.maxAttempts - attempt);
+      }
+      const locked = await otpService.verifyOtp(booking._id, 'start', wrong);
+      assert.equal(locked.code, 'LOCKED');
+      assert.ok(locked.retryAfterSeconds > (otpConfig.lockoutMinutes - 1) * 60);
+
+      assert.equal((await otpService.verifyOtp(booking._id, 'start', issued.otp)).code, 'LOCKED');
+      assert.ok(auditActions().includes('otp_locked'));
+
+      // Unlocked once the lockout has passed
+      const afterLockout = new Date(booking.otps.start.lockedUntil.getTime() + 1000);
+      booking.otps.start.expiresAt = new Date(afterLockout.getTime() + MINUTE_MS);
+      assert.deepEqual(await otpService.verifyOtp(booking._id, 'start', issued.otp, { now: afterLockout }), { success: true });
+    });
+
+    it('refuses a new code while locked', async () => {
+      const booking = fakeBooking();
+      await otpService.issueOtp(booking._id, 'start');
+      booking.otps.start.lockedUntil = new Date(Date.now() + 5 * MINUTE_MS);
+
+      assert.equal((await otpService.issueOtp(booking._id, 'start', { resend: true })).code, 'LOCKED');
+    });
+  });
+
+  describe('resend throttle', () => {
+    it('spaces resends by minIntervalSeconds', async () => {
+      const booking = fakeBooking();
+      const first = new Date('2026-01-01T10:00:00Z');
+      await otpService.issueOtp(booking._id, 'start', { now: first });
+
+      const tooSoon = await otpService.issueOtp(booking._id, 'start', { resend: true, now: new Date(first.getTime() + 1000) });
+      assert.equal(tooSoon.code, 'THROTTLED');
+      assert.equal(tooSoon.retryAfterSeconds, otpConfig.resend.minIntervalSeconds - 1);
+
+      const next = new Date(first.getTime() + otpConfig.resend.minIntervalSeconds * 1000);
+      assert.equal((await otpService.issueOtp(booking._id, 'start', { resend: true, now: next })).success, true);
+    });
+
+    it('caps resends per hour', async () => {
+      const booking = fakeBooking();
+      const start = new Date('2026-01-01T10:00:00Z');
+      const step = otpConfig.resend.minIntervalSeconds * 1000;
+      let at = start;
+      for (let i = 0; i < otpConfig.resend.maxPerHour; i++) {
+        assert.equal((await otpService.issueOtp(booking._id, 'start', { resend: i > 0, now: at })).success, true);
+        at = new Date(at.getTime() + step);
+      }
+
+      const capped = await otpService.issueOtp(booking._id, 'start', { resend: true, now: at });
+      assert.equal(capped.code, 'THROTTLED');
+      assert.equal(capped.retryAfterSeconds, Math.ceil((start.getTime() + HOUR_MS - at.getTime()) / 1000));
+
+      const hourLater = new Date(start.getTime() + HOUR_MS + 1);
+      assert.equal((await otpService.issueOtp(booking._id, 'start', { resend: true, now: hourLater })).success, true);
+    });
+
+    it('lets only one of two concurrent issues through', async () => {
+      const booking = fakeBooking();
+      const [a, b] = await Promise.all([
+        otpService.issueOtp(booking._id, 'start'),
+        otpService.issueOtp(booking._id, 'start')
+      ]);
+      assert.deepEqual([a.success, b.success].sort(), [false, true]);
+      assert.equal((a.success ? b : a).code, 'CONFLICT');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const LedgerEntry = require('../models/LedgerEntry');
+const Assistant = require('../models/Assistant');
+const paymentsConfig = require('../config/payments.config');
+const { handleWebhook, buildCaptureLines } = require('../services/paymentService');
+const { postTransaction, validateLines } = require('../services/ledgerService');
+const { signWebhookPayload, verifyWebhookSignature } = require('../services/payments');
+const { PLATFORM_FEE } = require('../services/pricingService');
+const { query } = require('./helpers');
+
+function fakePayment(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    bookingId: new mongoose.Types.ObjectId(),
+    status: 'authorized',
+    refunds: [],
+    webhookEvents: [],
+    save: mock.fn(async () => {}),
+    ...fields
+  };
+}
+
+describe('paymentService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('webhook signatures', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.captured' });
+    const secret = 'test_secret';
+
+    it('accepts a fresh signature over the exact body', () => {
+      const header = signWebhookPayload(body, secret);
+      assert.deepEqual(verifyWebhookSignature(body, header, secret, 300), { valid: true });
+    });
+
+    it('rejects another secret, a changed body and an old timestamp', () => {
+      const header = signWebhookPayload(body, secret);
+      assert.equal(verifyWebhookSignature(body, header, 'other', 300).reason, 'Signature mismatch');
+      assert.equal(verifyWebhookSignature(body + ' ', header, secret, 300).reason, 'Signature mismatch');
+
+      const old = signWebhookPayload(body, secret, Math.floor(Date.now() / 1000) - 301);
+      assert.equal(verifyWebhookSignature(body, old, secret, 300).reason, 'Signature timestamp outside tolerance');
+      assert.equal(verifyWebhookSignature(body, 'v1=abc', secret, 300).reason, 'Malformed signature header');
+    });
+  });
+
+  describe('webhook secret', () => {
+    // Fresh copy of services/payments loaded under `env`; the shared copies are put back
+    function loadPayments(env) {
+      const paths = [require.resolve('../config/payments.config'), require.resolve('../services/payments')];
+      const cached = paths.map(p => require.cache[p]);
+      const previous = { PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET, NODE_ENV: process.env.NODE_ENV };
+      const setEnv = (values) => {
+        for (const [key, value] of Object.entries(values)) {
+          if (value === undefined) delete process.env[key];
+          else process.env[key] = value;
+        }
+      };
+      paths.forEach(p => delete require.cache[p]);
+      setEnv(env);
+      try {
+        return require('../services/payments');
+      } finally {
+        setEnv(previous);
+        paths.forEach((p, i) => { require.cache[p] = cached[i]; });
+      }
+    }
+
+    it('uses PAYMENT_WEBHOOK_SECRET when set', () => {
+      const payments = loadPayments({ PAYMENT_WEBHOOK_SECRET: 'from_env', NODE_ENV: 'production' });
+      assert.equal(payments.webhookSecret, 'from_env');
+    });
+
+    it('refuses to load in production without it', () => {
+      assert.throws(() => loadPayments({ PAYMENT_WEBHOOK_SECRET: undefined, NODE_ENV: 'production' }),
+        /PAYMENT_WEBHOOK_SECRET must be set in production/);
+    });
+
+    it('otherwise signs with a random key that no one else knows', () => {
+      const warn = mock.method(console, 'warn', () => {});
+      const first = loadPayments({ PAYMENT_WEBHOOK_SECRET: undefined, NODE_ENV: undefined });
+      const second = loadPayments({ PAYMENT_WEBHOOK_SECRET: undefined, NODE_ENV: undefined });
+
+      assert.match(first.webhookSecret, /^[0-9a-f]{64}$/);
+      assert.notEqual(first.webhookSecret, second.webhookSecret);
+      assert.equal(warn.mock.callCount(), 2);
+
+      // The fake gateway signs with the same key the webhook route verifies with
+      const { body, headers } = first.getGateway().buildWebhook('payment.captured', {});
+      assert.deepEqual(verifyWebhookSignature(body, headers['x-payment-signature'], first.webhookSecret, 300), { valid: true });
+    });
+  });
+
+  describe('handleWebhook', () => {
+    it('rejects malformed events and events for unknown payments', async () => {
+      mock.method(Payment, 'findOne', () => query(null));
+
+      assert.equal((await handleWebhook({ type: 'payment.captured' })).success, false);
+      const unknown = await handleWebhook({ id: 'evt_1', type: 'payment.captured', data: { captureRef: 'cap_1' } });
+      assert.equal(unknown.success, false);
+      assert.equal(unknown.message, 'No payment matches this event');
+    });
+
+    it('marks a failed authorization and the booking once', async () => {
+      const payment = fakePayment();
+      mock.method(Payment, 'findOne', () => query(payment));
+      const bookingUpdate = mock.method(Booking, 'findByIdAndUpdate', () => query({}));
+      const event = { id: 'evt_2', type: 'authorization.failed', data: { authorizationRef: 'auth_1', reason: 'insufficient funds' } };
+
+      const first = await handleWebhook(event);
+      assert.deepEqual(first, { success: true, duplicate: false });
+      assert.equal(payment.status, 'failed');
+      assert.equal(payment.failureReason, 'insufficient funds');
+      assert.deepEqual(bookingUpdate.mock.calls[0].arguments, [payment.bookingId, { paymentStatus: 'Failed' }]);
+      assert.deepEqual(payment.webhookEvents, [{ eventId: 'evt_2', type: 'authorization.failed' }]);
+      assert.equal(payment.save.mock.callCount(), 1);
+
+      const again = await handleWebhook(event);
+      assert.deepEqual(again, { success: true, duplicate: true });
+      assert.equal(bookingUpdate.mock.callCount(), 1);
+      assert.equal(payment.save.mock.callCount(), 1);
+    });
+
+    it('voids an expired authorization but leaves a captured payment alone', async () => {
+      const authorized = fakePayment();
+      mock.method(Payment, 'findOne', () => query(authorized));
+      mock.method(Booking, 'findByIdAndUpdate', () => query({}));
+      await handleWebhook({ id: 'evt_3', type: 'authorization.expired', data: { authorizationRef: 'auth_1' } });
+      assert.equal(authorized.status, 'voided');
+
+      const captured = fakePayment({ status: 'captured' });
+      mock.method(Payment, 'findOne', () => query(captured));
+      await handleWebhook({ id: 'evt_4', type: 'authorization.failed', data: { authorizationRef: 'auth_1' } });
+      assert.equal(captured.status, 'captured');
+    });
+
+    it('settles the matching refund', async () => {
+      const payment = fakePayment({
+        status: 'refunded',
+        refunds: [{ ref: 'ref_1', status: 'pending' }, { ref: 'ref_2', status: 'pending' }]
+      });
+      mock.method(Payment, 'findOne', () => query(payment));
+
+      await handleWebhook({ id: 'evt_5', type: 'refund.processed', data: { refundRef: 'ref_2' } });
+      await handleWebhook({ id: 'evt_6', type: 'refund.failed', data: { refundRef: 'ref_1' } });
+
+      assert.deepEqual(payment.refunds.map(r => r.status), ['failed', 'processed']);
+    });
+  });
+
+  describe('ledger', () => {
+    const assistantA = new mongoose.Types.ObjectId().toString();
+    const assistantB = new mongoose.Types.ObjectId().toString();
+
+    it('splits a capture between the platform and the assistants and balances', () => {
+      const amount = PLATFORM_FEE + 500;
+      const lines = buildCaptureLines(amount, [assistantA, assistantB]);
+      const share = paymentsConfig.earnings.assistantSharePercent / 100;
+
+      const payable = lines.filter(l => l.account === 'assistant_payable');
+      assert.equal(payable.length, 2);
+      assert.equal(payable[0].credit + payable[1].credit, 500 * share);
+      assert.equal(validateLines(lines).valid, true);
+    });
+
+    it('gives the platform everything on an unassigned booking', () => {
+      assert.deepEqual(buildCaptureLines(250, []), [
+        { account: 'gateway_clearing', debit: 250 },
+        { account: 'platform_revenue', credit: 250 }
+      ]);
+    });
+
+    it('rejects unbalanced or one-sided transactions without writing', async () => {
+      const insert = mock.method(LedgerEntry, 'insertMany', async docs => docs);
+      mock.method(console, 'error', () => {});
+
+      const unbalanced = await postTransaction({
+        type: 'adjustment',
+        lines: [{ account: 'gateway_clearing', debit: 100 }, { account: 'platform_revenue', credit: 99 }]
+      });
+      assert.equal(unbalanced.success, false);
+      assert.match(unbalanced.errors.join(), /Unbalanced/);
+
+      const noAssistant = await postTransaction({
+        type: 'adjustment',
+        lines: [{ account: 'gateway_clearing', debit: 100 }, { account: 'assistant_payable', credit: 100 }]
+      });
+      assert.equal(noAssistant.success, false);
+      assert.equal(insert.mock.callCount(), 0);
+    });
+
+    it('posts one transaction and mirrors assistant earnings, except for payouts', async () => {
+      const insert = mock.method(LedgerEntry, 'insertMany', async docs => docs);
+      const earnings = mock.method(Assistant, 'findByIdAndUpdate', () => query({}));
+
+      const capture = await postTransaction({
+        type: 'capture',
+        lines: buildCaptureLines(PLATFORM_FEE + 100, [assistantA])
+      });
+      assert.equal(capture.success, true);
+      assert.ok(capture.entries.every(e => e.txnId === capture.txnId && e.type === 'capture'));
+      assert.deepEqual(earnings.mock.calls[0].arguments,
+        [assistantA, { $inc: { totalEarnings: 100 * paymentsConfig.earnings.assistantSharePercent / 100 } }]);
+
+      const payout = await postTransaction({
+        type: 'payout',
+        lines: [{ account: 'assistant_payable', assistantId: assistantA, debit: 50 }, { account: 'bank', credit: 50 }]
+      });
+      assert.equal(payout.success, true);
+      assert.equal(insert.mock.callCount(), 2);
+      assert.equal(earnings.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ServiceTask = require('../models/ServiceTask');
+const Train = require('../models/Train');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const eventBus = require('../services/eventBus');
+const {
+  validateCoachComposition,
+  buildTaskLocation,
+  describeTaskLocation,
+  refreshCoachPositions,
+  updateCoachComposition,
+  setTaskPlatform
+} = require('../services/platformGuidanceService');
+const { query } = require('./helpers');
+
+const COMPOSITION = ['SLR', 'GEN', 'S1', 'S2', 'S3', 'S4', 'B1', 'A1'];
+const assistantId = new mongoose.Types.ObjectId();
+
+function openTask(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    station: 'Chennai Central',
+    status: 'assigned',
+    assignedAssistant: assistantId,
+    platform: { expected: '3', current: '3', source: 'timetable' },
+    platformHistory: [],
+    save: mock.fn(async () => {}),
+    ...fields
+  };
+}
+
+describe('platformGuidanceService', () => {
+  let published;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(AuditLog, 'create', async () => ({}));
+    published = mock.method(eventBus, 'publishTaskEvent', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('coach positions', () => {
+    it('places the booked coach from the engine end', () => {
+      const location = buildTaskLocation({ stop: { platform: 'PF 3' }, composition: COMPOSITION, coach: ' s4 ' });
+
+      assert.deepEqual(location, {
+        platform: { expected: '3', current: '3', source: 'timetable' },
+        coachPosition: { coach: 'S4', position: 6, totalCoaches: 8 }
+      });
+      assert.equal(describeTaskLocation(location), 'Platform 3, S4 is near the 6th position from the engine');
+    });
+
+    it('keeps the coach when the composition does not list it', () => {
+      const location = buildTaskLocation({ stop: {}, composition: COMPOSITION, coach: 'H1' });
+
+      assert.deepEqual(location.coachPosition, { coach: 'H1', position: null, totalCoaches: null });
+      assert.equal(describeTaskLocation(location), 'coach H1 (position not known)');
+      assert.equal(describeTaskLocation(buildTaskLocation({})), null);
+    });
+
+    it('validates and normalizes a composition', () => {
+      assert.deepEqual(validateCoachComposition(['slr', ' gen ', 's 1']).composition, ['SLR', 'GEN', 'S1']);
+      assert.equal(validateCoachComposition([]).valid, false);
+      assert.deepEqual(validateCoachComposition(['S1', 'COACH#7']).errors, ['Invalid coach labels: COACH#7']);
+      assert.equal(validateCoachComposition(Array(31).fill('S1')).valid, false);
+    });
+
+    it('rewrites only the open tasks whose position changed', async () => {
+      const bookingA = new mongoose.Types.ObjectId();
+      const bookingB = new mongoose.Types.ObjectId();
+      const moved = { _id: 't1', bookingId: bookingA, trainNumber: '12621', coachPosition: { coach: 'S4', position: 4, totalCoaches: 6 } };
+      const unchanged = { _id: 't2', bookingId: bookingB, trainNumber: '12621', coachPosition: { coach: 'B1', position: 7, totalCoaches: 8 } };
+      const find = mock.method(ServiceTask, 'find', () => query([moved, unchanged]));
+      mock.method(Booking, 'find', () => query([{ _id: bookingA, coach: 'S4' }, { _id: bookingB, coach: 'B1' }]));
+      mock.method(Train, 'find', () => query([{ trainNumber: '12621', coachComposition: COMPOSITION }]));
+      const bulk = mock.method(ServiceTask, 'bulkWrite', async () => ({}));
+
+      const count = await refreshCoachPositions({ trainNumber: '12621' });
+
+      assert.equal(count, 1);
+      assert.deepEqual(find.mock.calls[0].arguments[0].status, { $in: ['pending', 'assigned', 'in_progress'] });
+      assert.deepEqual(bulk.mock.calls[0].arguments[0], [
+        { updateOne: { filter: { _id: 't1' }, update: { $set: { coachPosition: { coach: 'S4', position: 6, totalCoaches: 8 } } } } }
+      ]);
+    });
+
+    it('saves a new composition and refreshes the train tasks', async () => {
+      const train = { trainNumber: '12621', coachComposition: ['S1'], save: mock.fn(async () => {}) };
+      mock.method(Train, 'findOne', async () => train);
+      mock.method(ServiceTask, 'find', () => query([]));
+
+      const result = await updateCoachComposition('12621', ['slr', 's1'], { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(train.coachComposition, ['SLR', 'S1']);
+      assert.equal(train.save.mock.callCount(), 1);
+      assert.deepEqual(AuditLog.create.mock.calls[0].arguments[0].meta, { previous: ['S1'], composition: ['SLR', 'S1'], tasksUpdated: 0 });
+    });
+  });
+
+  describe('setTaskPlatform', () => {
+    it('records an assistant override and tells the passenger side', async () => {
+      const task = openTask();
+      mock.method(ServiceTask, 'findById', async () => task);
+
+      const result = await setTaskPlatform(task._id, { platform: 'pf 5', reason: 'Announced change' }, { id: 'u1', role: 'assistant', assistantId });
+
+      assert.equal(result.success, true);
+      assert.equal(task.platform.current, '5');
+      assert.equal(task.platform.expected, '3');
+      assert.equal(task.platform.source, 'assistant');
+      assert.deepEqual(task.platformHistory[0], { platform: '5', previous: '3', source: 'assistant', by: 'u1', reason: 'Announced change' });
+      assert.equal(published.mock.calls[0].arguments[0], 'taskPlatformChanged');
+      assert.equal(published.mock.calls[0].arguments[1].previousPlatform, '3');
+    });
+
+    it('goes back to the timetable platform when cleared', async () => {
+      const task = openTask({ platform: { expected: '3', current: '5', source: 'admin' } });
+      mock.method(ServiceTask, 'findById', async () => task);
+
+      await setTaskPlatform(task._id, { platform: null }, { id: 'admin1', role: 'admin' });
+
+      assert.equal(task.platform.current, '3');
+      assert.equal(task.platform.source, 'timetable');
+      assert.equal(published.mock.callCount(), 1);
+    });
+
+    it('only lets the assigned assistant change an open task', async () => {
+      const task = openTask();
+      const findById = mock.method(ServiceTask, 'findById', async () => task);
+
+      const other = await setTaskPlatform(task._id, { platform: '5' }, { id: 'u2', role: 'assistant', assistantId: new mongoose.Types.ObjectId() });
+      assert.equal(other.code, 'FORBIDDEN');
+
+      findById.mock.mockImplementation(async () => openTask({ status: 'completed' }));
+      const closed = await setTaskPlatform(task._id, { platform: '5' }, { id: 'admin1', role: 'admin' });
+      assert.equal(closed.code, 'INVALID_STATE');
+
+      assert.equal((await setTaskPlatform(task._id, { platform: 'Platform twelve' })).code, 'INVALID');
+      assert.equal(task.save.mock.callCount(), 0);
+      assert.equal(published.mock.callCount(), 0);
+    });
+  });
+});
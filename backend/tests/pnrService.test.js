@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TrainStop = require('../models/TrainStop');
+const Station = require('../models/Station');
+const { resolveBookingFromPnr, clearPnrCache } = require('../services/pnrService');
+const { query } = require('./helpers');
+
+// Route of 12615 as far as the PNR fixtures in data/pnr need it
+const STOPS = [
+  { trainNumber: '12615', stopSequence: 1, stationCode: 'NDLS', stationName: 'New Delhi' },
+  { trainNumber: '12615', stopSequence: 12, stationCode: 'BPL', stationName: 'Bhopal Jn' },
+  { trainNumber: '12615', stopSequence: 25, stationCode: 'WL', stationName: 'Warangal' },
+  { trainNumber: '12615', stopSequence: 33, stationCode: 'MAS', stationName: 'Chennai Central' }
+];
+
+// TrainStop.findOne by station, or first / last stop when sorted by stopSequence
+function findStop(filter) {
+  let direction = null;
+  const q = query(null);
+  q.sort = (spec) => { direction = spec.stopSequence; return q; };
+  q.then = (resolve, reject) => Promise.resolve().then(() => {
+    if (filter.stationCode) return STOPS.find(s => s.stationCode === filter.stationCode) || null;
+    return direction === -1 ? STOPS[STOPS.length - 1] : STOPS[0];
+  }).then(resolve, reject);
+  return q;
+}
+
+describe('pnrService', () => {
+  beforeEach(() => {
+    clearPnrCache();
+    mock.method(TrainStop, 'findOne', findStop);
+    mock.method(TrainStop, 'countDocuments', () => query(STOPS.length));
+    mock.method(Station, 'findOne', () => query(null));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prefills a pickup from the boarding station, coach and berth', async () => {
+    const result = await resolveBookingFromPnr('245-861-3570', { serviceType: 'pickup', passengerIndex: 1 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.fields.trainNumber, '12615');
+    assert.equal(result.fields.stationCode, 'NDLS');
+    assert.equal(result.fields.station, 'New Delhi');
+    assert.equal(result.fields.dropStationCode, '');
+    assert.equal(result.fields.coach, 'B2');
+    assert.equal(result.fields.seat, '35');
+    // The date of journey is station (IST) midnight, whatever zone the server runs in
+    assert.equal(result.fields.journeyDate.toISOString(), '2026-11-01T18:30:00.000Z');
+  });
+
+  it('uses the destination for drops and both stations for round trips', async () => {
+    const drop = await resolveBookingFromPnr('2458613570', { serviceType: 'drop' });
+    assert.equal(drop.fields.stationCode, 'WL');
+    assert.equal(drop.fields.pickupStationCode, '');
+
+    const roundTrip = await resolveBookingFromPnr('2458613570', { serviceType: 'round_trip' });
+    assert.equal(roundTrip.fields.pickupStationCode, 'NDLS');
+    assert.equal(roundTrip.fields.dropStationCode, 'WL');
+  });
+
+  it('refuses waitlisted passengers', async () => {
+    const result = await resolveBookingFromPnr('4129076385', { passengerIndex: 1 });
+    assert.equal(result.code, 'NOT_BOOKABLE');
+  });
+
+  it('reads providers that use other field names and DD-MM-YYYY dates', async () => {
+    const result = await resolveBookingFromPnr('4129076385', { serviceType: 'drop' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.fields.stationCode, 'MAS');
+    assert.equal(result.fields.coach, 'S5');
+    assert.equal(result.fields.seat, '12');
+    assert.equal(result.fields.journeyDate.toISOString(), '2026-11-02T18:30:00.000Z');
+  });
+
+  it('rejects malformed and unknown PNRs', async () => {
+    assert.equal((await resolveBookingFromPnr('12345')).code, 'INVALID_PNR');
+    assert.equal((await resolveBookingFromPnr('1111111111')).code, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PricingRule = require('../models/PricingRule');
+const Station = require('../models/Station');
+const ServiceTask = require('../models/ServiceTask');
+const AuditLog = require('../models/AuditLog');
+const {
+  resolvePricing,
+  getActiveRule,
+  getMultipliers,
+  createRule,
+  updateRule
+} = require('../services/pricingRuleService');
+const { clearStationCache } = require('../services/stationService');
+const { SERVICE_PRICES, PLATFORM_FEE } = require('../services/pricingService');
+const { fromLocal } = require('../services/localTime');
+const { query } = require('./helpers');
+
+function rule(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    scope: 'default',
+    scopeKey: '*',
+    version: 1,
+    status: 'active',
+    servicePrices: {},
+    luggagePrices: { small: 40, medium: 60, large: 90 },
+    platformFee: 30,
+    timeOfDay: [],
+    festivals: [],
+    surge: { enabled: false, steps: [] },
+    ...fields
+  };
+}
+
+describe('pricingRuleService', () => {
+  beforeEach(() => {
+    clearStationCache();
+    mock.method(AuditLog, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('getActiveRule', () => {
+    it('prefers the station rule, then the station type, then the default', async () => {
+      mock.method(Station, 'findOne', () => query({ code: 'MAS', stationType: 'terminal' }));
+      const station = rule({ scope: 'station', scopeKey: 'MAS' });
+      const terminal = rule({ scope: 'station_type', scopeKey: 'TERMINAL' });
+      const fallback = rule();
+      const find = mock.method(PricingRule, 'find', () => query([fallback, terminal, station]));
+
+      assert.equal(await getActiveRule({ stationCode: 'mas' }), station);
+      assert.deepEqual(find.mock.calls[0].arguments[0].$or, [
+        { scope: 'station', scopeKey: 'MAS' },
+        { scope: 'station_type', scopeKey: 'TERMINAL' },
+        { scope: 'default', scopeKey: '*' }
+      ]);
+
+      find.mock.mockImplementation(() => query([fallback, terminal]));
+      assert.equal(await getActiveRule({ stationCode: 'MAS' }), terminal);
+
+      find.mock.mockImplementation(() => query([fallback]));
+      assert.equal(await getActiveRule({ stationCode: 'MAS' }), fallback);
+    });
+  });
+
+  describe('getMultipliers', () => {
+    const peak = rule({
+      timeOfDay: [
+        { startHour: 7, endHour: 10, multiplier: 1.2 },
+        { startHour: 22, endHour: 5, multiplier: 0.9 }
+      ],
+      festivals: [{ date: '2026-11-08', multiplier: 1.5 }],
+      surge: { enabled: true, steps: [{ minUtilizationPercent: 50, multiplier: 1.1 }, { minUtilizationPercent: 80, multiplier: 1.3 }] },
+      maxMultiplier: 2
+    });
+
+    it('matches time windows and festivals on station local time', () => {
+      // 02:00 UTC is 07:30 in Kolkata
+      const morning = getMultipliers(peak, { at: new Date('2026-03-10T02:00:00Z') });
+      assert.equal(morning.timeOfDay, 1.2);
+
+      // 20:00 UTC on the 7th is already the festival day, 01:30 local
+      const night = getMultipliers(peak, { at: new Date('2026-11-07T20:00:00Z') });
+      assert.equal(night.timeOfDay, 0.9);
+      assert.equal(night.festival, 1.5);
+      assert.equal(night.combined, 1.35);
+    });
+
+    it('takes the highest surge step reached and caps the product', () => {
+      const at = fromLocal(2026, 11, 8, 8, 0);
+      assert.equal(getMultipliers(peak, { at, utilizationPercent: 60 }).surge, 1.1);
+
+      const busy = getMultipliers(peak, { at, utilizationPercent: 85 });
+      assert.equal(busy.surge, 1.3);
+      // 1.2 x 1.5 x 1.3 = 2.34
+      assert.equal(busy.combined, 2);
+      assert.equal(busy.capped, true);
+
+      assert.equal(getMultipliers(peak, { at: fromLocal(2026, 3, 10, 12, 0) }).combined, 1);
+    });
+  });
+
+  describe('resolvePricing', () => {
+    it('falls back to the built-in prices without a rule', async () => {
+      mock.method(Station, 'findOne', () => query(null));
+      mock.method(PricingRule, 'find', () => query([]));
+
+      const pricing = await resolvePricing({ stationCode: 'XYZ' });
+
+      assert.equal(pricing.scope, 'builtin');
+      assert.equal(pricing.platformFee, PLATFORM_FEE);
+      assert.equal(pricing.multiplier, 1);
+      assert.equal(pricing.ruleId, null);
+    });
+
+    it('measures surge on the station open tasks over the rule window', async () => {
+      const surging = rule({
+        servicePrices: { SeatEscort: 75 },
+        surge: { enabled: true, windowHours: 3, steps: [{ minUtilizationPercent: 50, multiplier: 1.25 }] }
+      });
+      mock.method(Station, 'findOne', () => query(null));
+      mock.method(PricingRule, 'find', () => query([surging]));
+      const count = mock.method(ServiceTask, 'countDocuments', async () => 6);
+      const at = fromLocal(2026, 3, 10, 12, 0);
+
+      const pricing = await resolvePricing({ stationName: 'Chennai Central', at });
+
+      const filter = count.mock.calls[0].arguments[0];
+      assert.ok(filter.station.$regex.test('CHENNAI CENTRAL'));
+      assert.deepEqual(filter.scheduledTime, { $gte: at, $lt: new Date(at.getTime() + 3 * 60 * 60 * 1000) });
+      // 6 of 10 concurrent tasks
+      assert.equal(pricing.utilizationPercent, 60);
+      assert.equal(pricing.multiplier, 1.25);
+      assert.equal(pricing.servicePrices.SeatEscort, 75);
+      assert.equal(pricing.servicePrices.Language, SERVICE_PRICES.Language);
+      assert.equal(pricing.version, 1);
+    });
+  });
+
+  describe('versioning', () => {
+    it('rejects a second active rule for a scope', async () => {
+      mock.method(PricingRule, 'exists', async () => ({ _id: 'r1' }));
+
+      const result = await createRule({ scope: 'station_type', scopeKey: 'junction' });
+
+      assert.equal(result.code, 'CONFLICT');
+      assert.equal((await createRule({ scope: 'station_type', scopeKey: 'airport' })).code, 'INVALID');
+    });
+
+    it('publishes version N+1 and supersedes the active version', async () => {
+      const current = rule({ version: 3, platformFee: 30, maxMultiplier: 2 });
+      const supersede = mock.method(PricingRule, 'findOneAndUpdate', async () => current);
+      const create = mock.method(PricingRule, 'create', async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+      const result = await updateRule(current._id, { platformFee: 40, luggagePrices: { large: 100 } }, { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(supersede.mock.calls[0].arguments.slice(0, 2), [{ _id: current._id, status: 'active' }, { status: 'superseded' }]);
+      const doc = create.mock.calls[0].arguments[0];
+      assert.equal(doc.version, 4);
+      assert.equal(doc.platformFee, 40);
+      assert.equal(doc.maxMultiplier, 2);
+      assert.deepEqual(doc.luggagePrices, { small: 40, medium: 60, large: 100 });
+      assert.equal(doc.previousVersionId, current._id);
+      assert.deepEqual(AuditLog.create.mock.calls[0].arguments[0].meta.changes, ['luggagePrices', 'platformFee']);
+    });
+
+    it('reactivates the current version when the new one cannot be written', async () => {
+      const current = rule({ version: 3 });
+      mock.method(PricingRule, 'findOneAndUpdate', async () => current);
+      mock.method(PricingRule, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+      const restore = mock.method(PricingRule, 'updateOne', async () => ({}));
+
+      const result = await updateRule(current._id, { platformFee: 40 });
+
+      assert.equal(result.code, 'CONFLICT');
+      assert.deepEqual(restore.mock.calls[0].arguments, [{ _id: current._id, status: 'superseded' }, { status: 'active' }]);
+    });
+  });
+});
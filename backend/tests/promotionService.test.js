@@ -0,0 +1,222 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+const {
+  computePromoDiscount,
+  quoteDiscounts,
+  redeemCheckout,
+  releaseCheckout,
+  debitWallet,
+  rewardReferrer,
+  handleBookingStatusChange
+} = require('../services/promotionService');
+const { query } = require('./helpers');
+
+const userId = new mongoose.Types.ObjectId();
+const bookingId = new mongoose.Types.ObjectId();
+
+function promo(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    code: 'MONSOON',
+    active: true,
+    discountType: 'percent',
+    value: 20,
+    maxDiscount: null,
+    minOrderAmount: 0,
+    usageLimit: null,
+    usedCount: 0,
+    perUserLimit: 1,
+    stations: [],
+    serviceTypes: [],
+    ...fields
+  };
+}
+
+describe('promotionService', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('computePromoDiscount', () => {
+    it('caps percent discounts and never exceeds the subtotal', () => {
+      assert.equal(computePromoDiscount(promo(), 333), 66.6);
+      assert.equal(computePromoDiscount(promo({ maxDiscount: 50 }), 333), 50);
+      assert.equal(computePromoDiscount(promo({ discountType: 'flat', value: 500 }), 333), 333);
+    });
+  });
+
+  describe('quoteDiscounts', () => {
+    const priceCalc = { subtotal: 300, total: 310 };
+
+    it('applies the promo first and the wallet up to the minimum payable', async () => {
+      mock.method(PromoCode, 'findOne', () => query(promo({ discountType: 'flat', value: 100 })));
+      mock.method(PromoRedemption, 'countDocuments', async () => 0);
+      mock.method(User, 'findById', () => query({ walletBalance: 500 }));
+
+      const quote = await quoteDiscounts({ priceCalc, userId, promoCode: ' monsoon ', useWallet: true, stationCode: 'MAS', serviceType: 'pickup' });
+
+      assert.equal(quote.success, true);
+      assert.equal(quote.promoCode, 'MONSOON');
+      assert.equal(quote.promoAmount, 100);
+      // 310 total - 100 promo - 1 minimum payable
+      assert.equal(quote.walletAmount, 209);
+      assert.equal(quote.walletBalance, 500);
+    });
+
+    it('leaves the wallet alone unless asked', async () => {
+      mock.method(User, 'findById', () => query({ walletBalance: 500 }));
+
+      const quote = await quoteDiscounts({ priceCalc, userId });
+
+      assert.equal(quote.walletAmount, 0);
+      assert.equal(quote.walletBalance, 500);
+    });
+
+    it('explains why a promo does not apply', async () => {
+      const findOne = mock.method(PromoCode, 'findOne', () => query(promo({ stations: ['NDLS'] })));
+      const ctx = { priceCalc, userId, promoCode: 'MONSOON', stationCode: 'mas', serviceType: 'pickup' };
+      assert.equal((await quoteDiscounts(ctx)).code, 'PROMO_NOT_APPLICABLE');
+
+      findOne.mock.mockImplementation(() => query(promo({ validUntil: new Date(Date.now() - 1000) })));
+      assert.equal((await quoteDiscounts(ctx)).code, 'PROMO_EXPIRED');
+
+      findOne.mock.mockImplementation(() => query(promo({ minOrderAmount: 500 })));
+      assert.equal((await quoteDiscounts(ctx)).code, 'PROMO_MIN_ORDER');
+
+      findOne.mock.mockImplementation(() => query(promo()));
+      assert.equal((await quoteDiscounts({ ...ctx, userId: null })).code, 'LOGIN_REQUIRED');
+
+      mock.method(PromoRedemption, 'countDocuments', async () => 1);
+      assert.equal((await quoteDiscounts(ctx)).code, 'PROMO_USER_LIMIT');
+
+      findOne.mock.mockImplementation(() => query(null));
+      assert.equal((await quoteDiscounts(ctx)).code, 'PROMO_INVALID');
+    });
+  });
+
+  describe('redeemCheckout', () => {
+    const quote = { promo: promo(), promoAmount: 60, walletAmount: 100 };
+
+    it('consumes the promo use and the wallet credit', async () => {
+      const claim = mock.method(PromoCode, 'findOneAndUpdate', async () => ({ ...quote.promo, usedCount: 1 }));
+      const redemption = mock.method(PromoRedemption, 'create', async doc => doc);
+      mock.method(PromoRedemption, 'countDocuments', async () => 1);
+      const debit = mock.method(User, 'findOneAndUpdate', () => query({ walletBalance: 150 }));
+      const journal = mock.method(WalletTransaction, 'create', async doc => doc);
+
+      const result = await redeemCheckout(quote, { userId, bookingId });
+
+      assert.deepEqual(result, { success: true });
+      assert.deepEqual(claim.mock.calls[0].arguments[1], { $inc: { usedCount: 1 } });
+      assert.equal(redemption.mock.calls[0].arguments[0].discountAmount, 60);
+      assert.deepEqual(debit.mock.calls[0].arguments[0], { _id: userId, walletBalance: { $gte: 100 } });
+      const entry = journal.mock.calls[0].arguments[0];
+      assert.equal(entry.reason, 'booking_payment');
+      assert.equal(entry.balanceAfter, 150);
+    });
+
+    it('gives the promo use back when the wallet is short', async () => {
+      mock.method(PromoCode, 'findOneAndUpdate', async () => ({ ...quote.promo, usedCount: 1 }));
+      mock.method(PromoRedemption, 'create', async doc => doc);
+      mock.method(PromoRedemption, 'countDocuments', async () => 1);
+      mock.method(User, 'findOneAndUpdate', () => query(null));
+      const release = mock.method(PromoRedemption, 'findOneAndUpdate', async () => ({ promoId: quote.promo._id }));
+      const giveBack = mock.method(PromoCode, 'updateOne', async () => ({}));
+
+      const result = await redeemCheckout(quote, { userId, bookingId });
+
+      assert.equal(result.code, 'INSUFFICIENT_BALANCE');
+      assert.deepEqual(release.mock.calls[0].arguments[0], { bookingId, status: 'applied' });
+      assert.deepEqual(giveBack.mock.calls[0].arguments, [{ _id: quote.promo._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }]);
+    });
+
+    it('stops at an exhausted promo before touching the wallet', async () => {
+      mock.method(PromoCode, 'findOneAndUpdate', async () => null);
+      const debit = mock.method(User, 'findOneAndUpdate', () => query({ walletBalance: 0 }));
+
+      const result = await redeemCheckout(quote, { userId, bookingId });
+
+      assert.equal(result.code, 'PROMO_EXHAUSTED');
+      assert.equal(debit.mock.callCount(), 0);
+    });
+
+    it('undoes a second use that goes over the per-user limit', async () => {
+      mock.method(PromoCode, 'findOneAndUpdate', async () => ({ ...quote.promo, usedCount: 2 }));
+      mock.method(PromoRedemption, 'create', async doc => doc);
+      mock.method(PromoRedemption, 'countDocuments', async () => 2);
+      const release = mock.method(PromoRedemption, 'findOneAndUpdate', async () => ({ promoId: quote.promo._id }));
+      mock.method(PromoCode, 'updateOne', async () => ({}));
+
+      const result = await redeemCheckout({ ...quote, walletAmount: 0 }, { userId, bookingId });
+
+      assert.equal(result.code, 'PROMO_USER_LIMIT');
+      assert.equal(release.mock.callCount(), 1);
+    });
+  });
+
+  describe('wallet', () => {
+    it('puts the balance back when the booking was already charged', async () => {
+      mock.method(User, 'findOneAndUpdate', () => query({ walletBalance: 0 }));
+      mock.method(WalletTransaction, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+      const refund = mock.method(User, 'updateOne', async () => ({}));
+
+      const result = await debitWallet(userId, 100, { reason: 'booking_payment', bookingId });
+
+      assert.equal(result.code, 'CONFLICT');
+      assert.deepEqual(refund.mock.calls[0].arguments, [{ _id: userId }, { $inc: { walletBalance: 100 } }]);
+    });
+
+    it('returns a cancelled booking wallet payment once', async () => {
+      mock.method(PromoRedemption, 'findOneAndUpdate', async () => null);
+      mock.method(WalletTransaction, 'findOne', () => query({ userId, amount: 120 }));
+      const release = { save: mock.fn(async () => {}) };
+      const journal = mock.method(WalletTransaction, 'create', async doc => Object.assign(release, doc));
+      const credit = mock.method(User, 'findByIdAndUpdate', () => query({ walletBalance: 170 }));
+
+      await releaseCheckout(bookingId);
+
+      assert.equal(journal.mock.calls[0].arguments[0].reason, 'booking_release');
+      assert.deepEqual(credit.mock.calls[0].arguments[1], { $inc: { walletBalance: 120 } });
+      assert.equal(release.balanceAfter, 170);
+
+      // The release entry is unique per booking - a second release credits nothing
+      journal.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+      await releaseCheckout(bookingId);
+      assert.equal(credit.mock.callCount(), 1);
+    });
+  });
+
+  describe('referrals', () => {
+    it('rewards the referrer once on the first completed booking', async () => {
+      const referrer = new mongoose.Types.ObjectId();
+      const claim = mock.method(User, 'findOneAndUpdate', () => query({ _id: userId, referredBy: referrer }));
+      const credit = mock.method(User, 'findByIdAndUpdate', () => query({ walletBalance: 100 }));
+      mock.method(WalletTransaction, 'create', async doc => doc);
+
+      await handleBookingStatusChange({ bookingId, userId, status: 'Completed' });
+
+      assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: userId, referredBy: { $ne: null }, referralRewardedAt: null });
+      assert.equal(credit.mock.calls[0].arguments[0], referrer);
+      assert.deepEqual(credit.mock.calls[0].arguments[1], { $inc: { walletBalance: 100 } });
+
+      claim.mock.mockImplementation(() => query(null));
+      assert.equal(await rewardReferrer(userId), null);
+      assert.equal(credit.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Assistant = require('../models/Assistant');
+const eventBus = require('../services/eventBus');
+const realtimeService = require('../services/realtimeService');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Socket.IO server stand-in recording every emit with its target rooms
+function fakeIo() {
+  const sent = [];
+  return {
+    sent,
+    to: (targets) => ({ emit: (name, payload) => sent.push({ rooms: [].concat(targets).sort(), name, payload }) }),
+    on: () => {}
+  };
+}
+
+function fakeSocket(user) {
+  const socket = new EventEmitter();
+  socket.user = user;
+  socket.joined = new Set();
+  socket.join = (room) => socket.joined.add(room);
+  socket.leave = (room) => socket.joined.delete(room);
+  // Resolves with the ack of a client event
+  socket.send = (name, payload) => new Promise(resolve => socket.emit(name, payload, resolve));
+  return socket;
+}
+
+describe('realtimeService', () => {
+  let io;
+
+  before(() => {
+    io = fakeIo();
+    realtimeService.attach(io);
+  });
+
+  after(() => {
+    for (const name of ['bookingStatusChanged', 'taskEvent', 'assistantNotice']) eventBus.removeAllListeners(name);
+  });
+
+  beforeEach(() => {
+    io.sent.length = 0;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('forwarding', () => {
+    it('sends a booking status change to its booking, owner, station and both assistants', () => {
+      const booking = { _id: id(), status: 'Pending', station: 'New Delhi', userId: id(), assistantId: null };
+      const previousAssistantId = id();
+
+      eventBus.publishBookingStatus(booking, 'Accepted', { previousAssistantId, actorRole: 'assistant', reason: 'Handed back' });
+
+      assert.equal(io.sent.length, 1);
+      const [{ rooms, name, payload }] = io.sent;
+      assert.equal(name, 'booking_status');
+      assert.deepEqual(rooms, [
+        `assistant:${previousAssistantId}`,
+        `booking:${booking._id}`,
+        `passenger:${booking.userId}`,
+        'station:*',
+        'station:NEW DELHI'
+      ]);
+      assert.deepEqual([payload.status, payload.previousStatus, payload.actorRole], ['Pending', 'Accepted', 'assistant']);
+    });
+
+    it('keeps operational task events away from the passenger\'s booking room', () => {
+      const task = { _id: id(), bookingId: id(), station: 'BPL', assignedAssistant: id(), status: 'assigned' };
+
+      eventBus.publishTaskEvent('taskRescheduled', { task, delayMinutes: 40, booking: { _id: id() } });
+      eventBus.publishTaskEvent('escalation', { task });
+
+      const [rescheduled, escalation] = io.sent;
+      assert.ok(rescheduled.rooms.includes(`booking:${task.bookingId}`));
+      assert.ok(!escalation.rooms.includes(`booking:${task.bookingId}`));
+      assert.ok(escalation.rooms.includes(`assistant:${task.assignedAssistant}`));
+      // Embedded documents are not sent to clients
+      assert.deepEqual(rescheduled.payload.details, { delayMinutes: 40 });
+      assert.equal(rescheduled.payload.task.assignedAssistant, String(task.assignedAssistant));
+    });
+
+    it('forwards bridged background service events', () => {
+      const tracker = new EventEmitter();
+      eventBus.bridge(tracker);
+      tracker.emit('taskStationPassed', { task: { _id: id(), station: 'AGC' } });
+
+      assert.equal(io.sent[0].payload.type, 'taskStationPassed');
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('joins a booking room only with chat access', async () => {
+      const passengerId = id();
+      const booking = { _id: id(), userId: passengerId, status: 'Searching' };
+      mock.method(Booking, 'findById', () => query(booking));
+
+      const owner = fakeSocket({ id: String(passengerId), role: 'passenger' });
+      await realtimeService.registerSocket(owner);
+      assert.deepEqual(await owner.send('subscribe_booking', { bookingId: String(booking._id) }), { success: true, status: 'Searching' });
+      assert.ok(owner.joined.has(`booking:${booking._id}`));
+      assert.ok(owner.joined.has(`passenger:${passengerId}`));
+
+      const stranger = fakeSocket({ id: String(id()), role: 'passenger' });
+      await realtimeService.registerSocket(stranger);
+      assert.deepEqual(await stranger.send('subscribe_booking', { bookingId: String(booking._id) }), { error: 'Not your booking' });
+      assert.ok(!stranger.joined.has(`booking:${booking._id}`));
+    });
+
+    it('lets only admins watch stations', async () => {
+      const admin = fakeSocket({ id: String(id()), role: 'admin' });
+      const passenger = fakeSocket({ id: String(id()), role: 'passenger' });
+      await realtimeService.registerSocket(admin);
+      await realtimeService.registerSocket(passenger);
+
+      assert.deepEqual(await admin.send('subscribe_station', { station: ' bpl ' }), { success: true, room: 'station:BPL' });
+      assert.deepEqual(await passenger.send('subscribe_station', { station: 'BPL' }), { error: 'Forbidden' });
+    });
+
+    it('puts assistants in their own room', async () => {
+      const assistantId = id();
+      mock.method(Assistant, 'findOne', () => query({ _id: assistantId }));
+
+      const socket = fakeSocket({ id: String(id()), role: 'assistant' });
+      await realtimeService.registerSocket(socket);
+
+      assert.equal(socket.assistantId, String(assistantId));
+      assert.deepEqual([...socket.joined], [`assistant:${assistantId}`]);
+    });
+  });
+});
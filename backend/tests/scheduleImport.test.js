@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { readZipEntries } = require('../services/scheduleImport/zipReader');
+const { parseGtfsFeed } = require('../services/scheduleImport/gtfsFeed');
+const { createFeed } = require('../services/scheduleImport/feed');
+
+/**
+ * Build a .zip in memory
+ * @param {Array} files - { name, content, store?, declaredSize? } - declaredSize overrides
+ *        the uncompressed size written to the central directory
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const raw = Buffer.from(file.content);
+    const data = file.store ? raw : zlib.deflateRawSync(raw);
+    const name = Buffer.from(file.name);
+    const method = file.store ? 0 : 8;
+    const size = file.declaredSize != null ? file.declaredSize : raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+describe('schedule import', () => {
+  describe('zipReader', () => {
+    it('extracts stored and deflated entries by basename', async () => {
+      const zip = buildZip([
+        { name: 'feed/stops.txt', content: 'stop_id\nNDLS\n' },
+        { name: 'feed/trips.txt', content: 'trip_id\nT1\n', store: true },
+        { name: 'feed/shapes.txt', content: 'ignored' }
+      ]);
+
+      const entries = await readZipEntries(zip, ['stops.txt', 'trips.txt']);
+
+      assert.deepEqual([...entries.keys()], ['stops.txt', 'trips.txt']);
+      assert.equal(entries.get('stops.txt').toString(), 'stop_id\nNDLS\n');
+      assert.equal(entries.get('trips.txt').toString(), 'trip_id\nT1\n');
+    });
+
+    it('rejects an entry that declares more than the limit', async () => {
+      const zip = buildZip([{ name: 'stop_times.txt', content: 'x'.repeat(4096) }]);
+      await assert.rejects(readZipEntries(zip, ['stop_times.txt'], { maxEntryBytes: 1024 }),
+        /stop_times.txt is larger than/);
+    });
+
+    it('stops inflating an entry that is bigger than it claims', async () => {
+      // A zip bomb: tiny compressed, tiny declared size, large output
+      const zip = buildZip([{ name: 'stop_times.txt', content: '0'.repeat(64 * 1024), declaredSize: 10 }]);
+      assert.ok(zip.length < 1024);
+      await assert.rejects(readZipEntries(zip, ['stop_times.txt'], { maxEntryBytes: 1024 }),
+        /stop_times.txt is larger than/);
+    });
+
+    it('applies the limit to stored entries too', async () => {
+      const zip = buildZip([{ name: 'stops.txt', content: 'x'.repeat(2048), store: true, declaredSize: 10 }]);
+      await assert.rejects(readZipEntries(zip, ['stops.txt'], { maxEntryBytes: 1024 }), /stops.txt is larger than/);
+    });
+
+    it('rejects a file that is not a zip', async () => {
+      await assert.rejects(readZipEntries(Buffer.alloc(64), ['stops.txt']), /Not a zip archive/);
+    });
+  });
+
+  describe('GTFS feed', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'railmitra-gtfs-'));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function parse(files) {
+      const filePath = path.join(dir, `${Date.now()}-${Math.random()}.zip`);
+      fs.writeFileSync(filePath, buildZip(files));
+      const feed = createFeed();
+      await parseGtfsFeed(feed, filePath, 'feed.zip');
+      return feed;
+    }
+
+    const stops = 'stop_id,stop_code,stop_name\n1,NDLS,New Delhi\n2,AGC,Agra Cantt\n3,BPL,Bhopal Jn\n';
+    const routes = 'route_id,route_short_name,route_long_name\nR1,12615,Grand Trunk Express\n';
+    const calendar = 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday\nDAILY,1,1,1,1,1,1,1\nWEEKEND,0,0,0,0,0,1,1\n';
+
+    it('reads trains, running days and stops past midnight', async () => {
+      const feed = await parse([
+        { name: 'stops.txt', content: stops },
+        { name: 'routes.txt', content: routes },
+        { name: 'calendar.txt', content: calendar },
+        { name: 'trips.txt', content: 'route_id,service_id,trip_id,trip_short_name\nR1,DAILY,GT1,\nR1,WEEKEND,RJ1,2001\n' },
+        { name: 'stop_times.txt', content: [
+          'trip_id,arrival_time,departure_time,stop_id,stop_sequence,shape_dist_traveled',
+          'GT1,,18:40:00,1,10,0',
+          'GT1,26:20:00,26:30:00,3,30,707.4',
+          'GT1,21:55:00,22:00:00,2,20,195',
+          'RJ1,,06:00:00,1,1,0'
+        ].join('\n') }
+      ]);
+
+      const gt = feed.trains.get('12615');
+      assert.equal(gt.trainName, 'Grand Trunk Express');
+      assert.deepEqual(gt.runningDays, ['Daily']);
+      assert.deepEqual(gt.stops.map(s => [s.stopSequence, s.stationCode]), [[1, 'NDLS'], [2, 'AGC'], [3, 'BPL']]);
+      assert.deepEqual(gt.stops[0], {
+        stationCode: 'NDLS', stationName: 'New Delhi', routeNumber: 1,
+        arrivalTime: null, departureTime: '18:40:00', arrivalDay: 0, departureDay: 0,
+        distance: 0, stopSequence: 1
+      });
+      assert.equal(gt.stops[2].arrivalTime, '02:20:00');
+      assert.equal(gt.stops[2].arrivalDay, 1);
+      assert.equal(gt.stops[2].distance, 707);
+
+      assert.deepEqual(feed.trains.get('02001').runningDays, ['Saturday', 'Sunday']);
+      assert.equal(feed.errors.length, 0);
+    });
+
+    it('reports bad rows and keeps importing the rest', async () => {
+      const feed = await parse([
+        { name: 'stops.txt', content: stops },
+        { name: 'trips.txt', content: 'route_id,service_id,trip_id,trip_short_name\nR1,DAILY,GT1,12615\nR1,DAILY,GT2,12615\nR1,DAILY,X1,\n' },
+        { name: 'stop_times.txt', content: [
+          'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+          'GT1,,18:40:00,1,1',
+          'GT1,21:75:00,22:00:00,2,2',
+          'GT1,26:20:00,26:30:00,9,3',
+          'GT2,,19:00:00,1,1'
+        ].join('\n') }
+      ]);
+
+      assert.deepEqual(feed.trains.get('12615').stops.map(s => s.stationCode), ['NDLS']);
+      assert.deepEqual(feed.errors.map(e => [e.file, e.line, e.message]), [
+        ['feed.zip/trips.txt', 3, 'Train 12615 already imported from trip GT1; trip GT2 skipped'],
+        ['feed.zip/trips.txt', 4, 'Trip X1 has no usable train number'],
+        ['feed.zip/stop_times.txt', 3, 'Invalid time "21:75:00"'],
+        ['feed.zip/stop_times.txt', 4, 'Unknown stop_id "9"']
+      ]);
+      // The duplicate trip is a warning, not a failed row
+      assert.equal(feed.rowsFailed, 3);
+    });
+
+    it('refuses a feed without its required files', async () => {
+      await assert.rejects(parse([{ name: 'stops.txt', content: stops }]), /GTFS feed is missing trips.txt, stop_times.txt/);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Train = require('../models/Train');
+const TrainStop = require('../models/TrainStop');
+const { resolveJourneyDate, findNextJourneyDate } = require('../services/schedulingService');
+const { query } = require('./helpers');
+
+// 12615 leaves NDLS at 18:40 on Mon, Wed and Fri and reaches BPL at 02:20 the next morning
+const STOPS = [
+  { trainNumber: '12615', stopSequence: 1, stationCode: 'NDLS', arrivalTime: null, departureTime: '18:40' },
+  { trainNumber: '12615', stopSequence: 2, stationCode: 'AGC', arrivalTime: '21:55', departureTime: '22:00' },
+  { trainNumber: '12615', stopSequence: 3, stationCode: 'BPL', arrivalTime: '02:20', departureTime: '02:30' }
+];
+
+// Station time is IST (UTC+5:30); 9 Mar 2026 is a Monday
+const ist = (text) => new Date(`${text}+05:30`);
+
+describe('schedulingService journey dates', () => {
+  let train;
+
+  beforeEach(() => {
+    train = { trainNumber: '12615', runningDays: ['Mon', 'Wed', 'Fri'], isActive: true };
+    mock.method(Train, 'findOne', () => query(train));
+    mock.method(TrainStop, 'find', () => query(train ? STOPS : []));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('maps a date at a later station back to the run\'s start date', async () => {
+    const journey = await resolveJourneyDate('12615', { journeyDate: '2026-03-10', stationCode: 'BPL' });
+    assert.equal(journey.success, true);
+    assert.equal(journey.trainStartDate.toISOString(), ist('2026-03-09T00:00:00').toISOString());
+
+    const notRunning = await resolveJourneyDate('12615', { journeyDate: '2026-03-10', stationCode: 'NDLS' });
+    assert.equal(notRunning.code, 'NOT_RUNNING');
+  });
+
+  describe('findNextJourneyDate', () => {
+    it('skips days the train does not run', async () => {
+      const journey = await findNextJourneyDate('12615', { stationCode: 'BPL', after: ist('2026-03-09T12:00:00') });
+
+      assert.equal(journey.success, true);
+      assert.equal(journey.trainStartDate.toISOString(), ist('2026-03-09T00:00:00').toISOString());
+      assert.equal(journey.journeyDate.toISOString(), ist('2026-03-10T00:00:00').toISOString());
+    });
+
+    it('moves to the next run once the train has left the station', async () => {
+      const journey = await findNextJourneyDate('12615', { stationCode: 'AGC', after: ist('2026-03-09T22:00:00') });
+
+      assert.equal(journey.success, true);
+      assert.equal(journey.trainStartDate.toISOString(), ist('2026-03-11T00:00:00').toISOString());
+    });
+
+    it('takes today\'s run while it is still to come', async () => {
+      const journey = await findNextJourneyDate('12615', { stationCode: 'AGC', after: ist('2026-03-09T21:00:00') });
+      assert.equal(journey.trainStartDate.toISOString(), ist('2026-03-09T00:00:00').toISOString());
+    });
+
+    it('reports trains that are unknown or not in service', async () => {
+      train.isActive = false;
+      assert.equal((await findNextJourneyDate('12615', { stationCode: 'AGC' })).code, 'NOT_RUNNING');
+
+      train = null;
+      assert.equal((await findNextJourneyDate('99999', { stationCode: 'AGC' })).code, 'NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getAvailabilityOccurrences } = require('../services/shiftService');
+const { parseTimeToDate } = require('../services/schedulingService');
+const localTime = require('../services/localTime');
+
+// Weekly availability and timetables are in station local time (Asia/Kolkata,
+// UTC+05:30) whatever TZ the tests run in
+describe('station local time', () => {
+  it('uses the configured station zone, not the process zone', () => {
+    assert.equal(localTime.timeZone, 'Asia/Kolkata');
+    assert.equal(localTime.utcOffsetMinutes(new Date('2026-03-10T00:00:00Z')), 330);
+    assert.deepEqual(
+      localTime.localParts(new Date('2026-03-10T20:00:00Z')),
+      { year: 2026, month: 3, date: 11, hour: 1, minute: 30, second: 0, dayOfWeek: 3, minutes: 90, day: '2026-03-11' }
+    );
+  });
+
+  it('rolls local wall-clock times over day boundaries', () => {
+    assert.equal(localTime.fromLocal(2026, 3, 10, 25, 15).toISOString(), '2026-03-10T19:45:00.000Z');
+    assert.equal(localTime.localMidnight(new Date('2026-03-10T20:00:00Z')).toISOString(), '2026-03-10T18:30:00.000Z');
+    assert.equal(localTime.addLocalDays(new Date('2026-03-31T20:00:00Z'), 1).toISOString(), '2026-04-01T20:00:00.000Z');
+    assert.equal(localTime.localHourStart(new Date('2026-03-10T10:10:00Z')).toISOString(), '2026-03-10T09:30:00.000Z');
+    assert.equal(localTime.formatClock(new Date('2026-03-10T09:00:00Z')), '14:30');
+  });
+
+  it('reads timetable clock times in station local time', () => {
+    const day = new Date('2026-03-10T00:00:00+05:30');
+    assert.equal(parseTimeToDate('14:30', day).getTime(), new Date('2026-03-10T14:30:00+05:30').getTime());
+  });
+
+  it('places availability blocks on local days and merges blocks across midnight', () => {
+    // Tuesday 18:00-24:00 and Wednesday 00:00-06:00
+    const weekly = [
+      { dayOfWeek: 2, start: '18:00', end: '00:00' },
+      { dayOfWeek: 3, start: '00:00', end: '06:00' }
+    ];
+    const occurrences = getAvailabilityOccurrences(weekly,
+      new Date('2026-03-10T00:00:00+05:30'), new Date('2026-03-12T00:00:00+05:30'));
+
+    assert.deepEqual(occurrences, [{
+      start: new Date('2026-03-10T18:00:00+05:30'),
+      end: new Date('2026-03-11T06:00:00+05:30')
+    }]);
+    assert.equal(localTime.localParts(occurrences[0].start).dayOfWeek, 2);
+  });
+});
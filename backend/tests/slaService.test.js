@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ServiceTask = require('../models/ServiceTask');
+const SlaIncident = require('../models/SlaIncident');
+const Earning = require('../models/Earning');
+const AuditLog = require('../models/AuditLog');
+const {
+  recordCheckIn,
+  detectNoShows,
+  submitAppeal,
+  resolveAppeal,
+  classifyArrival
+} = require('../services/slaService');
+const { query } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const assistantId = new mongoose.Types.ObjectId();
+const expectedArrival = new Date('2026-03-10T06:00:00Z');
+
+function task(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    bookingId: new mongoose.Types.ObjectId(),
+    assignedAssistant: assistantId,
+    station: 'Chennai Central',
+    status: 'assigned',
+    assistantArrivalTime: expectedArrival,
+    ...fields
+  };
+}
+
+// SlaIncident.findOneAndUpdate stand-in that records the upserted incident
+function mockIncidentUpsert() {
+  const upsert = mock.method(SlaIncident, 'findOneAndUpdate', async (filter, update) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...filter,
+    ...update.$set
+  }));
+  mock.method(SlaIncident, 'findById', async id => ({ _id: id, ...upsert.mock.calls.at(-1)?.arguments[1].$set }));
+  return upsert;
+}
+
+describe('slaService', () => {
+  let earningLookups;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    // No earning yet, so applyTaskPenalty has nothing to deduct from
+    earningLookups = mock.method(Earning, 'findOne', async () => null);
+    mock.method(AuditLog, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('classifyArrival', () => {
+    it('allows the arrival window before counting as late', () => {
+      assert.deepEqual(classifyArrival(expectedArrival, new Date(expectedArrival.getTime() + 10 * MINUTE_MS)), { type: 'on_time', minutesLate: 10 });
+      assert.deepEqual(classifyArrival(expectedArrival, new Date(expectedArrival.getTime() + 11 * MINUTE_MS)), { type: 'late_arrival', minutesLate: 11 });
+      assert.deepEqual(classifyArrival(expectedArrival, new Date(expectedArrival.getTime() - 5 * MINUTE_MS)), { type: 'on_time', minutesLate: 0 });
+      assert.deepEqual(classifyArrival(null, new Date()), { type: 'on_time', minutesLate: 0 });
+    });
+  });
+
+  describe('recordCheckIn', () => {
+    it('opens a late arrival incident with its penalty', async () => {
+      const t = task();
+      mock.method(ServiceTask, 'findOneAndUpdate', async () => t);
+      mock.method(SlaIncident, 'findOne', async () => null);
+      const upsert = mockIncidentUpsert();
+
+      const result = await recordCheckIn(t._id, assistantId, new Date(expectedArrival.getTime() + 25 * MINUTE_MS));
+
+      assert.equal(result.success, true);
+      assert.equal(result.classification.type, 'late_arrival');
+      const [filter, update] = upsert.mock.calls[0].arguments;
+      assert.deepEqual(filter, { taskId: t._id, assistantId });
+      assert.equal(update.$set.type, 'late_arrival');
+      assert.equal(update.$set.minutesLate, 25);
+      assert.equal(update.$set.penaltyPercent, 10);
+      assert.equal(update.$setOnInsert.status, 'applied');
+      assert.equal(earningLookups.mock.callCount(), 1);
+      assert.equal(result.incident.type, 'late_arrival');
+    });
+
+    it('records an on-time check-in without an incident', async () => {
+      const t = task();
+      mock.method(ServiceTask, 'findOneAndUpdate', async () => t);
+      mock.method(SlaIncident, 'findOne', async () => null);
+      const upsert = mockIncidentUpsert();
+
+      const result = await recordCheckIn(t._id, assistantId, new Date(expectedArrival.getTime() + 5 * MINUTE_MS));
+
+      assert.equal(result.incident, null);
+      assert.equal(upsert.mock.callCount(), 0);
+    });
+
+    it('downgrades a flagged no-show to a late arrival when the assistant turns up', async () => {
+      const t = task();
+      mock.method(ServiceTask, 'findOneAndUpdate', async () => t);
+      mock.method(SlaIncident, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId(), type: 'no_show' }));
+      const upsert = mockIncidentUpsert();
+
+      const result = await recordCheckIn(t._id, assistantId, new Date(expectedArrival.getTime() + 40 * MINUTE_MS));
+
+      assert.equal(upsert.mock.calls[0].arguments[1].$set.type, 'late_arrival');
+      assert.equal(upsert.mock.calls[0].arguments[1].$set.penaltyPercent, 10);
+      assert.equal(result.incident.type, 'late_arrival');
+    });
+
+    it('explains why a check-in was refused', async () => {
+      mock.method(ServiceTask, 'findOneAndUpdate', async () => null);
+      const current = mock.method(ServiceTask, 'findById', () => query({ assignedAssistant: new mongoose.Types.ObjectId(), status: 'assigned' }));
+
+      assert.equal((await recordCheckIn('t1', assistantId)).code, 'FORBIDDEN');
+
+      current.mock.mockImplementation(() => query({ assignedAssistant: assistantId, status: 'assigned', checkedInAt: new Date() }));
+      assert.equal((await recordCheckIn('t1', assistantId)).code, 'ALREADY_CHECKED_IN');
+
+      current.mock.mockImplementation(() => query({ assignedAssistant: assistantId, status: 'completed', checkedInAt: null }));
+      const closed = await recordCheckIn('t1', assistantId);
+      assert.equal(closed.code, 'INVALID_STATE');
+      assert.equal(closed.message, 'Cannot check in to a completed task');
+
+      current.mock.mockImplementation(() => query(null));
+      assert.equal((await recordCheckIn('t1', assistantId)).code, 'NOT_FOUND');
+    });
+  });
+
+  describe('detectNoShows', () => {
+    it('flags tasks past the no-show cutoff once', async () => {
+      const now = new Date(expectedArrival.getTime() + 45 * MINUTE_MS);
+      const missed = task();
+      const alreadyFlagged = task();
+      const find = mock.method(ServiceTask, 'find', async () => [missed, alreadyFlagged]);
+      mock.method(SlaIncident, 'exists', async ({ taskId }) => (taskId === alreadyFlagged._id ? { _id: 'i1' } : null));
+      const upsert = mockIncidentUpsert();
+
+      const flagged = await detectNoShows(now);
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.assistantArrivalTime.$lt, new Date(now.getTime() - 30 * MINUTE_MS));
+      assert.deepEqual(filter.trainPassedStation, { $ne: true });
+      assert.deepEqual(flagged.map(f => f.task), [missed]);
+      assert.equal(upsert.mock.callCount(), 1);
+      assert.equal(upsert.mock.calls[0].arguments[1].$set.type, 'no_show');
+      assert.equal(upsert.mock.calls[0].arguments[1].$set.minutesLate, 45);
+      assert.equal(upsert.mock.calls[0].arguments[1].$set.penaltyPercent, 100);
+    });
+  });
+
+  describe('appeals', () => {
+    const incidentId = new mongoose.Types.ObjectId();
+
+    it('needs a reason and an applied incident owned by the assistant', async () => {
+      assert.equal((await submitAppeal(incidentId, assistantId, '  ')).code, 'INVALID');
+
+      mock.method(SlaIncident, 'findOneAndUpdate', async () => null);
+      mock.method(SlaIncident, 'findById', () => query({ status: 'applied', assistantId: new mongoose.Types.ObjectId() }));
+      assert.equal((await submitAppeal(incidentId, assistantId, 'Platform changed')).code, 'FORBIDDEN');
+    });
+
+    it('moves an applied incident to appealed', async () => {
+      const update = mock.method(SlaIncident, 'findOneAndUpdate', async (filter, fields) => ({ _id: incidentId, taskId: 't1', type: 'late_arrival', ...fields }));
+
+      const result = await submitAppeal(incidentId, assistantId, '  Platform changed at the last minute ');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(update.mock.calls[0].arguments[0], { _id: incidentId, assistantId, status: 'applied' });
+      assert.equal(result.incident.appeal.reason, 'Platform changed at the last minute');
+    });
+
+    it('waives the penalty when an appeal is accepted', async () => {
+      const taskId = new mongoose.Types.ObjectId();
+      const update = mock.method(SlaIncident, 'findOneAndUpdate', async (filter, fields) => ({ _id: incidentId, taskId, assistantId, type: 'no_show', ...fields }));
+      mock.method(SlaIncident, 'findById', async () => ({ _id: incidentId, status: 'waived' }));
+
+      const result = await resolveAppeal(incidentId, 'accepted', 'Train was diverted', { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.equal(update.mock.calls[0].arguments[0].status, 'appealed');
+      assert.equal(update.mock.calls[0].arguments[1].status, 'waived');
+      // The task earning is brought in line with the decision
+      assert.deepEqual(earningLookups.mock.calls[0].arguments[0], { taskId, assistantId, kind: 'task' });
+      assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, 'sla_appeal_accepted');
+    });
+
+    it('upholds the penalty when an appeal is rejected', async () => {
+      const update = mock.method(SlaIncident, 'findOneAndUpdate', async (filter, fields) => ({ _id: incidentId, taskId: 't1', assistantId, ...fields }));
+      mock.method(SlaIncident, 'findById', async () => ({ _id: incidentId, status: 'upheld' }));
+
+      await resolveAppeal(incidentId, 'rejected', '', { id: 'admin1', role: 'admin' });
+
+      assert.equal(update.mock.calls[0].arguments[1].status, 'upheld');
+      assert.equal((await resolveAppeal(incidentId, 'maybe')).code, 'INVALID');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+const {
+  getStation,
+  getStationType,
+  isSameStation,
+  getPublicStations,
+  validateStationInput,
+  createStation,
+  updateStation,
+  deactivateStation,
+  clearStationCache
+} = require('../services/stationService');
+const { query } = require('./helpers');
+
+const NEW_DELHI = {
+  code: 'NDLS',
+  name: 'New Delhi',
+  aliases: ['NEW DELHI JN'],
+  nameKeys: ['NDLS', 'NEW DELHI', 'NEW DELHI JN'],
+  stationType: 'junction',
+  isActive: true,
+  location: { type: 'Point', coordinates: [77.2197, 28.6430] }
+};
+
+// Station.findOne stand-in answering code and nameKeys lookups from `stations`
+function mockStationLookups(stations) {
+  return mock.method(Station, 'findOne', filter => query(
+    stations.find(s => (filter.code ? s.code === filter.code : s.nameKeys.includes(filter.nameKeys))) || null
+  ));
+}
+
+describe('stationService', () => {
+  beforeEach(() => {
+    clearStationCache();
+    mock.method(console, 'log', () => {});
+    mock.method(AuditLog, 'create', async () => ({}));
+    // save() runs the model hooks (type, nameKeys) without a database
+    mock.method(Station.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('lookups', () => {
+    it('finds a station by code, name or alias', async () => {
+      mockStationLookups([NEW_DELHI]);
+
+      assert.equal(await getStation('ndls'), NEW_DELHI);
+      assert.equal(await getStation(' New Delhi '), NEW_DELHI);
+      assert.equal(await getStation('NEW DELHI JN'), NEW_DELHI);
+      assert.equal(await getStation(''), null);
+    });
+
+    it('caches hits and misses until an admin change', async () => {
+      const findOne = mockStationLookups([new Station(NEW_DELHI)]);
+
+      await getStation('NDLS');
+      await getStation('NDLS');
+      assert.equal(await getStation('XYZ'), null);
+      await getStation('XYZ');
+      // NDLS by code once; XYZ by code and then by name once
+      assert.equal(findOne.mock.callCount(), 3);
+
+      await deactivateStation('NDLS');
+      await getStation('NDLS');
+      assert.equal(findOne.mock.callCount(), 5);
+    });
+
+    it('treats stations missing from master data as regular', async () => {
+      mockStationLookups([NEW_DELHI]);
+
+      assert.equal(await getStationType({ code: 'NDLS' }), 'junction');
+      assert.equal(await getStationType({ name: 'Nowhere Halt' }), 'regular');
+    });
+
+    it('matches names and aliases of the same station', async () => {
+      mockStationLookups([NEW_DELHI]);
+
+      assert.equal(await isSameStation('New Delhi', 'NDLS'), true);
+      assert.equal(await isSameStation('NEW DELHI JN', 'new delhi'), true);
+      assert.equal(await isSameStation('New Delhi', 'MAS'), false);
+      assert.equal(await isSameStation('', 'NDLS'), false);
+    });
+
+    it('returns public details with the location as lat/lng', async () => {
+      const find = mock.method(Station, 'find', () => query([NEW_DELHI]));
+
+      const stations = await getPublicStations(['ndls', 'NDLS', '']);
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { code: { $in: ['NDLS'] }, isActive: true });
+      assert.deepEqual(stations.get('NDLS').location, { lat: 28.6430, lng: 77.2197 });
+      assert.equal((await getPublicStations([])).size, 0);
+    });
+  });
+
+  describe('admin changes', () => {
+    it('validates codes, categories and facilities', () => {
+      const { errors } = validateStationInput({
+        code: 'TOO-LONG-CODE',
+        name: ' ',
+        category: 'XX1',
+        facilities: { lifts: -1, accessibleToilets: 'yes' },
+        location: { lat: 100, lng: 0 }
+      });
+      assert.deepEqual(errors, [
+        'code must be 1-8 letters or digits',
+        'name is required',
+        'category must be one of NSG1, NSG2, NSG3, NSG4, NSG5, NSG6, SG1, SG2, SG3, HG1, HG2, HG3',
+        'facilities.lifts must be a whole number of 0 or more',
+        'facilities.accessibleToilets must be true or false',
+        'location must be { lat, lng } in degrees, or null'
+      ]);
+      assert.equal(validateStationInput({ platformCount: 4 }, { partial: true }).valid, true);
+    });
+
+    it('creates a station with its type and lookup names', async () => {
+      mock.method(Station, 'exists', async () => null);
+
+      const result = await createStation({
+        code: 'hgr',
+        name: 'Halt Gram',
+        aliases: ['HALT GRAM ', ''],
+        category: 'HG2',
+        location: { lat: 12.5, lng: 78.1 }
+      }, { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.station.code, 'HGR');
+      assert.equal(result.station.stationType, 'halt');
+      assert.deepEqual([...result.station.nameKeys], ['HGR', 'HALT GRAM']);
+      assert.deepEqual([...result.station.location.coordinates], [78.1, 12.5]);
+      assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, 'station_created');
+    });
+
+    it('refuses a duplicate code', async () => {
+      mock.method(Station, 'exists', async () => ({ _id: 'x' }));
+
+      const result = await createStation({ code: 'NDLS', name: 'New Delhi' });
+
+      assert.deepEqual(result, { success: false, code: 'CONFLICT', message: 'Station NDLS already exists' });
+    });
+
+    it('merges facilities and lets an override change the type', async () => {
+      const station = new Station({ code: 'MAS', name: 'Chennai Central', category: 'NSG1', facilities: { lifts: 4, ramps: 2 } });
+      mock.method(Station, 'findOne', async () => station);
+
+      const result = await updateStation('mas', { typeOverride: 'terminal', facilities: { lifts: 6 } }, { id: 'admin1', role: 'admin' });
+
+      assert.equal(result.success, true);
+      assert.equal(station.facilities.lifts, 6);
+      assert.equal(station.facilities.ramps, 2);
+      assert.equal(station.stationType, 'terminal');
+      assert.equal((await updateStation('MAS', { code: 'MS' })).message, 'Station code cannot be changed');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ServiceTask = require('../models/ServiceTask');
+const Booking = require('../models/Booking');
+const trainDelayTracker = require('../services/trainDelayTracker');
+const { normalizeRunningStatus } = require('../services/trainStatusProviders/runningStatus');
+const { query } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+// 12615 leaves NDLS in the evening and reaches BPL at 02:20 the next morning
+function runningStatus({ journeyDate, currentStationCode, delayMinutes }) {
+  return normalizeRunningStatus({
+    trainNumber: '12615',
+    journeyDate,
+    currentStationCode,
+    stations: [
+      { stationCode: 'NDLS', stopSequence: 1, scheduledArrival: '15:50', delayMinutes },
+      { stationCode: 'AGC', stopSequence: 2, scheduledArrival: '19:30', delayMinutes },
+      { stationCode: 'BPL', stopSequence: 3, scheduledArrival: '02:20', dayOffset: 1, delayMinutes },
+      { stationCode: 'NGP', stopSequence: 4, scheduledArrival: '09:05', dayOffset: 1, delayMinutes }
+    ]
+  }, 'Test');
+}
+
+// Pickup at BPL for the run that left its origin on `trainStartDate`
+function bplTask(id, trainStartDate, trainArrival) {
+  const arrival = new Date(trainArrival);
+  return {
+    _id: id,
+    bookingId: `booking-${id}`,
+    trainStartDate: new Date(trainStartDate),
+    trainNumber: '12615',
+    station: 'BPL',
+    stopSequence: 3,
+    taskType: 'pickup',
+    status: 'assigned',
+    bufferMinutes: 30,
+    trainArrivalTime: '02:20',
+    originalTrainArrival: arrival,
+    scheduledTime: new Date(arrival.getTime() - 30 * MINUTE_MS),
+    assistantArrivalTime: new Date(arrival.getTime() - 30 * MINUTE_MS),
+    rescheduleHistory: [],
+    save: mock.fn(async () => {})
+  };
+}
+
+describe('trainDelayTracker', () => {
+  let tasks;
+  let events;
+
+  // Three runs of the same train, leaving NDLS on 9, 10 and 11 Mar
+  beforeEach(() => {
+    tasks = [
+      bplTask('yesterday', '2026-03-08T18:30:00Z', '2026-03-09T20:50:00Z'),
+      bplTask('today', '2026-03-09T18:30:00Z', '2026-03-10T20:50:00Z'),
+      bplTask('tomorrow', '2026-03-10T18:30:00Z', '2026-03-11T20:50:00Z')
+    ];
+    events = [];
+    mock.method(ServiceTask, 'find', () => query(tasks));
+    mock.method(Booking, 'find', (filter) => query(tasks
+      .filter(t => filter._id.$in.includes(t.bookingId))
+      .map(t => ({ _id: t.bookingId, trainStartDate: t.trainStartDate }))));
+    for (const name of ['taskRescheduled', 'taskStationPassed']) {
+      trainDelayTracker.on(name, (data) => events.push({ name, taskId: data.task._id }));
+    }
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    trainDelayTracker.removeAllListeners();
+    mock.restoreAll();
+  });
+
+  const byId = (id) => tasks.find(t => t._id === id);
+
+  it('reschedules only the task on the delayed run', async () => {
+    const status = runningStatus({ journeyDate: '2026-03-10', currentStationCode: 'AGC', delayMinutes: 40 });
+
+    await trainDelayTracker.handleTrainDelay('12615', status);
+
+    const today = byId('today');
+    assert.equal(today.expectedTrainArrival.toISOString(), '2026-03-10T21:30:00.000Z');
+    assert.equal(today.scheduledTime.toISOString(), '2026-03-10T21:00:00.000Z');
+    assert.equal(today.currentDelayMinutes, 40);
+
+    // The 10 Mar run's expected times must not drag the other runs by a day
+    assert.equal(byId('yesterday').scheduledTime.toISOString(), '2026-03-09T20:20:00.000Z');
+    assert.equal(byId('tomorrow').scheduledTime.toISOString(), '2026-03-11T20:20:00.000Z');
+    for (const id of ['yesterday', 'tomorrow']) {
+      assert.equal(byId(id).expectedTrainArrival, undefined);
+      assert.equal(byId(id).save.mock.callCount(), 0);
+    }
+    assert.deepEqual(events, [{ name: 'taskRescheduled', taskId: 'today' }]);
+  });
+
+  it('flags a passed station only on the run that passed it', async () => {
+    const status = runningStatus({ journeyDate: '2026-03-10', currentStationCode: 'NGP', delayMinutes: 0 });
+
+    await trainDelayTracker.handleTrainDelay('12615', status);
+
+    assert.equal(byId('today').trainPassedStation, true);
+    for (const id of ['yesterday', 'tomorrow']) {
+      assert.equal(byId(id).trainPassedStation, undefined);
+      assert.equal(byId(id).save.mock.callCount(), 0);
+    }
+    assert.deepEqual(events, [{ name: 'taskStationPassed', taskId: 'today' }]);
+  });
+
+  it('places tasks by scheduled time when the status has no journey date', async () => {
+    // Undated payloads are read as today's run; a task on another day stays put
+    const status = runningStatus({ currentStationCode: 'AGC', delayMinutes: 40 });
+    const bpl = status.expectedArrival.find(s => s.stationCode === 'BPL');
+    tasks = [
+      bplTask('this-run', '2026-03-09T18:30:00Z', bpl.scheduledTime),
+      bplTask('previous-run', '2026-03-08T18:30:00Z', new Date(bpl.scheduledTime.getTime() - 24 * 60 * MINUTE_MS))
+    ];
+
+    await trainDelayTracker.handleTrainDelay('12615', status);
+
+    assert.equal(byId('this-run').currentDelayMinutes, 40);
+    assert.equal(byId('previous-run').save.mock.callCount(), 0);
+    assert.equal(Booking.find.mock.callCount(), 0);
+    assert.deepEqual(events, [{ name: 'taskRescheduled', taskId: 'this-run' }]);
+  });
+
+  it('leaves tasks on other runs out of the excessive delay escalation', async () => {
+    const status = runningStatus({ journeyDate: '2026-03-10', currentStationCode: 'AGC', delayMinutes: 400 });
+    const escalated = [];
+    trainDelayTracker.on('excessiveDelay', (data) => escalated.push(data.task._id));
+
+    await trainDelayTracker.handleTrainDelay('12615', status);
+
+    assert.deepEqual(escalated, ['today']);
+  });
+});
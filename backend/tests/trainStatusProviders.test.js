@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const schedulingConfig = require('../config/scheduling.config');
+const { buildProviders, fetchWithFailover } = require('../services/trainStatusProviders');
+const { normalizeRunningStatus } = require('../services/trainStatusProviders/runningStatus');
+const FileReplayProvider = require('../services/trainStatusProviders/fileReplayProvider');
+
+describe('train status providers', () => {
+  it('leaves the replay source off unless TRAIN_STATUS_REPLAY_DIR is set', () => {
+    const replay = schedulingConfig.trainDelay.dataSources.find(ds => ds.provider === 'file');
+    assert.equal(replay.enabled, Boolean(process.env.TRAIN_STATUS_REPLAY_DIR));
+    if (!process.env.TRAIN_STATUS_REPLAY_DIR) {
+      assert.ok(buildProviders(schedulingConfig.trainDelay.dataSources).every(p => p.name !== replay.name));
+    }
+  });
+
+  it('anchors HH:MM times to the run in station local time', () => {
+    const status = normalizeRunningStatus({
+      trainNumber: '12615',
+      journeyDate: '2026-03-10',
+      currentStationCode: 'agc',
+      stations: [
+        { stationCode: 'NDLS', stopSequence: 1, departed: true },
+        { stationCode: 'AGC', stopSequence: 2, scheduledArrival: '19:30', actualArrival: '19:52' },
+        { stationCode: 'BPL', stopSequence: 3, scheduledArrival: '02:20', dayOffset: 1, delayMinutes: 25 }
+      ]
+    }, 'Test');
+
+    assert.equal(status.journeyDate.toISOString(), '2026-03-09T18:30:00.000Z');
+    assert.equal(status.lastStationSequence, 2);
+    assert.equal(status.nextStation, 'BPL');
+
+    const [, agc, bpl] = status.expectedArrival;
+    assert.equal(agc.scheduledTime.toISOString(), '2026-03-10T14:00:00.000Z');
+    assert.equal(agc.delayMinutes, 22);
+    assert.equal(bpl.scheduledTime.toISOString(), '2026-03-10T20:50:00.000Z');
+    assert.equal(bpl.expectedTime.toISOString(), '2026-03-10T21:15:00.000Z');
+  });
+
+  it('does not invent a journey date for a payload without one', () => {
+    const status = normalizeRunningStatus({ trainNumber: '12615', stations: [] }, 'Test');
+    assert.equal(status.journeyDate, null);
+  });
+
+  it('replays recorded frames in order and repeats the last one', async () => {
+    const provider = new FileReplayProvider({ name: 'Replay', dir: 'data/running-status' });
+    const first = await fetchWithFailover('12615', [provider]);
+    const second = await provider.fetchStatus('12615');
+    assert.equal(first.status.source, 'Replay');
+    assert.equal(first.status.lastStation, 'BPL');
+    assert.notDeepEqual(second.expectedArrival, first.status.expectedArrival);
+    assert.equal(await provider.fetchStatus('99999'), null);
+  });
+});
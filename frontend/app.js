@@ -107,8 +107,7 @@ form.addEventListener('submit', async (e) => {
         <h3>Thank you for booking</h3>
         <div><strong>${b.passengerName}</strong> — ${b.station}</div>
         <div>Status: <span class="status-badge ${statusClass}">${b.status}</span></div>
-        <div>Start OTP: ${b.otp||'-'}</div>
-        <div>Completion OTP: ${b.completionOtp||'-'}</div>
+        <div>Your OTPs are sent to your phone by SMS.</div>
       </div>`;
       if (bookingCard && !window.bookingFormPinned) bookingCard.style.display = 'none';
       form.reset();
@@ -181,8 +180,6 @@ async function renderBookingsFor(name) {
             el.innerHTML = `<div><strong>${b.passengerName}</strong> — ${b.station} — <span class="status-badge ${sc}">${b.status}</span></div>
               <div>Train: ${b.trainName||'-'} Coach/Seat: ${b.coach||''}/${b.seat||''}</div>
               <div>Assistant: ${assistantText}</div>
-              <div>Start OTP: ${b.otp || '-'}</div>
-              <div>Completion OTP: ${b.completionOtp || '-'}</div>
               ${feedbackHtml}`;
       myBookings.appendChild(el);
     }
@@ -254,13 +251,30 @@ if (viewBtn) {
   });
 }
 
+      // Live updates: the server pushes booking_status for every booking this passenger owns.
+      // Falls back to polling only when the realtime connection is unavailable.
       let _passengerPoll = null;
+      let _passengerUnsub = null;
+      let _passengerRender = null;
       function startPassengerPolling(name) {
         stopPassengerPolling();
+        const rt = window.RailCareRealtime;
+        if (!rt) return startPassengerFallbackPoll(name);
+        _passengerUnsub = rt.on('booking_status', () => {
+          // coalesce bursts (e.g. accept + start) into one re-render
+          clearTimeout(_passengerRender);
+          _passengerRender = setTimeout(() => renderBookingsFor(name), 300);
+        });
+        rt.connect().catch(() => {
+          if (_passengerUnsub) startPassengerFallbackPoll(name);
+        });
+      }
+
+      function startPassengerFallbackPoll(name) {
+        if (_passengerPoll) clearInterval(_passengerPoll);
         _passengerPoll = setInterval(async () => {
           try {
             await renderBookingsFor(name);
-            // no passenger-side confirmation handlers
           } catch (err) {
             // ignore polling errors
           }
@@ -270,6 +284,9 @@ if (viewBtn) {
       function stopPassengerPolling() {
         if (_passengerPoll) clearInterval(_passengerPoll);
         _passengerPoll = null;
+        if (_passengerUnsub) _passengerUnsub();
+        _passengerUnsub = null;
+        clearTimeout(_passengerRender);
       }
 
       // on page load, if passenger is logged in show their bookings automatically
@@ -432,8 +432,28 @@ async function refreshAssistantInfo() {
   } catch (err) { /* ignore */ }
 }
 
+// Live updates: the server pushes booking_status/task_event to this assistant's room.
+// Falls back to polling only when the realtime connection is unavailable.
 let _pollHandle = null;
+let _assistantUnsubs = [];
 function startAssistantPolling() {
+  if (_pollHandle || _assistantUnsubs.length) return;
+  const rt = window.RailCareRealtime;
+  if (!rt) return startAssistantFallbackPoll();
+  const onChange = () => {
+    refreshAssistantInfo();
+    // the detail view refreshes itself from its own booking subscription
+    if (!_currentDetailId) loadBookings();
+  };
+  _assistantUnsubs = [
+    rt.on('booking_status', onChange),
+    rt.on('task_event', onChange),
+    rt.on('connect', refreshAssistantInfo)
+  ];
+  rt.connect().catch(() => startAssistantFallbackPoll());
+}
+
+function startAssistantFallbackPoll() {
   if (_pollHandle) return;
   _pollHandle = setInterval(() => {
     refreshAssistantInfo();
@@ -443,6 +463,8 @@ function startAssistantPolling() {
 function stopAssistantPolling() {
   if (_pollHandle) clearInterval(_pollHandle);
   _pollHandle = null;
+  _assistantUnsubs.forEach(unsub => unsub());
+  _assistantUnsubs = [];
 }
 
 async function loadBookings() {
@@ -535,6 +557,7 @@ async function loadBookings() {
 
 // Detail view management
 let _detailPoll = null;
+let _detailUnsub = null;
 let _currentDetailId = null;
 
 async function showBookingDetail(id) {
@@ -553,25 +576,42 @@ async function showBookingDetail(id) {
 function stopDetailPolling() {
   if (_detailPoll) clearInterval(_detailPoll);
   _detailPoll = null;
+  if (_detailUnsub) _detailUnsub();
+  _detailUnsub = null;
+  if (_currentDetailId) window.RailCareRealtime?.unsubscribeBooking(_currentDetailId);
   _currentDetailId = null;
 }
 
-function startDetailPolling(id) {
-  _detailPoll = setInterval(async () => {
-    try {
-      const res = await fetch(`http://localhost:3000/api/bookings/${id}`);
-      const d = await res.json();
-      if (d.success && d.booking) {
-        // update UI
-        renderDetail(d.booking);
-        if (d.booking.status === 'Completed') {
-          stopDetailPolling();
-          alert('Booking completed');
-          loadBookings();
-        }
+async function refreshDetail(id) {
+  try {
+    const res = await fetch(`http://localhost:3000/api/bookings/${id}`);
+    const d = await res.json();
+    if (d.success && d.booking && _currentDetailId === id) {
+      // update UI
+      renderDetail(d.booking);
+      if (d.booking.status === 'Completed') {
+        stopDetailPolling();
+        alert('Booking completed');
+        loadBookings();
       }
-    } catch (e) { /* ignore */ }
-  }, 3000);
+    }
+  } catch (e) { /* ignore */ }
+}
+
+// Re-render the open booking whenever the server pushes a change for it
+function startDetailPolling(id) {
+  const rt = window.RailCareRealtime;
+  if (!rt) {
+    _detailPoll = setInterval(() => refreshDetail(id), 3000);
+    return;
+  }
+  rt.subscribeBooking(id);
+  _detailUnsub = rt.on('booking_status', (evt) => {
+    if (evt.bookingId === id) refreshDetail(id);
+  });
+  rt.connect().catch(() => {
+    if (_currentDetailId === id && !_detailPoll) _detailPoll = setInterval(() => refreshDetail(id), 3000);
+  });
 }
 
 function renderDetail(b) {
@@ -636,7 +676,7 @@ function renderDetail(b) {
       const res = await fetcher(`/api/bookings/${id}/verify-otp`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ otp }) });
       const data = await res.json();
       if (data.success) { alert('OTP verified. Status set to In Progress'); showBookingDetail(id); }
-      else alert('Invalid OTP');
+      else alert(data.message || 'Invalid OTP');
     } catch (err) { alert(err.message) }
   }));
   el.querySelectorAll('.requestComplete').forEach(btn => btn.addEventListener('click', async (e) => {
@@ -670,9 +710,9 @@ async function acceptBooking(e) {
   if (!assistant.verified) return alert('Your account is not verified by admin yet.');
   try {
     const fetcher = window.RailCareAuth?.authFetch || fetch;
+    // Accepts this assistant's open offer - the backend knows who is signed in
     const res = await fetcher(`/api/bookings/${id}/accept`, {
-      method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ assistantId: assistant._id })
+      method: 'POST', headers: { 'Content-Type': 'application/json' }
     });
     const data = await res.json();
     if (data.success) { alert('Accepted'); loadBookings(); }
@@ -683,15 +723,12 @@ async function acceptBooking(e) {
 async function rejectBooking(e) {
   const id = e.target.dataset.id;
   try {
-    // If this assistant is currently assigned to the booking, include assistantId so backend reopens booking
-    const body = {};
-    // bailsafe: attempt to read assistant id from local assistant object
-    if (assistant && assistant._id) body.assistantId = assistant._id;
+    // The backend reopens the booking when the signed-in assistant is the one assigned
     const fetcher = window.RailCareAuth?.authFetch || fetch;
-    const res = await fetcher(`/api/bookings/${id}/reject`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const res = await fetcher(`/api/bookings/${id}/reject`, { method: 'POST', headers: { 'Content-Type': 'application/json' } });
     const data = await res.json();
     if (data.success) { alert('Rejected'); loadBookings(); }
-    else alert('Reject failed');
+    else alert('Reject failed: ' + (data.message||JSON.stringify(data)));
   } catch (err) { alert(err.message) }
 }
 
@@ -707,7 +744,7 @@ async function verifyOtp(e) {
     });
     const data = await res.json();
     if (data.success) { alert('OTP verified. Status set to In Progress'); loadBookings(); }
-    else alert('OTP invalid');
+    else alert(data.message || 'OTP invalid');
   } catch (err) { alert(err.message) }
 }
 
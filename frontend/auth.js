@@ -136,7 +136,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
           const res = await fetch(API_BASE + '/auth/request-reset', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ phone }) });
           const j = await res.json();
-          if (j.success) { resetMsg.textContent = 'Reset token: ' + (j.token || 'sent'); }
+          if (j.success) { resetMsg.textContent = j.message || 'Reset code sent'; }
           else resetMsg.textContent = j.message || 'Request failed';
         } catch (e) { resetMsg.textContent = e.message }
       });
@@ -0,0 +1,107 @@
+// realtime.js - push updates for booking status and task events over Socket.IO
+// Pages subscribe here instead of polling REST endpoints on timers.
+// Server events: booking_status { bookingId, status, previousStatus, ... }, task_event { type, task, details },
+// assistant_notice { type, message, details } (assistants only)
+// Assistants send location_update { taskId?, latitude, longitude, accuracy, speed, heading, timestamp }
+(function() {
+  const SOCKET_URL = 'http://localhost:3000';
+  const SOCKET_IO_CDN = 'https://cdn.socket.io/4.7.5/socket.io.min.js';
+
+  let socket = null;
+  let connecting = null;
+  const bookingSubs = new Set();
+  const stationSubs = new Set();
+  const handlers = { booking_status: [], task_event: [], assistant_notice: [], connect: [], disconnect: [] };
+
+  function loadClient() {
+    if (window.io) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      // socketio-loader.js may already be fetching the client
+      document.addEventListener('socketio-ready', () => resolve(), { once: true });
+      if (document.querySelector(`script[src="${SOCKET_IO_CDN}"]`)) return;
+      const script = document.createElement('script');
+      script.src = SOCKET_IO_CDN;
+      script.onload = () => { window.ioLoaded = true; document.dispatchEvent(new Event('socketio-ready')); };
+      script.onerror = () => reject(new Error('Failed to load Socket.IO client'));
+      document.head.appendChild(script);
+    });
+  }
+
+  function getToken() {
+    if (window.RailCareAuth?.getToken) return window.RailCareAuth.getToken();
+    return localStorage.getItem('railcare_token') || sessionStorage.getItem('railcare_token');
+  }
+
+  function emit(event, payload) {
+    if (socket && socket.connected) socket.emit(event, payload);
+  }
+
+  // Connect once per page; resolves with the socket, rejects if the server refuses the token
+  function connect() {
+    if (socket) return Promise.resolve(socket);
+    if (connecting) return connecting;
+    connecting = loadClient().then(() => new Promise((resolve, reject) => {
+      const s = io(SOCKET_URL, { auth: { token: getToken() } });
+      s.on('connect', () => {
+        socket = s;
+        // rooms are per connection - restore them after a reconnect
+        bookingSubs.forEach(bookingId => s.emit('subscribe_booking', { bookingId }));
+        stationSubs.forEach(station => s.emit('subscribe_station', { station }));
+        handlers.connect.forEach(fn => fn());
+        resolve(s);
+      });
+      s.on('connect_error', err => {
+        console.error('[Realtime] Connection refused:', err.message);
+        if (!socket) { s.disconnect(); connecting = null; reject(err); }
+      });
+      s.on('disconnect', () => handlers.disconnect.forEach(fn => fn()));
+      s.on('booking_status', data => handlers.booking_status.forEach(fn => fn(data)));
+      s.on('task_event', data => handlers.task_event.forEach(fn => fn(data)));
+      s.on('assistant_notice', data => handlers.assistant_notice.forEach(fn => fn(data)));
+    }));
+    return connecting;
+  }
+
+  function on(event, fn) {
+    if (!handlers[event]) throw new Error('Unknown realtime event: ' + event);
+    handlers[event].push(fn);
+    return () => { handlers[event] = handlers[event].filter(h => h !== fn); };
+  }
+
+  function subscribeBooking(bookingId) {
+    if (!bookingId) return;
+    bookingSubs.add(String(bookingId));
+    emit('subscribe_booking', { bookingId: String(bookingId) });
+  }
+
+  function unsubscribeBooking(bookingId) {
+    if (!bookingId) return;
+    bookingSubs.delete(String(bookingId));
+    emit('unsubscribe_booking', { bookingId: String(bookingId) });
+  }
+
+  // admin only - '*' follows every station
+  function subscribeStation(station) {
+    if (!station) return;
+    stationSubs.add(station);
+    emit('subscribe_station', { station });
+  }
+
+  function unsubscribeStation(station) {
+    stationSubs.delete(station);
+    emit('unsubscribe_station', { station });
+  }
+
+  // assistant only - one position fix for the current task; resolves with the server's ack
+  function sendLocation(fix) {
+    return new Promise(resolve => {
+      if (!socket || !socket.connected) return resolve({ error: 'Not connected' });
+      socket.emit('location_update', fix, resolve);
+    });
+  }
+
+  window.RailCareRealtime = {
+    connect, on, subscribeBooking, unsubscribeBooking, subscribeStation, unsubscribeStation, sendLocation,
+    isConnected: () => Boolean(socket && socket.connected)
+  };
+})();
@@ -1,3 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// OTPs are only sent to the passenger - start the server with SMS_ADAPTER=file so the
+// SMS file sink writes them to <NOTIFICATIONS_DIR>/sms.jsonl (config/notifications.config.js)
+const smsLog = path.join(process.env.NOTIFICATIONS_DIR || path.join(os.tmpdir(), 'railmitra-notifications'), 'sms.jsonl');
+async function readSentOtp(bookingId, event) {
+  for (let i = 0; i < 10; i++) {
+    const lines = fs.existsSync(smsLog) ? fs.readFileSync(smsLog, 'utf8').trim().split('\n') : [];
+    const sent = lines.filter(Boolean).map(l => JSON.parse(l)).reverse()
+      .find(m => m.data && m.data.event === event && String(m.data.bookingId) === String(bookingId));
+    const match = sent && sent.text.match(/\b(\d{6})\b/);
+    if (match) return match[1];
+    await new Promise(r => setTimeout(r, 500));
+  }
+  return null;
+}
+
 (async ()=>{
   const base='http://localhost:3000';
   const jprint = (label, obj)=>{ console.log('\n=== '+label+' ==='); console.log(JSON.stringify(obj, null, 2)); };
@@ -7,8 +26,11 @@
     const admin = await adminRes.json(); jprint('admin', admin);
     const adminToken = admin.token;
 
-    // create assistant
-    const asstRes = await fetch(base + '/api/assistants/register', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name:'TestAssistant', station:'Secunderabad', languages:['English'] }) });
+    // create assistant (signed in - the OTP endpoints require the assigned assistant's token)
+    const asstUserRes = await fetch(base + '/api/auth/register', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ name:'TestAssistant', phone:'9000000003', password:'asstpass', role:'assistant' }) });
+    const asstUser = await asstUserRes.json(); jprint('assistantUser', asstUser);
+    const asstToken = asstUser.token;
+    const asstRes = await fetch(base + '/api/assistants/register', { method:'POST', headers:{'Content-Type':'application/json', 'Authorization': 'Bearer '+asstToken }, body: JSON.stringify({ name:'TestAssistant', station:'Secunderabad', languages:['English'] }) });
     const asst = await asstRes.json(); jprint('assistantCreated', asst);
     const asstId = asst.assistant._id || asst.assistantId || asst._id;
 
@@ -22,7 +44,7 @@
     const passToken = pass.token;
 
     // create booking
-    const createRes = await fetch(base + '/api/bookings', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ passengerName:'P1', station:'Secunderabad', trainName:'Express 1', coach:'S1', seat:'12', services:['Luggage'], language:'English', price:120 }) });
+    const createRes = await fetch(base + '/api/bookings', { method:'POST', headers:{'Content-Type':'application/json', 'Authorization':'Bearer '+passToken }, body: JSON.stringify({ passengerName:'P1', passengerPhone:'9000000002', station:'Secunderabad', trainName:'Express 1', coach:'S1', seat:'12', services:['Luggage'], language:'English', price:120 }) });
     const booking = await createRes.json(); jprint('bookingCreated', booking);
     const bookingId = booking.booking?._id || booking.bookingId || booking._id;
 
@@ -30,30 +52,17 @@
     const acceptRes = await fetch(base + `/api/bookings/${bookingId}/accept`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ assistantId: asstId }) });
     const acc = await acceptRes.json(); jprint('accepted', acc);
 
-    // verify OTP (assistant uses booking.otp)
-    const otp = booking.booking?.otp || booking.otp;
-    const verifyRes = await fetch(base + `/api/bookings/${bookingId}/verify-otp`, { method:'POST', headers:{'Content-Type':'application/json', 'Authorization': 'Bearer '+adminToken }, body: JSON.stringify({ otp }) });
-    // Note: verify endpoint requires assistant auth; we don't have assistant token, so using admin token may be rejected. We'll attempt without auth as fallback.
-    let verify;
-    if (verifyRes.ok) { verify = await verifyRes.json(); jprint('verifyWithAdmin', verify); }
-    else {
-      const v2 = await fetch(base + `/api/bookings/${bookingId}/verify-otp`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ otp }) });
-      verify = await v2.json(); jprint('verifyWithoutAuth', verify);
-    }
+    // verify OTP (the passenger shares the booking OTP sent to them)
+    const otp = await readSentOtp(bookingId, 'booking_otp');
+    const verifyRes = await fetch(base + `/api/bookings/${bookingId}/verify-otp`, { method:'POST', headers:{'Content-Type':'application/json', 'Authorization': 'Bearer '+asstToken }, body: JSON.stringify({ otp }) });
+    const verify = await verifyRes.json(); jprint('verifyOtp', verify);
 
     // request completion (assistant)
-    const compReq = await fetch(base + `/api/bookings/${bookingId}/complete-request`, { method:'POST', headers:{'Content-Type':'application/json', 'Authorization': 'Bearer '+adminToken } });
-    let compRes = await compReq.json(); jprint('completeRequest', compRes);
-    if (!compReq.ok) {
-      // try without auth
-      const cr2 = await fetch(base + `/api/bookings/${bookingId}/complete-request`, { method:'POST' });
-      compRes = await cr2.json(); jprint('completeRequestNoAuth', compRes);
-    }
+    const compReq = await fetch(base + `/api/bookings/${bookingId}/complete-request`, { method:'POST', headers:{'Content-Type':'application/json', 'Authorization': 'Bearer '+asstToken } });
+    const compRes = await compReq.json(); jprint('completeRequest', compRes);
 
-    // fetch booking to get completionOtp
-    const fetchBooking = await fetch(base + `/api/bookings/${bookingId}`);
-    const bookingNow = await fetchBooking.json(); jprint('bookingNow', bookingNow);
-    const completionOtp = bookingNow.booking?.completionOtp;
+    // completion OTP sent to the passenger
+    const completionOtp = await readSentOtp(bookingId, 'completion_otp');
 
     // passenger confirm completion (requires passenger auth token)
     if (completionOtp) {
@@ -1,13 +1,3 @@
-const allowedTransitions = {
-  SEARCHING: ['ASSIGNED', 'CANCELLED', 'EMERGENCY'],
-  ASSIGNED: ['ASSISTANT_EN_ROUTE', 'CANCELLED', 'EMERGENCY'],
-  ASSISTANT_EN_ROUTE: ['IN_PROGRESS', 'CANCELLED', 'EMERGENCY'],
-  IN_PROGRESS: ['COMPLETED', 'CANCELLED', 'EMERGENCY'],
-  COMPLETED: [],
-  CANCELLED: [],
-  EMERGENCY: []
-};
-function canTransition(current, next) {
-  return allowedTransitions[current]?.includes(next);
-}
-module.exports = { canTransition, allowedTransitions };
+// The booking transition table lives in backend/services/bookingStateService.js and uses the
+// real Booking.status values ('Accepted', 'In Progress', ...). Re-exported so there is only one table.
+module.exports = require('../../backend/services/bookingStateService');